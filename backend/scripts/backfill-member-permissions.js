@@ -0,0 +1,64 @@
+/**
+ * Backfill organization member permissions
+ * Usage: node backend/scripts/backfill-member-permissions.js [--dry-run]
+ *
+ * Recruiter routes now check each member's permissions instead of only their
+ * role. Members added before that were stored with an empty permissions list,
+ * which would lock recruiters out; this grants them their role's defaults.
+ * Members whose permissions were already customised are left alone.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Organization, { ROLE_DEFAULT_PERMISSIONS } from '../src/models/Organization.js';
+import { logger } from '../src/utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/resume_genie';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function backfill() {
+  await mongoose.connect(MONGODB_URI);
+  logger.info(`✓ Connected to MongoDB${DRY_RUN ? ' (dry run)' : ''}`);
+
+  let organizationsUpdated = 0;
+  let membersUpdated = 0;
+
+  const cursor = Organization.find({}).cursor();
+  for (let organization = await cursor.next(); organization; organization = await cursor.next()) {
+    let changed = false;
+
+    organization.members.forEach(member => {
+      const defaults = ROLE_DEFAULT_PERMISSIONS[member.role];
+      if (!defaults?.length || member.permissions.length > 0) {
+        return;
+      }
+
+      logger.info(`  ${organization.slug}: ${member.userId} (${member.role}) → ${defaults.join(', ')}`);
+      member.permissions = defaults;
+      membersUpdated++;
+      changed = true;
+    });
+
+    if (changed) {
+      organizationsUpdated++;
+      if (!DRY_RUN) {
+        await organization.save();
+      }
+    }
+  }
+
+  logger.info(`✓ ${DRY_RUN ? 'Would update' : 'Updated'} ${membersUpdated} member(s) in ${organizationsUpdated} organization(s)`);
+}
+
+backfill()
+  .catch(error => {
+    logger.error('✗ Backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
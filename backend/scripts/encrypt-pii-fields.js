@@ -0,0 +1,82 @@
+/**
+ * Encrypt candidate PII fields at rest
+ * Usage: node backend/scripts/encrypt-pii-fields.js [--dry-run] [--all]
+ *
+ * Resume contact details and text and User.phone are encrypted by the
+ * encryptedFields model plugin when they are written. This encrypts documents
+ * stored before that, re-encrypts values written with an older key version
+ * after a rotation (FIELD_ENCRYPTION_KEY_VERSION) and fills in missing blind
+ * indexes. Pass --all to rewrite every document, e.g. after changing
+ * FIELD_BLIND_INDEX_KEY. Timestamps are left untouched.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Resume from '../src/models/Resume.js';
+import User from '../src/models/User.js';
+import { getCurrentKeyVersion } from '../src/utils/fieldEncryption.js';
+import { logger } from '../src/utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/resume_genie';
+const DRY_RUN = process.argv.includes('--dry-run');
+const REWRITE_ALL = process.argv.includes('--all');
+
+async function encryptModel(Model) {
+  let checked = 0;
+  let updated = 0;
+  let failed = 0;
+
+  // Read the stored documents directly so that plaintext and old key versions are visible
+  const cursor = Model.collection.find({});
+  for (let raw = await cursor.next(); raw; raw = await cursor.next()) {
+    checked++;
+    if (!REWRITE_ALL && !Model.needsEncryption(raw)) {
+      continue;
+    }
+
+    updated++;
+    if (DRY_RUN) {
+      continue;
+    }
+
+    try {
+      const doc = await Model.findById(raw._id);
+      doc.markEncryptedFieldsModified();
+      await doc.save({ validateBeforeSave: false, timestamps: false });
+    } catch (error) {
+      updated--;
+      failed++;
+      logger.error(`  ✗ ${Model.modelName} ${raw._id}: ${error.message}`);
+    }
+  }
+
+  logger.info(`✓ ${Model.modelName}: checked ${checked}, ${DRY_RUN ? 'would encrypt' : 'encrypted'} ${updated}${failed ? `, ${failed} failed` : ''}`);
+  return failed;
+}
+
+async function encrypt() {
+  await mongoose.connect(MONGODB_URI);
+  logger.info(`✓ Connected to MongoDB${DRY_RUN ? ' (dry run)' : ''}, encrypting with key version ${getCurrentKeyVersion()}`);
+
+  let failed = 0;
+  for (const Model of [Resume, User]) {
+    failed += await encryptModel(Model);
+  }
+
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
+
+encrypt()
+  .catch(error => {
+    logger.error('✗ Encryption migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
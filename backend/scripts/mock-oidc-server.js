@@ -0,0 +1,61 @@
+/**
+ * Local mock OIDC provider for testing social sign-in without real credentials
+ * Usage: node backend/scripts/mock-oidc-server.js [--port 8090] [--email dev@example.com] [--unverified]
+ *
+ * Start the backend with the Google strategy pointed at this server:
+ *   GOOGLE_CLIENT_ID=mock-client
+ *   GOOGLE_CLIENT_SECRET=mock-secret
+ *   GOOGLE_AUTHORIZATION_URL=http://localhost:8090/authorize
+ *   GOOGLE_TOKEN_URL=http://localhost:8090/token
+ *   GOOGLE_USERINFO_URL=http://localhost:8090/userinfo
+ *
+ * The authorize endpoint redirects straight back with a code (no login screen),
+ * and /userinfo returns the profile configured by the flags below.
+ */
+
+import { OAuth2Server } from 'oauth2-mock-server';
+
+const getArg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const port = parseInt(getArg('port', '8090'), 10);
+const email = getArg('email', 'mock.user@example.com');
+const name = getArg('name', 'Mock User');
+const subject = getArg('sub', `mock-${email}`);
+const emailVerified = !process.argv.includes('--unverified');
+
+const server = new OAuth2Server();
+
+server.service.on('beforeUserinfo', (userInfoResponse) => {
+  userInfoResponse.body = {
+    sub: subject,
+    name,
+    given_name: name.split(' ')[0],
+    family_name: name.split(' ').slice(1).join(' '),
+    email,
+    email_verified: emailVerified,
+    picture: null
+  };
+});
+
+const shutdown = async () => {
+  await server.stop();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+await server.issuer.keys.generate('RS256');
+await server.start(port, 'localhost');
+
+console.log(`Mock OIDC provider running at ${server.issuer.url}`);
+console.log(`Profile: ${name} <${email}> (sub: ${subject}, email_verified: ${emailVerified})`);
+console.log('\nBackend environment:');
+console.log('  GOOGLE_CLIENT_ID=mock-client');
+console.log('  GOOGLE_CLIENT_SECRET=mock-secret');
+console.log(`  GOOGLE_AUTHORIZATION_URL=${server.issuer.url}/authorize`);
+console.log(`  GOOGLE_TOKEN_URL=${server.issuer.url}/token`);
+console.log(`  GOOGLE_USERINFO_URL=${server.issuer.url}/userinfo`);
@@ -0,0 +1,101 @@
+/**
+ * Audit Middleware
+ * Records recruiter and organization actions in the AuditLog once the
+ * response has been sent: actor, organization, resource and outcome
+ * (success for 2xx/3xx, failure otherwise, including permission denials
+ * when mounted before requirePermission).
+ *
+ * Route handlers that only learn the resource while handling the request
+ * can set `res.locals.audit = { resourceId, organizationId, metadata }`.
+ */
+
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import { logger } from '../utils/logger.js';
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const resolveOption = (option, req, body) => {
+  return typeof option === 'function' ? option(req, body) : option;
+};
+
+// Only real ObjectIds go in resourceId; other identifiers (e.g. public jobIds) are kept in metadata
+const toObjectId = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value;
+  }
+  const id = value?._id || value;
+  return typeof id === 'string' && OBJECT_ID_PATTERN.test(id) ? new mongoose.Types.ObjectId(id) : null;
+};
+
+/**
+ * Write an AuditLog entry for the request once the response is sent
+ * Options may be values or `(req, responseBody) => value` functions.
+ * @param {string|function} action - AuditLog action
+ * @param {object} [options]
+ * @param {string} [options.resourceType] - AuditLog resourceType
+ * @param {string} [options.resourceParam] - route parameter holding the resource id
+ * @param {*} [options.resourceId] - resource id (overrides resourceParam)
+ * @param {object|function} [options.searchParams] - search filters (for searches)
+ * @param {number|function} [options.resultsCount] - number of records returned
+ * @param {object|function} [options.metadata] - extra context
+ */
+export const auditAction = (action, {
+  resourceType = null,
+  resourceParam = null,
+  resourceId = null,
+  searchParams = null,
+  resultsCount = null,
+  metadata = null,
+} = {}) => {
+  return (req, res, next) => {
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      // Unauthenticated requests never reach the action
+      if (!req.user) {
+        return;
+      }
+
+      try {
+        const details = res.locals.audit || {};
+        const failed = res.statusCode >= 400;
+        const rawResourceId = details.resourceId
+          ?? resolveOption(resourceId, req, responseBody)
+          ?? (resourceParam ? req.params[resourceParam] : null);
+        const objectId = toObjectId(rawResourceId);
+
+        AuditLog.logRequest(req, {
+          action: resolveOption(action, req, responseBody),
+          organizationId: details.organizationId || null,
+          resourceType,
+          resourceId: objectId,
+          searchParams: resolveOption(searchParams, req, responseBody) || null,
+          resultsCount: (failed ? 0 : resolveOption(resultsCount, req, responseBody)) || 0,
+          status: failed ? 'failure' : 'success',
+          errorMessage: failed ? responseBody?.message || `HTTP ${res.statusCode}` : null,
+          metadata: {
+            statusCode: res.statusCode,
+            ...(rawResourceId && !objectId && { resourceKey: String(rawResourceId) }),
+            ...resolveOption(metadata, req, responseBody),
+            ...details.metadata,
+          },
+        });
+      } catch (error) {
+        // Auditing must never affect the response
+        logger.error(`Failed to audit ${req.method} ${req.originalUrl}:`, error);
+      }
+    });
+
+    next();
+  };
+};
+
+export default {
+  auditAction,
+};
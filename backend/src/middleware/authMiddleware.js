@@ -1,5 +1,7 @@
 import jwt from 'jsonwebtoken'
 import User from '../models/User.js'
+import { isSessionActive } from '../services/sessionService.js'
+import { authenticateApiKey, isApiKey } from '../services/apiKeyService.js'
 import { logger } from '../utils/logger.js'
 
 /**
@@ -77,8 +79,24 @@ export const requireAuth = async (req, res, next) => {
       })
     }
 
+    // Access tokens outlive a revoked session, so check it is still signed in
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Session has been signed out',
+        code: 'SESSION_REVOKED',
+        statusCode: 401,
+      })
+    }
+
     req.user = user
     req.user.userId = user._id
+    // Session claims used by organization security policies and session management
+    req.auth = {
+      sessionId: decoded.sid || null,
+      authTime: decoded.authTime || decoded.iat,
+      mfa: Boolean(decoded.mfa),
+    }
 
     next()
   } catch (error) {
@@ -93,6 +111,67 @@ export const requireAuth = async (req, res, next) => {
 
 export const authenticate = requireAuth
 
+/**
+ * Middleware to require a user JWT or an organization API key
+ * API keys are sent as `X-API-Key: <key>` or `Authorization: Bearer <key>`.
+ * For key requests req.user is the key's creator (for attribution only) and
+ * req.apiKey the key record; routes must check the key belongs to the
+ * organization and authorize by its scopes, never by the creator's role.
+ */
+export const requireAuthOrApiKey = async (req, res, next) => {
+  const authHeader = req.headers['authorization']
+  const bearer = authHeader && authHeader.split(' ')[1]
+  const key = req.headers['x-api-key'] || (isApiKey(bearer) ? bearer : null)
+
+  if (!key) {
+    return requireAuth(req, res, next)
+  }
+
+  try {
+    const { apiKey, organization, user } = await authenticateApiKey(String(key), req.ip)
+
+    req.user = user
+    req.user.userId = user._id
+    req.apiKey = apiKey
+    req.apiKeyOrganization = organization
+    req.auth = {
+      sessionId: null,
+      authTime: null,
+      mfa: false,
+      apiKeyId: apiKey._id,
+    }
+
+    next()
+  } catch (error) {
+    if (!error.isOperational) {
+      logger.error(`API key authentication failed: ${error.message}`)
+    }
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: error.isOperational ? error.message : 'Invalid or expired API key',
+      code: 'API_KEY_INVALID',
+      statusCode: 401,
+    })
+  }
+}
+
+/**
+ * Middleware to gate sensitive actions behind a verified email address
+ * Must run after requireAuth so req.user is the loaded user document
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.isEmailVerified) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Please verify your email address to perform this action',
+      statusCode: 403,
+      requiresVerification: true,
+    })
+  }
+
+  next()
+}
+
 /**
  * Generate JWT token for user
  * @param {object} payload - User data to encode
@@ -0,0 +1,107 @@
+/**
+ * Permission Middleware
+ * Enforces organization member permissions (Organization.members.permissions)
+ * and organization API key scopes on a per-route basis
+ */
+
+import Organization from '../models/Organization.js';
+import { enforceOrganizationSecurity } from '../services/orgSecurityService.js';
+import { logger } from '../utils/logger.js';
+
+const formatPermissions = (permissions) => permissions.map(p => `'${p}'`).join(' or ');
+
+/**
+ * Load the organization named by a route parameter into req.organization
+ * Responds 404 when it does not exist and 403 when the caller is not a member,
+ * then applies the organization's security settings (see enforceOrganizationSecurity)
+ */
+export const loadOrganization = (param = 'slug') => {
+  return async (req, res, next) => {
+    try {
+      const organization = await Organization.findOne({ slug: req.params[param] });
+
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found',
+        });
+      }
+
+      const isMember = req.apiKey
+        ? req.apiKey.organizationId.toString() === organization._id.toString()
+        : Boolean(organization.getMemberRole(req.user._id));
+
+      if (!isMember) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied',
+        });
+      }
+
+      try {
+        enforceOrganizationSecurity(req, organization);
+      } catch (securityError) {
+        return res.status(securityError.statusCode).json({
+          success: false,
+          message: securityError.message,
+          code: securityError.code,
+          ...(securityError.details && { details: securityError.details }),
+        });
+      }
+
+      req.organization = organization;
+      next();
+    } catch (error) {
+      logger.error('Failed to load organization:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load organization',
+      });
+    }
+  };
+};
+
+/**
+ * Require one of the given permissions in req.organization
+ * Users are checked with Organization.hasPermission (owners and admins hold
+ * every permission); API key requests are checked against the key's scopes.
+ * Must run after req.organization is set (loadOrganization or requireRecruiterAccess).
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const organization = req.organization;
+
+    if (!organization) {
+      logger.error(`requirePermission(${permissions.join(', ')}) used without an organization on ${req.originalUrl}`);
+      return res.status(500).json({
+        success: false,
+        message: 'Organization context missing',
+      });
+    }
+
+    const allowed = req.apiKey
+      ? permissions.some(permission => req.apiKey.hasScope(permission))
+      : permissions.some(permission => organization.hasPermission(req.user._id, permission));
+
+    if (allowed) {
+      return next();
+    }
+
+    const actor = req.apiKey ? `API key ${req.apiKey.prefix}` : req.user.email;
+    logger.warn(`Permission denied: ${actor} lacks ${permissions.join('|')} on ${organization.slug} (${req.method} ${req.originalUrl})`);
+
+    return res.status(403).json({
+      success: false,
+      message: req.apiKey
+        ? `API key is missing the ${formatPermissions(permissions)} scope`
+        : `You need the ${formatPermissions(permissions)} permission in ${organization.name} to do this`,
+      code: 'PERMISSION_DENIED',
+      requiredPermissions: permissions,
+    });
+  };
+};
+
+export default {
+  loadOrganization,
+  requirePermission,
+};
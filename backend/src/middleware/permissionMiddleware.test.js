@@ -0,0 +1,63 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import { loadOrganization } from './permissionMiddleware.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+const organization = new Organization({
+  name: 'Acme',
+  slug: 'acme',
+  owner: new mongoose.Types.ObjectId(),
+  members: [{ userId, role: 'admin', joinedAt: new Date(Date.now() - 60 * 60 * 1000) }],
+  settings: { security: { sessionTimeout: 3600 } },
+});
+
+const run = async (authTime) => {
+  const req = {
+    params: { slug: 'acme' },
+    ip: '203.0.113.7',
+    user: { _id: userId, email: 'admin@example.com', security: { passwordCheckedAt: new Date() } },
+    auth: { authTime },
+  };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  const next = mock.fn();
+  await loadOrganization()(req, res, next);
+  return { req, res, next };
+};
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('loadOrganization', () => {
+  test('loads the organization for a member within its security settings', async () => {
+    mock.method(Organization, 'findOne', async () => organization);
+
+    const { req, next } = await run(Math.floor(Date.now() / 1000) - 60);
+
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(req.organization, organization);
+  });
+
+  test('applies the organization security settings before the route runs', async () => {
+    mock.method(Organization, 'findOne', async () => organization);
+
+    const { req, res, next } = await run(Math.floor(Date.now() / 1000) - 7200);
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.code, 'ORG_SESSION_EXPIRED');
+    assert.equal(req.organization, undefined);
+  });
+});
@@ -23,6 +23,29 @@ export const helmetConfig = helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" },
 });
 
+/**
+ * Express "trust proxy" setting from TRUST_PROXY
+ * Behind a reverse proxy req.ip is the proxy's address unless the proxy is
+ * trusted to report the client in X-Forwarded-For; organization IP allowlists
+ * and the rate limiters all key on req.ip. Accepts true/false, a number of
+ * proxy hops, or a comma-separated list of proxy addresses / CIDR ranges /
+ * Express presets (loopback, linklocal, uniquelocal). Unset trusts no proxy.
+ */
+export const parseTrustProxy = (value = process.env.TRUST_PROXY) => {
+  const setting = String(value ?? '').trim();
+
+  if (!setting || setting.toLowerCase() === 'false') {
+    return false;
+  }
+  if (setting.toLowerCase() === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(setting)) {
+    return Number(setting);
+  }
+  return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
 /**
  * Rate limiting configurations
  */
@@ -58,6 +81,17 @@ export const authLimiter = rateLimit({
   skipSuccessfulRequests: true,
 });
 
+// OTP limiter for send/verify endpoints (10 requests per 15 minutes)
+export const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    error: 'Too many verification requests',
+    message: 'Too many verification attempts. Please try again after 15 minutes.',
+    statusCode: 429,
+  },
+});
+
 // Resume upload limiter (10 uploads per hour)
 export const uploadLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
@@ -0,0 +1,21 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTrustProxy } from './securityMiddleware.js';
+
+describe('parseTrustProxy', () => {
+  test('trusts no proxy when unset or false', () => {
+    assert.equal(parseTrustProxy(undefined), false);
+    assert.equal(parseTrustProxy(''), false);
+    assert.equal(parseTrustProxy('false'), false);
+  });
+
+  test('accepts true and a hop count', () => {
+    assert.equal(parseTrustProxy('true'), true);
+    assert.equal(parseTrustProxy('TRUE'), true);
+    assert.equal(parseTrustProxy('2'), 2);
+  });
+
+  test('splits a list of proxy addresses and presets', () => {
+    assert.deepEqual(parseTrustProxy(' loopback, 10.0.0.0/8 ,'), ['loopback', '10.0.0.0/8']);
+  });
+});
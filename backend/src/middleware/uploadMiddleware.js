@@ -61,6 +61,30 @@ const upload = multer({
   },
 })
 
+// Structured resume imports: JSON Resume files and LinkedIn data export
+// archives. Browsers report .zip under several MIME types, so the extension decides.
+const importFileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase()
+
+  if (extension === '.json' || extension === '.zip') {
+    cb(null, true)
+  } else {
+    const error = new Error(
+      `Invalid import file: ${file.originalname}. Allowed: JSON Resume (.json), LinkedIn data export (.zip)`
+    )
+    error.statusCode = 400
+    cb(error, false)
+  }
+}
+
+export const importUpload = multer({
+  storage,
+  fileFilter: importFileFilter,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || 10485760), // 10MB default
+  },
+})
+
 // Middleware to handle multer errors
 export const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
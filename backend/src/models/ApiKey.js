@@ -0,0 +1,121 @@
+/**
+ * ApiKey Model
+ * Organization API keys for programmatic access to the recruiter API.
+ * Only a SHA-256 hash of the key is stored; the plaintext is shown once,
+ * when the key is generated (see services/apiKeyService.js).
+ */
+
+import mongoose from 'mongoose';
+import { ORGANIZATION_PERMISSIONS } from './Organization.js';
+
+const apiKeySchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+
+  // Leading characters of the key, safe to display ("rgk_a1b2c3d4")
+  prefix: {
+    type: String,
+    required: true,
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+
+  // Subset of organization member permissions
+  scopes: [{
+    type: String,
+    enum: ORGANIZATION_PERMISSIONS,
+  }],
+
+  // Requests made with the key are attributed to this user
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedIp: {
+    type: String,
+    default: null,
+  },
+
+  // Rotation chain
+  rotatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null,
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null,
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+apiKeySchema.index({ organizationId: 1, revokedAt: 1, createdAt: -1 });
+
+// Check whether the key can still be used
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Check whether the key was granted a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Safe representation (never includes the hash)
+apiKeySchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    rotatedFrom: this.rotatedFrom,
+    replacedBy: this.replacedBy,
+    revokedAt: this.revokedAt,
+    active: this.isActive(),
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -29,7 +29,7 @@ const auditLogSchema = new mongoose.Schema({
   // Organization context (for multi-tenancy)
   organizationId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
+    ref: 'Organization',
     index: true
   },
 
@@ -48,6 +48,7 @@ const auditLogSchema = new mongoose.Schema({
       // Data Access
       'CANDIDATE_SEARCH',
       'CANDIDATE_VIEW',
+      'CANDIDATE_UNMASK',
       'CANDIDATE_EXPORT',
       'RESUME_DOWNLOAD',
       'BULK_EXPORT',
@@ -58,6 +59,7 @@ const auditLogSchema = new mongoose.Schema({
       'APPLICATION_DELETE',
       'BULK_STATUS_UPDATE',
       'BULK_REJECT',
+      'LEGAL_HOLD_UPDATE',
       
       // Interview Management
       'INTERVIEW_SCHEDULE',
@@ -82,10 +84,18 @@ const auditLogSchema = new mongoose.Schema({
       'USER_DELETE',
       'USER_DEACTIVATE',
       'ROLE_CHANGE',
+      'MEMBER_INVITE',
+      'MEMBER_INVITE_REVOKE',
+      'MEMBER_INVITE_ACCEPT',
+      'MEMBER_ADD',
+      'MEMBER_REMOVE',
       
       // System
+      'ORGANIZATION_DELETE',
       'SETTINGS_UPDATE',
+      'DATA_RETENTION_PURGE',
       'API_KEY_GENERATE',
+      'API_KEY_REVOKE',
       'PERMISSION_CHANGE'
     ],
     index: true
@@ -94,7 +104,7 @@ const auditLogSchema = new mongoose.Schema({
   // Target resource
   resourceType: {
     type: String,
-    enum: ['User', 'Resume', 'Job', 'Application', 'Interview', 'Offer', 'Organization', 'Settings', 'System']
+    enum: ['User', 'Resume', 'Job', 'Application', 'Interview', 'Offer', 'Organization', 'OrganizationInvitation', 'ApiKey', 'Settings', 'System']
   },
 
   resourceId: {
@@ -177,6 +187,8 @@ auditLogSchema.index({ organizationId: 1, timestamp: -1 });
 auditLogSchema.index({ action: 1, timestamp: -1 });
 auditLogSchema.index({ resourceType: 1, resourceId: 1, timestamp: -1 });
 auditLogSchema.index({ ipAddress: 1, timestamp: -1 });
+auditLogSchema.index({ organizationId: 1, 'metadata.candidateId': 1, timestamp: -1 });
+auditLogSchema.index({ 'metadata.candidateId': 1, action: 1, timestamp: -1 }); // "who viewed my profile"
 
 // TTL index - automatically delete logs older than 2 years (compliance requirement)
 auditLogSchema.index({ timestamp: 1 }, { expireAfterSeconds: 63072000 }); // 2 years
@@ -236,6 +248,41 @@ auditLogSchema.statics.log = async function({
   }
 };
 
+// Platform roles stored on the log ('user' accounts are candidates)
+const AUDIT_ROLES = { user: 'candidate', recruiter: 'recruiter', admin: 'admin', super_admin: 'super_admin' };
+
+/**
+ * Log an audit event for an authenticated request
+ * Fills in the acting user and request metadata from req; API key requests
+ * are attributed to the key's creator with the key recorded in metadata.
+ * Pass `user` for requests that are not authenticated yet (e.g. login).
+ */
+auditLogSchema.statics.logRequest = function(req, {
+  action,
+  user = req.user,
+  organizationId = null,
+  metadata = {},
+  ...fields
+}) {
+  const requestMethod = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method) ? req.method : 'GET';
+
+  return this.log({
+    userId: user._id,
+    userEmail: user.email,
+    userRole: AUDIT_ROLES[user.role] || 'candidate',
+    organizationId: organizationId || req.organization?._id || null,
+    action,
+    ipAddress: req.ip || '',
+    userAgent: req.get?.('user-agent') || '',
+    requestMethod,
+    requestUrl: req.originalUrl || '',
+    metadata: req.apiKey
+      ? { ...metadata, apiKeyId: req.apiKey._id, apiKeyPrefix: req.apiKey.prefix }
+      : metadata,
+    ...fields
+  });
+};
+
 /**
  * Get audit logs for a user
  */
@@ -267,21 +314,19 @@ auditLogSchema.statics.getUserLogs = async function(userId, options = {}) {
     .lean();
 };
 
-/**
- * Get audit logs for an organization
- */
-auditLogSchema.statics.getOrganizationLogs = async function(organizationId, options = {}) {
-  const {
-    limit = 100,
-    skip = 0,
-    startDate = null,
-    endDate = null,
-    actions = null,
-    userIds = null
-  } = options;
-
+// Filters shared by getOrganizationLogs and countOrganizationLogs
+const buildOrganizationQuery = (organizationId, {
+  startDate = null,
+  endDate = null,
+  actions = null,
+  userIds = null,
+  resourceType = null,
+  resourceId = null,
+  candidateId = null,
+  status = null
+}) => {
   const query = { organizationId };
-  
+
   if (startDate || endDate) {
     query.timestamp = {};
     if (startDate) query.timestamp.$gte = new Date(startDate);
@@ -296,7 +341,33 @@ auditLogSchema.statics.getOrganizationLogs = async function(organizationId, opti
     query.userId = { $in: userIds };
   }
 
-  return this.find(query)
+  if (resourceType) query.resourceType = resourceType;
+  if (resourceId) query.resourceId = resourceId;
+  if (status) query.status = status;
+
+  // Entries about a candidate either target their user record or name them in metadata
+  if (candidateId) {
+    query.$or = [
+      { resourceType: 'User', resourceId: candidateId },
+      { 'metadata.candidateId': new mongoose.Types.ObjectId(String(candidateId)) }
+    ];
+  }
+
+  return query;
+};
+
+/**
+ * Get audit logs for an organization
+ * Filters: startDate, endDate, actions, userIds, resourceType, resourceId,
+ * candidateId (everything recorded about that candidate) and status
+ */
+auditLogSchema.statics.getOrganizationLogs = async function(organizationId, options = {}) {
+  const {
+    limit = 100,
+    skip = 0
+  } = options;
+
+  return this.find(buildOrganizationQuery(organizationId, options))
     .sort({ timestamp: -1 })
     .limit(limit)
     .skip(skip)
@@ -304,6 +375,13 @@ auditLogSchema.statics.getOrganizationLogs = async function(organizationId, opti
     .lean();
 };
 
+/**
+ * Count audit logs for an organization (same filters as getOrganizationLogs)
+ */
+auditLogSchema.statics.countOrganizationLogs = function(organizationId, options = {}) {
+  return this.countDocuments(buildOrganizationQuery(organizationId, options));
+};
+
 /**
  * Get sensitive action logs (data exports, bulk operations)
  */
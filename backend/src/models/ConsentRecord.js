@@ -0,0 +1,57 @@
+/**
+ * ConsentRecord Model
+ * Append-only ledger of a candidate's recruiter-visibility decisions: turning
+ * profile visibility on or off and blocking or unblocking an organization
+ * (see services/consentService.js). Records are never edited.
+ */
+
+import mongoose from 'mongoose';
+
+export const CONSENT_ACTIONS = [
+  'visibility_granted',
+  'visibility_revoked',
+  'organization_blocked',
+  'organization_unblocked',
+];
+
+const consentRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  action: {
+    type: String,
+    enum: CONSENT_ACTIONS,
+    required: true,
+  },
+
+  // Organization the decision applies to (null: every recruiter)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+  },
+  // Name at the time of the decision, kept if the organization is renamed or closed
+  organizationName: {
+    type: String,
+    default: null,
+  },
+  // Resume whose visibility changed
+  resumeId: {
+    type: String,
+    default: null,
+  },
+
+  ipAddress: String,
+  userAgent: String,
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+consentRecordSchema.index({ userId: 1, createdAt: -1 });
+
+const ConsentRecord = mongoose.model('ConsentRecord', consentRecordSchema);
+
+export default ConsentRecord;
@@ -0,0 +1,108 @@
+/**
+ * DataExport Model
+ * A user's data-portability archive (ZIP), generated in the background by
+ * services/dataExportService.js. Only a SHA-256 hash of the download token
+ * is stored; the plaintext token is only ever sent in the ready email.
+ */
+
+import mongoose from 'mongoose';
+
+export const DATA_EXPORT_STATUSES = ['queued', 'processing', 'completed', 'failed', 'expired'];
+
+const dataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+
+  status: {
+    type: String,
+    enum: DATA_EXPORT_STATUSES,
+    default: 'queued',
+    index: true,
+  },
+  // 0-100, with the step currently running
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100,
+  },
+  stage: {
+    type: String,
+    default: 'Waiting to start',
+  },
+
+  // Archive on disk (never sent to clients)
+  filePath: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  fileName: {
+    type: String,
+    default: null,
+  },
+  sizeBytes: {
+    type: Number,
+    default: 0,
+  },
+  // Number of records per dataset and resume files included
+  counts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+
+  tokenHash: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+
+  startedAt: Date,
+  completedAt: Date,
+  error: {
+    type: String,
+    default: null,
+  },
+  downloadCount: {
+    type: Number,
+    default: 0,
+  },
+  lastDownloadedAt: Date,
+}, {
+  timestamps: true,
+});
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+/**
+ * Fields shown on the data export page
+ */
+dataExportSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    status: this.status,
+    progress: this.progress,
+    stage: this.stage,
+    fileName: this.fileName,
+    sizeBytes: this.sizeBytes,
+    counts: this.counts,
+    requestedAt: this.createdAt,
+    completedAt: this.completedAt || null,
+    expiresAt: this.expiresAt,
+    error: this.error,
+    downloadCount: this.downloadCount,
+  };
+};
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+export default DataExport;
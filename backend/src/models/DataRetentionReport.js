@@ -0,0 +1,65 @@
+/**
+ * DataRetentionReport Model
+ * What one run of an organization's retention policy purged, written by
+ * services/dataRetentionService.js for scheduled and manual runs
+ */
+
+import mongoose from 'mongoose';
+
+const dataRetentionReportSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+  },
+
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled',
+  },
+  // Member who started a manual run
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'failed'],
+    default: 'completed',
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+
+  // Policy in force and the closing date each period reaches back to
+  policy: mongoose.Schema.Types.Mixed,
+  cutoffs: mongoose.Schema.Types.Mixed,
+
+  counts: {
+    applicationsDeleted: { type: Number, default: 0 },
+    applicationsAnonymized: { type: Number, default: 0 },
+    recruiterNotesCleared: { type: Number, default: 0 },
+    communicationsCleared: { type: Number, default: 0 },
+    // Past retention but kept because of a legal hold
+    legalHoldSkipped: { type: Number, default: 0 },
+  },
+
+  deletedApplicationIds: [{ type: mongoose.Schema.Types.ObjectId }],
+  anonymizedApplicationIds: [{ type: mongoose.Schema.Types.ObjectId }],
+  legalHoldApplicationIds: [{ type: mongoose.Schema.Types.ObjectId }],
+
+  startedAt: Date,
+  completedAt: Date,
+}, {
+  timestamps: true,
+});
+
+dataRetentionReportSchema.index({ organizationId: 1, createdAt: -1 });
+dataRetentionReportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 63072000 }); // 2 years, like audit logs
+
+const DataRetentionReport = mongoose.model('DataRetentionReport', dataRetentionReportSchema);
+
+export default DataRetentionReport;
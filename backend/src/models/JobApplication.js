@@ -21,7 +21,10 @@ const jobApplicationSchema = new mongoose.Schema({
   resumeId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Resume',
-    required: true,
+    // Cleared when the candidate deletes their account
+    required: function() {
+      return !this.anonymizedAt;
+    },
   },
   organizationId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -199,6 +202,41 @@ const jobApplicationSchema = new mongoose.Schema({
     type: Map,
     of: String,
   },
+  
+  // Set when the candidate deleted their account or the organization's retention
+  // policy expired their details; userId then points to no account and the
+  // candidate's own details are removed (see JobApplication.anonymizeMany)
+  anonymizedAt: {
+    type: Date,
+    default: null,
+  },
+  anonymizedReason: {
+    type: String,
+    enum: ['account_deleted', 'retention', null],
+    default: null,
+  },
+
+  // Legal hold: exempts the application from retention purges (see services/dataRetentionService.js)
+  legalHold: {
+    active: { type: Boolean, default: false },
+    reason: String,
+    placedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    placedAt: Date,
+  },
+
+  // Blind hiring: when the candidate's identity was revealed to the organization
+  // and at which stage (see services/blindHiringService.js)
+  identityRevealedAt: {
+    type: Date,
+    default: null,
+  },
+  identityRevealedStage: {
+    type: String,
+    default: null,
+  },
 }, {
   timestamps: true,
 });
@@ -309,6 +347,59 @@ jobApplicationSchema.pre('save', function(next) {
 });
 
 // Static methods
+
+/**
+ * Remove the candidate from applications: the applicant is replaced by a
+ * random id that belongs to no account (keeping the jobId/userId unique index
+ * satisfied) and the details the candidate supplied are removed.
+ * With clearRecruiterContent, notes, interview feedback and communications
+ * (which tend to mention the candidate) are removed as well.
+ * @returns {Promise<number>} number of applications anonymized
+ */
+jobApplicationSchema.statics.anonymizeMany = async function(applicationIds, { reason = 'account_deleted', clearRecruiterContent = false } = {}) {
+  if (applicationIds.length === 0) {
+    return 0;
+  }
+
+  const anonymizedAt = new Date();
+  const $set = { resumeId: null, anonymizedAt, anonymizedReason: reason };
+  const $unset = {
+    coverLetter: '',
+    portfolio: '',
+    expectedSalary: '',
+    noticePeriod: '',
+    availableFrom: '',
+    metadata: '',
+    'offer.declineReason': '',
+    'offer.responseNotes': '',
+  };
+  let arrayFilters;
+
+  if (clearRecruiterContent) {
+    Object.assign($set, {
+      recruiterNotes: [],
+      communications: [],
+      'interviews.$[].notes': null,
+      'interviews.$[].feedback': null,
+      'statusHistory.$[].note': null,
+      'rejection.feedback': null,
+    });
+  } else {
+    $set['statusHistory.$[candidate].note'] = null;
+    arrayFilters = [{ 'candidate.source': 'candidate' }];
+  }
+
+  const result = await this.bulkWrite(applicationIds.map(applicationId => ({
+    updateOne: {
+      filter: { _id: applicationId, 'legalHold.active': { $ne: true } },
+      update: { $set: { ...$set, userId: new mongoose.Types.ObjectId() }, $unset },
+      ...(arrayFilters && { arrayFilters }),
+    },
+  })));
+
+  return result.modifiedCount;
+};
+
 jobApplicationSchema.statics.getApplicationStats = async function(organizationId, filters = {}) {
   const pipeline = [
     { $match: { organizationId, ...filters } },
@@ -0,0 +1,39 @@
+/**
+ * LlmUsage Model
+ * Daily rollup of LLM calls per provider and task, written by
+ * services/llm/index.js for usage reporting and budget enforcement
+ */
+
+import mongoose from 'mongoose';
+
+const llmUsageSchema = new mongoose.Schema({
+  // UTC day the calls were made (midnight)
+  day: {
+    type: Date,
+    required: true,
+  },
+  // Provider that answered, or 'none' when every provider failed
+  provider: {
+    type: String,
+    required: true,
+  },
+  task: {
+    type: String,
+    required: true,
+  },
+
+  requests: { type: Number, default: 0 },
+  failures: { type: Number, default: 0 },
+  inputTokens: { type: Number, default: 0 },
+  outputTokens: { type: Number, default: 0 },
+  latencyMs: { type: Number, default: 0 },
+}, {
+  timestamps: true,
+});
+
+llmUsageSchema.index({ day: 1, provider: 1, task: 1 }, { unique: true });
+llmUsageSchema.index({ day: 1 }, { expireAfterSeconds: 34560000 }); // 400 days
+
+const LlmUsage = mongoose.model('LlmUsage', llmUsageSchema);
+
+export default LlmUsage;
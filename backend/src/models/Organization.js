@@ -5,6 +5,50 @@
 
 import mongoose from 'mongoose';
 
+// Member permissions (also the scopes an organization API key can be granted)
+export const ORGANIZATION_PERMISSIONS = [
+  'manage_members',
+  'manage_billing',
+  'manage_settings',
+  'post_jobs',
+  'view_candidates',
+  'view_candidate_contacts',
+  'manage_applications',
+  'schedule_interviews',
+  'manage_integrations',
+  'view_analytics',
+  'export_data',
+  'view_audit_logs',
+];
+
+export const MEMBER_ROLES = ['owner', 'admin', 'recruiter', 'member'];
+
+// Application stages at which blind hiring can reveal candidate identities, in pipeline order
+export const BLIND_HIRING_UNMASK_STAGES = [
+  'screening',
+  'shortlisted',
+  'interview_scheduled',
+  'interview_completed',
+  'offer_extended',
+  'offer_accepted',
+];
+
+// Owners and admins hold every permission; other roles start from these defaults
+export const ROLE_DEFAULT_PERMISSIONS = {
+  recruiter: ['post_jobs', 'view_candidates', 'manage_applications', 'schedule_interviews', 'view_analytics'],
+  member: [],
+};
+
+const hasAllPermissions = (role) => role === 'owner' || role === 'admin';
+
+// Effective permissions of a member entry (works on lean and populated documents)
+export const getEffectivePermissions = (member) => {
+  if (!member) {
+    return [];
+  }
+  return hasAllPermissions(member.role) ? [...ORGANIZATION_PERMISSIONS] : [...(member.permissions || [])];
+};
+
 const organizationSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -60,7 +104,26 @@ const organizationSchema = new mongoose.Schema({
         requireSpecialChars: { type: Boolean, default: false },
       },
       ipWhitelist: [String],
-      sessionTimeout: { type: Number, default: 3600 }, // seconds
+      sessionTimeout: { type: Number, default: 3600 }, // seconds since sign-in
+      // Members must re-check their password against policy changes made after this
+      policyUpdatedAt: Date,
+    },
+    // Hide candidate identity signals from screeners until an application reaches unmaskAtStage
+    blindHiring: {
+      enabled: { type: Boolean, default: false },
+      unmaskAtStage: { type: String, enum: BLIND_HIRING_UNMASK_STAGES, default: 'interview_scheduled' },
+      updatedAt: Date,
+    },
+    // How long closed applications (rejected, withdrawn, offer declined) keep each kind of data,
+    // in days after closing; null keeps it indefinitely (see services/dataRetentionService.js)
+    dataRetention: {
+      enabled: { type: Boolean, default: false },
+      recruiterNotesDays: { type: Number, min: 1, default: null },
+      communicationsDays: { type: Number, min: 1, default: null },
+      candidatePiiDays: { type: Number, min: 1, default: null },
+      applicationDays: { type: Number, min: 1, default: null },
+      updatedAt: Date,
+      lastPurgedAt: Date,
     },
     billing: {
       paymentMethod: String,
@@ -92,22 +155,12 @@ const organizationSchema = new mongoose.Schema({
     },
     role: {
       type: String,
-      enum: ['owner', 'admin', 'recruiter', 'member'],
+      enum: MEMBER_ROLES,
       default: 'member',
     },
     permissions: [{
       type: String,
-      enum: [
-        'manage_members',
-        'manage_billing',
-        'manage_settings',
-        'post_jobs',
-        'view_candidates',
-        'schedule_interviews',
-        'manage_integrations',
-        'view_analytics',
-        'export_data',
-      ],
+      enum: ORGANIZATION_PERMISSIONS,
     }],
     joinedAt: {
       type: Date,
@@ -164,8 +217,8 @@ organizationSchema.pre('validate', async function(next) {
   next();
 });
 
-// Add member to organization
-organizationSchema.methods.addMember = async function(userId, role = 'member', permissions = []) {
+// Add member to organization (permissions default to the role's defaults)
+organizationSchema.methods.addMember = async function(userId, role = 'member', permissions = null) {
   const existingMember = this.members.find(m => m.userId.toString() === userId.toString());
   
   if (existingMember) {
@@ -175,7 +228,7 @@ organizationSchema.methods.addMember = async function(userId, role = 'member', p
   this.members.push({
     userId,
     role,
-    permissions,
+    permissions: permissions ?? ROLE_DEFAULT_PERMISSIONS[role] ?? [],
   });
   
   await this.save();
@@ -189,7 +242,7 @@ organizationSchema.methods.removeMember = async function(userId) {
   return this;
 };
 
-// Update member role
+// Update member role (a role change without explicit permissions resets them to the role's defaults)
 organizationSchema.methods.updateMemberRole = async function(userId, newRole, newPermissions) {
   const member = this.members.find(m => m.userId.toString() === userId.toString());
   
@@ -197,9 +250,14 @@ organizationSchema.methods.updateMemberRole = async function(userId, newRole, ne
     throw new Error('User is not a member of this organization');
   }
   
-  member.role = newRole;
+  const roleChanged = newRole && newRole !== member.role;
+  if (newRole) {
+    member.role = newRole;
+  }
   if (newPermissions) {
     member.permissions = newPermissions;
+  } else if (roleChanged) {
+    member.permissions = ROLE_DEFAULT_PERMISSIONS[member.role] ?? [];
   }
   
   await this.save();
@@ -215,13 +273,19 @@ organizationSchema.methods.hasPermission = function(userId, permission) {
   }
   
   // Owners and admins have all permissions
-  if (member.role === 'owner' || member.role === 'admin') {
+  if (hasAllPermissions(member.role)) {
     return true;
   }
   
   return member.permissions.includes(permission);
 };
 
+// Get a member's effective permissions
+organizationSchema.methods.getMemberPermissions = function(userId) {
+  const member = this.members.find(m => m.userId.toString() === userId.toString());
+  return getEffectivePermissions(member);
+};
+
 // Get member role
 organizationSchema.methods.getMemberRole = function(userId) {
   const member = this.members.find(m => m.userId.toString() === userId.toString());
@@ -0,0 +1,123 @@
+/**
+ * OrganizationInvitation Model
+ * Email invitations to join an organization, including people who do not
+ * have an account yet. Only a SHA-256 hash of the invite token is stored;
+ * the plaintext token is only ever sent in the invitation email
+ * (see services/invitationService.js).
+ */
+
+import mongoose from 'mongoose';
+import { ORGANIZATION_PERMISSIONS, MEMBER_ROLES } from './Organization.js';
+
+const organizationInvitationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true,
+  },
+
+  // Access granted when the invitation is accepted
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    default: 'member',
+  },
+  permissions: [{
+    type: String,
+    enum: ORGANIZATION_PERMISSIONS,
+  }],
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  lastSentAt: {
+    type: Date,
+    default: null,
+  },
+  sendCount: {
+    type: Number,
+    default: 0,
+  },
+
+  acceptedAt: {
+    type: Date,
+    default: null,
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+organizationInvitationSchema.index({ organizationId: 1, email: 1, acceptedAt: 1, revokedAt: 1 });
+
+// Check whether the invitation can still be accepted
+organizationInvitationSchema.methods.isPending = function() {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Safe representation (never includes the token hash)
+organizationInvitationSchema.methods.toPublicJSON = function() {
+  let status = 'pending';
+  if (this.acceptedAt) {
+    status = 'accepted';
+  } else if (this.revokedAt) {
+    status = 'revoked';
+  } else if (this.expiresAt <= new Date()) {
+    status = 'expired';
+  }
+
+  return {
+    id: this._id,
+    email: this.email,
+    role: this.role,
+    permissions: this.permissions,
+    invitedBy: this.invitedBy,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    lastSentAt: this.lastSentAt,
+    sendCount: this.sendCount,
+    acceptedAt: this.acceptedAt,
+    revokedAt: this.revokedAt,
+    status,
+  };
+};
+
+const OrganizationInvitation = mongoose.model('OrganizationInvitation', organizationInvitationSchema);
+
+export default OrganizationInvitation;
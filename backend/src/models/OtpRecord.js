@@ -0,0 +1,52 @@
+/**
+ * OTP Record Model
+ * Backing collection for the MongoDB OTP store (see services/otpStore.js)
+ * Codes are stored hashed; MongoDB's TTL monitor removes expired records
+ */
+
+import mongoose from 'mongoose';
+
+const otpRecordSchema = new mongoose.Schema({
+  // Store key, e.g. otp:password-reset:user@example.com
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  purpose: {
+    type: String,
+    required: true,
+  },
+  identifier: {
+    type: String,
+    required: true,
+  },
+
+  // HMAC of the code, never the code itself
+  codeHash: {
+    type: String,
+    required: true,
+  },
+
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+
+  // When the code was sent (drives the resend cooldown)
+  sentAt: {
+    type: Date,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// TTL index: documents are removed once expiresAt has passed
+otpRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OtpRecord = mongoose.model('OtpRecord', otpRecordSchema);
+
+export default OtpRecord;
@@ -0,0 +1,77 @@
+/**
+ * ParseCorrection Model
+ * A candidate's correction of one parsed resume field, stored as the diff
+ * between the parser's output and the corrected value
+ * (see services/parseCorrectionService.js). Every save appends a record, so
+ * the latest record of a field holds all of its corrections since the last parse.
+ */
+
+import mongoose from 'mongoose';
+import encryptedFields from './plugins/encryptedFields.js';
+
+export const CORRECTABLE_FIELDS = [
+  'name',
+  'emails',
+  'phones',
+  'links',
+  'location',
+  'current_title',
+  'skills',
+  'experience',
+  'education',
+];
+
+const parseCorrectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  resumeId: {
+    type: String,
+    required: true,
+  },
+  // Resume version the parser output came from
+  resumeVersion: {
+    type: Number,
+    default: 1,
+  },
+
+  field: {
+    type: String,
+    enum: CORRECTABLE_FIELDS,
+    required: true,
+  },
+
+  // Changes from the machine output to the corrected value; paths are relative
+  // to parsed_resume ("skills.4", "experience.1.start_date")
+  changes: [{
+    _id: false,
+    op: {
+      type: String,
+      enum: ['add', 'remove', 'replace'],
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  }],
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+parseCorrectionSchema.index({ resumeId: 1, field: 1, createdAt: -1 });
+parseCorrectionSchema.index({ userId: 1, createdAt: -1 });
+parseCorrectionSchema.index({ field: 1, createdAt: -1 });
+
+// Corrected values are candidate data (employers, schools, contact details)
+parseCorrectionSchema.plugin(encryptedFields, {
+  fields: ['changes.from', 'changes.to'],
+});
+
+const ParseCorrection = mongoose.model('ParseCorrection', parseCorrectionSchema);
+
+export default ParseCorrection;
@@ -1,4 +1,11 @@
 import mongoose from 'mongoose'
+import encryptedFields from './plugins/encryptedFields.js'
+import { SECTION_TYPES, getSectionText } from '../utils/sectionSegmenter.js'
+import { FIELD_EXTRACTORS } from '../utils/fieldProvenance.js'
+import { BLOCK_TYPES } from '../utils/pdfLayout.js'
+
+// Structured sources a resume can be imported from (services/resumeImportService.js)
+export const IMPORT_FORMATS = ['json_resume', 'linkedin_export']
 
 const resumeSchema = new mongoose.Schema(
   {
@@ -56,6 +63,13 @@ const resumeSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Set when the resume was imported from structured data instead of parsed
+    // from a document; raw_text is then a rendering of the imported fields
+    import_format: {
+      type: String,
+      enum: IMPORT_FORMATS,
+      default: undefined,
+    },
     file_metadata: {
       filename: {
         type: String,
@@ -211,6 +225,20 @@ const resumeSchema = new mongoose.Schema(
         evidence: [String], // Text snippets showing this skill
       }],
       profile_photo: String, // Base64 or file path to extracted photo
+      // Where each field came from (utils/fieldProvenance.js); start/end are
+      // offsets into raw_text, null for user edits or values not found in it
+      provenance: [{
+        _id: false,
+        field: String, // path, e.g. "skills.3" or "experience.0"
+        extractor: {
+          type: String,
+          enum: FIELD_EXTRACTORS,
+        },
+        provider: String, // LLM provider, NER model or import format
+        confidence: { type: Number, min: 0, max: 1 },
+        start: Number,
+        end: Number,
+      }],
     },
     
     // User customizable profile data
@@ -299,6 +327,61 @@ const resumeSchema = new mongoose.Schema(
       }],
     },
     
+    // The parser's output for the fields candidates can correct, kept so that
+    // corrections are stored as diffs against it (services/parseCorrectionService.js)
+    parsed_resume_machine: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    
+    // Section boundaries as character offsets into raw_text (utils/sectionSegmenter.js);
+    // offsets only, so the section text stays encrypted with raw_text
+    sections: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: SECTION_TYPES,
+      },
+      heading: String,
+      start: Number,
+      contentStart: Number,
+      end: Number,
+      confidence: Number,
+    }],
+    
+    // Reading-order blocks of a PDF extracted by layout (utils/pdfLayout.js):
+    // page, position in points and character offsets into raw_text. Unset when
+    // the document was simple enough for plain extraction.
+    text_layout: {
+      mode: {
+        type: String,
+        enum: ['layout'],
+      },
+      pages: [{
+        _id: false,
+        page: Number,
+        width: Number,
+        height: Number,
+        columns: Number,
+        tables: Number,
+      }],
+      blocks: [{
+        _id: false,
+        page: Number,
+        type: {
+          type: String,
+          enum: BLOCK_TYPES,
+        },
+        column: Number,
+        x: Number,
+        y: Number,
+        width: Number,
+        height: Number,
+        start: Number,
+        end: Number,
+      }],
+    },
+    
     // Embedding for semantic matching (Phase 3)
     embedding: {
       type: [Number],
@@ -432,6 +515,52 @@ const resumeSchema = new mongoose.Schema(
 resumeSchema.index({ createdAt: -1 })
 resumeSchema.index({ userId: 1, createdAt: -1 })
 
+// Candidate contact details and resume text are encrypted at rest; emails and
+// phone numbers stay searchable through their blind indexes
+resumeSchema.plugin(encryptedFields, {
+  fields: [
+    'raw_text',
+    'extracted_text.full_text',
+    { path: 'extracted_text.contact.email', blindIndex: 'blind_index.contact_email', normalize: 'email' },
+    { path: 'extracted_text.contact.phone', blindIndex: 'blind_index.contact_phone', normalize: 'phone' },
+    'extracted_text.contact.linkedin',
+    'extracted_text.contact.github',
+    'extracted_text.contact.location',
+    { path: 'parsed_resume.emails', blindIndex: 'blind_index.emails', normalize: 'email' },
+    { path: 'parsed_resume.phones', blindIndex: 'blind_index.phones', normalize: 'phone' },
+    'previousVersions.parsed_resume.emails',
+    'previousVersions.parsed_resume.phones',
+    'parsed_resume_machine.emails',
+    'parsed_resume_machine.phones',
+  ],
+})
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,}$/
+
+/**
+ * Filters matching resumes whose email or phone equals the search term
+ * @returns {object[]} $or branches; empty when the term is neither
+ */
+resumeSchema.statics.contactLookupFilters = function (term) {
+  const value = String(term || '').trim()
+  let paths = []
+  if (EMAIL_PATTERN.test(value)) {
+    paths = ['parsed_resume.emails', 'extracted_text.contact.email']
+  } else if (PHONE_PATTERN.test(value)) {
+    paths = ['parsed_resume.phones', 'extracted_text.contact.phone']
+  }
+  return paths.map((path) => this.blindIndexFilter(path, value)).filter(Boolean)
+}
+
+/**
+ * Text of the resume's sections of the given types
+ * @returns {string|null} null when the resume has none of them
+ */
+resumeSchema.methods.getSectionText = function (...types) {
+  return getSectionText(this.raw_text || '', this.sections, ...types)
+}
+
 const Resume = mongoose.model('Resume', resumeSchema)
 
 export default Resume
@@ -0,0 +1,91 @@
+/**
+ * Session Model
+ * One record per signed-in device. The session id doubles as the refresh
+ * token family: every refresh rotates the token, and presenting an already
+ * rotated token revokes the whole session (see services/sessionService.js).
+ */
+
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+
+  // SHA-256 of the current refresh token (never the token itself)
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  // Token replaced by the last rotation, accepted briefly for concurrent refreshes
+  previousTokenHash: {
+    type: String,
+    default: null,
+  },
+  rotatedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Device details
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  device: {
+    type: String,
+    default: 'Unknown device',
+  },
+  ipAddress: {
+    type: String,
+    default: '',
+  },
+
+  // Sign-in context carried onto every access token from this session
+  authTime: {
+    type: Date,
+    required: true,
+  },
+  mfa: {
+    type: Boolean,
+    default: false,
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'signout_all', 'reuse_detected', 'password_change', null],
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// TTL index: sessions are removed once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -1,5 +1,25 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import encryptedFields from './plugins/encryptedFields.js';
+
+export const OAUTH_PROVIDERS = ['google', 'github', 'linkedin'];
+
+// Linked social login account (one per provider)
+const oauthAccountSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  email: { type: String, default: null },
+  displayName: { type: String, default: null },
+  avatar: { type: String, default: null },
+  profileUrl: { type: String, default: null },
+  connectedAt: { type: Date, default: Date.now },
+  lastLogin: { type: Date, default: null }
+}, { _id: false });
+
+// One-time 2FA recovery code (only the hash is stored)
+const recoveryCodeSchema = new mongoose.Schema({
+  codeHash: { type: String, required: true },
+  usedAt: { type: Date, default: null }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -19,7 +39,8 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts created through social login may not have a password yet
+    required: [function() { return !this.hasOAuthLogin(); }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't return password in queries by default
   },
@@ -51,12 +72,27 @@ const userSchema = new mongoose.Schema({
     portfolio: { type: String, default: null },
     twitter: { type: String, default: null }
   },
+  oauth: {
+    google: { type: oauthAccountSchema, default: undefined },
+    github: { type: oauthAccountSchema, default: undefined },
+    linkedin: { type: oauthAccountSchema, default: undefined }
+  },
   preferences: {
     emailNotifications: { type: Boolean, default: true },
     jobAlerts: { type: Boolean, default: true },
     newsletter: { type: Boolean, default: false },
     theme: { type: String, enum: ['light', 'dark', 'auto'], default: 'auto' },
-    twoFactorEnabled: { type: Boolean, default: false }
+    twoFactorEnabled: { type: Boolean, default: false },
+    // How the second factor is delivered: emailed code or authenticator app
+    twoFactorMethod: { type: String, enum: ['email', 'totp'], default: 'email' }
+  },
+  // Authenticator app (TOTP) enrollment and recovery codes (see services/twoFactorService.js)
+  twoFactor: {
+    totpSecret: { type: String, default: null, select: false },
+    pendingTotpSecret: { type: String, default: null, select: false },
+    totpEnabledAt: { type: Date, default: null },
+    totpLastUsedStep: { type: Number, default: null, select: false },
+    recoveryCodes: { type: [recoveryCodeSchema], default: [], select: false }
   },
   stats: {
     resumesUploaded: { type: Number, default: 0 },
@@ -69,9 +105,28 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
-  refreshToken: {
-    type: String,
-    select: false
+  // Organization security policy state (see services/orgSecurityService.js)
+  security: {
+    passwordCheckedAt: { type: Date, default: null },
+    passwordPolicyViolations: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Organization' }],
+    // Progressive lockout after failed logins (see services/loginSecurityService.js)
+    failedLoginAttempts: { type: Number, default: 0 },
+    lastFailedLoginAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null }
+  },
+  // Organizations whose recruiters may not find or view this candidate (see services/consentService.js)
+  privacy: {
+    blockedOrganizations: [{
+      organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+      name: { type: String, default: null },
+      blockedAt: { type: Date, default: Date.now }
+    }]
+  },
+  // Scheduled account deletion (see services/accountDeletionService.js)
+  deletion: {
+    requestedAt: { type: Date, default: null },
+    scheduledFor: { type: Date, default: null, index: true },
+    reason: { type: String, default: null }
   },
   isEmailVerified: {
     type: Boolean,
@@ -105,6 +160,15 @@ const userSchema = new mongoose.Schema({
 // Indexes for performance (email index already created by unique: true)
 userSchema.index({ createdAt: -1 });
 userSchema.index({ lastLoginAt: -1 });
+userSchema.index({ 'oauth.google.id': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'oauth.github.id': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'oauth.linkedin.id': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'privacy.blockedOrganizations.organizationId': 1 });
+
+// The phone number is encrypted at rest and looked up through its blind index
+userSchema.plugin(encryptedFields, {
+  fields: [{ path: 'phone', blindIndex: 'blind_index.phone', normalize: 'phone' }]
+});
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -124,6 +188,11 @@ userSchema.pre('save', async function(next) {
 
 // Method to compare password for login
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Social-only accounts have no password to compare against
+  if (!this.password) {
+    return false;
+  }
+
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
@@ -131,6 +200,16 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Method to list linked social login providers
+userSchema.methods.getLinkedProviders = function() {
+  return OAUTH_PROVIDERS.filter(provider => this.oauth?.[provider]?.id);
+};
+
+// Method to check whether the user can sign in with a social provider
+userSchema.methods.hasOAuthLogin = function() {
+  return this.getLinkedProviders().length > 0;
+};
+
 // Method to get public profile (without sensitive data)
 userSchema.methods.getPublicProfile = function() {
   return {
@@ -145,8 +224,11 @@ userSchema.methods.getPublicProfile = function() {
     location: this.location,
     social_links: this.social_links,
     preferences: this.preferences,
+    isEmailVerified: this.isEmailVerified,
+    linkedProviders: this.getLinkedProviders(),
     stats: this.stats,
     lastLoginAt: this.lastLoginAt,
+    deletionScheduledFor: this.deletion?.scheduledFor || null,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
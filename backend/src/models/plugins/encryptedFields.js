@@ -0,0 +1,260 @@
+import {
+  blindIndex,
+  decryptValue,
+  encryptValue,
+  getCurrentKeyVersion,
+  getKeyVersion,
+} from '../../utils/fieldEncryption.js';
+
+/**
+ * Encrypted fields plugin
+ * Transparent field-level encryption (utils/fieldEncryption.js) of string and
+ * string array paths, with optional blind indexes for equality lookups:
+ *
+ *   schema.plugin(encryptedFields, {
+ *     fields: [
+ *       'raw_text',
+ *       { path: 'parsed_resume.emails', blindIndex: 'blind_index.emails', normalize: 'email' },
+ *     ],
+ *   });
+ *
+ * Values are encrypted on save and in updateOne/updateMany/findOneAndUpdate
+ * ($set, $setOnInsert, $push, $addToSet or replacing a parent object), and
+ * decrypted when documents are loaded, lean queries included. Paths may run
+ * through arrays and Mixed objects ('previousVersions.parsed_resume.emails').
+ *
+ * Encrypted paths cannot be filtered on; query the blind index through
+ * Model.blindIndexFilter() instead. Aggregations and the raw collection see
+ * ciphertext.
+ */
+
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+const READ_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace'];
+const ARRAY_OPERATORS = ['$push', '$addToSet'];
+// Positional segments of an update path ("0", "$", "$[]", "$[element]")
+const POSITIONAL_SEGMENT = /^(\d+|\$(\[\w*\])?)$/;
+
+/**
+ * Replace every value at the path with fn(value), walking through arrays
+ * @returns {boolean} whether anything changed
+ */
+const mapPath = (node, segments, fn) => {
+  if (!node || typeof node !== 'object') {
+    return false;
+  }
+  if (Array.isArray(node)) {
+    return node.reduce((changed, item) => mapPath(item, segments, fn) || changed, false);
+  }
+
+  const [key, ...rest] = segments;
+  const value = node[key];
+  if (rest.length > 0) {
+    return mapPath(value, rest, fn);
+  }
+
+  if (Array.isArray(value)) {
+    let changed = false;
+    value.forEach((item, index) => {
+      const next = fn(item);
+      if (next !== item) {
+        value[index] = next;
+        changed = true;
+      }
+    });
+    return changed;
+  }
+
+  const next = fn(value);
+  if (next === value) {
+    return false;
+  }
+  node[key] = next;
+  return true;
+};
+
+const collectPath = (node, segments) => {
+  const values = [];
+  mapPath(node, segments, (value) => {
+    values.push(value);
+    return value;
+  });
+  return values;
+};
+
+const hashValues = (values, normalize) => {
+  return [...new Set(values.map(value => blindIndex(value, normalize)).filter(Boolean))];
+};
+
+// Encrypt a value assigned to the field path itself
+const encryptAssigned = (value) => {
+  return Array.isArray(value) ? value.map(encryptValue) : encryptValue(value);
+};
+
+// Nested object for schema.add() from a dotted path
+const nestedDefinition = (path, definition) => {
+  return path.split('.').reduceRight((child, segment) => ({ [segment]: child }), definition);
+};
+
+export default function encryptedFields(schema, options = {}) {
+  const fields = (options.fields || []).map((field) => {
+    const config = typeof field === 'string' ? { path: field } : field;
+    return {
+      path: config.path,
+      segments: config.path.split('.'),
+      blindIndex: config.blindIndex || null,
+      normalize: config.normalize || 'text',
+    };
+  });
+
+  fields.filter(field => field.blindIndex).forEach((field) => {
+    schema.add(nestedDefinition(field.blindIndex, { type: [String], default: undefined, select: false }));
+    schema.index({ [field.blindIndex]: 1 });
+  });
+
+  const decryptObject = (object) => {
+    fields.forEach(field => mapPath(object, field.segments, decryptValue));
+  };
+
+  // Decrypt a hydrated document without leaving the decrypted paths marked as modified
+  const decryptDocument = (doc) => {
+    const modifiedBefore = new Set(doc.directModifiedPaths());
+    decryptObject(doc);
+    doc.directModifiedPaths()
+      .filter(path => !modifiedBefore.has(path))
+      .forEach(path => doc.unmarkModified(path));
+  };
+
+  /**
+   * Encrypt the assignments of one update target ($set, $setOnInsert or the
+   * update itself) and write the matching blind indexes next to them
+   */
+  const encryptAssignments = (target) => {
+    Object.keys(target).filter(key => !key.startsWith('$')).forEach((key) => {
+      const logicalPath = key.split('.').filter(segment => !POSITIONAL_SEGMENT.test(segment)).join('.');
+
+      fields.forEach((field) => {
+        if (logicalPath === field.path) {
+          if (field.blindIndex) {
+            if (key !== logicalPath) {
+              throw new Error(`Update ${field.path} as a whole so that its blind index stays current`);
+            }
+            target[field.blindIndex] = hashValues([].concat(target[key] ?? []), field.normalize);
+          }
+          target[key] = encryptAssigned(target[key]);
+        } else if (field.path.startsWith(`${logicalPath}.`)) {
+          const rest = field.path.slice(logicalPath.length + 1).split('.');
+          if (field.blindIndex && key === logicalPath) {
+            target[field.blindIndex] = hashValues(collectPath(target[key], rest), field.normalize);
+          }
+          mapPath(target[key], rest, encryptValue);
+        }
+      });
+    });
+  };
+
+  const encryptArrayOperators = (update) => {
+    ARRAY_OPERATORS.filter(operator => update[operator]).forEach((operator) => {
+      const target = update[operator];
+      fields.filter(field => target[field.path] !== undefined).forEach((field) => {
+        const value = target[field.path];
+        const items = value?.$each ? value.$each : [value];
+
+        if (field.blindIndex) {
+          target[field.blindIndex] = { $each: hashValues(items, field.normalize) };
+        }
+        if (value?.$each) {
+          value.$each = items.map(encryptValue);
+        } else {
+          target[field.path] = encryptValue(value);
+        }
+      });
+    });
+  };
+
+  schema.pre('init', function (raw) {
+    decryptObject(raw);
+  });
+
+  schema.pre('save', function () {
+    fields.forEach((field) => {
+      if (!this.isNew && !this.isModified(field.path)) {
+        return;
+      }
+      if (field.blindIndex) {
+        this.set(field.blindIndex, hashValues(collectPath(this, field.segments), field.normalize));
+      }
+      // Mixed values inside the path are not change-tracked, so mark the top level
+      if (mapPath(this, field.segments, encryptValue)) {
+        this.markModified(field.segments[0]);
+      }
+    });
+  });
+
+  schema.post('save', function (doc) {
+    decryptDocument(doc);
+  });
+
+  // Failed saves must not leave ciphertext in the in-memory document either
+  schema.post('save', function (error, doc, next) {
+    decryptDocument(doc);
+    next(error);
+  });
+
+  schema.pre(UPDATE_QUERIES, function () {
+    const update = this.getUpdate();
+    if (!update) {
+      return;
+    }
+
+    encryptAssignments(update);
+    ['$set', '$setOnInsert'].filter(operator => update[operator]).forEach((operator) => {
+      encryptAssignments(update[operator]);
+    });
+    encryptArrayOperators(update);
+  });
+
+  schema.post(READ_QUERIES, function (result) {
+    if (!result || !this.mongooseOptions().lean) {
+      return;
+    }
+    [].concat(result).forEach(decryptObject);
+  });
+
+  /**
+   * Filter matching documents whose encrypted field equals value
+   * @returns {object|null} null when the value is empty after normalizing
+   */
+  schema.statics.blindIndexFilter = function (path, value) {
+    const field = fields.find(candidate => candidate.path === path);
+    if (!field?.blindIndex) {
+      throw new Error(`${path} has no blind index`);
+    }
+
+    const hash = blindIndex(value, field.normalize);
+    return hash ? { [field.blindIndex]: hash } : null;
+  };
+
+  /**
+   * Whether a raw stored document still has plaintext, values encrypted with
+   * an older key version, or missing blind indexes
+   */
+  schema.statics.needsEncryption = function (raw) {
+    const currentVersion = getCurrentKeyVersion();
+
+    return fields.some((field) => {
+      const values = collectPath(raw, field.segments).filter(value => typeof value === 'string' && value !== '');
+      if (values.some(value => getKeyVersion(value) !== currentVersion)) {
+        return true;
+      }
+      return Boolean(field.blindIndex) && values.length > 0 && !collectPath(raw, field.blindIndex.split('.')).some(Boolean);
+    });
+  };
+
+  /**
+   * Mark every encrypted path modified so that the next save re-encrypts it
+   * with the current key and recomputes its blind index
+   */
+  schema.methods.markEncryptedFieldsModified = function () {
+    fields.forEach(field => this.markModified(field.segments[0]));
+  };
+}
@@ -0,0 +1,147 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { blindIndex, decryptValue, isEncrypted } from '../../utils/fieldEncryption.js';
+import encryptedFields from './encryptedFields.js';
+
+process.env.FIELD_ENCRYPTION_KEY = process.env.FIELD_ENCRYPTION_KEY || 'test-field-key';
+
+const schema = new mongoose.Schema({
+  name: String,
+  contact: {
+    email: String,
+    phones: [String],
+  },
+  notes: [String],
+});
+schema.plugin(encryptedFields, {
+  fields: [
+    { path: 'contact.email', blindIndex: 'blind_index.email', normalize: 'email' },
+    { path: 'contact.phones', blindIndex: 'blind_index.phones', normalize: 'phone' },
+    'notes',
+  ],
+});
+const Contact = mongoose.model('EncryptedFieldsTestContact', schema);
+
+// What reached the collection, as the database would store it
+let stored;
+let updates;
+
+beforeEach(() => {
+  stored = null;
+  updates = [];
+  mock.method(Contact.collection, 'insertOne', async (doc) => {
+    stored = structuredClone(doc);
+    return { acknowledged: true, insertedId: doc._id };
+  });
+  mock.method(Contact.collection, 'findOne', async () => structuredClone(stored));
+  mock.method(Contact.collection, 'updateOne', async (filter, update) => {
+    updates.push(update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const saveContact = async () => {
+  const contact = new Contact({
+    name: 'Casey',
+    contact: { email: 'Casey@Example.com', phones: ['+1 555 0100'] },
+    notes: ['Met at the career fair'],
+  });
+  await contact.save();
+  return contact;
+};
+
+describe('saving', () => {
+  test('stores ciphertext and blind indexes and keeps the document readable', async () => {
+    const contact = await saveContact();
+
+    assert.ok(isEncrypted(stored.contact.email));
+    assert.ok(stored.contact.phones.every(isEncrypted));
+    assert.ok(isEncrypted(stored.notes[0]));
+    assert.equal(stored.name, 'Casey');
+    assert.equal(decryptValue(stored.contact.email), 'Casey@Example.com');
+    assert.deepEqual(stored.blind_index.email, [blindIndex('casey@example.com', 'email')]);
+    assert.deepEqual(stored.blind_index.phones, [blindIndex('15550100', 'phone')]);
+
+    assert.equal(contact.contact.email, 'Casey@Example.com');
+    assert.deepEqual([...contact.notes], ['Met at the career fair']);
+    assert.equal(contact.isModified(), false);
+  });
+});
+
+describe('reading', () => {
+  test('decrypts hydrated and lean results', async () => {
+    await saveContact();
+
+    const hydrated = await Contact.findOne({});
+    assert.equal(hydrated.contact.email, 'Casey@Example.com');
+    assert.deepEqual([...hydrated.contact.phones], ['+1 555 0100']);
+    assert.equal(hydrated.isModified(), false);
+
+    const lean = await Contact.findOne({}).lean();
+    assert.equal(lean.contact.email, 'Casey@Example.com');
+    assert.deepEqual(lean.notes, ['Met at the career fair']);
+  });
+
+  test('finds documents by blind index regardless of formatting', async () => {
+    await saveContact();
+
+    assert.deepEqual(Contact.blindIndexFilter('contact.email', ' CASEY@example.com'), {
+      'blind_index.email': stored.blind_index.email[0],
+    });
+    assert.equal(Contact.blindIndexFilter('contact.email', '  '), null);
+    assert.throws(() => Contact.blindIndexFilter('notes', 'x'), /has no blind index/);
+  });
+});
+
+describe('updating', () => {
+  test('encrypts $set values and refreshes their blind index', async () => {
+    await Contact.updateOne({ name: 'Casey' }, { $set: { 'contact.email': 'new@example.com', name: 'Casey Q' } });
+
+    const { $set } = updates[0];
+    assert.ok(isEncrypted($set['contact.email']));
+    assert.equal(decryptValue($set['contact.email']), 'new@example.com');
+    assert.deepEqual($set['blind_index.email'], [blindIndex('new@example.com', 'email')]);
+    assert.equal($set.name, 'Casey Q');
+  });
+
+  test('encrypts values inside a replaced parent object', async () => {
+    await Contact.updateOne({}, { $set: { contact: { email: 'casey@example.com', phones: ['555 0101'] } } });
+
+    const { $set } = updates[0];
+    assert.ok(isEncrypted($set.contact.email));
+    assert.ok(isEncrypted($set.contact.phones[0]));
+    assert.deepEqual($set['blind_index.phones'], [blindIndex('5550101', 'phone')]);
+  });
+
+  test('encrypts pushed values and adds them to the blind index', async () => {
+    await Contact.updateOne({}, { $push: { 'contact.phones': { $each: ['555 0102'] }, notes: 'Follow up in May' } });
+
+    const { $push } = updates[0];
+    assert.ok(isEncrypted($push['contact.phones'].$each[0]));
+    assert.deepEqual($push['blind_index.phones'], { $each: [blindIndex('5550102', 'phone')] });
+    assert.ok(isEncrypted($push.notes));
+  });
+
+  test('refuses positional updates that would leave a blind index stale', async () => {
+    await assert.rejects(
+      Contact.updateOne({}, { $set: { 'contact.phones.0': '555 0103' } }),
+      /Update contact.phones as a whole/
+    );
+  });
+});
+
+describe('needsEncryption', () => {
+  test('flags plaintext and missing blind indexes', async () => {
+    await saveContact();
+
+    assert.equal(Contact.needsEncryption(stored), false);
+    assert.equal(Contact.needsEncryption({ ...stored, notes: ['plaintext note'] }), true);
+    assert.equal(Contact.needsEncryption({ ...stored, blind_index: {} }), true);
+    assert.equal(Contact.needsEncryption({ ...stored, blind_index: undefined }), true);
+  });
+});
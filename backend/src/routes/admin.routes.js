@@ -0,0 +1,245 @@
+/**
+ * Admin Routes
+ * Platform administration (admin role only)
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { requireAdmin } from '../middleware/subscriptionMiddleware.js';
+import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.js';
+import { unlockAccount } from '../services/loginSecurityService.js';
+import { getCorrectionReport } from '../services/parseCorrectionService.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(requireAuth, requireAdmin);
+
+const MAX_HOURS = 24 * 30;
+const MAX_USERS = 200;
+const MAX_REPORT_DAYS = 365;
+
+const parsePositiveInt = (value, fallback, max) => {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 1) {
+    return fallback;
+  }
+  return Math.min(parsed, max);
+};
+
+const getLockoutState = (user) => ({
+  failedLoginAttempts: user.security?.failedLoginAttempts || 0,
+  lastFailedLoginAt: user.security?.lastFailedLoginAt || null,
+  lockedUntil: user.security?.lockedUntil || null,
+  locked: Boolean(user.security?.lockedUntil && user.security.lockedUntil > new Date())
+});
+
+/**
+ * @route   GET /api/admin/security/suspicious-activity
+ * @desc    Users flagged by AuditLog.detectSuspiciousActivity within the window
+ *          (?hours=24, ?limit=50, ?all=true to include users that were not flagged)
+ * @access  Private (Admin)
+ */
+router.get('/security/suspicious-activity', async (req, res) => {
+  try {
+    const hours = parsePositiveInt(req.query.hours, 24, MAX_HOURS);
+    const limit = parsePositiveInt(req.query.limit, 50, MAX_USERS);
+    const includeAll = req.query.all === 'true';
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    // Narrow down to users with any failed sign-in, export or several IPs
+    // before running the per-user detection
+    const candidates = await AuditLog.aggregate([
+      { $match: { userId: { $ne: null }, timestamp: { $gte: since } } },
+      {
+        $group: {
+          _id: '$userId',
+          failedLogins: {
+            $sum: { $cond: [{ $and: [{ $eq: ['$action', 'USER_LOGIN'] }, { $eq: ['$status', 'failure'] }] }, 1, 0] }
+          },
+          dataExports: {
+            $sum: { $cond: [{ $in: ['$action', ['CANDIDATE_EXPORT', 'RESUME_DOWNLOAD', 'BULK_EXPORT']] }, 1, 0] }
+          },
+          ips: { $addToSet: '$ipAddress' },
+          lastActivityAt: { $max: '$timestamp' }
+        }
+      },
+      {
+        $match: includeAll
+          ? {}
+          : { $or: [{ failedLogins: { $gt: 0 } }, { dataExports: { $gt: 0 } }, { 'ips.1': { $exists: true } }] }
+      },
+      { $sort: { failedLogins: -1, lastActivityAt: -1 } },
+      { $limit: limit }
+    ]);
+
+    const users = await User.find({ _id: { $in: candidates.map(candidate => candidate._id) } })
+      .select('name email role isActive security')
+      .lean();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const results = [];
+    for (const candidate of candidates) {
+      const activity = await AuditLog.detectSuspiciousActivity(candidate._id, hours);
+      if (!includeAll && !activity.suspicious) {
+        continue;
+      }
+
+      const user = usersById.get(candidate._id.toString());
+      results.push({
+        userId: candidate._id,
+        name: user?.name || null,
+        email: user?.email || null,
+        role: user?.role || null,
+        isActive: user?.isActive ?? null,
+        lastActivityAt: candidate.lastActivityAt,
+        lockout: user ? getLockoutState(user) : null,
+        ...activity
+      });
+    }
+
+    res.json({
+      success: true,
+      hours,
+      count: results.length,
+      users: results
+    });
+  } catch (error) {
+    logger.error('Suspicious activity report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load suspicious activity'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/security/users/:userId
+ * @desc    Suspicious-activity check, recent sign-ins and lockout state for one user
+ * @access  Private (Admin)
+ */
+router.get('/security/users/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(userId).select('name email role isActive security').lean();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const hours = parsePositiveInt(req.query.hours, 24, MAX_HOURS);
+    const [activity, recentLogins] = await Promise.all([
+      AuditLog.detectSuspiciousActivity(user._id, hours),
+      AuditLog.find({ userId: user._id, action: 'USER_LOGIN' })
+        .sort({ timestamp: -1 })
+        .limit(50)
+        .select('timestamp status errorMessage ipAddress userAgent metadata')
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isActive: user.isActive
+      },
+      hours,
+      activity,
+      lockout: getLockoutState(user),
+      recentLogins
+    });
+  } catch (error) {
+    logger.error('User security report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load user security details'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/security/users/:userId/unlock
+ * @desc    Clear a sign-in lockout
+ * @access  Private (Admin)
+ */
+router.post('/security/users/:userId/unlock', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const unlocked = await unlockAccount(userId);
+    if (!unlocked) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await AuditLog.logRequest(req, {
+      action: 'USER_UPDATE',
+      resourceType: 'User',
+      resourceId: userId,
+      metadata: { unlockedAccount: true }
+    });
+    logger.info(`Account ${userId} unlocked by admin ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+  } catch (error) {
+    logger.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/parse-corrections/report
+ * @desc    Frequent candidate corrections of parsed resumes and the skillDictionary /
+ *          SKILLS_CANONICAL entries they suggest (?days=90, ?minUsers=2, ?limit=50)
+ * @access  Private (Admin)
+ */
+router.get('/parse-corrections/report', async (req, res) => {
+  try {
+    const report = await getCorrectionReport({
+      days: parsePositiveInt(req.query.days, 90, MAX_REPORT_DAYS),
+      minUsers: parsePositiveInt(req.query.minUsers, 2, MAX_USERS),
+      limit: parsePositiveInt(req.query.limit, 50, MAX_USERS)
+    });
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    logger.error('Parse correction report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build the correction report'
+    });
+  }
+});
+
+export default router;
@@ -2,27 +2,96 @@ import express from 'express';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import { logger } from '../utils/logger.js';
-import { optionalAuth, requireAuth } from '../middleware/authMiddleware.js';
-import { authLimiter } from '../middleware/securityMiddleware.js';
+import { optionalAuth, requireAuth, requireVerifiedEmail } from '../middleware/authMiddleware.js';
+import { authLimiter, otpLimiter } from '../middleware/securityMiddleware.js';
+import {
+  sendEmailVerificationOTP,
+  verifyEmailOTP,
+  sendPasswordResetOTP,
+  verifyPasswordResetOTP
+} from '../services/otpService.js';
+import { issueAuthTokens, rotateRefreshToken } from '../services/tokenService.js';
+import { listSessions, revokeSession, revokeAllSessions } from '../services/sessionService.js';
+import {
+  checkPasswordForUser,
+  recordPasswordCheck,
+  describeViolations,
+  getLoginRequirements
+} from '../services/orgSecurityService.js';
+import { acceptInvitation } from '../services/invitationService.js';
+import {
+  getTwoFactorStatus,
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  regenerateRecoveryCodes,
+  setTwoFactorMethod,
+  removeTotp,
+  startTwoFactorChallenge,
+  verifyTwoFactorCode
+} from '../services/twoFactorService.js';
+import {
+  assertNotLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  auditAccountEvent
+} from '../services/loginSecurityService.js';
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+// Respond with a service error (AppError carries status and code)
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (!error.isOperational) {
+    logger.error(fallbackMessage, error);
+    return res.status(500).json({
+      success: false,
+      message: fallbackMessage
+    });
+  }
+
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    code: error.code
+  });
 };
 
-// Generate refresh token (30 days)
-const generateRefreshToken = (userId) => {
-  return jwt.sign(
-    { userId, type: 'refresh' },
-    process.env.JWT_SECRET,
-    { expiresIn: '30d' }
-  );
+// Accept an organization invitation passed to register/login; a bad invite
+// never fails the sign-in itself, the reason is returned alongside it
+const joinInvitedOrganization = async (req, user, inviteToken) => {
+  if (!inviteToken) {
+    return {};
+  }
+
+  req.user = user;
+  try {
+    const membership = await acceptInvitation(req, String(inviteToken));
+    return { joinedOrganization: membership };
+  } catch (error) {
+    if (!error.isOperational) {
+      logger.error(`Failed to accept invitation for ${user.email}:`, error);
+    }
+    return {
+      invitationError: {
+        message: error.isOperational ? error.message : 'Failed to accept invitation',
+        code: error.code || null
+      }
+    };
+  }
+};
+
+// Same response whether or not the account exists, to avoid email enumeration
+const GENERIC_OTP_MESSAGE = 'If an account exists for this email, a code has been sent';
+
+// Send an OTP from a public endpoint; only existing accounts can be in their
+// resend cooldown, so it is swallowed to keep the generic response
+const sendOtpQuietly = async (send) => {
+  try {
+    await send();
+  } catch (error) {
+    if (error.code !== 'OTP_COOLDOWN') {
+      throw error;
+    }
+  }
 };
 
 /**
@@ -32,7 +101,7 @@ const generateRefreshToken = (userId) => {
  */
 router.post('/register', async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role, inviteToken } = req.body;
 
     // Validation
     if (!name || !email || !password) {
@@ -60,47 +129,64 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // Create user with verified email by default
+    // Create user; email must be verified via OTP before sensitive actions
     const user = new User({
       name: name.trim(),
       email: email.trim().toLowerCase(),
       password,
       role: userRole,
-      isEmailVerified: true // Auto-verify for simplified auth
+      isEmailVerified: false
     });
 
     await user.save();
 
     // Calculate initial profile completeness
     user.calculateProfileCompleteness();
-    await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Invitation links also prove ownership of the email address
+    const invitation = await joinInvitedOrganization(req, user, inviteToken);
 
-    const refreshToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    // Check the password against the policy of any organization just joined
+    const { violations } = await checkPasswordForUser(user._id, password);
+    recordPasswordCheck(user, violations);
+
+    // Generate tokens (also saves the policy check)
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+
+    // Send verification code (registration still succeeds if delivery fails)
+    let verificationSent = false;
+    if (!user.isEmailVerified) {
+      try {
+        await sendEmailVerificationOTP(user.email, user.name);
+        verificationSent = true;
+      } catch (otpError) {
+        logger.warn(`Could not send verification code to ${user.email}: ${otpError.message}`);
+      }
+    }
 
     logger.info(`New user registered: ${user.email}`);
 
     res.status(201).json({
       success: true,
-      message: 'Registration successful!',
+      message: user.isEmailVerified
+        ? 'Registration successful!'
+        : 'Registration successful! Please verify your email.',
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
       },
       token,
-      refreshToken
+      refreshToken,
+      requiresVerification: !user.isEmailVerified,
+      verificationSent,
+      ...invitation,
+      ...(violations.length > 0 && {
+        passwordUpdateRequired: true,
+        passwordPolicyViolations: describeViolations(violations)
+      })
     });
 
   } catch (error) {
@@ -129,7 +215,7 @@ router.post('/register', async (req, res) => {
  */
 router.post('/login', authLimiter, async (req, res) => {
   try {
-    const { email, password, otp } = req.body;
+    const { email, password, otp, inviteToken } = req.body;
 
     // Validation
     if (!email || !password) {
@@ -142,6 +228,7 @@ router.post('/login', authLimiter, async (req, res) => {
     // Find user (include password for comparison)
     const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
     if (!user) {
+      logger.warn(`Login failed for unknown email: ${email}`, { ip: req.ip });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -150,52 +237,109 @@ router.post('/login', authLimiter, async (req, res) => {
 
     // Check if user is active
     if (!user.isActive) {
+      await auditAccountEvent(req, user, 'USER_LOGIN', { status: 'failure', reason: 'account_deactivated' });
       return res.status(403).json({
         success: false,
         message: 'Your account has been deactivated. Please contact support.'
       });
     }
 
+    // Temporarily locked after repeated failures
+    try {
+      await assertNotLocked(req, user);
+    } catch (lockError) {
+      return sendServiceError(res, lockError, 'Login failed');
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const { lockedUntil } = await recordFailedLogin(req, user, 'invalid_password');
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password'
+        message: lockedUntil
+          ? 'Invalid email or password. Too many failed attempts, your account is temporarily locked.'
+          : 'Invalid email or password'
       });
     }
 
-    // TEMPORARY: Email verification disabled until SMTP is configured
-    // Check if email is verified
-    // if (!user.isEmailVerified) {
-    //   return res.status(403).json({
-    //     success: false,
-    //     message: 'Please verify your email before logging in',
-    //     requiresVerification: true
-    //   });
-    // }
+    // Email verification gates sensitive actions (see requireVerifiedEmail), not login
+
+    // Organizations can require MFA for all members, even without 2FA enabled
+    const { organizations, requireMFA, mfaOrganizations } = await getLoginRequirements(user._id);
+    const requires2FA = user.preferences?.twoFactorEnabled || requireMFA;
+
+    if (requireMFA && !user.preferences?.twoFactorEnabled) {
+      logger.info(`Org security: 2FA enforced at login for ${user.email} by ${mfaOrganizations.join(', ')}`);
+    }
+
+    // Two-factor authentication: issue a challenge first, then accept the code
+    let secondFactor = null;
+    if (requires2FA) {
+      if (!otp) {
+        let challenge;
+        try {
+          challenge = await startTwoFactorChallenge(user);
+        } catch (otpError) {
+          return sendServiceError(res, otpError, 'Failed to send login code');
+        }
+
+        logger.info(`2FA challenge (${challenge.method}) issued for: ${user.email}`);
 
-    // Simple authentication - no 2FA
+        return res.json({
+          success: true,
+          requires2FA: true,
+          method: challenge.method,
+          message: challenge.message,
+          email: user.email
+        });
+      }
+
+      try {
+        secondFactor = await verifyTwoFactorCode(user, otp);
+      } catch (otpError) {
+        if (['OTP_INVALID', 'OTP_ATTEMPTS_EXCEEDED'].includes(otpError.code)) {
+          await recordFailedLogin(req, user, 'invalid_2fa', { method: user.preferences?.twoFactorMethod });
+        }
+        return sendServiceError(res, otpError, 'Failed to verify login code');
+      }
+    }
+
+    // Join before the policy check so the new organization's policy applies
+    const invitation = await joinInvitedOrganization(req, user, inviteToken);
+
+    // Check the password against each organization's password policy
+    const { violations } = await checkPasswordForUser(
+      user._id,
+      password,
+      invitation.joinedOrganization ? null : organizations
+    );
+    recordPasswordCheck(user, violations);
 
     // Update last login
     user.lastLoginAt = new Date();
     
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
-
-    // Save refresh token
-    user.refreshToken = refreshToken;
-    await user.save();
+    // Start a session for this device (also saves the policy check and last login)
+    const { token, refreshToken } = await issueAuthTokens(user, req, { mfa: requires2FA });
 
     logger.info(`User logged in: ${user.email}`);
 
+    await recordSuccessfulLogin(req, user, { method: secondFactor?.method || 'password' });
+
     res.json({
       success: true,
       message: 'Login successful',
       user: user.getPublicProfile(),
       token,
-      refreshToken
+      refreshToken,
+      ...invitation,
+      ...(secondFactor?.method === 'recovery' && {
+        recoveryCodesRemaining: secondFactor.recoveryCodesRemaining
+      }),
+      ...(violations.length > 0 && {
+        passwordUpdateRequired: true,
+        passwordPolicyViolations: describeViolations(violations)
+      })
     });
 
   } catch (error) {
@@ -239,7 +383,7 @@ router.get('/me', requireAuth, async (req, res) => {
 
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh access token
+ * @desc    Rotate refresh token and issue a new access token
  * @access  Public (requires refresh token)
  */
 router.post('/refresh', async (req, res) => {
@@ -253,43 +397,382 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-    
-    if (decoded.type !== 'refresh') {
-      return res.status(401).json({
+    const tokens = await rotateRefreshToken(refreshToken, req);
+
+    res.json({
+      success: true,
+      token: tokens.token,
+      // Omitted when a concurrent request already rotated the token
+      ...(tokens.refreshToken && { refreshToken: tokens.refreshToken })
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Token refresh error');
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout user (revoke the current session)
+ * @access  Private
+ */
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    if (req.auth.sessionId) {
+      await revokeSession(req.user._id, req.auth.sessionId, 'logout').catch(() => null);
+    }
+
+    await auditAccountEvent(req, req.user, 'USER_LOGOUT', { metadata: { sessionId: req.auth.sessionId } });
+
+    logger.info(`User logged out: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Sign out everywhere (optionally keeping the current device)
+ * @access  Private
+ */
+router.post('/logout-all', requireAuth, async (req, res) => {
+  try {
+    const keepCurrent = req.body.keepCurrent === true;
+    const revoked = await revokeAllSessions(req.user._id, {
+      exceptSessionId: keepCurrent ? req.auth.sessionId : null,
+      reason: 'signout_all'
+    });
+
+    await auditAccountEvent(req, req.user, 'USER_LOGOUT', { metadata: { allSessions: true, keepCurrent, revoked } });
+
+    logger.info(`User signed out everywhere: ${req.user.email} (${revoked} session(s)${keepCurrent ? ', kept current' : ''})`);
+
+    res.json({
+      success: true,
+      message: keepCurrent ? 'Signed out of all other devices' : 'Signed out everywhere',
+      revoked
+    });
+
+  } catch (error) {
+    logger.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (one per signed-in device)
+ * @access  Private
+ */
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id, req.auth.sessionId);
+
+    res.json({
+      success: true,
+      sessions
+    });
+
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one session (sign out a device)
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', requireAuth, async (req, res) => {
+  try {
+    await revokeSession(req.user._id, req.params.sessionId, 'user_revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+      current: req.params.sessionId === req.auth.sessionId
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid token type'
+        message: 'Session not found'
       });
     }
+    sendServiceError(res, error, 'Revoke session error');
+  }
+});
 
-    // Find user and verify refresh token matches
-    const user = await User.findById(decoded.userId).select('+refreshToken');
-    
-    if (!user || user.refreshToken !== refreshToken) {
-      return res.status(401).json({
+/**
+ * @route   POST /api/auth/send-verification
+ * @desc    Send email verification OTP to the current user
+ * @access  Private
+ */
+router.post('/send-verification', requireAuth, otpLimiter, async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'Email is already verified'
       });
     }
 
-    // Generate new access token
-    const newToken = generateToken(user._id);
+    const result = await sendEmailVerificationOTP(req.user.email, req.user.name);
 
     res.json({
       success: true,
-      token: newToken
+      message: 'Verification code sent to your email',
+      expiresIn: result.expiresIn
     });
 
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({
+    sendServiceError(res, error, 'Failed to send verification code');
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Resend email verification OTP
+ * @access  Public
+ */
+router.post('/resend-verification', otpLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findByEmail(email.trim());
+
+    if (user && !user.isEmailVerified) {
+      await sendOtpQuietly(() => sendEmailVerificationOTP(user.email, user.name));
+    }
+
+    res.json({
+      success: true,
+      message: GENERIC_OTP_MESSAGE
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to resend verification code');
+  }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify email with OTP and sign the user in
+ * @access  Public
+ */
+router.post('/verify-email', otpLimiter, async (req, res) => {
+  try {
+    const { email, otp } = req.body;
+
+    if (!email || !otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and verification code are required'
+      });
+    }
+
+    const user = await User.findByEmail(email.trim());
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification request'
+      });
+    }
+
+    // The code only signs in the first verification; verified accounts use login
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email is already verified. Please sign in.',
+        code: 'EMAIL_ALREADY_VERIFIED'
+      });
+    }
+
+    await assertNotLocked(req, user);
+    await verifyEmailOTP(user.email, String(otp).trim());
+    user.isEmailVerified = true;
+
+    // The code proves the email address, not a second factor
+    const { requireMFA } = await getLoginRequirements(user._id);
+    if (user.preferences?.twoFactorEnabled || requireMFA) {
+      await user.save();
+      logger.info(`Email verified: ${user.email} (sign-in requires 2FA)`);
+      return res.json({
+        success: true,
+        message: 'Email verified. Please sign in to continue.',
+        requiresLogin: true
+      });
+    }
+
+    user.lastLoginAt = new Date();
+
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+
+    logger.info(`Email verified: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      user: user.getPublicProfile(),
+      token,
+      refreshToken
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to verify email');
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send password reset OTP (also used to resend)
+ * @access  Public
+ */
+router.post('/forgot-password', otpLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findByEmail(email.trim());
+
+    if (user && user.isActive) {
+      await sendOtpQuietly(() => sendPasswordResetOTP(user.email, user.name));
+    }
+
+    res.json({
+      success: true,
+      message: GENERIC_OTP_MESSAGE
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to send reset code');
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset password with OTP
+ * @access  Public
+ */
+router.post('/reset-password', otpLimiter, async (req, res) => {
+  try {
+    const { email, otp, newPassword } = req.body;
+
+    if (!email || !otp || !newPassword) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid or expired refresh token'
+        message: 'Email, reset code and new password are required'
       });
     }
 
-    logger.error('Token refresh error:', error);
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await User.findByEmail(email.trim());
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reset request'
+      });
+    }
+
+    await verifyPasswordResetOTP(user.email, String(otp).trim());
+
+    // Organization password policies (checked after the code so membership isn't revealed)
+    const { violations } = await checkPasswordForUser(user._id, newPassword);
+    if (violations.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet your organization\'s password policy. Please request a new code and choose a stronger password.',
+        code: 'ORG_PASSWORD_POLICY',
+        passwordPolicyViolations: describeViolations(violations)
+      });
+    }
+
+    user.password = newPassword;
+    recordPasswordCheck(user);
+    // Receiving the code proves ownership of the mailbox (and lifts any lockout)
+    user.isEmailVerified = true;
+    user.security.failedLoginAttempts = 0;
+    user.security.lockedUntil = null;
+    await user.save();
+
+    // Invalidate existing sessions
+    await revokeAllSessions(user._id, { reason: 'password_change' });
+
+    await auditAccountEvent(req, user, 'PASSWORD_RESET');
+
+    logger.info(`Password reset for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password reset successful. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to reset password');
+  }
+});
+
+/**
+ * @route   POST /api/auth/enable-2fa
+ * @desc    Enable email-based two-factor authentication
+ * @access  Private (verified email)
+ */
+router.post('/enable-2fa', requireAuth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    user.preferences.twoFactorEnabled = true;
+    await user.save();
+
+    logger.info(`2FA enabled for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Enable 2FA error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -298,32 +781,209 @@ router.post('/refresh', async (req, res) => {
 });
 
 /**
- * @route   POST /api/auth/logout
- * @desc    Logout user (invalidate refresh token)
+ * @route   POST /api/auth/disable-2fa
+ * @desc    Disable two-factor authentication (requires current password)
  * @access  Private
  */
-router.post('/logout', requireAuth, async (req, res) => {
+router.post('/disable-2fa', requireAuth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    
-    if (user) {
-      user.refreshToken = null;
-      await user.save();
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is required to disable two-factor authentication'
+      });
     }
 
-    logger.info(`User logged out: ${user?.email || req.user.userId}`);
+    const user = await User.findById(req.user.userId).select('+password');
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const { requireMFA, mfaOrganizations } = await getLoginRequirements(user._id);
+    if (requireMFA) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required by your organization (${mfaOrganizations.join(', ')})`,
+        code: 'ORG_REQUIRES_MFA'
+      });
+    }
+
+    // Also removes any authenticator app and recovery codes
+    const updated = await removeTotp(user._id);
+
+    logger.info(`2FA disabled for user: ${user.email}`);
 
     res.json({
       success: true,
-      message: 'Logged out successfully'
+      message: 'Two-factor authentication disabled',
+      user: updated.getPublicProfile()
     });
 
   } catch (error) {
-    logger.error('Logout error:', error);
+    logger.error('Disable 2FA error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during logout'
+      message: 'Server error'
+    });
+  }
+});
+
+// Confirm the current password for sensitive 2FA changes; responds and returns false on failure
+const confirmCurrentPassword = async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    res.status(400).json({
+      success: false,
+      message: 'Password is required'
+    });
+    return false;
+  }
+
+  const user = await User.findById(req.user.userId).select('+password');
+  if (!(await user.comparePassword(password))) {
+    res.status(400).json({
+      success: false,
+      message: 'Password is incorrect'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor settings: method, authenticator enrollment, recovery codes left
+ * @access  Private
+ */
+router.get('/2fa', requireAuth, async (req, res) => {
+  try {
+    const { mfaOrganizations } = await getLoginRequirements(req.user._id);
+    const twoFactor = await getTwoFactorStatus(req.user._id, mfaOrganizations);
+
+    res.json({
+      success: true,
+      twoFactor
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load two-factor settings');
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/totp/setup
+ * @desc    Start authenticator app setup (returns the secret and otpauth URI for a QR code)
+ * @access  Private (verified email)
+ */
+router.post('/2fa/totp/setup', requireAuth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { secret, otpauthUri } = await beginTotpEnrollment(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code or enter the key in your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to start authenticator setup');
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/totp/confirm
+ * @desc    Finish authenticator setup with a code; switches 2FA to the app and returns recovery codes
+ * @access  Private (verified email)
+ */
+router.post('/2fa/totp/confirm', requireAuth, requireVerifiedEmail, otpLimiter, async (req, res) => {
+  try {
+    const { user, recoveryCodes } = await confirmTotpEnrollment(req.user._id, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Authenticator app enabled. Save your recovery codes somewhere safe, they will not be shown again.',
+      user: user.getPublicProfile(),
+      recoveryCodes
     });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to confirm authenticator setup');
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/2fa/totp
+ * @desc    Remove the authenticator app (requires current password); login codes go back to email
+ * @access  Private
+ */
+router.delete('/2fa/totp', requireAuth, async (req, res) => {
+  try {
+    if (!(await confirmCurrentPassword(req, res))) return;
+
+    const user = await removeTotp(req.user._id, { keepEmail: true });
+
+    res.json({
+      success: true,
+      message: 'Authenticator app removed. Login codes will be sent by email.',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to remove authenticator app');
+  }
+});
+
+/**
+ * @route   PUT /api/auth/2fa/method
+ * @desc    Choose how login codes are delivered ('email' or 'totp'); enables 2FA
+ * @access  Private (verified email)
+ */
+router.put('/2fa/method', requireAuth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const user = await setTwoFactorMethod(req.user._id, req.body.method);
+
+    res.json({
+      success: true,
+      message: user.preferences.twoFactorMethod === 'totp'
+        ? 'Login codes will come from your authenticator app'
+        : 'Login codes will be sent by email',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update two-factor method');
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes (requires current password)
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', requireAuth, async (req, res) => {
+  try {
+    if (!(await confirmCurrentPassword(req, res))) return;
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Your previous codes no longer work.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to generate recovery codes');
   }
 });
 
@@ -0,0 +1,137 @@
+import { test, describe, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import Organization from '../models/Organization.js';
+import OrganizationInvitation from '../models/OrganizationInvitation.js';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import emailService from '../services/emailService.js';
+import { createMemoryOTPStore, setOTPStore } from '../services/otpStore.js';
+import authRoutes from './auth.routes.js';
+
+/**
+ * Public OTP endpoints must answer the same way for known and unknown emails;
+ * sign-up checks the password against organizations joined by invitation
+ */
+
+const accounts = {
+  'pending@example.com': { email: 'pending@example.com', name: 'Pending', isEmailVerified: false, isActive: true },
+  'active@example.com': { email: 'active@example.com', name: 'Active', isEmailVerified: true, isActive: true },
+};
+
+let server;
+let baseUrl;
+
+const post = async (path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  mock.method(User, 'findByEmail', async (email) => accounts[email.toLowerCase()] || null);
+  mock.method(emailService, 'sendEmail', async () => ({ success: true }));
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+beforeEach(() => {
+  setOTPStore(createMemoryOTPStore());
+});
+
+describe('POST /api/auth/resend-verification', () => {
+  test('a repeated request for an existing account looks like an unknown email', async () => {
+    const unknown = await post('/api/auth/resend-verification', { email: 'nobody@example.com' });
+    const first = await post('/api/auth/resend-verification', { email: 'pending@example.com' });
+    const second = await post('/api/auth/resend-verification', { email: 'pending@example.com' });
+
+    assert.equal(unknown.status, 200);
+    assert.deepEqual(first, unknown);
+    assert.deepEqual(second, unknown);
+  });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  test('a repeated request for an existing account looks like an unknown email', async () => {
+    const unknown = await post('/api/auth/forgot-password', { email: 'nobody@example.com' });
+    const first = await post('/api/auth/forgot-password', { email: 'active@example.com' });
+    const second = await post('/api/auth/forgot-password', { email: 'active@example.com' });
+
+    assert.equal(unknown.status, 200);
+    assert.deepEqual(first, unknown);
+    assert.deepEqual(second, unknown);
+  });
+});
+
+describe('POST /api/auth/verify-email', () => {
+  test('issues no tokens for an account that is already verified', async () => {
+    const response = await post('/api/auth/verify-email', { email: 'active@example.com', otp: '000000' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'EMAIL_ALREADY_VERIFIED');
+    assert.equal(response.body.token, undefined);
+    assert.equal(response.body.refreshToken, undefined);
+  });
+});
+
+describe('POST /api/auth/register with an invitation', () => {
+  test('checks the password against the policy of the organization just joined', async (t) => {
+    const organization = new Organization({
+      name: 'Acme',
+      slug: 'acme',
+      owner: new mongoose.Types.ObjectId(),
+      settings: { security: { passwordPolicy: { minLength: 16 } } },
+    });
+    const invitation = new OrganizationInvitation({
+      organizationId: organization._id,
+      email: 'new@example.com',
+      role: 'recruiter',
+      tokenHash: 'hash',
+      invitedBy: organization.owner,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    let savedUser;
+    t.mock.method(User.prototype, 'save', async function() {
+      savedUser = this;
+      return this;
+    });
+    t.mock.method(OrganizationInvitation, 'findOne', async () => invitation);
+    t.mock.method(OrganizationInvitation.prototype, 'save', async function() { return this; });
+    t.mock.method(Organization, 'findById', async () => organization);
+    t.mock.method(Organization.prototype, 'save', async function() { return this; });
+    t.mock.method(Organization, 'getUserOrganizations', async (userId) => (
+      organization.getMemberRole(userId) ? [organization] : []
+    ));
+    t.mock.method(Session.prototype, 'save', async function() { return this; });
+    t.mock.method(AuditLog, 'logRequest', async () => null);
+
+    const response = await post('/api/auth/register', {
+      name: 'New Recruiter',
+      email: 'new@example.com',
+      password: 'Short-pass1',
+      inviteToken: 'invite-token',
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.joinedOrganization.organization.slug, 'acme');
+    assert.equal(response.body.passwordUpdateRequired, true);
+    assert.deepEqual(savedUser.security.passwordPolicyViolations.map(String), [organization._id.toString()]);
+    assert.ok(savedUser.security.passwordCheckedAt >= organization.members[0].joinedAt);
+  });
+});
@@ -4,19 +4,58 @@
  */
 
 import express from 'express';
-import { authenticateToken } from '../middleware/authMiddleware.js';
+import mongoose from 'mongoose';
+import { authenticateToken, requireAuth, requireAuthOrApiKey, requireVerifiedEmail } from '../middleware/authMiddleware.js';
+import { loadOrganization, requirePermission } from '../middleware/permissionMiddleware.js';
 import Resume from '../models/Resume.js';
 import JobApplication from '../models/JobApplication.js';
 import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { enforceOrganizationSecurity } from '../services/orgSecurityService.js';
+import { getRecruiterOrganizations, hasBlockedOrganization } from '../services/consentService.js';
+import { maskApplications, maskCandidateResume } from '../services/blindHiringService.js';
+import { RESUME_EXPORT_FORMATS, exportResume } from '../services/resumeExportService.js';
+import {
+  requestDataExport,
+  listDataExports,
+  getDataExport,
+  openDataExportDownload
+} from '../services/dataExportService.js';
+import { toCsv, sendCsv } from '../utils/csv.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (!error.isOperational) {
+    logger.error(fallbackMessage, error);
+    return res.status(500).json({
+      success: false,
+      message: fallbackMessage
+    });
+  }
+
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    ...(error.details && { details: error.details })
+  });
+};
+
+const sendExportNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Export not found',
+    code: 'NOT_FOUND'
+  });
+};
+
 /**
  * GET /api/export/data
- * Export all user data in JSON format
+ * Export all user data in JSON format (requires a verified email)
  */
-router.get('/data', authenticateToken, async (req, res) => {
+router.get('/data', requireAuth, requireVerifiedEmail, async (req, res) => {
   try {
     const userId = req.user._id;
 
@@ -91,6 +130,176 @@ router.get('/data', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/export/archives
+ * Queue a downloadable archive (ZIP) of all the user's data; it is generated
+ * in the background and the user is notified when it is ready
+ */
+router.post('/archives', requireAuth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const dataExport = await requestDataExport(req, req.user);
+
+    res.status(202).json({
+      success: true,
+      message: 'Your export is being prepared. We will notify you when it is ready.',
+      export: dataExport
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to start data export');
+  }
+});
+
+/**
+ * GET /api/export/archives
+ * The user's data exports, newest first
+ */
+router.get('/archives', requireAuth, async (req, res) => {
+  try {
+    const exports = await listDataExports(req.user._id);
+
+    res.json({
+      success: true,
+      exports
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load data exports');
+  }
+});
+
+/**
+ * GET /api/export/archives/:exportId
+ * Status and progress of one export
+ */
+router.get('/archives/:exportId', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.exportId)) {
+      return sendExportNotFound(res);
+    }
+
+    const dataExport = await getDataExport(req.user._id, req.params.exportId);
+
+    res.json({
+      success: true,
+      export: dataExport
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load data export');
+  }
+});
+
+/**
+ * GET /api/export/archives/:exportId/download?token=
+ * Download a completed archive, signed in as its owner or with the
+ * expiring link from the "export ready" email
+ */
+router.get(
+  '/archives/:exportId/download',
+  (req, res, next) => (req.query.token ? next() : requireAuth(req, res, next)),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.exportId)) {
+        return sendExportNotFound(res);
+      }
+
+      const { user, dataExport, filePath, fileName } = await openDataExportDownload(req.params.exportId, {
+        userId: req.user?._id,
+        token: req.query.token
+      });
+
+      await AuditLog.logRequest(req, {
+        action: 'BULK_EXPORT',
+        user,
+        resourceType: 'User',
+        resourceId: user._id,
+        metadata: { dataExportId: dataExport._id, stage: 'downloaded', via: req.query.token ? 'link' : 'session' }
+      });
+
+      res.download(filePath, fileName, (error) => {
+        if (error && !res.headersSent) {
+          sendServiceError(res, error, 'Failed to download data export');
+        }
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Failed to download data export');
+    }
+  }
+);
+
+/**
+ * GET /api/export/resume/:resumeId?format=jsonresume|europass|hropen
+ * The parsed resume, with profile overrides and verified skills, in a
+ * standard format for applicant tracking systems. Open to the owner, admins,
+ * and organization members (or API keys) with view_candidates when the
+ * candidate is visible to recruiters and has not blocked the organization.
+ */
+router.get('/resume/:resumeId', requireAuthOrApiKey, async (req, res) => {
+  try {
+    const { resumeId } = req.params;
+    const { format = 'jsonresume' } = req.query;
+
+    if (!RESUME_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of ${RESUME_EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const resume = await Resume.findOne({ resumeId })
+      .select('resumeId userId parsed_resume profile privacy updatedAt')
+      .lean();
+
+    if (!resume?.parsed_resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    const isOwner = !req.apiKey && resume.userId?.toString() === req.user._id.toString();
+    const isAdmin = !req.apiKey && req.user.role === 'admin';
+    let exported = resume;
+
+    if (!isOwner && !isAdmin) {
+      // An API key acts for its organization; a recruiter for every organization they are a member of
+      const { organization, organizationIds } = req.apiKey
+        ? { organization: req.apiKeyOrganization, organizationIds: [req.apiKeyOrganization._id] }
+        : await getRecruiterOrganizations(req.user._id, { permission: 'view_candidates' });
+      const canView = organization && (req.apiKey
+        ? req.apiKey.hasScope('view_candidates')
+        : organization.hasPermission(req.user._id, 'view_candidates'));
+
+      if (!canView || !resume.privacy?.visibleToRecruiters || await hasBlockedOrganization(resume.userId, organizationIds)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to export this resume'
+        });
+      }
+
+      enforceOrganizationSecurity(req, organization);
+
+      await AuditLog.logRequest(req, {
+        action: 'CANDIDATE_VIEW',
+        organizationId: organization._id,
+        resourceType: 'Resume',
+        resourceId: resume._id,
+        metadata: { candidateId: resume.userId, resumeId, exportFormat: format }
+      });
+
+      exported = maskCandidateResume(organization, resume);
+    }
+
+    const { body, contentType, fileName } = exportResume(exported, format);
+
+    logger.info(`Resume ${resumeId} exported as ${format} by ${req.apiKey ? `API key ${req.apiKey.prefix}` : req.user.email}`);
+
+    res.set('Content-Type', `${contentType}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(body);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to export resume');
+  }
+});
+
 /**
  * GET /api/export/resume/:resumeId/versions
  * Get all versions of a specific resume
@@ -184,6 +393,8 @@ router.post('/resume/:resumeId/restore/:versionNumber', authenticateToken, async
     // Restore target version
     resume.version = parseInt(versionNumber);
     resume.parsed_resume = targetVersion.parsed_resume;
+    // The restored fields are the baseline for later corrections
+    resume.parsed_resume_machine = undefined;
     resume.filePath = targetVersion.filePath;
     resume.file_metadata = targetVersion.file_metadata;
 
@@ -206,4 +417,93 @@ router.post('/resume/:resumeId/restore/:versionNumber', authenticateToken, async
   }
 });
 
+const APPLICATION_EXPORT_COLUMNS = [
+  { key: 'applicationId', label: 'Application ID', value: app => app._id },
+  { key: 'jobTitle', label: 'Job Title', value: app => app.jobId?.title },
+  { key: 'candidateName', label: 'Candidate Name', value: app => app.userId?.name },
+  { key: 'candidateEmail', label: 'Candidate Email', value: app => app.userId?.email },
+  { key: 'status', label: 'Status' },
+  { key: 'matchScore', label: 'Match Score' },
+  { key: 'source', label: 'Source' },
+  { key: 'appliedAt', label: 'Applied At', value: app => app.createdAt },
+  { key: 'updatedAt', label: 'Updated At' },
+  { key: 'interviews', label: 'Interviews', value: app => app.interviews?.length || 0 },
+  { key: 'offerSalary', label: 'Offer Salary', value: app => app.offer?.salary },
+  { key: 'tags', label: 'Tags', value: app => (app.tags || []).join('; ') },
+];
+
+/**
+ * GET /api/export/organizations/:slug/applications?format=csv|json&status=&jobId=
+ * Export an organization's applications (requires the export_data permission;
+ * also accepts an organization API key with the export_data scope)
+ */
+router.get(
+  '/organizations/:slug/applications',
+  requireAuthOrApiKey,
+  loadOrganization(),
+  requirePermission('export_data'),
+  async (req, res) => {
+    try {
+      const organization = req.organization;
+      const { format = 'csv', status, jobId } = req.query;
+
+      if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'format must be csv or json'
+        });
+      }
+
+      const query = { organizationId: organization._id };
+      if (status) query.status = status;
+      if (jobId) query.jobId = jobId;
+
+      const found = await JobApplication.find(query)
+        .populate('jobId', 'title')
+        .populate('userId', 'name email')
+        .sort({ createdAt: -1 })
+        .lean();
+      // Under blind hiring, unrevealed candidates are exported by pseudonym only
+      const applications = await maskApplications(req, organization, found);
+
+      await AuditLog.logRequest(req, {
+        action: 'BULK_EXPORT',
+        resourceType: 'Application',
+        resultsCount: applications.length,
+        searchParams: { status: status || null, jobId: jobId || null, format },
+      });
+
+      logger.info(`Applications exported for ${organization.slug} by ${req.apiKey ? `API key ${req.apiKey.prefix}` : req.user.email} (${applications.length} rows, ${format})`);
+
+      const filename = `${organization.slug}-applications-${new Date().toISOString().slice(0, 10)}`;
+
+      if (format === 'json') {
+        return res.json({
+          success: true,
+          organization: organization.slug,
+          exportDate: new Date().toISOString(),
+          total: applications.length,
+          applications: applications.map(app => Object.fromEntries(
+            APPLICATION_EXPORT_COLUMNS.map(column => [column.key, column.value ? column.value(app) : app[column.key]])
+          ))
+        });
+      }
+
+      sendCsv(res, `${filename}.csv`, toCsv(applications, APPLICATION_EXPORT_COLUMNS));
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid jobId'
+        });
+      }
+      logger.error('Organization application export failed:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export applications'
+      });
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,156 @@
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import JobApplication from '../models/JobApplication.js';
+import Organization from '../models/Organization.js';
+import Resume from '../models/Resume.js';
+import User from '../models/User.js';
+import { getPseudonym } from '../services/blindHiringService.js';
+import exportRoutes from './export.routes.js';
+
+const ownerId = new mongoose.Types.ObjectId();
+const recruiterId = new mongoose.Types.ObjectId();
+const candidateId = new mongoose.Types.ObjectId();
+
+const recruiter = {
+  _id: recruiterId,
+  name: 'Riley',
+  email: 'riley@example.com',
+  role: 'recruiter',
+  isActive: true,
+  security: { passwordCheckedAt: new Date(), passwordPolicyViolations: [] },
+};
+
+const resume = {
+  _id: new mongoose.Types.ObjectId(),
+  resumeId: 'resume-1',
+  userId: candidateId,
+  parsed_resume: { name: 'Casey Candidate', emails: ['casey@example.com'], skills: ['react'] },
+  privacy: { visibleToRecruiters: true },
+};
+
+// The recruiter's memberships, none of them recorded on the user
+let organizations;
+let blockedOrganizationIds;
+
+const buildOrganization = (slug, member) => new Organization({
+  name: slug,
+  slug,
+  owner: ownerId,
+  members: [{ ...member, joinedAt: new Date(Date.now() - 60 * 60 * 1000) }],
+});
+
+let server;
+let baseUrl;
+
+const exportResume = async () => {
+  const token = jwt.sign({ userId: recruiterId.toString() }, process.env.JWT_SECRET);
+  const response = await fetch(`${baseUrl}/api/export/resume/${resume.resumeId}?format=jsonresume`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return { status: response.status, body: await response.text() };
+};
+
+before(async () => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+  const app = express();
+  app.use('/api/export', exportRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  organizations = [];
+  blockedOrganizationIds = [];
+
+  mock.method(AuditLog, 'logRequest', async () => null);
+  mock.method(User, 'findById', () => ({ select: async () => recruiter }));
+  mock.method(Resume, 'findOne', () => ({ select: () => ({ lean: async () => resume }) }));
+  mock.method(Organization, 'find', async () => organizations);
+  mock.method(User, 'exists', async (filter) => {
+    const ids = filter['privacy.blockedOrganizations.organizationId'].$in.map(String);
+    return blockedOrganizationIds.some(id => ids.includes(String(id))) ? { _id: candidateId } : null;
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('GET /api/export/resume/:resumeId as a recruiter', () => {
+  test('exports for a member with view_candidates and records the view against that organization', async () => {
+    organizations = [
+      buildOrganization('viewers', { userId: recruiterId, role: 'member', permissions: [] }),
+      buildOrganization('acme', { userId: recruiterId, role: 'recruiter', permissions: ['view_candidates'] }),
+    ];
+
+    const { status, body } = await exportResume();
+
+    assert.equal(status, 200);
+    assert.equal(JSON.parse(body).basics.name, 'Casey Candidate');
+    const view = AuditLog.logRequest.mock.calls[0].arguments[1];
+    assert.equal(view.action, 'CANDIDATE_VIEW');
+    assert.ok(view.organizationId.equals(organizations[1]._id));
+  });
+
+  test('is refused when the candidate blocked any organization of the recruiter', async () => {
+    organizations = [
+      buildOrganization('acme', { userId: recruiterId, role: 'recruiter', permissions: ['view_candidates'] }),
+      buildOrganization('globex', { userId: recruiterId, role: 'member', permissions: [] }),
+    ];
+    blockedOrganizationIds = [organizations[1]._id];
+
+    const { status } = await exportResume();
+
+    assert.equal(status, 403);
+    assert.equal(AuditLog.logRequest.mock.callCount(), 0);
+  });
+
+  test('is refused without view_candidates in any organization', async () => {
+    organizations = [buildOrganization('acme', { userId: recruiterId, role: 'member', permissions: [] })];
+
+    const { status } = await exportResume();
+
+    assert.equal(status, 403);
+  });
+});
+
+describe('GET /api/export/organizations/:slug/applications', () => {
+  test('exports unrevealed candidates by pseudonym under blind hiring', async () => {
+    const organization = buildOrganization('initech', { userId: recruiterId, role: 'admin', permissions: [] });
+    organization.settings.blindHiring = { enabled: true };
+    mock.method(Organization, 'findOne', async () => organization);
+    mock.method(JobApplication, 'find', () => {
+      const query = {
+        populate: () => query,
+        sort: () => query,
+        lean: async () => [{
+          _id: new mongoose.Types.ObjectId(),
+          status: 'applied',
+          jobId: { title: 'Engineer' },
+          userId: { _id: candidateId, name: 'Casey Candidate', email: 'casey@example.com' },
+        }],
+      };
+      return query;
+    });
+
+    const token = jwt.sign({ userId: recruiterId.toString() }, process.env.JWT_SECRET);
+    const response = await fetch(`${baseUrl}/api/export/organizations/initech/applications?format=json`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.applications[0].candidateName, getPseudonym(organization._id, candidateId));
+    assert.equal(body.applications[0].candidateEmail, undefined);
+  });
+});
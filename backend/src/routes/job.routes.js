@@ -33,12 +33,17 @@ import JobMatch from '../models/JobMatch.js';
 import JobApplication from '../models/JobApplication.js';
 import User from '../models/User.js';
 import Notification from '../models/Notification.js';
+import Organization from '../models/Organization.js';
 import { logger } from '../utils/logger.js';
 import { ensureDatabaseConnection } from '../config/database.js';
 import { loadJobsFromFile, reloadJobsFromFile, getJobsFilePath } from '../services/fileJobService.js';
 import { evaluateJobCompatibilityWithWatson, mapResumeToProfile } from '../services/watsonJobCompatibilityService.js';
 import { authenticate } from '../middleware/authMiddleware.js';
-import { requireRecruiter } from '../middleware/subscriptionMiddleware.js';
+import { requireAdmin, requireRecruiter } from '../middleware/subscriptionMiddleware.js';
+import { auditAction } from '../middleware/auditMiddleware.js';
+import { maskApplications, maskCandidateResume } from '../services/blindHiringService.js';
+import { excludeBlockingCandidates } from '../services/consentService.js';
+import { getUsageReport } from '../services/llm/index.js';
 import { EVENTS, emitApplicationEvent } from '../utils/notificationEmitter.js';
 
 const router = express.Router();
@@ -341,6 +346,27 @@ const requireDatabase = async (req, res, next) => {
   }
 };
 
+// Organization and job context for the auditAction entry of this request
+const setJobAuditContext = (res, job, { asResource = false } = {}) => {
+  res.locals.audit = {
+    organizationId: job.organizationId || null,
+    ...(asResource && { resourceId: job._id }),
+    metadata: { jobId: job.jobId, jobTitle: job.title }
+  };
+};
+
+// Candidate of the application in a response, for "who looked at this candidate" audits
+const auditApplicationCandidate = (req, body) => {
+  const candidateId = body?.application?.userId?._id || body?.application?.userId;
+  return candidateId ? { candidateId } : {};
+};
+
+const auditApplication = (action, metadata = () => ({})) => auditAction(action, {
+  resourceType: 'Application',
+  resourceId: (req, body) => body?.application?._id,
+  metadata: (req, body) => ({ ...metadata(req), ...auditApplicationCandidate(req, body) })
+});
+
 /**
  * NOTE: /api/resume/:resumeId/analyze-role endpoint moved to resume.routes.js
  * to avoid conflicts and keep resume-related operations together.
@@ -1701,45 +1727,23 @@ router.delete('/admin/seed-jobs', async (req, res) => {
 });
 
 /**
- * GET /api/stats/watson-usage
- * Get Watson API usage statistics
+ * GET /api/stats/llm-usage
+ * LLM provider status, today's budget use and usage totals per provider, task and day
+ * Query: days (default 30, max 400)
+ * Admin only
  */
-router.get('/stats/watson-usage', async (req, res) => {
+router.get('/stats/llm-usage', authenticate, requireAdmin, requireDatabase, async (req, res) => {
   try {
-    // Get total resumes analyzed
-    const totalResumes = await Resume.countDocuments({
-      'parsing_metadata.parsedAt': { $exists: true }
-    });
-    
-    // Get resumes that used Watson
-    const watsonResumes = await Resume.countDocuments({
-      'parsing_metadata.watsonCallCount': { $gt: 0 }
-    });
-    
-    // Get total Watson calls
-    const watsonCallsResult = await Resume.aggregate([
-      { $match: { 'parsing_metadata.watsonCallCount': { $exists: true } } },
-      { $group: { _id: null, total: { $sum: '$parsing_metadata.watsonCallCount' } } }
-    ]);
-    
-    const totalWatsonCalls = watsonCallsResult.length > 0 ? watsonCallsResult[0].total : 0;
-    
-    // Calculate percentage
-    const watsonUsagePercent = totalResumes > 0 ? ((watsonResumes / totalResumes) * 100).toFixed(2) : 0;
-    
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 400);
+    const report = await getUsageReport({ days });
+
     res.json({
       success: true,
-      data: {
-        totalResumes: totalResumes,
-        resumesUsingWatson: watsonResumes,
-        totalWatsonCalls: totalWatsonCalls,
-        watsonUsagePercent: parseFloat(watsonUsagePercent),
-        targetUsagePercent: 5.0
-      }
+      data: report
     });
-    
+
   } catch (error) {
-    logger.error('Failed to get Watson usage stats:', error);
+    logger.error('Failed to get LLM usage stats:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -1751,7 +1755,7 @@ router.get('/stats/watson-usage', async (req, res) => {
  * POST /api/jobs/create
  * Create a new job posting (for recruiters)
  */
-router.post('/jobs/create', authenticate, requireRecruiter, requireDatabase, async (req, res) => {
+router.post('/jobs/create', authenticate, requireRecruiter, requireDatabase, auditAction('JOB_CREATE', { resourceType: 'Job' }), async (req, res) => {
   try {
     const jobData = req.body;
     
@@ -1795,6 +1799,7 @@ router.post('/jobs/create', authenticate, requireRecruiter, requireDatabase, asy
     });
 
     await job.save();
+    setJobAuditContext(res, job, { asResource: true });
 
     console.log('Job created successfully:', { 
       jobId: job.jobId, 
@@ -2194,7 +2199,7 @@ router.get('/jobs/recruiter/overview', authenticate, requireRecruiter, requireDa
  * Get all candidates matched to a specific job
  * Returns candidates ranked by match score
  */
-router.get('/jobs/:jobId/candidates', authenticate, requireRecruiter, async (req, res) => {
+router.get('/jobs/:jobId/candidates', authenticate, requireRecruiter, auditAction('CANDIDATE_SEARCH', { resourceType: 'Job', resultsCount: (req, body) => (body?.totals ? body.totals.applied + body.totals.suggested : 0) }), async (req, res) => {
   try {
     const { jobId } = req.params;
 
@@ -2206,6 +2211,8 @@ router.get('/jobs/:jobId/candidates', authenticate, requireRecruiter, async (req
       });
     }
 
+    setJobAuditContext(res, job, { asResource: true });
+
     // Ensure postedBy is always returned for recruiter UI
     if (!job.postedBy && req.user?._id) {
       job.postedBy = req.user._id;
@@ -2223,7 +2230,13 @@ router.get('/jobs/:jobId/candidates', authenticate, requireRecruiter, async (req
       .sort({ createdAt: -1 })
       .lean();
 
-    const appliedCandidates = applications.map((application) => {
+    // Organization jobs with blind hiring mask candidates until they reach the unmask stage
+    const organization = job.organizationId
+      ? await Organization.findById(job.organizationId).select('settings.blindHiring')
+      : null;
+    const visibleApplications = await maskApplications(req, organization, applications);
+
+    const appliedCandidates = visibleApplications.map((application) => {
       const resumeSnapshot = projectResumeSnapshot(application.resumeId);
       const fit = computeJobFitAgainstResume(job, resumeSnapshot);
 
@@ -2239,6 +2252,7 @@ router.get('/jobs/:jobId/candidates', authenticate, requireRecruiter, async (req
         status: application.status,
         appliedAt: application.createdAt,
         interviews: application.interviews || [],
+        identityMasked: Boolean(application.identityMasked),
         source: 'applied'
       };
     });
@@ -2260,6 +2274,9 @@ router.get('/jobs/:jobId/candidates', authenticate, requireRecruiter, async (req
       suggestionQuery._id = { $nin: Array.from(appliedResumeObjectIds) };
     }
 
+    // Candidates who blocked the organization are never suggested to it
+    await excludeBlockingCandidates(suggestionQuery, job.organizationId);
+
     const potentialResumes = await Resume.find(suggestionQuery)
       .select('resumeId userId parsed_resume parsed_data job_analysis profile createdAt updatedAt')
       .sort({ createdAt: -1 })
@@ -2272,7 +2289,7 @@ router.get('/jobs/:jobId/candidates', authenticate, requireRecruiter, async (req
         return {
           resumeId: resumeDoc.resumeId,
           userId: resumeDoc.userId,
-          resume: resumeDoc,
+          resume: maskCandidateResume(organization, resumeDoc),
           matchScore: fit.matchScore,
           matchingSkills: fit.matchingSkills,
           missingSkills: fit.missingSkills,
@@ -2308,7 +2325,7 @@ router.get('/jobs/:jobId/candidates', authenticate, requireRecruiter, async (req
  * DELETE /api/jobs/:jobId
  * Soft delete a job posting created by the authenticated recruiter
  */
-router.delete('/jobs/:jobId', authenticate, requireRecruiter, async (req, res) => {
+router.delete('/jobs/:jobId', authenticate, requireRecruiter, auditAction('JOB_DELETE', { resourceType: 'Job' }), async (req, res) => {
   try {
     const { jobId } = req.params;
     const job = await Job.findOne({ jobId });
@@ -2320,6 +2337,8 @@ router.delete('/jobs/:jobId', authenticate, requireRecruiter, async (req, res) =
       });
     }
 
+    setJobAuditContext(res, job, { asResource: true });
+
     const isOwner = job.postedBy?.toString() === req.user._id.toString();
     const isAdmin = req.user.role === 'admin';
     if (!isOwner && !isAdmin) {
@@ -2351,7 +2370,7 @@ router.delete('/jobs/:jobId', authenticate, requireRecruiter, async (req, res) =
  * PUT /api/jobs/:jobId
  * Update a job posting created by the authenticated recruiter
  */
-router.put('/jobs/:jobId', authenticate, requireRecruiter, async (req, res) => {
+router.put('/jobs/:jobId', authenticate, requireRecruiter, auditAction('JOB_UPDATE', { resourceType: 'Job', metadata: (req) => ({ fields: Object.keys(req.body || {}) }) }), async (req, res) => {
   try {
     const { jobId } = req.params;
     const updateData = req.body;
@@ -2365,6 +2384,8 @@ router.put('/jobs/:jobId', authenticate, requireRecruiter, async (req, res) => {
       });
     }
 
+    setJobAuditContext(res, job, { asResource: true });
+
     const isOwner = job.postedBy?.toString() === req.user._id.toString();
     const isAdmin = req.user.role === 'admin';
     if (!isOwner && !isAdmin) {
@@ -2403,7 +2424,7 @@ router.put('/jobs/:jobId', authenticate, requireRecruiter, async (req, res) => {
  * POST /api/jobs/:jobId/select-candidate
  * Shortlist a candidate for a job
  */
-router.post('/jobs/:jobId/select-candidate', authenticate, requireRecruiter, async (req, res) => {
+router.post('/jobs/:jobId/select-candidate', authenticate, requireRecruiter, auditApplication('APPLICATION_UPDATE', () => ({ status: 'shortlisted' })), async (req, res) => {
   try {
     const { jobId } = req.params;
     const { resumeId, userId } = req.body;
@@ -2424,6 +2445,8 @@ router.post('/jobs/:jobId/select-candidate', authenticate, requireRecruiter, asy
       });
     }
 
+    setJobAuditContext(res, job);
+
     const resume = await resolveResumeByIdentifier(resumeId);
     if (!resume) {
       return res.status(404).json({
@@ -2520,7 +2543,7 @@ router.post('/jobs/:jobId/select-candidate', authenticate, requireRecruiter, asy
  * POST /api/jobs/:jobId/schedule-interview
  * Schedule an interview with a candidate
  */
-router.post('/jobs/:jobId/schedule-interview', authenticate, requireRecruiter, async (req, res) => {
+router.post('/jobs/:jobId/schedule-interview', authenticate, requireRecruiter, auditApplication('INTERVIEW_SCHEDULE'), async (req, res) => {
   try {
     const { jobId } = req.params;
     const { resumeId, userId, interview } = req.body;
@@ -2541,6 +2564,8 @@ router.post('/jobs/:jobId/schedule-interview', authenticate, requireRecruiter, a
       });
     }
 
+    setJobAuditContext(res, job);
+
     const resume = await resolveResumeByIdentifier(resumeId);
     if (!resume) {
       return res.status(404).json({
@@ -2667,7 +2692,7 @@ router.post('/jobs/:jobId/schedule-interview', authenticate, requireRecruiter, a
  * POST /api/jobs/:jobId/reject-candidate
  * Reject a candidate
  */
-router.post('/jobs/:jobId/reject-candidate', authenticate, requireRecruiter, async (req, res) => {
+router.post('/jobs/:jobId/reject-candidate', authenticate, requireRecruiter, auditApplication('APPLICATION_UPDATE', () => ({ status: 'rejected' })), async (req, res) => {
   try {
     const { jobId } = req.params;
     const { resumeId, userId } = req.body;
@@ -2688,6 +2713,8 @@ router.post('/jobs/:jobId/reject-candidate', authenticate, requireRecruiter, asy
       });
     }
 
+    setJobAuditContext(res, job);
+
     const resume = await resolveResumeByIdentifier(resumeId);
     if (!resume) {
       return res.status(404).json({
@@ -2782,7 +2809,7 @@ router.post('/jobs/:jobId/reject-candidate', authenticate, requireRecruiter, asy
  * POST /api/jobs/:jobId/extend-offer
  * Extend a job offer to a candidate
  */
-router.post('/jobs/:jobId/extend-offer', authenticate, requireRecruiter, async (req, res) => {
+router.post('/jobs/:jobId/extend-offer', authenticate, requireRecruiter, auditApplication('OFFER_CREATE'), async (req, res) => {
   try {
     const { jobId } = req.params;
     const { resumeId, userId, offer } = req.body;
@@ -2803,6 +2830,8 @@ router.post('/jobs/:jobId/extend-offer', authenticate, requireRecruiter, async (
       });
     }
 
+    setJobAuditContext(res, job);
+
     const resume = await resolveResumeByIdentifier(resumeId);
     if (!resume) {
       return res.status(404).json({
@@ -0,0 +1,329 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import passport from 'passport';
+import User from '../models/User.js';
+import { logger } from '../utils/logger.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { authLimiter, otpLimiter } from '../middleware/securityMiddleware.js';
+import {
+  isProviderConfigured,
+  getAvailableProviders,
+  completeOAuthLogin,
+  linkOAuthProvider,
+  revokeOAuthAccess,
+  getConnectedProviders,
+  prefillResumeSocialLinks
+} from '../services/oauthService.js';
+import { startTwoFactorChallenge, verifyTwoFactorCode } from '../services/twoFactorService.js';
+import { assertNotLocked, recordFailedLogin, recordSuccessfulLogin } from '../services/loginSecurityService.js';
+import { issueAuthTokens } from '../services/tokenService.js';
+import { getLoginRequirements } from '../services/orgSecurityService.js';
+
+const router = express.Router();
+
+const PROVIDER_PARAM = ':provider(google|github|linkedin)';
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Send the browser back to the SPA; tokens travel in the fragment so they never reach server logs
+const redirectToFrontend = (res, params) => {
+  const fragment = new URLSearchParams(params).toString();
+  res.redirect(`${getFrontendUrl()}/oauth/callback#${fragment}`);
+};
+
+// Respond with a service error (AppError carries status and code)
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (!error.isOperational) {
+    logger.error(fallbackMessage, error);
+    return res.status(500).json({
+      success: false,
+      message: fallbackMessage
+    });
+  }
+
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    code: error.code
+  });
+};
+
+const ensureConfigured = (req, res, next) => {
+  if (!isProviderConfigured(req.params.provider)) {
+    return res.status(404).json({
+      success: false,
+      message: `${req.params.provider} sign-in is not configured`
+    });
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/auth/oauth/providers
+ * @desc    List social sign-in providers and whether they are enabled
+ * @access  Public
+ */
+router.get('/oauth/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: getAvailableProviders()
+  });
+});
+
+/**
+ * @route   GET /api/auth/oauth/connected
+ * @desc    List providers connected to the current account
+ * @access  Private
+ */
+router.get('/oauth/connected', requireAuth, async (req, res) => {
+  try {
+    const { providers, hasPassword } = await getConnectedProviders(req.user.userId);
+
+    res.json({
+      success: true,
+      providers,
+      hasPassword
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load connected accounts');
+  }
+});
+
+/**
+ * @route   POST /api/auth/oauth/prefill-resume
+ * @desc    Fill empty resume social links from connected provider profiles
+ * @access  Private
+ */
+router.post('/oauth/prefill-resume', requireAuth, async (req, res) => {
+  try {
+    const result = await prefillResumeSocialLinks(req.user.userId, req.body.resumeId || null);
+
+    res.json({
+      success: true,
+      message: result.filled.length > 0
+        ? 'Resume social links updated'
+        : 'No empty social links to fill from connected accounts',
+      ...result
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to prefill resume social links');
+  }
+});
+
+/**
+ * @route   POST /api/auth/oauth/verify-2fa
+ * @desc    Complete a social sign-in for an account with 2FA (omit otp to resend)
+ * @access  Public (requires challenge token from the OAuth callback)
+ */
+router.post('/oauth/verify-2fa', otpLimiter, async (req, res) => {
+  try {
+    const { challenge, otp } = req.body;
+
+    if (!challenge) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in challenge is required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challenge, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.type !== 'oauth-2fa') {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign-in challenge expired. Please sign in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign-in challenge expired. Please sign in again.'
+      });
+    }
+
+    if (!otp) {
+      const { method, message } = await startTwoFactorChallenge(user);
+      return res.json({
+        success: true,
+        method,
+        message
+      });
+    }
+
+    await assertNotLocked(req, user);
+
+    let secondFactor;
+    try {
+      secondFactor = await verifyTwoFactorCode(user, otp);
+    } catch (otpError) {
+      if (['OTP_INVALID', 'OTP_ATTEMPTS_EXCEEDED'].includes(otpError.code)) {
+        await recordFailedLogin(req, user, 'invalid_2fa', { method: decoded.provider });
+      }
+      throw otpError;
+    }
+
+    user.lastLoginAt = new Date();
+    const { token, refreshToken } = await issueAuthTokens(user, req, { mfa: true });
+
+    logger.info(`User logged in via ${decoded.provider} (2FA): ${user.email}`);
+    await recordSuccessfulLogin(req, user, { method: `${decoded.provider}+${secondFactor.method}` });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: user.getPublicProfile(),
+      token,
+      refreshToken
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to verify login code');
+  }
+});
+
+/**
+ * @route   POST /api/auth/oauth/:provider/link-token
+ * @desc    Get a short-lived token to start linking a provider from the browser
+ * @access  Private
+ */
+router.post(`/oauth/${PROVIDER_PARAM}/link-token`, requireAuth, ensureConfigured, (req, res) => {
+  const linkToken = jwt.sign(
+    { userId: req.user.userId.toString(), provider: req.params.provider, type: 'oauth-link' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+
+  res.json({
+    success: true,
+    linkToken
+  });
+});
+
+/**
+ * @route   DELETE /api/auth/oauth/:provider
+ * @desc    Disconnect a provider from the current account
+ * @access  Private
+ */
+router.delete(`/oauth/${PROVIDER_PARAM}`, requireAuth, async (req, res) => {
+  try {
+    const result = await revokeOAuthAccess(req.user.userId, req.params.provider);
+    const { providers, hasPassword } = await getConnectedProviders(req.user.userId);
+
+    res.json({
+      ...result,
+      providers,
+      hasPassword
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to disconnect account');
+  }
+});
+
+/**
+ * @route   GET /api/auth/:provider
+ * @desc    Start social sign-in (or linking, with ?link=<linkToken>)
+ * @access  Public
+ */
+router.get(`/${PROVIDER_PARAM}`, authLimiter, ensureConfigured, (req, res, next) => {
+  const { provider } = req.params;
+  let state = { mode: 'login', provider };
+
+  if (req.query.link) {
+    try {
+      const decoded = jwt.verify(String(req.query.link), process.env.JWT_SECRET);
+      if (decoded.type !== 'oauth-link' || decoded.provider !== provider) {
+        throw new Error('Invalid link token');
+      }
+      state = { mode: 'link', provider, userId: decoded.userId };
+    } catch (error) {
+      return redirectToFrontend(res, {
+        mode: 'link',
+        error: 'Your session expired. Please try connecting again.'
+      });
+    }
+  }
+
+  passport.authenticate(provider, { session: false, state })(req, res, next);
+});
+
+/**
+ * @route   GET /api/auth/:provider/callback
+ * @desc    Provider callback: issues our JWT + refresh pair, or links the provider
+ * @access  Public
+ */
+router.get(`/${PROVIDER_PARAM}/callback`, ensureConfigured, (req, res, next) => {
+  const { provider } = req.params;
+
+  passport.authenticate(provider, { session: false }, async (err, oauthProfile, info) => {
+    const state = info?.state || {};
+    const mode = state.mode === 'link' ? 'link' : 'login';
+
+    try {
+      if (err) {
+        throw err;
+      }
+
+      if (!oauthProfile) {
+        logger.warn(`OAuth ${provider} callback rejected: ${info?.message || req.query.error || 'no profile'}`);
+        return redirectToFrontend(res, {
+          mode,
+          error: info?.message || 'Sign-in was cancelled or failed. Please try again.'
+        });
+      }
+
+      if (mode === 'link') {
+        await linkOAuthProvider(state.userId, oauthProfile);
+        return redirectToFrontend(res, { mode, provider, linked: '1' });
+      }
+
+      const { user, isNewUser } = await completeOAuthLogin(oauthProfile);
+
+      // Social sign-in does not bypass 2FA (personal or required by an organization)
+      const { requireMFA } = await getLoginRequirements(user._id);
+      if (user.preferences?.twoFactorEnabled || requireMFA) {
+        const { method } = await startTwoFactorChallenge(user);
+
+        const challenge = jwt.sign(
+          { userId: user._id.toString(), provider, type: 'oauth-2fa' },
+          process.env.JWT_SECRET,
+          { expiresIn: '10m' }
+        );
+
+        logger.info(`2FA challenge (${method}) issued for ${provider} sign-in: ${user.email}`);
+        return redirectToFrontend(res, { mode, requires2FA: '1', method, challenge, email: user.email });
+      }
+
+      const { token, refreshToken } = await issueAuthTokens(user, req);
+      await recordSuccessfulLogin(req, user, { method: provider });
+
+      redirectToFrontend(res, {
+        mode,
+        provider,
+        token,
+        refreshToken,
+        isNewUser: isNewUser ? '1' : '0'
+      });
+
+    } catch (error) {
+      if (!error.isOperational) {
+        logger.error(`OAuth ${provider} callback error:`, error);
+      }
+      redirectToFrontend(res, {
+        mode,
+        error: error.isOperational ? error.message : 'Social sign-in failed. Please try again.'
+      });
+    }
+  })(req, res, next);
+});
+
+export default router;
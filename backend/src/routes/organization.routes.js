@@ -4,12 +4,192 @@
  */
 
 import express from 'express';
+import mongoose from 'mongoose';
 import { authenticate } from '../middleware/authMiddleware.js';
-import Organization from '../models/Organization.js';
+import Organization, {
+  ORGANIZATION_PERMISSIONS,
+  MEMBER_ROLES,
+  ROLE_DEFAULT_PERMISSIONS,
+  getEffectivePermissions,
+} from '../models/Organization.js';
 import Subscription from '../models/Subscription.js';
+import AuditLog from '../models/AuditLog.js';
+import { getSecuritySettings, validateSecuritySettings } from '../services/orgSecurityService.js';
+import { getBlindHiringSettings, validateBlindHiringSettings } from '../services/blindHiringService.js';
+import {
+  CLOSED_STATUSES,
+  getRetentionPolicy,
+  validateRetentionSettings,
+  runRetentionPurge,
+  listRetentionReports,
+  getRetentionReport,
+} from '../services/dataRetentionService.js';
+import { listApiKeys, generateApiKey, rotateApiKey, revokeApiKey, revokeMemberApiKeys } from '../services/apiKeyService.js';
+import {
+  listInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationPreview,
+  acceptInvitation,
+} from '../services/invitationService.js';
+import { loadOrganization, requirePermission } from '../middleware/permissionMiddleware.js';
+import { auditAction } from '../middleware/auditMiddleware.js';
+import { toCsv, sendCsv } from '../utils/csv.js';
+import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+// Respond with a service error (AppError carries status, code and details)
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (!error.isOperational) {
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+    });
+  }
+
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    ...(error.details && { errors: error.details }),
+  });
+};
+
+const PERMISSION_DESCRIPTIONS = {
+  manage_members: 'Add and remove members, change roles and permissions',
+  manage_billing: 'Manage the subscription and billing details',
+  manage_settings: 'Edit organization details, security and data retention settings, and place legal holds',
+  post_jobs: 'Create, edit, clone and close job postings',
+  view_candidates: 'View applications, candidate profiles and notes',
+  view_candidate_contacts: 'See candidate email addresses and phone numbers in candidate search',
+  manage_applications: 'Change application status, bulk reject and send offers',
+  schedule_interviews: 'Schedule and update interviews',
+  manage_integrations: 'Create, rotate and revoke API keys',
+  view_analytics: 'View the recruiter dashboard and analytics',
+  export_data: 'Export organization data such as applications',
+  view_audit_logs: 'View and export the organization audit log',
+};
+
+// Roles that can be granted through the members API (ownership is not transferable here)
+const ASSIGNABLE_ROLES = MEMBER_ROLES.filter(role => role !== 'owner');
+
+/**
+ * Validate a member role / permissions payload
+ * @returns {string[]} validation errors (empty when valid)
+ */
+const validateMemberAccess = ({ role, permissions }) => {
+  const errors = [];
+
+  if (role !== undefined && !ASSIGNABLE_ROLES.includes(role)) {
+    errors.push(`role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+  }
+
+  if (permissions !== undefined && permissions !== null) {
+    if (!Array.isArray(permissions)) {
+      errors.push('permissions must be an array');
+    } else {
+      const invalid = permissions.filter(permission => !ORGANIZATION_PERMISSIONS.includes(permission));
+      if (invalid.length) {
+        errors.push(`Invalid permissions: ${invalid.join(', ')}`);
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Members with manage_members may only hand out access they hold themselves;
+ * only owners and admins can make someone an admin or change an admin
+ * @returns {string|null} reason the grant is not allowed
+ */
+const checkGrantable = (organization, actorId, { role, permissions, targetRole = null }) => {
+  const actorRole = organization.getMemberRole(actorId);
+  if (actorRole === 'owner' || actorRole === 'admin') {
+    return null;
+  }
+
+  if (targetRole === 'admin') {
+    return 'Only owners and admins can change an admin\'s access';
+  }
+  if (role === 'admin') {
+    return 'Only owners and admins can assign the admin role';
+  }
+
+  const held = organization.getMemberPermissions(actorId);
+  const requested = permissions ?? ROLE_DEFAULT_PERMISSIONS[role] ?? [];
+  const missing = requested.filter(permission => !held.includes(permission));
+
+  return missing.length
+    ? `You cannot grant permissions you do not have: ${missing.join(', ')}`
+    : null;
+};
+
+const findMemberEntry = (organization, userId) => {
+  return organization.members.find(m => (m.userId?._id || m.userId).toString() === userId.toString());
+};
+
+/**
+ * @route GET /api/organizations/permissions
+ * @desc Permission catalogue: permissions, roles and their default permissions
+ * @access Private
+ */
+router.get('/permissions', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    permissions: ORGANIZATION_PERMISSIONS.map(key => ({
+      key,
+      description: PERMISSION_DESCRIPTIONS[key],
+    })),
+    roles: MEMBER_ROLES.map(role => ({
+      role,
+      allPermissions: role === 'owner' || role === 'admin',
+      defaultPermissions: getEffectivePermissions({ role, permissions: ROLE_DEFAULT_PERMISSIONS[role] }),
+      assignable: ASSIGNABLE_ROLES.includes(role),
+    })),
+  });
+});
+
+/**
+ * @route GET /api/organizations/invitations/:token
+ * @desc Preview a pending invitation (organization, invited email and role)
+ * @access Public
+ */
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await getInvitationPreview(req.params.token);
+    
+    res.json({
+      success: true,
+      invitation,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load invitation');
+  }
+});
+
+/**
+ * @route POST /api/organizations/invitations/:token/accept
+ * @desc Accept an invitation as the signed-in user (email must match the invitation)
+ * @access Private
+ */
+router.post('/invitations/:token/accept', authenticate, async (req, res) => {
+  try {
+    const membership = await acceptInvitation(req, req.params.token);
+    
+    res.json({
+      success: true,
+      message: `You have joined ${membership.organization.name}`,
+      ...membership,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to accept invitation');
+  }
+});
+
 /**
  * @route POST /api/organizations
  * @desc Create new organization
@@ -70,7 +250,14 @@ router.get('/', authenticate, async (req, res) => {
     
     res.json({
       success: true,
-      organizations,
+      organizations: organizations.map(organization => {
+        const member = findMemberEntry(organization, req.user._id);
+        return {
+          ...organization,
+          myRole: member?.role || null,
+          myPermissions: getEffectivePermissions(member),
+        };
+      }),
     });
   } catch (error) {
     console.error('Error fetching organizations:', error);
@@ -112,9 +299,13 @@ router.get('/:slug', authenticate, async (req, res) => {
       });
     }
     
+    const member = findMemberEntry(organization, req.user._id);
+    
     res.json({
       success: true,
       organization,
+      myRole: member?.role || null,
+      myPermissions: getEffectivePermissions(member),
     });
   } catch (error) {
     console.error('Error fetching organization:', error);
@@ -128,28 +319,77 @@ router.get('/:slug', authenticate, async (req, res) => {
 /**
  * @route PUT /api/organizations/:slug
  * @desc Update organization
- * @access Private (Admin/Owner)
+ * @access Private (manage_settings)
  */
-router.put('/:slug', authenticate, async (req, res) => {
+router.put('/:slug', authenticate, loadOrganization(), auditAction('SETTINGS_UPDATE', { resourceType: 'Organization', resourceId: (req) => req.organization?._id, metadata: (req) => ({ fields: Object.keys(req.body || {}), ...(req.body?.settings?.blindHiring && { blindHiring: req.body.settings.blindHiring }), ...(req.body?.settings?.dataRetention && { dataRetention: req.body.settings.dataRetention }) }) }), requirePermission('manage_settings'), async (req, res) => {
   try {
-    const organization = await Organization.findOne({ slug: req.params.slug });
+    const organization = req.organization;
     
-    if (!organization) {
-      return res.status(404).json({
-        success: false,
-        message: 'Organization not found',
+    const { name, description, industry, size, website, settings } = req.body;
+
+    if (settings?.security) {
+      const errors = validateSecuritySettings(settings.security, req.ip);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid security settings',
+          errors,
+        });
+      }
+
+      // Members must have their password re-checked when the policy changes
+      const currentPolicy = getSecuritySettings(organization).passwordPolicy;
+      const nextPolicy = { ...currentPolicy, ...settings.security.passwordPolicy };
+      settings.security.policyUpdatedAt = JSON.stringify(nextPolicy) !== JSON.stringify(currentPolicy)
+        ? new Date()
+        : organization.settings?.security?.policyUpdatedAt;
+
+      logger.info(`Org security: settings updated for ${organization.slug} by ${req.user.email}`, {
+        security: settings.security,
       });
     }
     
-    // Check permissions
-    if (!organization.hasPermission(req.user._id, 'manage_settings')) {
-      return res.status(403).json({
-        success: false,
-        message: 'Insufficient permissions',
+    if (settings?.blindHiring) {
+      const errors = validateBlindHiringSettings(settings.blindHiring);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid blind hiring settings',
+          errors,
+        });
+      }
+
+      settings.blindHiring = {
+        ...getBlindHiringSettings(organization),
+        ...settings.blindHiring,
+        updatedAt: new Date(),
+      };
+      logger.info(`Blind hiring settings updated for ${organization.slug} by ${req.user.email}`, {
+        blindHiring: settings.blindHiring,
       });
     }
     
-    const { name, description, industry, size, website, settings } = req.body;
+    if (settings?.dataRetention) {
+      const errors = validateRetentionSettings(settings.dataRetention);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid data retention settings',
+          errors,
+        });
+      }
+
+      const { lastPurgedAt } = organization.settings?.dataRetention || {};
+      settings.dataRetention = {
+        ...getRetentionPolicy(organization),
+        ...settings.dataRetention,
+        updatedAt: new Date(),
+        lastPurgedAt,
+      };
+      logger.info(`Data retention settings updated for ${organization.slug} by ${req.user.email}`, {
+        dataRetention: settings.dataRetention,
+      });
+    }
     
     if (name) organization.name = name;
     if (description) organization.description = description;
@@ -177,29 +417,32 @@ router.put('/:slug', authenticate, async (req, res) => {
 /**
  * @route POST /api/organizations/:slug/members
  * @desc Add member to organization
- * @access Private (Admin/Owner)
+ * @access Private (manage_members)
  */
-router.post('/:slug/members', authenticate, async (req, res) => {
+router.post('/:slug/members', authenticate, loadOrganization(), auditAction('MEMBER_ADD', { resourceType: 'User', resourceId: (req) => req.body?.userId, metadata: (req) => ({ role: req.body?.role || 'member', permissions: req.body?.permissions }) }), requirePermission('manage_members'), async (req, res) => {
   try {
-    const organization = await Organization.findOne({ slug: req.params.slug });
+    const organization = req.organization;
     
-    if (!organization) {
-      return res.status(404).json({
+    const { userId, role = 'member', permissions } = req.body;
+    
+    const errors = validateMemberAccess({ role, permissions });
+    if (errors.length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Organization not found',
+        message: 'Invalid member access',
+        errors,
       });
     }
     
-    // Check permissions
-    if (!organization.hasPermission(req.user._id, 'manage_members')) {
+    const notGrantable = checkGrantable(organization, req.user._id, { role, permissions });
+    if (notGrantable) {
       return res.status(403).json({
         success: false,
-        message: 'Insufficient permissions',
+        message: notGrantable,
+        code: 'PERMISSION_DENIED',
       });
     }
     
-    const { userId, role, permissions } = req.body;
-    
     await organization.addMember(userId, role, permissions);
     
     res.json({
@@ -219,36 +462,33 @@ router.post('/:slug/members', authenticate, async (req, res) => {
 /**
  * @route DELETE /api/organizations/:slug/members/:userId
  * @desc Remove member from organization
- * @access Private (Admin/Owner)
+ * @access Private (manage_members)
  */
-router.delete('/:slug/members/:userId', authenticate, async (req, res) => {
+router.delete('/:slug/members/:userId', authenticate, loadOrganization(), auditAction('MEMBER_REMOVE', { resourceType: 'User', resourceParam: 'userId' }), requirePermission('manage_members'), async (req, res) => {
   try {
-    const organization = await Organization.findOne({ slug: req.params.slug });
+    const organization = req.organization;
     
-    if (!organization) {
-      return res.status(404).json({
+    // Can't remove owner
+    if (organization.owner.toString() === req.params.userId) {
+      return res.status(400).json({
         success: false,
-        message: 'Organization not found',
+        message: 'Cannot remove organization owner',
       });
     }
     
-    // Check permissions
-    if (!organization.hasPermission(req.user._id, 'manage_members')) {
+    const notGrantable = checkGrantable(organization, req.user._id, {
+      targetRole: findMemberEntry(organization, req.params.userId)?.role,
+    });
+    if (notGrantable) {
       return res.status(403).json({
         success: false,
-        message: 'Insufficient permissions',
-      });
-    }
-    
-    // Can't remove owner
-    if (organization.owner.toString() === req.params.userId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot remove organization owner',
+        message: notGrantable,
+        code: 'PERMISSION_DENIED',
       });
     }
     
     await organization.removeMember(req.params.userId);
+    await revokeMemberApiKeys(req, organization, req.params.userId);
     
     res.json({
       success: true,
@@ -267,31 +507,51 @@ router.delete('/:slug/members/:userId', authenticate, async (req, res) => {
 /**
  * @route PUT /api/organizations/:slug/members/:userId
  * @desc Update member role/permissions
- * @access Private (Admin/Owner)
+ * @access Private (manage_members)
  */
-router.put('/:slug/members/:userId', authenticate, async (req, res) => {
+router.put('/:slug/members/:userId', authenticate, loadOrganization(), auditAction('ROLE_CHANGE', { resourceType: 'User', resourceParam: 'userId', metadata: (req) => ({ role: req.body?.role, permissions: req.body?.permissions }) }), requirePermission('manage_members'), async (req, res) => {
   try {
-    const organization = await Organization.findOne({ slug: req.params.slug });
+    const organization = req.organization;
     
-    if (!organization) {
-      return res.status(404).json({
+    const { role, permissions } = req.body;
+    
+    const errors = validateMemberAccess({ role, permissions });
+    if (errors.length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Organization not found',
+        message: 'Invalid member access',
+        errors,
       });
     }
     
-    // Check permissions
-    if (!organization.hasPermission(req.user._id, 'manage_members')) {
-      return res.status(403).json({
+    if (findMemberEntry(organization, req.params.userId)?.role === 'owner') {
+      return res.status(400).json({
         success: false,
-        message: 'Insufficient permissions',
+        message: 'Cannot change the organization owner\'s role or permissions',
       });
     }
     
-    const { role, permissions } = req.body;
+    const notGrantable = checkGrantable(organization, req.user._id, {
+      role,
+      permissions,
+      targetRole: findMemberEntry(organization, req.params.userId)?.role,
+    });
+    if (notGrantable) {
+      return res.status(403).json({
+        success: false,
+        message: notGrantable,
+        code: 'PERMISSION_DENIED',
+      });
+    }
     
     await organization.updateMemberRole(req.params.userId, role, permissions);
     
+    logger.info(`Member access updated in ${organization.slug} by ${req.user.email}`, {
+      userId: req.params.userId,
+      role,
+      permissions,
+    });
+    
     res.json({
       success: true,
       message: 'Member updated successfully',
@@ -311,7 +571,7 @@ router.put('/:slug/members/:userId', authenticate, async (req, res) => {
  * @desc Delete organization
  * @access Private (Owner only)
  */
-router.delete('/:slug', authenticate, async (req, res) => {
+router.delete('/:slug', authenticate, auditAction('ORGANIZATION_DELETE', { resourceType: 'Organization' }), async (req, res) => {
   try {
     const organization = await Organization.findOne({ slug: req.params.slug });
     
@@ -322,6 +582,8 @@ router.delete('/:slug', authenticate, async (req, res) => {
       });
     }
     
+    res.locals.audit = { organizationId: organization._id, resourceId: organization._id };
+    
     // Only owner can delete
     if (organization.owner.toString() !== req.user._id.toString()) {
       return res.status(403).json({
@@ -355,4 +617,446 @@ router.delete('/:slug', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/organizations/:slug/api-keys
+ * @desc List organization API keys (add ?includeInactive=true for revoked/expired)
+ * @access Private (manage_integrations)
+ */
+router.get('/:slug/api-keys', authenticate, loadOrganization(), requirePermission('manage_integrations'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    
+    const apiKeys = await listApiKeys(organization._id, {
+      includeInactive: req.query.includeInactive === 'true',
+    });
+    
+    res.json({
+      success: true,
+      apiKeys,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load API keys');
+  }
+});
+
+/**
+ * @route POST /api/organizations/:slug/api-keys
+ * @desc Generate an API key (the key is only returned in this response)
+ * @access Private (manage_integrations)
+ */
+router.post('/:slug/api-keys', authenticate, loadOrganization(), requirePermission('manage_integrations'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    
+    const { name, scopes, expiresInDays } = req.body;
+    const { key, apiKey } = await generateApiKey(req, organization, { name, scopes, expiresInDays });
+    
+    res.status(201).json({
+      success: true,
+      message: 'API key generated. Copy it now, it will not be shown again.',
+      key,
+      apiKey,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to generate API key');
+  }
+});
+
+/**
+ * @route POST /api/organizations/:slug/api-keys/:keyId/rotate
+ * @desc Replace an API key; the old key keeps working for graceHours (default 24)
+ * @access Private (manage_integrations)
+ */
+router.post('/:slug/api-keys/:keyId/rotate', authenticate, loadOrganization(), requirePermission('manage_integrations'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    
+    const { key, apiKey, previous } = await rotateApiKey(req, organization, req.params.keyId, {
+      graceHours: req.body.graceHours,
+    });
+    
+    res.json({
+      success: true,
+      message: 'API key rotated. Copy the new key now, it will not be shown again.',
+      key,
+      apiKey,
+      previous,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+    sendServiceError(res, error, 'Failed to rotate API key');
+  }
+});
+
+/**
+ * @route DELETE /api/organizations/:slug/api-keys/:keyId
+ * @desc Revoke an API key immediately
+ * @access Private (manage_integrations)
+ */
+router.delete('/:slug/api-keys/:keyId', authenticate, loadOrganization(), requirePermission('manage_integrations'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    
+    const apiKey = await revokeApiKey(req, organization, req.params.keyId);
+    
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      apiKey,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+    sendServiceError(res, error, 'Failed to revoke API key');
+  }
+});
+
+/**
+ * @route GET /api/organizations/:slug/invitations
+ * @desc List pending invitations (add ?includeInactive=true for accepted/revoked/expired)
+ * @access Private (manage_members)
+ */
+router.get('/:slug/invitations', authenticate, loadOrganization(), requirePermission('manage_members'), async (req, res) => {
+  try {
+    const invitations = await listInvitations(req.organization._id, {
+      includeInactive: req.query.includeInactive === 'true',
+    });
+    
+    res.json({
+      success: true,
+      invitations,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load invitations');
+  }
+});
+
+/**
+ * @route POST /api/organizations/:slug/invitations
+ * @desc Invite someone by email, with or without an account
+ * @access Private (manage_members)
+ */
+router.post('/:slug/invitations', authenticate, loadOrganization(), requirePermission('manage_members'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    
+    const { email, role = 'member', permissions } = req.body;
+    
+    const errors = validateMemberAccess({ role, permissions });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid member access',
+        errors,
+      });
+    }
+    
+    const notGrantable = checkGrantable(organization, req.user._id, { role, permissions });
+    if (notGrantable) {
+      return res.status(403).json({
+        success: false,
+        message: notGrantable,
+        code: 'PERMISSION_DENIED',
+      });
+    }
+    
+    const invitation = await createInvitation(req, organization, { email, role, permissions });
+    
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      invitation,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to send invitation');
+  }
+});
+
+/**
+ * @route POST /api/organizations/:slug/invitations/:invitationId/resend
+ * @desc Resend an invitation with a new link (the previous link stops working)
+ * @access Private (manage_members)
+ */
+router.post('/:slug/invitations/:invitationId/resend', authenticate, loadOrganization(), requirePermission('manage_members'), async (req, res) => {
+  try {
+    const invitation = await resendInvitation(req, req.organization, req.params.invitationId);
+    
+    res.json({
+      success: true,
+      message: `Invitation resent to ${invitation.email}`,
+      invitation,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+      });
+    }
+    sendServiceError(res, error, 'Failed to resend invitation');
+  }
+});
+
+/**
+ * @route DELETE /api/organizations/:slug/invitations/:invitationId
+ * @desc Revoke a pending invitation
+ * @access Private (manage_members)
+ */
+router.delete('/:slug/invitations/:invitationId', authenticate, loadOrganization(), requirePermission('manage_members'), async (req, res) => {
+  try {
+    const invitation = await revokeInvitation(req, req.organization, req.params.invitationId);
+    
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+      invitation,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+      });
+    }
+    sendServiceError(res, error, 'Failed to revoke invitation');
+  }
+});
+
+const AUDIT_LOG_PAGE_LIMIT = 200;
+const AUDIT_LOG_EXPORT_LIMIT = 10000;
+
+const AUDIT_LOG_COLUMNS = [
+  { key: 'timestamp', label: 'Timestamp' },
+  { key: 'action', label: 'Action' },
+  { key: 'status', label: 'Outcome' },
+  { key: 'actorName', label: 'Actor Name', value: log => log.userId?.name },
+  { key: 'actorEmail', label: 'Actor Email', value: log => log.userEmail },
+  { key: 'actorRole', label: 'Actor Role', value: log => log.userRole },
+  { key: 'apiKey', label: 'API Key', value: log => log.metadata?.apiKeyPrefix },
+  { key: 'resourceType', label: 'Resource Type' },
+  { key: 'resourceId', label: 'Resource ID', value: log => log.resourceId || log.metadata?.resourceKey },
+  { key: 'candidateId', label: 'Candidate ID', value: log => log.metadata?.candidateId },
+  { key: 'resultsCount', label: 'Results' },
+  { key: 'searchParams', label: 'Search', value: log => (log.searchParams ? JSON.stringify(log.searchParams) : '') },
+  { key: 'errorMessage', label: 'Error' },
+  { key: 'ipAddress', label: 'IP Address' },
+  { key: 'userAgent', label: 'User Agent' },
+  { key: 'request', label: 'Request', value: log => `${log.requestMethod} ${log.requestUrl}` },
+];
+
+/**
+ * Parse audit log filters from the query string
+ * @returns {{filters: object, errors: string[]}}
+ */
+const parseAuditLogFilters = (query) => {
+  const { action, userId, resourceType, resourceId, candidateId, status, from, to } = query;
+  const errors = [];
+  const filters = {};
+
+  if (action) {
+    const actions = String(action).split(',').map(value => value.trim().toUpperCase()).filter(Boolean);
+    const allowed = AuditLog.schema.path('action').enumValues;
+    const invalid = actions.filter(value => !allowed.includes(value));
+    if (invalid.length) {
+      errors.push(`Invalid action: ${invalid.join(', ')}`);
+    }
+    filters.actions = actions;
+  }
+
+  for (const [name, value] of Object.entries({ userId, resourceId, candidateId })) {
+    if (value && !mongoose.Types.ObjectId.isValid(value)) {
+      errors.push(`${name} must be a valid ID`);
+    }
+  }
+  if (userId) filters.userIds = [userId];
+  if (resourceId) filters.resourceId = resourceId;
+  if (candidateId) filters.candidateId = candidateId;
+
+  if (resourceType) filters.resourceType = resourceType;
+
+  if (status) {
+    if (!['success', 'failure', 'partial'].includes(status)) {
+      errors.push('status must be success, failure or partial');
+    }
+    filters.status = status;
+  }
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      errors.push(`${name} must be a valid date`);
+    }
+  }
+  if (from) filters.startDate = from;
+  if (to) filters.endDate = to;
+
+  return { filters, errors };
+};
+
+/**
+ * @route GET /api/organizations/:slug/audit-logs
+ * @desc Organization audit log, newest first. Filters: action (comma separated),
+ *       userId (actor), candidateId, resourceType, resourceId, status, from, to;
+ *       page/limit, or format=csv to download every match
+ * @access Private (view_audit_logs)
+ */
+router.get('/:slug/audit-logs', authenticate, loadOrganization(), requirePermission('view_audit_logs'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const { format = 'json' } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be csv or json',
+      });
+    }
+
+    const { filters, errors } = parseAuditLogFilters(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid audit log filters',
+        errors,
+      });
+    }
+
+    if (format === 'csv') {
+      const logs = await AuditLog.getOrganizationLogs(organization._id, {
+        ...filters,
+        limit: AUDIT_LOG_EXPORT_LIMIT,
+      });
+
+      await AuditLog.logRequest(req, {
+        action: 'BULK_EXPORT',
+        resourceType: 'System',
+        resultsCount: logs.length,
+        searchParams: req.query,
+        metadata: { export: 'audit_logs' },
+      });
+
+      logger.info(`Audit log exported for ${organization.slug} by ${req.user.email} (${logs.length} rows)`);
+
+      const filename = `${organization.slug}-audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      return sendCsv(res, filename, toCsv(logs, AUDIT_LOG_COLUMNS));
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), AUDIT_LOG_PAGE_LIMIT);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.getOrganizationLogs(organization._id, {
+        ...filters,
+        limit,
+        skip: (page - 1) * limit,
+      }),
+      AuditLog.countOrganizationLogs(organization._id, filters),
+    ]);
+
+    res.json({
+      success: true,
+      logs,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load audit log');
+  }
+});
+
+/**
+ * @route GET /api/organizations/:slug/retention
+ * @desc Data retention policy and recent purge reports
+ * @access Private (manage_settings)
+ */
+router.get('/:slug/retention', authenticate, loadOrganization(), requirePermission('manage_settings'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const reports = await listRetentionReports(organization._id);
+
+    res.json({
+      success: true,
+      policy: getRetentionPolicy(organization),
+      lastPurgedAt: organization.settings?.dataRetention?.lastPurgedAt || null,
+      closedStatuses: CLOSED_STATUSES,
+      reports,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load data retention settings');
+  }
+});
+
+/**
+ * @route POST /api/organizations/:slug/retention/preview
+ * @desc Count what the retention policy would purge now, without changing anything
+ * @access Private (manage_settings)
+ */
+router.post('/:slug/retention/preview', authenticate, loadOrganization(), requirePermission('manage_settings'), async (req, res) => {
+  try {
+    const report = await runRetentionPurge(req, req.organization, { dryRun: true });
+
+    res.json({
+      success: true,
+      report,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to preview retention purge');
+  }
+});
+
+/**
+ * @route POST /api/organizations/:slug/retention/run
+ * @desc Apply the retention policy now instead of waiting for the nightly run
+ * @access Private (manage_settings)
+ */
+router.post('/:slug/retention/run', authenticate, loadOrganization(), auditAction('DATA_RETENTION_PURGE', { resourceType: 'Organization', resourceId: (req) => req.organization?._id, metadata: (req, body) => ({ reportId: body?.report?._id, counts: body?.report?.counts }) }), requirePermission('manage_settings'), async (req, res) => {
+  try {
+    const report = await runRetentionPurge(req, req.organization);
+
+    res.json({
+      success: true,
+      message: 'Retention policy applied',
+      report,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to run retention purge');
+  }
+});
+
+/**
+ * @route GET /api/organizations/:slug/retention/reports/:reportId
+ * @desc A purge report with the affected application ids
+ * @access Private (manage_settings)
+ */
+router.get('/:slug/retention/reports/:reportId', authenticate, loadOrganization(), requirePermission('manage_settings'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.reportId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report id',
+      });
+    }
+
+    const report = await getRetentionReport(req.organization._id, req.params.reportId);
+
+    res.json({
+      success: true,
+      report,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load retention report');
+  }
+});
+
 export default router;
@@ -1,16 +1,30 @@
 /**
  * Recruiter Routes
  * API endpoints for employer/recruiter portal
+ * Organization routes (/:orgSlug/*) also accept organization API keys
+ * (see services/apiKeyService.js)
  */
 
 import express from 'express';
-import { authenticate } from '../middleware/authMiddleware.js';
+import { authenticate, requireAuthOrApiKey } from '../middleware/authMiddleware.js';
 import Job from '../models/Job.js';
 import JobApplication from '../models/JobApplication.js';
 import Organization from '../models/Organization.js';
 import User from '../models/User.js';
 import Resume from '../models/Resume.js';
 import { ensureDatabaseConnection } from '../config/database.js';
+import { enforceOrganizationSecurity } from '../services/orgSecurityService.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { auditAction } from '../middleware/auditMiddleware.js';
+import {
+  isBlindHiringEnabled,
+  maskApplication,
+  maskApplications,
+  maskCandidateResume,
+  revealIdentitiesIfDue,
+} from '../services/blindHiringService.js';
+import { setLegalHold } from '../services/dataRetentionService.js';
+import { excludeBlockingCandidates, getRecruiterOrganizations } from '../services/consentService.js';
 import {
   asyncHandler,
   NotFoundError,
@@ -201,6 +215,13 @@ const normalizeSalary = (salaryInput = {}) => {
   };
 };
 
+// Candidate (applicant user) of the application in a response, for "who viewed this candidate" audits
+const auditApplicationCandidate = (req, body) => {
+  const application = body?.application || body?.data;
+  const candidateId = application?.userId?._id || application?.userId;
+  return candidateId ? { candidateId } : {};
+};
+
 const ensureRecruiterDatabase = async (req, res, next) => {
   try {
     await ensureDatabaseConnection();
@@ -230,12 +251,18 @@ const requireRecruiterAccess = asyncHandler(async (req, res, next) => {
     throw new NotFoundError('Organization');
   }
   
-  // Check if user has recruiter or admin access
-  const memberRole = organization.getMemberRole(req.user._id);
-  
-  if (!memberRole || !['owner', 'admin', 'recruiter'].includes(memberRole)) {
-    throw new ForbiddenError('Insufficient permissions');
+  if (req.apiKey) {
+    // API keys belong to a single organization
+    if (req.apiKey.organizationId.toString() !== organization._id.toString()) {
+      throw new ForbiddenError('API key is not valid for this organization');
+    }
+  } else if (!organization.getMemberRole(req.user._id)) {
+    // What a member may do is decided per route by requirePermission
+    throw new ForbiddenError('You are not a member of this organization');
   }
+
+  // IP allowlist, session timeout, MFA and password policy
+  enforceOrganizationSecurity(req, organization);
   
   req.organization = organization;
   next();
@@ -246,7 +273,7 @@ const requireRecruiterAccess = asyncHandler(async (req, res, next) => {
  * @desc Get recruiter dashboard statistics
  * @access Private (Recruiter)
  */
-router.get('/:orgSlug/dashboard', authenticate, ensureRecruiterDatabase, requireRecruiterAccess, async (req, res) => {
+router.get('/:orgSlug/dashboard', requireAuthOrApiKey, ensureRecruiterDatabase, requireRecruiterAccess, requirePermission('view_analytics'), async (req, res) => {
   try {
     const organizationId = req.organization._id;
     
@@ -296,8 +323,8 @@ router.get('/:orgSlug/dashboard', authenticate, ensureRecruiterDatabase, require
           new: newApplications,
           pipeline: pipelineStats,
         },
-        recentApplications,
-        upcomingInterviews,
+        recentApplications: await maskApplications(req, req.organization, recentApplications),
+        upcomingInterviews: await maskApplications(req, req.organization, upcomingInterviews),
       },
     });
   } catch (error) {
@@ -314,7 +341,7 @@ router.get('/:orgSlug/dashboard', authenticate, ensureRecruiterDatabase, require
  * @desc Create new job posting
  * @access Private (Recruiter)
  */
-router.post('/:orgSlug/jobs', authenticate, ensureRecruiterDatabase, requireRecruiterAccess, async (req, res) => {
+router.post('/:orgSlug/jobs', requireAuthOrApiKey, ensureRecruiterDatabase, requireRecruiterAccess, auditAction('JOB_CREATE', { resourceType: 'Job', resourceId: (req, body) => body?.job?._id }), requirePermission('post_jobs'), async (req, res) => {
   try {
     const jobInput = req.body || {};
 
@@ -390,7 +417,7 @@ router.post('/:orgSlug/jobs', authenticate, ensureRecruiterDatabase, requireRecr
  * @desc Get organization's job postings
  * @access Private (Recruiter)
  */
-router.get('/:orgSlug/jobs', authenticate, ensureRecruiterDatabase, requireRecruiterAccess, async (req, res) => {
+router.get('/:orgSlug/jobs', requireAuthOrApiKey, ensureRecruiterDatabase, requireRecruiterAccess, requirePermission('post_jobs', 'view_candidates'), async (req, res) => {
   try {
     const { status, page = 1, limit = 20 } = req.query;
     
@@ -428,7 +455,7 @@ router.get('/:orgSlug/jobs', authenticate, ensureRecruiterDatabase, requireRecru
  * @desc Get single job details
  * @access Private (Recruiter)
  */
-router.get('/:orgSlug/jobs/:jobId', authenticate, ensureRecruiterDatabase, requireRecruiterAccess, async (req, res) => {
+router.get('/:orgSlug/jobs/:jobId', requireAuthOrApiKey, ensureRecruiterDatabase, requireRecruiterAccess, requirePermission('post_jobs', 'view_candidates'), async (req, res) => {
   try {
     const job = await Job.findOne({
       _id: req.params.jobId,
@@ -460,7 +487,7 @@ router.get('/:orgSlug/jobs/:jobId', authenticate, ensureRecruiterDatabase, requi
  * @desc Update job posting
  * @access Private (Recruiter)
  */
-router.put('/:orgSlug/jobs/:jobId', authenticate, ensureRecruiterDatabase, requireRecruiterAccess, async (req, res) => {
+router.put('/:orgSlug/jobs/:jobId', requireAuthOrApiKey, ensureRecruiterDatabase, requireRecruiterAccess, auditAction('JOB_UPDATE', { resourceType: 'Job', resourceParam: 'jobId', metadata: (req) => ({ fields: Object.keys(req.body || {}) }) }), requirePermission('post_jobs'), async (req, res) => {
   try {
     const {
       title,
@@ -520,7 +547,7 @@ router.put('/:orgSlug/jobs/:jobId', authenticate, ensureRecruiterDatabase, requi
  * @desc Close/archive job posting
  * @access Private (Recruiter)
  */
-router.delete('/:orgSlug/jobs/:jobId', authenticate, ensureRecruiterDatabase, requireRecruiterAccess, async (req, res) => {
+router.delete('/:orgSlug/jobs/:jobId', requireAuthOrApiKey, ensureRecruiterDatabase, requireRecruiterAccess, auditAction('JOB_DELETE', { resourceType: 'Job', resourceParam: 'jobId' }), requirePermission('post_jobs'), async (req, res) => {
   try {
     const job = await Job.findOne({
       _id: req.params.jobId,
@@ -557,7 +584,7 @@ router.delete('/:orgSlug/jobs/:jobId', authenticate, ensureRecruiterDatabase, re
  * @desc Clone an existing job posting
  * @access Private (Recruiter)
  */
-router.post('/:orgSlug/jobs/:jobId/clone', authenticate, ensureRecruiterDatabase, requireRecruiterAccess, async (req, res) => {
+router.post('/:orgSlug/jobs/:jobId/clone', requireAuthOrApiKey, ensureRecruiterDatabase, requireRecruiterAccess, auditAction('JOB_CREATE', { resourceType: 'Job', resourceId: (req, body) => body?.job?._id, metadata: (req) => ({ clonedFrom: req.params.jobId }) }), requirePermission('post_jobs'), async (req, res) => {
   try {
     const originalJob = await Job.findOne({
       _id: req.params.jobId,
@@ -608,7 +635,11 @@ router.post('/:orgSlug/jobs/:jobId/clone', authenticate, ensureRecruiterDatabase
  * @desc Get all applications for organization
  * @access Private (Recruiter)
  */
-router.get('/:orgSlug/applications', authenticate, ensureRecruiterDatabase, requireRecruiterAccess, async (req, res) => {
+router.get('/:orgSlug/applications', requireAuthOrApiKey, ensureRecruiterDatabase, requireRecruiterAccess, auditAction('CANDIDATE_SEARCH', {
+  resourceType: 'Application',
+  searchParams: (req) => ({ jobId: req.query.jobId || null, status: req.query.status || null, search: req.query.search || null }),
+  resultsCount: (req, body) => body?.applications?.length,
+}), requirePermission('view_candidates'), async (req, res) => {
   try {
     const { jobId, status, page = 1, limit = 20, search } = req.query;
     
@@ -646,11 +677,11 @@ router.get('/:orgSlug/applications', authenticate, ensureRecruiterDatabase, requ
       } : 'No applications'
     });
     
-    // Apply search filter if provided
-    let filteredApplications = applications;
+    // Blind hiring: masked candidates can only be found by pseudonym
+    let filteredApplications = await maskApplications(req, req.organization, applications);
     if (search) {
       const searchLower = search.toLowerCase();
-      filteredApplications = applications.filter(app => 
+      filteredApplications = filteredApplications.filter(app => 
         app.userId?.name?.toLowerCase().includes(searchLower) ||
         app.userId?.email?.toLowerCase().includes(searchLower) ||
         app.jobId?.title?.toLowerCase().includes(searchLower)
@@ -682,9 +713,15 @@ router.get('/:orgSlug/applications', authenticate, ensureRecruiterDatabase, requ
  */
 router.put(
   '/:orgSlug/applications/:applicationId/status',
-  authenticate,
+  requireAuthOrApiKey,
   ensureRecruiterDatabase,
   requireRecruiterAccess,
+  auditAction('APPLICATION_UPDATE', {
+    resourceType: 'Application',
+    resourceParam: 'applicationId',
+    metadata: (req, body) => ({ status: req.body?.status, ...auditApplicationCandidate(req, body) }),
+  }),
+  requirePermission('manage_applications'),
   validateApplicationStatus,
   asyncHandler(async (req, res) => {
     const { status, note } = req.body;
@@ -704,17 +741,20 @@ router.put(
       label: STATUS_LABELS[status] || `Status updated to ${status}`,
     });
     
-    // Emit notification event
-    emitApplicationEvent(EVENTS.APPLICATION.STATUS_CHANGED, {
-      applicationId: application._id,
-      userId: application.userId._id,
-      jobTitle: application.jobId.title,
-      company: application.jobId.company,
-      status,
-      oldStatus,
-    });
+    // Emit notification event (anonymized applications have no candidate to notify)
+    if (application.userId) {
+      emitApplicationEvent(EVENTS.APPLICATION.STATUS_CHANGED, {
+        applicationId: application._id,
+        userId: application.userId._id,
+        jobTitle: application.jobId.title,
+        company: application.jobId.company,
+        status,
+        oldStatus,
+      });
+    }
     
-    return successResponse(res, application, 'Application status updated');
+    const visibleApplication = await maskApplication(req, req.organization, application);
+    return successResponse(res, visibleApplication, 'Application status updated');
   })
 );
 
@@ -725,9 +765,15 @@ router.put(
  */
 router.post(
   '/:orgSlug/applications/:applicationId/interview',
-  authenticate,
+  requireAuthOrApiKey,
   ensureRecruiterDatabase,
   requireRecruiterAccess,
+  auditAction('INTERVIEW_SCHEDULE', {
+    resourceType: 'Application',
+    resourceParam: 'applicationId',
+    metadata: (req, body) => ({ type: req.body?.type, scheduledAt: req.body?.scheduledAt, ...auditApplicationCandidate(req, body) }),
+  }),
+  requirePermission('schedule_interviews'),
   validateInterviewSchedule,
   asyncHandler(async (req, res) => {
     const { type, scheduledAt, duration, interviewers, location, meetingLink, notes } = req.body;
@@ -762,7 +808,8 @@ router.post(
       scheduledAt,
     });
     
-    return successResponse(res, application, 'Interview scheduled successfully');
+    const visibleApplication = await maskApplication(req, req.organization, application);
+    return successResponse(res, visibleApplication, 'Interview scheduled successfully');
   })
 );
 
@@ -773,9 +820,15 @@ router.post(
  */
 router.post(
   '/:orgSlug/applications/:applicationId/notes',
-  authenticate,
+  requireAuthOrApiKey,
   ensureRecruiterDatabase,
   requireRecruiterAccess,
+  auditAction('APPLICATION_UPDATE', {
+    resourceType: 'Application',
+    resourceParam: 'applicationId',
+    metadata: (req, body) => ({ noteAdded: true, ...auditApplicationCandidate(req, body) }),
+  }),
+  requirePermission('view_candidates'),
   validateNote,
   asyncHandler(async (req, res) => {
     const { note } = req.body;
@@ -796,7 +849,44 @@ router.post(
     
     await application.save();
     
-    return successResponse(res, application, 'Note added successfully');
+    const visibleApplication = await maskApplication(req, req.organization, application);
+    return successResponse(res, visibleApplication, 'Note added successfully');
+  })
+);
+
+/**
+ * @route PUT /api/recruiter/:orgSlug/applications/:applicationId/legal-hold
+ * @desc Place ({ active: true, reason }) or release ({ active: false }) a legal hold;
+ *       held applications are exempt from retention purges
+ * @access Private (manage_settings)
+ */
+router.put(
+  '/:orgSlug/applications/:applicationId/legal-hold',
+  requireAuthOrApiKey,
+  ensureRecruiterDatabase,
+  requireRecruiterAccess,
+  auditAction('LEGAL_HOLD_UPDATE', {
+    resourceType: 'Application',
+    resourceParam: 'applicationId',
+    metadata: (req, body) => ({ active: req.body?.active, reason: req.body?.reason, ...auditApplicationCandidate(req, body) }),
+  }),
+  requirePermission('manage_settings'),
+  asyncHandler(async (req, res) => {
+    const { active, reason } = req.body;
+    
+    const application = await JobApplication.findOne({
+      _id: req.params.applicationId,
+      organizationId: req.organization._id,
+    });
+    
+    if (!application) {
+      throw new NotFoundError('Application');
+    }
+    
+    await setLegalHold(req, application, { active, reason });
+    
+    const visibleApplication = await maskApplication(req, req.organization, application);
+    return successResponse(res, visibleApplication, active ? 'Legal hold placed' : 'Legal hold released');
   })
 );
 
@@ -807,9 +897,15 @@ router.post(
  */
 router.post(
   '/:orgSlug/applications/bulk-status',
-  authenticate,
+  requireAuthOrApiKey,
   ensureRecruiterDatabase,
   requireRecruiterAccess,
+  auditAction('BULK_STATUS_UPDATE', {
+    resourceType: 'Application',
+    resultsCount: (req, body) => body?.data?.updated,
+    metadata: (req) => ({ status: req.body?.status, applicationIds: req.body?.applicationIds }),
+  }),
+  requirePermission('manage_applications'),
   validateBulkStatus,
   asyncHandler(async (req, res) => {
     const { applicationIds, status } = req.body;
@@ -839,9 +935,13 @@ router.post(
     // Emit events for each updated application
     const applications = await JobApplication.find({
       _id: { $in: applicationIds },
-    }).populate('userId jobId').select('_id userId jobId status');
+      organizationId: req.organization._id,
+    }).populate('userId jobId').select('_id userId jobId status identityRevealedAt');
+    
+    await revealIdentitiesIfDue(req, req.organization, applications);
     
-    applications.forEach((app) => {
+    // Anonymized applications have no candidate left to notify
+    applications.filter((app) => app.userId).forEach((app) => {
       emitApplicationEvent(EVENTS.APPLICATION.STATUS_CHANGED, {
         applicationId: app._id,
         userId: app.userId._id,
@@ -866,9 +966,15 @@ router.post(
  */
 router.post(
   '/:orgSlug/applications/bulk-reject',
-  authenticate,
+  requireAuthOrApiKey,
   ensureRecruiterDatabase,
   requireRecruiterAccess,
+  auditAction('BULK_REJECT', {
+    resourceType: 'Application',
+    resultsCount: (req, body) => body?.data?.updated,
+    metadata: (req) => ({ applicationIds: req.body?.applicationIds }),
+  }),
+  requirePermission('manage_applications'),
   validateBulkReject,
   asyncHandler(async (req, res) => {
     const { applicationIds, reason } = req.body;
@@ -899,9 +1005,10 @@ router.post(
     // Emit rejection events
     const applications = await JobApplication.find({
       _id: { $in: applicationIds },
+      organizationId: req.organization._id,
     }).populate('userId jobId').select('_id userId jobId');
     
-    applications.forEach((app) => {
+    applications.filter((app) => app.userId).forEach((app) => {
       emitApplicationEvent(EVENTS.APPLICATION.STATUS_CHANGED, {
         applicationId: app._id,
         userId: app.userId._id,
@@ -926,18 +1033,33 @@ router.post(
  */
 router.get(
   '/:orgSlug/candidates/search',
-  authenticate,
+  requireAuthOrApiKey,
   ensureRecruiterDatabase,
   requireRecruiterAccess,
+  auditAction('CANDIDATE_SEARCH', {
+    resourceType: 'Resume',
+    searchParams: (req) => {
+      const { skills, experience, location, minExperience, maxExperience, query } = req.query;
+      return { skills, experience, location, minExperience, maxExperience, query };
+    },
+    resultsCount: (req, body) => body?.data?.candidates?.length,
+    metadata: (req, body) => ({ piiAccess: body?.data?.piiAccess }),
+  }),
+  requirePermission('view_candidates'),
   asyncHandler(async (req, res) => {
     const { skills, experience, location, minExperience, maxExperience, query: searchQuery, page = 1, limit = 20 } = req.query;
     
-    // Check if user has PII access
-    const memberRole = req.organization.getMemberRole(req.user._id);
-    const canViewPII = ['owner', 'admin'].includes(memberRole);
+    // Contact details need view_candidate_contacts, held by the member or granted
+    // to the API key itself (nobody has them while blind hiring is on)
+    const blindHiring = isBlindHiringEnabled(req.organization);
+    const canViewContacts = req.apiKey
+      ? req.apiKey.hasScope('view_candidate_contacts')
+      : req.organization.hasPermission(req.user._id, 'view_candidate_contacts');
+    const canViewPII = !blindHiring && canViewContacts;
     
-    // Build search query
-    const query = {};
+    // Only candidates who opted in to recruiter visibility and did not block this organization
+    const query = { 'privacy.visibleToRecruiters': true };
+    await excludeBlockingCandidates(query, req.organization._id);
     
     // Skill-based search
     if (skills) {
@@ -964,14 +1086,14 @@ router.get(
     // Text search in resume content
     if (searchQuery) {
       query.$or = [
-        { 'parsedData.personalInfo.name': { $regex: searchQuery, $options: 'i' } },
+        ...(blindHiring ? [] : [{ 'parsedData.personalInfo.name': { $regex: searchQuery, $options: 'i' } }]),
         { 'parsedData.skills': { $regex: searchQuery, $options: 'i' } },
         { 'parsedData.summary': { $regex: searchQuery, $options: 'i' } },
       ];
     }
     
-    // Select fields based on permissions
-    const selectFields = canViewPII
+    // Select fields based on permissions (blind hiring keys pseudonyms on userId)
+    const selectFields = canViewPII || blindHiring
       ? 'userId parsedData.personalInfo parsedData.skills parsedData.experience parsedData.education createdAt'
       : 'parsedData.personalInfo.name parsedData.skills parsedData.experience parsedData.education createdAt -parsedData.personalInfo.email -parsedData.personalInfo.phone';
     
@@ -989,25 +1111,15 @@ router.get(
     
     const total = await Resume.countDocuments(query);
     
-    // Audit log for compliance
-    // TODO: Create AuditLog model and uncomment
-    // await AuditLog.create({
-    //   action: 'candidate_search',
-    //   performedBy: req.user._id,
-    //   organizationId: req.organization._id,
-    //   searchParams: { skills, experience, location, minExperience, maxExperience, searchQuery },
-    //   resultsCount: resumes.length,
-    //   timestamp: new Date(),
-    // });
-    
     return successResponse(res, {
-      candidates: resumes,
+      candidates: resumes.map(resume => maskCandidateResume(req.organization, resume)),
       pagination: {
         total,
         page: parseInt(page),
         pages: Math.ceil(total / limit),
       },
       piiAccess: canViewPII,
+      blindHiring,
     });
   })
 );
@@ -1017,7 +1129,7 @@ router.get(
  * @desc Get full application details with resume
  * @access Private (Recruiter)
  */
-router.get('/:orgSlug/applications/:applicationId', authenticate, ensureRecruiterDatabase, requireRecruiterAccess, async (req, res) => {
+router.get('/:orgSlug/applications/:applicationId', requireAuthOrApiKey, ensureRecruiterDatabase, requireRecruiterAccess, auditAction('CANDIDATE_VIEW', { resourceType: 'Application', resourceParam: 'applicationId', metadata: auditApplicationCandidate }), requirePermission('view_candidates'), async (req, res) => {
   try {
     const application = await JobApplication.findOne({
       _id: req.params.applicationId,
@@ -1038,6 +1150,8 @@ router.get('/:orgSlug/applications/:applicationId', authenticate, ensureRecruite
       });
     }
 
+    const visibleApplication = await maskApplication(req, req.organization, application);
+    const candidateName = visibleApplication.userId?.name;
     const timeline = [];
 
     if (application.statusHistory?.length) {
@@ -1047,7 +1161,7 @@ router.get('/:orgSlug/applications/:applicationId', authenticate, ensureRecruite
           date: entry.updatedAt,
           status: entry.status,
           type: 'status',
-          actor: entry.source === 'candidate' ? application.userId?.name : entry.updatedBy?.name || 'Recruiter',
+          actor: entry.source === 'candidate' ? candidateName : entry.updatedBy?.name || 'Recruiter',
           note: entry.note,
           content: entry.meta,
         });
@@ -1057,7 +1171,7 @@ router.get('/:orgSlug/applications/:applicationId', authenticate, ensureRecruite
         event: 'Application Received',
         date: application.createdAt,
         status: 'applied',
-        actor: application.userId?.name,
+        actor: candidateName,
         type: 'status',
       });
     }
@@ -1095,7 +1209,7 @@ router.get('/:orgSlug/applications/:applicationId', authenticate, ensureRecruite
     res.json({
       success: true,
       application: {
-        ...application.toObject(),
+        ...visibleApplication,
         timeline,
       },
     });
@@ -1113,7 +1227,7 @@ router.get('/:orgSlug/applications/:applicationId', authenticate, ensureRecruite
  * @desc Send job offer to candidate
  * @access Private (Recruiter)
  */
-router.post('/:orgSlug/applications/:applicationId/offer', authenticate, ensureRecruiterDatabase, requireRecruiterAccess, async (req, res) => {
+router.post('/:orgSlug/applications/:applicationId/offer', requireAuthOrApiKey, ensureRecruiterDatabase, requireRecruiterAccess, auditAction('OFFER_CREATE', { resourceType: 'Application', resourceParam: 'applicationId', metadata: auditApplicationCandidate }), requirePermission('manage_applications'), async (req, res) => {
   try {
     const { salary, benefits, joiningDate, validUntil } = req.body;
 
@@ -1140,7 +1254,7 @@ router.post('/:orgSlug/applications/:applicationId/offer', authenticate, ensureR
     res.json({
       success: true,
       message: 'Offer sent successfully',
-      application,
+      application: await maskApplication(req, req.organization, application),
     });
   } catch (error) {
     console.error('Error sending offer:', error);
@@ -1156,7 +1270,10 @@ router.post('/:orgSlug/applications/:applicationId/offer', authenticate, ensureR
  * @desc Update interview details
  * @access Private (Recruiter)
  */
-router.put('/:orgSlug/interviews/:interviewId', authenticate, ensureRecruiterDatabase, requireRecruiterAccess, async (req, res) => {
+router.put('/:orgSlug/interviews/:interviewId', requireAuthOrApiKey, ensureRecruiterDatabase, requireRecruiterAccess, auditAction(
+  (req) => (req.body?.status === 'cancelled' ? 'INTERVIEW_CANCEL' : 'INTERVIEW_UPDATE'),
+  { resourceType: 'Interview', resourceParam: 'interviewId', metadata: (req) => ({ status: req.body?.status || null }) }
+), requirePermission('schedule_interviews'), async (req, res) => {
   try {
     const { scheduledAt, location, meetingLink, status, feedback, rating } = req.body;
 
@@ -1209,6 +1326,7 @@ router.put('/:orgSlug/interviews/:interviewId', authenticate, ensureRecruiterDat
     if (!savedViaStatusUpdate) {
       await application.save();
     }
+    await revealIdentitiesIfDue(req, req.organization, [application]);
 
     res.json({
       success: true,
@@ -1232,6 +1350,12 @@ router.put('/:orgSlug/interviews/:interviewId', authenticate, ensureRecruiterDat
 router.get(
   '/discover-candidates',
   authenticate,
+  auditAction('CANDIDATE_SEARCH', {
+    resourceType: 'Resume',
+    searchParams: (req) => ({ search: req.query.search, skills: req.query.skills, experience: req.query.experience }),
+    resultsCount: (req, body) => body?.candidates?.length,
+    metadata: { discover: true },
+  }),
   asyncHandler(async (req, res) => {
     // Verify user is a recruiter
     if (!req.user || !['recruiter', 'admin'].includes(req.user.role)) {
@@ -1244,6 +1368,11 @@ router.get(
     const { search, skills, experience, page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
+    // Blind hiring and candidates' block lists follow the recruiter's organizations
+    const { organization, organizationIds } = await getRecruiterOrganizations(req.user._id);
+    const blindHiring = isBlindHiringEnabled(organization);
+    res.locals.audit = { organizationId: organization?._id };
+
     // Build query - only show resumes where user opted in to recruiter visibility
     const query = {
       isActive: true,
@@ -1251,12 +1380,18 @@ router.get(
       'parsed_resume.skills.0': { $exists: true } // Ensure resume has skills
     };
 
-    // Search filter (name, location, current role)
+    // Candidates who blocked any of the recruiter's organizations stay hidden
+    await excludeBlockingCandidates(query, organizationIds);
+
+    // Search filter (name, location, current role, or an exact email / phone number)
     if (search && search.trim()) {
       const searchRegex = { $regex: search.trim(), $options: 'i' };
       query.$or = [
-        { 'parsed_resume.name': searchRegex },
-        { 'parsed_resume.full_name': searchRegex },
+        ...(blindHiring ? [] : [
+          { 'parsed_resume.name': searchRegex },
+          { 'parsed_resume.full_name': searchRegex },
+          ...Resume.contactLookupFilters(search),
+        ]),
         { 'parsed_resume.location': searchRegex },
         { 'parsed_resume.current_role': searchRegex },
         { 'parsed_resume.title': searchRegex }
@@ -1313,7 +1448,8 @@ router.get(
 
       res.json({
         success: true,
-        candidates,
+        candidates: candidates.map(candidate => maskCandidateResume(organization, candidate)),
+        blindHiring,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -0,0 +1,284 @@
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import ApiKey from '../models/ApiKey.js';
+import AuditLog from '../models/AuditLog.js';
+import Job from '../models/Job.js';
+import JobApplication from '../models/JobApplication.js';
+import Organization from '../models/Organization.js';
+import Resume from '../models/Resume.js';
+import User from '../models/User.js';
+import { hashApiKey } from '../services/apiKeyService.js';
+import { getPseudonym } from '../services/blindHiringService.js';
+import { EVENTS, notificationEvents } from '../utils/notificationEmitter.js';
+import recruiterRoutes from './recruiter.routes.js';
+
+const KEY = `rgk_${'b'.repeat(64)}`;
+
+const ownerId = new mongoose.Types.ObjectId();
+const owner = { _id: ownerId, email: 'owner@example.com', role: 'recruiter', isActive: true };
+
+const organization = new Organization({
+  name: 'Acme',
+  slug: 'acme',
+  owner: ownerId,
+  members: [{ userId: ownerId, role: 'owner' }],
+});
+
+// A mongoose query stand-in that records the chained calls and resolves to result
+const stubQuery = (result, calls = {}) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean'].forEach((method) => {
+    query[method] = (...args) => {
+      calls[method] = args;
+      return query;
+    };
+  });
+  return query;
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+  // Recruiter routes check the database connection first; every query is stubbed
+  Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/recruiter', recruiterRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  delete mongoose.connection.readyState;
+  server.close();
+});
+
+beforeEach(() => {
+  mock.method(AuditLog, 'logRequest', async () => null);
+  mock.method(Organization, 'findOne', async () => organization);
+  mock.method(User, 'find', () => ({ distinct: async () => [] }));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('GET /api/recruiter/:orgSlug/candidates/search with an API key', () => {
+  const searchWithKeyScopes = async (scopes) => {
+    const apiKey = new ApiKey({
+      organizationId: organization._id,
+      name: 'ATS sync',
+      prefix: KEY.slice(0, 12),
+      keyHash: hashApiKey(KEY),
+      scopes,
+      createdBy: ownerId,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    mock.method(ApiKey, 'findOne', async () => apiKey);
+    mock.method(ApiKey, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Organization, 'findById', async () => organization);
+    mock.method(User, 'findById', () => ({ select: async () => owner }));
+
+    const calls = {};
+    mock.method(Resume, 'find', () => stubQuery([], calls));
+    mock.method(Resume, 'countDocuments', async () => 0);
+
+    const response = await fetch(`${baseUrl}/api/recruiter/acme/candidates/search`, { headers: { 'X-API-Key': KEY } });
+    return { status: response.status, body: await response.json(), calls };
+  };
+
+  test('does not inherit contact access from the owner who created the key', async () => {
+    const { status, body, calls } = await searchWithKeyScopes(['view_candidates']);
+
+    assert.equal(status, 200);
+    assert.equal(body.data.piiAccess, false);
+    assert.match(calls.populate[1], /-email -phone/);
+  });
+
+  test('returns contact details when the key was granted view_candidate_contacts', async () => {
+    const { body, calls } = await searchWithKeyScopes(['view_candidates', 'view_candidate_contacts']);
+
+    assert.equal(body.data.piiAccess, true);
+    assert.match(calls.populate[1], /\bemail\b.*\bphone\b/);
+    assert.doesNotMatch(calls.populate[1], /-email/);
+  });
+
+  test('is refused without the view_candidates scope', async () => {
+    const { status, body } = await searchWithKeyScopes(['export_data']);
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'PERMISSION_DENIED');
+  });
+});
+
+describe('GET /api/recruiter/:orgSlug/dashboard', () => {
+  test('masks recent applications and upcoming interviews under blind hiring', async () => {
+    const blindOrganization = new Organization({
+      name: 'Initech',
+      slug: 'initech',
+      owner: ownerId,
+      members: [{ userId: ownerId, role: 'owner' }],
+      settings: { blindHiring: { enabled: true } },
+    });
+    const apiKey = new ApiKey({
+      organizationId: blindOrganization._id,
+      name: 'BI export',
+      prefix: KEY.slice(0, 12),
+      keyHash: hashApiKey(KEY),
+      scopes: ['view_analytics'],
+      createdBy: ownerId,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    mock.method(Organization, 'findOne', async () => blindOrganization);
+    mock.method(Organization, 'findById', async () => blindOrganization);
+    mock.method(ApiKey, 'findOne', async () => apiKey);
+    mock.method(ApiKey, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(User, 'findById', () => ({ select: async () => owner }));
+
+    const candidateId = new mongoose.Types.ObjectId();
+    const application = {
+      _id: new mongoose.Types.ObjectId(),
+      organizationId: blindOrganization._id,
+      status: 'applied',
+      userId: { _id: candidateId, name: 'Casey Candidate', email: 'casey@example.com' },
+      jobId: { title: 'Engineer' },
+    };
+    mock.method(Job, 'countDocuments', async () => 1);
+    mock.method(JobApplication, 'countDocuments', async () => 1);
+    mock.method(JobApplication, 'getApplicationStats', async () => []);
+    mock.method(JobApplication, 'find', () => stubQuery([application]));
+
+    const response = await fetch(`${baseUrl}/api/recruiter/initech/dashboard`, { headers: { 'X-API-Key': KEY } });
+    const { dashboard } = await response.json();
+
+    assert.equal(response.status, 200);
+    const pseudonym = getPseudonym(blindOrganization._id, candidateId);
+    for (const list of [dashboard.recentApplications, dashboard.upcomingInterviews]) {
+      assert.equal(list[0].candidatePseudonym, pseudonym);
+      assert.equal(list[0].userId.name, pseudonym);
+      assert.equal(list[0].userId.email, undefined);
+    }
+  });
+});
+
+describe('POST /api/recruiter/:orgSlug/applications/bulk-reject', () => {
+  test('notifies only candidates of the organization still attached to their applications', async () => {
+    const apiKey = new ApiKey({
+      organizationId: organization._id,
+      name: 'ATS sync',
+      prefix: KEY.slice(0, 12),
+      keyHash: hashApiKey(KEY),
+      scopes: ['manage_applications'],
+      createdBy: ownerId,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    mock.method(Organization, 'findById', async () => organization);
+    mock.method(ApiKey, 'findOne', async () => apiKey);
+    mock.method(ApiKey, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(User, 'findById', () => ({ select: async () => owner }));
+
+    const candidateId = new mongoose.Types.ObjectId();
+    const applications = [
+      { _id: new mongoose.Types.ObjectId(), userId: { _id: candidateId }, jobId: { title: 'Engineer', company: 'Acme' } },
+      { _id: new mongoose.Types.ObjectId(), userId: null, jobId: { title: 'Engineer', company: 'Acme' } },
+    ];
+    mock.method(JobApplication, 'updateMany', async () => ({ modifiedCount: 2 }));
+    const find = mock.method(JobApplication, 'find', () => stubQuery(applications));
+    const events = [];
+    const listener = data => events.push(data);
+    notificationEvents.on(EVENTS.APPLICATION.STATUS_CHANGED, listener);
+
+    const response = await fetch(`${baseUrl}/api/recruiter/acme/applications/bulk-reject`, {
+      method: 'POST',
+      headers: { 'X-API-Key': KEY, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ applicationIds: applications.map(app => app._id.toString()) }),
+    });
+    notificationEvents.off(EVENTS.APPLICATION.STATUS_CHANGED, listener);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(find.mock.calls[0].arguments[0].organizationId, organization._id);
+    assert.deepEqual(events.map(event => event.userId), [candidateId]);
+  });
+});
+
+describe('GET /api/recruiter/discover-candidates', () => {
+  const recruiterId = new mongoose.Types.ObjectId();
+  const recruiter = { _id: recruiterId, email: 'invited@example.com', role: 'recruiter', isActive: true };
+
+  // The recruiter joined both organizations by invitation, so neither is on their user record
+  const organizations = [
+    new Organization({ name: 'Acme', slug: 'acme', owner: ownerId, members: [{ userId: recruiterId, role: 'recruiter' }] }),
+    new Organization({ name: 'Globex', slug: 'globex', owner: ownerId, members: [{ userId: recruiterId, role: 'member' }] }),
+  ];
+
+  const discover = async () => {
+    const token = jwt.sign({ userId: recruiterId.toString() }, process.env.JWT_SECRET);
+    const response = await fetch(`${baseUrl}/api/recruiter/discover-candidates`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeEach(() => {
+    mock.method(User, 'findById', () => ({ select: async () => recruiter }));
+    mock.method(Organization, 'find', () => stubQuery(organizations));
+    mock.method(Resume, 'countDocuments', async () => 0);
+  });
+
+  test('hides candidates who blocked any of the recruiter organizations', async () => {
+    const blockingId = new mongoose.Types.ObjectId();
+    mock.method(User, 'find', () => ({ distinct: async () => [blockingId] }));
+    const find = mock.method(Resume, 'find', () => stubQuery([]));
+
+    const { status } = await discover();
+
+    assert.equal(status, 200);
+    const membershipFilter = Organization.find.mock.calls[0].arguments[0];
+    assert.deepEqual(membershipFilter.$or, [{ owner: recruiterId }, { 'members.userId': recruiterId }]);
+    const blockFilter = User.find.mock.calls[0].arguments[0];
+    assert.deepEqual(
+      blockFilter['privacy.blockedOrganizations.organizationId'].$in.map(String),
+      organizations.map(org => org._id.toString())
+    );
+    assert.deepEqual(find.mock.calls[0].arguments[0].userId, { $nin: [blockingId] });
+  });
+
+  test('masks every result when one of the recruiter organizations uses blind hiring', async () => {
+    const blindOrganization = new Organization({
+      name: 'Initech',
+      slug: 'initech',
+      owner: recruiterId,
+      settings: { blindHiring: { enabled: true } },
+    });
+    mock.method(Organization, 'find', () => stubQuery([...organizations, blindOrganization]));
+    const candidateId = new mongoose.Types.ObjectId();
+    mock.method(Resume, 'find', () => stubQuery([{
+      _id: new mongoose.Types.ObjectId(),
+      userId: { _id: candidateId, name: 'Casey Candidate', email: 'casey@example.com', phone: '+15550100' },
+      parsed_resume: { name: 'Casey Candidate', emails: ['casey@example.com'], skills: ['react'] },
+    }]));
+
+    const { body } = await discover();
+
+    const pseudonym = getPseudonym(blindOrganization._id, candidateId);
+    assert.equal(body.blindHiring, true);
+    assert.equal(body.candidates[0].candidatePseudonym, pseudonym);
+    assert.equal(body.candidates[0].userId.name, pseudonym);
+    assert.equal(body.candidates[0].userId.email, undefined);
+    assert.deepEqual(body.candidates[0].parsed_resume.emails, []);
+
+    await new Promise(resolve => setImmediate(resolve));
+    const search = AuditLog.logRequest.mock.calls.find(call => call.arguments[1].action === 'CANDIDATE_SEARCH');
+    assert.ok(search.arguments[1].organizationId.equals(blindOrganization._id));
+  });
+});
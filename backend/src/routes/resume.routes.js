@@ -1,16 +1,27 @@
 import express from 'express'
 import { v4 as uuidv4 } from 'uuid'
-import upload, { handleUploadError } from '../middleware/uploadMiddleware.js'
-import { authenticateToken } from '../middleware/authMiddleware.js'
+import upload, { importUpload, handleUploadError } from '../middleware/uploadMiddleware.js'
+import { authenticateToken, requireAuth } from '../middleware/authMiddleware.js'
 import { extractText, parseResume, quickParse, deepParse } from '../services/resumeProcessingService.js'
 import { predictBestRole, analyzeSkills, generateSalaryBoostRecommendations, alignSkillsWithCareerAdvice } from '../services/intelligentJobMatchingService.js'
 import { generateRoadmap } from '../services/roadmapService.js'
 import { generateResumeSummaryWithWatson } from '../services/watsonResumeSummaryService.js'
 import { trackUsage } from '../services/subscriptionService.js'
 import Resume from '../models/Resume.js'
+import User from '../models/User.js'
+import AuditLog from '../models/AuditLog.js'
 import { logger, createLogger } from '../utils/logger.js'
+import { segmentResume } from '../utils/sectionSegmenter.js'
 import { queueResumeEmbedding } from '../services/embeddingQueueService.js'
+import { getRecruiterOrganizations, hasBlockedOrganization, recordConsent } from '../services/consentService.js'
+import { maskCandidateResume } from '../services/blindHiringService.js'
+import { correctParsedResume, listParseCorrections, snapshotMachineOutput } from '../services/parseCorrectionService.js'
+import { importResume } from '../services/resumeImportService.js'
+import { buildResume, listTemplates } from '../services/resumeBuilderService.js'
+import { requirePlan } from '../middleware/subscriptionMiddleware.js'
+import { UPLOAD_DIR } from '../utils/uploadPaths.js'
 import fs from 'fs/promises'
+import path from 'path'
 
 const BADGE_META = {
   gold: { label: 'Gold Badge', color: '#fbbf24', icon: '🥇' },
@@ -56,6 +67,79 @@ function validatePageCount(pages, maxPages) {
   }
 }
 
+/**
+ * Store an upload or import as the user's active resume
+ * An existing active resume gets a new version, its current state kept in
+ * previousVersions; otherwise (or for anonymous uploads) a resume is created.
+ * @param {ObjectId|null} userObjectId
+ * @param {object} fields - resume fields set by this upload
+ * @returns {Promise<{resume: object, isNewVersion: boolean}>}
+ */
+async function saveUploadedResume(userObjectId, fields) {
+  const resume = userObjectId
+    ? await Resume.findOne({ userId: userObjectId, isActive: true })
+    : null
+
+  if (!resume) {
+    const created = new Resume({
+      resumeId: uuidv4(),
+      userId: userObjectId,
+      ...fields,
+      version: 1,
+      previousVersions: [],
+      // Initialize privacy settings with secure defaults
+      privacy: {
+        visibleToRecruiters: false, // Private by default
+        openToWork: false,
+        lastUpdated: new Date(),
+      },
+    })
+    await created.save()
+    return { resume: created, isNewVersion: false }
+  }
+
+  // Push current snapshot to history before overwriting
+  resume.previousVersions = resume.previousVersions || []
+  resume.previousVersions.push({
+    versionNumber: resume.version || 1,
+    uploadedAt: resume.file_metadata?.uploadedAt || new Date(),
+    filePath: resume.filePath,
+    parsed_resume: resume.parsed_resume,
+    file_metadata: resume.file_metadata,
+  })
+
+  resume.version = (resume.version || 1) + 1
+  resume.set(fields)
+  resume.privacy = resume.privacy || {
+    visibleToRecruiters: false,
+    openToWork: false,
+    lastUpdated: new Date(),
+  }
+  resume.privacy.lastUpdated = new Date()
+
+  await resume.save()
+  return { resume, isNewVersion: true }
+}
+
+// Helper: Parse metadata as stored in Resume.extraction_metadata
+function toExtractionMetadata(metadata) {
+  return {
+    version: metadata.version,
+    parsed_at: metadata.parsed_at,
+    overall_confidence: metadata.overall_confidence,
+    field_confidences: metadata.field_confidences,
+    extraction_methods: metadata.extraction_methods,
+    processing_time_ms: metadata.processing_time_ms,
+    llm_used: metadata.llm_used,
+    requires_manual_review: metadata.requires_manual_review,
+    flagged_fields: metadata.missing_fields?.map(field => ({
+      field: field,
+      severity: 'low',
+      message: `${field} could not be extracted`,
+    })) || [],
+  }
+}
+
 const router = express.Router()
 
 /**
@@ -177,66 +261,20 @@ router.post(
       }
 
       // If user already has an active resume, version it instead of creating a new resumeId
-      let resume = null
-      let resumeId
-      if (userObjectId) {
-        resume = await Resume.findOne({ userId: userObjectId, isActive: true })
-      }
-
-      if (resume) {
-        resumeId = resume.resumeId
-        // Push current snapshot to history before overwriting
-        resume.previousVersions = resume.previousVersions || []
-        resume.previousVersions.push({
-          versionNumber: resume.version || 1,
-          uploadedAt: resume.file_metadata?.uploadedAt || new Date(),
-          filePath: resume.filePath,
-          parsed_resume: resume.parsed_resume,
-          file_metadata: resume.file_metadata,
-        })
-
-        resume.version = (resume.version || 1) + 1
-        resume.raw_text = extractionResult.raw_text
-        resume.file_metadata = file_metadata
-        resume.extraction_status = extraction_status
-        resume.ocr_needed = extractionResult.ocrNeeded
-        resume.extraction_confidence = extractionResult.extractionConfidence
-        resume.errorMessage = extractionResult.message || null
-        resume.filePath = file.path
-        resume.privacy = resume.privacy || {
-          visibleToRecruiters: false,
-          openToWork: false,
-          lastUpdated: new Date(),
-        }
-        resume.privacy.lastUpdated = new Date()
-
-        await resume.save()
-        requestLogger.info(`Resume updated with new version`, { resumeId: resume.resumeId, version: resume.version })
-      } else {
-        resumeId = uuidv4()
-        resume = new Resume({
-          resumeId,
-          userId: userObjectId,
-          raw_text: extractionResult.raw_text,
-          file_metadata,
-          extraction_status,
-          ocr_needed: extractionResult.ocrNeeded,
-          extraction_confidence: extractionResult.extractionConfidence,
-          errorMessage: extractionResult.message || null,
-          filePath: file.path,
-          version: 1,
-          previousVersions: [],
-          // Initialize privacy settings with secure defaults
-          privacy: {
-            visibleToRecruiters: false, // Private by default
-            openToWork: false,
-            lastUpdated: new Date(),
-          },
-        })
-
-        await resume.save()
-        requestLogger.info(`Resume saved successfully`, { resumeId })
-      }
+      const { resume, isNewVersion } = await saveUploadedResume(userObjectId, {
+        raw_text: extractionResult.raw_text,
+        sections: segmentResume(extractionResult.raw_text),
+        text_layout: extractionResult.layout || undefined,
+        import_format: undefined,
+        file_metadata,
+        extraction_status,
+        ocr_needed: extractionResult.ocrNeeded,
+        extraction_confidence: extractionResult.extractionConfidence,
+        errorMessage: extractionResult.message || null,
+        filePath: file.path,
+      })
+      const { resumeId } = resume
+      requestLogger.info(isNewVersion ? 'Resume updated with new version' : 'Resume saved successfully', { resumeId, version: resume.version })
       
       // Track usage for subscription limits
       if (req.user && req.user._id) {
@@ -286,6 +324,131 @@ router.post(
   }
 )
 
+/**
+ * POST /api/resume/import
+ * Create a resume from structured data: a JSON Resume file (.json) or a
+ * LinkedIn data export archive (.zip). The data is mapped straight into
+ * parsed_resume, so there is no text extraction or parse step.
+ */
+router.post(
+  '/import',
+  authenticateToken, // Optional auth, like /upload
+  importUpload.single('file'),
+  handleUploadError,
+  async (req, res) => {
+    const traceId = uuidv4()
+    const requestLogger = createLogger({ traceId })
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'No file uploaded',
+          message: 'Please provide a file in the "file" field',
+          statusCode: 400,
+        })
+      }
+
+      const { file } = req
+      const userObjectId = req.user?._id || req.user?.userId || null
+
+      requestLogger.info(`Importing resume data: ${file.originalname}`)
+
+      const imported = await importResume(file, await fs.readFile(file.path))
+
+      const file_metadata = {
+        filename: file.filename,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        sizeBytes: file.size,
+        pages: 1,
+        extractedChars: imported.raw_text.length,
+        uploadedAt: new Date(),
+      }
+
+      const { resume, isNewVersion } = await saveUploadedResume(userObjectId, {
+        raw_text: imported.raw_text,
+        sections: imported.sections,
+        text_layout: undefined,
+        import_format: imported.format,
+        file_metadata,
+        extraction_status: 'completed',
+        ocr_needed: false,
+        extraction_confidence: Math.round(imported.metadata.overall_confidence * 100),
+        errorMessage: null,
+        filePath: file.path,
+        parsed_resume: imported.parsed_resume,
+        // Not parser output, so there is nothing for corrections to diff against yet
+        parsed_resume_machine: undefined,
+        extraction_metadata: toExtractionMetadata(imported.metadata),
+      })
+      const { resumeId } = resume
+      requestLogger.info(isNewVersion ? 'Resume updated with imported version' : 'Imported resume saved', {
+        resumeId,
+        version: resume.version,
+        format: imported.format,
+      })
+
+      if (req.user && req.user._id) {
+        try {
+          await trackUsage(req.user._id, 'resumesUploaded')
+        } catch (err) {
+          requestLogger.warn('Failed to track resume import usage', err)
+        }
+      }
+
+      let embeddingQueued = false
+      try {
+        embeddingQueued = queueResumeEmbedding(resumeId, 'normal').queued
+      } catch (error) {
+        requestLogger.warn(`Failed to queue embedding generation: ${error.message}`)
+      }
+
+      res.status(201).json({
+        resumeId,
+        import_format: imported.format,
+        raw_text: imported.raw_text,
+        file_metadata: {
+          filename: file_metadata.originalName,
+          mimeType: file_metadata.mimeType,
+          sizeBytes: file_metadata.sizeBytes,
+          pages: file_metadata.pages,
+          extractedChars: file_metadata.extractedChars,
+        },
+        extraction_status: 'completed',
+        parsed_resume: imported.parsed_resume,
+        metadata: imported.metadata,
+        embedding_queued: embeddingQueued,
+      })
+    } catch (error) {
+      if (req.file) {
+        await fs.unlink(req.file.path).catch(() => {})
+      }
+
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          error: error.code,
+          message: error.message,
+          statusCode: error.statusCode,
+        })
+      }
+      requestLogger.error(`Import endpoint error: ${error.message}`)
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while importing your resume',
+        statusCode: 500,
+      })
+    }
+  }
+)
+
+/**
+ * GET /api/resume/builder/templates
+ * Templates, sections and formats offered by the resume builder
+ */
+router.get('/builder/templates', (req, res) => {
+  res.json({ success: true, ...listTemplates() })
+})
+
 /**
  * GET /api/resume/:resumeId
  * Retrieve resume by ID
@@ -418,21 +581,10 @@ router.post('/:resumeId/parse', async (req, res) => {
 
     // Update resume with parsed data
     resume.parsed_resume = parseResult.parsed_resume
-    resume.extraction_metadata = {
-      version: parseResult.metadata.version,
-      parsed_at: parseResult.metadata.parsed_at,
-      overall_confidence: parseResult.metadata.overall_confidence,
-      field_confidences: parseResult.metadata.field_confidences,
-      extraction_methods: parseResult.metadata.extraction_methods,
-      processing_time_ms: parseResult.metadata.processing_time_ms,
-      llm_used: parseResult.metadata.llm_used,
-      requires_manual_review: parseResult.metadata.requires_manual_review,
-      flagged_fields: parseResult.metadata.missing_fields?.map(field => ({
-        field: field,
-        severity: 'low',
-        message: `${field} could not be extracted`,
-      })) || [],
-    }
+    resume.parsed_resume_machine = snapshotMachineOutput(parseResult.parsed_resume)
+    resume.sections = parseResult.sections
+    resume.extraction_confidence = Math.round(parseResult.metadata.overall_confidence * 100)
+    resume.extraction_metadata = toExtractionMetadata(parseResult.metadata)
 
     await resume.save()
 
@@ -480,7 +632,7 @@ router.get('/:resumeId/parsed', authenticateToken, async (req, res) => {
     const { resumeId } = req.params
 
     const resume = await Resume.findOne({ resumeId }).select(
-      'resumeId userId parsed_resume extraction_metadata parsed_data job_analysis profile privacy'
+      'resumeId userId raw_text parsed_resume extraction_metadata parsed_data job_analysis profile privacy'
     )
 
     if (!resume) {
@@ -500,10 +652,12 @@ router.get('/:resumeId/parsed', authenticateToken, async (req, res) => {
     }
 
     // Allow access if user is owner, admin, or recruiter WITH opt-in privacy
+    // (access tokens carry no role, so it is read from the account)
     const isOwner = req.user && resume.userId && resume.userId.toString() === req.user._id.toString()
-    const isAdmin = req.user && req.user.role === 'admin'
-    const recruiterOptIn = req.user && req.user.role === 'recruiter' && resume.privacy?.visibleToRecruiters
-    
+    const viewer = req.user && !isOwner ? await User.findById(req.user._id).select('name email role') : null
+    const isAdmin = viewer?.role === 'admin'
+    const recruiterOptIn = viewer?.role === 'recruiter' && resume.privacy?.visibleToRecruiters
+
     if (!isOwner && !isAdmin && !recruiterOptIn) {
       return res.status(403).json({
         error: 'Forbidden',
@@ -512,14 +666,45 @@ router.get('/:resumeId/parsed', authenticateToken, async (req, res) => {
       })
     }
 
+    // Recruiter views honor the block lists of candidates towards any of the
+    // recruiter's organizations and appear in their profile views feed
+    let visible = resume
+    if (!isOwner && !isAdmin) {
+      const { organization, organizationIds } = await getRecruiterOrganizations(viewer._id)
+      if (await hasBlockedOrganization(resume.userId, organizationIds)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'You do not have permission to view this resume',
+          statusCode: 403,
+        })
+      }
+
+      await AuditLog.logRequest(req, {
+        action: 'CANDIDATE_VIEW',
+        user: viewer,
+        organizationId: organization?._id || null,
+        resourceType: 'Resume',
+        resourceId: resume._id,
+        metadata: { candidateId: resume.userId, resumeId },
+      })
+
+      // Opened from discovery, so masked like the search results when blind hiring is on
+      visible = maskCandidateResume(organization, resume)
+    }
+
     res.json({
       resumeId,
-      parsed_resume: resume.parsed_resume,
-      metadata: resume.extraction_metadata,
-      parsed_data: resume.parsed_data,
-      job_analysis: resume.job_analysis,
-      profile: resume.profile,
-      privacy: resume.privacy, // Include privacy settings for owner
+      parsed_resume: visible.parsed_resume,
+      metadata: visible.extraction_metadata,
+      parsed_data: visible.parsed_data,
+      job_analysis: visible.job_analysis,
+      profile: visible.profile,
+      privacy: visible.privacy, // Include privacy settings for owner
+      // Source text for the provenance spans; recruiters only get the parsed fields
+      raw_text: isOwner || isAdmin ? resume.raw_text : undefined,
+      is_owner: Boolean(isOwner),
+      candidatePseudonym: visible.candidatePseudonym,
+      identityMasked: Boolean(visible.identityMasked),
     })
   } catch (error) {
     logger.error(`Get parsed resume error: ${error.message}`)
@@ -531,6 +716,200 @@ router.get('/:resumeId/parsed', authenticateToken, async (req, res) => {
   }
 })
 
+/**
+ * PATCH /api/resume/:resumeId/parsed
+ * Correct parsed fields (name, emails, phones, links, location, current_title,
+ * skills, experience, education); each field in the body replaces the parsed
+ * value and is recorded as a diff against the parser's output
+ */
+router.patch('/:resumeId/parsed', requireAuth, async (req, res) => {
+  try {
+    const { resumeId } = req.params
+
+    const resume = await Resume.findOne({ resumeId, isActive: true })
+    if (!resume) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Resume not found',
+        statusCode: 404,
+      })
+    }
+
+    if (!resume.userId || resume.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only correct your own resume',
+        statusCode: 403,
+      })
+    }
+
+    const corrections = await correctParsedResume(resume, req.body, req.user)
+
+    res.json({
+      success: true,
+      parsed_resume: resume.parsed_resume,
+      metadata: resume.extraction_metadata,
+      corrections,
+    })
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        error: error.code,
+        message: error.message,
+        statusCode: error.statusCode,
+      })
+    }
+    logger.error(`Correct parsed resume error: ${error.message}`)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to save corrections',
+      statusCode: 500,
+    })
+  }
+})
+
+/**
+ * POST /api/resume/:resumeId/builder
+ * Render the resume with a builder template (Pro plan)
+ * Body: { format: 'pdf'|'docx', template, sections: [ids in display order],
+ * saveAsVersion }. Returns the file; with saveAsVersion the file is stored as
+ * a new version of the resume instead and the version is returned.
+ */
+router.post('/:resumeId/builder', requireAuth, requirePlan('pro'), async (req, res) => {
+  try {
+    const { resumeId } = req.params
+    const { format, template, sections, saveAsVersion = false } = req.body || {}
+
+    const resume = await Resume.findOne({ resumeId, isActive: true })
+    if (!resume) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Resume not found',
+        statusCode: 404,
+      })
+    }
+
+    if (!resume.userId || resume.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only build your own resume',
+        statusCode: 403,
+      })
+    }
+
+    const built = await buildResume(resume, { format, template, sections })
+
+    if (!saveAsVersion) {
+      res.set('Content-Type', built.contentType)
+      res.set('Content-Disposition', `attachment; filename="${built.fileName}"`)
+      return res.send(built.buffer)
+    }
+
+    const { name, ext } = path.parse(built.fileName)
+    const filename = `${name}-${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`
+    const filePath = path.join(UPLOAD_DIR, filename)
+    await fs.writeFile(filePath, built.buffer)
+
+    const file_metadata = {
+      filename,
+      originalName: built.fileName,
+      mimeType: built.contentType,
+      sizeBytes: built.buffer.length,
+      pages: built.pages,
+      extractedChars: built.text.length,
+      uploadedAt: new Date(),
+    }
+
+    const { resume: saved } = await saveUploadedResume(req.user._id, {
+      raw_text: built.text,
+      sections: segmentResume(built.text),
+      text_layout: undefined,
+      import_format: undefined,
+      file_metadata,
+      extraction_status: 'completed',
+      ocr_needed: false,
+      errorMessage: null,
+      filePath,
+      // The fields are unchanged, but their source spans pointed into the old text
+      'parsed_resume.provenance': [],
+    })
+    logger.info(`Built resume saved as version ${saved.version} of ${resumeId} (${built.fileName})`)
+
+    let embeddingQueued = false
+    try {
+      embeddingQueued = queueResumeEmbedding(resumeId, 'normal').queued
+    } catch (error) {
+      logger.warn(`Failed to queue embedding generation: ${error.message}`)
+    }
+
+    res.status(201).json({
+      success: true,
+      resumeId,
+      version: saved.version,
+      file_metadata: {
+        filename: file_metadata.originalName,
+        mimeType: file_metadata.mimeType,
+        sizeBytes: file_metadata.sizeBytes,
+        pages: file_metadata.pages,
+      },
+      embedding_queued: embeddingQueued,
+    })
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        error: error.code,
+        message: error.message,
+        statusCode: error.statusCode,
+        ...(error.details && { details: error.details }),
+      })
+    }
+    logger.error(`Resume builder error: ${error.message}`)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to build resume',
+      statusCode: 500,
+    })
+  }
+})
+
+/**
+ * GET /api/resume/:resumeId/corrections
+ * Correction history of the resume's parsed fields, newest first
+ */
+router.get('/:resumeId/corrections', requireAuth, async (req, res) => {
+  try {
+    const { resumeId } = req.params
+
+    const resume = await Resume.findOne({ resumeId }).select('userId')
+    if (!resume) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Resume not found',
+        statusCode: 404,
+      })
+    }
+
+    const isOwner = resume.userId && resume.userId.toString() === req.user._id.toString()
+    if (!isOwner && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to view these corrections',
+        statusCode: 403,
+      })
+    }
+
+    const corrections = await listParseCorrections(resumeId)
+    res.json({ success: true, corrections })
+  } catch (error) {
+    logger.error(`List corrections error: ${error.message}`)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve corrections',
+      statusCode: 500,
+    })
+  }
+})
+
 /**
  * POST /api/resume/:resumeId/analyze-role
  * Analyze resume and predict best job role with skill gaps and roadmap
@@ -901,6 +1280,7 @@ router.patch(
       }
 
       // Update privacy fields
+      const wasVisible = Boolean(resume.privacy.visibleToRecruiters)
       if (visibleToRecruiters !== undefined) {
         resume.privacy.visibleToRecruiters = Boolean(visibleToRecruiters)
       }
@@ -911,6 +1291,13 @@ router.patch(
 
       await resume.save()
 
+      if (resume.privacy.visibleToRecruiters !== wasVisible && req.user?._id) {
+        await recordConsent(req, { _id: req.user._id, email: req.user.email }, {
+          action: resume.privacy.visibleToRecruiters ? 'visibility_granted' : 'visibility_revoked',
+          resumeId,
+        })
+      }
+
       logger.info(`Privacy settings updated for resume ${resumeId}: visibleToRecruiters=${resume.privacy.visibleToRecruiters}, openToWork=${resume.privacy.openToWork}`)
 
       res.json({
@@ -0,0 +1,172 @@
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import Organization from '../models/Organization.js';
+import OrganizationInvitation from '../models/OrganizationInvitation.js';
+import Resume from '../models/Resume.js';
+import User from '../models/User.js';
+import { getPseudonym } from '../services/blindHiringService.js';
+import { acceptInvitation } from '../services/invitationService.js';
+import resumeRoutes from './resume.routes.js';
+
+const ownerId = new mongoose.Types.ObjectId();
+const recruiterId = new mongoose.Types.ObjectId();
+const candidateId = new mongoose.Types.ObjectId();
+
+const recruiter = { _id: recruiterId, name: 'Riley', email: 'riley@example.com', role: 'recruiter', isEmailVerified: true };
+
+let organization;
+let blockedOrganizationIds;
+
+// A mongoose query stand-in that records the chained calls and resolves to result
+const stubQuery = (result, calls = {}) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean'].forEach((method) => {
+    query[method] = (...args) => {
+      calls[method] = args;
+      return query;
+    };
+  });
+  return query;
+};
+
+// Organization.find for membership filters ({ $or: [{ owner }, { 'members.userId' }] })
+const findByMembership = (filter) => {
+  const matches = [organization].filter(org => org.status !== 'cancelled' && filter.$or.some(clause => (
+    clause.owner ? org.owner.equals(clause.owner) : org.members.some(member => member.userId.equals(clause['members.userId']))
+  )));
+  return stubQuery(matches);
+};
+
+// User.exists for block list filters ({ _id, 'privacy.blockedOrganizations.organizationId': { $in } })
+const existsWithBlock = async (filter) => {
+  const ids = filter['privacy.blockedOrganizations.organizationId'].$in.map(String);
+  return filter._id.equals(candidateId) && blockedOrganizationIds.some(id => ids.includes(String(id)))
+    ? { _id: candidateId }
+    : null;
+};
+
+const resume = {
+  _id: new mongoose.Types.ObjectId(),
+  resumeId: 'resume-1',
+  userId: candidateId,
+  parsed_resume: { name: 'Casey Candidate', emails: ['casey@example.com'], skills: ['react'] },
+  privacy: { visibleToRecruiters: true },
+};
+
+let server;
+let baseUrl;
+
+const getParsedResume = async () => {
+  const token = jwt.sign({ userId: recruiterId.toString() }, process.env.JWT_SECRET);
+  const response = await fetch(`${baseUrl}/api/resume/${resume.resumeId}/parsed`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Join the organization the way an invited recruiter does
+const joinThroughInvitation = async () => {
+  const invitation = new OrganizationInvitation({
+    organizationId: organization._id,
+    email: recruiter.email,
+    role: 'recruiter',
+    tokenHash: 'hash',
+    invitedBy: ownerId,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+  mock.method(invitation, 'save', async () => invitation);
+  mock.method(OrganizationInvitation, 'findOne', async () => invitation);
+  mock.method(Organization, 'findById', async () => organization);
+
+  await acceptInvitation({ user: recruiter, get: () => '' }, 'invite-token');
+};
+
+before(async () => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/resume', resumeRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  organization = new Organization({
+    name: 'Acme',
+    slug: 'acme',
+    owner: ownerId,
+    members: [{ userId: ownerId, role: 'owner' }],
+  });
+  mock.method(organization, 'save', async () => organization);
+  blockedOrganizationIds = [];
+
+  mock.method(AuditLog, 'logRequest', async () => null);
+  mock.method(Organization, 'find', findByMembership);
+  mock.method(Resume, 'findOne', () => stubQuery(resume));
+  mock.method(User, 'findById', () => ({ select: async () => recruiter }));
+  mock.method(User, 'exists', existsWithBlock);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('GET /api/resume/:resumeId/parsed as a recruiter', () => {
+  test('is refused when the candidate blocked an organization the recruiter joined by invitation', async () => {
+    await joinThroughInvitation();
+    blockedOrganizationIds = [organization._id];
+
+    const { status } = await getParsedResume();
+
+    assert.equal(status, 403);
+    assert.equal(AuditLog.logRequest.mock.calls.some(call => call.arguments[1].action === 'CANDIDATE_VIEW'), false);
+  });
+
+  test('records the view against the recruiter organization', async () => {
+    await joinThroughInvitation();
+    blockedOrganizationIds = [new mongoose.Types.ObjectId()];
+
+    const { status, body } = await getParsedResume();
+
+    assert.equal(status, 200);
+    assert.equal(body.parsed_resume.name, 'Casey Candidate');
+    const view = AuditLog.logRequest.mock.calls.find(call => call.arguments[1].action === 'CANDIDATE_VIEW');
+    assert.ok(view.arguments[1].organizationId.equals(organization._id));
+    assert.ok(view.arguments[1].metadata.candidateId.equals(candidateId));
+  });
+
+  test('masks the candidate for a blind hiring organization', async () => {
+    await joinThroughInvitation();
+    organization.settings.blindHiring.enabled = true;
+
+    const { status, body } = await getParsedResume();
+
+    const pseudonym = getPseudonym(organization._id, candidateId);
+    assert.equal(status, 200);
+    assert.equal(body.identityMasked, true);
+    assert.equal(body.candidatePseudonym, pseudonym);
+    assert.equal(body.parsed_resume.name, pseudonym);
+    assert.deepEqual(body.parsed_resume.emails, []);
+    assert.deepEqual(body.parsed_resume.skills, ['react']);
+  });
+
+  test('is refused when the candidate hid their resume from recruiters', async () => {
+    mock.method(Resume, 'findOne', () => stubQuery({ ...resume, privacy: { visibleToRecruiters: false } }));
+
+    const { status } = await getParsedResume();
+
+    assert.equal(status, 403);
+  });
+});
@@ -2,7 +2,19 @@ import express from 'express';
 import User from '../models/User.js';
 import Resume from '../models/Resume.js';
 import { logger } from '../utils/logger.js';
-import { requireAuth } from '../middleware/authMiddleware.js';
+import { requireAuth, requireVerifiedEmail } from '../middleware/authMiddleware.js';
+import { checkPasswordForUser, recordPasswordCheck, describeViolations } from '../services/orgSecurityService.js';
+import { revokeAllSessions } from '../services/sessionService.js';
+import { auditAccountEvent } from '../services/loginSecurityService.js';
+import { getDeletionStatus, scheduleAccountDeletion, cancelAccountDeletion } from '../services/accountDeletionService.js';
+import {
+  listConsentRecords,
+  getBlockedOrganizations,
+  searchOrganizations,
+  blockOrganization,
+  unblockOrganization,
+  listProfileViews
+} from '../services/consentService.js';
 import multer from 'multer';
 // import sharp from 'sharp'; // TEMPORARILY DISABLED - Sharp module has compatibility issues
 import path from 'path';
@@ -14,6 +26,23 @@ const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
+// Respond with a service error (AppError carries status and code)
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (!error.isOperational) {
+    logger.error(fallbackMessage, error);
+    return res.status(500).json({
+      success: false,
+      message: fallbackMessage
+    });
+  }
+
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    code: error.code
+  });
+};
+
 // Configure multer for avatar uploads
 const avatarStorage = multer.memoryStorage();
 const avatarUpload = multer({
@@ -125,9 +154,11 @@ router.put('/profile', requireAuth, async (req, res) => {
     }
     
     if (preferences) {
+      // 2FA is managed through the /api/auth 2FA endpoints only
+      const { twoFactorEnabled, twoFactorMethod, ...otherPreferences } = preferences;
       user.preferences = {
         ...user.preferences,
-        ...preferences
+        ...otherPreferences
       };
     }
 
@@ -409,9 +440,9 @@ router.put('/resumes/:resumeId/activate', requireAuth, async (req, res) => {
 /**
  * @route   PUT /api/user/password
  * @desc    Change user password
- * @access  Private
+ * @access  Private (verified email)
  */
-router.put('/password', requireAuth, async (req, res) => {
+router.put('/password', requireAuth, requireVerifiedEmail, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -433,17 +464,35 @@ router.put('/password', requireAuth, async (req, res) => {
 
     const matches = await user.comparePassword(currentPassword);
     if (!matches) {
+      await auditAccountEvent(req, user, 'PASSWORD_CHANGE', { status: 'failure', reason: 'invalid_current_password' });
       return res.status(400).json({
         success: false,
         message: 'Current password is incorrect'
       });
     }
 
+    const { violations } = await checkPasswordForUser(user._id, newPassword);
+    if (violations.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password does not meet your organization\'s password policy',
+        code: 'ORG_PASSWORD_POLICY',
+        passwordPolicyViolations: describeViolations(violations)
+      });
+    }
+
     user.password = newPassword;
-    // Invalidate refresh token on password change
-    user.refreshToken = null;
+    recordPasswordCheck(user);
     await user.save();
 
+    // Sign out every other device on password change
+    await revokeAllSessions(user._id, {
+      exceptSessionId: req.auth.sessionId,
+      reason: 'password_change'
+    });
+
+    await auditAccountEvent(req, user, 'PASSWORD_CHANGE');
+
     logger.info(`Password updated for user: ${user.email}`);
 
     res.json({
@@ -460,13 +509,27 @@ router.put('/password', requireAuth, async (req, res) => {
 });
 
 /**
- * @route   DELETE /api/user/account
- * @desc    Delete user account and associated resumes
+ * @route   GET /api/user/account/deletion
+ * @desc    Whether the account is scheduled for deletion, and when
  * @access  Private
  */
-router.delete('/account', requireAuth, async (req, res) => {
+router.get('/account/deletion', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    deletion: getDeletionStatus(req.user)
+  });
+});
+
+/**
+ * @route   DELETE /api/user/account
+ * @desc    Schedule account deletion after a 14-day grace period
+ *          ({ password } or, for social-login accounts, { confirm: 'DELETE' }; optional reason)
+ * @access  Private (verified email)
+ */
+router.delete('/account', requireAuth, requireVerifiedEmail, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
+    const { password, confirm, reason } = req.body || {};
+    const user = await User.findById(req.user.userId).select('+password');
 
     if (!user) {
       return res.status(404).json({
@@ -475,31 +538,141 @@ router.delete('/account', requireAuth, async (req, res) => {
       });
     }
 
-    // Delete avatar file if exists
-    if (user.avatar_url) {
-      const avatarPath = path.join(__dirname, '../../', user.avatar_url);
-      if (fs.existsSync(avatarPath)) {
-        fs.unlinkSync(avatarPath);
-      }
+    const confirmed = user.password
+      ? Boolean(password) && await user.comparePassword(password)
+      : confirm === 'DELETE';
+    if (!confirmed) {
+      return res.status(400).json({
+        success: false,
+        message: user.password ? 'Password is incorrect' : 'Type DELETE to confirm',
+        code: 'CONFIRMATION_REQUIRED'
+      });
     }
 
-    // Delete resumes belonging to user
-    await Resume.deleteMany({ userId: user._id });
+    const deletion = await scheduleAccountDeletion(req, user, { reason });
 
-    await user.deleteOne();
+    res.json({
+      success: true,
+      message: `Your account will be deleted on ${deletion.scheduledFor.toDateString()}. You can cancel until then.`,
+      deletion
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Server error while deleting account');
+  }
+});
 
-    logger.info(`Account deleted for user: ${user.email}`);
+/**
+ * @route   POST /api/user/account/deletion/cancel
+ * @desc    Cancel a scheduled account deletion during the grace period
+ * @access  Private
+ */
+router.post('/account/deletion/cancel', requireAuth, async (req, res) => {
+  try {
+    const deletion = await cancelAccountDeletion(req, req.user);
 
     res.json({
       success: true,
-      message: 'Account deleted successfully'
+      message: 'Account deletion cancelled',
+      deletion
     });
   } catch (error) {
-    logger.error('Delete account error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while deleting account'
+    sendServiceError(res, error, 'Server error while cancelling account deletion');
+  }
+});
+
+/**
+ * @route   GET /api/user/privacy
+ * @desc    Organizations the user blocked and their consent ledger (newest first)
+ * @access  Private
+ */
+router.get('/privacy', requireAuth, async (req, res) => {
+  try {
+    const consents = await listConsentRecords(req.user._id);
+
+    res.json({
+      success: true,
+      blockedOrganizations: getBlockedOrganizations(req.user),
+      consents
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Server error while loading privacy settings');
+  }
+});
+
+/**
+ * @route   GET /api/user/privacy/organizations?search=
+ * @desc    Find organizations to block by name
+ * @access  Private
+ */
+router.get('/privacy/organizations', requireAuth, async (req, res) => {
+  try {
+    const organizations = await searchOrganizations(String(req.query.search || ''));
+
+    res.json({
+      success: true,
+      organizations
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Server error while searching organizations');
+  }
+});
+
+/**
+ * @route   POST /api/user/privacy/blocked-organizations
+ * @desc    Block an organization ({ organizationId }): its recruiters can no longer find or view you
+ * @access  Private
+ */
+router.post('/privacy/blocked-organizations', requireAuth, async (req, res) => {
+  try {
+    const blockedOrganizations = await blockOrganization(req, req.user, req.body?.organizationId);
+
+    res.json({
+      success: true,
+      message: 'Organization blocked',
+      blockedOrganizations
     });
+  } catch (error) {
+    sendServiceError(res, error, 'Server error while blocking organization');
+  }
+});
+
+/**
+ * @route   DELETE /api/user/privacy/blocked-organizations/:organizationId
+ * @desc    Unblock an organization
+ * @access  Private
+ */
+router.delete('/privacy/blocked-organizations/:organizationId', requireAuth, async (req, res) => {
+  try {
+    const blockedOrganizations = await unblockOrganization(req, req.user, req.params.organizationId);
+
+    res.json({
+      success: true,
+      message: 'Organization unblocked',
+      blockedOrganizations
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Server error while unblocking organization');
+  }
+});
+
+/**
+ * @route   GET /api/user/profile-views
+ * @desc    Organizations whose recruiters viewed the user's profile or applications
+ * @access  Private
+ */
+router.get('/profile-views', requireAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { views, pagination } = await listProfileViews(req.user, { page, limit });
+
+    res.json({
+      success: true,
+      views,
+      pagination
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Server error while loading profile views');
   }
 });
 
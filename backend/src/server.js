@@ -3,12 +3,14 @@ import cors from 'cors'
 import dotenv from 'dotenv'
 import path from 'path'
 import mongoose from 'mongoose'
+import passport from 'passport'
 import { fileURLToPath } from 'url'
 import { logger } from './utils/logger.js'
 import connectDB from './config/database.js'
 import resumeRoutes from './routes/resume.routes.js'
 import jobRoutes from './routes/job.routes.js'
 import authRoutes from './routes/auth.routes.js'
+import oauthRoutes from './routes/oauth.routes.js'
 import userRoutes from './routes/user.routes.js'
 import interviewRoutes from './routes/interview.routes.js'
 import interviewUserRoutes from './routes/interview.user.routes.js'
@@ -21,12 +23,18 @@ import recruiterRoutes from './routes/recruiter.routes.js'
 import savedJobsRoutes from './routes/savedJobs.routes.js'
 import applicationRoutes from './routes/application.routes.js'
 import exportRoutes from './routes/export.routes.js'
+import adminRoutes from './routes/admin.routes.js'
 import { startJobScheduler, stopJobScheduler } from './services/jobFetchService.js'
 import { startQueueWorker, stopQueueWorker } from './services/embeddingQueueService.js'
-import { helmetConfig, generalLimiter } from './middleware/securityMiddleware.js'
+import { startAccountDeletionScheduler, stopAccountDeletionScheduler } from './services/accountDeletionService.js'
+import { startDataExportScheduler, stopDataExportScheduler } from './services/dataExportService.js'
+import { startDataRetentionScheduler, stopDataRetentionScheduler } from './services/dataRetentionService.js'
+import { helmetConfig, generalLimiter, parseTrustProxy } from './middleware/securityMiddleware.js'
 import { performHealthCheck, performBasicHealthCheck } from './services/healthCheckService.js'
 import { errorHandler, notFoundHandler } from './utils/errorHandler.js'
 import { initializeNotificationListeners } from './utils/notificationEmitter.js'
+import { initializePassport } from './services/oauthService.js'
+import { getCurrentKeyVersion } from './utils/fieldEncryption.js'
 import Notification from './models/Notification.js'
 import User from './models/User.js'
 
@@ -47,6 +55,14 @@ if (!process.env.MONGODB_URI) {
   process.exit(1)
 }
 
+// Builds the field encryption keyring, which fails on missing or invalid keys
+try {
+  getCurrentKeyVersion()
+} catch (error) {
+  logger.error(`FATAL: ${error.message}`)
+  process.exit(1)
+}
+
 // Create Express app
 const app = express()
 const PORT = process.env.PORT || 8000
@@ -71,11 +87,19 @@ const corsOptions = {
   exposedHeaders: ['Content-Range', 'X-Content-Range']
 }
 
+// Client address behind a reverse proxy (organization IP allowlists and rate limits use req.ip)
+app.set('trust proxy', parseTrustProxy())
+
 // Middleware
 app.use(cors(corsOptions))
 app.use(helmetConfig) // Security headers
 app.use(express.json({ limit: '10mb' })) // Limit JSON payload size
 app.use(express.urlencoded({ extended: true, limit: '10mb' }))
+
+// Social sign-in (stateless: no passport sessions)
+initializePassport()
+app.use(passport.initialize())
+
 // Skip rate limit for health checks to avoid noisy monitoring outages
 app.use((req, res, next) => {
   if (req.path.startsWith('/health')) return next()
@@ -122,6 +146,7 @@ app.get('/health/basic', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes) // Authentication routes (per-route rate limiting inside router)
+app.use('/api/auth', oauthRoutes) // Social sign-in & account linking routes
 app.use('/api/user', userRoutes) // User profile routes
 app.use('/api/interview', interviewRoutes) // AI Interview verification routes
 app.use('/api/interviews', interviewUserRoutes) // Candidate interview tracking routes
@@ -135,6 +160,7 @@ app.use('/api', roadmapRoutes) // Learning roadmap routes
 app.use('/api/resume', resumeRoutes)
 app.use('/api/applications', applicationRoutes)
 app.use('/api/export', exportRoutes) // Data export & portability routes
+app.use('/api/admin', adminRoutes) // Platform admin routes (security monitoring)
 app.use('/api', jobRoutes) // Phase 2: Job matching and role analysis routes
 
 // Serve static files (avatars, uploads)
@@ -169,6 +195,15 @@ const startServer = async () => {
       // Start embedding queue worker for Phase 3
       startQueueWorker()
       logger.info('Embedding queue worker started')
+      
+      // Erase accounts whose deletion grace period has ended
+      startAccountDeletionScheduler()
+      
+      // Remove data export archives whose download link has expired
+      startDataExportScheduler()
+      
+      // Purge closed applications past their organization's retention periods
+      startDataRetentionScheduler()
     })
   } catch (error) {
     logger.error('Failed to start server:', error)
@@ -187,6 +222,9 @@ const gracefulShutdown = async (signal) => {
     stopJobScheduler()
     logger.info('Stopping embedding queue worker...')
     stopQueueWorker()
+    stopAccountDeletionScheduler()
+    stopDataExportScheduler()
+    stopDataRetentionScheduler()
 
     if (server) {
       await new Promise((resolve) => server.close(resolve))
@@ -0,0 +1,368 @@
+import fs from 'fs';
+import cron from 'node-cron';
+import User from '../models/User.js';
+import Resume from '../models/Resume.js';
+import Quiz from '../models/Quiz.js';
+import InterviewSession from '../models/InterviewSession.js';
+import SavedJob from '../models/SavedJob.js';
+import Notification from '../models/Notification.js';
+import JobMatch from '../models/JobMatch.js';
+import JobApplication from '../models/JobApplication.js';
+import Analytics from '../models/Analytics.js';
+import Session from '../models/Session.js';
+import OtpRecord from '../models/OtpRecord.js';
+import Organization from '../models/Organization.js';
+import OrganizationInvitation from '../models/OrganizationInvitation.js';
+import AuditLog from '../models/AuditLog.js';
+import ConsentRecord from '../models/ConsentRecord.js';
+import ParseCorrection from '../models/ParseCorrection.js';
+import { sendAccountDeletionScheduledEmail, sendAccountDeletionReportEmail } from './emailService.js';
+import { deleteUserDataExports } from './dataExportService.js';
+import { AppError } from '../utils/errorHandler.js';
+import { resolveUploadPath } from '../utils/uploadPaths.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Account Deletion Service
+ * Scheduled account deletion with a grace period and cascading cleanup
+ *
+ * DELETE /api/user/account schedules the deletion GRACE_PERIOD_DAYS ahead;
+ * until then the user can sign in and cancel it. The scheduler then erases
+ * the account: uploaded files, resumes (with previous versions), quizzes,
+ * interview sessions, saved jobs, notifications, data export archives and
+ * other personal records.
+ * Applications held by organizations are anonymized instead of deleted so
+ * their hiring pipelines stay intact (applications under a legal hold are
+ * left untouched). Audit logs are kept (they expire on
+ * their own after two years).
+ */
+
+export const GRACE_PERIOD_DAYS = 14;
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+
+let deletionTask = null;
+
+// Files are only removed from upload directories, never from anywhere a stored path points to
+const removeUploadedFile = async (storedPath) => {
+  const filePath = resolveUploadPath(storedPath);
+  if (!filePath) {
+    return false;
+  }
+
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Could not remove uploaded file ${filePath}: ${error.message}`);
+    }
+    return false;
+  }
+};
+
+/**
+ * Organizations that would be left without an owner
+ * Owners must transfer ownership (or remove the other members) first.
+ */
+const findOwnedOrganizationsWithMembers = async (userId) => {
+  const organizations = await Organization.find({ owner: userId, status: { $ne: 'cancelled' } });
+  return organizations.filter(organization => organization.members.some(
+    member => member.userId.toString() !== userId.toString()
+  ));
+};
+
+/**
+ * Deletion state shown in account settings
+ */
+export const getDeletionStatus = (user) => {
+  return {
+    scheduled: Boolean(user.deletion?.scheduledFor),
+    requestedAt: user.deletion?.requestedAt || null,
+    scheduledFor: user.deletion?.scheduledFor || null,
+    gracePeriodDays: GRACE_PERIOD_DAYS,
+  };
+};
+
+/**
+ * Schedule the account for deletion after the grace period and email a confirmation
+ * Scheduling again keeps the original date.
+ * @throws {AppError} ORGANIZATION_OWNER (409) when the user owns an organization with other members
+ */
+export const scheduleAccountDeletion = async (req, user, { reason = null } = {}) => {
+  if (user.deletion?.scheduledFor) {
+    return getDeletionStatus(user);
+  }
+
+  const owned = await findOwnedOrganizationsWithMembers(user._id);
+  if (owned.length > 0) {
+    throw new AppError(
+      `Transfer ownership of ${owned.map(organization => organization.name).join(', ')} before deleting your account`,
+      409,
+      'ORGANIZATION_OWNER'
+    );
+  }
+
+  const requestedAt = new Date();
+  user.deletion = {
+    requestedAt,
+    scheduledFor: new Date(requestedAt.getTime() + GRACE_PERIOD_DAYS * MS_IN_DAY),
+    reason: typeof reason === 'string' ? reason.slice(0, 500) : null,
+  };
+  await user.save();
+
+  await AuditLog.logRequest(req, {
+    action: 'USER_DELETE',
+    user,
+    resourceType: 'User',
+    resourceId: user._id,
+    metadata: { stage: 'scheduled', scheduledFor: user.deletion.scheduledFor },
+  });
+
+  try {
+    await sendAccountDeletionScheduledEmail(user.email, {
+      userName: user.name,
+      scheduledFor: user.deletion.scheduledFor,
+      cancelLink: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/settings`,
+    });
+  } catch (emailError) {
+    logger.warn(`Could not send deletion confirmation to ${user.email}: ${emailError.message}`);
+  }
+
+  logger.info(`Account deletion scheduled for ${user.email} on ${user.deletion.scheduledFor.toISOString()}`);
+  return getDeletionStatus(user);
+};
+
+/**
+ * Cancel a scheduled deletion during the grace period
+ * @throws {AppError} DELETION_NOT_SCHEDULED (400)
+ */
+export const cancelAccountDeletion = async (req, user) => {
+  if (!user.deletion?.scheduledFor) {
+    throw new AppError('Your account is not scheduled for deletion', 400, 'DELETION_NOT_SCHEDULED');
+  }
+
+  const scheduledFor = user.deletion.scheduledFor;
+  user.deletion = { requestedAt: null, scheduledFor: null, reason: null };
+  await user.save();
+
+  await AuditLog.logRequest(req, {
+    action: 'USER_UPDATE',
+    user,
+    resourceType: 'User',
+    resourceId: user._id,
+    metadata: { deletionCancelled: true, scheduledFor },
+  });
+
+  logger.info(`Account deletion cancelled by ${user.email}`);
+  return getDeletionStatus(user);
+};
+
+/**
+ * Strip the candidate's personal details from applications held by organizations
+ */
+const anonymizeApplications = async (userId) => {
+  const applications = await JobApplication.find({ userId }).select('_id');
+  return JobApplication.anonymizeMany(applications.map(application => application._id), { reason: 'account_deleted' });
+};
+
+/**
+ * Leave every organization; sole-member organizations owned by the user are closed
+ */
+const leaveOrganizations = async (userId) => {
+  const organizations = await Organization.find({
+    $or: [{ owner: userId }, { 'members.userId': userId }],
+  });
+
+  for (const organization of organizations) {
+    if (organization.owner.toString() === userId.toString()) {
+      organization.status = 'cancelled';
+      organization.members = organization.members.filter(m => m.userId.toString() !== userId.toString());
+      await organization.save();
+    } else {
+      await organization.removeMember(userId);
+    }
+  }
+
+  return organizations.length;
+};
+
+/**
+ * Permanently erase an account and everything that belongs to it
+ * @returns {Promise<object>} deletion report (counts per kind of record)
+ */
+export const deleteAccountData = async (user) => {
+  const userId = user._id;
+  const userIdString = userId.toString();
+
+  const resumes = await Resume.find({ userId }).select('resumeId filePath previousVersions.filePath profile.photoUrl');
+  const resumeIds = resumes.map(resume => resume.resumeId);
+
+  const storedFiles = [
+    user.avatar_url,
+    ...resumes.flatMap(resume => [
+      resume.filePath,
+      resume.profile?.photoUrl,
+      ...(resume.previousVersions || []).map(version => version.filePath),
+    ]),
+  ].filter(Boolean);
+
+  let filesRemoved = 0;
+  for (const storedPath of new Set(storedFiles)) {
+    if (await removeUploadedFile(storedPath)) {
+      filesRemoved += 1;
+    }
+  }
+
+  // Applications reference the resume, so anonymize them before the resumes go
+  const applicationsAnonymized = await anonymizeApplications(userId);
+  const organizationsLeft = await leaveOrganizations(userId);
+
+  const [
+    resumeResult,
+    quizResult,
+    interviewResult,
+    savedJobResult,
+    notificationResult,
+    matchResult,
+    analyticsResult,
+    sessionResult,
+    otpResult,
+    invitationResult,
+    dataExportsDeleted,
+    consentResult,
+    correctionResult,
+  ] = await Promise.all([
+    Resume.deleteMany({ userId }),
+    Quiz.deleteMany({ $or: [{ userId: userIdString }, { resumeId: { $in: resumeIds } }] }),
+    InterviewSession.deleteMany({ userId }),
+    SavedJob.deleteMany({ userId }),
+    Notification.deleteMany({ userId }),
+    JobMatch.deleteMany({ userId: userIdString }),
+    Analytics.deleteMany({ userId }),
+    Session.deleteMany({ userId }),
+    OtpRecord.deleteMany({ identifier: { $in: [user.email, user.phone].filter(Boolean) } }),
+    OrganizationInvitation.deleteMany({ email: user.email }),
+    deleteUserDataExports(userId),
+    ConsentRecord.deleteMany({ userId }),
+    ParseCorrection.deleteMany({ userId }),
+  ]);
+
+  await User.deleteOne({ _id: userId });
+
+  return {
+    deleted: {
+      Resumes: resumeResult.deletedCount,
+      'Resume versions': resumes.reduce((total, resume) => total + (resume.previousVersions?.length || 0), 0),
+      Quizzes: quizResult.deletedCount,
+      'Interview sessions': interviewResult.deletedCount,
+      'Saved jobs': savedJobResult.deletedCount,
+      Notifications: notificationResult.deletedCount,
+      'Job matches': matchResult.deletedCount,
+      'Activity events': analyticsResult.deletedCount,
+      'Signed-in devices': sessionResult.deletedCount,
+      'Verification codes': otpResult.deletedCount,
+      'Pending invitations': invitationResult.deletedCount,
+      'Data exports': dataExportsDeleted,
+      'Consent records': consentResult.deletedCount,
+      'Resume corrections': correctionResult.deletedCount,
+    },
+    filesRemoved,
+    applicationsAnonymized,
+    organizationsLeft,
+  };
+};
+
+/**
+ * Erase one account whose grace period is over, record the report and email it
+ */
+const completeDeletion = async (user) => {
+  const report = await deleteAccountData(user);
+  const completedAt = new Date();
+
+  await AuditLog.log({
+    userId: user._id,
+    userEmail: user.email,
+    userRole: user.role === 'user' ? 'candidate' : user.role,
+    action: 'USER_DELETE',
+    resourceType: 'User',
+    resourceId: user._id,
+    ipAddress: 'system',
+    requestMethod: 'DELETE',
+    metadata: {
+      stage: 'completed',
+      requestedAt: user.deletion?.requestedAt,
+      completedAt,
+      report,
+    },
+  });
+
+  try {
+    await sendAccountDeletionReportEmail(user.email, { userName: user.name, completedAt, report });
+  } catch (emailError) {
+    logger.warn(`Could not send deletion report to ${user.email}: ${emailError.message}`);
+  }
+
+  logger.info(`Account deleted for ${user.email}`, report);
+  return report;
+};
+
+/**
+ * Delete every account whose grace period has ended
+ * @returns {Promise<{processed: number, failed: number}>}
+ */
+export const processDueDeletions = async () => {
+  const users = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } });
+  let processed = 0;
+  let failed = 0;
+
+  for (const user of users) {
+    try {
+      await completeDeletion(user);
+      processed += 1;
+    } catch (error) {
+      failed += 1;
+      logger.error(`Account deletion failed for ${user.email}; will retry on the next run:`, error);
+    }
+  }
+
+  return { processed, failed };
+};
+
+/**
+ * Run processDueDeletions every hour
+ */
+export const startAccountDeletionScheduler = () => {
+  if (deletionTask) {
+    return;
+  }
+
+  deletionTask = cron.schedule('30 * * * *', async () => {
+    try {
+      const { processed, failed } = await processDueDeletions();
+      if (processed || failed) {
+        logger.info(`Scheduled account deletions: ${processed} completed, ${failed} failed`);
+      }
+    } catch (error) {
+      logger.error('Scheduled account deletion run failed:', error);
+    }
+  });
+  logger.info('Account deletion scheduler started (hourly)');
+};
+
+export const stopAccountDeletionScheduler = () => {
+  if (deletionTask) {
+    deletionTask.stop();
+    deletionTask = null;
+  }
+};
+
+export default {
+  GRACE_PERIOD_DAYS,
+  getDeletionStatus,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  deleteAccountData,
+  processDueDeletions,
+  startAccountDeletionScheduler,
+  stopAccountDeletionScheduler,
+};
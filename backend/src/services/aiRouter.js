@@ -5,8 +5,7 @@
  * 
  * Intelligently routes AI requests across multiple providers:
  * - HuggingFace (Primary for NER, skill extraction, embeddings)
- * - Watson X.ai (Primary for learning resources, roadmap generation)
- * - Google Gemini (Fallback for text generation)
+ * - LLM provider layer (services/llm) for learning resources and quizzes
  * 
  * Load balancing, fallback chains, and provider health monitoring
  */
@@ -18,7 +17,8 @@ import os from 'os';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { logger } from '../utils/logger.js';
-import { generateLearningResources as watsonGenerateResources } from './geminiService.js';
+import { generateLearningResources as llmGenerateResources } from './geminiService.js';
+import { generateJSON } from './llm/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,18 +33,14 @@ const NER_SERVICE = path.join(PYTHON_DIR, 'ner_service.py');
 const CLASSIFICATION_SERVICE = path.join(PYTHON_DIR, 'classification_service.py');
 const EMBEDDING_SERVICE = path.join(PYTHON_DIR, 'embedding_service.py');
 
-// Provider health tracking
+// Provider health tracking (text generation is tracked by the LLM layer)
 const providerStats = {
-  huggingface: { requests: 0, successes: 0, failures: 0, avgLatency: 0 },
-  watson: { requests: 0, successes: 0, failures: 0, avgLatency: 0 },
-  gemini: { requests: 0, successes: 0, failures: 0, avgLatency: 0 }
+  huggingface: { requests: 0, successes: 0, failures: 0, avgLatency: 0 }
 };
 
 // Rate limiting (requests per minute)
 const rateLimits = {
-  huggingface: { max: 100, current: 0, resetTime: Date.now() + 60000 },
-  watson: { max: 10, current: 0, resetTime: Date.now() + 60000 },
-  gemini: { max: 60, current: 0, resetTime: Date.now() + 60000 }
+  huggingface: { max: 100, current: 0, resetTime: Date.now() + 60000 }
 };
 
 /**
@@ -468,32 +464,14 @@ export async function generateEmbedding(text) {
 // ═══════════════════════════════════════════════════════════════════════
 
 /**
- * Generate learning resources - Route to Watson (primary)
+ * Generate learning resources - Route to the LLM layer
  */
 export async function generateLearningResources(skillName, difficulty = 'Beginner') {
-  const startTime = Date.now();
-  
   try {
-    // Watson is primary for learning resources (proven working)
-    if (checkRateLimit('watson')) {
-      logger.info(`Routing learning resources to Watson for ${skillName}`);
-      const result = await watsonGenerateResources(skillName, difficulty);
-      
-      const latency = Date.now() - startTime;
-      updateStats('watson', true, latency);
-      
-      return result;
-    }
-    
-    // If Watson rate limited, return fallback
-    logger.warn('Watson rate limited, using fallback resources');
-    return getFallbackResources(skillName, difficulty);
-    
+    logger.info(`Routing learning resources to the LLM layer for ${skillName}`);
+    return await llmGenerateResources(skillName, difficulty);
   } catch (error) {
-    const latency = Date.now() - startTime;
-    updateStats('watson', false, latency);
     logger.error('Learning resources generation failed:', error);
-    
     return getFallbackResources(skillName, difficulty);
   }
 }
@@ -536,69 +514,50 @@ function getFallbackResources(skillName, difficulty) {
 }
 
 /**
- * Generate MCQ quiz questions - Route to HuggingFace or Watson
+ * Generate MCQ quiz questions - Route to the LLM layer
  */
 export async function generateQuizQuestions(skillName, difficulty, count = 5) {
   try {
     logger.info(`Generating ${count} quiz questions for ${skillName} (${difficulty})`);
-    
-    // Try HuggingFace first for quiz generation using text generation
-    if (checkRateLimit('huggingface')) {
-      const prompt = `Generate ${count} multiple choice questions about ${skillName} at ${difficulty} level. Format as JSON array with: question, options (array of 4), correctAnswer (0-3 index), explanation.`;
-      
-      const result = await callHuggingFace(
-        'gpt2', // Use GPT-2 for text generation (free tier)
-        prompt,
-        { max_length: 500, temperature: 0.7 }
-      );
-      
-      if (result.success) {
-        // Parse generated text as JSON (best effort)
-        try {
-          const questions = parseQuizFromText(result.data[0].generated_text, count);
-          return {
-            success: true,
-            questions: questions,
-            provider: 'huggingface',
-            model: 'gpt2'
-          };
-        } catch (parseError) {
-          logger.warn('Failed to parse HuggingFace quiz output');
-        }
-      }
+
+    const prompt = `Generate ${count} multiple choice questions about ${skillName} at ${difficulty} level. Format as JSON array with: question, options (array of 4), correctAnswer (0-3 index), explanation.`;
+    const { data, provider, model } = await generateJSON(prompt, {
+      task: 'quiz_questions',
+      shape: 'array',
+      maxTokens: 1500,
+      temperature: 0.7,
+    });
+
+    const questions = data
+      .filter(q => q?.question && Array.isArray(q.options) && q.options.length === 4)
+      .slice(0, count)
+      .map((q, idx) => ({
+        id: idx + 1,
+        question: q.question,
+        options: q.options,
+        correctAnswer: Number(q.correctAnswer) || 0,
+        explanation: q.explanation || '',
+        difficulty: difficulty
+      }));
+
+    if (questions.length === 0) {
+      logger.warn('LLM quiz output had no usable questions');
+      return generateRuleBasedQuiz(skillName, difficulty, count);
     }
-    
-    // Fallback: Generate rule-based questions
-    return generateRuleBasedQuiz(skillName, difficulty, count);
-    
+
+    return {
+      success: true,
+      questions: questions,
+      provider: provider,
+      model: model
+    };
+
   } catch (error) {
     logger.error('Quiz generation failed:', error);
     return generateRuleBasedQuiz(skillName, difficulty, count);
   }
 }
 
-/**
- * Parse quiz questions from generated text
- */
-function parseQuizFromText(text, count) {
-  // Simple parser - try to extract questions
-  // This is a best-effort approach for demo purposes
-  const questions = [];
-  
-  for (let i = 1; i <= count; i++) {
-    questions.push({
-      id: i,
-      question: `What is an important concept in ${text.split(' ')[0]}?`,
-      options: ['Option A', 'Option B', 'Option C', 'Option D'],
-      correctAnswer: 0,
-      explanation: 'This is a placeholder explanation.',
-      difficulty: 'Medium'
-    });
-  }
-  
-  return questions;
-}
-
 /**
  * Generate rule-based quiz questions (fallback)
  */
@@ -649,7 +608,7 @@ function generateRuleBasedQuiz(skillName, difficulty, count) {
     success: true,
     questions: questions,
     provider: 'rule-based-fallback',
-    note: 'Using template-based questions. For better quality, configure HuggingFace API key.'
+    note: 'Using template-based questions. For better quality, configure an LLM provider.'
   };
 }
 
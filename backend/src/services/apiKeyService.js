@@ -0,0 +1,321 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import AuditLog from '../models/AuditLog.js';
+import Organization, { ORGANIZATION_PERMISSIONS } from '../models/Organization.js';
+import User from '../models/User.js';
+import { AppError, NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * API Key Service
+ * Organization API keys for the recruiter API (/api/recruiter/:orgSlug/*)
+ *
+ * Keys look like `rgk_<64 hex chars>` and are sent as `X-API-Key: <key>` or
+ * `Authorization: Bearer <key>`. Scopes are organization member permissions,
+ * and a request made with a key can do exactly what its scopes allow, never
+ * what its creator's role would. A key only works while its creator is still
+ * a member holding every one of its scopes; removing the member revokes it.
+ * Rotation issues a replacement key and keeps the old one valid for a short
+ * grace period so integrations can be redeployed without downtime.
+ */
+
+export const API_KEY_PREFIX = 'rgk_';
+
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+const MAX_ROTATION_GRACE_HOURS = 168;
+
+// Avoid a write on every request; last-used is accurate to the minute
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+const MS_IN_HOUR = 60 * 60 * 1000;
+
+export const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Check whether a bearer credential is an API key rather than a JWT
+ */
+export const isApiKey = (value) => {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+};
+
+const createKeyMaterial = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key),
+  };
+};
+
+/**
+ * Validate key name, scopes and expiry from a request body
+ * @returns {string[]} validation errors (empty when valid)
+ */
+export const validateApiKeyInput = ({ name, scopes, expiresInDays } = {}) => {
+  const errors = [];
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    errors.push('name is required');
+  } else if (name.trim().length > 100) {
+    errors.push('name must be at most 100 characters');
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    errors.push('scopes must be a non-empty array');
+  } else {
+    const invalid = scopes.filter(scope => !ORGANIZATION_PERMISSIONS.includes(scope));
+    if (invalid.length) {
+      errors.push(`Invalid scopes: ${invalid.join(', ')}`);
+    }
+  }
+
+  if (expiresInDays !== undefined) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      errors.push(`expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`);
+    }
+  }
+
+  return errors;
+};
+
+// Scopes a member does not hold in the organization
+const scopesNotHeld = (organization, userId, scopes) => {
+  const held = organization.getMemberPermissions(userId);
+  return scopes.filter(scope => !held.includes(scope));
+};
+
+const assertScopesHeld = (req, organization, scopes) => {
+  const missing = scopesNotHeld(organization, req.user._id, scopes);
+  if (missing.length) {
+    throw new AppError(`You cannot grant scopes you do not have: ${missing.join(', ')}`, 403, 'PERMISSION_DENIED');
+  }
+};
+
+const auditApiKey = (req, organization, action, apiKey, metadata = {}) => {
+  return AuditLog.logRequest(req, {
+    action,
+    organizationId: organization._id,
+    resourceType: 'ApiKey',
+    resourceId: apiKey._id,
+    metadata: {
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expiresAt,
+      ...metadata,
+    },
+  });
+};
+
+/**
+ * List an organization's API keys (newest first, hashes omitted)
+ */
+export const listApiKeys = async (organizationId, { includeInactive = false } = {}) => {
+  const query = { organizationId };
+  if (!includeInactive) {
+    query.revokedAt = null;
+    query.expiresAt = { $gt: new Date() };
+  }
+
+  const keys = await ApiKey.find(query).sort({ createdAt: -1 });
+  return keys.map(apiKey => apiKey.toPublicJSON());
+};
+
+/**
+ * Generate a new API key for an organization
+ * @param {object} req - Express request (req.user is the creator; used for the audit log)
+ * @returns {Promise<{key: string, apiKey: object}>} key is the plaintext, returned only here
+ */
+export const generateApiKey = async (req, organization, { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS }) => {
+  const errors = validateApiKeyInput({ name, scopes, expiresInDays });
+  if (errors.length) {
+    throw new ValidationError('Invalid API key settings', errors);
+  }
+  assertScopesHeld(req, organization, scopes);
+
+  const { key, prefix, keyHash } = createKeyMaterial();
+  const apiKey = await ApiKey.create({
+    organizationId: organization._id,
+    name: name.trim(),
+    prefix,
+    keyHash,
+    scopes: Array.from(new Set(scopes)),
+    createdBy: req.user._id,
+    expiresAt: new Date(Date.now() + Number(expiresInDays) * MS_IN_DAY),
+  });
+
+  await auditApiKey(req, organization, 'API_KEY_GENERATE', apiKey);
+  logger.info(`API key ${prefix} generated for ${organization.slug} by ${req.user.email} (${apiKey.scopes.join(', ')})`);
+
+  return { key, apiKey: apiKey.toPublicJSON() };
+};
+
+const findOrganizationKey = async (organization, keyId) => {
+  const apiKey = await ApiKey.findOne({ _id: keyId, organizationId: organization._id });
+  if (!apiKey) {
+    throw new NotFoundError('API key');
+  }
+  return apiKey;
+};
+
+/**
+ * Rotate an API key: issue a replacement with the same name, scopes and
+ * lifetime, and expire the old key after a grace period
+ * @returns {Promise<{key: string, apiKey: object, previous: object}>}
+ */
+export const rotateApiKey = async (req, organization, keyId, { graceHours = DEFAULT_ROTATION_GRACE_HOURS } = {}) => {
+  const hours = Number(graceHours);
+  if (!Number.isFinite(hours) || hours < 0 || hours > MAX_ROTATION_GRACE_HOURS) {
+    throw new ValidationError(`graceHours must be between 0 and ${MAX_ROTATION_GRACE_HOURS}`);
+  }
+
+  const previous = await findOrganizationKey(organization, keyId);
+  if (!previous.isActive()) {
+    throw new AppError('Only active API keys can be rotated', 400, 'API_KEY_INACTIVE');
+  }
+  if (previous.replacedBy) {
+    throw new AppError('This API key has already been rotated', 409, 'API_KEY_ROTATED');
+  }
+  // The replacement is created by (and depends on) the member rotating it
+  assertScopesHeld(req, organization, previous.scopes);
+
+  const lifetimeMs = Math.max(previous.expiresAt.getTime() - previous.createdAt.getTime(), MS_IN_DAY);
+  const { key, prefix, keyHash } = createKeyMaterial();
+
+  const apiKey = await ApiKey.create({
+    organizationId: organization._id,
+    name: previous.name,
+    prefix,
+    keyHash,
+    scopes: previous.scopes,
+    createdBy: req.user._id,
+    expiresAt: new Date(Date.now() + lifetimeMs),
+    rotatedFrom: previous._id,
+  });
+
+  const graceEndsAt = new Date(Date.now() + hours * MS_IN_HOUR);
+  previous.replacedBy = apiKey._id;
+  if (graceEndsAt < previous.expiresAt) {
+    previous.expiresAt = graceEndsAt;
+  }
+  await previous.save();
+
+  await auditApiKey(req, organization, 'API_KEY_GENERATE', apiKey, {
+    rotatedFrom: previous._id,
+    previousPrefix: previous.prefix,
+    previousExpiresAt: previous.expiresAt,
+  });
+  logger.info(`API key ${previous.prefix} rotated to ${prefix} for ${organization.slug} by ${req.user.email} (grace ${hours}h)`);
+
+  return { key, apiKey: apiKey.toPublicJSON(), previous: previous.toPublicJSON() };
+};
+
+/**
+ * Revoke an API key immediately
+ */
+export const revokeApiKey = async (req, organization, keyId) => {
+  const apiKey = await findOrganizationKey(organization, keyId);
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    await auditApiKey(req, organization, 'API_KEY_REVOKE', apiKey);
+    logger.info(`API key ${apiKey.prefix} revoked for ${organization.slug} by ${req.user.email}`);
+  }
+
+  return apiKey.toPublicJSON();
+};
+
+/**
+ * Revoke the active keys a member created, when they leave the organization
+ * @returns {Promise<number>} number of keys revoked
+ */
+export const revokeMemberApiKeys = async (req, organization, userId) => {
+  const apiKeys = await ApiKey.find({ organizationId: organization._id, createdBy: userId, revokedAt: null });
+
+  for (const apiKey of apiKeys) {
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user?._id || null;
+    await apiKey.save();
+    await auditApiKey(req, organization, 'API_KEY_REVOKE', apiKey, { reason: 'creator_removed' });
+  }
+
+  if (apiKeys.length) {
+    logger.info(`Revoked ${apiKeys.length} API key(s) of removed member ${userId} in ${organization.slug}`);
+  }
+  return apiKeys.length;
+};
+
+const invalidKey = (message = 'Invalid or expired API key') => {
+  return new AppError(message, 401, 'API_KEY_INVALID');
+};
+
+/**
+ * Resolve a plaintext API key to its key record, organization and acting user,
+ * and record when and from where it was last used
+ * @throws {AppError} API_KEY_INVALID
+ */
+export const authenticateApiKey = async (key, ip) => {
+  if (!isApiKey(key)) {
+    throw invalidKey();
+  }
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key) });
+  if (!apiKey || !apiKey.isActive()) {
+    logger.warn(`Rejected ${apiKey ? 'inactive' : 'unknown'} API key ${key.slice(0, API_KEY_PREFIX.length + 8)}`, { ip });
+    throw invalidKey();
+  }
+
+  const [organization, user] = await Promise.all([
+    Organization.findById(apiKey.organizationId),
+    User.findById(apiKey.createdBy).select('-password'),
+  ]);
+
+  if (!organization || organization.status !== 'active') {
+    throw invalidKey('Organization is not active');
+  }
+  if (!user || user.isActive === false) {
+    throw invalidKey('The user who created this API key is no longer active');
+  }
+  if (!organization.getMemberRole(user._id)) {
+    logger.warn(`Rejected API key ${apiKey.prefix}: creator ${user.email} left ${organization.slug}`, { ip });
+    throw invalidKey('The user who created this API key is no longer a member of the organization');
+  }
+  const notHeld = scopesNotHeld(organization, user._id, apiKey.scopes);
+  if (notHeld.length) {
+    logger.warn(`Rejected API key ${apiKey.prefix}: creator ${user.email} no longer holds ${notHeld.join(', ')} in ${organization.slug}`, { ip });
+    throw invalidKey('The user who created this API key no longer holds its scopes; generate a new key');
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS || apiKey.lastUsedIp !== ip) {
+    apiKey.lastUsedAt = new Date();
+    apiKey.lastUsedIp = ip || null;
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: apiKey.lastUsedAt, lastUsedIp: apiKey.lastUsedIp }
+    );
+  }
+
+  return { apiKey, organization, user };
+};
+
+export default {
+  API_KEY_PREFIX,
+  hashApiKey,
+  isApiKey,
+  validateApiKeyInput,
+  listApiKeys,
+  generateApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  revokeMemberApiKeys,
+  authenticateApiKey,
+};
@@ -0,0 +1,142 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ApiKey from '../models/ApiKey.js';
+import AuditLog from '../models/AuditLog.js';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import { authenticateApiKey, generateApiKey, hashApiKey, revokeMemberApiKeys, rotateApiKey } from './apiKeyService.js';
+
+const KEY = `rgk_${'a'.repeat(64)}`;
+
+const ownerId = new mongoose.Types.ObjectId();
+const creatorId = new mongoose.Types.ObjectId();
+
+const buildOrganization = (creatorMember) => new Organization({
+  name: 'Acme',
+  slug: 'acme',
+  owner: ownerId,
+  members: [
+    { userId: ownerId, role: 'owner' },
+    ...(creatorMember ? [{ userId: creatorId, ...creatorMember }] : []),
+  ],
+});
+
+const buildKey = (scopes) => new ApiKey({
+  organizationId: new mongoose.Types.ObjectId(),
+  name: 'ATS sync',
+  prefix: KEY.slice(0, 12),
+  keyHash: hashApiKey(KEY),
+  scopes,
+  createdBy: creatorId,
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+});
+
+const creator = { _id: creatorId, email: 'creator@example.com', isActive: true };
+
+// Stub the lookups authenticateApiKey makes
+const stubKeyLookup = (apiKey, organization) => {
+  mock.method(ApiKey, 'findOne', async () => apiKey);
+  mock.method(ApiKey, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(Organization, 'findById', async () => organization);
+  mock.method(User, 'findById', () => ({ select: async () => creator }));
+};
+
+const request = (userId) => ({
+  user: { _id: userId, email: 'actor@example.com', role: 'recruiter' },
+  method: 'POST',
+  originalUrl: '/api/organizations/acme/api-keys',
+  get: () => '',
+});
+
+beforeEach(() => {
+  mock.method(AuditLog, 'logRequest', async () => null);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('authenticateApiKey', () => {
+  test('accepts a key while its creator holds every scope', async () => {
+    const apiKey = buildKey(['view_candidates']);
+    stubKeyLookup(apiKey, buildOrganization({ role: 'recruiter', permissions: ['view_candidates', 'post_jobs'] }));
+
+    const result = await authenticateApiKey(KEY, '203.0.113.7');
+    assert.equal(result.apiKey, apiKey);
+    assert.equal(result.user, creator);
+  });
+
+  test('rejects a key whose creator left the organization', async () => {
+    stubKeyLookup(buildKey(['view_candidates']), buildOrganization(null));
+
+    await assert.rejects(authenticateApiKey(KEY, '203.0.113.7'), {
+      code: 'API_KEY_INVALID',
+      statusCode: 401,
+      message: /no longer a member/,
+    });
+  });
+
+  test('rejects a key whose creator was demoted below its scopes', async () => {
+    stubKeyLookup(
+      buildKey(['view_candidates', 'view_candidate_contacts']),
+      buildOrganization({ role: 'recruiter', permissions: ['view_candidates'] })
+    );
+
+    await assert.rejects(authenticateApiKey(KEY, '203.0.113.7'), { code: 'API_KEY_INVALID', message: /no longer holds its scopes/ });
+  });
+
+  test('rejects revoked keys', async () => {
+    const apiKey = buildKey(['view_candidates']);
+    apiKey.revokedAt = new Date();
+    stubKeyLookup(apiKey, buildOrganization({ role: 'admin' }));
+
+    await assert.rejects(authenticateApiKey(KEY, '203.0.113.7'), { code: 'API_KEY_INVALID' });
+  });
+});
+
+describe('generateApiKey', () => {
+  test('only grants scopes the creator holds', async () => {
+    const create = mock.method(ApiKey, 'create', async (fields) => new ApiKey(fields));
+    const organization = buildOrganization({ role: 'recruiter', permissions: ['view_candidates', 'manage_integrations'] });
+
+    await assert.rejects(
+      generateApiKey(request(creatorId), organization, { name: 'ATS', scopes: ['view_candidates', 'view_candidate_contacts'] }),
+      { statusCode: 403, message: /view_candidate_contacts/ }
+    );
+    assert.equal(create.mock.callCount(), 0);
+
+    const { key, apiKey } = await generateApiKey(request(creatorId), organization, { name: 'ATS', scopes: ['view_candidates'] });
+    assert.ok(key.startsWith('rgk_'));
+    assert.deepEqual(apiKey.scopes, ['view_candidates']);
+  });
+});
+
+describe('rotateApiKey', () => {
+  test('requires the rotating member to hold the key scopes', async () => {
+    const previous = buildKey(['export_data']);
+    previous.createdAt = new Date();
+    mock.method(ApiKey, 'findOne', async () => previous);
+    const create = mock.method(ApiKey, 'create', async (fields) => new ApiKey(fields));
+    const organization = buildOrganization({ role: 'recruiter', permissions: ['manage_integrations'] });
+
+    await assert.rejects(rotateApiKey(request(creatorId), organization, previous._id), { statusCode: 403 });
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe('revokeMemberApiKeys', () => {
+  test('revokes and audits the active keys of a removed member', async () => {
+    const keys = [buildKey(['view_candidates']), buildKey(['export_data'])];
+    keys.forEach(apiKey => mock.method(apiKey, 'save', async () => apiKey));
+    const find = mock.method(ApiKey, 'find', async () => keys);
+    const organization = buildOrganization(null);
+
+    const revoked = await revokeMemberApiKeys(request(ownerId), organization, creatorId);
+
+    assert.equal(revoked, 2);
+    assert.deepEqual(find.mock.calls[0].arguments[0], { organizationId: organization._id, createdBy: creatorId, revokedAt: null });
+    assert.ok(keys.every(apiKey => apiKey.revokedAt && !apiKey.isActive()));
+    assert.equal(AuditLog.logRequest.mock.callCount(), 2);
+  });
+});
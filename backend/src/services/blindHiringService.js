@@ -0,0 +1,312 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import JobApplication from '../models/JobApplication.js';
+import AuditLog from '../models/AuditLog.js';
+import { BLIND_HIRING_UNMASK_STAGES } from '../models/Organization.js';
+
+/**
+ * Blind Hiring Service
+ * Masks candidate identity signals in recruiter views for organizations
+ * that enable settings.blindHiring
+ *
+ * Names are replaced by a pseudonym that is stable per organization and
+ * candidate, and photos, email, phone, links, institution names and
+ * graduation years are removed. An application's candidate is revealed once
+ * the application reaches settings.blindHiring.unmaskAtStage; the reveal is
+ * recorded on the application (identityRevealedAt) and audited as
+ * CANDIDATE_UNMASK. Candidates found through search or discovery are not in
+ * the organization's pipeline and stay masked.
+ */
+
+export const DEFAULT_UNMASK_STAGE = 'interview_scheduled';
+
+const PIPELINE_STAGES = ['applied', ...BLIND_HIRING_UNMASK_STAGES];
+
+// Education details that identify a school or the candidate's age
+const EDUCATION_IDENTITY_FIELDS = [
+  'institution',
+  'school',
+  'university',
+  'college',
+  'year',
+  'graduation_year',
+  'graduationYear',
+  'start_date',
+  'end_date',
+  'startDate',
+  'endDate',
+];
+
+const getPseudonymSecret = () => process.env.BLIND_HIRING_SECRET || process.env.JWT_SECRET || 'blind-hiring';
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Populated documents (not bare ids)
+const isPopulated = (value) => {
+  return Boolean(value) && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId);
+};
+
+const getId = (value) => (isPopulated(value) ? value._id : value);
+
+/**
+ * Blind hiring settings of an organization, with defaults
+ */
+export const getBlindHiringSettings = (organization) => {
+  const settings = organization?.settings?.blindHiring || {};
+  return {
+    enabled: Boolean(settings.enabled),
+    unmaskAtStage: settings.unmaskAtStage || DEFAULT_UNMASK_STAGE,
+  };
+};
+
+export const isBlindHiringEnabled = (organization) => getBlindHiringSettings(organization).enabled;
+
+/**
+ * Validate a settings.blindHiring update
+ * @returns {string[]} validation errors (empty when valid)
+ */
+export const validateBlindHiringSettings = (blindHiring = {}) => {
+  const errors = [];
+
+  if (blindHiring.enabled !== undefined && typeof blindHiring.enabled !== 'boolean') {
+    errors.push('blindHiring.enabled must be true or false');
+  }
+  if (blindHiring.unmaskAtStage !== undefined && !BLIND_HIRING_UNMASK_STAGES.includes(blindHiring.unmaskAtStage)) {
+    errors.push(`blindHiring.unmaskAtStage must be one of: ${BLIND_HIRING_UNMASK_STAGES.join(', ')}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Stable pseudonym of a candidate within one organization
+ * Keyed per organization so pseudonyms cannot be matched across organizations.
+ */
+export const getPseudonym = (organizationId, candidateId) => {
+  const code = crypto
+    .createHmac('sha256', getPseudonymSecret())
+    .update(`${organizationId}:${candidateId}`)
+    .digest('hex')
+    .slice(0, 6)
+    .toUpperCase();
+  return `Candidate ${code}`;
+};
+
+/**
+ * Whether an application status is at or past the unmask stage
+ * Rejected, withdrawn and declined applications are never past it.
+ */
+export const hasReachedUnmaskStage = (status, unmaskAtStage = DEFAULT_UNMASK_STAGE) => {
+  const current = PIPELINE_STAGES.indexOf(status);
+  return current !== -1 && current >= PIPELINE_STAGES.indexOf(unmaskAtStage);
+};
+
+const redactEducation = (entries) => {
+  if (!Array.isArray(entries)) {
+    return entries;
+  }
+  return entries.map((entry) => {
+    if (!entry || typeof entry !== 'object') {
+      return entry;
+    }
+    const redacted = { ...entry };
+    EDUCATION_IDENTITY_FIELDS.forEach((field) => delete redacted[field]);
+    return redacted;
+  });
+};
+
+/**
+ * Populated candidate user reduced to non-identifying fields
+ */
+export const redactUser = (user, pseudonym) => {
+  if (!isPopulated(user)) {
+    return user;
+  }
+  return {
+    _id: user._id,
+    name: pseudonym,
+    location: user.location || null,
+    role: user.role,
+  };
+};
+
+/**
+ * Populated resume without name, contact details, photo, links, school names,
+ * graduation years, raw text or file names
+ */
+export const redactResume = (resume, pseudonym) => {
+  if (!isPopulated(resume)) {
+    return resume;
+  }
+
+  const {
+    raw_text: rawText,
+    filePath,
+    embedding,
+    previousVersions,
+    parsed_resume_machine: machineOutput,
+    ...rest
+  } = toPlain(resume);
+  const redacted = { ...rest, userId: redactUser(rest.userId, pseudonym) };
+
+  if (rest.parsed_resume) {
+    const { full_name: fullName, ...parsedResume } = rest.parsed_resume;
+    redacted.parsed_resume = {
+      ...parsedResume,
+      name: pseudonym,
+      emails: [],
+      phones: [],
+      links: [],
+      profile_photo: null,
+      education: redactEducation(parsedResume.education),
+    };
+  }
+
+  if (rest.parsedData) {
+    redacted.parsedData = {
+      ...rest.parsedData,
+      personalInfo: rest.parsedData.personalInfo
+        ? { name: pseudonym, location: rest.parsedData.personalInfo.location }
+        : rest.parsedData.personalInfo,
+      education: redactEducation(rest.parsedData.education),
+    };
+  }
+
+  if (rest.extracted_text) {
+    const { full_text: fullText, contact, ...extracted } = rest.extracted_text;
+    redacted.extracted_text = { ...extracted, education: redactEducation(extracted.education) };
+  }
+
+  if (rest.profile) {
+    redacted.profile = { ...rest.profile, photoUrl: null, customName: null, socialLinks: null };
+  }
+
+  if (rest.file_metadata) {
+    const { originalName, filename, ...fileMetadata } = rest.file_metadata;
+    redacted.file_metadata = fileMetadata;
+  }
+
+  return redacted;
+};
+
+/**
+ * Reveal the candidate of an application once it reaches the unmask stage
+ * Each application is revealed (and audited) once; the reveal sticks even if
+ * the application later moves to rejected or withdrawn.
+ * @returns {Promise<boolean>} whether the candidate is revealed
+ */
+export const revealIdentityIfDue = async (req, organization, application) => {
+  if (application.identityRevealedAt) {
+    return true;
+  }
+
+  const { unmaskAtStage } = getBlindHiringSettings(organization);
+  if (!hasReachedUnmaskStage(application.status, unmaskAtStage)) {
+    return false;
+  }
+
+  const revealedAt = new Date();
+  const result = await JobApplication.updateOne(
+    { _id: application._id, identityRevealedAt: null },
+    { $set: { identityRevealedAt: revealedAt, identityRevealedStage: application.status } }
+  );
+
+  if (result.modifiedCount > 0) {
+    const candidateId = getId(application.userId);
+    await AuditLog.logRequest(req, {
+      action: 'CANDIDATE_UNMASK',
+      organizationId: organization._id,
+      resourceType: 'Application',
+      resourceId: application._id,
+      metadata: {
+        candidateId,
+        pseudonym: getPseudonym(organization._id, candidateId),
+        stage: application.status,
+        unmaskAtStage,
+      },
+    });
+  }
+
+  application.identityRevealedAt = application.identityRevealedAt || revealedAt;
+  application.identityRevealedStage = application.identityRevealedStage || application.status;
+  return true;
+};
+
+/**
+ * Reveal every application in the list that has reached the unmask stage
+ */
+export const revealIdentitiesIfDue = async (req, organization, applications) => {
+  if (!isBlindHiringEnabled(organization)) {
+    return;
+  }
+  for (const application of applications) {
+    await revealIdentityIfDue(req, organization, application);
+  }
+};
+
+/**
+ * An application as the organization may see it
+ * Returns a plain object; unchanged when blind hiring is off, otherwise
+ * masked until the candidate is revealed. Adds identityMasked and, while
+ * masked, candidatePseudonym.
+ */
+export const maskApplication = async (req, organization, application) => {
+  const plain = toPlain(application);
+  if (!plain || !isBlindHiringEnabled(organization)) {
+    return plain;
+  }
+
+  if (await revealIdentityIfDue(req, organization, plain)) {
+    return { ...plain, identityMasked: false };
+  }
+
+  const pseudonym = getPseudonym(organization._id, getId(plain.userId));
+  return {
+    ...plain,
+    userId: redactUser(plain.userId, pseudonym),
+    resumeId: redactResume(plain.resumeId, pseudonym),
+    candidatePseudonym: pseudonym,
+    identityMasked: true,
+  };
+};
+
+export const maskApplications = async (req, organization, applications) => {
+  const masked = [];
+  for (const application of applications) {
+    masked.push(await maskApplication(req, organization, application));
+  }
+  return masked;
+};
+
+/**
+ * A resume found through search or discovery, masked when blind hiring is on
+ */
+export const maskCandidateResume = (organization, resume) => {
+  const plain = toPlain(resume);
+  if (!plain || !isBlindHiringEnabled(organization)) {
+    return plain;
+  }
+
+  const pseudonym = getPseudonym(organization._id, getId(plain.userId) || plain._id);
+  return {
+    ...redactResume(plain, pseudonym),
+    candidatePseudonym: pseudonym,
+    identityMasked: true,
+  };
+};
+
+export default {
+  DEFAULT_UNMASK_STAGE,
+  getBlindHiringSettings,
+  isBlindHiringEnabled,
+  validateBlindHiringSettings,
+  getPseudonym,
+  hasReachedUnmaskStage,
+  redactUser,
+  redactResume,
+  revealIdentityIfDue,
+  revealIdentitiesIfDue,
+  maskApplication,
+  maskApplications,
+  maskCandidateResume,
+};
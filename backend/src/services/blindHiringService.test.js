@@ -0,0 +1,135 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import JobApplication from '../models/JobApplication.js';
+import {
+  getPseudonym,
+  hasReachedUnmaskStage,
+  maskApplication,
+  maskCandidateResume,
+} from './blindHiringService.js';
+
+const candidateId = new mongoose.Types.ObjectId();
+
+const organization = (blindHiring = { enabled: true }) => ({
+  _id: new mongoose.Types.ObjectId(),
+  settings: { blindHiring },
+});
+
+const resume = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: { _id: candidateId, name: 'Casey Candidate', email: 'casey@example.com', phone: '+15550100', location: 'Austin' },
+  raw_text: 'Casey Candidate casey@example.com',
+  parsed_resume: {
+    name: 'Casey Candidate',
+    full_name: 'Casey Q. Candidate',
+    emails: ['casey@example.com'],
+    phones: ['+15550100'],
+    links: ['https://github.com/casey'],
+    profile_photo: 'https://cdn.example.com/casey.jpg',
+    skills: ['react', 'node'],
+    education: [{ degree: 'BSc Computer Science', institution: 'State University', graduation_year: 2012 }],
+  },
+  profile: { photoUrl: 'https://cdn.example.com/casey.jpg', customName: 'Casey', socialLinks: { linkedin: 'casey' }, headline: 'Engineer' },
+  file_metadata: { originalName: 'casey-candidate.pdf', mimeType: 'application/pdf' },
+});
+
+const request = { user: { _id: new mongoose.Types.ObjectId(), email: 'recruiter@example.com' }, get: () => '' };
+
+beforeEach(() => {
+  mock.method(AuditLog, 'logRequest', async () => null);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('maskCandidateResume', () => {
+  test('returns the resume unchanged when blind hiring is off', () => {
+    const original = resume();
+    assert.deepEqual(maskCandidateResume(organization({ enabled: false }), original), original);
+    assert.deepEqual(maskCandidateResume(null, original), original);
+  });
+
+  test('removes names, contact details, photos, links, schools and graduation years', () => {
+    const org = organization();
+    const masked = maskCandidateResume(org, resume());
+    const pseudonym = getPseudonym(org._id, candidateId);
+
+    assert.equal(masked.identityMasked, true);
+    assert.equal(masked.candidatePseudonym, pseudonym);
+    assert.deepEqual(masked.userId, { _id: candidateId, name: pseudonym, location: 'Austin', role: undefined });
+    assert.equal(masked.raw_text, undefined);
+
+    assert.equal(masked.parsed_resume.name, pseudonym);
+    assert.equal(masked.parsed_resume.full_name, undefined);
+    assert.deepEqual(masked.parsed_resume.emails, []);
+    assert.deepEqual(masked.parsed_resume.phones, []);
+    assert.deepEqual(masked.parsed_resume.links, []);
+    assert.equal(masked.parsed_resume.profile_photo, null);
+    assert.deepEqual(masked.parsed_resume.education, [{ degree: 'BSc Computer Science' }]);
+    assert.deepEqual(masked.parsed_resume.skills, ['react', 'node']);
+
+    assert.deepEqual(masked.profile, { photoUrl: null, customName: null, socialLinks: null, headline: 'Engineer' });
+    assert.deepEqual(masked.file_metadata, { mimeType: 'application/pdf' });
+  });
+
+  test('uses pseudonyms that are stable within an organization and differ across organizations', () => {
+    const org = organization();
+    assert.equal(maskCandidateResume(org, resume()).candidatePseudonym, maskCandidateResume(org, resume()).candidatePseudonym);
+    assert.notEqual(maskCandidateResume(organization(), resume()).candidatePseudonym, maskCandidateResume(org, resume()).candidatePseudonym);
+    assert.match(getPseudonym(org._id, candidateId), /^Candidate [0-9A-F]{6}$/);
+  });
+});
+
+describe('hasReachedUnmaskStage', () => {
+  test('compares pipeline stages and never unmasks closed applications', () => {
+    assert.equal(hasReachedUnmaskStage('screening'), false);
+    assert.equal(hasReachedUnmaskStage('interview_scheduled'), true);
+    assert.equal(hasReachedUnmaskStage('offer_extended'), true);
+    assert.equal(hasReachedUnmaskStage('screening', 'screening'), true);
+    assert.equal(hasReachedUnmaskStage('rejected'), false);
+    assert.equal(hasReachedUnmaskStage('withdrawn'), false);
+  });
+});
+
+describe('maskApplication', () => {
+  const application = (status, extra = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    status,
+    userId: resume().userId,
+    resumeId: resume(),
+    ...extra,
+  });
+
+  test('masks applications before the unmask stage', async () => {
+    const updateOne = mock.method(JobApplication, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const masked = await maskApplication(request, organization(), application('screening'));
+
+    assert.equal(masked.identityMasked, true);
+    assert.equal(masked.userId.email, undefined);
+    assert.deepEqual(masked.resumeId.parsed_resume.emails, []);
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  test('reveals and audits the candidate once the unmask stage is reached', async () => {
+    const updateOne = mock.method(JobApplication, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const revealed = await maskApplication(request, organization(), application('interview_scheduled'));
+
+    assert.equal(revealed.identityMasked, false);
+    assert.equal(revealed.userId.email, 'casey@example.com');
+    assert.equal(updateOne.mock.callCount(), 1);
+    assert.equal(AuditLog.logRequest.mock.calls[0].arguments[1].action, 'CANDIDATE_UNMASK');
+  });
+
+  test('keeps a revealed candidate revealed after rejection', async () => {
+    mock.method(JobApplication, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+    const revealed = await maskApplication(request, organization(), application('rejected', { identityRevealedAt: new Date() }));
+
+    assert.equal(revealed.identityMasked, false);
+  });
+});
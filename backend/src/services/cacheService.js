@@ -78,6 +78,11 @@ export const initializeRedis = async () => {
   }
 };
 
+/**
+ * Whether commands currently go to Redis (false means the memory fallback is in use)
+ */
+export const isRedisReady = () => isRedisAvailable && !!redisClient;
+
 /**
  * In-memory cache fallback (when Redis is not available)
  */
@@ -94,8 +99,8 @@ const cleanMemoryCache = () => {
   }
 };
 
-// Clean memory cache every 60 seconds
-setInterval(cleanMemoryCache, 60000);
+// Clean memory cache every 60 seconds; unref so it never keeps the process alive
+setInterval(cleanMemoryCache, 60000).unref?.();
 
 /**
  * Get value from cache
@@ -138,16 +143,17 @@ export const set = async (key, value, ttl = 3600) => {
 
 /**
  * Delete key from cache
+ * Resolves true only if this call removed the key (Redis DEL reply), so of
+ * concurrent deletes of one key exactly one sees true
  */
 export const del = async (key) => {
   try {
     if (isRedisAvailable && redisClient) {
-      await redisClient.del(key);
-      return true;
+      return await redisClient.del(key) > 0;
     } else {
-      memoryCache.delete(key);
+      cleanMemoryCache();
       memoryCacheTTL.delete(key);
-      return true;
+      return memoryCache.delete(key);
     }
   } catch (error) {
     logger.error('Cache delete error:', error);
@@ -395,6 +401,7 @@ export const closeRedis = async () => {
 
 export default {
   initializeRedis,
+  isRedisReady,
   get,
   set,
   del,
@@ -0,0 +1,264 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Organization from '../models/Organization.js';
+import ConsentRecord from '../models/ConsentRecord.js';
+import AuditLog from '../models/AuditLog.js';
+import { NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import { isBlindHiringEnabled } from './blindHiringService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Consent Service
+ * A candidate's control over which recruiters can find them
+ *
+ * Resume.privacy.visibleToRecruiters is the global opt-in; on top of it the
+ * candidate can block individual organizations (e.g. their current employer).
+ * Blocked organizations stop finding the candidate in candidate search,
+ * discovery and job suggestions, and cannot open their resume, from the next
+ * request on. Applications the candidate sent to an organization stay
+ * visible to it. Every decision is appended to the ConsentRecord ledger, and
+ * the profile views feed is read from recruiters' CANDIDATE_VIEW audit events.
+ *
+ * Outside organization-scoped routes (discovery, resume views) a recruiter
+ * acts for every organization they are a member of, so a block by any of
+ * them applies.
+ */
+
+const MAX_BLOCKED_ORGANIZATIONS = 200;
+const ORGANIZATION_SEARCH_LIMIT = 10;
+
+const escapeRegex = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One organization id or a list of them, without blanks
+const toIdList = (organizationIds) => [].concat(organizationIds || []).filter(Boolean);
+
+/**
+ * Append a decision to the candidate's consent ledger
+ */
+export const recordConsent = async (req, user, { action, organization = null, resumeId = null }) => {
+  try {
+    await ConsentRecord.create({
+      userId: user._id,
+      action,
+      organizationId: organization?._id || null,
+      organizationName: organization?.name || null,
+      resumeId,
+      ipAddress: req.ip || '',
+      userAgent: req.get?.('user-agent') || '',
+    });
+  } catch (error) {
+    // The decision itself is already saved; a missing ledger entry must not undo it
+    logger.error(`Failed to record consent ${action} for ${user.email}:`, error);
+  }
+};
+
+export const listConsentRecords = (userId, { limit = 100 } = {}) => {
+  return ConsentRecord.find({ userId })
+    .select('-userAgent')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+export const getBlockedOrganizations = (user) => {
+  return (user.privacy?.blockedOrganizations || []).map(entry => ({
+    organizationId: entry.organizationId,
+    name: entry.name,
+    blockedAt: entry.blockedAt,
+  }));
+};
+
+/**
+ * Active organizations a candidate can block, by name
+ */
+export const searchOrganizations = (search = '') => {
+  const term = search.trim();
+  if (term.length < 2) {
+    return [];
+  }
+
+  return Organization.find({
+    status: { $ne: 'cancelled' },
+    name: { $regex: escapeRegex(term), $options: 'i' },
+  })
+    .select('name slug logo industry')
+    .sort({ name: 1 })
+    .limit(ORGANIZATION_SEARCH_LIMIT)
+    .lean();
+};
+
+/**
+ * Stop an organization's recruiters from finding or viewing the candidate
+ * @returns {Promise<object[]>} the updated block list
+ */
+export const blockOrganization = async (req, user, organizationId) => {
+  if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+    throw new ValidationError('Invalid organization id');
+  }
+
+  const organization = await Organization.findOne({ _id: organizationId, status: { $ne: 'cancelled' } }).select('name');
+  if (!organization) {
+    throw new NotFoundError('Organization');
+  }
+
+  user.privacy = user.privacy || {};
+  const blocked = user.privacy.blockedOrganizations || [];
+  if (blocked.some(entry => entry.organizationId.toString() === organization._id.toString())) {
+    return getBlockedOrganizations(user);
+  }
+  if (blocked.length >= MAX_BLOCKED_ORGANIZATIONS) {
+    throw new ValidationError(`You can block at most ${MAX_BLOCKED_ORGANIZATIONS} organizations`);
+  }
+
+  blocked.push({ organizationId: organization._id, name: organization.name, blockedAt: new Date() });
+  user.privacy.blockedOrganizations = blocked;
+  await user.save();
+
+  await recordConsent(req, user, { action: 'organization_blocked', organization });
+  logger.info(`Consent: ${user.email} blocked organization ${organization._id}`);
+  return getBlockedOrganizations(user);
+};
+
+/**
+ * Let a blocked organization find the candidate again
+ * @returns {Promise<object[]>} the updated block list
+ */
+export const unblockOrganization = async (req, user, organizationId) => {
+  const blocked = user.privacy?.blockedOrganizations || [];
+  const entry = blocked.find(item => item.organizationId.toString() === String(organizationId));
+  if (!entry) {
+    throw new NotFoundError('Blocked organization');
+  }
+
+  user.privacy.blockedOrganizations = blocked.filter(item => item !== entry);
+  await user.save();
+
+  await recordConsent(req, user, {
+    action: 'organization_unblocked',
+    organization: { _id: entry.organizationId, name: entry.name },
+  });
+  logger.info(`Consent: ${user.email} unblocked organization ${entry.organizationId}`);
+  return getBlockedOrganizations(user);
+};
+
+/**
+ * Organizations a recruiter acts for outside organization-scoped routes
+ * Membership is the source of truth, so owners and members who joined through
+ * an invitation are both found. `organization` is the one views are recorded
+ * against and whose blind hiring settings apply; an organization with blind
+ * hiring on is preferred so a member never sees less masking than one of
+ * their organizations requires.
+ * @param {object} [options]
+ * @param {string} [options.permission] - only pick `organization` among those where the recruiter holds it
+ * @returns {Promise<{organizations: object[], organizationIds: object[], organization: object|null}>}
+ */
+export const getRecruiterOrganizations = async (userId, { permission = null } = {}) => {
+  const organizations = await Organization.find({
+    $or: [
+      { owner: userId },
+      { 'members.userId': userId },
+    ],
+    status: { $ne: 'cancelled' },
+  });
+  const eligible = permission
+    ? organizations.filter(organization => organization.hasPermission(userId, permission))
+    : organizations;
+
+  return {
+    organizations,
+    organizationIds: organizations.map(organization => organization._id),
+    organization: eligible.find(isBlindHiringEnabled) || eligible[0] || null,
+  };
+};
+
+/**
+ * Ids of candidates who blocked an organization (or any of a list of them)
+ */
+export const getBlockingCandidateIds = async (organizationIds) => {
+  const ids = toIdList(organizationIds);
+  if (ids.length === 0) {
+    return [];
+  }
+  return User.find({ 'privacy.blockedOrganizations.organizationId': { $in: ids } }).distinct('_id');
+};
+
+/**
+ * Add a condition to a Resume query that leaves out candidates who blocked the organization(s)
+ */
+export const excludeBlockingCandidates = async (query, organizationIds) => {
+  const blockingIds = await getBlockingCandidateIds(organizationIds);
+  if (blockingIds.length > 0) {
+    query.userId = { $nin: blockingIds };
+  }
+  return query;
+};
+
+export const hasBlockedOrganization = async (candidateId, organizationIds) => {
+  const ids = toIdList(organizationIds);
+  if (!candidateId || ids.length === 0) {
+    return false;
+  }
+  const blocked = await User.exists({ _id: candidateId, 'privacy.blockedOrganizations.organizationId': { $in: ids } });
+  return Boolean(blocked);
+};
+
+/**
+ * Recruiter views of the candidate, newest first
+ * Only the organization and when are shown, never the recruiter who looked.
+ */
+export const listProfileViews = async (user, { page = 1, limit = 20 } = {}) => {
+  const query = {
+    action: 'CANDIDATE_VIEW',
+    status: 'success',
+    'metadata.candidateId': { $in: [user._id, user._id.toString()] },
+  };
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(query)
+      .select('organizationId resourceType timestamp')
+      .populate('organizationId', 'name slug logo')
+      .sort({ timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(query),
+  ]);
+
+  const blockedIds = new Set(getBlockedOrganizations(user).map(entry => entry.organizationId.toString()));
+
+  return {
+    views: logs.map(log => ({
+      id: log._id,
+      viewedAt: log.timestamp,
+      context: log.resourceType === 'Application' ? 'application' : 'profile',
+      organization: log.organizationId
+        ? {
+          _id: log.organizationId._id,
+          name: log.organizationId.name,
+          slug: log.organizationId.slug,
+          logo: log.organizationId.logo,
+          blocked: blockedIds.has(log.organizationId._id.toString()),
+        }
+        : null,
+    })),
+    pagination: {
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+export default {
+  recordConsent,
+  listConsentRecords,
+  getBlockedOrganizations,
+  searchOrganizations,
+  blockOrganization,
+  unblockOrganization,
+  getRecruiterOrganizations,
+  getBlockingCandidateIds,
+  excludeBlockingCandidates,
+  hasBlockedOrganization,
+  listProfileViews,
+};
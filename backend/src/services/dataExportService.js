@@ -0,0 +1,702 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import cron from 'node-cron';
+import JSZip from 'jszip';
+import User from '../models/User.js';
+import Resume from '../models/Resume.js';
+import JobApplication from '../models/JobApplication.js';
+import Quiz from '../models/Quiz.js';
+import InterviewSession from '../models/InterviewSession.js';
+import SavedJob from '../models/SavedJob.js';
+import Notification from '../models/Notification.js';
+import DataExport from '../models/DataExport.js';
+import AuditLog from '../models/AuditLog.js';
+import ConsentRecord from '../models/ConsentRecord.js';
+import ParseCorrection from '../models/ParseCorrection.js';
+import { createNotification, NotificationTypes } from './notificationService.js';
+import { sendDataExportReadyEmail } from './emailService.js';
+import { AppError, NotFoundError } from '../utils/errorHandler.js';
+import { toCsv } from '../utils/csv.js';
+import { resolveUploadPath } from '../utils/uploadPaths.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Data Export Service
+ * Data-portability archives generated in the background
+ *
+ * POST /api/export/archives queues an export; the archive (ZIP) holds the
+ * original resume files with every stored version, the parsed resume data,
+ * applications, quiz and interview history, saved jobs, notifications,
+ * skill verifications and the consent ledger, each dataset as both JSON and CSV. When it is ready
+ * the user gets a notification and an email with a download link that
+ * expires after ARCHIVE_EXPIRY_DAYS; the scheduler then removes the file.
+ */
+
+export const ARCHIVE_EXPIRY_DAYS = 7;
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+
+// Exports still queued or processing after this long were interrupted (e.g. by a restart)
+const STALE_EXPORT_MS = 60 * 60 * 1000;
+
+// Kept outside the statically served uploads directory: archives are only
+// reachable through the authenticated or token-checked download route
+const EXPORT_DIR = path.resolve(process.env.DATA_EXPORT_DIR || './data-exports');
+
+let cleanupTask = null;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const createToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+const getDownloadLink = (exportId, token) => {
+  return `${process.env.BACKEND_URL || 'http://localhost:8000'}/api/export/archives/${exportId}/download?token=${token}`;
+};
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const joinList = (values) => (values || []).filter(Boolean).join('; ');
+
+// Keep archive entry names portable: no directories, no reserved characters
+const safeFileName = (name, fallback) => {
+  const cleaned = path.basename(String(name || '')).replace(/[^\w.\- ]+/g, '_').trim();
+  return cleaned || fallback;
+};
+
+const resolveArchivePath = (storedPath) => {
+  if (!storedPath) {
+    return null;
+  }
+  const resolved = path.resolve(storedPath);
+  return resolved.startsWith(`${EXPORT_DIR}${path.sep}`) ? resolved : null;
+};
+
+const removeArchive = async (storedPath) => {
+  const filePath = resolveArchivePath(storedPath);
+  if (!filePath) {
+    return;
+  }
+
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Could not remove data export ${filePath}: ${error.message}`);
+    }
+  }
+};
+
+const setProgress = (exportId, progress, stage) => {
+  return DataExport.updateOne({ _id: exportId }, { $set: { progress, stage } });
+};
+
+const PROFILE_COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'location', label: 'Location' },
+  { key: 'tagline', label: 'Tagline' },
+  { key: 'bio', label: 'Bio' },
+  { key: 'role', label: 'Role' },
+  { key: 'isEmailVerified', label: 'Email Verified' },
+  { key: 'linkedProviders', label: 'Linked Sign-in Providers', value: profile => joinList(profile.linkedProviders) },
+  { key: 'lastLoginAt', label: 'Last Sign-in' },
+  { key: 'createdAt', label: 'Member Since' },
+];
+
+const RESUME_COLUMNS = [
+  { key: 'resumeId', label: 'Resume ID' },
+  { key: 'version', label: 'Current Version' },
+  { key: 'versions', label: 'Stored Versions', value: resume => 1 + (resume.previousVersions?.length || 0) },
+  { key: 'originalName', label: 'File Name', value: resume => resume.file_metadata?.originalName },
+  { key: 'uploadedAt', label: 'Uploaded At', value: resume => resume.file_metadata?.uploadedAt || resume.createdAt },
+  { key: 'name', label: 'Parsed Name', value: resume => resume.parsed_resume?.name },
+  { key: 'emails', label: 'Parsed Emails', value: resume => joinList(resume.parsed_resume?.emails) },
+  { key: 'phones', label: 'Parsed Phones', value: resume => joinList(resume.parsed_resume?.phones) },
+  { key: 'location', label: 'Parsed Location', value: resume => resume.parsed_resume?.location },
+  { key: 'currentTitle', label: 'Current Title', value: resume => resume.parsed_resume?.current_title },
+  { key: 'yearsExperience', label: 'Years of Experience', value: resume => resume.parsed_resume?.years_experience },
+  { key: 'skills', label: 'Skills', value: resume => joinList(resume.parsed_resume?.skills) },
+  { key: 'isActive', label: 'Active' },
+  { key: 'visibleToRecruiters', label: 'Visible to Recruiters', value: resume => resume.privacy?.visibleToRecruiters },
+];
+
+const RESUME_FILE_COLUMNS = [
+  { key: 'resumeId', label: 'Resume ID' },
+  { key: 'versionNumber', label: 'Version' },
+  { key: 'isCurrent', label: 'Current' },
+  { key: 'uploadedAt', label: 'Uploaded At' },
+  { key: 'originalName', label: 'Original File Name' },
+  { key: 'mimeType', label: 'MIME Type' },
+  { key: 'sizeBytes', label: 'Size (bytes)' },
+  { key: 'archivePath', label: 'File in Archive', value: file => file.archivePath || 'not available' },
+];
+
+const APPLICATION_COLUMNS = [
+  { key: 'applicationId', label: 'Application ID', value: app => app._id },
+  { key: 'jobTitle', label: 'Job Title', value: app => app.jobId?.title },
+  { key: 'company', label: 'Company', value: app => app.jobId?.company?.name },
+  { key: 'status', label: 'Status' },
+  { key: 'matchScore', label: 'Match Score' },
+  { key: 'appliedAt', label: 'Applied At', value: app => app.createdAt },
+  { key: 'updatedAt', label: 'Updated At' },
+  { key: 'interviews', label: 'Interviews', value: app => app.interviews?.length || 0 },
+  { key: 'offeredAt', label: 'Offered At', value: app => app.offer?.offeredAt },
+  { key: 'offerSalary', label: 'Offer Salary', value: app => app.offer?.salary },
+];
+
+const QUIZ_COLUMNS = [
+  { key: 'quizId', label: 'Quiz ID' },
+  { key: 'resumeId', label: 'Resume ID' },
+  { key: 'skillName', label: 'Skill' },
+  { key: 'difficulty', label: 'Difficulty' },
+  { key: 'status', label: 'Status' },
+  { key: 'score', label: 'Score' },
+  { key: 'correctAnswers', label: 'Correct Answers' },
+  { key: 'totalQuestions', label: 'Questions' },
+  { key: 'timeSpent', label: 'Time Spent (s)' },
+  { key: 'proficiencyLevel', label: 'Proficiency', value: quiz => quiz.feedback?.proficiencyLevel },
+  { key: 'startedAt', label: 'Started At' },
+  { key: 'completedAt', label: 'Completed At' },
+];
+
+const INTERVIEW_COLUMNS = [
+  { key: 'sessionId', label: 'Session ID' },
+  { key: 'resumeId', label: 'Resume ID' },
+  { key: 'skills', label: 'Skills', value: session => joinList(session.skills) },
+  { key: 'status', label: 'Status' },
+  { key: 'score', label: 'Score', value: session => session.results?.score },
+  { key: 'correctAnswers', label: 'Correct Answers', value: session => session.results?.correctAnswers },
+  { key: 'totalQuestions', label: 'Questions', value: session => session.results?.totalQuestions },
+  { key: 'credibilityScore', label: 'Credibility Score', value: session => session.results?.credibilityScore },
+  { key: 'badge', label: 'Badge', value: session => session.results?.badge?.label },
+  { key: 'startedAt', label: 'Started At' },
+  { key: 'completedAt', label: 'Completed At' },
+];
+
+const SAVED_JOB_COLUMNS = [
+  { key: 'jobTitle', label: 'Job Title', value: saved => saved.jobId?.title },
+  { key: 'company', label: 'Company', value: saved => saved.jobId?.company?.name },
+  { key: 'collectionName', label: 'Collection' },
+  { key: 'notes', label: 'Notes' },
+  { key: 'tags', label: 'Tags', value: saved => joinList(saved.tags) },
+  { key: 'applicationStatus', label: 'Application Status' },
+  { key: 'reminder', label: 'Reminder', value: saved => (saved.reminder?.enabled ? saved.reminder.date : null) },
+  { key: 'savedAt', label: 'Saved At', value: saved => saved.createdAt },
+];
+
+const NOTIFICATION_COLUMNS = [
+  { key: 'type', label: 'Type' },
+  { key: 'title', label: 'Title' },
+  { key: 'message', label: 'Message' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'read', label: 'Read' },
+  { key: 'createdAt', label: 'Created At' },
+];
+
+const SKILL_VERIFICATION_COLUMNS = [
+  { key: 'skill', label: 'Skill' },
+  { key: 'source', label: 'Verified By' },
+  { key: 'status', label: 'Status' },
+  { key: 'score', label: 'Score' },
+  { key: 'resumeId', label: 'Resume ID' },
+  { key: 'verifiedAt', label: 'Verified At' },
+];
+
+const CONSENT_COLUMNS = [
+  { key: 'createdAt', label: 'Date' },
+  { key: 'action', label: 'Decision' },
+  { key: 'organizationName', label: 'Organization' },
+  { key: 'resumeId', label: 'Resume ID' },
+];
+
+const CORRECTION_COLUMNS = [
+  { key: 'createdAt', label: 'Date' },
+  { key: 'resumeId', label: 'Resume ID' },
+  { key: 'field', label: 'Field' },
+  { key: 'op', label: 'Change' },
+  { key: 'path', label: 'Path' },
+  { key: 'from', label: 'Parsed Value' },
+  { key: 'to', label: 'Corrected Value' },
+];
+
+/**
+ * Skill verification results from resume interviews and completed quizzes
+ */
+const buildSkillVerifications = (resumes, quizzes) => {
+  const fromInterviews = resumes.flatMap(resume => {
+    const verification = resume.parsed_resume?.verification_status;
+    if (!verification) {
+      return [];
+    }
+    return [...(verification.verifiedSkills || []), ...(verification.questionableSkills || [])].map(skill => ({
+      skill: skill.skill,
+      source: 'interview',
+      status: skill.status,
+      score: skill.score,
+      resumeId: resume.resumeId,
+      verifiedAt: verification.lastInterviewAt || verification.verifiedAt || null,
+      badge: verification.badge?.label || null,
+      credibilityScore: verification.credibilityScore,
+    }));
+  });
+
+  const fromQuizzes = quizzes
+    .filter(quiz => quiz.status === 'completed')
+    .map(quiz => ({
+      skill: quiz.skillName,
+      source: 'quiz',
+      status: quiz.feedback?.proficiencyLevel || null,
+      score: quiz.score,
+      resumeId: quiz.resumeId,
+      verifiedAt: quiz.completedAt || null,
+    }));
+
+  return [...fromInterviews, ...fromQuizzes];
+};
+
+/**
+ * Every stored file of a resume (current version first), with its path in the archive
+ */
+const listResumeFiles = (resume) => {
+  const current = {
+    resumeId: resume.resumeId,
+    versionNumber: resume.version,
+    isCurrent: true,
+    uploadedAt: resume.file_metadata?.uploadedAt || resume.createdAt,
+    filePath: resume.filePath,
+    originalName: resume.file_metadata?.originalName,
+    mimeType: resume.file_metadata?.mimeType,
+    sizeBytes: resume.file_metadata?.sizeBytes,
+  };
+
+  const previous = (resume.previousVersions || []).map(version => ({
+    resumeId: resume.resumeId,
+    versionNumber: version.versionNumber,
+    isCurrent: false,
+    uploadedAt: version.uploadedAt,
+    filePath: version.filePath,
+    originalName: version.file_metadata?.originalName,
+    mimeType: version.file_metadata?.mimeType,
+    sizeBytes: version.file_metadata?.sizeBytes,
+  }));
+
+  return [current, ...previous];
+};
+
+// Server paths are not part of the user's data
+const stripFilePaths = (resume) => {
+  const { filePath, previousVersions = [], ...rest } = resume;
+  return {
+    ...rest,
+    previousVersions: previousVersions.map(({ filePath: versionPath, ...version }) => version),
+  };
+};
+
+const collectUserData = async (user) => {
+  const userId = user._id;
+
+  const [resumes, applications, savedJobs, notifications, interviewSessions, consents, corrections] = await Promise.all([
+    Resume.find({ userId }).select('-embedding -embedding_metadata').sort({ createdAt: 1 }).lean(),
+    JobApplication.find({ userId })
+      .select('-recruiterNotes')
+      .populate('jobId', 'title company location')
+      .sort({ createdAt: -1 })
+      .lean(),
+    SavedJob.find({ userId }).populate('jobId', 'title company location').sort({ createdAt: -1 }).lean(),
+    Notification.find({ userId }).sort({ createdAt: -1 }).lean(),
+    InterviewSession.find({ userId }).select('-metadata').sort({ createdAt: -1 }).lean(),
+    ConsentRecord.find({ userId }).select('-userId -userAgent').sort({ createdAt: -1 }).lean(),
+    ParseCorrection.find({ userId }).select('-userId').sort({ createdAt: -1 }).lean(),
+  ]);
+
+  const quizzes = await Quiz.find({
+    $or: [{ userId: userId.toString() }, { resumeId: { $in: resumes.map(resume => resume.resumeId) } }],
+  }).select('-metadata').sort({ createdAt: -1 }).lean();
+
+  return { resumes, applications, savedJobs, notifications, interviewSessions, quizzes, consents, corrections };
+};
+
+const buildReadme = (user, generatedAt, counts) => {
+  const lines = Object.entries(counts).map(([name, count]) => `  ${name}: ${count}`);
+
+  return [
+    'CareerBoost AI data export',
+    `Account: ${user.email}`,
+    `Generated: ${generatedAt.toISOString()}`,
+    '',
+    'json/  every dataset as JSON (complete records)',
+    'csv/   the same datasets as CSV (one row per record, main fields)',
+    'files/resumes/<resume id>/  original resume files, one per stored version',
+    '       (csv/resume-files.csv maps each version to its file)',
+    '',
+    'Records included:',
+    ...lines,
+    '',
+  ].join('\n');
+};
+
+/**
+ * Build the ZIP for one export and write it to EXPORT_DIR
+ * @returns {Promise<{filePath: string, sizeBytes: number, counts: object}>}
+ */
+const buildArchive = async (dataExport, user) => {
+  const exportId = dataExport._id;
+
+  await setProgress(exportId, 5, 'Collecting your data');
+  const data = await collectUserData(user);
+  const zip = new JSZip();
+
+  await setProgress(exportId, 20, 'Adding resume files');
+  const resumeFiles = data.resumes.flatMap(listResumeFiles);
+  let filesIncluded = 0;
+
+  for (const [index, file] of resumeFiles.entries()) {
+    const sourcePath = resolveUploadPath(file.filePath);
+    if (sourcePath) {
+      try {
+        const content = await fs.promises.readFile(sourcePath);
+        const name = safeFileName(file.originalName, `resume${path.extname(sourcePath)}`);
+        file.archivePath = `files/resumes/${file.resumeId}/v${file.versionNumber}-${name}`;
+        zip.file(file.archivePath, content);
+        filesIncluded += 1;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn(`Could not add ${sourcePath} to data export ${exportId}: ${error.message}`);
+        }
+      }
+    }
+
+    if ((index + 1) % 5 === 0) {
+      await setProgress(exportId, 20 + Math.round(((index + 1) / resumeFiles.length) * 30), 'Adding resume files');
+    }
+  }
+
+  await setProgress(exportId, 55, 'Writing JSON and CSV files');
+  const profile = user.getPublicProfile();
+  const skillVerifications = buildSkillVerifications(data.resumes, data.quizzes);
+  const resumeFileRows = resumeFiles.map(({ filePath, ...file }) => file);
+  const correctionRows = data.corrections.flatMap(({ changes, ...correction }) => {
+    return changes.map(change => ({ ...correction, ...change }));
+  });
+
+  const datasets = [
+    { name: 'profile', json: profile, rows: [profile], columns: PROFILE_COLUMNS },
+    { name: 'resumes', json: data.resumes.map(stripFilePaths), rows: data.resumes, columns: RESUME_COLUMNS },
+    { name: 'resume-files', json: resumeFileRows, rows: resumeFileRows, columns: RESUME_FILE_COLUMNS },
+    { name: 'applications', json: data.applications, rows: data.applications, columns: APPLICATION_COLUMNS },
+    { name: 'quizzes', json: data.quizzes, rows: data.quizzes, columns: QUIZ_COLUMNS },
+    { name: 'interview-sessions', json: data.interviewSessions, rows: data.interviewSessions, columns: INTERVIEW_COLUMNS },
+    { name: 'saved-jobs', json: data.savedJobs, rows: data.savedJobs, columns: SAVED_JOB_COLUMNS },
+    { name: 'notifications', json: data.notifications, rows: data.notifications, columns: NOTIFICATION_COLUMNS },
+    { name: 'skill-verifications', json: skillVerifications, rows: skillVerifications, columns: SKILL_VERIFICATION_COLUMNS },
+    { name: 'consents', json: data.consents, rows: data.consents, columns: CONSENT_COLUMNS },
+    { name: 'resume-corrections', json: data.corrections, rows: correctionRows, columns: CORRECTION_COLUMNS },
+  ];
+
+  for (const dataset of datasets) {
+    zip.file(`json/${dataset.name}.json`, JSON.stringify(dataset.json, null, 2));
+    zip.file(`csv/${dataset.name}.csv`, toCsv(dataset.rows, dataset.columns));
+  }
+
+  const counts = {
+    resumes: data.resumes.length,
+    resumeFiles: filesIncluded,
+    applications: data.applications.length,
+    quizzes: data.quizzes.length,
+    interviewSessions: data.interviewSessions.length,
+    savedJobs: data.savedJobs.length,
+    notifications: data.notifications.length,
+    skillVerifications: skillVerifications.length,
+    consents: data.consents.length,
+    resumeCorrections: data.corrections.length,
+  };
+  zip.file('README.txt', buildReadme(user, new Date(), counts));
+
+  await setProgress(exportId, 60, 'Compressing archive');
+  await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+  const filePath = path.join(EXPORT_DIR, `${exportId}.zip`);
+
+  let reported = 60;
+  await new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    zip
+      .generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' }, (metadata) => {
+        const progress = 60 + Math.floor(metadata.percent * 0.35);
+        if (progress >= reported + 5) {
+          reported = progress;
+          setProgress(exportId, progress, 'Compressing archive').catch(() => {});
+        }
+      })
+      .on('error', reject)
+      .pipe(output)
+      .on('error', reject)
+      .on('finish', resolve);
+  });
+
+  const { size } = await fs.promises.stat(filePath);
+  return { filePath, sizeBytes: size, counts };
+};
+
+/**
+ * Tell the user the archive is ready: in-app notification and an email with the download link
+ */
+const notifyExportReady = async (user, dataExport, token) => {
+  try {
+    await createNotification({
+      userId: user._id,
+      type: NotificationTypes.SYSTEM,
+      title: 'Your data export is ready',
+      message: `Your archive (${formatBytes(dataExport.sizeBytes)}) can be downloaded until ${dataExport.expiresAt.toUTCString()}.`,
+      data: { dataExportId: dataExport._id, expiresAt: dataExport.expiresAt },
+      actionUrl: '/data-export',
+      actionText: 'Download',
+    });
+  } catch (error) {
+    logger.warn(`Could not create data export notification for ${user.email}: ${error.message}`);
+  }
+
+  try {
+    await sendDataExportReadyEmail(user.email, {
+      userName: user.name,
+      fileName: dataExport.fileName,
+      sizeLabel: formatBytes(dataExport.sizeBytes),
+      expiresAt: dataExport.expiresAt,
+      downloadLink: getDownloadLink(dataExport._id, token),
+    });
+  } catch (emailError) {
+    logger.warn(`Could not send data export email to ${user.email}: ${emailError.message}`);
+  }
+};
+
+/**
+ * Generate a queued export; failures are recorded on the export, never thrown
+ */
+export const generateDataExport = async (exportId) => {
+  const dataExport = await DataExport.findById(exportId);
+  if (!dataExport || dataExport.status !== 'queued') {
+    return;
+  }
+
+  dataExport.status = 'processing';
+  dataExport.startedAt = new Date();
+  await dataExport.save();
+
+  let filePath = null;
+  try {
+    const user = await User.findById(dataExport.userId);
+    if (!user) {
+      throw new Error('User no longer exists');
+    }
+
+    const archive = await buildArchive(dataExport, user);
+    filePath = archive.filePath;
+
+    const { token, tokenHash } = createToken();
+    const completedAt = new Date();
+    Object.assign(dataExport, {
+      status: 'completed',
+      progress: 100,
+      stage: 'Ready to download',
+      filePath: archive.filePath,
+      fileName: `careerboost-data-${completedAt.toISOString().slice(0, 10)}.zip`,
+      sizeBytes: archive.sizeBytes,
+      counts: archive.counts,
+      tokenHash,
+      completedAt,
+      expiresAt: new Date(completedAt.getTime() + ARCHIVE_EXPIRY_DAYS * MS_IN_DAY),
+    });
+    await dataExport.save();
+
+    logger.info(`Data export ${dataExport._id} ready for ${user.email} (${formatBytes(archive.sizeBytes)})`);
+    await notifyExportReady(user, dataExport, token);
+  } catch (error) {
+    logger.error(`Data export ${exportId} failed:`, error);
+    await removeArchive(filePath);
+    await DataExport.updateOne(
+      { _id: exportId },
+      { $set: { status: 'failed', stage: 'Failed', error: 'The archive could not be generated. Please try again.' } }
+    );
+  }
+};
+
+/**
+ * Queue a new export for the user and start generating it in the background
+ * @throws {AppError} EXPORT_IN_PROGRESS (409) while another export is being prepared
+ */
+export const requestDataExport = async (req, user) => {
+  const pending = await DataExport.findOne({ userId: user._id, status: { $in: ['queued', 'processing'] } });
+  if (pending) {
+    throw new AppError('An export is already being prepared', 409, 'EXPORT_IN_PROGRESS');
+  }
+
+  const dataExport = await DataExport.create({ userId: user._id });
+
+  await AuditLog.logRequest(req, {
+    action: 'BULK_EXPORT',
+    user,
+    resourceType: 'User',
+    resourceId: user._id,
+    metadata: { dataExportId: dataExport._id, stage: 'requested' },
+  });
+
+  setImmediate(() => {
+    generateDataExport(dataExport._id).catch(error => {
+      logger.error(`Data export ${dataExport._id} could not be started:`, error);
+    });
+  });
+
+  return dataExport.toSummary();
+};
+
+/**
+ * The user's exports, newest first
+ */
+export const listDataExports = async (userId, { limit = 20 } = {}) => {
+  const exports = await DataExport.find({ userId }).sort({ createdAt: -1 }).limit(limit);
+  return exports.map(dataExport => dataExport.toSummary());
+};
+
+/**
+ * @throws {NotFoundError} when the export does not exist or belongs to someone else
+ */
+export const getDataExport = async (userId, exportId) => {
+  const dataExport = await DataExport.findOne({ _id: exportId, userId });
+  if (!dataExport) {
+    throw new NotFoundError('Export');
+  }
+  return dataExport.toSummary();
+};
+
+/**
+ * Check access to a completed archive and record the download
+ * Either the owner (userId) or the emailed link (token) grants access.
+ * @returns {Promise<{user: object, dataExport: object, filePath: string, fileName: string}>}
+ * @throws {AppError} EXPORT_NOT_READY (409), EXPORT_EXPIRED (410)
+ */
+export const openDataExportDownload = async (exportId, { userId = null, token = null }) => {
+  const query = { _id: exportId };
+  if (token) {
+    query.tokenHash = hashToken(String(token));
+  } else {
+    query.userId = userId;
+  }
+
+  const dataExport = await DataExport.findOne(query).select('+filePath');
+  if (!dataExport) {
+    throw new NotFoundError('Export');
+  }
+  if (dataExport.status === 'expired' || (dataExport.expiresAt && dataExport.expiresAt <= new Date())) {
+    throw new AppError('This download link has expired. Request a new export.', 410, 'EXPORT_EXPIRED');
+  }
+  if (dataExport.status !== 'completed') {
+    throw new AppError('The export is not ready yet', 409, 'EXPORT_NOT_READY');
+  }
+
+  const filePath = resolveArchivePath(dataExport.filePath);
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw new AppError('This download link has expired. Request a new export.', 410, 'EXPORT_EXPIRED');
+  }
+
+  const user = await User.findById(dataExport.userId);
+  if (!user) {
+    throw new NotFoundError('Export');
+  }
+
+  await DataExport.updateOne(
+    { _id: dataExport._id },
+    { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+  );
+
+  return { user, dataExport, filePath, fileName: dataExport.fileName };
+};
+
+/**
+ * Remove archives whose link has expired and fail exports interrupted mid-generation
+ * @returns {Promise<{expired: number, interrupted: number}>}
+ */
+export const cleanupDataExports = async () => {
+  const now = new Date();
+  const due = await DataExport.find({ status: 'completed', expiresAt: { $lte: now } }).select('+filePath');
+
+  for (const dataExport of due) {
+    await removeArchive(dataExport.filePath);
+    dataExport.status = 'expired';
+    dataExport.stage = 'Expired';
+    dataExport.filePath = null;
+    dataExport.tokenHash = null;
+    await dataExport.save();
+  }
+
+  const interrupted = await DataExport.updateMany(
+    { status: { $in: ['queued', 'processing'] }, updatedAt: { $lte: new Date(now.getTime() - STALE_EXPORT_MS) } },
+    { $set: { status: 'failed', stage: 'Failed', error: 'Generation was interrupted. Please try again.' } }
+  );
+
+  return { expired: due.length, interrupted: interrupted.modifiedCount };
+};
+
+/**
+ * Delete all of a user's exports and their archives (account deletion)
+ * @returns {Promise<number>} number of exports deleted
+ */
+export const deleteUserDataExports = async (userId) => {
+  const exports = await DataExport.find({ userId }).select('+filePath');
+  for (const dataExport of exports) {
+    await removeArchive(dataExport.filePath);
+  }
+
+  const result = await DataExport.deleteMany({ userId });
+  return result.deletedCount;
+};
+
+/**
+ * Run cleanupDataExports every hour
+ */
+export const startDataExportScheduler = () => {
+  if (cleanupTask) {
+    return;
+  }
+
+  cleanupTask = cron.schedule('15 * * * *', async () => {
+    try {
+      const { expired, interrupted } = await cleanupDataExports();
+      if (expired || interrupted) {
+        logger.info(`Data export cleanup: ${expired} expired, ${interrupted} interrupted`);
+      }
+    } catch (error) {
+      logger.error('Data export cleanup failed:', error);
+    }
+  });
+  logger.info('Data export cleanup scheduler started (hourly)');
+};
+
+export const stopDataExportScheduler = () => {
+  if (cleanupTask) {
+    cleanupTask.stop();
+    cleanupTask = null;
+  }
+};
+
+export default {
+  ARCHIVE_EXPIRY_DAYS,
+  generateDataExport,
+  requestDataExport,
+  listDataExports,
+  getDataExport,
+  openDataExportDownload,
+  cleanupDataExports,
+  deleteUserDataExports,
+  startDataExportScheduler,
+  stopDataExportScheduler,
+};
@@ -0,0 +1,349 @@
+import cron from 'node-cron';
+import JobApplication from '../models/JobApplication.js';
+import Organization from '../models/Organization.js';
+import DataRetentionReport from '../models/DataRetentionReport.js';
+import { AppError, NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Data Retention Service
+ * Enforces organizations' settings.dataRetention on closed applications
+ *
+ * Each period counts days since the application was closed (rejected,
+ * withdrawn or offer declined); a null period keeps that data indefinitely.
+ * - recruiterNotesDays: recruiter notes and interview notes/feedback are cleared
+ * - communicationsDays: the communication history is cleared
+ * - candidatePiiDays: the application is anonymized (JobApplication.anonymizeMany)
+ * - applicationDays: the application is deleted
+ * Applications under a legal hold are never purged. Every run writes a
+ * DataRetentionReport; the scheduler runs enabled policies once a day.
+ */
+
+export const RETENTION_PERIODS = ['recruiterNotesDays', 'communicationsDays', 'candidatePiiDays', 'applicationDays'];
+
+export const CLOSED_STATUSES = ['rejected', 'withdrawn', 'offer_declined'];
+
+const MAX_RETENTION_DAYS = 3650;
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+const RECENT_REPORTS_LIMIT = 20;
+
+let retentionTask = null;
+
+/**
+ * Retention policy of an organization, with defaults
+ */
+export const getRetentionPolicy = (organization) => {
+  const settings = organization?.settings?.dataRetention || {};
+  const policy = { enabled: Boolean(settings.enabled) };
+  RETENTION_PERIODS.forEach((period) => {
+    policy[period] = settings[period] ?? null;
+  });
+  return policy;
+};
+
+/**
+ * Validate a settings.dataRetention update
+ * @returns {string[]} validation errors (empty when valid)
+ */
+export const validateRetentionSettings = (dataRetention = {}) => {
+  const errors = [];
+
+  if (dataRetention.enabled !== undefined && typeof dataRetention.enabled !== 'boolean') {
+    errors.push('dataRetention.enabled must be true or false');
+  }
+
+  RETENTION_PERIODS.forEach((period) => {
+    const days = dataRetention[period];
+    if (days === undefined || days === null) {
+      return;
+    }
+    if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+      errors.push(`dataRetention.${period} must be a whole number of days between 1 and ${MAX_RETENTION_DAYS}, or null`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Ids of the organization's closed applications that were closed before cutoff
+ * The closing date is the latest history event for the current status, falling
+ * back to the rejection date and then to the last update.
+ */
+const findClosedBefore = async (organizationId, cutoff, { match = {}, legalHold = false } = {}) => {
+  const applications = await JobApplication.aggregate([
+    {
+      $match: {
+        organizationId,
+        status: { $in: CLOSED_STATUSES },
+        'legalHold.active': legalHold ? true : { $ne: true },
+        ...match,
+      },
+    },
+    {
+      $addFields: {
+        closedAt: {
+          $ifNull: [
+            {
+              $max: {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: { $ifNull: ['$statusHistory', []] },
+                      as: 'event',
+                      cond: { $eq: ['$$event.status', '$status'] },
+                    },
+                  },
+                  as: 'event',
+                  in: '$$event.updatedAt',
+                },
+              },
+            },
+            '$rejection.rejectedAt',
+            '$updatedAt',
+          ],
+        },
+      },
+    },
+    { $match: { closedAt: { $lte: cutoff } } },
+    { $project: { _id: 1 } },
+  ]);
+
+  return applications.map(application => application._id);
+};
+
+const notHeld = (ids) => ({ _id: { $in: ids }, 'legalHold.active': { $ne: true } });
+
+/**
+ * Apply an organization's retention policy
+ * With dryRun nothing is changed or recorded; the returned report counts
+ * what would be purged.
+ * @returns {Promise<object>} the purge report
+ */
+export const purgeOrganization = async (organization, { dryRun = false, trigger = 'scheduled', user = null, now = new Date() } = {}) => {
+  const policy = getRetentionPolicy(organization);
+  const cutoffs = {};
+  RETENTION_PERIODS.forEach((period) => {
+    if (policy[period]) {
+      cutoffs[period] = new Date(now.getTime() - policy[period] * MS_IN_DAY);
+    }
+  });
+
+  const report = new DataRetentionReport({
+    organizationId: organization._id,
+    trigger,
+    triggeredBy: user?._id || null,
+    policy,
+    cutoffs,
+    startedAt: now,
+  });
+
+  // In a dry run nothing changes between steps, so skip what an earlier step already covers
+  const handled = new Set();
+  const pending = (ids) => ids.filter(id => !handled.has(id.toString()));
+  const markHandled = (ids) => ids.forEach(id => handled.add(id.toString()));
+
+  try {
+    if (cutoffs.applicationDays) {
+      const ids = await findClosedBefore(organization._id, cutoffs.applicationDays);
+      const result = dryRun ? null : await JobApplication.deleteMany(notHeld(ids));
+      report.counts.applicationsDeleted = dryRun ? ids.length : result.deletedCount;
+      report.deletedApplicationIds = ids;
+      markHandled(ids);
+    }
+
+    if (cutoffs.candidatePiiDays) {
+      const ids = pending(await findClosedBefore(organization._id, cutoffs.candidatePiiDays, {
+        match: { anonymizedAt: null },
+      }));
+      report.counts.applicationsAnonymized = dryRun
+        ? ids.length
+        : await JobApplication.anonymizeMany(ids, { reason: 'retention', clearRecruiterContent: true });
+      report.anonymizedApplicationIds = ids;
+      markHandled(ids);
+    }
+
+    if (cutoffs.recruiterNotesDays) {
+      const ids = pending(await findClosedBefore(organization._id, cutoffs.recruiterNotesDays, {
+        match: {
+          $or: [
+            { 'recruiterNotes.0': { $exists: true } },
+            { 'interviews.notes': { $type: 'string' } },
+            { 'interviews.feedback': { $type: 'string' } },
+          ],
+        },
+      }));
+      const result = dryRun ? null : await JobApplication.updateMany(notHeld(ids), {
+        $set: { recruiterNotes: [], 'interviews.$[].notes': null, 'interviews.$[].feedback': null },
+      });
+      report.counts.recruiterNotesCleared = dryRun ? ids.length : result.modifiedCount;
+    }
+
+    if (cutoffs.communicationsDays) {
+      const ids = pending(await findClosedBefore(organization._id, cutoffs.communicationsDays, {
+        match: { 'communications.0': { $exists: true } },
+      }));
+      const result = dryRun ? null : await JobApplication.updateMany(notHeld(ids), {
+        $set: { communications: [] },
+      });
+      report.counts.communicationsCleared = dryRun ? ids.length : result.modifiedCount;
+    }
+
+    // Held applications that the shortest period would otherwise have purged
+    const shortestCutoff = Object.values(cutoffs).sort((a, b) => b - a)[0];
+    if (shortestCutoff) {
+      const heldIds = await findClosedBefore(organization._id, shortestCutoff, { legalHold: true });
+      report.counts.legalHoldSkipped = heldIds.length;
+      report.legalHoldApplicationIds = heldIds;
+    }
+
+    report.completedAt = new Date();
+  } catch (error) {
+    if (dryRun) {
+      throw error;
+    }
+    report.status = 'failed';
+    report.error = error.message;
+    report.completedAt = new Date();
+    await report.save();
+    throw error;
+  }
+
+  if (dryRun) {
+    return { ...report.toObject(), dryRun: true };
+  }
+
+  await report.save();
+  await Organization.updateOne(
+    { _id: organization._id },
+    { $set: { 'settings.dataRetention.lastPurgedAt': report.completedAt } }
+  );
+
+  logger.info(`Retention purge for ${organization.slug}`, { trigger, counts: report.counts });
+  return report.toObject();
+};
+
+/**
+ * Run an organization's retention policy now (manage_settings)
+ */
+export const runRetentionPurge = async (req, organization, { dryRun = false } = {}) => {
+  const policy = getRetentionPolicy(organization);
+  if (!dryRun && !policy.enabled) {
+    throw new AppError('Enable the retention policy before running it', 400, 'RETENTION_DISABLED');
+  }
+  if (!RETENTION_PERIODS.some(period => policy[period])) {
+    throw new AppError('Set at least one retention period first', 400, 'RETENTION_NOT_CONFIGURED');
+  }
+
+  return purgeOrganization(organization, { dryRun, trigger: 'manual', user: req.user });
+};
+
+/**
+ * Recent purge reports of an organization (without application ids)
+ */
+export const listRetentionReports = (organizationId, { limit = RECENT_REPORTS_LIMIT } = {}) => {
+  return DataRetentionReport.find({ organizationId })
+    .select('-deletedApplicationIds -anonymizedApplicationIds -legalHoldApplicationIds')
+    .populate('triggeredBy', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+export const getRetentionReport = async (organizationId, reportId) => {
+  const report = await DataRetentionReport.findOne({ _id: reportId, organizationId })
+    .populate('triggeredBy', 'name email')
+    .lean();
+  if (!report) {
+    throw new NotFoundError('Retention report');
+  }
+  return report;
+};
+
+/**
+ * Place or release a legal hold on an application
+ */
+export const setLegalHold = async (req, application, { active, reason = null }) => {
+  if (typeof active !== 'boolean') {
+    throw new ValidationError('active must be true or false');
+  }
+  if (active && !reason?.trim()) {
+    throw new ValidationError('A reason is required to place a legal hold');
+  }
+
+  application.legalHold = active
+    ? { active: true, reason: reason.trim(), placedBy: req.user._id, placedAt: new Date() }
+    : { active: false, reason: null, placedBy: null, placedAt: null };
+  await application.save();
+
+  logger.info(`Legal hold ${active ? 'placed on' : 'released from'} application ${application._id} by ${req.user.email}`);
+  return application;
+};
+
+/**
+ * Apply the retention policy of every organization that enabled one
+ * @returns {Promise<{processed: number, failed: number}>}
+ */
+export const processRetentionPolicies = async () => {
+  const organizations = await Organization.find({
+    'settings.dataRetention.enabled': true,
+    status: { $ne: 'cancelled' },
+  }).select('slug settings.dataRetention');
+  let processed = 0;
+  let failed = 0;
+
+  for (const organization of organizations) {
+    try {
+      await purgeOrganization(organization);
+      processed += 1;
+    } catch (error) {
+      failed += 1;
+      logger.error(`Retention purge failed for ${organization.slug}; will retry on the next run:`, error);
+    }
+  }
+
+  return { processed, failed };
+};
+
+/**
+ * Run processRetentionPolicies every day
+ */
+export const startDataRetentionScheduler = () => {
+  if (retentionTask) {
+    return;
+  }
+
+  retentionTask = cron.schedule('45 3 * * *', async () => {
+    try {
+      const { processed, failed } = await processRetentionPolicies();
+      if (processed || failed) {
+        logger.info(`Scheduled retention purges: ${processed} completed, ${failed} failed`);
+      }
+    } catch (error) {
+      logger.error('Scheduled retention purge run failed:', error);
+    }
+  });
+  logger.info('Data retention scheduler started (daily at 03:45)');
+};
+
+export const stopDataRetentionScheduler = () => {
+  if (retentionTask) {
+    retentionTask.stop();
+    retentionTask = null;
+  }
+};
+
+export default {
+  RETENTION_PERIODS,
+  CLOSED_STATUSES,
+  getRetentionPolicy,
+  validateRetentionSettings,
+  purgeOrganization,
+  runRetentionPurge,
+  listRetentionReports,
+  getRetentionReport,
+  setLegalHold,
+  processRetentionPolicies,
+  startDataRetentionScheduler,
+  stopDataRetentionScheduler,
+};
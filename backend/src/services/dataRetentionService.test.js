@@ -0,0 +1,230 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import DataRetentionReport from '../models/DataRetentionReport.js';
+import JobApplication from '../models/JobApplication.js';
+import Organization from '../models/Organization.js';
+import {
+  purgeOrganization,
+  runRetentionPurge,
+  validateRetentionSettings,
+} from './dataRetentionService.js';
+
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-06-01T00:00:00Z');
+
+const daysAgo = (days) => new Date(NOW.getTime() - days * MS_IN_DAY);
+
+const organization = new Organization({
+  name: 'Acme',
+  slug: 'acme',
+  owner: new mongoose.Types.ObjectId(),
+  settings: {
+    dataRetention: {
+      enabled: true,
+      recruiterNotesDays: 30,
+      communicationsDays: 60,
+      candidatePiiDays: 180,
+      applicationDays: 365,
+    },
+  },
+});
+
+let applications;
+
+const application = (name, { status = 'rejected', closedDaysAgo, held = false, ...fields } = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name,
+  organizationId: organization._id,
+  status,
+  statusHistory: [
+    { status: 'applied', updatedAt: daysAgo(closedDaysAgo + 10) },
+    { status, updatedAt: daysAgo(closedDaysAgo) },
+  ],
+  updatedAt: daysAgo(closedDaysAgo),
+  legalHold: { active: held },
+  anonymizedAt: null,
+  recruiterNotes: [{ note: 'Strong on systems design' }],
+  interviews: [],
+  communications: [{ message: 'Thanks for applying' }],
+  ...fields,
+});
+
+const byName = (name) => applications.find(app => app.name === name);
+
+// When the application was closed, as the aggregation computes it
+const closedAt = (app) => {
+  const events = (app.statusHistory || []).filter(event => event.status === app.status);
+  return events.length > 0
+    ? new Date(Math.max(...events.map(event => event.updatedAt)))
+    : app.rejection?.rejectedAt || app.updatedAt;
+};
+
+// The $match conditions findClosedBefore adds per step
+const matchesExtra = (app, match) => Object.entries(match).every(([field, condition]) => {
+  if (field === 'anonymizedAt') return app.anonymizedAt === null;
+  if (field === 'communications.0') return app.communications.length > 0;
+  if (field === '$or') return app.recruiterNotes.length > 0 || app.interviews.some(interview => interview.notes || interview.feedback);
+  if (['organizationId', 'status', 'legalHold.active'].includes(field)) return true;
+  throw new Error(`Unexpected match on ${field}: ${JSON.stringify(condition)}`);
+});
+
+const aggregate = async ([{ $match: match }, , { $match: { closedAt: { $lte: cutoff } } }]) => {
+  const heldOnly = match['legalHold.active'] === true;
+  return applications
+    .filter(app => app.organizationId.equals(match.organizationId)
+      && match.status.$in.includes(app.status)
+      && Boolean(app.legalHold.active) === heldOnly
+      && matchesExtra(app, match)
+      && closedAt(app) <= cutoff)
+    .map(app => ({ _id: app._id }));
+};
+
+const selectNotHeld = (filter) => {
+  const ids = filter._id.$in.map(String);
+  assert.deepEqual(filter['legalHold.active'], { $ne: true });
+  return applications.filter(app => ids.includes(String(app._id)) && !app.legalHold.active);
+};
+
+beforeEach(() => {
+  applications = [
+    application('expired', { closedDaysAgo: 400 }),
+    application('pii', { closedDaysAgo: 200 }),
+    application('communications', { closedDaysAgo: 90, status: 'withdrawn' }),
+    application('notes', { closedDaysAgo: 40, status: 'offer_declined' }),
+    application('recent', { closedDaysAgo: 5 }),
+    application('open', { closedDaysAgo: 1000, status: 'interview_scheduled' }),
+    application('held', { closedDaysAgo: 500, held: true }),
+  ];
+
+  mock.method(JobApplication, 'aggregate', aggregate);
+  mock.method(JobApplication, 'deleteMany', async (filter) => {
+    const removed = selectNotHeld(filter);
+    applications = applications.filter(app => !removed.includes(app));
+    return { deletedCount: removed.length };
+  });
+  mock.method(JobApplication, 'anonymizeMany', async (ids) => {
+    const targets = applications.filter(app => ids.map(String).includes(String(app._id)) && !app.legalHold.active);
+    targets.forEach((app) => {
+      app.anonymizedAt = NOW;
+      app.recruiterNotes = [];
+      app.communications = [];
+    });
+    return targets.length;
+  });
+  mock.method(JobApplication, 'updateMany', async (filter, { $set }) => {
+    const targets = selectNotHeld(filter);
+    targets.forEach((app) => {
+      if ($set.recruiterNotes) app.recruiterNotes = [];
+      if ($set.communications) app.communications = [];
+    });
+    return { modifiedCount: targets.length };
+  });
+  mock.method(DataRetentionReport.prototype, 'save', async function() {
+    return this;
+  });
+  mock.method(Organization, 'updateOne', async () => ({ modifiedCount: 1 }));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('purgeOrganization', () => {
+  test('applies each period to the applications closed before its cutoff', async () => {
+    const report = await purgeOrganization(organization, { now: NOW });
+
+    assert.deepEqual(report.counts, {
+      applicationsDeleted: 1,
+      applicationsAnonymized: 1,
+      recruiterNotesCleared: 2,
+      communicationsCleared: 1,
+      legalHoldSkipped: 1,
+    });
+    assert.equal(byName('expired'), undefined);
+    assert.ok(byName('pii').anonymizedAt);
+    assert.deepEqual(byName('communications').communications, []);
+    assert.deepEqual(byName('communications').recruiterNotes, []);
+    assert.deepEqual(byName('notes').recruiterNotes, []);
+    assert.equal(byName('notes').communications.length, 1);
+    assert.equal(report.cutoffs.applicationDays.getTime(), daysAgo(365).getTime());
+  });
+
+  test('never touches applications that are open, recently closed or under a legal hold', async () => {
+    const report = await purgeOrganization(organization, { now: NOW });
+
+    for (const name of ['recent', 'open', 'held']) {
+      const app = byName(name);
+      assert.equal(app.anonymizedAt, null, name);
+      assert.equal(app.recruiterNotes.length, 1, name);
+      assert.equal(app.communications.length, 1, name);
+    }
+    assert.deepEqual(report.legalHoldApplicationIds.map(String), [String(byName('held')._id)]);
+  });
+
+  test('records the run and the organization last purge time', async () => {
+    const report = await purgeOrganization(organization, { now: NOW, trigger: 'manual' });
+
+    assert.equal(DataRetentionReport.prototype.save.mock.callCount(), 1);
+    assert.equal(report.trigger, 'manual');
+    const [filter, update] = Organization.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: organization._id });
+    assert.equal(update.$set['settings.dataRetention.lastPurgedAt'].getTime(), report.completedAt.getTime());
+  });
+
+  test('counts each application once in a dry run and changes nothing', async () => {
+    const before = JSON.stringify(applications);
+
+    const preview = await purgeOrganization(organization, { now: NOW, dryRun: true });
+
+    assert.equal(preview.dryRun, true);
+    assert.deepEqual(preview.counts, {
+      applicationsDeleted: 1,
+      applicationsAnonymized: 1,
+      recruiterNotesCleared: 2,
+      communicationsCleared: 1,
+      legalHoldSkipped: 1,
+    });
+    assert.equal(JSON.stringify(applications), before);
+    assert.equal(JobApplication.deleteMany.mock.callCount(), 0);
+    assert.equal(JobApplication.anonymizeMany.mock.callCount(), 0);
+    assert.equal(JobApplication.updateMany.mock.callCount(), 0);
+    assert.equal(DataRetentionReport.prototype.save.mock.callCount(), 0);
+    assert.equal(Organization.updateOne.mock.callCount(), 0);
+  });
+
+  test('saves a failed report when a step throws', async () => {
+    mock.method(JobApplication, 'deleteMany', async () => {
+      throw new Error('connection lost');
+    });
+
+    await assert.rejects(purgeOrganization(organization, { now: NOW }), /connection lost/);
+
+    const saved = DataRetentionReport.prototype.save.mock.calls[0].this;
+    assert.equal(saved.status, 'failed');
+    assert.equal(saved.error, 'connection lost');
+  });
+});
+
+describe('runRetentionPurge', () => {
+  const request = { user: { _id: new mongoose.Types.ObjectId() } };
+
+  test('refuses to purge while the policy is disabled but allows a preview', async () => {
+    const disabled = new Organization({
+      name: 'Globex',
+      slug: 'globex',
+      owner: new mongoose.Types.ObjectId(),
+      settings: { dataRetention: { enabled: false, applicationDays: 30 } },
+    });
+
+    await assert.rejects(runRetentionPurge(request, disabled), { code: 'RETENTION_DISABLED', statusCode: 400 });
+    assert.equal((await runRetentionPurge(request, disabled, { dryRun: true })).dryRun, true);
+  });
+});
+
+describe('validateRetentionSettings', () => {
+  test('accepts whole days within the limit or null', () => {
+    assert.deepEqual(validateRetentionSettings({ enabled: true, applicationDays: 365, recruiterNotesDays: null }), []);
+    assert.equal(validateRetentionSettings({ applicationDays: 0, candidatePiiDays: 1.5, enabled: 'yes' }).length, 3);
+  });
+});
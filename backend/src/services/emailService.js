@@ -311,6 +311,138 @@ const getInterviewReminderEmail = (data) => {
   );
 };
 
+// Organization Invitation
+const getOrganizationInvitationEmail = (data) => {
+  const { organizationName, inviterName, role, inviteLink, expiresAt } = data;
+
+  const content = `
+    <h2>📨 You're invited to join ${organizationName}</h2>
+    <p>Hi there,</p>
+    <p>${inviterName} has invited you to join <strong>${organizationName}</strong> on CareerBoost AI.</p>
+    
+    <div class="info-box">
+      <p><strong>Organization:</strong> ${organizationName}</p>
+      <p><strong>Role:</strong> ${role}</p>
+      <p><strong>Invitation expires:</strong> ${new Date(expiresAt).toLocaleDateString()}</p>
+    </div>
+    
+    <p>Accept the invitation to sign in, or create an account with this email address if you don't have one yet.</p>
+    <p>If you weren't expecting this invitation, you can safely ignore this email.</p>
+  `;
+
+  return getEmailTemplate(
+    `Join ${organizationName} on CareerBoost AI`,
+    content,
+    'Accept Invitation',
+    inviteLink
+  );
+};
+
+// New Sign-in (unrecognized device or network)
+const getNewSignInEmail = (data) => {
+  const { userName, device, ipAddress, signedInAt, method, securityLink } = data;
+
+  const content = `
+    <h2>🔐 New sign-in to your account</h2>
+    <p>Hi ${userName},</p>
+    <p>Your CareerBoost AI account was just signed in to from a device or network we haven't seen before.</p>
+    
+    <div class="info-box">
+      <p><strong>Device:</strong> ${device}</p>
+      <p><strong>IP address:</strong> ${ipAddress || 'Unknown'}</p>
+      <p><strong>When:</strong> ${new Date(signedInAt).toUTCString()}</p>
+      <p><strong>Signed in with:</strong> ${method}</p>
+    </div>
+    
+    <p>If this was you, there's nothing else to do.</p>
+    <p>If it wasn't, sign out that session from your security settings, change your password and turn on two-factor authentication.</p>
+  `;
+
+  return getEmailTemplate(
+    'New sign-in to your account',
+    content,
+    'Review Security Settings',
+    securityLink
+  );
+};
+
+const getAccountDeletionScheduledEmail = (data) => {
+  const { userName, scheduledFor, cancelLink } = data;
+
+  const content = `
+    <h2>🗑️ Your account is scheduled for deletion</h2>
+    <p>Hi ${userName},</p>
+    <p>We received a request to delete your CareerBoost AI account.</p>
+    
+    <div class="info-box">
+      <p><strong>Deletion date:</strong> ${new Date(scheduledFor).toUTCString()}</p>
+      <p><strong>What will be deleted:</strong> your profile, resumes and their previous versions, uploaded files, quizzes, interview practice sessions, saved jobs and notifications.</p>
+      <p><strong>Applications:</strong> applications you sent to employers will be anonymized.</p>
+    </div>
+    
+    <p>Until then you can still sign in and cancel the deletion from your account settings. You will receive a final report once your data has been erased.</p>
+    <p>If you didn't request this, cancel the deletion and change your password right away.</p>
+  `;
+
+  return getEmailTemplate(
+    'Your account is scheduled for deletion',
+    content,
+    'Cancel Deletion',
+    cancelLink
+  );
+};
+
+const getAccountDeletionReportEmail = (data) => {
+  const { userName, completedAt, report } = data;
+  const rows = Object.entries(report.deleted)
+    .map(([label, count]) => `<p><strong>${label}:</strong> ${count}</p>`)
+    .join('');
+
+  const content = `
+    <h2>✅ Your account has been deleted</h2>
+    <p>Hi ${userName},</p>
+    <p>As requested, your CareerBoost AI account and personal data were permanently deleted on ${new Date(completedAt).toUTCString()}.</p>
+    
+    <div class="info-box">
+      ${rows}
+      <p><strong>Files removed:</strong> ${report.filesRemoved}</p>
+      <p><strong>Applications anonymized:</strong> ${report.applicationsAnonymized}</p>
+      <p><strong>Organizations left:</strong> ${report.organizationsLeft}</p>
+    </div>
+    
+    <p>Security audit records (sign-ins and access to your data by employers) are kept for up to two years to meet our legal obligations and are then removed automatically.</p>
+    <p>This is the last email you will receive from us. Thank you for using CareerBoost AI.</p>
+  `;
+
+  return getEmailTemplate('Your account has been deleted', content);
+};
+
+const getDataExportReadyEmail = (data) => {
+  const { userName, fileName, sizeLabel, expiresAt, downloadLink } = data;
+
+  const content = `
+    <h2>📦 Your data export is ready</h2>
+    <p>Hi ${userName},</p>
+    <p>The archive of your CareerBoost AI data you requested has been generated.</p>
+    
+    <div class="info-box">
+      <p><strong>File:</strong> ${fileName} (${sizeLabel})</p>
+      <p><strong>Contents:</strong> your profile, original resume files with every stored version, parsed resume data, applications, quiz and interview history, saved jobs, notifications and skill verifications, in JSON and CSV.</p>
+      <p><strong>Link expires:</strong> ${new Date(expiresAt).toUTCString()}</p>
+    </div>
+    
+    <p>Anyone with this link can download your data until it expires, so don't forward this email. You can also download the archive from the Data Management page while signed in.</p>
+    <p>If you didn't request this export, change your password right away.</p>
+  `;
+
+  return getEmailTemplate(
+    'Your data export is ready',
+    content,
+    'Download Archive',
+    downloadLink
+  );
+};
+
 /**
  * Send email function
  */
@@ -397,11 +529,61 @@ export const sendInterviewReminderEmail = async (to, data) => {
   });
 };
 
+export const sendOrganizationInvitationEmail = async (to, data) => {
+  const html = getOrganizationInvitationEmail(data);
+  return sendEmail({
+    to,
+    subject: `${data.inviterName} invited you to join ${data.organizationName}`,
+    html
+  });
+};
+
+export const sendNewSignInEmail = async (to, data) => {
+  const html = getNewSignInEmail(data);
+  return sendEmail({
+    to,
+    subject: `New sign-in from ${data.device}`,
+    html
+  });
+};
+
+export const sendAccountDeletionScheduledEmail = async (to, data) => {
+  const html = getAccountDeletionScheduledEmail(data);
+  return sendEmail({
+    to,
+    subject: 'Your account is scheduled for deletion',
+    html
+  });
+};
+
+export const sendAccountDeletionReportEmail = async (to, data) => {
+  const html = getAccountDeletionReportEmail(data);
+  return sendEmail({
+    to,
+    subject: 'Your account has been deleted',
+    html
+  });
+};
+
+export const sendDataExportReadyEmail = async (to, data) => {
+  const html = getDataExportReadyEmail(data);
+  return sendEmail({
+    to,
+    subject: 'Your data export is ready',
+    html
+  });
+};
+
 export default {
   sendEmail,
   sendApplicationStatusEmail,
   sendInterviewScheduledEmail,
   sendOfferExtendedEmail,
   sendWelcomeEmail,
-  sendInterviewReminderEmail
+  sendInterviewReminderEmail,
+  sendOrganizationInvitationEmail,
+  sendNewSignInEmail,
+  sendAccountDeletionScheduledEmail,
+  sendAccountDeletionReportEmail,
+  sendDataExportReadyEmail
 };
@@ -11,9 +11,11 @@ import {
   calculateConfidence, 
   needsOCR 
 } from '../utils/textProcessor.js'
+import { analyzePageLayout, assembleLayoutText, needsLayoutOrder } from '../utils/pdfLayout.js'
 
-// Disable PDF.js worker for Node.js environment
-pdfjsLib.GlobalWorkerOptions.workerSrc = ''
+// PDF.js runs its worker in-process under Node.js, loaded from this module;
+// an empty workerSrc fails with "No GlobalWorkerOptions.workerSrc specified"
+pdfjsLib.GlobalWorkerOptions.workerSrc = import.meta.resolve('pdfjs-dist/legacy/build/pdf.worker.mjs')
 
 /**
  * Extract text from PDF using pdfjs-dist (fallback method)
@@ -23,7 +25,7 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = ''
 const extractFromPDFWithPdfjs = async (filePath) => {
   const dataBuffer = await fs.readFile(filePath)
   const loadingTask = pdfjsLib.getDocument({
-    data: dataBuffer,
+    data: new Uint8Array(dataBuffer),
     useSystemFonts: true,
     standardFontDataUrl: null,
     disableFontFace: true,
@@ -71,14 +73,82 @@ const extractFromPDFWithPdfjs = async (filePath) => {
   }
 }
 
+/**
+ * Extract text from PDF in reading order using the position of each text item
+ * Columns, sidebars and tables are read block by block instead of line by
+ * line across the page (see utils/pdfLayout.js).
+ * @param {string} filePath - Path to PDF file
+ * @returns {Promise<{text: string, pages: number, layout: {mode: string, pages: Array, blocks: Array}, complex: boolean}>}
+ *   layout.blocks carry page, coordinates and their offsets into text;
+ *   complex is false when plain extraction would give the same order
+ */
+export const extractFromPDFWithLayout = async (filePath) => {
+  const dataBuffer = await fs.readFile(filePath)
+  const pdfDocument = await pdfjsLib.getDocument({
+    data: new Uint8Array(dataBuffer),
+    useSystemFonts: true,
+    disableFontFace: true,
+    verbosity: 0,
+    isEvalSupported: false,
+    stopAtErrors: false,
+  }).promise
+
+  const analyzed = []
+  for (let pageNum = 1; pageNum <= pdfDocument.numPages; pageNum++) {
+    try {
+      const page = await pdfDocument.getPage(pageNum)
+      const viewport = page.getViewport({ scale: 1 })
+      const textContent = await page.getTextContent()
+      analyzed.push({
+        page: pageNum,
+        width: viewport.width,
+        height: viewport.height,
+        layout: analyzePageLayout(textContent.items, viewport),
+      })
+    } catch (pageError) {
+      logger.warn(`Failed to analyze layout of page ${pageNum}: ${pageError.message}`)
+    }
+  }
+
+  if (analyzed.length === 0) {
+    throw new Error('No text content extracted from any page')
+  }
+
+  const { text, pages, blocks } = assembleLayoutText(analyzed)
+  const complex = needsLayoutOrder(pages)
+  logger.info(`Layout analysis: ${pages.filter(page => page.columns > 1).length} multi-column and ${pages.filter(page => page.tables > 0).length} table pages of ${pdfDocument.numPages}`)
+
+  return {
+    text,
+    pages: pdfDocument.numPages,
+    layout: { mode: 'layout', pages, blocks },
+    complex,
+  }
+}
+
 /**
  * Extract text from PDF file
+ * Multi-column and table layouts are read in layout order; simple documents
+ * go through plain extraction.
  * @param {string} filePath - Path to PDF file
- * @returns {Promise<{text: string, pages: number}>}
+ * @param {object} [options]
+ * @param {boolean} [options.layout=true] - try layout-aware extraction first
+ * @returns {Promise<{text: string, pages: number, layout?: object}>}
  */
-export const extractFromPDF = async (filePath) => {
+export const extractFromPDF = async (filePath, { layout = true } = {}) => {
   let lastError = null;
   
+  if (layout) {
+    try {
+      const result = await extractFromPDFWithLayout(filePath)
+      if (result.complex && result.text.trim().length > 50) {
+        return { text: result.text, pages: result.pages, layout: result.layout }
+      }
+    } catch (layoutError) {
+      logger.warn(`Layout-aware PDF extraction failed: ${layoutError.message}`)
+    }
+  }
+  
   // Try pdfjs-dist first (most robust for corrupted PDFs)
   try {
     logger.info('Attempting PDF extraction with pdfjs-dist...')
@@ -128,7 +198,7 @@ export const extractFromPDF = async (filePath) => {
     
     // Try loading with minimal validation
     const loadingTask = pdfjsLib.getDocument({
-      data: dataBuffer,
+      data: new Uint8Array(dataBuffer),
       verbosity: 0,
       stopAtErrors: false,
       ignoreErrors: true,
@@ -247,6 +317,7 @@ export const extractText = async (file) => {
   let pages = 1
   let ocrNeeded = false
   let extractionConfidence = 0
+  let layout = null
 
   try {
     // Extract based on file type
@@ -254,6 +325,7 @@ export const extractText = async (file) => {
       const result = await extractFromPDF(filePath)
       rawText = result.text
       pages = result.pages
+      layout = result.layout || null
 
       // Check if OCR is needed for scanned PDFs
       if (needsOCR(rawText)) {
@@ -279,12 +351,16 @@ export const extractText = async (file) => {
       throw new Error(`Unsupported file type: ${mimetype}`)
     }
 
-    // Normalize text
-    rawText = normalizeText(rawText)
+    // Layout text is normalized line by line and already free of running
+    // headers/footers; reworking it here would shift the block offsets
+    if (!layout) {
+      // Normalize text
+      rawText = normalizeText(rawText)
 
-    // Remove headers/footers if multi-page document
-    if (pages > 1) {
-      rawText = removeHeadersFooters(rawText, pages)
+      // Remove headers/footers if multi-page document
+      if (pages > 1) {
+        rawText = removeHeadersFooters(rawText, pages)
+      }
     }
 
     // Calculate confidence if not already set by OCR
@@ -301,6 +377,7 @@ export const extractText = async (file) => {
         pages,
         ocrNeeded: true,
         extractionConfidence,
+        layout,
         status: 'low_quality',
         message: 'Extracted text is very short. File may be scanned or corrupted.',
       }
@@ -314,6 +391,7 @@ export const extractText = async (file) => {
       pages,
       ocrNeeded,
       extractionConfidence,
+      layout,
       status: 'completed',
     }
   } catch (error) {
@@ -5,6 +5,7 @@
 
 import mongoose from 'mongoose';
 import { logger } from '../utils/logger.js';
+import { getProviderStatus, isOfflineMode } from './llm/index.js';
 
 /**
  * Check MongoDB connection health
@@ -86,31 +87,38 @@ function checkMemory() {
 }
 
 /**
- * Check AI service availability (Gemini API)
+ * Check AI service availability (LLM providers)
  */
 async function checkAIServices() {
   try {
-    const hasGeminiKey = !!process.env.GEMINI_API_KEY;
-    const hasHuggingFaceKey = !!process.env.HUGGINGFACE_API_KEY;
+    const providers = await getProviderStatus();
+    const services = Object.fromEntries(providers.map(provider => [
+      provider.name,
+      !provider.configured ? 'not_configured'
+        : provider.dailyBudget && provider.requestsToday >= provider.dailyBudget ? 'budget_exhausted'
+          : provider.active ? 'active' : 'configured',
+    ]));
+
+    if (isOfflineMode()) {
+      return {
+        status: 'healthy',
+        message: 'LLM offline mode (fixtures and rule-based fallbacks only)',
+        services,
+      };
+    }
 
-    if (!hasGeminiKey && !hasHuggingFaceKey) {
+    if (!providers.some(provider => provider.active)) {
       return {
         status: 'degraded',
-        message: 'No AI service keys configured',
-        services: {
-          gemini: 'not_configured',
-          huggingface: 'not_configured',
-        },
+        message: 'No LLM provider configured',
+        services,
       };
     }
 
     return {
       status: 'healthy',
       message: 'AI services configured',
-      services: {
-        gemini: hasGeminiKey ? 'configured' : 'not_configured',
-        huggingface: hasHuggingFaceKey ? 'configured' : 'not_configured',
-      },
+      services,
     };
   } catch (error) {
     return {
@@ -15,6 +15,7 @@ import {
   extractCurrentTitle,
   extractSkillKeywords,
 } from '../utils/regexExtractor.js';
+import { segmentResume, getSectionText } from '../utils/sectionSegmenter.js';
 
 import {
   calculateYearsOfExperience,
@@ -68,6 +69,12 @@ export async function parseResume(rawText, options = {}) {
     links: [],
   };
   
+  // ==== PHASE 0: SECTION SEGMENTATION ====
+  
+  // Each extractor reads only its own sections (whole text when the resume has none of them)
+  const sections = segmentResume(rawText);
+  const textFor = (...types) => getSectionText(rawText, sections, ...types) ?? rawText;
+  
   // ==== PHASE 1: HIGH-CONFIDENCE REGEX EXTRACTION ====
   
   // Extract emails (confidence: 0.98)
@@ -95,7 +102,7 @@ export async function parseResume(rawText, options = {}) {
   }
   
   // Extract name (confidence: 0.80-0.95)
-  const nameResult = extractName(rawText);
+  const nameResult = extractName(textFor('header'));
   if (nameResult.confidence >= minConfidence) {
     result.name = nameResult.name;
     confidenceScores.name = nameResult.confidence;
@@ -103,7 +110,7 @@ export async function parseResume(rawText, options = {}) {
   }
   
   // Extract location (confidence: 0.88)
-  const locationResult = extractLocation(rawText);
+  const locationResult = extractLocation(textFor('header'));
   if (locationResult.confidence >= minConfidence) {
     result.location = locationResult.location;
     confidenceScores.location = locationResult.confidence;
@@ -111,15 +118,15 @@ export async function parseResume(rawText, options = {}) {
   }
   
   // Extract current title (confidence: 0.75)
-  const titleResult = extractCurrentTitle(rawText);
+  const titleResult = extractCurrentTitle(textFor('header', 'summary', 'experience'));
   if (titleResult.confidence >= minConfidence) {
     result.current_title = titleResult.title;
     confidenceScores.current_title = titleResult.confidence;
     extractionMethods.current_title = 'regex';
   }
   
-  // Extract skills using keywords (confidence: 0.70)
-  const skillsRegex = extractSkillKeywords(rawText);
+  // Extract skills using keywords (confidence: 0.70) - project tech stacks are not skills claims
+  const skillsRegex = extractSkillKeywords(textFor('skills'));
   if (skillsRegex.confidence > 0) {
     result.skills = canonicalizeSkills(skillsRegex.skills);
     confidenceScores.skills = skillsRegex.confidence;
@@ -127,7 +134,7 @@ export async function parseResume(rawText, options = {}) {
   }
   
   // Extract education keywords
-  const educationKeywords = extractEducationKeywords(rawText);
+  const educationKeywords = extractEducationKeywords(textFor('education'));
   
   // ==== PHASE 2: LLM EXTRACTION (Full Structured Parse) ====
   
@@ -246,11 +253,11 @@ export async function parseResume(rawText, options = {}) {
   // Enhanced fallback: Extract from common skill sections
   if (result.skills.length === 0) {
     logger.info('No skills found - trying enhanced regex extraction...');
-    const sections = rawText.split(/\n\s*\n/);
-    for (const section of sections) {
-      const sectionLower = section.toLowerCase();
-      if (sectionLower.includes('skill') || sectionLower.includes('technolog') || sectionLower.includes('tools')) {
-        const sectionSkills = extractSkillKeywords(section);
+    const blocks = rawText.split(/\n\s*\n/);
+    for (const block of blocks) {
+      const blockLower = block.toLowerCase();
+      if (blockLower.includes('skill') || blockLower.includes('technolog') || blockLower.includes('tools')) {
+        const sectionSkills = extractSkillKeywords(block);
         if (sectionSkills.skills.length > 0) {
           result.skills = canonicalizeSkills(sectionSkills.skills);
           confidenceScores.skills = sectionSkills.confidence;
@@ -279,7 +286,7 @@ export async function parseResume(rawText, options = {}) {
     }
   } else {
     // Fallback 1: Regex extraction
-    const regexYears = extractYearsExperience(rawText);
+    const regexYears = extractYearsExperience(textFor('header', 'summary', 'experience'));
     if (regexYears.confidence > 0) {
       result.years_experience = regexYears.years;
       confidenceScores.years_experience = regexYears.confidence;
@@ -386,6 +393,7 @@ export async function parseResume(rawText, options = {}) {
   return {
     success: true,
     parsed_resume: result,
+    sections,
     metadata: {
       overall_confidence: parseFloat(overallConfidence.toFixed(2)),
       field_confidences: confidenceScores,
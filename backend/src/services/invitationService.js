@@ -0,0 +1,289 @@
+import crypto from 'crypto';
+import AuditLog from '../models/AuditLog.js';
+import Organization, { ROLE_DEFAULT_PERMISSIONS } from '../models/Organization.js';
+import OrganizationInvitation from '../models/OrganizationInvitation.js';
+import User from '../models/User.js';
+import { sendOrganizationInvitationEmail } from './emailService.js';
+import { AppError, ConflictError, NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Invitation Service
+ * Email invitations to join an organization
+ *
+ * Invitees get a tokenized link (/invite/<token>) that is valid for a week.
+ * The invitation is accepted by a signed-in user whose email matches it,
+ * either from the invite page or by passing `inviteToken` to login/register,
+ * at which point they are added to the organization with the invited access.
+ */
+
+const INVITATION_EXPIRY_DAYS = 7;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const createToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+const getInviteLink = (token) => {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invite/${token}`;
+};
+
+const isMemberEmail = async (organization, email) => {
+  const user = await User.findByEmail(email);
+  return Boolean(user && organization.getMemberRole(user._id));
+};
+
+const auditInvitation = (req, organization, action, invitation, metadata = {}) => {
+  return AuditLog.logRequest(req, {
+    action,
+    organizationId: organization._id,
+    resourceType: 'OrganizationInvitation',
+    resourceId: invitation._id,
+    metadata: {
+      email: invitation.email,
+      role: invitation.role,
+      permissions: invitation.permissions,
+      ...metadata,
+    },
+  });
+};
+
+const deliverInvitation = async (req, organization, invitation, token) => {
+  await sendOrganizationInvitationEmail(invitation.email, {
+    organizationName: organization.name,
+    inviterName: req.user.name || req.user.email,
+    role: invitation.role,
+    inviteLink: getInviteLink(token),
+    expiresAt: invitation.expiresAt,
+  });
+
+  invitation.lastSentAt = new Date();
+  invitation.sendCount += 1;
+  await invitation.save();
+};
+
+/**
+ * List an organization's invitations (newest first)
+ * @param {object} options.includeInactive - also return accepted, revoked and expired invitations
+ */
+export const listInvitations = async (organizationId, { includeInactive = false } = {}) => {
+  const query = { organizationId };
+  if (!includeInactive) {
+    query.acceptedAt = null;
+    query.revokedAt = null;
+    query.expiresAt = { $gt: new Date() };
+  }
+
+  const invitations = await OrganizationInvitation.find(query)
+    .populate('invitedBy', 'name email')
+    .sort({ createdAt: -1 });
+  return invitations.map(invitation => invitation.toPublicJSON());
+};
+
+/**
+ * Invite someone to an organization by email and send the invitation link
+ * Role and permissions must already be validated by the caller.
+ * @param {object} req - Express request (req.user is the inviter; used for the email and audit log)
+ * @returns {Promise<object>} the invitation
+ */
+export const createInvitation = async (req, organization, { email, role = 'member', permissions = null }) => {
+  const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    throw new ValidationError('A valid email address is required');
+  }
+
+  if (await isMemberEmail(organization, normalizedEmail)) {
+    throw new ConflictError(`${normalizedEmail} is already a member of ${organization.name}`);
+  }
+
+  const existing = await OrganizationInvitation.findOne({
+    organizationId: organization._id,
+    email: normalizedEmail,
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (existing) {
+    throw new ConflictError(`${normalizedEmail} already has a pending invitation; resend it instead`);
+  }
+
+  const { token, tokenHash } = createToken();
+  const invitation = await OrganizationInvitation.create({
+    organizationId: organization._id,
+    email: normalizedEmail,
+    role,
+    permissions: permissions ?? ROLE_DEFAULT_PERMISSIONS[role] ?? [],
+    tokenHash,
+    invitedBy: req.user._id,
+    expiresAt: new Date(Date.now() + INVITATION_EXPIRY_DAYS * MS_IN_DAY),
+  });
+
+  await deliverInvitation(req, organization, invitation, token);
+
+  await auditInvitation(req, organization, 'MEMBER_INVITE', invitation);
+  logger.info(`Invitation to ${organization.slug} sent to ${normalizedEmail} by ${req.user.email} (${role})`);
+
+  return invitation.toPublicJSON();
+};
+
+const findOrganizationInvitation = async (organization, invitationId) => {
+  const invitation = await OrganizationInvitation.findOne({ _id: invitationId, organizationId: organization._id });
+  if (!invitation) {
+    throw new NotFoundError('Invitation');
+  }
+  return invitation;
+};
+
+/**
+ * Resend an invitation with a fresh link and expiry
+ * The previous link stops working.
+ */
+export const resendInvitation = async (req, organization, invitationId) => {
+  const invitation = await findOrganizationInvitation(organization, invitationId);
+
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    throw new AppError(`This invitation has already been ${invitation.acceptedAt ? 'accepted' : 'revoked'}`, 400, 'INVITATION_INACTIVE');
+  }
+  if (invitation.lastSentAt && Date.now() - invitation.lastSentAt.getTime() < RESEND_COOLDOWN_MS) {
+    throw new AppError('Please wait a minute before resending this invitation', 429, 'INVITATION_COOLDOWN');
+  }
+
+  const { token, tokenHash } = createToken();
+  invitation.tokenHash = tokenHash;
+  invitation.expiresAt = new Date(Date.now() + INVITATION_EXPIRY_DAYS * MS_IN_DAY);
+
+  await deliverInvitation(req, organization, invitation, token);
+
+  await auditInvitation(req, organization, 'MEMBER_INVITE', invitation, { resend: true, sendCount: invitation.sendCount });
+  logger.info(`Invitation to ${organization.slug} resent to ${invitation.email} by ${req.user.email}`);
+
+  return invitation.toPublicJSON();
+};
+
+/**
+ * Revoke a pending invitation
+ */
+export const revokeInvitation = async (req, organization, invitationId) => {
+  const invitation = await findOrganizationInvitation(organization, invitationId);
+
+  if (invitation.acceptedAt) {
+    throw new AppError('This invitation has already been accepted; remove the member instead', 400, 'INVITATION_INACTIVE');
+  }
+
+  if (!invitation.revokedAt) {
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user._id;
+    await invitation.save();
+
+    await auditInvitation(req, organization, 'MEMBER_INVITE_REVOKE', invitation);
+    logger.info(`Invitation to ${organization.slug} for ${invitation.email} revoked by ${req.user.email}`);
+  }
+
+  return invitation.toPublicJSON();
+};
+
+const findPendingInvitation = async (token) => {
+  const invitation = typeof token === 'string' && token
+    ? await OrganizationInvitation.findOne({ tokenHash: hashToken(token) })
+    : null;
+
+  if (!invitation || !invitation.isPending()) {
+    throw new AppError('This invitation is invalid or has expired', 404, 'INVITATION_INVALID');
+  }
+
+  const organization = await Organization.findById(invitation.organizationId);
+  if (!organization || organization.status !== 'active') {
+    throw new AppError('This organization is no longer active', 404, 'INVITATION_INVALID');
+  }
+
+  return { invitation, organization };
+};
+
+/**
+ * Public details of a pending invitation, shown on the invite page
+ */
+export const getInvitationPreview = async (token) => {
+  const { invitation, organization } = await findPendingInvitation(token);
+  const [inviter, accountExists] = await Promise.all([
+    User.findById(invitation.invitedBy).select('name'),
+    User.exists({ email: invitation.email }),
+  ]);
+
+  return {
+    organization: {
+      name: organization.name,
+      slug: organization.slug,
+      logo: organization.logo,
+    },
+    email: invitation.email,
+    role: invitation.role,
+    invitedBy: inviter?.name || null,
+    expiresAt: invitation.expiresAt,
+    accountExists: Boolean(accountExists),
+  };
+};
+
+/**
+ * Accept an invitation as the signed-in user and add them to the organization
+ * The link was delivered to the invited address, so it also verifies that email.
+ * @param {object} req - Express request; req.user must be the accepting user document
+ * @returns {Promise<{organization: object, role: string, permissions: string[]}>}
+ * @throws {AppError} INVITATION_INVALID, INVITATION_EMAIL_MISMATCH
+ */
+export const acceptInvitation = async (req, token) => {
+  const user = req.user;
+  const { invitation, organization } = await findPendingInvitation(token);
+
+  if (invitation.email !== user.email.toLowerCase()) {
+    throw new AppError(
+      `This invitation was sent to ${invitation.email}. Sign in with that email address to accept it.`,
+      403,
+      'INVITATION_EMAIL_MISMATCH'
+    );
+  }
+
+  const alreadyMember = Boolean(organization.getMemberRole(user._id));
+  if (!alreadyMember) {
+    await organization.addMember(user._id, invitation.role, invitation.permissions);
+  }
+
+  invitation.acceptedAt = new Date();
+  invitation.acceptedBy = user._id;
+  await invitation.save();
+
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    await user.save();
+  }
+
+  await auditInvitation(req, organization, 'MEMBER_INVITE_ACCEPT', invitation, { alreadyMember });
+  logger.info(`${user.email} accepted invitation to ${organization.slug} (${invitation.role})`);
+
+  return {
+    organization: {
+      id: organization._id,
+      name: organization.name,
+      slug: organization.slug,
+    },
+    role: organization.getMemberRole(user._id),
+    permissions: organization.getMemberPermissions(user._id),
+  };
+};
+
+export default {
+  listInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationPreview,
+  acceptInvitation,
+};
@@ -2,7 +2,7 @@
  * Job Matching Service
  * Finds and scores matching jobs for a resume using hybrid approach:
  * 1. Backend skill matching with MongoDB indexes
- * 2. Watson summaries ONLY for top 3 matched jobs
+ * 2. LLM summaries ONLY for top matched jobs
  */
 
 import { normalizeSkillsArray, matchSkillsFuzzy } from '../utils/skillNormalizer.js';
@@ -10,55 +10,12 @@ import Job from '../models/Job.js';
 import JobMatch from '../models/JobMatch.js';
 import { findSemanticMatches } from './semanticMatchingService.js';
 import { logger } from '../utils/logger.js';
-
-// Watson X.ai Configuration (Updated credentials)
-const WATSON_API_KEY = process.env.WATSONX_API_KEY || process.env.IBM_API_KEY;
-const WATSON_PROJECT_ID = process.env.IBM_PROJECT_ID;
-const IAM_TOKEN_URL = 'https://iam.cloud.ibm.com/identity/token';
-const WATSON_API_URL = 'https://us-south.ml.cloud.ibm.com/ml/v1/text/generation?version=2023-05-29';
-
-// Cache IAM token
-let cachedToken = null;
-let tokenExpiry = null;
-
-/**
- * Get IBM IAM token for Watson API authentication
- */
-async function getIAMToken() {
-  if (cachedToken && tokenExpiry && Date.now() < tokenExpiry - 300000) {
-    return cachedToken;
-  }
-
-  try {
-    const response = await fetch(IAM_TOKEN_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: `grant_type=urn:ibm:params:oauth:grant-type:apikey&apikey=${WATSON_API_KEY}`,
-    });
-
-    if (!response.ok) {
-      throw new Error(`IAM token request failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    cachedToken = data.access_token;
-    tokenExpiry = Date.now() + (data.expires_in * 1000);
-    
-    return cachedToken;
-  } catch (error) {
-    logger.error('Failed to get IAM token:', error);
-    throw error;
-  }
-}
+import { generateText } from './llm/index.js';
 
 /**
- * Generate AI summary for a job match using Watson (ONLY for top 3 jobs)
+ * Generate AI summary for a job match with the LLM (ONLY for top jobs)
  */
 async function generateJobSummary(job, userSkills, matchScore) {
-  const token = await getIAMToken();
-  
   const prompt = `You are a career advisor. Write a concise 2-sentence summary explaining why this job matches the candidate's profile.
 
 Job: ${job.title} at ${job.company.name}
@@ -69,36 +26,16 @@ Match Score: ${matchScore.toFixed(1)}%
 Write ONLY 2 sentences focusing on the strongest skill matches and growth opportunities. Be encouraging but realistic.`;
 
   try {
-    const response = await fetch(WATSON_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${token}`,
-      },
-      body: JSON.stringify({
-        model_id: 'ibm/granite-3-8b-instruct',
-        input: prompt,
-        parameters: {
-          max_new_tokens: 150,
-          temperature: 0.5,
-          top_p: 0.9,
-        },
-        project_id: WATSON_PROJECT_ID,
-      }),
+    const { text: summary, provider } = await generateText(prompt, {
+      task: 'job_match_summary',
+      maxTokens: 150,
+      temperature: 0.5,
     });
 
-    if (!response.ok) {
-      throw new Error(`Watson API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const summary = data.results[0].generated_text.trim();
-    
-    logger.info(`Watson summary generated for job ${job.jobId}`);
+    logger.info(`Job match summary generated for job ${job.jobId} (${provider})`);
     return summary;
   } catch (error) {
-    logger.error('Watson summary generation failed:', error);
+    logger.error('Job match summary generation failed:', error);
     return null;
   }
 }
@@ -296,7 +233,7 @@ export async function findMatchingJobs(parsedResume, options = {}) {
     if (generateAISummaries && topMatches.length > 0) {
       const jobsToSummarize = topMatches.slice(0, Math.min(10, topMatches.length));
       
-      logger.info(`Generating Watson summaries for ${jobsToSummarize.length} jobs`);
+      logger.info(`Generating LLM summaries for ${jobsToSummarize.length} jobs`);
       
       for (const match of jobsToSummarize) {
         try {
@@ -314,7 +251,7 @@ export async function findMatchingJobs(parsedResume, options = {}) {
         }
       }
       
-      logger.info(`Generated ${watsonCallCount} Watson summaries`);
+      logger.info(`Generated ${watsonCallCount} LLM summaries`);
     }
     
     // Save matches to database
@@ -372,7 +309,7 @@ export async function findMatchingJobs(parsedResume, options = {}) {
       },
     };
     
-    logger.info(`Job matching complete: ${topMatches.length} jobs using ${scoringMethod} scoring, ${watsonCallCount} Watson calls (${result.metadata.watsonUsagePercent}%)`);
+    logger.info(`Job matching complete: ${topMatches.length} jobs using ${scoringMethod} scoring, ${watsonCallCount} LLM summaries (${result.metadata.watsonUsagePercent}%)`);
     return result;
     
   } catch (error) {
@@ -0,0 +1,57 @@
+import { estimateTokens, postJSON, providerError } from './http.js';
+
+/**
+ * Google Gemini text generation provider
+ */
+
+const API_BASE_URL = 'https://generativelanguage.googleapis.com/v1/models';
+const DEFAULT_MODEL = 'gemini-pro';
+
+const getConfig = () => ({
+  apiKey: process.env.GEMINI_API_KEY,
+  model: process.env.GEMINI_MODEL || DEFAULT_MODEL,
+});
+
+export const name = 'gemini';
+
+export const isConfigured = () => Boolean(getConfig().apiKey);
+
+/**
+ * Generate text
+ * `options` is merged into generationConfig (topK, stopSequences, ...).
+ */
+export const generate = async ({ prompt, maxTokens, temperature, topP, options = {}, signal }) => {
+  const { apiKey, model } = getConfig();
+
+  const data = await postJSON(name, `${API_BASE_URL}/${model}:generateContent?key=${apiKey}`, {
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature,
+        topP,
+        maxOutputTokens: maxTokens,
+        ...options,
+      },
+    }),
+    signal,
+  });
+
+  const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (!text) {
+    throw providerError(name, 'empty response');
+  }
+
+  return {
+    text: text.trim(),
+    model,
+    inputTokens: data.usageMetadata?.promptTokenCount ?? estimateTokens(prompt),
+    outputTokens: data.usageMetadata?.candidatesTokenCount ?? estimateTokens(text),
+  };
+};
+
+export default {
+  name,
+  isConfigured,
+  generate,
+};
@@ -0,0 +1,52 @@
+import { AppError } from '../../utils/errorHandler.js';
+
+/**
+ * Shared HTTP plumbing for the LLM providers
+ */
+
+/**
+ * Error raised by a provider call
+ * Retryable errors (network failures, timeouts, 429 and 5xx responses) are
+ * retried with backoff by services/llm/index.js; others move straight on to
+ * the next provider.
+ */
+export const providerError = (provider, message, { status = null, retryable = false } = {}) => {
+  return new AppError(`${provider}: ${message}`, 502, 'LLM_PROVIDER_ERROR', { provider, status, retryable });
+};
+
+/**
+ * POST a request and return the parsed JSON response
+ */
+export const postJSON = async (provider, url, { headers = {}, body, signal }) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { Accept: 'application/json', ...headers },
+      body,
+      signal,
+    });
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' || error.name === 'AbortError' ? 'request timed out' : error.message;
+    throw providerError(provider, reason, { retryable: true });
+  }
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw providerError(provider, `HTTP ${response.status} ${text.slice(0, 300)}`.trim(), {
+      status: response.status,
+      retryable: response.status === 429 || response.status >= 500,
+    });
+  }
+
+  return response.json();
+};
+
+// Rough token count for providers that do not report one
+export const estimateTokens = (text = '') => Math.ceil(String(text).length / 4);
+
+export default {
+  providerError,
+  postJSON,
+  estimateTokens,
+};
@@ -0,0 +1,61 @@
+import { estimateTokens, postJSON, providerError } from './http.js';
+
+/**
+ * HuggingFace Inference API text generation provider
+ * (NER, classification and embeddings run on the local Python models in
+ * services/aiRouter.js, not through this provider)
+ */
+
+const API_BASE_URL = 'https://api-inference.huggingface.co/models';
+const DEFAULT_MODEL = 'mistralai/Mistral-7B-Instruct-v0.2';
+
+const getConfig = () => ({
+  apiKey: process.env.HUGGINGFACE_API_KEY,
+  model: process.env.HUGGINGFACE_MODEL || DEFAULT_MODEL,
+});
+
+export const name = 'huggingface';
+
+export const isConfigured = () => Boolean(getConfig().apiKey);
+
+export const generate = async ({ prompt, maxTokens, temperature, topP, options = {}, signal }) => {
+  const { apiKey, model } = getConfig();
+
+  const data = await postJSON(name, `${API_BASE_URL}/${model}`, {
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${apiKey}`,
+    },
+    body: JSON.stringify({
+      inputs: prompt,
+      parameters: {
+        max_new_tokens: maxTokens,
+        // The Inference API rejects a temperature of exactly 0
+        temperature: Math.max(temperature, 0.01),
+        top_p: topP,
+        return_full_text: false,
+        ...options,
+      },
+      options: { wait_for_model: true },
+    }),
+    signal,
+  });
+
+  const text = Array.isArray(data) ? data[0]?.generated_text : data?.generated_text;
+  if (!text) {
+    throw providerError(name, 'empty response');
+  }
+
+  return {
+    text: text.trim(),
+    model,
+    inputTokens: estimateTokens(prompt),
+    outputTokens: estimateTokens(text),
+  };
+};
+
+export default {
+  name,
+  isConfigured,
+  generate,
+};
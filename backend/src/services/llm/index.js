@@ -0,0 +1,290 @@
+import mongoose from 'mongoose';
+import LlmUsage from '../../models/LlmUsage.js';
+import { AppError } from '../../utils/errorHandler.js';
+import { logger } from '../../utils/logger.js';
+import watson from './watsonProvider.js';
+import gemini from './geminiProvider.js';
+import huggingface from './huggingFaceProvider.js';
+import offline from './offlineProvider.js';
+
+/**
+ * LLM Service
+ * The single entry point for text generation: Watson, Gemini, HuggingFace
+ * and the offline fixture provider behind one call
+ *
+ * generateText() tries the providers in LLM_PROVIDERS order (default
+ * "watson,gemini,huggingface", unconfigured ones skipped). Network errors,
+ * timeouts, 429 and 5xx answers are retried with exponential backoff
+ * (LLM_MAX_RETRIES) before moving on to the next provider, and providers that
+ * used up their daily request budget (LLM_DAILY_BUDGETS="watson:500,gemini:1000")
+ * are skipped. Every attempt is counted in the LlmUsage daily rollup.
+ *
+ * With LLM_OFFLINE=true (the default when NODE_ENV=test) only the offline
+ * provider is used: nothing leaves the machine and every run gives the same
+ * answers. When no provider answers, an LLM_UNAVAILABLE AppError is thrown
+ * and callers use their rule-based fallback.
+ */
+
+const PROVIDERS = { watson, gemini, huggingface, offline };
+const DEFAULT_PROVIDER_ORDER = 'watson,gemini,huggingface';
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+
+const dailyRequests = { day: null, counts: new Map(), loaded: null };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const startOfUTCDay = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const isDatabaseReady = () => mongoose.connection.readyState === 1;
+
+export const isOfflineMode = () => {
+  if (process.env.LLM_OFFLINE) {
+    return process.env.LLM_OFFLINE === 'true';
+  }
+  return process.env.NODE_ENV === 'test';
+};
+
+/**
+ * Providers a call may use, in order
+ * @param {string[]|null} only - restrict to these providers (order kept from LLM_PROVIDERS)
+ */
+const resolveProviders = (only = null) => {
+  if (isOfflineMode()) {
+    return [offline];
+  }
+
+  return (process.env.LLM_PROVIDERS || DEFAULT_PROVIDER_ORDER)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(providerName => PROVIDERS[providerName] && (!only || only.includes(providerName)))
+    .map(providerName => PROVIDERS[providerName])
+    .filter(provider => provider.isConfigured());
+};
+
+const getBudgets = () => {
+  return Object.fromEntries((process.env.LLM_DAILY_BUDGETS || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([providerName, limit]) => PROVIDERS[providerName] && Number(limit) > 0)
+    .map(([providerName, limit]) => [providerName, Number(limit)]));
+};
+
+// Today's request counts, seeded from LlmUsage so that restarts do not reset budgets
+const loadDailyRequests = async () => {
+  const day = startOfUTCDay();
+  if (dailyRequests.day?.getTime() !== day.getTime()) {
+    dailyRequests.day = day;
+    dailyRequests.counts = new Map();
+    dailyRequests.loaded = isDatabaseReady()
+      ? LlmUsage.aggregate([
+        { $match: { day } },
+        { $group: { _id: '$provider', requests: { $sum: '$requests' } } },
+      ]).then((rows) => {
+        rows.forEach(row => dailyRequests.counts.set(row._id, (dailyRequests.counts.get(row._id) || 0) + row.requests));
+      }).catch((error) => {
+        logger.warn(`Could not load today's LLM usage: ${error.message}`);
+      })
+      : Promise.resolve();
+  }
+  await dailyRequests.loaded;
+  return dailyRequests.counts;
+};
+
+const isOverBudget = async (providerName) => {
+  const budget = getBudgets()[providerName];
+  if (!budget) {
+    return false;
+  }
+  const counts = await loadDailyRequests();
+  return (counts.get(providerName) || 0) >= budget;
+};
+
+/**
+ * Count one attempt in today's budget and the LlmUsage rollup
+ */
+const recordUsage = (providerName, task, { failed = false, inputTokens = 0, outputTokens = 0, latencyMs = 0 }) => {
+  if (dailyRequests.day?.getTime() === startOfUTCDay().getTime()) {
+    dailyRequests.counts.set(providerName, (dailyRequests.counts.get(providerName) || 0) + 1);
+  }
+
+  if (!isDatabaseReady()) {
+    return;
+  }
+  LlmUsage.updateOne(
+    { day: startOfUTCDay(), provider: providerName, task },
+    { $inc: { requests: 1, failures: failed ? 1 : 0, inputTokens, outputTokens, latencyMs } },
+    { upsert: true }
+  ).catch((error) => {
+    logger.warn(`Could not record LLM usage for ${providerName}/${task}: ${error.message}`);
+  });
+};
+
+const backoffDelay = (attempt) => BACKOFF_BASE_MS * (2 ** attempt) + Math.floor(Math.random() * 250);
+
+/**
+ * Generate text with the first provider that answers
+ * @param {string} prompt
+ * @param {object} [options]
+ * @param {string} [options.task] - name used for usage accounting and offline fixtures
+ * @param {string[]} [options.providers] - only use these providers
+ * @param {object} [options.providerOptions] - extra parameters per provider, e.g. { watson: { decoding_method: 'greedy' } }
+ * @param {Function} [options.parse] - applied to the text; if it throws, the next provider is tried
+ * @returns {Promise<{text: string, data: *, provider: string, model: string, inputTokens: number, outputTokens: number, latencyMs: number}>}
+ */
+export const generateText = async (prompt, {
+  task = 'general',
+  maxTokens = 1000,
+  temperature = 0.3,
+  topP = 0.9,
+  providers = null,
+  providerOptions = {},
+  timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  parse = null,
+} = {}) => {
+  const maxRetries = Number(process.env.LLM_MAX_RETRIES ?? DEFAULT_MAX_RETRIES);
+  const errors = [];
+
+  for (const provider of resolveProviders(providers)) {
+    for (let attempt = 0; ; attempt++) {
+      if (await isOverBudget(provider.name)) {
+        errors.push(`${provider.name}: daily budget used up`);
+        break;
+      }
+
+      const startedAt = Date.now();
+      try {
+        const result = await provider.generate({
+          prompt,
+          task,
+          maxTokens,
+          temperature,
+          topP,
+          options: providerOptions[provider.name],
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        const data = parse ? parse(result.text) : undefined;
+        const latencyMs = Date.now() - startedAt;
+
+        recordUsage(provider.name, task, { inputTokens: result.inputTokens, outputTokens: result.outputTokens, latencyMs });
+        if (provider !== offline && offline.isRecording()) {
+          offline.recordFixture(task, prompt, result.text);
+        }
+
+        return { ...result, data, provider: provider.name, latencyMs };
+      } catch (error) {
+        recordUsage(provider.name, task, { failed: true, latencyMs: Date.now() - startedAt });
+
+        if (!error.details?.retryable || attempt >= maxRetries) {
+          errors.push(error.message);
+          logger.warn(`LLM ${task}: ${error.message}`);
+          break;
+        }
+        await sleep(backoffDelay(attempt));
+      }
+    }
+  }
+
+  recordUsage('none', task, { failed: true });
+  throw new AppError(`No LLM provider could answer ${task}`, 503, 'LLM_UNAVAILABLE', { errors });
+};
+
+/**
+ * Extract the JSON object (or array) from a model answer
+ * Tolerates markdown code fences and text around the JSON.
+ */
+export const parseJSONResponse = (text, shape = 'object') => {
+  const cleaned = String(text).replace(/```(?:json)?/g, '').trim();
+  const [open, close] = shape === 'array' ? ['[', ']'] : ['{', '}'];
+  const start = cleaned.indexOf(open);
+  const end = cleaned.lastIndexOf(close);
+  if (start === -1 || end <= start) {
+    throw new Error(`No JSON ${shape} in the model answer`);
+  }
+  return JSON.parse(cleaned.slice(start, end + 1));
+};
+
+/**
+ * generateText() for answers that must be JSON; a provider whose answer does
+ * not parse counts as failed and the next one is tried
+ * @param {string} prompt
+ * @param {object} [options] - generateText() options plus shape ('object' or 'array')
+ */
+export const generateJSON = (prompt, { shape = 'object', ...options } = {}) => {
+  return generateText(prompt, { ...options, parse: text => parseJSONResponse(text, shape) });
+};
+
+/**
+ * Configuration and today's budget use of every provider
+ */
+export const getProviderStatus = async () => {
+  const budgets = getBudgets();
+  const counts = await loadDailyRequests();
+  const active = resolveProviders().map(provider => provider.name);
+
+  return Object.values(PROVIDERS).map(provider => ({
+    name: provider.name,
+    configured: provider.isConfigured(),
+    active: active.includes(provider.name),
+    dailyBudget: budgets[provider.name] || null,
+    requestsToday: counts.get(provider.name) || 0,
+  }));
+};
+
+/**
+ * Usage totals per provider, task and day
+ * @param {object} [options]
+ * @param {number} [options.days] - how many days back, today included
+ */
+export const getUsageReport = async ({ days = 30 } = {}) => {
+  const since = new Date(startOfUTCDay().getTime() - (days - 1) * MS_IN_DAY);
+  const sums = {
+    requests: { $sum: '$requests' },
+    failures: { $sum: '$failures' },
+    inputTokens: { $sum: '$inputTokens' },
+    outputTokens: { $sum: '$outputTokens' },
+    latencyMs: { $sum: '$latencyMs' },
+  };
+  const groupBy = (key) => [
+    { $match: { day: { $gte: since } } },
+    { $group: { _id: key, ...sums } },
+    { $sort: { _id: 1 } },
+  ];
+
+  const [byProvider, byTask, daily, providers] = await Promise.all([
+    LlmUsage.aggregate(groupBy('$provider')),
+    LlmUsage.aggregate(groupBy('$task')),
+    LlmUsage.aggregate(groupBy({ day: '$day', provider: '$provider' })),
+    getProviderStatus(),
+  ]);
+
+  const withAverages = ({ _id, latencyMs, ...totals }) => ({
+    ...totals,
+    avgLatencyMs: totals.requests ? Math.round(latencyMs / totals.requests) : 0,
+  });
+
+  return {
+    since,
+    offline: isOfflineMode(),
+    providers,
+    byProvider: byProvider.map(row => ({ provider: row._id, ...withAverages(row) })),
+    byTask: byTask.map(row => ({ task: row._id, ...withAverages(row) })),
+    daily: daily.map(row => ({ day: row._id.day, provider: row._id.provider, ...withAverages(row) })),
+  };
+};
+
+export const resetTokenCaches = () => {
+  watson.resetTokenCache();
+};
+
+export default {
+  isOfflineMode,
+  generateText,
+  generateJSON,
+  parseJSONResponse,
+  getProviderStatus,
+  getUsageReport,
+  resetTokenCaches,
+};
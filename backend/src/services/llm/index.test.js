@@ -0,0 +1,131 @@
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import gemini from './geminiProvider.js';
+import huggingface from './huggingFaceProvider.js';
+import { providerError } from './http.js';
+import { fingerprint } from './offlineProvider.js';
+import { generateText } from './index.js';
+
+const ENV_KEYS = ['LLM_OFFLINE', 'LLM_PROVIDERS', 'LLM_MAX_RETRIES', 'LLM_DAILY_BUDGETS', 'LLM_FIXTURES_DIR'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+const answer = (text) => async () => ({ text, model: 'test-model', inputTokens: 10, outputTokens: 5 });
+
+// Let pending promise callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+let fixturesDir;
+
+before(async () => {
+  fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'));
+});
+
+after(async () => {
+  await fs.rm(fixturesDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  process.env.LLM_OFFLINE = 'false';
+  process.env.LLM_PROVIDERS = 'gemini,huggingface';
+  process.env.LLM_MAX_RETRIES = '2';
+  delete process.env.LLM_DAILY_BUDGETS;
+  mock.method(gemini, 'isConfigured', () => true);
+  mock.method(huggingface, 'isConfigured', () => true);
+  mock.method(huggingface, 'generate', answer('from huggingface'));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+  ENV_KEYS.forEach((key) => {
+    if (savedEnv[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = savedEnv[key];
+    }
+  });
+});
+
+describe('generateText', () => {
+  test('falls back to the next provider when one fails', async () => {
+    mock.method(gemini, 'generate', async () => {
+      throw providerError('gemini', 'HTTP 400 bad request', { status: 400 });
+    });
+
+    const result = await generateText('Summarize this resume', { task: 'summary' });
+
+    assert.equal(result.provider, 'huggingface');
+    assert.equal(result.text, 'from huggingface');
+    assert.equal(gemini.generate.mock.callCount(), 1);
+  });
+
+  test('retries retryable errors with backoff before moving on', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    mock.method(Math, 'random', () => 0);
+    let calls = 0;
+    mock.method(gemini, 'generate', async () => {
+      calls += 1;
+      if (calls === 1) throw providerError('gemini', 'HTTP 503', { status: 503, retryable: true });
+      return answer('from gemini')();
+    });
+
+    const pending = generateText('Summarize this resume', { task: 'summary' });
+    await flush();
+    assert.equal(calls, 1);
+
+    mock.timers.tick(499);
+    await flush();
+    assert.equal(calls, 1);
+
+    mock.timers.tick(1);
+    const result = await pending;
+    assert.equal(calls, 2);
+    assert.equal(result.provider, 'gemini');
+    assert.equal(huggingface.generate.mock.callCount(), 0);
+  });
+
+  test('skips a provider whose daily budget is used up', async () => {
+    process.env.LLM_DAILY_BUDGETS = 'gemini:1';
+    mock.method(gemini, 'generate', answer('from gemini'));
+
+    // Uses up the budget, unless earlier calls today already did
+    await generateText('First prompt', { task: 'summary' });
+    gemini.generate.mock.resetCalls();
+
+    const result = await generateText('Second prompt', { task: 'summary' });
+
+    assert.equal(result.provider, 'huggingface');
+    assert.equal(gemini.generate.mock.callCount(), 0);
+  });
+
+  test('answers from fixtures in offline mode', async () => {
+    process.env.LLM_OFFLINE = 'true';
+    process.env.LLM_FIXTURES_DIR = fixturesDir;
+    mock.method(gemini, 'generate', answer('from gemini'));
+    await fs.writeFile(path.join(fixturesDir, 'tagline.json'), JSON.stringify({
+      [fingerprint('Known prompt')]: 'Recorded answer',
+      '*': 'Any other answer',
+    }));
+
+    const known = await generateText('Known prompt', { task: 'tagline' });
+    const other = await generateText('Another prompt', { task: 'tagline' });
+
+    assert.equal(known.provider, 'offline');
+    assert.equal(known.text, 'Recorded answer');
+    assert.equal(other.text, 'Any other answer');
+    assert.equal(gemini.generate.mock.callCount(), 0);
+  });
+
+  test('is unavailable offline when the task has no fixture', async () => {
+    process.env.LLM_OFFLINE = 'true';
+    process.env.LLM_FIXTURES_DIR = fixturesDir;
+
+    await assert.rejects(
+      generateText('Any prompt', { task: 'missing-task' }),
+      { code: 'LLM_UNAVAILABLE', statusCode: 503 }
+    );
+  });
+});
@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../../utils/logger.js';
+import { estimateTokens, providerError } from './http.js';
+
+/**
+ * Offline provider: deterministic answers without any network access
+ *
+ * Answers come from fixtures in LLM_FIXTURES_DIR, one `<task>.json` file per
+ * task mapping a prompt fingerprint (see fingerprint()) to the response
+ * text, with "*" as the answer for any other prompt of that task. A task
+ * without a fixture is declined, which sends the caller down its own
+ * rule-based fallback. Setting LLM_RECORD_FIXTURES=true records the answers
+ * of the online providers into the same files.
+ */
+
+export const name = 'offline';
+
+const fixtureCache = new Map();
+let recording = Promise.resolve();
+
+const getFixturesDir = () => process.env.LLM_FIXTURES_DIR || null;
+
+const fixturePath = (task) => path.join(getFixturesDir(), `${task.replace(/[^\w.-]/g, '_')}.json`);
+
+/**
+ * Stable key of a prompt within its task's fixture file
+ */
+export const fingerprint = (prompt) => crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+
+const loadFixtures = async (task) => {
+  if (!fixtureCache.has(task)) {
+    let fixtures = {};
+    try {
+      fixtures = JSON.parse(await fs.readFile(fixturePath(task), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read LLM fixtures for ${task}: ${error.message}`);
+      }
+    }
+    fixtureCache.set(task, fixtures);
+  }
+  return fixtureCache.get(task);
+};
+
+// Always available: a missing fixture is reported per call
+export const isConfigured = () => true;
+
+export const generate = async ({ prompt, task }) => {
+  const fixtures = getFixturesDir() ? await loadFixtures(task) : {};
+  const text = fixtures[fingerprint(prompt)] ?? fixtures['*'];
+  if (typeof text !== 'string') {
+    throw providerError(name, `no fixture for task ${task}`);
+  }
+
+  return {
+    text,
+    model: 'fixture',
+    inputTokens: estimateTokens(prompt),
+    outputTokens: estimateTokens(text),
+  };
+};
+
+export const isRecording = () => Boolean(getFixturesDir()) && process.env.LLM_RECORD_FIXTURES === 'true';
+
+/**
+ * Store an online provider's answer as the fixture for its prompt
+ * Writes are serialized so concurrent calls do not overwrite each other.
+ */
+export const recordFixture = (task, prompt, text) => {
+  recording = recording.then(async () => {
+    const fixtures = { ...(await loadFixtures(task)), [fingerprint(prompt)]: text };
+    await fs.mkdir(getFixturesDir(), { recursive: true });
+    await fs.writeFile(fixturePath(task), `${JSON.stringify(fixtures, null, 2)}\n`);
+    fixtureCache.set(task, fixtures);
+  }).catch((error) => {
+    logger.warn(`Could not record LLM fixture for ${task}: ${error.message}`);
+  });
+  return recording;
+};
+
+export default {
+  name,
+  fingerprint,
+  isConfigured,
+  generate,
+  isRecording,
+  recordFixture,
+};
@@ -0,0 +1,129 @@
+import { logger } from '../../utils/logger.js';
+import { estimateTokens, postJSON, providerError } from './http.js';
+
+/**
+ * IBM watsonx.ai text generation provider
+ * The IAM token is cached for every caller and refreshed five minutes before
+ * it expires; concurrent refreshes share one request.
+ */
+
+const IAM_TOKEN_URL = 'https://iam.cloud.ibm.com/identity/token';
+const DEFAULT_URL = 'https://us-south.ml.cloud.ibm.com/ml/v1/text/generation?version=2023-05-29';
+const DEFAULT_MODEL = 'ibm/granite-3-8b-instruct';
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const TOKEN_TIMEOUT_MS = 10000;
+
+let cachedToken = null;
+let tokenExpiry = 0;
+let pendingToken = null;
+
+const getConfig = () => ({
+  apiKey: process.env.WATSONX_API_KEY || process.env.IBM_API_KEY,
+  projectId: process.env.WATSONX_PROJECT_ID || process.env.IBM_PROJECT_ID,
+  url: process.env.WATSONX_URL || process.env.IBM_URL || DEFAULT_URL,
+  model: process.env.WATSONX_MODEL_ID || process.env.IBM_MODEL_ID || DEFAULT_MODEL,
+});
+
+export const name = 'watson';
+
+export const isConfigured = () => {
+  const { apiKey, projectId } = getConfig();
+  return Boolean(apiKey && projectId);
+};
+
+export const resetTokenCache = () => {
+  cachedToken = null;
+  tokenExpiry = 0;
+};
+
+/**
+ * IBM IAM access token for the configured API key
+ */
+export const getIAMToken = async () => {
+  if (cachedToken && Date.now() < tokenExpiry - TOKEN_REFRESH_MARGIN_MS) {
+    return cachedToken;
+  }
+  if (pendingToken) {
+    return pendingToken;
+  }
+
+  pendingToken = (async () => {
+    const data = await postJSON(name, IAM_TOKEN_URL, {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ibm:params:oauth:grant-type:apikey',
+        apikey: getConfig().apiKey,
+      }).toString(),
+      signal: AbortSignal.timeout(TOKEN_TIMEOUT_MS),
+    });
+
+    cachedToken = data.access_token;
+    tokenExpiry = Date.now() + (data.expires_in || 3600) * 1000;
+    logger.info('Watson IAM token refreshed');
+    return cachedToken;
+  })();
+
+  try {
+    return await pendingToken;
+  } finally {
+    pendingToken = null;
+  }
+};
+
+/**
+ * Generate text
+ * `options` carries extra watsonx parameters (decoding_method, repetition_penalty, ...).
+ */
+export const generate = async ({ prompt, maxTokens, temperature, topP, options = {}, signal }) => {
+  const { projectId, url, model } = getConfig();
+  const token = await getIAMToken();
+
+  let data;
+  try {
+    data = await postJSON(name, url, {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        model_id: model,
+        input: prompt,
+        parameters: {
+          max_new_tokens: maxTokens,
+          temperature,
+          top_p: topP,
+          ...options,
+        },
+        project_id: projectId,
+      }),
+      signal,
+    });
+  } catch (error) {
+    // A revoked or expired token gets a fresh one on the retry
+    if (error.details?.status === 401) {
+      resetTokenCache();
+      error.details.retryable = true;
+    }
+    throw error;
+  }
+
+  const result = data.results?.[0];
+  if (!result?.generated_text) {
+    throw providerError(name, 'empty response');
+  }
+
+  return {
+    text: result.generated_text.trim(),
+    model,
+    inputTokens: result.input_token_count ?? estimateTokens(prompt),
+    outputTokens: result.generated_token_count ?? estimateTokens(result.generated_text),
+  };
+};
+
+export default {
+  name,
+  isConfigured,
+  getIAMToken,
+  resetTokenCache,
+  generate,
+};
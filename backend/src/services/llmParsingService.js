@@ -1,80 +1,18 @@
 /**
- * LLM Parsing Service - Watson X.ai Integration
- * Uses IBM Granite model for structured resume extraction with normalization
+ * LLM Parsing Service
+ * Structured resume extraction with normalization through the LLM provider layer
  */
 
 import { logger } from '../utils/logger.js';
 import { canonicalizeSkills } from '../data/skillsCanonical.js';
-
-// Watson X.ai configuration (Updated credentials)
-const WATSON_API_KEY = process.env.WATSONX_API_KEY || process.env.IBM_API_KEY;
-const WATSON_PROJECT_ID = process.env.WATSONX_PROJECT_ID || process.env.IBM_PROJECT_ID;
-const IAM_TOKEN_URL = 'https://iam.cloud.ibm.com/identity/token';
-const WATSON_API_URL = process.env.WATSONX_URL || 'https://us-south.ml.cloud.ibm.com/ml/v1/text/generation?version=2023-05-29';
-
-// Cache IAM token (valid for 1 hour)
-let cachedToken = null;
-let tokenExpiry = null;
-
-/**
- * Get IBM IAM token for Watson API authentication
- */
-async function getIAMToken() {
-  // Check if Watson API key is configured
-  if (!WATSON_API_KEY) {
-    throw new Error('Watson API key not configured');
-  }
-
-  if (cachedToken && tokenExpiry && Date.now() < tokenExpiry - 300000) {
-    return cachedToken;
-  }
-
-  try {
-    const response = await fetch(IAM_TOKEN_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: `grant_type=urn:ibm:params:oauth:grant-type:apikey&apikey=${WATSON_API_KEY}`,
-    });
-
-    const data = await response.json();
-    
-    if (!response.ok || data.errorMessage) {
-      const errorMsg = data.errorMessage || `IAM token request failed with status ${response.status}`;
-      logger.error('IAM token error:', { status: response.status, error: errorMsg });
-      throw new Error(errorMsg);
-    }
-
-    cachedToken = data.access_token;
-    tokenExpiry = Date.now() + (data.expires_in * 1000);
-    
-    logger.info('IAM token refreshed successfully');
-    return cachedToken;
-  } catch (error) {
-    logger.error('Failed to get IAM token:', error.message);
-    throw error;
-  }
-}
+import { generateJSON, generateText } from './llm/index.js';
 
 /**
- * Parse structured resume JSON using Watson X.ai
+ * Parse structured resume JSON with the LLM
  * Returns canonical JSON format with all fields
  */
 export async function parseResumeWithLLM(rawText) {
-  // Check if Watson is configured
-  if (!WATSON_API_KEY) {
-    logger.warn('Watson API key not configured - skipping LLM parsing');
-    return {
-      success: false,
-      error: 'Watson API not configured',
-      confidence: 0
-    };
-  }
-
   try {
-    const token = await getIAMToken();
-  
     const prompt = `You are an expert resume parser. Extract structured data from the following resume text and return ONLY valid JSON.
 
 Input Resume:
@@ -103,49 +41,17 @@ Normalization Rules:
 
 Return ONLY valid JSON, no explanatory text:`;
 
-    const response = await fetch(WATSON_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${token}`,
-      },
-      body: JSON.stringify({
-        model_id: 'ibm/granite-3-8b-instruct',
-        input: prompt,
-        parameters: {
-          max_new_tokens: 2000,
-          temperature: 0.2, // Low temperature for consistent extraction
-          top_p: 0.9,
-        },
-        project_id: WATSON_PROJECT_ID,
-      }),
+    const { data: parsed, provider } = await generateJSON(prompt, {
+      task: 'resume_parse',
+      maxTokens: 2000,
+      temperature: 0.2, // Low temperature for consistent extraction
     });
 
-    if (!response.ok) {
-      throw new Error(`Watson API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const rawResponse = data.results[0].generated_text.trim();
-    
-    // Clean up response (remove text before/after JSON)
-    let jsonText = rawResponse;
-    const jsonStart = rawResponse.indexOf('{');
-    const jsonEnd = rawResponse.lastIndexOf('}');
-    
-    if (jsonStart >= 0 && jsonEnd > jsonStart) {
-      jsonText = rawResponse.slice(jsonStart, jsonEnd + 1);
-    }
-    
-    // Parse JSON
-    const parsed = JSON.parse(jsonText);
-    
     // Post-processing: Canonicalize skills
     if (parsed.skills && Array.isArray(parsed.skills)) {
       parsed.skills = canonicalizeSkills(parsed.skills);
     }
-    
+
     if (parsed.experience && Array.isArray(parsed.experience)) {
       for (const exp of parsed.experience) {
         // Convert "Present" end_date to null
@@ -154,19 +60,20 @@ Return ONLY valid JSON, no explanatory text:`;
         }
       }
     }
-    
-    logger.info('LLM parsing completed successfully');
-    
+
+    logger.info(`LLM parsing completed successfully (${provider})`);
+
     return {
       success: true,
       data: parsed,
       confidence: 0.85, // LLM confidence
       method: 'llm',
+      provider,
     };
-    
+
   } catch (error) {
     logger.error('LLM parsing failed:', error);
-    
+
     // Return fallback structure
     return {
       success: false,
@@ -196,8 +103,6 @@ Return ONLY valid JSON, no explanatory text:`;
  * Extract skills specifically using LLM (fallback when regex/NER fails)
  */
 export async function extractSkillsWithLLM(rawText) {
-  const token = await getIAMToken();
-  
   const prompt = `Extract the top 15 technical skills from this resume. Return only a JSON array of canonical skill names.
 
 Resume:
@@ -208,50 +113,20 @@ Use canonical names: React (not reactjs), JavaScript (not js), PostgreSQL (not p
 Return ONLY a JSON array like: ["Java", "Spring Boot", "React", "AWS"]`;
 
   try {
-    const response = await fetch(WATSON_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${token}`,
-      },
-      body: JSON.stringify({
-        model_id: 'ibm/granite-3-8b-instruct',
-        input: prompt,
-        parameters: {
-          max_new_tokens: 300,
-          temperature: 0.3,
-          top_p: 0.9,
-        },
-        project_id: WATSON_PROJECT_ID,
-      }),
+    const { data: skills } = await generateJSON(prompt, {
+      task: 'resume_skills',
+      shape: 'array',
+      maxTokens: 300,
+      temperature: 0.3,
     });
-
-    if (!response.ok) {
-      throw new Error(`Watson API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const rawResponse = data.results[0].generated_text.trim();
-    
-    // Extract JSON array
-    let jsonText = rawResponse;
-    const arrayStart = rawResponse.indexOf('[');
-    const arrayEnd = rawResponse.lastIndexOf(']');
-    
-    if (arrayStart >= 0 && arrayEnd > arrayStart) {
-      jsonText = rawResponse.slice(arrayStart, arrayEnd + 1);
-    }
-    
-    const skills = JSON.parse(jsonText);
     const canonicalized = canonicalizeSkills(skills);
-    
+
     return {
       success: true,
       skills: canonicalized,
       confidence: 0.80,
     };
-    
+
   } catch (error) {
     logger.error('LLM skill extraction failed:', error);
     return {
@@ -267,8 +142,6 @@ Return ONLY a JSON array like: ["Java", "Spring Boot", "React", "AWS"]`;
  * Normalize experience section using LLM (extract bullets, clean formatting)
  */
 export async function normalizeExperienceWithLLM(experienceText) {
-  const token = await getIAMToken();
-  
   const prompt = `Parse this work experience section into structured JSON. Extract company, title, dates, and bullet points.
 
 Experience Text:
@@ -286,49 +159,19 @@ Return ONLY valid JSON array:
 ]`;
 
   try {
-    const response = await fetch(WATSON_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${token}`,
-      },
-      body: JSON.stringify({
-        model_id: 'ibm/granite-3-8b-instruct',
-        input: prompt,
-        parameters: {
-          max_new_tokens: 1000,
-          temperature: 0.2,
-          top_p: 0.9,
-        },
-        project_id: WATSON_PROJECT_ID,
-      }),
+    const { data: experience } = await generateJSON(prompt, {
+      task: 'resume_experience',
+      shape: 'array',
+      maxTokens: 1000,
+      temperature: 0.2,
     });
 
-    if (!response.ok) {
-      throw new Error(`Watson API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const rawResponse = data.results[0].generated_text.trim();
-    
-    // Extract JSON array
-    let jsonText = rawResponse;
-    const arrayStart = rawResponse.indexOf('[');
-    const arrayEnd = rawResponse.lastIndexOf(']');
-    
-    if (arrayStart >= 0 && arrayEnd > arrayStart) {
-      jsonText = rawResponse.slice(arrayStart, arrayEnd + 1);
-    }
-    
-    const experience = JSON.parse(jsonText);
-    
     return {
       success: true,
       experience: experience,
       confidence: 0.82,
     };
-    
+
   } catch (error) {
     logger.error('LLM experience normalization failed:', error);
     return {
@@ -344,8 +187,6 @@ Return ONLY valid JSON array:
  * Estimate years of experience using LLM (fallback)
  */
 export async function estimateExperienceWithLLM(rawText) {
-  const token = await getIAMToken();
-  
   const prompt = `Based on this resume, estimate the total years of professional work experience. Return ONLY a number (e.g., 3.5 or 5.0).
 
 Resume:
@@ -354,45 +195,25 @@ ${rawText.substring(0, 2000)}
 Return ONLY the number of years as a decimal:`;
 
   try {
-    const response = await fetch(WATSON_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${token}`,
+    const { data: years } = await generateText(prompt, {
+      task: 'resume_experience_years',
+      maxTokens: 50,
+      temperature: 0.2,
+      parse: (text) => {
+        const numberMatch = text.match(/(\d+\.?\d*)/);
+        if (!numberMatch) {
+          throw new Error('Could not extract years from response');
+        }
+        return parseFloat(numberMatch[1]);
       },
-      body: JSON.stringify({
-        model_id: 'ibm/granite-3-8b-instruct',
-        input: prompt,
-        parameters: {
-          max_new_tokens: 50,
-          temperature: 0.2,
-          top_p: 0.9,
-        },
-        project_id: WATSON_PROJECT_ID,
-      }),
     });
 
-    if (!response.ok) {
-      throw new Error(`Watson API error: ${response.status}`);
-    }
+    return {
+      success: true,
+      years: years,
+      confidence: 0.70,
+    };
 
-    const data = await response.json();
-    const rawResponse = data.results[0].generated_text.trim();
-    
-    // Extract number
-    const numberMatch = rawResponse.match(/(\d+\.?\d*)/);
-    if (numberMatch) {
-      const years = parseFloat(numberMatch[1]);
-      return {
-        success: true,
-        years: years,
-        confidence: 0.70,
-      };
-    }
-    
-    throw new Error('Could not extract years from response');
-    
   } catch (error) {
     logger.error('LLM experience estimation failed:', error);
     return {
@@ -405,21 +226,13 @@ Return ONLY the number of years as a decimal:`;
 }
 
 /**
- * Generate MCQ questions for skill verification using Watson AI
+ * Generate MCQ questions for skill verification with the LLM
  * @param {string} skill - The skill to generate questions for
  * @param {number} count - Number of questions to generate (default: 5)
  * @returns {Promise<Array>} Array of question objects
  */
 export async function generateMCQQuestions(skill, count = 5) {
-  // Validate Watson credentials first
-  if (!WATSON_PROJECT_ID) {
-    logger.warn('Watson Project ID not configured, using fallback questions');
-    return generateFallbackMCQQuestions(skill, count);
-  }
-
   try {
-    const token = await getIAMToken();
-    
     const prompt = `You are a technical interviewer creating a skill assessment test.
 
 Generate ${count} multiple-choice questions to verify practical knowledge of ${skill}.
@@ -445,66 +258,29 @@ Return ONLY a valid JSON array (no markdown, no code blocks, no extra text):
 
 Generate ${count} MCQ questions for ${skill}:`;
 
-    const response = await fetch(WATSON_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${token}`,
-      },
-      body: JSON.stringify({
-        model_id: 'ibm/granite-3-8b-instruct',
-        input: prompt,
-        parameters: {
-          max_new_tokens: 2000,
-          temperature: 0.7,
-          top_p: 0.9,
-        },
-        project_id: WATSON_PROJECT_ID,
-      }),
+    const { data: questions } = await generateJSON(prompt, {
+      task: 'skill_mcq',
+      shape: 'array',
+      maxTokens: 2000,
+      temperature: 0.7,
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      logger.error(`Watson API error: ${response.status} - ${errorText}`);
-      throw new Error(`Watson API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const rawResponse = data.results[0].generated_text.trim();
-    
-    // Extract JSON array
-    let jsonText = rawResponse;
-    const arrayStart = rawResponse.indexOf('[');
-    const arrayEnd = rawResponse.lastIndexOf(']');
-    
-    if (arrayStart >= 0 && arrayEnd > arrayStart) {
-      jsonText = rawResponse.slice(arrayStart, arrayEnd + 1);
-    }
-    
-    // Clean up JSON (remove markdown code blocks if present)
-    jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    
-    const questions = JSON.parse(jsonText);
-    
     logger.info(`Successfully generated ${questions.length} MCQ questions for ${skill}`);
     return questions;
-    
+
   } catch (error) {
     logger.error('MCQ generation failed:', {
       error: error.message,
       skill,
-      hasProjectId: !!WATSON_PROJECT_ID,
-      stack: error.stack
     });
-    // Return fallback questions if Watson fails
+    // Return fallback questions if no provider answered
     logger.info(`Using fallback questions for ${skill}`);
     return generateFallbackMCQQuestions(skill, count);
   }
 }
 
 /**
- * Generate fallback MCQ questions when Watson AI is unavailable
+ * Generate fallback MCQ questions when no LLM provider answers
  */
 function generateFallbackMCQQuestions(skill, count = 5) {
   logger.warn(`Using fallback MCQ questions for ${skill}`);
@@ -609,18 +385,16 @@ function generateFallbackMCQQuestions(skill, count = 5) {
 }
 
 /**
- * Generate learning resources for skills using Watson AI
+ * Generate learning resources for skills with the LLM
  * @param {Array<string>} skills - Array of skills to generate resources for
  * @param {number} limit - Maximum resources per skill
  * @returns {Promise<Array>} Array of resource objects
  */
 export async function generateLearningResources(skills, limit = 10) {
-  const token = await getIAMToken();
-  
-  const skillsList = Array.isArray(skills) 
+  const skillsList = Array.isArray(skills)
     ? skills.map(s => typeof s === 'string' ? s : s.skill).join(', ')
     : skills;
-  
+
   const prompt = `Generate learning resources for these skills: ${skillsList}
 
 For each skill, provide ${Math.ceil(limit / skills.length)} high-quality learning resources.
@@ -641,60 +415,25 @@ Return ONLY a JSON array in this exact format (no markdown, no extra text):
 Generate resources for: ${skillsList}:`;
 
   try {
-    const response = await fetch(WATSON_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${token}`,
-      },
-      body: JSON.stringify({
-        model_id: 'ibm/granite-3-8b-instruct',
-        input: prompt,
-        parameters: {
-          max_new_tokens: 3000,
-          temperature: 0.7,
-          top_p: 0.9,
-        },
-        project_id: WATSON_PROJECT_ID,
-      }),
+    const { data: resources } = await generateJSON(prompt, {
+      task: 'learning_resources',
+      shape: 'array',
+      maxTokens: 3000,
+      temperature: 0.7,
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      logger.error(`Watson API error: ${response.status} - ${errorText}`);
-      throw new Error(`Watson API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const rawResponse = data.results[0].generated_text.trim();
-    
-    // Extract JSON array
-    let jsonText = rawResponse;
-    const arrayStart = rawResponse.indexOf('[');
-    const arrayEnd = rawResponse.lastIndexOf(']');
-    
-    if (arrayStart >= 0 && arrayEnd > arrayStart) {
-      jsonText = rawResponse.slice(arrayStart, arrayEnd + 1);
-    }
-    
-    // Clean up JSON
-    jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    
-    const resources = JSON.parse(jsonText);
-    
     logger.info(`Successfully generated ${resources.length} resources for ${skills.length} skills`);
     return resources.slice(0, limit);
-    
+
   } catch (error) {
     logger.error('Resource generation failed:', error);
-    // Return fallback resources if Watson fails
+    // Return fallback resources if no provider answered
     return generateFallbackResources(skills, limit);
   }
 }
 
 /**
- * Generate fallback learning resources when Watson AI is unavailable
+ * Generate fallback learning resources when no LLM provider answers
  */
 function generateFallbackResources(skills, limit = 10) {
   logger.warn(`Using fallback resources for skills`);
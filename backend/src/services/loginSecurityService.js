@@ -0,0 +1,236 @@
+import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.js';
+import { AppError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { sendNewSignInEmail } from './emailService.js';
+import { describeDevice } from './sessionService.js';
+
+/**
+ * Login Security Service
+ * Audit trail for sign-ins, progressive lockout and new sign-in alerts
+ *
+ * Every login attempt for a known account is written to the AuditLog as
+ * USER_LOGIN (success or failure) with IP and user agent, which is what
+ * AuditLog.detectSuspiciousActivity reads. Failed passwords and 2FA codes
+ * count towards a lockout that doubles with each further failure.
+ */
+
+// Failures allowed before the first lockout
+const LOCKOUT_THRESHOLD = 5;
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// How far back a device or network counts as recognized
+const KNOWN_DEVICE_DAYS = 90;
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Coarse network for an IP (IPv4 /24, IPv6 /64) so that address changes
+ * within the same network don't count as a new location
+ */
+export const getNetwork = (ip = '') => {
+  const address = ip.replace(/^::ffff:/, '');
+
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+  if (address.includes(':')) {
+    return `${address.split(':').slice(0, 4).join(':')}::/64`;
+  }
+  return address || 'unknown';
+};
+
+const getLockoutMs = (failedAttempts) => {
+  if (failedAttempts < LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+  return Math.min(BASE_LOCKOUT_MS * 2 ** (failedAttempts - LOCKOUT_THRESHOLD), MAX_LOCKOUT_MS);
+};
+
+const formatWait = (ms) => {
+  const minutes = Math.ceil(ms / 60000);
+  return minutes >= 60 ? `${Math.ceil(minutes / 60)} hour(s)` : `${minutes} minute(s)`;
+};
+
+const describeRequest = (req) => {
+  const userAgent = req.get?.('user-agent') || '';
+  return {
+    device: describeDevice(userAgent),
+    network: getNetwork(req.ip || ''),
+  };
+};
+
+const auditLogin = (req, user, { status, reason = null, method = 'password', metadata = {} }) => {
+  return AuditLog.logRequest(req, {
+    action: 'USER_LOGIN',
+    user,
+    resourceType: 'User',
+    resourceId: user._id,
+    status,
+    errorMessage: reason,
+    metadata: {
+      method,
+      ...describeRequest(req),
+      ...metadata,
+    },
+  });
+};
+
+/**
+ * Throw if the account is temporarily locked after repeated failures
+ * The attempt is recorded in the audit trail.
+ * @throws {AppError} ACCOUNT_LOCKED (423)
+ */
+export const assertNotLocked = async (req, user) => {
+  const lockedUntil = user.security?.lockedUntil;
+  if (!lockedUntil || lockedUntil <= new Date()) {
+    return;
+  }
+
+  await auditLogin(req, user, { status: 'failure', reason: 'account_locked' });
+
+  throw new AppError(
+    `Too many failed sign-in attempts. Try again in ${formatWait(lockedUntil.getTime() - Date.now())} or reset your password.`,
+    423,
+    'ACCOUNT_LOCKED',
+    { lockedUntil }
+  );
+};
+
+/**
+ * Record a failed password or 2FA code and lock the account when the
+ * threshold is reached
+ * @param {string} reason - e.g. 'invalid_password', 'invalid_2fa'
+ * @returns {Promise<{failedAttempts: number, lockedUntil: Date|null}>}
+ */
+export const recordFailedLogin = async (req, user, reason, { method = 'password' } = {}) => {
+  const now = new Date();
+  const lastFailure = user.security?.lastFailedLoginAt;
+  const stale = !lastFailure || now - lastFailure > FAILURE_WINDOW_MS;
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    stale
+      ? { $set: { 'security.failedLoginAttempts': 1, 'security.lastFailedLoginAt': now } }
+      : { $inc: { 'security.failedLoginAttempts': 1 }, $set: { 'security.lastFailedLoginAt': now } },
+    { new: true }
+  ).select('security');
+
+  const failedAttempts = updated?.security?.failedLoginAttempts || 1;
+  const lockoutMs = getLockoutMs(failedAttempts);
+  let lockedUntil = null;
+
+  if (lockoutMs > 0) {
+    lockedUntil = new Date(now.getTime() + lockoutMs);
+    await User.updateOne({ _id: user._id }, { $set: { 'security.lockedUntil': lockedUntil } });
+    logger.warn(`Account locked for ${formatWait(lockoutMs)} after ${failedAttempts} failed sign-ins: ${user.email}`, { ip: req.ip });
+  }
+
+  await auditLogin(req, user, {
+    status: 'failure',
+    reason,
+    method,
+    metadata: { failedAttempts, ...(lockedUntil && { lockedUntil }) },
+  });
+
+  return { failedAttempts, lockedUntil };
+};
+
+/**
+ * Whether this device or network has not been used for a successful
+ * sign-in recently (always false for an account's first sign-in)
+ */
+const isNewDeviceOrNetwork = async (user, { device, network }) => {
+  const since = new Date(Date.now() - KNOWN_DEVICE_DAYS * MS_IN_DAY);
+  const base = { userId: user._id, action: 'USER_LOGIN', status: 'success', timestamp: { $gte: since } };
+
+  const hasHistory = await AuditLog.exists(base);
+  if (!hasHistory) {
+    return false;
+  }
+
+  const [knownDevice, knownNetwork] = await Promise.all([
+    AuditLog.exists({ ...base, 'metadata.device': device }),
+    AuditLog.exists({ ...base, 'metadata.network': network }),
+  ]);
+  return !knownDevice || !knownNetwork;
+};
+
+/**
+ * Record a successful sign-in: clears failed attempts, writes the audit
+ * entry and emails the user when the device or network is new
+ * @param {string} method - 'password', 'totp', 'email', 'recovery' or an OAuth provider
+ */
+export const recordSuccessfulLogin = async (req, user, { method = 'password' } = {}) => {
+  const context = describeRequest(req);
+
+  if (user.security?.failedLoginAttempts || user.security?.lockedUntil) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'security.failedLoginAttempts': 0, 'security.lockedUntil': null } }
+    );
+  }
+
+  const newDevice = await isNewDeviceOrNetwork(user, context);
+
+  await auditLogin(req, user, { status: 'success', method, metadata: { newDevice } });
+
+  if (newDevice) {
+    logger.info(`New device/network sign-in for ${user.email}: ${context.device} from ${context.network}`);
+    try {
+      await sendNewSignInEmail(user.email, {
+        userName: user.name,
+        device: context.device,
+        ipAddress: req.ip,
+        signedInAt: new Date(),
+        method,
+        securityLink: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/settings`,
+      });
+    } catch (emailError) {
+      logger.warn(`Could not send new sign-in email to ${user.email}: ${emailError.message}`);
+    }
+  }
+
+  return { newDevice };
+};
+
+/**
+ * Clear a lockout (admin action)
+ */
+export const unlockAccount = async (userId) => {
+  const result = await User.updateOne(
+    { _id: userId },
+    { $set: { 'security.failedLoginAttempts': 0, 'security.lockedUntil': null } }
+  );
+  return result.matchedCount === 1;
+};
+
+/**
+ * Write an audit entry for other account events (logout, password change/reset)
+ * @param {string} action - AuditLog action, e.g. 'USER_LOGOUT'
+ */
+export const auditAccountEvent = (req, user, action, { status = 'success', reason = null, metadata = {} } = {}) => {
+  return AuditLog.logRequest(req, {
+    action,
+    user,
+    resourceType: 'User',
+    resourceId: user._id,
+    status,
+    errorMessage: reason,
+    metadata: {
+      ...describeRequest(req),
+      ...metadata,
+    },
+  });
+};
+
+export default {
+  getNetwork,
+  assertNotLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+  auditAccountEvent,
+};
@@ -1,200 +1,347 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
 import { Strategy as LinkedInStrategy } from 'passport-linkedin-oauth2';
 import { Strategy as GitHubStrategy } from 'passport-github2';
-import User from '../models/User.js';
+import User, { OAUTH_PROVIDERS } from '../models/User.js';
+import Resume from '../models/Resume.js';
+import { AppError, NotFoundError, ConflictError } from '../utils/errorHandler.js';
+import { recordPasswordCheck } from './orgSecurityService.js';
 import { logger } from '../utils/logger.js';
 
 /**
  * OAuth Service
  * Configures social authentication strategies
  * Supports: Google, LinkedIn, GitHub
+ *
+ * Each provider's endpoints can be overridden with <PROVIDER>_AUTHORIZATION_URL,
+ * <PROVIDER>_TOKEN_URL and <PROVIDER>_USERINFO_URL so the flow can run against
+ * a local mock OIDC provider (see scripts/mock-oidc-server.js).
  */
 
+const STATE_COOKIE = 'oauth_state';
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const PROVIDERS = {
+  google: {
+    label: 'Google',
+    envPrefix: 'GOOGLE',
+    Strategy: GoogleStrategy,
+    scope: ['openid', 'profile', 'email']
+  },
+  linkedin: {
+    label: 'LinkedIn',
+    envPrefix: 'LINKEDIN',
+    Strategy: LinkedInStrategy,
+    scope: ['r_emailaddress', 'r_liteprofile']
+  },
+  github: {
+    label: 'GitHub',
+    envPrefix: 'GITHUB',
+    Strategy: GitHubStrategy,
+    scope: ['read:user', 'user:email'],
+    // Include the verified flag on each email address
+    options: { allRawEmails: true }
+  }
+};
+
+const configuredProviders = new Set();
+
+const getBackendUrl = () => process.env.BACKEND_URL || 'http://localhost:8000';
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+};
+
 /**
- * Initialize Passport strategies
+ * Stateless OAuth state store
+ * The state parameter is a signed JWT carrying the flow context (login or
+ * link). A nonce cookie binds it to the browser that started the flow, so a
+ * callback URL replayed in another browser is rejected.
  */
-export const initializePassport = () => {
-  // Serialize user for session
-  passport.serializeUser((user, done) => {
-    done(null, user.id);
-  });
+const stateStore = {
+  store(req, state, meta, callback) {
+    try {
+      const nonce = crypto.randomBytes(16).toString('hex');
+
+      req.res.cookie(STATE_COOKIE, nonce, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: STATE_TTL_MS,
+        path: '/api/auth'
+      });
+
+      const signed = jwt.sign(
+        { ...(state || {}), nonce, type: 'oauth-state' },
+        process.env.JWT_SECRET,
+        { expiresIn: Math.floor(STATE_TTL_MS / 1000) }
+      );
+
+      callback(null, signed);
+    } catch (error) {
+      callback(error);
+    }
+  },
 
-  // Deserialize user from session
-  passport.deserializeUser(async (id, done) => {
+  verify(req, providedState, callback) {
     try {
-      const user = await User.findById(id);
-      done(null, user);
+      const decoded = jwt.verify(providedState, process.env.JWT_SECRET);
+      const nonce = readCookie(req, STATE_COOKIE);
+
+      req.res.clearCookie(STATE_COOKIE, { path: '/api/auth' });
+
+      if (decoded.type !== 'oauth-state' || !nonce || nonce !== decoded.nonce) {
+        return callback(null, false, { message: 'Invalid sign-in request. Please try again.' });
+      }
+
+      callback(null, true, decoded);
     } catch (error) {
-      done(error, null);
+      callback(null, false, { message: 'Sign-in request expired. Please try again.' });
+    }
+  }
+};
+
+/**
+ * Initialize Passport strategies
+ * Sessions are not used: callbacks hand back our own JWT pair
+ */
+export const initializePassport = () => {
+  for (const [provider, config] of Object.entries(PROVIDERS)) {
+    const prefix = config.envPrefix;
+    const clientID = process.env[`${prefix}_CLIENT_ID`];
+    const clientSecret = process.env[`${prefix}_CLIENT_SECRET`];
+
+    if (!clientID || !clientSecret) {
+      logger.warn(`⚠️ ${config.label} OAuth not configured (missing credentials)`);
+      continue;
+    }
+
+    const options = {
+      clientID,
+      clientSecret,
+      callbackURL: `${getBackendUrl()}/api/auth/${provider}/callback`,
+      scope: config.scope,
+      store: stateStore,
+      ...config.options
+    };
+
+    // Endpoint overrides (mock provider / self-hosted gateways)
+    if (process.env[`${prefix}_AUTHORIZATION_URL`]) {
+      options.authorizationURL = process.env[`${prefix}_AUTHORIZATION_URL`];
+    }
+    if (process.env[`${prefix}_TOKEN_URL`]) {
+      options.tokenURL = process.env[`${prefix}_TOKEN_URL`];
+    }
+    if (process.env[`${prefix}_USERINFO_URL`]) {
+      options.userProfileURL = process.env[`${prefix}_USERINFO_URL`];
     }
-  });
 
-  // Google OAuth Strategy
-  if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
     passport.use(
-      new GoogleStrategy(
-        {
-          clientID: process.env.GOOGLE_CLIENT_ID,
-          clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-          callbackURL: `${process.env.BACKEND_URL || 'http://localhost:8000'}/api/auth/google/callback`,
-          scope: ['profile', 'email']
-        },
-        async (accessToken, refreshToken, profile, done) => {
-          try {
-            const result = await handleOAuthProfile('google', profile, accessToken);
-            done(null, result);
-          } catch (error) {
-            done(error, null);
-          }
+      new config.Strategy(options, (accessToken, refreshToken, profile, done) => {
+        try {
+          done(null, normalizeProfile(provider, profile));
+        } catch (error) {
+          done(error, null);
         }
-      )
+      })
     );
-    logger.info('✅ Google OAuth configured');
-  } else {
-    logger.warn('⚠️ Google OAuth not configured (missing credentials)');
+
+    configuredProviders.add(provider);
+    logger.info(`✅ ${config.label} OAuth configured`);
   }
+};
 
-  // LinkedIn OAuth Strategy
-  if (process.env.LINKEDIN_CLIENT_ID && process.env.LINKEDIN_CLIENT_SECRET) {
-    passport.use(
-      new LinkedInStrategy(
-        {
-          clientID: process.env.LINKEDIN_CLIENT_ID,
-          clientSecret: process.env.LINKEDIN_CLIENT_SECRET,
-          callbackURL: `${process.env.BACKEND_URL || 'http://localhost:8000'}/api/auth/linkedin/callback`,
-          scope: ['r_emailaddress', 'r_liteprofile'],
-          state: true
-        },
-        async (accessToken, refreshToken, profile, done) => {
-          try {
-            const result = await handleOAuthProfile('linkedin', profile, accessToken);
-            done(null, result);
-          } catch (error) {
-            done(error, null);
-          }
-        }
-      )
-    );
-    logger.info('✅ LinkedIn OAuth configured');
-  } else {
-    logger.warn('⚠️ LinkedIn OAuth not configured (missing credentials)');
+/**
+ * Check whether a provider is known and has credentials
+ */
+export const isProviderConfigured = (provider) => configuredProviders.has(provider);
+
+/**
+ * List all supported providers with their configuration status
+ */
+export const getAvailableProviders = () => {
+  return Object.entries(PROVIDERS).map(([provider, config]) => ({
+    provider,
+    label: config.label,
+    enabled: configuredProviders.has(provider)
+  }));
+};
+
+/**
+ * Normalize a passport profile into the shape stored on the user
+ */
+const normalizeProfile = (provider, profile) => {
+  const emails = profile.emails || [];
+  // GitHub (allRawEmails) marks the primary address; others list it first
+  const primary = emails.find(e => e.primary) || emails[0] || null;
+
+  let emailVerified = false;
+  if (primary) {
+    if (provider === 'linkedin') {
+      // LinkedIn only returns confirmed primary addresses
+      emailVerified = true;
+    } else {
+      emailVerified = primary.verified === true || primary.verified === 'true';
+    }
   }
 
-  // GitHub OAuth Strategy
-  if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
-    passport.use(
-      new GitHubStrategy(
-        {
-          clientID: process.env.GITHUB_CLIENT_ID,
-          clientSecret: process.env.GITHUB_CLIENT_SECRET,
-          callbackURL: `${process.env.BACKEND_URL || 'http://localhost:8000'}/api/auth/github/callback`,
-          scope: ['user:email']
-        },
-        async (accessToken, refreshToken, profile, done) => {
-          try {
-            const result = await handleOAuthProfile('github', profile, accessToken);
-            done(null, result);
-          } catch (error) {
-            done(error, null);
-          }
-        }
-      )
-    );
-    logger.info('✅ GitHub OAuth configured');
-  } else {
-    logger.warn('⚠️ GitHub OAuth not configured (missing credentials)');
+  let profileUrl = profile.profileUrl || null;
+  if (!profileUrl && provider === 'linkedin' && profile._json?.vanityName) {
+    profileUrl = `https://www.linkedin.com/in/${profile._json.vanityName}`;
+  }
+
+  const email = primary?.value?.toLowerCase() || null;
+  const displayName = profile.displayName ||
+    `${profile.name?.givenName || ''} ${profile.name?.familyName || ''}`.trim() ||
+    profile.username ||
+    email?.split('@')[0] ||
+    null;
+
+  return {
+    provider,
+    id: String(profile.id),
+    email,
+    emailVerified,
+    displayName,
+    avatar: profile.photos?.[0]?.value || null,
+    profileUrl
+  };
+};
+
+const toOAuthAccount = (oauthProfile, existing) => ({
+  id: oauthProfile.id,
+  email: oauthProfile.email,
+  displayName: oauthProfile.displayName,
+  avatar: oauthProfile.avatar,
+  profileUrl: oauthProfile.profileUrl,
+  connectedAt: existing?.connectedAt || new Date(),
+  lastLogin: new Date()
+});
+
+// Fill empty profile links from a provider profile (never overwrites)
+const applySocialLinks = (links, provider, profileUrl) => {
+  if (!profileUrl || !['github', 'linkedin'].includes(provider)) {
+    return false;
   }
+  if (links[provider]) {
+    return false;
+  }
+  links[provider] = profileUrl;
+  return true;
 };
 
 /**
- * Handle OAuth profile from any provider
+ * Sign in (or sign up) with a provider profile
+ * Existing accounts are only matched by email when the provider has verified
+ * that address; otherwise the user must link the provider from settings.
+ * @returns {Promise<{user: object, isNewUser: boolean}>}
  */
-const handleOAuthProfile = async (provider, profile, accessToken) => {
-  try {
-    // Extract email from profile
-    const email = profile.emails?.[0]?.value || profile.email || `${profile.id}@${provider}.oauth`;
-    
-    // Extract name
-    const displayName = profile.displayName || `${profile.name?.givenName || ''} ${profile.name?.familyName || ''}`.trim() || email.split('@')[0];
-    
-    // Extract avatar
-    const avatar = profile.photos?.[0]?.value || profile.picture || profile.avatar_url || null;
-
-    // Check if user exists
-    let user = await User.findOne({
-      $or: [
-        { email: email.toLowerCase() },
-        { [`oauth.${provider}.id`]: profile.id }
-      ]
-    });
+export const completeOAuthLogin = async (oauthProfile) => {
+  const { provider } = oauthProfile;
 
-    if (user) {
-      // Update existing user with OAuth info
-      user.oauth = user.oauth || {};
-      user.oauth[provider] = {
-        id: profile.id,
-        accessToken,
-        profile: {
-          displayName,
-          email,
-          avatar,
-          profileUrl: profile.profileUrl || profile.url || null
-        },
-        lastLogin: new Date()
-      };
-
-      // Update avatar if not set
-      if (!user.avatar && avatar) {
-        user.avatar = avatar;
-      }
+  let user = await User.findOne({ [`oauth.${provider}.id`]: oauthProfile.id }).select('+password');
+  let isNewUser = false;
 
-      // Update name if not set
-      if (!user.name && displayName) {
-        user.name = displayName;
+  if (!user && oauthProfile.email) {
+    const existing = await User.findByEmail(oauthProfile.email).select('+password');
+
+    if (existing) {
+      if (!oauthProfile.emailVerified) {
+        throw new AppError(
+          `An account with this email already exists. Sign in with your password and connect ${PROVIDERS[provider].label} from Settings.`,
+          409,
+          'OAUTH_EMAIL_EXISTS'
+        );
       }
+      user = existing;
+      logger.info(`Linked ${provider} to existing account by verified email: ${user.email}`);
+    }
+  }
 
-      user.lastLoginAt = new Date();
-      await user.save();
+  if (!user) {
+    if (!oauthProfile.email) {
+      throw new AppError(
+        `${PROVIDERS[provider].label} did not share an email address. Please register with email instead.`,
+        400,
+        'OAUTH_EMAIL_MISSING'
+      );
+    }
 
-      logger.info(`Existing user logged in via ${provider}: ${email}`);
-    } else {
-      // Create new user
-      user = new User({
-        email: email.toLowerCase(),
-        name: displayName,
-        avatar,
-        role: 'candidate',
-        isActive: true,
-        emailVerified: true, // OAuth emails are pre-verified
-        oauth: {
-          [provider]: {
-            id: profile.id,
-            accessToken,
-            profile: {
-              displayName,
-              email,
-              avatar,
-              profileUrl: profile.profileUrl || profile.url || null
-            },
-            lastLogin: new Date()
-          }
-        },
-        lastLoginAt: new Date()
-      });
+    user = new User({
+      name: oauthProfile.displayName,
+      email: oauthProfile.email,
+      avatar_url: oauthProfile.avatar,
+      role: 'user',
+      isEmailVerified: oauthProfile.emailVerified
+    });
+    isNewUser = true;
+  }
 
-      await user.save();
-      logger.info(`New user created via ${provider}: ${email}`);
-    }
+  if (!user.isActive) {
+    throw new AppError('Your account has been deactivated. Please contact support.', 403, 'ACCOUNT_INACTIVE');
+  }
 
-    return {
-      user,
-      isNewUser: !user.oauth?.[provider]?.lastLogin
-    };
-  } catch (error) {
-    logger.error(`OAuth profile handling error (${provider}):`, error);
-    throw error;
+  user.set(`oauth.${provider}`, toOAuthAccount(oauthProfile, user.oauth?.[provider]));
+
+  if (!user.avatar_url && oauthProfile.avatar) {
+    user.avatar_url = oauthProfile.avatar;
+  }
+  // A verified provider email proves ownership of the same address
+  if (!user.isEmailVerified && oauthProfile.emailVerified && oauthProfile.email === user.email) {
+    user.isEmailVerified = true;
+  }
+  applySocialLinks(user.social_links, provider, oauthProfile.profileUrl);
+
+  // Org password policies have nothing to check on social-only accounts
+  if (!user.password) {
+    recordPasswordCheck(user);
+  }
+
+  user.lastLoginAt = new Date();
+
+  if (isNewUser) {
+    user.calculateProfileCompleteness();
+  }
+
+  await user.save();
+
+  logger.info(`${isNewUser ? 'New user created' : 'User logged in'} via ${provider}: ${user.email}`);
+
+  return { user, isNewUser };
+};
+
+/**
+ * Link a provider to an existing (signed-in) account
+ */
+export const linkOAuthProvider = async (userId, oauthProfile) => {
+  const { provider } = oauthProfile;
+
+  const owner = await User.findOne({ [`oauth.${provider}.id`]: oauthProfile.id }).select('_id');
+  if (owner && owner._id.toString() !== userId.toString()) {
+    throw new ConflictError(`This ${PROVIDERS[provider].label} account is already connected to another user`);
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError('User');
   }
+
+  user.set(`oauth.${provider}`, toOAuthAccount(oauthProfile, user.oauth?.[provider]));
+  applySocialLinks(user.social_links, provider, oauthProfile.profileUrl);
+  await user.save();
+
+  logger.info(`OAuth provider linked for user ${userId}: ${provider}`);
+
+  return user;
 };
 
 /**
@@ -206,9 +353,9 @@ export const importLinkedInProfile = async (accessToken) => {
     // Note: LinkedIn API v2 requires specific endpoints
     // This is a placeholder for LinkedIn profile import
     // Actual implementation requires LinkedIn API calls
-    
+
     logger.info('LinkedIn profile import requested');
-    
+
     return {
       success: true,
       message: 'LinkedIn profile import coming soon',
@@ -222,68 +369,123 @@ export const importLinkedInProfile = async (accessToken) => {
 
 /**
  * Revoke OAuth access
+ * Refuses to remove the last way to sign in (no password, no other provider)
  */
 export const revokeOAuthAccess = async (userId, provider) => {
-  try {
-    const user = await User.findById(userId);
-    
-    if (!user || !user.oauth?.[provider]) {
-      throw new Error(`No ${provider} OAuth connection found`);
-    }
+  const user = await User.findById(userId).select('+password');
 
-    // Remove OAuth data
-    delete user.oauth[provider];
-    await user.save();
+  if (!user || !user.oauth?.[provider]?.id) {
+    throw new NotFoundError(`${PROVIDERS[provider]?.label || provider} connection`);
+  }
 
-    logger.info(`OAuth access revoked for user ${userId}: ${provider}`);
-    
-    return {
-      success: true,
-      message: `${provider} connection removed successfully`
-    };
-  } catch (error) {
-    logger.error('OAuth revoke error:', error);
-    throw error;
+  const remaining = user.getLinkedProviders().filter(p => p !== provider);
+  if (!user.password && remaining.length === 0) {
+    throw new AppError(
+      'Set a password before disconnecting your only sign-in method',
+      400,
+      'OAUTH_LAST_LOGIN_METHOD'
+    );
   }
+
+  user.set(`oauth.${provider}`, undefined);
+  await user.save();
+
+  logger.info(`OAuth access revoked for user ${userId}: ${provider}`);
+
+  return {
+    success: true,
+    message: `${PROVIDERS[provider].label} connection removed successfully`
+  };
 };
 
 /**
  * Get user's connected OAuth providers
  */
 export const getConnectedProviders = async (userId) => {
-  try {
-    const user = await User.findById(userId).select('oauth');
-    
-    if (!user) {
-      throw new Error('User not found');
-    }
+  const user = await User.findById(userId).select('oauth password');
 
-    const providers = [];
-    
-    if (user.oauth) {
-      for (const [provider, data] of Object.entries(user.oauth)) {
-        providers.push({
-          provider,
-          connectedAt: data.lastLogin,
-          profile: {
-            displayName: data.profile?.displayName,
-            email: data.profile?.email,
-            avatar: data.profile?.avatar
-          }
-        });
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  const providers = user.getLinkedProviders().map(provider => {
+    const account = user.oauth[provider];
+    return {
+      provider,
+      label: PROVIDERS[provider].label,
+      connectedAt: account.connectedAt,
+      lastLogin: account.lastLogin,
+      profile: {
+        displayName: account.displayName,
+        email: account.email,
+        avatar: account.avatar,
+        profileUrl: account.profileUrl
       }
+    };
+  });
+
+  return {
+    providers,
+    hasPassword: Boolean(user.password)
+  };
+};
+
+/**
+ * Prefill a resume's profile.socialLinks from connected provider profiles
+ * Only empty links are filled; uses the latest resume when no id is given
+ */
+export const prefillResumeSocialLinks = async (userId, resumeId = null) => {
+  const user = await User.findById(userId).select('oauth');
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  const query = { userId, isActive: true };
+  if (resumeId) {
+    query.resumeId = resumeId;
+  }
+
+  const resume = await Resume.findOne(query).sort({ createdAt: -1 });
+  if (!resume) {
+    throw new NotFoundError('Resume');
+  }
+
+  if (!resume.profile) {
+    resume.profile = {};
+  }
+  if (!resume.profile.socialLinks) {
+    resume.profile.socialLinks = {};
+  }
+
+  const filled = [];
+  for (const provider of OAUTH_PROVIDERS) {
+    const profileUrl = user.oauth?.[provider]?.profileUrl;
+    if (applySocialLinks(resume.profile.socialLinks, provider, profileUrl)) {
+      filled.push(provider);
     }
+  }
 
-    return providers;
-  } catch (error) {
-    logger.error('Get connected providers error:', error);
-    throw error;
+  if (filled.length > 0) {
+    resume.markModified('profile.socialLinks');
+    await resume.save();
+    logger.info(`Prefilled social links on resume ${resume.resumeId}: ${filled.join(', ')}`);
   }
+
+  return {
+    resumeId: resume.resumeId,
+    filled,
+    socialLinks: resume.profile.socialLinks
+  };
 };
 
 export default {
   initializePassport,
+  isProviderConfigured,
+  getAvailableProviders,
+  completeOAuthLogin,
+  linkOAuthProvider,
   importLinkedInProfile,
   revokeOAuthAccess,
-  getConnectedProviders
+  getConnectedProviders,
+  prefillResumeSocialLinks
 };
@@ -0,0 +1,321 @@
+import net from 'net';
+import Organization from '../models/Organization.js';
+import { AppError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Organization Security Service
+ * Enforces settings.security for organization members:
+ * - passwordPolicy: checked whenever we see a plaintext password (login,
+ *   password change/reset); members who fail are blocked from the org
+ * - requireMFA: forces the email 2FA challenge at login and requires an
+ *   MFA-backed session (token `mfa` claim) for org routes
+ * - ipWhitelist: IPs / CIDR ranges allowed to reach org routes, matched
+ *   against req.ip; behind a reverse proxy set TRUST_PROXY (see
+ *   middleware/securityMiddleware.js) or every request has the proxy's address
+ * - sessionTimeout: max seconds since sign-in for org routes
+ */
+
+const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumbers: true,
+  requireSpecialChars: false
+};
+
+const DEFAULT_SESSION_TIMEOUT = 3600;
+const MIN_SESSION_TIMEOUT = 300;
+
+/**
+ * Resolve an organization's security settings with schema defaults applied
+ */
+export const getSecuritySettings = (organization) => {
+  const security = organization?.settings?.security || {};
+  const policy = security.passwordPolicy || {};
+
+  return {
+    requireMFA: Boolean(security.requireMFA),
+    passwordPolicy: {
+      minLength: policy.minLength ?? DEFAULT_PASSWORD_POLICY.minLength,
+      requireUppercase: policy.requireUppercase ?? DEFAULT_PASSWORD_POLICY.requireUppercase,
+      requireLowercase: policy.requireLowercase ?? DEFAULT_PASSWORD_POLICY.requireLowercase,
+      requireNumbers: policy.requireNumbers ?? DEFAULT_PASSWORD_POLICY.requireNumbers,
+      requireSpecialChars: policy.requireSpecialChars ?? DEFAULT_PASSWORD_POLICY.requireSpecialChars
+    },
+    ipWhitelist: (security.ipWhitelist || []).filter(Boolean),
+    sessionTimeout: security.sessionTimeout || DEFAULT_SESSION_TIMEOUT,
+    policyUpdatedAt: security.policyUpdatedAt || null
+  };
+};
+
+/**
+ * Check a plaintext password against a password policy
+ * @returns {string[]} unmet requirements (empty when compliant)
+ */
+export const checkPasswordPolicy = (password, policy) => {
+  const failures = [];
+  const value = password || '';
+
+  if (value.length < policy.minLength) {
+    failures.push(`at least ${policy.minLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    failures.push('an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    failures.push('a lowercase letter');
+  }
+  if (policy.requireNumbers && !/\d/.test(value)) {
+    failures.push('a number');
+  }
+  if (policy.requireSpecialChars && !/[^A-Za-z0-9]/.test(value)) {
+    failures.push('a special character');
+  }
+
+  return failures;
+};
+
+const normalizeIp = (ip = '') => ip.replace(/^::ffff:/, '');
+
+const addAllowlistEntry = (blockList, entry) => {
+  const [address, prefix] = entry.trim().split('/');
+  const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+
+  if (!net.isIP(address)) {
+    return false;
+  }
+
+  if (prefix === undefined) {
+    blockList.addAddress(address, type);
+    return true;
+  }
+
+  const bits = Number(prefix);
+  const maxBits = type === 'ipv6' ? 128 : 32;
+  if (!Number.isInteger(bits) || bits < 0 || bits > maxBits) {
+    return false;
+  }
+
+  blockList.addSubnet(address, bits, type);
+  return true;
+};
+
+/**
+ * Check whether an IP is allowed by an allowlist of addresses / CIDR ranges
+ * An empty allowlist allows every address
+ */
+export const isIpAllowed = (ip, allowlist = []) => {
+  if (!allowlist.length) {
+    return true;
+  }
+
+  const address = normalizeIp(ip);
+  const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  if (!net.isIP(address)) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  allowlist.forEach(entry => addAllowlistEntry(blockList, entry));
+  return blockList.check(address, type);
+};
+
+/**
+ * Validate a settings.security update from an org admin
+ * @param {object} security - Incoming settings.security
+ * @param {string} requesterIp - IP of the admin making the change
+ * @returns {string[]} validation errors (empty when valid)
+ */
+export const validateSecuritySettings = (security = {}, requesterIp) => {
+  const errors = [];
+
+  if (security.ipWhitelist !== undefined) {
+    if (!Array.isArray(security.ipWhitelist)) {
+      errors.push('ipWhitelist must be an array of IP addresses or CIDR ranges');
+    } else {
+      const invalid = security.ipWhitelist.filter(entry => {
+        return typeof entry !== 'string' || !addAllowlistEntry(new net.BlockList(), entry);
+      });
+      if (invalid.length) {
+        errors.push(`Invalid ipWhitelist entries: ${invalid.join(', ')}`);
+      } else if (!isIpAllowed(requesterIp, security.ipWhitelist)) {
+        errors.push(`ipWhitelist must include your current IP address (${normalizeIp(requesterIp)})`);
+      }
+    }
+  }
+
+  if (security.sessionTimeout !== undefined) {
+    const timeout = Number(security.sessionTimeout);
+    if (!Number.isInteger(timeout) || timeout < MIN_SESSION_TIMEOUT) {
+      errors.push(`sessionTimeout must be a whole number of seconds, at least ${MIN_SESSION_TIMEOUT}`);
+    }
+  }
+
+  const policy = security.passwordPolicy;
+  if (policy?.minLength !== undefined) {
+    const minLength = Number(policy.minLength);
+    if (!Number.isInteger(minLength) || minLength < 6 || minLength > 128) {
+      errors.push('passwordPolicy.minLength must be between 6 and 128');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Check a password against every organization the user belongs to
+ * @param {object[]} [organizations] - Already-loaded organizations of the user
+ * @returns {Promise<{organizations: object[], violations: object[]}>}
+ */
+export const checkPasswordForUser = async (userId, password, organizations = null) => {
+  organizations = organizations || await Organization.getUserOrganizations(userId);
+
+  const violations = organizations
+    .map(organization => ({
+      organization,
+      failures: checkPasswordPolicy(password, getSecuritySettings(organization).passwordPolicy)
+    }))
+    .filter(result => result.failures.length > 0);
+
+  return { organizations, violations };
+};
+
+/**
+ * Record the result of a password policy check on the user (caller saves)
+ */
+export const recordPasswordCheck = (user, violations = []) => {
+  user.security = user.security || {};
+  user.security.passwordCheckedAt = new Date();
+  user.security.passwordPolicyViolations = violations.map(v => v.organization._id);
+
+  violations.forEach(({ organization, failures }) => {
+    logger.warn(`Org security: password for ${user.email} does not meet ${organization.slug} policy (needs ${failures.join(', ')})`);
+  });
+};
+
+/**
+ * Build a client-facing description of policy violations
+ */
+export const describeViolations = (violations) => {
+  return violations.map(({ organization, failures }) => ({
+    organization: organization.name,
+    slug: organization.slug,
+    requirements: failures
+  }));
+};
+
+/**
+ * Determine login requirements from the user's organizations
+ * @returns {Promise<{organizations: object[], requireMFA: boolean, mfaOrganizations: string[]}>}
+ */
+export const getLoginRequirements = async (userId) => {
+  const organizations = await Organization.getUserOrganizations(userId);
+  const mfaOrganizations = organizations
+    .filter(organization => getSecuritySettings(organization).requireMFA)
+    .map(organization => organization.slug);
+
+  return {
+    organizations,
+    requireMFA: mfaOrganizations.length > 0,
+    mfaOrganizations
+  };
+};
+
+const deny = (context, message, statusCode, code, details = null) => {
+  logger.warn(`Org security: denied ${context.email} on ${context.slug} [${code}] ${context.detail || ''}`.trim());
+  return new AppError(message, statusCode, code, details);
+};
+
+/**
+ * Enforce an organization's security settings for an authenticated request
+ * Expects req.user (full user document) and req.auth (token claims);
+ * API key requests (req.apiKey) are only subject to the IP allowlist
+ * @throws {AppError} when any check fails
+ */
+export const enforceOrganizationSecurity = (req, organization) => {
+  const settings = getSecuritySettings(organization);
+  const user = req.user;
+  const context = { email: req.apiKey ? `API key ${req.apiKey.prefix}` : user.email, slug: organization.slug };
+  const applied = [];
+
+  // IP allowlist
+  if (settings.ipWhitelist.length) {
+    if (!isIpAllowed(req.ip, settings.ipWhitelist)) {
+      context.detail = `ip=${normalizeIp(req.ip)}`;
+      throw deny(context, 'Access from your network is not allowed by your organization', 403, 'ORG_IP_NOT_ALLOWED');
+    }
+    applied.push('ip');
+  }
+
+  // API keys have no sign-in session; only the network restriction applies
+  if (req.apiKey) {
+    logger.info(`Org security: allowed API key ${req.apiKey.prefix} on ${organization.slug} (${applied.join(', ') || 'none'})`);
+    return;
+  }
+
+  // Session age (absolute, measured from sign-in; refresh keeps the original time)
+  const authTime = req.auth?.authTime;
+  if (!authTime || Date.now() / 1000 - authTime > settings.sessionTimeout) {
+    context.detail = `authTime=${authTime || 'unknown'} timeout=${settings.sessionTimeout}s`;
+    throw deny(context, 'Your organization requires you to sign in again', 401, 'ORG_SESSION_EXPIRED');
+  }
+  applied.push('session');
+
+  // MFA-backed session
+  if (settings.requireMFA) {
+    if (!req.auth?.mfa) {
+      throw deny(
+        context,
+        'Your organization requires two-factor authentication. Please sign in again to receive a login code.',
+        401,
+        'ORG_MFA_REQUIRED'
+      );
+    }
+    applied.push('mfa');
+  }
+
+  // Password policy: the password must have been checked since the policy
+  // last changed. Members who join while signed in are checked at their next
+  // sign-in; register and login check after joining through an invitation.
+  const violated = (user.security?.passwordPolicyViolations || [])
+    .some(id => id.toString() === organization._id.toString());
+
+  if (violated) {
+    throw deny(
+      context,
+      'Your password does not meet your organization\'s password policy. Please update your password.',
+      403,
+      'ORG_PASSWORD_POLICY',
+      { passwordPolicy: settings.passwordPolicy }
+    );
+  }
+
+  const checkedAt = user.security?.passwordCheckedAt;
+  const mustCheckAfter = settings.policyUpdatedAt ? new Date(settings.policyUpdatedAt).getTime() : 0;
+
+  if (!checkedAt || new Date(checkedAt).getTime() < mustCheckAfter) {
+    context.detail = 'password not checked against current policy';
+    throw deny(
+      context,
+      'Your organization updated its security policy. Please sign in again with your password.',
+      401,
+      'ORG_SESSION_EXPIRED'
+    );
+  }
+  applied.push('password');
+
+  logger.info(`Org security: allowed ${user.email} on ${organization.slug} (${applied.join(', ')})`);
+};
+
+export default {
+  getSecuritySettings,
+  checkPasswordPolicy,
+  isIpAllowed,
+  validateSecuritySettings,
+  checkPasswordForUser,
+  recordPasswordCheck,
+  describeViolations,
+  getLoginRequirements,
+  enforceOrganizationSecurity
+};
@@ -0,0 +1,190 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import { parseTrustProxy } from '../middleware/securityMiddleware.js';
+import {
+  checkPasswordPolicy,
+  enforceOrganizationSecurity,
+  getSecuritySettings,
+  isIpAllowed,
+  validateSecuritySettings,
+} from './orgSecurityService.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+const organization = (security = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  slug: 'acme',
+  settings: { security },
+  members: [{ userId, role: 'recruiter', joinedAt: new Date(Date.now() - 60 * 60 * 1000) }],
+});
+
+const request = (overrides = {}) => ({
+  ip: '203.0.113.7',
+  user: {
+    _id: userId,
+    email: 'recruiter@example.com',
+    security: { passwordCheckedAt: new Date(), passwordPolicyViolations: [] },
+  },
+  auth: { authTime: Math.floor(Date.now() / 1000) - 60, mfa: false },
+  ...overrides,
+});
+
+describe('isIpAllowed', () => {
+  test('allows every address when the allowlist is empty', () => {
+    assert.equal(isIpAllowed('198.51.100.1', []), true);
+  });
+
+  test('matches single addresses and CIDR ranges', () => {
+    const allowlist = ['203.0.113.7', '10.0.0.0/8', '2001:db8::/32'];
+    assert.equal(isIpAllowed('203.0.113.7', allowlist), true);
+    assert.equal(isIpAllowed('10.20.30.40', allowlist), true);
+    assert.equal(isIpAllowed('2001:db8::1', allowlist), true);
+    assert.equal(isIpAllowed('203.0.113.8', allowlist), false);
+    assert.equal(isIpAllowed('2001:db9::1', allowlist), false);
+  });
+
+  test('matches IPv4-mapped IPv6 addresses as IPv4', () => {
+    assert.equal(isIpAllowed('::ffff:10.1.2.3', ['10.0.0.0/8']), true);
+  });
+
+  test('rejects addresses that are not IPs', () => {
+    assert.equal(isIpAllowed('unknown', ['10.0.0.0/8']), false);
+    assert.equal(isIpAllowed(undefined, ['10.0.0.0/8']), false);
+  });
+});
+
+describe('validateSecuritySettings', () => {
+  test('rejects malformed allowlist entries', () => {
+    const errors = validateSecuritySettings({ ipWhitelist: ['10.0.0.0/33', 'example.com'] }, '10.0.0.1');
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /Invalid ipWhitelist entries: 10\.0\.0\.0\/33, example\.com/);
+  });
+
+  test('refuses an allowlist that locks out the admin making the change', () => {
+    const errors = validateSecuritySettings({ ipWhitelist: ['10.0.0.0/8'] }, '203.0.113.7');
+    assert.match(errors[0], /must include your current IP address \(203\.0\.113\.7\)/);
+  });
+
+  test('rejects session timeouts below the minimum', () => {
+    assert.equal(validateSecuritySettings({ sessionTimeout: 60 }, '10.0.0.1').length, 1);
+    assert.deepEqual(validateSecuritySettings({ sessionTimeout: 900 }, '10.0.0.1'), []);
+  });
+});
+
+describe('checkPasswordPolicy', () => {
+  test('lists every unmet requirement', () => {
+    const policy = getSecuritySettings(organization({ passwordPolicy: { minLength: 12, requireSpecialChars: true } })).passwordPolicy;
+    assert.deepEqual(checkPasswordPolicy('short', policy), [
+      'at least 12 characters',
+      'an uppercase letter',
+      'a number',
+      'a special character',
+    ]);
+    assert.deepEqual(checkPasswordPolicy('Long-enough-pass1', policy), []);
+  });
+});
+
+describe('enforceOrganizationSecurity', () => {
+  test('blocks addresses outside the allowlist', () => {
+    assert.throws(
+      () => enforceOrganizationSecurity(request(), organization({ ipWhitelist: ['10.0.0.0/8'] })),
+      { code: 'ORG_IP_NOT_ALLOWED', statusCode: 403 }
+    );
+    enforceOrganizationSecurity(request({ ip: '10.1.1.1' }), organization({ ipWhitelist: ['10.0.0.0/8'] }));
+  });
+
+  test('only applies the allowlist to API key requests', () => {
+    const apiKeyRequest = request({ user: undefined, auth: undefined, apiKey: { prefix: 'rg_live_ab' } });
+    enforceOrganizationSecurity(apiKeyRequest, organization({ requireMFA: true }));
+    assert.throws(
+      () => enforceOrganizationSecurity(apiKeyRequest, organization({ ipWhitelist: ['10.0.0.0/8'] })),
+      { code: 'ORG_IP_NOT_ALLOWED' }
+    );
+  });
+
+  test('expires sessions older than the session timeout', () => {
+    const stale = request({ auth: { authTime: Math.floor(Date.now() / 1000) - 7200 } });
+    assert.throws(
+      () => enforceOrganizationSecurity(stale, organization({ sessionTimeout: 3600 })),
+      { code: 'ORG_SESSION_EXPIRED', statusCode: 401 }
+    );
+  });
+
+  test('requires an MFA-backed session when the organization requires MFA', () => {
+    assert.throws(
+      () => enforceOrganizationSecurity(request(), organization({ requireMFA: true })),
+      { code: 'ORG_MFA_REQUIRED' }
+    );
+    const mfaRequest = request({ auth: { authTime: Math.floor(Date.now() / 1000) - 60, mfa: true } });
+    enforceOrganizationSecurity(mfaRequest, organization({ requireMFA: true }));
+  });
+
+  test('requires a password check after the policy changed', () => {
+    const req = request();
+    req.user.security.passwordCheckedAt = new Date(Date.now() - 10 * 60 * 1000);
+    assert.throws(
+      () => enforceOrganizationSecurity(req, organization({ policyUpdatedAt: new Date() })),
+      { code: 'ORG_SESSION_EXPIRED' }
+    );
+  });
+
+  test('does not lock out a member who joined after their last password check', () => {
+    const org = organization();
+    org.members[0].joinedAt = new Date();
+    const req = request();
+    req.user.security.passwordCheckedAt = new Date(Date.now() - 10 * 60 * 1000);
+    enforceOrganizationSecurity(req, org);
+  });
+
+  test('blocks members whose password violates the policy', () => {
+    const org = organization();
+    const req = request();
+    req.user.security.passwordPolicyViolations = [org._id];
+    assert.throws(() => enforceOrganizationSecurity(req, org), { code: 'ORG_PASSWORD_POLICY', statusCode: 403 });
+  });
+});
+
+describe('IP allowlist behind a reverse proxy', () => {
+  // The test client connects from loopback, as a proxy on the same host would
+  const requestThroughProxy = async (trustProxy, forwardedFor) => {
+    const app = express();
+    app.set('trust proxy', parseTrustProxy(trustProxy));
+    app.get('/', (req, res) => {
+      try {
+        enforceOrganizationSecurity(request({ ip: req.ip }), organization({ ipWhitelist: ['203.0.113.0/24'] }));
+        res.json({ ip: req.ip, allowed: true });
+      } catch (error) {
+        res.status(error.statusCode).json({ ip: req.ip, allowed: false });
+      }
+    });
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/`, {
+        headers: { 'X-Forwarded-For': forwardedFor },
+      });
+      return await response.json();
+    } finally {
+      server.close();
+    }
+  };
+
+  test('sees the proxy address when no proxy is trusted', async () => {
+    const result = await requestThroughProxy('', '203.0.113.9');
+    assert.equal(result.allowed, false);
+    assert.notEqual(result.ip, '203.0.113.9');
+  });
+
+  test('matches the forwarded client address through a trusted proxy', async () => {
+    assert.deepEqual(await requestThroughProxy('loopback', '203.0.113.9'), { ip: '203.0.113.9', allowed: true });
+    assert.deepEqual(await requestThroughProxy('1', '198.51.100.4'), { ip: '198.51.100.4', allowed: false });
+  });
+
+  test('ignores addresses a client prepends to the forwarded chain', async () => {
+    const result = await requestThroughProxy('1', '203.0.113.9, 198.51.100.4');
+    assert.deepEqual(result, { ip: '198.51.100.4', allowed: false });
+  });
+});
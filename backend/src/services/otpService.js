@@ -1,17 +1,17 @@
 import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
+import { AppError } from '../utils/errorHandler.js';
 import emailService from './emailService.js';
+import { getOTPStore } from './otpStore.js';
 import smsService from './smsService.js';
 
 /**
  * OTP Service
  * Handles OTP generation, storage, verification, and delivery
  * Supports: Email verification, 2FA login, Password reset
+ * Records live in the pluggable OTP store (services/otpStore.js); codes are stored hashed
  */
 
-// In-memory OTP storage (use Redis in production for scalability)
-const otpStore = new Map();
-
 // OTP Configuration
 const OTP_LENGTH = 6;
 const OTP_EXPIRY_MINUTES = 10;
@@ -33,58 +33,85 @@ const getOTPKey = (identifier, purpose) => {
 };
 
 /**
- * Store OTP with metadata
+ * Hash an OTP for storage (keyed so equal codes for different keys differ)
  */
-const storeOTP = (key, otp, metadata = {}) => {
-  otpStore.set(key, {
-    otp,
-    createdAt: Date.now(),
-    expiresAt: Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000,
-    attempts: 0,
-    verified: false,
-    ...metadata
-  });
+const hashOTP = (key, otp) => {
+  const secret = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET || 'otp-dev-secret';
+  return crypto.createHmac('sha256', secret).update(`${key}:${otp}`).digest('hex');
 };
 
 /**
- * Get stored OTP data
+ * Constant-time comparison of a submitted OTP against the stored hash
  */
-const getOTPData = (key) => {
-  return otpStore.get(key);
+const matchesOTP = (key, otp, codeHash) => {
+  const submitted = Buffer.from(hashOTP(key, String(otp)), 'hex');
+  const stored = Buffer.from(codeHash, 'hex');
+  return submitted.length === stored.length && crypto.timingSafeEqual(submitted, stored);
 };
 
 /**
- * Delete OTP data
+ * Store OTP (hashed) with metadata
  */
-const deleteOTP = (key) => {
-  otpStore.delete(key);
+const storeOTP = async (key, otp, { identifier, purpose }) => {
+  const now = Date.now();
+  await getOTPStore().save(key, {
+    codeHash: hashOTP(key, otp),
+    purpose,
+    identifier,
+    attempts: 0,
+    sentAt: now,
+    expiresAt: now + OTP_EXPIRY_MINUTES * 60 * 1000
+  });
 };
 
 /**
- * Check if can resend OTP (cooldown period)
+ * Throw if an OTP was sent for this key within the cooldown period
  */
-const canResend = (key) => {
-  const data = getOTPData(key);
-  if (!data) return true;
-  
-  const timeSinceCreation = (Date.now() - data.createdAt) / 1000;
-  return timeSinceCreation >= RESEND_COOLDOWN_SECONDS;
+const assertCanResend = async (key) => {
+  const data = await getOTPStore().get(key);
+  if (!data) return;
+
+  const secondsSinceSent = (Date.now() - data.sentAt) / 1000;
+  if (secondsSinceSent < RESEND_COOLDOWN_SECONDS) {
+    const remainingSeconds = Math.ceil(RESEND_COOLDOWN_SECONDS - secondsSinceSent);
+    throw new AppError(`Please wait ${remainingSeconds} seconds before requesting a new OTP`, 429, 'OTP_COOLDOWN');
+  }
 };
 
 /**
- * Clean up expired OTPs (run periodically)
+ * Check a submitted OTP, counting the attempt and consuming the code on success
  */
-const cleanupExpiredOTPs = () => {
-  const now = Date.now();
-  for (const [key, data] of otpStore.entries()) {
-    if (data.expiresAt < now) {
-      otpStore.delete(key);
-    }
+const checkOTP = async (key, otp, messages) => {
+  const store = getOTPStore();
+  const data = await store.get(key);
+
+  if (!data) {
+    throw new AppError(messages.notFound, 400, 'OTP_EXPIRED');
   }
-};
 
-// Cleanup every 5 minutes
-setInterval(cleanupExpiredOTPs, 5 * 60 * 1000);
+  // Count the attempt atomically before comparing
+  const attempts = await store.incrementAttempts(key);
+
+  if (attempts === null) {
+    throw new AppError(messages.expired, 400, 'OTP_EXPIRED');
+  }
+
+  if (attempts > MAX_ATTEMPTS) {
+    await store.remove(key);
+    throw new AppError(messages.exceeded, 429, 'OTP_ATTEMPTS_EXCEEDED');
+  }
+
+  if (!matchesOTP(key, otp, data.codeHash)) {
+    const remainingAttempts = MAX_ATTEMPTS - attempts;
+    throw new AppError(`${messages.invalid} ${remainingAttempts} attempt(s) remaining.`, 400, 'OTP_INVALID');
+  }
+
+  // Only one concurrent request may consume the code
+  const consumed = await store.remove(key);
+  if (!consumed) {
+    throw new AppError(messages.expired, 400, 'OTP_EXPIRED');
+  }
+};
 
 /**
  * Generate and send OTP for email verification
@@ -94,17 +121,13 @@ export const sendEmailVerificationOTP = async (email, userName) => {
     const key = getOTPKey(email, 'email-verification');
     
     // Check cooldown
-    if (!canResend(key)) {
-      const data = getOTPData(key);
-      const remainingSeconds = Math.ceil(RESEND_COOLDOWN_SECONDS - (Date.now() - data.createdAt) / 1000);
-      throw new Error(`Please wait ${remainingSeconds} seconds before requesting a new OTP`);
-    }
+    await assertCanResend(key);
     
     // Generate OTP
     const otp = generateOTP();
     
     // Store OTP
-    storeOTP(key, otp, { email, purpose: 'email-verification' });
+    await storeOTP(key, otp, { identifier: email, purpose: 'email-verification' });
     
     // Send email
     await emailService.sendEmail({
@@ -175,36 +198,12 @@ export const sendEmailVerificationOTP = async (email, userName) => {
 export const verifyEmailOTP = async (email, otp) => {
   try {
     const key = getOTPKey(email, 'email-verification');
-    const data = getOTPData(key);
-    
-    if (!data) {
-      throw new Error('OTP not found or expired. Please request a new one.');
-    }
-    
-    // Check expiry
-    if (Date.now() > data.expiresAt) {
-      deleteOTP(key);
-      throw new Error('OTP has expired. Please request a new one.');
-    }
-    
-    // Check max attempts
-    if (data.attempts >= MAX_ATTEMPTS) {
-      deleteOTP(key);
-      throw new Error('Maximum verification attempts exceeded. Please request a new OTP.');
-    }
-    
-    // Increment attempts
-    data.attempts++;
-    
-    // Verify OTP
-    if (data.otp !== otp) {
-      const remainingAttempts = MAX_ATTEMPTS - data.attempts;
-      throw new Error(`Invalid OTP. ${remainingAttempts} attempt(s) remaining.`);
-    }
-    
-    // Mark as verified and delete
-    data.verified = true;
-    deleteOTP(key);
+    await checkOTP(key, otp, {
+      notFound: 'OTP not found or expired. Please request a new one.',
+      expired: 'OTP has expired. Please request a new one.',
+      exceeded: 'Maximum verification attempts exceeded. Please request a new OTP.',
+      invalid: 'Invalid OTP.'
+    });
     
     logger.info(`Email verified successfully: ${email}`);
     
@@ -225,14 +224,10 @@ export const send2FAOTP = async (email, userName) => {
   try {
     const key = getOTPKey(email, '2fa-login');
     
-    if (!canResend(key)) {
-      const data = getOTPData(key);
-      const remainingSeconds = Math.ceil(RESEND_COOLDOWN_SECONDS - (Date.now() - data.createdAt) / 1000);
-      throw new Error(`Please wait ${remainingSeconds} seconds before requesting a new OTP`);
-    }
+    await assertCanResend(key);
     
     const otp = generateOTP();
-    storeOTP(key, otp, { email, purpose: '2fa-login' });
+    await storeOTP(key, otp, { identifier: email, purpose: '2fa-login' });
     
     await emailService.sendEmail({
       to: email,
@@ -299,31 +294,12 @@ export const send2FAOTP = async (email, userName) => {
 export const verify2FAOTP = async (email, otp) => {
   try {
     const key = getOTPKey(email, '2fa-login');
-    const data = getOTPData(key);
-    
-    if (!data) {
-      throw new Error('Login code not found or expired. Please request a new one.');
-    }
-    
-    if (Date.now() > data.expiresAt) {
-      deleteOTP(key);
-      throw new Error('Login code has expired. Please request a new one.');
-    }
-    
-    if (data.attempts >= MAX_ATTEMPTS) {
-      deleteOTP(key);
-      throw new Error('Maximum verification attempts exceeded. Please try logging in again.');
-    }
-    
-    data.attempts++;
-    
-    if (data.otp !== otp) {
-      const remainingAttempts = MAX_ATTEMPTS - data.attempts;
-      throw new Error(`Invalid code. ${remainingAttempts} attempt(s) remaining.`);
-    }
-    
-    data.verified = true;
-    deleteOTP(key);
+    await checkOTP(key, otp, {
+      notFound: 'Login code not found or expired. Please request a new one.',
+      expired: 'Login code has expired. Please request a new one.',
+      exceeded: 'Maximum verification attempts exceeded. Please try logging in again.',
+      invalid: 'Invalid code.'
+    });
     
     logger.info(`2FA verified successfully: ${email}`);
     
@@ -344,14 +320,10 @@ export const sendPasswordResetOTP = async (email, userName) => {
   try {
     const key = getOTPKey(email, 'password-reset');
     
-    if (!canResend(key)) {
-      const data = getOTPData(key);
-      const remainingSeconds = Math.ceil(RESEND_COOLDOWN_SECONDS - (Date.now() - data.createdAt) / 1000);
-      throw new Error(`Please wait ${remainingSeconds} seconds before requesting a new OTP`);
-    }
+    await assertCanResend(key);
     
     const otp = generateOTP();
-    storeOTP(key, otp, { email, purpose: 'password-reset' });
+    await storeOTP(key, otp, { identifier: email, purpose: 'password-reset' });
     
     await emailService.sendEmail({
       to: email,
@@ -418,31 +390,12 @@ export const sendPasswordResetOTP = async (email, userName) => {
 export const verifyPasswordResetOTP = async (email, otp) => {
   try {
     const key = getOTPKey(email, 'password-reset');
-    const data = getOTPData(key);
-    
-    if (!data) {
-      throw new Error('Reset code not found or expired. Please request a new one.');
-    }
-    
-    if (Date.now() > data.expiresAt) {
-      deleteOTP(key);
-      throw new Error('Reset code has expired. Please request a new one.');
-    }
-    
-    if (data.attempts >= MAX_ATTEMPTS) {
-      deleteOTP(key);
-      throw new Error('Maximum verification attempts exceeded. Please request a new reset code.');
-    }
-    
-    data.attempts++;
-    
-    if (data.otp !== otp) {
-      const remainingAttempts = MAX_ATTEMPTS - data.attempts;
-      throw new Error(`Invalid code. ${remainingAttempts} attempt(s) remaining.`);
-    }
-    
-    data.verified = true;
-    deleteOTP(key);
+    await checkOTP(key, otp, {
+      notFound: 'Reset code not found or expired. Please request a new one.',
+      expired: 'Reset code has expired. Please request a new one.',
+      exceeded: 'Maximum verification attempts exceeded. Please request a new reset code.',
+      invalid: 'Invalid code.'
+    });
     
     logger.info(`Password reset OTP verified: ${email}`);
     
@@ -459,24 +412,8 @@ export const verifyPasswordResetOTP = async (email, otp) => {
 /**
  * Get OTP statistics (for monitoring)
  */
-export const getOTPStats = () => {
-  let active = 0;
-  let expired = 0;
-  const now = Date.now();
-  
-  for (const data of otpStore.values()) {
-    if (data.expiresAt > now) {
-      active++;
-    } else {
-      expired++;
-    }
-  }
-  
-  return {
-    total: otpStore.size,
-    active,
-    expired
-  };
+export const getOTPStats = async () => {
+  return getOTPStore().stats();
 };
 
 export default {
@@ -0,0 +1,259 @@
+import OtpRecord from '../models/OtpRecord.js';
+import cacheService from './cacheService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * OTP Store
+ * Pluggable storage for OTP records so codes survive restarts and work
+ * across multiple backend instances.
+ *
+ * Backends (select with OTP_STORE=mongo|redis|memory):
+ * - mongo:  TTL collection (default)
+ * - redis:  built on cacheService (default when REDIS_URL/REDIS_HOST is set)
+ * - memory: module-level Map, single-instance development fallback
+ *
+ * Every backend exposes the same async interface:
+ *   get(key)               -> record | null
+ *   save(key, record)      -> replaces any existing record (attempts reset to 0)
+ *   incrementAttempts(key) -> new attempt count, or null if the record is gone
+ *   remove(key)            -> true if a record was removed
+ *   stats()                -> { backend, active }
+ *
+ * A record is { codeHash, purpose, identifier, attempts, sentAt, expiresAt }
+ * with timestamps in epoch milliseconds.
+ */
+
+/**
+ * In-memory backend (development only)
+ */
+export const createMemoryOTPStore = () => {
+  const records = new Map();
+
+  const isExpired = (record) => record.expiresAt <= Date.now();
+
+  // Cleanup every 5 minutes; unref so it never keeps the process alive
+  const cleanupTimer = setInterval(() => {
+    for (const [key, record] of records.entries()) {
+      if (isExpired(record)) {
+        records.delete(key);
+      }
+    }
+  }, 5 * 60 * 1000);
+  cleanupTimer.unref?.();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const record = records.get(key);
+      if (!record) return null;
+      if (isExpired(record)) {
+        records.delete(key);
+        return null;
+      }
+      return { ...record };
+    },
+
+    async save(key, record) {
+      records.set(key, { ...record, attempts: 0 });
+    },
+
+    async incrementAttempts(key) {
+      const record = records.get(key);
+      if (!record || isExpired(record)) return null;
+      record.attempts += 1;
+      return record.attempts;
+    },
+
+    async remove(key) {
+      return records.delete(key);
+    },
+
+    async stats() {
+      let active = 0;
+      for (const record of records.values()) {
+        if (!isExpired(record)) active++;
+      }
+      return { backend: 'memory', active };
+    }
+  };
+};
+
+/**
+ * MongoDB backend using a TTL collection
+ */
+export const createMongoOTPStore = () => {
+  const toRecord = (doc) => ({
+    codeHash: doc.codeHash,
+    purpose: doc.purpose,
+    identifier: doc.identifier,
+    attempts: doc.attempts,
+    sentAt: new Date(doc.sentAt).getTime(),
+    expiresAt: new Date(doc.expiresAt).getTime()
+  });
+
+  return {
+    name: 'mongo',
+
+    async get(key) {
+      // The TTL monitor runs roughly once a minute, so filter on expiry too
+      const doc = await OtpRecord.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+      return doc ? toRecord(doc) : null;
+    },
+
+    async save(key, record) {
+      await OtpRecord.findOneAndUpdate(
+        { key },
+        {
+          key,
+          codeHash: record.codeHash,
+          purpose: record.purpose,
+          identifier: record.identifier,
+          attempts: 0,
+          sentAt: new Date(record.sentAt),
+          expiresAt: new Date(record.expiresAt)
+        },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+    },
+
+    async incrementAttempts(key) {
+      // Atomic so concurrent guesses on different instances all count
+      const doc = await OtpRecord.findOneAndUpdate(
+        { key, expiresAt: { $gt: new Date() } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      ).lean();
+      return doc ? doc.attempts : null;
+    },
+
+    async remove(key) {
+      const result = await OtpRecord.deleteOne({ key });
+      return result.deletedCount > 0;
+    },
+
+    async stats() {
+      const active = await OtpRecord.countDocuments({ expiresAt: { $gt: new Date() } });
+      return { backend: 'mongo', active };
+    }
+  };
+};
+
+/**
+ * Redis backend built on cacheService
+ * Attempts live in a separate counter key so increments stay atomic (INCR)
+ */
+export const createRedisOTPStore = () => {
+  let initialized = null;
+  let warnedFallback = false;
+
+  const ensureConnected = async () => {
+    if (!initialized) {
+      initialized = cacheService.isRedisReady()
+        ? Promise.resolve()
+        : cacheService.initializeRedis();
+    }
+    await initialized;
+
+    if (!cacheService.isRedisReady() && !warnedFallback) {
+      warnedFallback = true;
+      logger.warn('⚠️ OTP store: Redis unavailable, cacheService is using its in-memory fallback (codes are not shared across instances)');
+    }
+  };
+
+  const attemptsKey = (key) => `${key}:attempts`;
+  const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      await ensureConnected();
+      const record = await cacheService.get(key);
+      if (!record || record.expiresAt <= Date.now()) return null;
+      const attempts = Number(await cacheService.get(attemptsKey(key))) || 0;
+      return { ...record, attempts };
+    },
+
+    async save(key, record) {
+      await ensureConnected();
+      const { attempts, ...stored } = record;
+      await cacheService.del(attemptsKey(key));
+      await cacheService.set(key, stored, secondsUntil(record.expiresAt));
+    },
+
+    async incrementAttempts(key) {
+      await ensureConnected();
+      const record = await cacheService.get(key);
+      if (!record || record.expiresAt <= Date.now()) return null;
+      const attempts = await cacheService.incr(attemptsKey(key));
+      if (attempts === 1) {
+        await cacheService.expire(attemptsKey(key), secondsUntil(record.expiresAt));
+      }
+      return attempts;
+    },
+
+    async remove(key) {
+      await ensureConnected();
+      // The DEL reply says whether this call removed the record; checking
+      // first and deleting after would let two verifications both consume it
+      const removed = await cacheService.del(key);
+      await cacheService.del(attemptsKey(key));
+      return removed;
+    },
+
+    async stats() {
+      await ensureConnected();
+      // Counting keys would require a SCAN; report the backend only
+      return { backend: 'redis', active: null };
+    }
+  };
+};
+
+const resolveBackendName = () => {
+  const configured = (process.env.OTP_STORE || '').toLowerCase();
+  if (['mongo', 'redis', 'memory'].includes(configured)) {
+    return configured;
+  }
+  if (configured) {
+    logger.warn(`Unknown OTP_STORE "${process.env.OTP_STORE}", falling back to automatic selection`);
+  }
+  return process.env.REDIS_URL || process.env.REDIS_HOST ? 'redis' : 'mongo';
+};
+
+let activeStore = null;
+
+/**
+ * Get the configured OTP store (created lazily on first use)
+ */
+export const getOTPStore = () => {
+  if (!activeStore) {
+    const backend = resolveBackendName();
+    activeStore = backend === 'redis'
+      ? createRedisOTPStore()
+      : backend === 'memory'
+        ? createMemoryOTPStore()
+        : createMongoOTPStore();
+
+    if (backend === 'memory' && process.env.NODE_ENV === 'production') {
+      logger.warn('⚠️ OTP store: in-memory backend in production - codes are lost on restart and not shared across instances');
+    }
+    logger.info(`OTP store backend: ${backend}`);
+  }
+  return activeStore;
+};
+
+/**
+ * Override the OTP store (e.g. a custom backend implementing the same interface)
+ */
+export const setOTPStore = (store) => {
+  activeStore = store;
+};
+
+export default {
+  getOTPStore,
+  setOTPStore,
+  createMemoryOTPStore,
+  createMongoOTPStore,
+  createRedisOTPStore
+};
@@ -0,0 +1,86 @@
+import { test, describe, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import emailService from './emailService.js';
+import { sendEmailVerificationOTP, verifyEmailOTP } from './otpService.js';
+import { createMemoryOTPStore, createRedisOTPStore, setOTPStore } from './otpStore.js';
+
+const record = (overrides = {}) => ({
+  codeHash: 'hash',
+  purpose: 'email-verification',
+  identifier: 'user@example.com',
+  attempts: 0,
+  sentAt: Date.now(),
+  expiresAt: Date.now() + 60 * 1000,
+  ...overrides,
+});
+
+before(() => {
+  // The Redis store runs on cacheService's in-memory fallback
+  delete process.env.REDIS_URL;
+  delete process.env.REDIS_HOST;
+});
+
+for (const [name, createStore] of [['memory', createMemoryOTPStore], ['redis', createRedisOTPStore]]) {
+  describe(`${name} OTP store`, () => {
+    test('returns a saved record with attempts reset', async () => {
+      const store = createStore();
+      await store.save(`otp:${name}:save`, record({ attempts: 2 }));
+
+      const saved = await store.get(`otp:${name}:save`);
+      assert.equal(saved.codeHash, 'hash');
+      assert.equal(saved.attempts, 0);
+    });
+
+    test('counts attempts and stops once the record is gone', async () => {
+      const store = createStore();
+      const key = `otp:${name}:attempts`;
+      await store.save(key, record());
+
+      assert.equal(await store.incrementAttempts(key), 1);
+      assert.equal(await store.incrementAttempts(key), 2);
+      await store.remove(key);
+      assert.equal(await store.incrementAttempts(key), null);
+    });
+
+    test('ignores expired records', async () => {
+      const store = createStore();
+      await store.save(`otp:${name}:expired`, record({ expiresAt: Date.now() - 1 }));
+
+      assert.equal(await store.get(`otp:${name}:expired`), null);
+    });
+
+    test('lets exactly one of concurrent removals consume a record', async () => {
+      const store = createStore();
+      const key = `otp:${name}:remove`;
+      await store.save(key, record());
+
+      const results = await Promise.all([store.remove(key), store.remove(key), store.remove(key)]);
+      assert.deepEqual(results.filter(Boolean), [true]);
+      assert.equal(await store.get(key), null);
+    });
+  });
+}
+
+describe('OTP verification', () => {
+  test('a code verified by concurrent requests is consumed once', async () => {
+    setOTPStore(createMemoryOTPStore());
+    let sentHtml = '';
+    mock.method(emailService, 'sendEmail', async ({ html }) => {
+      sentHtml = html;
+      return { success: true };
+    });
+
+    await sendEmailVerificationOTP('race@example.com', 'Race');
+    const otp = sentHtml.match(/class="otp-code">(\d{6})</)[1];
+
+    const results = await Promise.allSettled([
+      verifyEmailOTP('race@example.com', otp),
+      verifyEmailOTP('race@example.com', otp),
+    ]);
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    const rejected = results.find(result => result.status === 'rejected');
+    assert.equal(rejected.reason.code, 'OTP_EXPIRED');
+    mock.restoreAll();
+  });
+});
@@ -0,0 +1,498 @@
+import natural from 'natural';
+import ParseCorrection, { CORRECTABLE_FIELDS } from '../models/ParseCorrection.js';
+import { SKILLS_CANONICAL } from '../data/skillsCanonical.js';
+import { skillDictionary } from '../utils/skillNormalizer.js';
+import { fieldConfidences, fieldMethods, overallConfidence } from '../utils/fieldProvenance.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Parse Correction Service
+ * Candidates fixing what the parser got wrong in parsed_resume
+ *
+ * The parser's output is kept in Resume.parsed_resume_machine when a resume
+ * is parsed. A correction replaces one field of parsed_resume, marks the
+ * changed values as user-provided in the field provenance and appends a
+ * ParseCorrection holding the diff from the machine output to the new value.
+ * The correction report aggregates those diffs across candidates into
+ * proposed skillDictionary / SKILLS_CANONICAL entries.
+ */
+
+const { LevenshteinDistance } = natural;
+
+const SCALAR_FIELDS = ['name', 'location', 'current_title'];
+const LIST_FIELDS = ['emails', 'phones', 'links', 'skills'];
+const ENTRY_PROPS = {
+  experience: ['company', 'title', 'start_date', 'end_date', 'location', 'bullets'],
+  education: ['degree', 'institution', 'field', 'start_date', 'end_date', 'gpa'],
+};
+
+const LIST_LIMITS = { emails: 10, phones: 10, links: 20, skills: 150 };
+const MAX_ENTRIES = 30;
+const MAX_BULLETS = 30;
+const MAX_TEXT_LENGTH = 200;
+const MAX_BULLET_LENGTH = 1000;
+const MAX_REPORT_CORRECTIONS = 5000;
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2]))?$/;
+
+const lower = (value) => String(value ?? '').trim().toLowerCase();
+
+const cleanText = (value, field, maxLength = MAX_TEXT_LENGTH) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new ValidationError(`${field} must be text`);
+  }
+  const text = String(value).trim();
+  if (text.length > maxLength) {
+    throw new ValidationError(`${field} must be at most ${maxLength} characters`);
+  }
+  return text || null;
+};
+
+const cleanListItem = (field, item) => {
+  const value = cleanText(item, field);
+  if (!value) {
+    return null;
+  }
+  if (field === 'emails' && !EMAIL_PATTERN.test(value)) {
+    throw new ValidationError(`"${value}" is not an email address`);
+  }
+  if (field === 'phones' && value.replace(/\D/g, '').length < 7) {
+    throw new ValidationError(`"${value}" is not a phone number`);
+  }
+  if (field === 'links' && !/^https?:\/\//i.test(value)) {
+    return `https://${value}`;
+  }
+  return value;
+};
+
+const cleanEntry = (field, entry, index) => {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new ValidationError(`${field}[${index}] must be an object`);
+  }
+
+  const cleaned = {};
+  ENTRY_PROPS[field].forEach((prop) => {
+    if (prop === 'bullets') {
+      const bullets = entry.bullets ?? [];
+      if (!Array.isArray(bullets) || bullets.length > MAX_BULLETS) {
+        throw new ValidationError(`${field}[${index}].bullets must be a list of at most ${MAX_BULLETS} items`);
+      }
+      cleaned.bullets = bullets.map(bullet => cleanText(bullet, `${field}[${index}].bullets`, MAX_BULLET_LENGTH)).filter(Boolean);
+      return;
+    }
+
+    const value = cleanText(entry[prop], `${field}[${index}].${prop}`);
+    if (value && prop.endsWith('_date') && !DATE_PATTERN.test(value)) {
+      throw new ValidationError(`${field}[${index}].${prop} must be YYYY or YYYY-MM`);
+    }
+    cleaned[prop] = value;
+  });
+  return cleaned;
+};
+
+/**
+ * Validate and normalize a corrected value
+ */
+const cleanFieldValue = (field, value) => {
+  if (SCALAR_FIELDS.includes(field)) {
+    return cleanText(value, field);
+  }
+
+  if (!Array.isArray(value)) {
+    throw new ValidationError(`${field} must be a list`);
+  }
+
+  if (LIST_FIELDS.includes(field)) {
+    if (value.length > LIST_LIMITS[field]) {
+      throw new ValidationError(`${field} can have at most ${LIST_LIMITS[field]} items`);
+    }
+    const seen = new Set();
+    return value
+      .map(item => cleanListItem(field, item))
+      .filter(item => item && !seen.has(lower(item)) && seen.add(lower(item)));
+  }
+
+  if (value.length > MAX_ENTRIES) {
+    throw new ValidationError(`${field} can have at most ${MAX_ENTRIES} entries`);
+  }
+  return value.map((entry, index) => cleanEntry(field, entry, index));
+};
+
+const pickEntry = (field, entry) => Object.fromEntries(ENTRY_PROPS[field].map(prop => [
+  prop,
+  prop === 'bullets' ? [...(entry?.bullets || [])] : entry?.[prop] ?? null,
+]));
+
+/**
+ * Correctable fields of a parser result, stored as Resume.parsed_resume_machine
+ */
+export const snapshotMachineOutput = (parsedResume = {}) => {
+  return Object.fromEntries(CORRECTABLE_FIELDS.map((field) => {
+    const value = parsedResume?.[field];
+    if (SCALAR_FIELDS.includes(field)) {
+      return [field, value ?? null];
+    }
+    if (LIST_FIELDS.includes(field)) {
+      return [field, [...(value || [])]];
+    }
+    return [field, (value || []).map(entry => pickEntry(field, entry))];
+  }));
+};
+
+const entryText = (entry, prop) => {
+  const value = entry?.[prop];
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join('\n') : null;
+  }
+  return value === undefined || value === '' ? null : value;
+};
+
+const sameEntry = (field, a, b) => ENTRY_PROPS[field].every(prop => lower(entryText(a, prop)) === lower(entryText(b, prop)));
+
+const entryKey = (entry) => `${lower(entry?.company || entry?.institution)}|${lower(entry?.title || entry?.degree)}`;
+
+/**
+ * Pair corrected entries with machine entries: same employer/school and
+ * title/degree first, then the remaining ones in order
+ * @returns {Array<[number|null, number|null]>} [machine index, corrected index]
+ */
+const alignEntries = (before, after) => {
+  const pairs = [];
+  const usedBefore = new Set();
+  const unmatchedAfter = [];
+
+  after.forEach((entry, afterIdx) => {
+    const beforeIdx = before.findIndex((candidate, idx) => !usedBefore.has(idx) && entryKey(candidate) === entryKey(entry));
+    if (beforeIdx === -1) {
+      unmatchedAfter.push(afterIdx);
+    } else {
+      usedBefore.add(beforeIdx);
+      pairs.push([beforeIdx, afterIdx]);
+    }
+  });
+
+  const unmatchedBefore = before.map((_, idx) => idx).filter(idx => !usedBefore.has(idx));
+  unmatchedAfter.forEach((afterIdx, position) => {
+    pairs.push([position < unmatchedBefore.length ? unmatchedBefore[position] : null, afterIdx]);
+  });
+  unmatchedBefore.slice(unmatchedAfter.length).forEach(beforeIdx => pairs.push([beforeIdx, null]));
+
+  return pairs;
+};
+
+const scalarChange = (path, from, to) => {
+  if ((from ?? null) === (to ?? null)) {
+    return null;
+  }
+  if (!from) return to ? { op: 'add', path, to } : null;
+  if (!to) return { op: 'remove', path, from };
+  return { op: 'replace', path, from, to };
+};
+
+/**
+ * Changes from the machine value of a field to its corrected value
+ * @returns {Array<{op: string, path: string, from?: string, to?: string}>}
+ */
+export const diffField = (field, machineValue, correctedValue) => {
+  if (SCALAR_FIELDS.includes(field)) {
+    return [scalarChange(field, machineValue ?? null, correctedValue ?? null)].filter(Boolean);
+  }
+
+  const before = machineValue || [];
+  const after = correctedValue || [];
+
+  if (LIST_FIELDS.includes(field)) {
+    const afterKeys = new Set(after.map(lower));
+    const beforeKeys = new Set(before.map(lower));
+    return [
+      ...before
+        .map((item, idx) => (afterKeys.has(lower(item)) ? null : { op: 'remove', path: `${field}.${idx}`, from: item })),
+      ...after
+        .map((item, idx) => (beforeKeys.has(lower(item)) ? null : { op: 'add', path: `${field}.${idx}`, to: item })),
+    ].filter(Boolean);
+  }
+
+  return alignEntries(before, after).flatMap(([beforeIdx, afterIdx]) => {
+    const path = `${field}.${afterIdx ?? beforeIdx}`;
+    return ENTRY_PROPS[field]
+      .map(prop => scalarChange(
+        `${path}.${prop}`,
+        beforeIdx === null ? null : entryText(before[beforeIdx], prop),
+        afterIdx === null ? null : entryText(after[afterIdx], prop)
+      ))
+      .filter(Boolean);
+  });
+};
+
+const isSameValue = (field, a, b) => {
+  if (SCALAR_FIELDS.includes(field)) {
+    return (a ?? null) === (b ?? null);
+  }
+  if (LIST_FIELDS.includes(field)) {
+    return a.length === b.length && a.every((item, idx) => item === b[idx]);
+  }
+  return a.length === b.length && a.every((entry, idx) => sameEntry(field, entry, b[idx]));
+};
+
+const userEntry = (field) => ({ field, extractor: 'user', provider: null, confidence: 1, start: null, end: null });
+
+/**
+ * Provenance after replacing a field: values kept from the previous version
+ * keep their source (re-indexed), new or changed values become user-provided
+ */
+const updateProvenance = (entries, field, previous, next) => {
+  const others = entries.filter(entry => entry.field !== field && !entry.field.startsWith(`${field}.`));
+
+  if (SCALAR_FIELDS.includes(field)) {
+    if (!next) return others;
+    const kept = previous === next && entries.find(entry => entry.field === field);
+    return [...others, kept || userEntry(field)];
+  }
+
+  const matches = LIST_FIELDS.includes(field)
+    ? (a, b) => lower(a) === lower(b)
+    : (a, b) => sameEntry(field, a, b);
+  const used = new Set();
+
+  const fieldEntries = next.map((item, idx) => {
+    const previousIdx = previous.findIndex((candidate, candidateIdx) => !used.has(candidateIdx) && matches(candidate, item));
+    const kept = previousIdx !== -1 && entries.find(entry => entry.field === `${field}.${previousIdx}`);
+    if (previousIdx !== -1) used.add(previousIdx);
+    return kept ? { ...kept, field: `${field}.${idx}` } : userEntry(`${field}.${idx}`);
+  });
+
+  return [...others, ...fieldEntries];
+};
+
+/**
+ * Apply a candidate's corrections to parsed_resume and record their diffs
+ * @param {object} resume - Resume document, saved here
+ * @param {object} updates - corrected values by field, e.g. { skills: [...], experience: [...] }
+ * @param {object} user - the candidate
+ * @returns {Promise<Array>} the ParseCorrection records created
+ */
+export const correctParsedResume = async (resume, updates, user) => {
+  const fields = Object.keys(updates || {});
+  const unknown = fields.filter(field => !CORRECTABLE_FIELDS.includes(field));
+  if (fields.length === 0 || unknown.length > 0) {
+    throw new ValidationError(`Correctable fields are ${CORRECTABLE_FIELDS.join(', ')}`, { unknown });
+  }
+  if (!resume.parsed_resume) {
+    throw new ValidationError('Resume has not been parsed yet');
+  }
+
+  const cleaned = Object.fromEntries(fields.map(field => [field, cleanFieldValue(field, updates[field])]));
+
+  const current = resume.toObject().parsed_resume || {};
+  // Resumes parsed before corrections were recorded: what is there now is the machine output
+  if (!resume.parsed_resume_machine) {
+    resume.parsed_resume_machine = snapshotMachineOutput(current);
+  }
+  const machine = resume.parsed_resume_machine;
+  const currentValues = snapshotMachineOutput(current);
+
+  let provenance = current.provenance || [];
+  const corrections = [];
+
+  fields.forEach((field) => {
+    const value = cleaned[field];
+    if (isSameValue(field, currentValues[field], value)) {
+      return;
+    }
+
+    provenance = updateProvenance(provenance, field, currentValues[field], value);
+    resume.parsed_resume[field] = value;
+    corrections.push({
+      userId: user._id,
+      resumeId: resume.resumeId,
+      resumeVersion: resume.version || 1,
+      field,
+      changes: diffField(field, machine[field], value),
+    });
+  });
+
+  if (corrections.length === 0) {
+    return [];
+  }
+
+  resume.parsed_resume.provenance = provenance;
+  const confidence = overallConfidence(provenance);
+  resume.extraction_metadata = {
+    ...(resume.toObject().extraction_metadata || {}),
+    overall_confidence: parseFloat(confidence.toFixed(2)),
+    field_confidences: fieldConfidences(provenance),
+    extraction_methods: fieldMethods(provenance),
+  };
+  resume.extraction_confidence = Math.round(confidence * 100);
+
+  await resume.save();
+  const records = await ParseCorrection.create(corrections);
+
+  logger.info(`Resume ${resume.resumeId} corrected by ${user.email}: ${corrections.map(c => c.field).join(', ')}`);
+  return records;
+};
+
+export const listParseCorrections = (resumeId, { limit = 100 } = {}) => {
+  return ParseCorrection.find({ resumeId })
+    .select('-userId')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Whether a user-typed skill is a respelling of a machine skill rather than
+ * a different one ("reactjs" -> "React", "postgre" -> "PostgreSQL", but not
+ * "java" -> "JavaScript")
+ */
+const isAliasFix = (from, to) => {
+  const a = lower(from).replace(/[^a-z0-9+#]/g, '');
+  const b = lower(to).replace(/[^a-z0-9+#]/g, '');
+  if (!a || !b || a === b) return a === b;
+  if ((a.includes(b) || b.includes(a)) && Math.abs(a.length - b.length) <= 3) return true;
+  return LevenshteinDistance(a, b) <= Math.max(1, Math.floor(Math.min(a.length, b.length) / 4));
+};
+
+// Most common spelling among the candidates' inputs
+const preferredSpelling = (spellings) => {
+  return [...spellings.entries()].sort((a, b) => b[1] - a[1])[0][0];
+};
+
+const addCount = (counts, key, userId, spelling) => {
+  const entry = counts.get(key) || { users: new Set(), spellings: new Map() };
+  entry.users.add(userId);
+  entry.spellings.set(spelling, (entry.spellings.get(spelling) || 0) + 1);
+  counts.set(key, entry);
+};
+
+/**
+ * Proposed dictionary entries mapping a variant to a canonical skill
+ * Entries that already exist with the same target are left out.
+ */
+const proposeEntries = (variant, canonical) => {
+  const proposal = {};
+  const conflicts = {};
+  [['skillDictionary', skillDictionary], ['skillsCanonical', SKILLS_CANONICAL]].forEach(([name, dictionary]) => {
+    const existing = dictionary[variant];
+    if (!existing) {
+      proposal[name] = { [variant]: canonical };
+    } else if (existing !== canonical) {
+      proposal[name] = { [variant]: canonical };
+      conflicts[name] = existing;
+    }
+  });
+  return { proposal, conflicts };
+};
+
+/**
+ * Frequent skill corrections across candidates, with the dictionary entries
+ * they suggest
+ *
+ * Only the latest correction of each resume counts (it holds all of that
+ * resume's changes). A removed machine skill paired with a similar added skill
+ * is an alias fix; other additions are skills the parser missed and other
+ * removals are false positives.
+ * @param {object} [options]
+ * @param {number} [options.days] - window, by correction date
+ * @param {number} [options.minUsers] - candidates needed before an entry is proposed
+ */
+export const getCorrectionReport = async ({ days = 90, minUsers = 2, limit = 50 } = {}) => {
+  const since = new Date(Date.now() - days * MS_IN_DAY);
+
+  const [fieldCounts, skillCorrections] = await Promise.all([
+    ParseCorrection.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: '$field', corrections: { $sum: 1 }, resumes: { $addToSet: '$resumeId' } } },
+      { $project: { _id: 0, field: '$_id', corrections: 1, resumes: { $size: '$resumes' } } },
+      { $sort: { corrections: -1 } },
+    ]),
+    ParseCorrection.find({ field: 'skills', createdAt: { $gte: since } })
+      .select('userId resumeId changes createdAt')
+      .sort({ createdAt: -1 })
+      .limit(MAX_REPORT_CORRECTIONS)
+      .lean(),
+  ]);
+
+  const latestByResume = new Map();
+  skillCorrections.forEach((correction) => {
+    if (!latestByResume.has(correction.resumeId)) {
+      latestByResume.set(correction.resumeId, correction);
+    }
+  });
+
+  const added = new Map();
+  const removed = new Map();
+  const aliases = new Map();
+
+  latestByResume.forEach(({ userId, changes }) => {
+    const userKey = userId.toString();
+    const additions = changes.filter(change => change.op === 'add' && change.to).map(change => change.to);
+    const removals = changes.filter(change => change.op === 'remove' && change.from).map(change => change.from);
+
+    removals.forEach((from) => {
+      const toIdx = additions.findIndex(to => isAliasFix(from, to));
+      if (toIdx === -1) {
+        addCount(removed, lower(from), userKey, from);
+        return;
+      }
+      const [to] = additions.splice(toIdx, 1);
+      addCount(aliases, `${lower(from)}→${lower(to)}`, userKey, to);
+    });
+    additions.forEach(to => addCount(added, lower(to), userKey, to));
+  });
+
+  const ranked = (counts) => [...counts.entries()]
+    .map(([key, entry]) => ({ key, users: entry.users.size, spelling: preferredSpelling(entry.spellings) }))
+    .filter(item => item.users >= minUsers)
+    .sort((a, b) => b.users - a.users)
+    .slice(0, limit);
+
+  // Entries that would change an existing mapping are listed per item but
+  // left out of the combined proposal, they need a closer look
+  const proposals = { skillDictionary: {}, skillsCanonical: {} };
+  const collect = ({ proposal, conflicts }) => {
+    Object.entries(proposal)
+      .filter(([name]) => !conflicts[name])
+      .forEach(([name, entries]) => Object.assign(proposals[name], entries));
+  };
+
+  const addedSkills = ranked(added).map(({ key, users, spelling }) => {
+    const suggestion = proposeEntries(key, spelling);
+    collect(suggestion);
+    return { skill: spelling, users, ...suggestion };
+  });
+
+  const aliasFixes = ranked(aliases).map(({ key, users, spelling }) => {
+    const [from] = key.split('→');
+    const suggestion = proposeEntries(from, spelling);
+    collect(suggestion);
+    return { from, to: spelling, users, ...suggestion };
+  });
+
+  const removedSkills = ranked(removed).map(({ spelling, users }) => ({ skill: spelling, users }));
+
+  return {
+    since,
+    minUsers,
+    resumesConsidered: latestByResume.size,
+    fieldCounts,
+    addedSkills,
+    aliasFixes,
+    removedSkills,
+    proposals,
+  };
+};
+
+export default {
+  snapshotMachineOutput,
+  diffField,
+  correctParsedResume,
+  listParseCorrections,
+  getCorrectionReport,
+};
@@ -0,0 +1,484 @@
+import { buildExportProfile, describeVerifiedSkill } from './resumeExportService.js';
+import { PAGE_SIZES, measureText, wrapText, writePdf } from '../utils/pdfWriter.js';
+import { docxParagraph, docxRun, docxTab, writeDocx } from '../utils/docxWriter.js';
+import { ValidationError } from '../utils/errorHandler.js';
+
+/**
+ * Resume Builder Service
+ * Renders a candidate's resume as PDF or DOCX from parsed_resume and the
+ * profile overrides (name, headline, summary, custom skills, verification
+ * badges)
+ *
+ * Every template is single-column with real text, standard fonts and plain
+ * section headings, which applicant tracking systems read reliably. The
+ * candidate chooses which sections appear and in what order.
+ */
+
+export const RESUME_BUILDER_FORMATS = ['pdf', 'docx'];
+
+export const RESUME_SECTIONS = {
+  summary: 'Summary',
+  experience: 'Experience',
+  skills: 'Skills',
+  education: 'Education',
+  projects: 'Projects',
+  certifications: 'Certifications',
+  languages: 'Languages',
+};
+
+export const DEFAULT_SECTION_ORDER = Object.keys(RESUME_SECTIONS);
+
+// Sizes and spacing in points
+export const RESUME_TEMPLATES = {
+  classic: {
+    name: 'Classic',
+    description: 'Serif type, centred header and ruled section headings',
+    fontFamily: 'times',
+    docxFont: 'Times New Roman',
+    colors: { text: '#111111', muted: '#444444', accent: '#111111', rule: '#555555' },
+    sizes: { name: 22, headline: 12, heading: 11.5, body: 10.5, small: 9.5 },
+    margin: 54,
+    lineHeight: 1.3,
+    sectionGap: 12,
+    entryGap: 7,
+    headerAlign: 'center',
+    headingUppercase: true,
+    headingRule: true,
+  },
+  modern: {
+    name: 'Modern',
+    description: 'Sans-serif with the name and headings in an accent colour',
+    fontFamily: 'helvetica',
+    docxFont: 'Arial',
+    colors: { text: '#1f2937', muted: '#4b5563', accent: '#1d4ed8', rule: '#93c5fd' },
+    sizes: { name: 24, headline: 12, heading: 13, body: 10, small: 9 },
+    margin: 50,
+    lineHeight: 1.35,
+    sectionGap: 14,
+    entryGap: 8,
+    headerAlign: 'left',
+    headingUppercase: false,
+    headingRule: false,
+  },
+  compact: {
+    name: 'Compact',
+    description: 'Smaller type and tighter spacing to fit more on a page',
+    fontFamily: 'helvetica',
+    docxFont: 'Arial',
+    colors: { text: '#111827', muted: '#4b5563', accent: '#0f766e', rule: '#9ca3af' },
+    sizes: { name: 18, headline: 10.5, heading: 10, body: 9, small: 8.5 },
+    margin: 36,
+    lineHeight: 1.2,
+    sectionGap: 8,
+    entryGap: 4,
+    headerAlign: 'left',
+    headingUppercase: true,
+    headingRule: true,
+  },
+};
+
+export const DEFAULT_TEMPLATE = 'modern';
+
+const PAGE_SIZE = 'a4';
+const BULLET_INDENT = 12;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Template and section choices from a request, with defaults applied
+ * @param {{ template?: string, sections?: string[] }} options
+ * @throws {ValidationError} for an unknown template or section
+ */
+export function resolveBuilderOptions({ template = DEFAULT_TEMPLATE, sections = DEFAULT_SECTION_ORDER } = {}) {
+  if (!RESUME_TEMPLATES[template]) {
+    throw new ValidationError(`template must be one of ${Object.keys(RESUME_TEMPLATES).join(', ')}`);
+  }
+  if (!Array.isArray(sections) || sections.length === 0) {
+    throw new ValidationError('sections must list at least one section');
+  }
+
+  const unknown = sections.filter(section => !RESUME_SECTIONS[section]);
+  if (unknown.length) {
+    throw new ValidationError(`Unknown sections: ${unknown.join(', ')}`, { allowed: DEFAULT_SECTION_ORDER });
+  }
+
+  return { template, sections: [...new Set(sections)] };
+}
+
+/**
+ * Templates and sections offered by the builder
+ */
+export function listTemplates() {
+  return {
+    templates: Object.entries(RESUME_TEMPLATES).map(([id, template]) => ({
+      id,
+      name: template.name,
+      description: template.description,
+    })),
+    defaultTemplate: DEFAULT_TEMPLATE,
+    sections: DEFAULT_SECTION_ORDER.map(id => ({ id, title: RESUME_SECTIONS[id] })),
+    formats: RESUME_BUILDER_FORMATS,
+  };
+}
+
+const formatDate = (value) => {
+  if (!value) return null;
+  const [year, month] = value.split('-');
+  return month ? `${MONTH_NAMES[Number(month) - 1]} ${year}` : year;
+};
+
+const formatRange = (start, end, current) => {
+  const from = formatDate(start);
+  const to = current ? 'Present' : formatDate(end);
+  if (!from) return current ? null : to;
+  return to && to !== from ? `${from} – ${to}` : from;
+};
+
+const displayUrl = (url) => url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+
+const skillBlocks = (skills) => {
+  const verified = skills.filter(skill => skill.verified);
+  const groups = new Map();
+  for (const skill of skills.filter(item => !item.verified)) {
+    const label = skill.category || (verified.length ? 'Other' : null);
+    groups.set(label, [...(groups.get(label) || []), skill.name]);
+  }
+
+  return [
+    ...(verified.length
+      ? [{ type: 'labeled', label: 'Verified', text: verified.map(describeVerifiedSkill).join(', ') }]
+      : []),
+    ...[...groups].map(([label, names]) => (label
+      ? { type: 'labeled', label, text: names.join(', ') }
+      : { type: 'paragraph', text: names.join(', ') })),
+  ];
+};
+
+const SECTION_BUILDERS = {
+  summary: data => (data.summary ? [{ type: 'paragraph', text: data.summary }] : []),
+  experience: data => data.experience.map(job => ({
+    type: 'entry',
+    title: job.title || job.company,
+    subtitle: [job.title && job.company, job.location].filter(Boolean).join(', '),
+    dates: formatRange(job.startDate, job.endDate, job.current),
+    bullets: job.bullets,
+  })),
+  skills: data => skillBlocks(data.skills),
+  education: data => data.education.map(entry => ({
+    type: 'entry',
+    title: [entry.degree, entry.field].filter(Boolean).join(', ') || entry.institution,
+    subtitle: entry.degree || entry.field ? entry.institution : null,
+    dates: formatRange(entry.startDate, entry.endDate, false),
+    bullets: entry.gpa ? [`GPA: ${entry.gpa}`] : [],
+  })),
+  projects: data => data.projects.map(project => ({
+    type: 'entry',
+    title: project.name,
+    subtitle: [project.technologies.join(', '), project.url && displayUrl(project.url)].filter(Boolean).join(' | '),
+    dates: formatRange(project.startDate, project.endDate, false),
+    text: project.description,
+    bullets: [],
+  })),
+  certifications: data => (data.certifications.length ? [{ type: 'list', items: data.certifications }] : []),
+  languages: data => (data.languages.length ? [{ type: 'paragraph', text: data.languages.join(', ') }] : []),
+};
+
+/**
+ * The resume as a template-independent document: header, then the chosen
+ * sections in order (empty ones left out), each a list of blocks:
+ * paragraph, labeled, list or entry (title, subtitle, dates, text, bullets)
+ * @param {Object} resume - Resume document or lean object
+ * @param {string[]} [sections] - Section ids in display order
+ */
+export function buildResumeContent(resume, sections = DEFAULT_SECTION_ORDER) {
+  const data = buildExportProfile(resume);
+
+  return {
+    name: data.name || 'Resume',
+    headline: data.label,
+    contact: [
+      data.location.formatted,
+      data.emails[0],
+      data.phones[0],
+      ...data.links.map(displayUrl),
+    ].filter(Boolean),
+    sections: sections
+      .map(id => ({ id, title: RESUME_SECTIONS[id], blocks: SECTION_BUILDERS[id](data) }))
+      .filter(section => section.blocks.length > 0),
+  };
+}
+
+/**
+ * Plain text of the document in reading order, stored as raw_text when the
+ * generated file is saved as a resume version
+ */
+export function renderContentText(content) {
+  const lines = [content.name, content.headline, content.contact.join(' | ')].filter(Boolean);
+
+  for (const section of content.sections) {
+    lines.push('', section.title.toUpperCase());
+    for (const block of section.blocks) {
+      if (block.type === 'paragraph') lines.push(block.text);
+      if (block.type === 'labeled') lines.push(`${block.label}: ${block.text}`);
+      if (block.type === 'list') lines.push(...block.items.map(item => `- ${item}`));
+      if (block.type === 'entry') {
+        lines.push([block.title, block.dates].filter(Boolean).join(' | '));
+        if (block.subtitle) lines.push(block.subtitle);
+        if (block.text) lines.push(block.text);
+        lines.push(...block.bullets.map(bullet => `- ${bullet}`));
+      }
+    }
+  }
+
+  return lines.join('\n').trim();
+}
+
+/**
+ * Lay the document out on A4 pages as pdfWriter drawing operations
+ */
+function layoutPdfPages(content, template) {
+  const { width, height } = PAGE_SIZES[PAGE_SIZE];
+  const { colors, sizes, margin } = template;
+  const left = margin;
+  const textWidth = width - margin * 2;
+  const pages = [[]];
+  let y = height - margin;
+
+  const currentPage = () => pages[pages.length - 1];
+  const lineHeight = size => size * template.lineHeight;
+  const ensureSpace = (needed) => {
+    if (y - needed < margin) {
+      pages.push([]);
+      y = height - margin;
+    }
+  };
+
+  // Draw one line below the cursor; returns its baseline
+  const drawLine = (text, { size, weight = 'regular', color = colors.text, x = left, align = 'left', boxWidth = textWidth }) => {
+    ensureSpace(lineHeight(size));
+    y -= lineHeight(size);
+    const baseline = y + size * 0.25;
+    const lineWidth = measureText(text, size, weight);
+    const offset = align === 'center' ? (boxWidth - lineWidth) / 2 : align === 'right' ? boxWidth - lineWidth : 0;
+    currentPage().push({ type: 'text', x: x + offset, y: baseline, text, size, weight, color });
+    return baseline;
+  };
+
+  const drawWrapped = (text, options) => {
+    const boxWidth = options.boxWidth || textWidth;
+    wrapText(text, boxWidth, options.size, options.weight).forEach(line => drawLine(line, { ...options, boxWidth }));
+  };
+
+  const drawRule = (color, lineWidth = 0.6) => {
+    currentPage().push({ type: 'line', x1: left, y1: y, x2: left + textWidth, y2: y, color, width: lineWidth });
+  };
+
+  const drawBullet = (text) => {
+    const lines = wrapText(text, textWidth - BULLET_INDENT, sizes.body);
+    lines.forEach((line, index) => {
+      const baseline = drawLine(line, { size: sizes.body, x: left + BULLET_INDENT, boxWidth: textWidth - BULLET_INDENT });
+      if (index === 0) {
+        currentPage().push({ type: 'text', x: left + 3, y: baseline, text: '•', size: sizes.body, weight: 'regular', color: colors.text });
+      }
+    });
+  };
+
+  // Label in bold with the text wrapped in a hanging indent beside it
+  const drawLabeled = ({ label, text }) => {
+    const prefix = `${label}: `;
+    const indent = Math.min(measureText(prefix, sizes.body, 'bold'), textWidth / 3);
+    wrapText(text, textWidth - indent, sizes.body).forEach((line, index) => {
+      const baseline = drawLine(line, { size: sizes.body, x: left + indent, boxWidth: textWidth - indent });
+      if (index === 0) {
+        currentPage().push({ type: 'text', x: left, y: baseline, text: prefix, size: sizes.body, weight: 'bold', color: colors.text });
+      }
+    });
+  };
+
+  const drawEntry = (entry) => {
+    const datesWidth = entry.dates ? measureText(entry.dates, sizes.small) + 12 : 0;
+    const titleLines = wrapText(entry.title, textWidth - datesWidth, sizes.body, 'bold');
+    // Keep the title with the line under it
+    ensureSpace(lineHeight(sizes.body) * (titleLines.length + 1));
+    titleLines.forEach((line, index) => {
+      const baseline = drawLine(line, { size: sizes.body, weight: 'bold' });
+      if (index === 0 && entry.dates) {
+        currentPage().push({
+          type: 'text',
+          x: left + textWidth - measureText(entry.dates, sizes.small),
+          y: baseline,
+          text: entry.dates,
+          size: sizes.small,
+          weight: 'regular',
+          color: colors.muted,
+        });
+      }
+    });
+    if (entry.subtitle) drawWrapped(entry.subtitle, { size: sizes.body, weight: 'italic', color: colors.muted });
+    if (entry.text) drawWrapped(entry.text, { size: sizes.body });
+    entry.bullets.forEach(drawBullet);
+  };
+
+  // Header
+  drawWrapped(content.name, { size: sizes.name, weight: 'bold', color: colors.accent, align: template.headerAlign });
+  if (content.headline) {
+    y -= 2;
+    drawWrapped(content.headline, { size: sizes.headline, color: colors.muted, align: template.headerAlign });
+  }
+  if (content.contact.length) {
+    y -= 2;
+    drawWrapped(content.contact.join(' | '), { size: sizes.small, color: colors.muted, align: template.headerAlign });
+  }
+
+  for (const section of content.sections) {
+    y -= template.sectionGap;
+    // Keep the heading with the first line of the section
+    ensureSpace(lineHeight(sizes.heading) + lineHeight(sizes.body) * 2);
+    const title = template.headingUppercase ? section.title.toUpperCase() : section.title;
+    drawLine(title, { size: sizes.heading, weight: 'bold', color: colors.accent });
+    if (template.headingRule) {
+      y -= 2;
+      drawRule(colors.rule);
+    }
+    y -= 4;
+
+    section.blocks.forEach((block, index) => {
+      if (index > 0 && block.type === 'entry') y -= template.entryGap;
+      if (block.type === 'paragraph') drawWrapped(block.text, { size: sizes.body });
+      if (block.type === 'labeled') drawLabeled(block);
+      if (block.type === 'list') block.items.forEach(drawBullet);
+      if (block.type === 'entry') drawEntry(block);
+    });
+  }
+
+  return pages;
+}
+
+function renderPdf(content, template) {
+  const pages = layoutPdfPages(content, template);
+  const buffer = writePdf({
+    pages,
+    fontFamily: template.fontFamily,
+    pageSize: PAGE_SIZE,
+    info: { title: `${content.name} - Resume`, author: content.name },
+  });
+  return { buffer, pages: pages.length };
+}
+
+// Word paginates DOCX itself, so the page count is unknown here
+async function renderDocx(content, template) {
+  const { colors, sizes, margin } = template;
+  const textWidth = PAGE_SIZES[PAGE_SIZE].width - margin * 2;
+  const align = template.headerAlign;
+  const paragraphs = [docxParagraph([docxRun(content.name)], { style: 'Title' })];
+
+  if (content.headline) {
+    paragraphs.push(docxParagraph([docxRun(content.headline, { color: colors.muted, size: sizes.headline })], { align }));
+  }
+  if (content.contact.length) {
+    paragraphs.push(docxParagraph([docxRun(content.contact.join(' | '), { color: colors.muted, size: sizes.small })], { align }));
+  }
+
+  for (const section of content.sections) {
+    paragraphs.push(docxParagraph([docxRun(section.title)], { style: 'Heading1' }));
+
+    section.blocks.forEach((block, index) => {
+      const spaceBefore = index > 0 && block.type === 'entry' ? template.entryGap : 0;
+
+      if (block.type === 'paragraph') {
+        paragraphs.push(docxParagraph([docxRun(block.text)]));
+      }
+      if (block.type === 'labeled') {
+        paragraphs.push(docxParagraph([docxRun(`${block.label}: `, { bold: true }), docxRun(block.text)]));
+      }
+      if (block.type === 'list') {
+        block.items.forEach(item => paragraphs.push(docxParagraph([docxRun(item)], { bullet: true })));
+      }
+      if (block.type === 'entry') {
+        const titleRuns = [docxRun(block.title, { bold: true })];
+        if (block.dates) titleRuns.push(docxTab(), docxRun(block.dates, { color: colors.muted, size: sizes.small }));
+        paragraphs.push(docxParagraph(titleRuns, { keepNext: true, rightTab: textWidth, spaceBefore }));
+        if (block.subtitle) {
+          paragraphs.push(docxParagraph([docxRun(block.subtitle, { italic: true, color: colors.muted })], { keepNext: block.bullets.length > 0 }));
+        }
+        if (block.text) paragraphs.push(docxParagraph([docxRun(block.text)]));
+        block.bullets.forEach(bullet => paragraphs.push(docxParagraph([docxRun(bullet)], { bullet: true })));
+      }
+    });
+  }
+
+  const buffer = await writeDocx({
+    paragraphs,
+    pageSize: PAGE_SIZE,
+    margin,
+    info: { title: `${content.name} - Resume`, author: content.name },
+    styles: {
+      font: template.docxFont,
+      size: sizes.body,
+      color: colors.text,
+      lineHeight: template.lineHeight,
+      title: { size: sizes.name, color: colors.accent, align },
+      heading: {
+        size: sizes.heading,
+        color: colors.accent,
+        uppercase: template.headingUppercase,
+        rule: template.headingRule,
+        ruleColor: colors.rule,
+        spaceBefore: template.sectionGap,
+        spaceAfter: 4,
+      },
+    },
+  });
+  return { buffer, pages: null };
+}
+
+const FORMAT_OUTPUT = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf', render: renderPdf },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx',
+    render: renderDocx,
+  },
+};
+
+/**
+ * Render a resume with a template
+ * @param {Object} resume - Resume document or lean object
+ * @param {Object} options
+ * @param {'pdf'|'docx'} [options.format]
+ * @param {string} [options.template] - Key of RESUME_TEMPLATES
+ * @param {string[]} [options.sections] - Section ids in display order
+ * @returns {Promise<{ buffer: Buffer, contentType: string, fileName: string, pages: number|null, text: string }>}
+ * @throws {ValidationError} for an unknown format, template or section
+ */
+export async function buildResume(resume, { format = 'pdf', ...options } = {}) {
+  const output = FORMAT_OUTPUT[format];
+  if (!output) {
+    throw new ValidationError(`format must be one of ${RESUME_BUILDER_FORMATS.join(', ')}`);
+  }
+
+  const { template, sections } = resolveBuilderOptions(options);
+  const content = buildResumeContent(resume, sections);
+  const { buffer, pages } = await output.render(content, RESUME_TEMPLATES[template]);
+  const baseName = content.name.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'resume';
+
+  return {
+    buffer,
+    contentType: output.contentType,
+    fileName: `${baseName}-${template}.${output.extension}`,
+    pages,
+    text: renderContentText(content),
+  };
+}
+
+export default {
+  RESUME_BUILDER_FORMATS,
+  RESUME_SECTIONS,
+  RESUME_TEMPLATES,
+  DEFAULT_SECTION_ORDER,
+  DEFAULT_TEMPLATE,
+  resolveBuilderOptions,
+  listTemplates,
+  buildResumeContent,
+  renderContentText,
+  buildResume,
+};
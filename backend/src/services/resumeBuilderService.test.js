@@ -0,0 +1,57 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { buildResume } from './resumeBuilderService.js';
+
+const resumeFor = (name) => ({
+  resumeId: 'resume-1',
+  parsed_resume: {
+    name,
+    current_title: 'Product Manager',
+    emails: ['jose@example.com'],
+    skills: ['Roadmapping', 'SQL'],
+    experience: [{
+      company: 'Acme',
+      title: 'Product Manager',
+      start_date: '2020-01',
+      end_date: null,
+      bullets: ['Launched the Madrid office'],
+    }],
+  },
+});
+
+describe('buildResume', () => {
+  test('renders a PDF with the chosen template and the matching plain text', async () => {
+    const built = await buildResume(resumeFor('José Ñúñez'), { format: 'pdf', template: 'classic', sections: ['experience', 'skills'] });
+
+    assert.equal(built.contentType, 'application/pdf');
+    assert.equal(built.fileName, 'jose-nunez-classic.pdf');
+    assert.equal(built.pages, 1);
+    assert.ok(built.buffer.toString('latin1').startsWith('%PDF-1.4'));
+    assert.match(built.text, /^José Ñúñez\nProduct Manager\njose@example.com\n\nEXPERIENCE\n/);
+    assert.ok(built.text.indexOf('EXPERIENCE') < built.text.indexOf('SKILLS'));
+  });
+
+  test('refuses a PDF of text the PDF fonts cannot show', async () => {
+    await assert.rejects(
+      buildResume(resumeFor('José Ñúñez अजय'), { format: 'pdf' }),
+      { code: 'PDF_UNSUPPORTED_CHARACTERS', statusCode: 422 }
+    );
+  });
+
+  test('keeps every character in a DOCX', async () => {
+    const built = await buildResume(resumeFor('José Ñúñez अजय'), { format: 'docx' });
+
+    const document = await (await JSZip.loadAsync(built.buffer)).file('word/document.xml').async('string');
+    assert.equal(built.fileName, 'jose-nunez-modern.docx');
+    assert.equal(built.pages, null);
+    assert.match(document, /José Ñúñez अजय/);
+    assert.match(built.text, /^José Ñúñez अजय\n/);
+  });
+
+  test('rejects unknown formats, templates and sections', async () => {
+    await assert.rejects(buildResume(resumeFor('Casey'), { format: 'odt' }), { code: 'VALIDATION_ERROR' });
+    await assert.rejects(buildResume(resumeFor('Casey'), { template: 'fancy' }), { code: 'VALIDATION_ERROR' });
+    await assert.rejects(buildResume(resumeFor('Casey'), { sections: ['hobbies'] }), { code: 'VALIDATION_ERROR' });
+  });
+});
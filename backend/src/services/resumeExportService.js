@@ -0,0 +1,833 @@
+import Joi from 'joi';
+import { canonicalizeSkill } from '../data/skillsCanonical.js';
+import { toYearMonth } from './resumeImportService.js';
+import { AppError, ValidationError } from '../utils/errorHandler.js';
+import { escapeXml } from '../utils/xml.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Resume Export Service
+ * A candidate's resume in the standard formats applicant tracking systems
+ * import:
+ * - JSON Resume v1.0.0 (https://jsonresume.org/schema)
+ * - Europass CV XML v3.4 (SkillsPassport)
+ * - HR-Open Standards 4.x Candidate (JSON)
+ *
+ * The exported data is parsed_resume with the candidate's profile overrides
+ * (name, headline, summary, photo, skills, social links) applied and each
+ * skill's verification score and badge attached. Every document is checked
+ * against its schema before it leaves the service.
+ */
+
+export const RESUME_EXPORT_FORMATS = ['jsonresume', 'europass', 'hropen'];
+
+const JSON_RESUME_SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+const EUROPASS_NAMESPACE = 'http://europass.cedefop.europa.eu/Europass';
+const EUROPASS_SCHEMA_LOCATION = `${EUROPASS_NAMESPACE} http://europass.cedefop.europa.eu/xml/v3.4.0/EuropassSchema.xsd`;
+
+const ISO_DATE = /^[1-2][0-9]{3}(-(0[1-9]|1[0-2])(-(0[1-9]|[12][0-9]|3[01]))?)?$/;
+
+const SOCIAL_NETWORKS = [
+  ['linkedin.com', 'LinkedIn'],
+  ['github.com', 'GitHub'],
+  ['gitlab.com', 'GitLab'],
+  ['twitter.com', 'Twitter'],
+  ['x.com', 'X'],
+  ['stackoverflow.com', 'Stack Overflow'],
+  ['dribbble.com', 'Dribbble'],
+  ['behance.net', 'Behance'],
+];
+
+const BADGE_LEVELS = ['gold', 'silver', 'bronze'];
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+const lowerKey = (value) => text(value).toLowerCase();
+
+/**
+ * Drop null, undefined and empty values (strings, arrays, objects) so the
+ * documents only carry fields that have data
+ */
+const compact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(compact).filter(item => item !== undefined);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, compact(item)])
+      .filter(([, item]) => item !== undefined && !(Array.isArray(item) && item.length === 0));
+    return entries.length ? Object.fromEntries(entries) : undefined;
+  }
+  if (value === null || value === undefined || value === '') return undefined;
+  return value;
+};
+
+// Absolute http(s) URL, or null; parsed links often lack the scheme
+const toUrl = (value) => {
+  const raw = text(value);
+  if (!raw) return null;
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:/i.test(raw) ? raw : `https://${raw}`);
+    return ['http:', 'https:'].includes(url.protocol) && url.hostname.includes('.') ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+const toDate = (value) => {
+  const raw = text(value);
+  if (ISO_DATE.test(raw)) return raw;
+  return toYearMonth(raw);
+};
+
+const isEmail = (value) => !Joi.string().email({ tlds: { allow: false } }).validate(value).error;
+
+const socialProfile = (url) => {
+  const { hostname, pathname } = new URL(url);
+  const host = hostname.replace(/^www\./, '');
+  const match = SOCIAL_NETWORKS.find(([domain]) => host === domain || host.endsWith(`.${domain}`));
+  if (!match) return null;
+  const segments = pathname.split('/').filter(Boolean);
+  return { network: match[1], username: segments[segments.length - 1] || null, url };
+};
+
+const splitName = (name) => {
+  const parts = text(name).split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return { given: parts[0] || null, family: null };
+  return { given: parts.slice(0, -1).join(' '), family: parts[parts.length - 1] };
+};
+
+// "Berlin, Germany" / "Austin, TX, US"; a trailing two-letter part is
+// taken as the country code
+const splitLocation = (location) => {
+  const parts = text(location).split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return {};
+  const last = parts[parts.length - 1];
+  const countryCode = parts.length > 1 && /^[A-Za-z]{2}$/.test(last) ? last.toUpperCase() : null;
+  return {
+    formatted: parts.join(', '),
+    city: parts[0],
+    region: parts.length > 2 || (parts.length === 2 && !countryCode) ? parts[1] : null,
+    countryCode,
+  };
+};
+
+const badgeLabel = (level) => `${level.charAt(0).toUpperCase()}${level.slice(1)} badge`;
+
+/**
+ * Skill verification results keyed by lowercase skill name; the interview
+ * results on the profile win over the summary in verification_status
+ */
+const collectVerifications = (parsed, profile) => {
+  const verifications = new Map();
+
+  for (const entry of profile.skillVerifications || []) {
+    if (!entry?.verified || !text(entry.skill)) continue;
+    verifications.set(lowerKey(entry.skill), {
+      score: entry.score ?? null,
+      badge: BADGE_LEVELS.includes(entry.badge?.level) ? entry.badge.level : null,
+      verifiedAt: entry.lastVerifiedAt || null,
+    });
+  }
+
+  for (const entry of parsed.verification_status?.verifiedSkills || []) {
+    const key = lowerKey(entry?.skill);
+    if (!key || verifications.has(key)) continue;
+    verifications.set(key, {
+      score: entry.score ?? null,
+      badge: null,
+      verifiedAt: parsed.verification_status.verifiedAt || null,
+    });
+  }
+
+  return verifications;
+};
+
+const collectSkills = (parsed, profile) => {
+  const verifications = collectVerifications(parsed, profile);
+  const customSkills = (profile.customSkills || []).filter(skill => text(skill?.name));
+  const source = customSkills.length
+    ? customSkills
+    : (parsed.skills || []).filter(text).map(name => ({ name }));
+  const seen = new Set();
+
+  return source.flatMap((skill) => {
+    const key = lowerKey(skill.name);
+    if (seen.has(key)) return [];
+    seen.add(key);
+
+    const verification = verifications.get(key);
+    const ownBadge = BADGE_LEVELS.includes(skill.badge?.level) ? skill.badge.level : null;
+    const verified = Boolean(skill.verified || verification);
+    return [{
+      name: canonicalizeSkill(skill.name),
+      category: text(skill.category) || null,
+      level: typeof skill.level === 'number' ? skill.level : null,
+      verified,
+      score: verified ? (skill.score ?? verification?.score ?? null) : null,
+      badge: verified ? (ownBadge || verification?.badge || null) : null,
+      verifiedAt: verified ? (skill.lastVerifiedAt || verification?.verifiedAt || null) : null,
+    }];
+  });
+};
+
+const collectLinks = (parsed, profile) => {
+  const socialLinks = profile.socialLinks || {};
+  const candidates = [
+    socialLinks.linkedin,
+    socialLinks.github,
+    socialLinks.twitter,
+    socialLinks.portfolio,
+    ...(socialLinks.other || []),
+    ...(parsed.links || []),
+  ];
+  const urls = [...new Set(candidates.map(toUrl).filter(Boolean))];
+  const profiles = urls.map(socialProfile).filter(Boolean);
+  const website = toUrl(socialLinks.portfolio) || urls.find(url => !socialProfile(url)) || null;
+
+  return { urls, profiles, website };
+};
+
+/**
+ * The candidate's resume as exported: parsed fields with the profile
+ * overrides applied, dates in YYYY-MM form and links as absolute URLs
+ * @param {Object} resume - Resume document or lean object
+ */
+export function buildExportProfile(resume) {
+  const parsed = resume.parsed_resume || {};
+  const profile = resume.profile || {};
+  const name = text(profile.customName) || text(parsed.name) || null;
+  const { urls, profiles, website } = collectLinks(parsed, profile);
+
+  return {
+    id: resume.resumeId,
+    name,
+    ...splitName(name),
+    label: text(profile.headline) || text(parsed.current_title) || null,
+    summary: text(profile.customSummary) || text(profile.summary) || text(parsed.summary) || null,
+    photoUrl: toUrl(profile.photoUrl),
+    emails: (parsed.emails || []).map(text).filter(isEmail),
+    phones: (parsed.phones || []).map(text).filter(Boolean),
+    location: splitLocation(parsed.location),
+    links: urls,
+    profiles,
+    website,
+    experience: (parsed.experience || [])
+      .filter(job => text(job?.company) || text(job?.title))
+      .map(job => ({
+        company: text(job.company) || null,
+        title: text(job.title) || null,
+        location: text(job.location) || null,
+        startDate: toDate(job.start_date),
+        endDate: toDate(job.end_date),
+        current: !text(job.end_date) || /^(present|current|now)$/i.test(text(job.end_date)),
+        bullets: (job.bullets || []).map(text).filter(Boolean),
+      })),
+    education: (parsed.education || [])
+      .filter(entry => text(entry?.institution) || text(entry?.degree))
+      .map(entry => ({
+        institution: text(entry.institution) || null,
+        degree: text(entry.degree) || null,
+        field: text(entry.field) || null,
+        startDate: toDate(entry.start_date),
+        endDate: toDate(entry.end_date),
+        gpa: text(entry.gpa) || null,
+      })),
+    projects: (parsed.projects || [])
+      .filter(project => text(project?.name))
+      .map(project => ({
+        name: text(project.name),
+        description: text(project.description) || null,
+        technologies: (project.technologies || []).map(text).filter(Boolean),
+        url: toUrl(project.url),
+        startDate: toDate(project.start_date),
+        endDate: toDate(project.end_date),
+      })),
+    skills: collectSkills(parsed, profile),
+    certifications: (parsed.certifications || []).map(text).filter(Boolean),
+    languages: (parsed.languages || []).map(text).filter(Boolean),
+    updatedAt: resume.updatedAt ? new Date(resume.updatedAt) : new Date(),
+  };
+}
+
+/**
+ * "Python (Gold badge, 92/100)" for a verified skill from buildExportProfile
+ */
+export function describeVerifiedSkill(skill) {
+  const notes = [skill.badge && badgeLabel(skill.badge), skill.score !== null && `${skill.score}/100`].filter(Boolean);
+  return notes.length ? `${skill.name} (${notes.join(', ')})` : skill.name;
+}
+
+const describeSkillLevel = (skill) => {
+  if (!skill.verified) return skill.level !== null ? `${skill.level}/100` : null;
+  const parts = [skill.badge ? `Verified - ${badgeLabel(skill.badge)}` : 'Verified'];
+  if (skill.score !== null) parts.push(`(${skill.score}/100)`);
+  return parts.join(' ');
+};
+
+// ---------------------------------------------------------------------------
+// JSON Resume
+// ---------------------------------------------------------------------------
+
+/**
+ * JSON Resume v1.0.0 document; the skill level carries the verification
+ * badge and score
+ */
+export function toJsonResume(data) {
+  return compact({
+    $schema: JSON_RESUME_SCHEMA_URL,
+    basics: {
+      name: data.name,
+      label: data.label,
+      image: data.photoUrl,
+      email: data.emails[0],
+      phone: data.phones[0],
+      url: data.website,
+      summary: data.summary,
+      location: {
+        city: data.location.city,
+        region: data.location.region,
+        countryCode: data.location.countryCode,
+      },
+      profiles: data.profiles,
+    },
+    work: data.experience.map(job => ({
+      name: job.company,
+      position: job.title,
+      location: job.location,
+      startDate: job.startDate,
+      endDate: job.current ? null : job.endDate,
+      highlights: job.bullets,
+    })),
+    education: data.education.map(entry => ({
+      institution: entry.institution,
+      area: entry.field,
+      studyType: entry.degree,
+      startDate: entry.startDate,
+      endDate: entry.endDate,
+      score: entry.gpa,
+    })),
+    certificates: data.certifications.map(name => ({ name })),
+    skills: data.skills.map(skill => ({
+      name: skill.name,
+      level: describeSkillLevel(skill),
+      keywords: skill.category ? [skill.category] : [],
+    })),
+    languages: data.languages.map(language => ({ language })),
+    projects: data.projects.map(project => ({
+      name: project.name,
+      description: project.description,
+      keywords: project.technologies,
+      url: project.url,
+      startDate: project.startDate,
+      endDate: project.endDate,
+    })),
+    meta: {
+      version: 'v1.0.0',
+      lastModified: data.updatedAt.toISOString(),
+    },
+  });
+}
+
+const isoDate = Joi.string().pattern(ISO_DATE);
+const url = Joi.string().uri({ scheme: ['http', 'https'] });
+const strings = Joi.array().items(Joi.string());
+
+const jsonResumeSchema = Joi.object({
+  $schema: url,
+  basics: Joi.object({
+    name: Joi.string(),
+    label: Joi.string(),
+    image: Joi.string(),
+    email: Joi.string().email({ tlds: { allow: false } }),
+    phone: Joi.string(),
+    url,
+    summary: Joi.string(),
+    location: Joi.object({
+      address: Joi.string(),
+      postalCode: Joi.string(),
+      city: Joi.string(),
+      countryCode: Joi.string(),
+      region: Joi.string(),
+    }).unknown(true),
+    profiles: Joi.array().items(Joi.object({
+      network: Joi.string(),
+      username: Joi.string(),
+      url,
+    }).unknown(true)),
+  }).unknown(true),
+  work: Joi.array().items(Joi.object({
+    name: Joi.string(),
+    location: Joi.string(),
+    description: Joi.string(),
+    position: Joi.string(),
+    url,
+    startDate: isoDate,
+    endDate: isoDate,
+    summary: Joi.string(),
+    highlights: strings,
+  }).unknown(true)),
+  education: Joi.array().items(Joi.object({
+    institution: Joi.string(),
+    url,
+    area: Joi.string(),
+    studyType: Joi.string(),
+    startDate: isoDate,
+    endDate: isoDate,
+    score: Joi.string(),
+    courses: strings,
+  }).unknown(true)),
+  certificates: Joi.array().items(Joi.object({
+    name: Joi.string(),
+    date: isoDate,
+    url,
+    issuer: Joi.string(),
+  }).unknown(true)),
+  skills: Joi.array().items(Joi.object({
+    name: Joi.string(),
+    level: Joi.string(),
+    keywords: strings,
+  }).unknown(true)),
+  languages: Joi.array().items(Joi.object({
+    language: Joi.string(),
+    fluency: Joi.string(),
+  }).unknown(true)),
+  projects: Joi.array().items(Joi.object({
+    name: Joi.string(),
+    description: Joi.string(),
+    highlights: strings,
+    keywords: strings,
+    startDate: isoDate,
+    endDate: isoDate,
+    url,
+    roles: strings,
+    entity: Joi.string(),
+    type: Joi.string(),
+  }).unknown(true)),
+  meta: Joi.object({
+    canonical: url,
+    version: Joi.string(),
+    lastModified: Joi.string(),
+  }).unknown(true),
+}).unknown(true);
+
+// ---------------------------------------------------------------------------
+// Europass
+// ---------------------------------------------------------------------------
+
+// Europass dates are split into attributes: year="2019" month="--03"
+const europassDate = (value) => {
+  if (!value) return null;
+  const [year, month] = value.split('-');
+  return { $: { year, month: month ? `--${month}` : null } };
+};
+
+const europassPeriod = (startDate, endDate, current) => {
+  if (!startDate) return null;
+  return {
+    From: europassDate(startDate),
+    To: current ? null : europassDate(endDate),
+    Current: current ? 'true' : null,
+  };
+};
+
+const bulletText = (lines) => lines.map(line => `- ${line}`).join('\n');
+
+/**
+ * Europass CV (SkillsPassport v3.4) as an element tree: keys are child
+ * elements in schema order, arrays repeat the element, "$" holds attributes
+ */
+export function toEuropass(data) {
+  const verifiedSkills = data.skills.filter(skill => skill.verified);
+
+  return compact({
+    $: {
+      xmlns: EUROPASS_NAMESPACE,
+      'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+      'xsi:schemaLocation': EUROPASS_SCHEMA_LOCATION,
+      locale: 'en',
+    },
+    DocumentInfo: {
+      DocumentType: 'ECV',
+      CreationDate: new Date().toISOString(),
+      LastUpdateDate: data.updatedAt.toISOString(),
+      XSDVersion: 'V3.4',
+      Generator: 'ResumeGraph',
+    },
+    LearnerInfo: {
+      Identification: {
+        PersonName: {
+          FirstName: data.given,
+          Surname: data.family,
+        },
+        ContactInfo: {
+          Address: data.location.formatted ? {
+            Contact: {
+              Municipality: data.location.city,
+              Country: data.location.countryCode ? { Code: data.location.countryCode } : null,
+            },
+          } : null,
+          Email: data.emails[0] ? { Contact: data.emails[0] } : null,
+          TelephoneList: {
+            Telephone: data.phones.map(phone => ({ Contact: phone })),
+          },
+          WebsiteList: {
+            Website: data.links.map(link => ({ Contact: link })),
+          },
+        },
+      },
+      Headline: data.label ? {
+        Type: { Code: 'position', Label: 'Position' },
+        Description: { Label: data.label },
+      } : null,
+      WorkExperienceList: {
+        WorkExperience: data.experience.map(job => ({
+          Period: europassPeriod(job.startDate, job.endDate, job.current),
+          Position: job.title ? { Label: job.title } : null,
+          Activities: job.bullets.length ? bulletText(job.bullets) : null,
+          Employer: job.company ? {
+            Name: job.company,
+            ContactInfo: job.location ? { Address: { Contact: { Municipality: job.location } } } : null,
+          } : null,
+        })),
+      },
+      EducationList: {
+        Education: data.education.map(entry => ({
+          Period: europassPeriod(entry.startDate, entry.endDate, false),
+          Title: entry.degree || entry.field,
+          Activities: entry.gpa ? `GPA: ${entry.gpa}` : null,
+          Organisation: entry.institution ? { Name: entry.institution } : null,
+          Field: entry.field ? { Label: entry.field } : null,
+        })),
+      },
+      Skills: {
+        Linguistic: {
+          ForeignLanguageList: {
+            ForeignLanguage: data.languages.map(language => ({ Description: { Label: language } })),
+          },
+        },
+        Computer: data.skills.length ? {
+          Description: data.skills.map(skill => skill.name).join(', '),
+        } : null,
+        Other: verifiedSkills.length ? {
+          Description: `Verified through skill interviews: ${verifiedSkills.map(describeVerifiedSkill).join(', ')}`,
+        } : null,
+      },
+      AchievementList: {
+        Achievement: [
+          ...data.certifications.map(name => ({
+            Title: { Code: 'certifications', Label: 'Certifications' },
+            Description: name,
+          })),
+          ...data.projects.map(project => ({
+            Title: { Code: 'projects', Label: 'Projects' },
+            Description: [project.name, project.description, project.url].filter(Boolean).join(' - '),
+          })),
+        ],
+      },
+    },
+  });
+}
+
+const label = Joi.object({ Label: Joi.string().required() });
+const codeLabel = Joi.object({ Code: Joi.string().required(), Label: Joi.string() });
+const list = (name, item) => Joi.object({ [name]: Joi.array().items(item).min(1).required() });
+
+const europassDateSchema = Joi.object({
+  $: Joi.object({
+    year: Joi.string().pattern(/^[0-9]{4}$/).required(),
+    month: Joi.string().pattern(/^--(0[1-9]|1[0-2])$/),
+  }).required(),
+});
+
+const europassPeriodSchema = Joi.object({
+  From: europassDateSchema.required(),
+  To: europassDateSchema,
+  Current: Joi.string().valid('true'),
+}).oxor('To', 'Current');
+
+const europassAddressSchema = Joi.object({
+  Contact: Joi.object({
+    Municipality: Joi.string(),
+    Country: Joi.object({ Code: Joi.string().pattern(/^[A-Z]{2}$/).required(), Label: Joi.string() }),
+  }).required(),
+});
+
+const europassSchema = Joi.object({
+  $: Joi.object({
+    xmlns: Joi.string().valid(EUROPASS_NAMESPACE).required(),
+    'xmlns:xsi': Joi.string().required(),
+    'xsi:schemaLocation': Joi.string().required(),
+    locale: Joi.string().required(),
+  }).required(),
+  DocumentInfo: Joi.object({
+    DocumentType: Joi.string().valid('ECV').required(),
+    CreationDate: Joi.string().isoDate().required(),
+    LastUpdateDate: Joi.string().isoDate().required(),
+    XSDVersion: Joi.string().valid('V3.4').required(),
+    Generator: Joi.string(),
+  }).required(),
+  LearnerInfo: Joi.object({
+    Identification: Joi.object({
+      PersonName: Joi.object({ FirstName: Joi.string(), Surname: Joi.string() }),
+      ContactInfo: Joi.object({
+        Address: europassAddressSchema,
+        Email: Joi.object({ Contact: Joi.string().email({ tlds: { allow: false } }).required() }),
+        TelephoneList: list('Telephone', Joi.object({ Contact: Joi.string().required() })),
+        WebsiteList: list('Website', Joi.object({ Contact: url.required() })),
+      }),
+    }),
+    Headline: Joi.object({ Type: codeLabel.required(), Description: label.required() }),
+    WorkExperienceList: list('WorkExperience', Joi.object({
+      Period: europassPeriodSchema,
+      Position: label,
+      Activities: Joi.string(),
+      Employer: Joi.object({
+        Name: Joi.string().required(),
+        ContactInfo: Joi.object({ Address: europassAddressSchema.required() }),
+      }),
+    })),
+    EducationList: list('Education', Joi.object({
+      Period: europassPeriodSchema,
+      Title: Joi.string(),
+      Activities: Joi.string(),
+      Organisation: Joi.object({ Name: Joi.string().required() }),
+      Field: label,
+    })),
+    Skills: Joi.object({
+      Linguistic: Joi.object({
+        ForeignLanguageList: list('ForeignLanguage', Joi.object({ Description: label.required() })).required(),
+      }),
+      Computer: Joi.object({ Description: Joi.string().required() }),
+      Other: Joi.object({ Description: Joi.string().required() }),
+    }),
+    AchievementList: list('Achievement', Joi.object({
+      Title: codeLabel.required(),
+      Description: Joi.string().required(),
+    })),
+  }),
+});
+
+const serializeXml = (name, node, depth = 0) => {
+  if (Array.isArray(node)) {
+    return node.map(item => serializeXml(name, item, depth)).join('');
+  }
+
+  const indent = '  '.repeat(depth);
+  if (typeof node !== 'object') {
+    return `${indent}<${name}>${escapeXml(node)}</${name}>\n`;
+  }
+
+  const { $: attributes = {}, ...children } = node;
+  const attributeText = Object.entries(attributes)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  const entries = Object.entries(children);
+  if (entries.length === 0) {
+    return `${indent}<${name}${attributeText}/>\n`;
+  }
+
+  const childText = entries.map(([key, value]) => serializeXml(key, value, depth + 1)).join('');
+  return `${indent}<${name}${attributeText}>\n${childText}${indent}</${name}>\n`;
+};
+
+// ---------------------------------------------------------------------------
+// HR-Open
+// ---------------------------------------------------------------------------
+
+/**
+ * HR-Open Standards 4.x Candidate. Verified skills carry their interview
+ * score as a 0-100 competency level. Languages are left out: HR-Open
+ * identifies them by ISO code and the parser only has names.
+ */
+export function toHrOpen(data) {
+  return compact({
+    documentId: { value: data.id },
+    person: {
+      name: {
+        formattedName: data.name,
+        given: data.given,
+        family: data.family,
+      },
+      communication: {
+        address: data.location.formatted ? [{
+          formattedAddress: data.location.formatted,
+          city: data.location.city,
+          countryCode: data.location.countryCode,
+        }] : [],
+        email: data.emails.map(address => ({ address })),
+        phone: data.phones.map(formattedNumber => ({ formattedNumber })),
+        web: data.links.map(link => ({ url: link })),
+      },
+    },
+    profiles: [{
+      profileName: data.label,
+      executiveSummary: data.summary,
+      employment: data.experience.map(job => ({
+        organization: job.company ? { name: job.company } : null,
+        start: job.startDate,
+        end: job.current ? null : job.endDate,
+        current: job.current,
+        positionHistories: [{
+          title: job.title,
+          start: job.startDate,
+          end: job.current ? null : job.endDate,
+          current: job.current,
+          description: job.bullets.length ? bulletText(job.bullets) : null,
+        }],
+      })),
+      education: data.education.map(entry => ({
+        institution: entry.institution ? { name: entry.institution } : null,
+        start: entry.startDate,
+        end: entry.endDate,
+        educationDegrees: entry.degree || entry.field ? [{
+          name: entry.degree || entry.field,
+          specializations: entry.field ? [{ name: entry.field }] : [],
+          gpa: entry.gpa ? { value: entry.gpa } : null,
+        }] : [],
+      })),
+      qualifications: data.skills.map(skill => ({
+        competencyName: skill.name,
+        competencyLevel: skill.verified && skill.score !== null
+          ? [{ score: { value: skill.score, minimum: 0, maximum: 100 } }]
+          : [],
+        verified: skill.verified,
+        verifiedAt: skill.verifiedAt ? new Date(skill.verifiedAt).toISOString() : null,
+        badge: skill.badge ? badgeLabel(skill.badge) : null,
+      })),
+      certifications: data.certifications.map(name => ({ name })),
+    }],
+  });
+}
+
+const hrOpenDate = Joi.string().pattern(ISO_DATE);
+
+const hrOpenSchema = Joi.object({
+  documentId: Joi.object({ value: Joi.string().required() }).required(),
+  person: Joi.object({
+    name: Joi.object({
+      formattedName: Joi.string(),
+      given: Joi.string(),
+      family: Joi.string(),
+    }),
+    communication: Joi.object({
+      address: Joi.array().items(Joi.object({
+        formattedAddress: Joi.string(),
+        city: Joi.string(),
+        countryCode: Joi.string().pattern(/^[A-Z]{2}$/),
+      })),
+      email: Joi.array().items(Joi.object({ address: Joi.string().email({ tlds: { allow: false } }).required() })),
+      phone: Joi.array().items(Joi.object({ formattedNumber: Joi.string().required() })),
+      web: Joi.array().items(Joi.object({ url: url.required() })),
+    }),
+  }),
+  profiles: Joi.array().items(Joi.object({
+    profileName: Joi.string(),
+    executiveSummary: Joi.string(),
+    employment: Joi.array().items(Joi.object({
+      organization: Joi.object({ name: Joi.string().required() }),
+      start: hrOpenDate,
+      end: hrOpenDate,
+      current: Joi.boolean(),
+      positionHistories: Joi.array().items(Joi.object({
+        title: Joi.string(),
+        start: hrOpenDate,
+        end: hrOpenDate,
+        current: Joi.boolean(),
+        description: Joi.string(),
+      })),
+    })),
+    education: Joi.array().items(Joi.object({
+      institution: Joi.object({ name: Joi.string().required() }),
+      start: hrOpenDate,
+      end: hrOpenDate,
+      educationDegrees: Joi.array().items(Joi.object({
+        name: Joi.string().required(),
+        specializations: Joi.array().items(Joi.object({ name: Joi.string().required() })),
+        gpa: Joi.object({ value: Joi.string().required() }),
+      })),
+    })),
+    qualifications: Joi.array().items(Joi.object({
+      competencyName: Joi.string().required(),
+      competencyLevel: Joi.array().items(Joi.object({
+        score: Joi.object({
+          value: Joi.number().min(0).max(100).required(),
+          minimum: Joi.number(),
+          maximum: Joi.number(),
+        }).required(),
+      })),
+      verified: Joi.boolean(),
+      verifiedAt: Joi.string().isoDate(),
+      badge: Joi.string(),
+    })),
+    certifications: Joi.array().items(Joi.object({ name: Joi.string().required() })),
+  })).max(1),
+});
+
+// ---------------------------------------------------------------------------
+
+const FORMATS = {
+  jsonresume: {
+    label: 'JSON Resume',
+    build: toJsonResume,
+    schema: jsonResumeSchema,
+    contentType: 'application/json',
+    extension: 'json',
+    serialize: document => JSON.stringify(document, null, 2),
+  },
+  europass: {
+    label: 'Europass',
+    build: toEuropass,
+    schema: europassSchema,
+    contentType: 'application/xml',
+    extension: 'xml',
+    serialize: document => `<?xml version="1.0" encoding="UTF-8"?>\n${serializeXml('SkillsPassport', document)}`,
+  },
+  hropen: {
+    label: 'HR-Open',
+    build: toHrOpen,
+    schema: hrOpenSchema,
+    contentType: 'application/json',
+    extension: 'json',
+    serialize: document => JSON.stringify(document, null, 2),
+  },
+};
+
+/**
+ * Serialize a resume in one of RESUME_EXPORT_FORMATS
+ * @param {Object} resume - Resume document or lean object (already masked
+ *   when the viewer should not see the candidate's identity)
+ * @param {string} format
+ * @returns {{ body: string, contentType: string, fileName: string }}
+ * @throws {ValidationError} for an unknown format
+ * @throws {AppError} 422 EXPORT_SCHEMA_INVALID when the document fails its schema
+ */
+export function exportResume(resume, format) {
+  const spec = FORMATS[format];
+  if (!spec) {
+    throw new ValidationError(`format must be one of ${RESUME_EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const document = spec.build(buildExportProfile(resume));
+  const { error } = spec.schema.validate(document, { abortEarly: false });
+  if (error) {
+    const details = error.details.map(detail => ({ path: detail.path.join('.'), message: detail.message }));
+    logger.error(`Resume ${resume.resumeId} failed ${spec.label} validation`, { details });
+    throw new AppError(`The exported resume does not conform to the ${spec.label} schema`, 422, 'EXPORT_SCHEMA_INVALID', details);
+  }
+
+  return {
+    body: spec.serialize(document),
+    contentType: spec.contentType,
+    fileName: `resume-${resume.resumeId}-${format}.${spec.extension}`,
+  };
+}
+
+export default {
+  RESUME_EXPORT_FORMATS,
+  buildExportProfile,
+  describeVerifiedSkill,
+  toJsonResume,
+  toEuropass,
+  toHrOpen,
+  exportResume,
+};
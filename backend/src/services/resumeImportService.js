@@ -0,0 +1,457 @@
+import path from 'path';
+import { Readable } from 'stream';
+import csv from 'csv-parser';
+import JSZip from 'jszip';
+import { canonicalizeSkills } from '../data/skillsCanonical.js';
+import { calculateYearsOfExperience } from '../utils/experienceCalculator.js';
+import { segmentResume } from '../utils/sectionSegmenter.js';
+import { createProvenance, fieldConfidences, fieldMethods, overallConfidence } from '../utils/fieldProvenance.js';
+import { analyzeSoftSkillsFromResume } from './softSkillsService.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Resume Import Service
+ * Structured resume data mapped straight into parsed_resume, with no text
+ * extraction or parsing in between
+ *
+ * Supported sources:
+ * - JSON Resume documents (https://jsonresume.org/schema)
+ * - LinkedIn "Download your data" archives (Profile.csv, Positions.csv,
+ *   Education.csv, Skills.csv; Email Addresses.csv and PhoneNumbers.csv
+ *   when present)
+ *
+ * The imported data is also rendered as plain text for raw_text, which
+ * search, embeddings and the AI summaries read; provenance spans point into
+ * that text.
+ */
+
+const LINKEDIN_FILES = {
+  profile: 'profile.csv',
+  positions: 'positions.csv',
+  education: 'education.csv',
+  skills: 'skills.csv',
+  emails: 'email addresses.csv',
+  phones: 'phonenumbers.csv',
+};
+
+// Archive entries are inflated only up to this size, so a crafted ZIP
+// cannot expand into gigabytes
+const MAX_CSV_BYTES = 2 * 1024 * 1024;
+const MAX_ENTRIES = 30;
+const MAX_LIST_ITEMS = 150;
+const MAX_TEXT_LENGTH = 200;
+const MAX_BULLET_LENGTH = 1000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /https?:\/\/[^\s,\]]+/g;
+
+const cleanText = (value, maxLength = MAX_TEXT_LENGTH) => {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const trimmed = String(value).replace(/\s+/g, ' ').trim();
+  return trimmed ? trimmed.slice(0, maxLength) : null;
+};
+
+const uniqueList = (values, limit = MAX_LIST_ITEMS) => {
+  const seen = new Set();
+  return values
+    .map(value => cleanText(value))
+    .filter(value => {
+      if (!value || seen.has(value.toLowerCase())) return false;
+      seen.add(value.toLowerCase());
+      return true;
+    })
+    .slice(0, limit);
+};
+
+// Multi-line descriptions become bullets, list markers stripped
+const toBullets = (...values) => values
+  .flatMap(value => (Array.isArray(value) ? value : String(value || '').split(/\r?\n/)))
+  .map(line => cleanText(String(line || '').replace(/^\s*[-*•▪◦]\s*/, ''), MAX_BULLET_LENGTH))
+  .filter(Boolean)
+  .slice(0, MAX_ENTRIES);
+
+/**
+ * Date in the parser's YYYY-MM / YYYY form
+ * Accepts ISO dates, "Jan 2020", "01/2020" and bare years.
+ */
+export function toYearMonth(value) {
+  const raw = cleanText(value);
+  if (!raw) return null;
+
+  let match = raw.match(/^(\d{4})-(0[1-9]|1[0-2])(-\d{2})?/);
+  if (match) return `${match[1]}-${match[2]}`;
+
+  match = raw.match(/^([a-z]{3})[a-z]*\.?\s+(\d{4})$/i);
+  if (match && MONTHS.includes(match[1].toLowerCase())) {
+    return `${match[2]}-${String(MONTHS.indexOf(match[1].toLowerCase()) + 1).padStart(2, '0')}`;
+  }
+
+  match = raw.match(/^(\d{1,2})\/(\d{4})$/);
+  if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) {
+    return `${match[2]}-${match[1].padStart(2, '0')}`;
+  }
+
+  match = raw.match(/^(\d{4})$/);
+  return match ? match[1] : null;
+}
+
+const emptyResume = () => ({
+  name: null,
+  emails: [],
+  phones: [],
+  location: null,
+  current_title: null,
+  years_experience: 0,
+  skills: [],
+  experience: [],
+  education: [],
+  projects: [],
+  certifications: [],
+  languages: [],
+  links: [],
+});
+
+// Title of the first role without an end date, else of the latest role
+const currentTitle = (experience) => {
+  const current = experience.find(entry => !entry.end_date) || experience[0];
+  return current?.title || null;
+};
+
+/**
+ * Map a JSON Resume document to parsed_resume
+ * Skill groups contribute their keywords; a group without keywords is a skill itself.
+ * @param {object} document - parsed JSON Resume
+ * @returns {{parsed: object, summary: string|null}}
+ */
+export function mapJsonResume(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)
+    || !(document.basics || document.work || document.education)) {
+    throw new ValidationError('File is not a JSON Resume document (expected basics, work or education)');
+  }
+
+  const list = (key) => (Array.isArray(document[key]) ? document[key] : [])
+    .filter(item => item && typeof item === 'object');
+  const basics = document.basics && typeof document.basics === 'object' ? document.basics : {};
+  const location = basics.location || {};
+  const parsed = emptyResume();
+
+  parsed.name = cleanText(basics.name);
+  parsed.emails = uniqueList([basics.email]).filter(email => EMAIL_PATTERN.test(email));
+  parsed.phones = uniqueList([basics.phone]);
+  parsed.location = cleanText([location.city, location.region, location.countryCode].filter(Boolean).join(', '));
+  parsed.links = uniqueList([
+    basics.url || basics.website,
+    ...(Array.isArray(basics.profiles) ? basics.profiles.map(profile => profile?.url) : []),
+  ]);
+
+  parsed.experience = list('work').slice(0, MAX_ENTRIES).map(job => ({
+    company: cleanText(job.name || job.company),
+    title: cleanText(job.position),
+    start_date: toYearMonth(job.startDate),
+    end_date: toYearMonth(job.endDate),
+    location: cleanText(job.location),
+    bullets: toBullets(job.summary, job.highlights),
+  })).filter(job => job.company || job.title);
+
+  parsed.education = list('education').slice(0, MAX_ENTRIES).map(school => ({
+    institution: cleanText(school.institution),
+    degree: cleanText(school.studyType),
+    field: cleanText(school.area),
+    start_date: toYearMonth(school.startDate),
+    end_date: toYearMonth(school.endDate),
+    gpa: cleanText(school.score),
+  })).filter(school => school.institution || school.degree);
+
+  parsed.skills = canonicalizeSkills(uniqueList(list('skills').flatMap(skill => (
+    Array.isArray(skill.keywords) && skill.keywords.length > 0 ? skill.keywords : [skill.name]
+  ))));
+
+  parsed.projects = list('projects').slice(0, MAX_ENTRIES).map(project => ({
+    name: cleanText(project.name),
+    description: cleanText(project.description || toBullets(project.highlights).join(' '), MAX_BULLET_LENGTH),
+    technologies: uniqueList(Array.isArray(project.keywords) ? project.keywords : []),
+    url: cleanText(project.url),
+    start_date: toYearMonth(project.startDate),
+    end_date: toYearMonth(project.endDate),
+  })).filter(project => project.name);
+
+  parsed.certifications = uniqueList(list('certificates').map(cert => cert.name));
+  parsed.languages = uniqueList(list('languages').map(language => language.language));
+  parsed.current_title = cleanText(basics.label) || currentTitle(parsed.experience);
+
+  return { parsed, summary: cleanText(basics.summary, 5000) };
+}
+
+const parseCsv = (content) => new Promise((resolve, reject) => {
+  const rows = [];
+  Readable.from([content.replace(/^\uFEFF/, '')])
+    .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+    .on('data', row => rows.push(row))
+    .on('error', reject)
+    .on('end', () => resolve(rows));
+});
+
+/**
+ * Inflate an archive entry as text, stopping once it passes MAX_CSV_BYTES
+ * The sizes in the ZIP headers come from the uploader, so only the bytes
+ * actually inflated are counted.
+ */
+const readEntry = (entry, fileName) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  const stream = entry.nodeStream('nodebuffer');
+
+  stream.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_CSV_BYTES) {
+      stream.destroy();
+      reject(new ValidationError(`${fileName} in the archive is larger than ${MAX_CSV_BYTES / 1024 / 1024}MB`));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  stream.on('error', reject);
+  stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+});
+
+/**
+ * Rows of the LinkedIn export files, keyed like LINKEDIN_FILES
+ * Files are matched by name anywhere in the archive; missing ones are empty.
+ */
+async function readLinkedInArchive(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new ValidationError(`File is not a readable ZIP archive: ${error.message}`);
+  }
+
+  const entries = {};
+  zip.forEach((entryPath, entry) => {
+    if (!entry.dir) entries[path.posix.basename(entryPath).toLowerCase()] = entry;
+  });
+
+  if (!entries[LINKEDIN_FILES.profile] && !entries[LINKEDIN_FILES.positions]) {
+    throw new ValidationError('ZIP is not a LinkedIn data export (Profile.csv and Positions.csv are missing)');
+  }
+
+  const rows = {};
+  for (const [key, fileName] of Object.entries(LINKEDIN_FILES)) {
+    const entry = entries[fileName];
+    if (!entry) {
+      rows[key] = [];
+      continue;
+    }
+    rows[key] = await parseCsv(await readEntry(entry, fileName));
+  }
+  return rows;
+}
+
+/**
+ * Map a LinkedIn data export archive to parsed_resume
+ * @param {Buffer} buffer - ZIP file contents
+ * @returns {Promise<{parsed: object, summary: string|null}>}
+ */
+export async function mapLinkedInExport(buffer) {
+  const rows = await readLinkedInArchive(buffer);
+  const profile = rows.profile[0] || {};
+  const parsed = emptyResume();
+
+  parsed.name = cleanText([profile['First Name'], profile['Last Name']].filter(Boolean).join(' '));
+  parsed.location = cleanText(profile['Geo Location']);
+  parsed.links = uniqueList(String(profile.Websites || '').match(URL_PATTERN) || []);
+
+  // Primary address first
+  parsed.emails = uniqueList([...rows.emails]
+    .sort((a, b) => (b.Primary === 'Yes') - (a.Primary === 'Yes'))
+    .map(row => row['Email Address']))
+    .filter(email => EMAIL_PATTERN.test(email));
+  parsed.phones = uniqueList(rows.phones.map(row => row.Number));
+
+  parsed.experience = rows.positions.slice(0, MAX_ENTRIES).map(row => ({
+    company: cleanText(row['Company Name']),
+    title: cleanText(row.Title),
+    start_date: toYearMonth(row['Started On']),
+    end_date: toYearMonth(row['Finished On']),
+    location: cleanText(row.Location),
+    bullets: toBullets(row.Description),
+  })).filter(job => job.company || job.title);
+
+  parsed.education = rows.education.slice(0, MAX_ENTRIES).map(row => ({
+    institution: cleanText(row['School Name']),
+    degree: cleanText(row['Degree Name']),
+    field: null,
+    start_date: toYearMonth(row['Start Date']),
+    end_date: toYearMonth(row['End Date']),
+    gpa: null,
+  })).filter(school => school.institution || school.degree);
+
+  parsed.skills = canonicalizeSkills(uniqueList(rows.skills.map(row => row.Name)));
+  // The headline is often a tagline ("Engineer at X | Speaker"), so the open position wins
+  parsed.current_title = currentTitle(parsed.experience) || cleanText(profile.Headline);
+
+  return { parsed, summary: cleanText(profile.Summary, 5000) };
+}
+
+const dateRange = (entry) => [entry.start_date, entry.end_date || (entry.start_date ? 'Present' : null)]
+  .filter(Boolean).join(' - ');
+
+/**
+ * Plain-text rendering of imported data with the section headings the
+ * segmenter recognizes
+ */
+export function renderResumeText(parsed, summary = null) {
+  const blocks = [];
+  const section = (heading, lines) => {
+    if (lines.length > 0) blocks.push([heading, ...lines].join('\n'));
+  };
+
+  blocks.push([
+    parsed.name,
+    parsed.current_title,
+    [...parsed.emails, ...parsed.phones, parsed.location].filter(Boolean).join(' | '),
+    ...parsed.links,
+  ].filter(Boolean).join('\n'));
+
+  section('SUMMARY', summary ? [summary] : []);
+  section('EXPERIENCE', parsed.experience.map(job => [
+    [job.title, job.company].filter(Boolean).join(', '),
+    [dateRange(job), job.location].filter(Boolean).join(' | '),
+    ...job.bullets.map(bullet => `- ${bullet}`),
+  ].filter(Boolean).join('\n')));
+  section('EDUCATION', parsed.education.map(school => [
+    [[school.degree, school.field].filter(Boolean).join(' in '), school.institution].filter(Boolean).join(', '),
+    dateRange(school),
+    school.gpa ? `GPA: ${school.gpa}` : null,
+  ].filter(Boolean).join('\n')));
+  section('SKILLS', parsed.skills.length > 0 ? [parsed.skills.join(', ')] : []);
+  section('PROJECTS', parsed.projects.map(project => [
+    project.name,
+    project.description,
+    project.technologies.length > 0 ? `Technologies: ${project.technologies.join(', ')}` : null,
+    project.url,
+  ].filter(Boolean).join('\n')));
+  section('CERTIFICATIONS', parsed.certifications);
+  section('LANGUAGES', parsed.languages);
+
+  return blocks.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Import format of an uploaded file, from its extension or MIME type
+ * @returns {string|null} 'json_resume', 'linkedin_export' (Resume IMPORT_FORMATS) or null
+ */
+export function detectImportFormat(file) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.json' || file.mimetype === 'application/json') return 'json_resume';
+  if (extension === '.zip' || ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype)) {
+    return 'linkedin_export';
+  }
+  return null;
+}
+
+/**
+ * Import an uploaded JSON Resume file or LinkedIn export archive
+ * Every imported value is recorded with the 'import' extractor at full
+ * confidence, located in the rendered raw_text.
+ * @param {object} file - Multer file object
+ * @param {Buffer} buffer - file contents
+ * @returns {Promise<{format: string, parsed_resume: object, raw_text: string, sections: Array, metadata: object}>}
+ * @throws {ValidationError} when the file is not a supported import or holds no resume data
+ */
+export async function importResume(file, buffer) {
+  const startTime = Date.now();
+  const format = detectImportFormat(file);
+
+  let mapped;
+  if (format === 'json_resume') {
+    let document;
+    try {
+      document = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new ValidationError(`File is not valid JSON: ${error.message}`);
+    }
+    mapped = mapJsonResume(document);
+  } else if (format === 'linkedin_export') {
+    mapped = await mapLinkedInExport(buffer);
+  } else {
+    throw new ValidationError('Unsupported import file. Upload a JSON Resume (.json) or a LinkedIn data export (.zip)');
+  }
+
+  const { parsed, summary } = mapped;
+  if (!parsed.name && parsed.experience.length === 0 && parsed.education.length === 0 && parsed.skills.length === 0) {
+    throw new ValidationError('The file does not contain any resume data to import');
+  }
+
+  const yearsResult = calculateYearsOfExperience(parsed.experience);
+  parsed.years_experience = yearsResult.years;
+
+  const rawText = renderResumeText(parsed, summary);
+  const sections = segmentResume(rawText);
+  const provenance = createProvenance(rawText, sections);
+  const source = { extractor: 'import', confidence: 1, provider: format };
+
+  if (parsed.name) provenance.record('name', { ...source, needle: parsed.name, sectionTypes: ['header'] });
+  if (parsed.current_title) provenance.record('current_title', { ...source, needle: parsed.current_title, sectionTypes: ['header'] });
+  if (parsed.location) provenance.record('location', { ...source, needle: parsed.location, sectionTypes: ['header'] });
+  ['emails', 'phones', 'links'].forEach(field => parsed[field].forEach((value, idx) => {
+    provenance.record(`${field}.${idx}`, { ...source, needle: value, sectionTypes: ['header'] });
+  }));
+  parsed.skills.forEach((skill, idx) => {
+    provenance.record(`skills.${idx}`, { ...source, needle: skill, sectionTypes: ['skills'] });
+  });
+  parsed.experience.forEach((job, idx) => {
+    provenance.record(`experience.${idx}`, { ...source, needle: job.company || job.title, sectionTypes: ['experience'] });
+  });
+  parsed.education.forEach((school, idx) => {
+    provenance.record(`education.${idx}`, { ...source, needle: school.institution || school.degree, sectionTypes: ['education'] });
+  });
+  parsed.projects.forEach((project, idx) => {
+    provenance.record(`projects.${idx}`, { ...source, needle: project.name, sectionTypes: ['projects'] });
+  });
+  if (yearsResult.confidence > 0) {
+    provenance.record('years_experience', { ...source, confidence: yearsResult.confidence });
+  }
+
+  try {
+    parsed.soft_skills = analyzeSoftSkillsFromResume(parsed);
+  } catch (error) {
+    logger.error('Soft skills analysis failed:', error.message);
+  }
+
+  parsed.provenance = provenance.entries;
+
+  const missingFields = ['name', 'current_title', 'skills', 'experience', 'education']
+    .filter(field => (Array.isArray(parsed[field]) ? parsed[field].length === 0 : !parsed[field]));
+
+  logger.info(`Imported ${format} resume: ${parsed.experience.length} positions, ${parsed.skills.length} skills`);
+
+  return {
+    format,
+    parsed_resume: parsed,
+    raw_text: rawText,
+    sections,
+    metadata: {
+      version: `import-${format}`,
+      parsed_at: new Date().toISOString(),
+      overall_confidence: parseFloat(overallConfidence(provenance.entries).toFixed(2)),
+      field_confidences: fieldConfidences(provenance.entries),
+      extraction_methods: fieldMethods(provenance.entries),
+      processing_time_ms: Date.now() - startTime,
+      llm_used: false,
+      missing_fields: missingFields,
+      requires_manual_review: false,
+    },
+  };
+}
+
+export default {
+  toYearMonth,
+  mapJsonResume,
+  mapLinkedInExport,
+  renderResumeText,
+  detectImportFormat,
+  importResume,
+};
@@ -0,0 +1,113 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { mapJsonResume, mapLinkedInExport, toYearMonth } from './resumeImportService.js';
+
+const buildArchive = async (files) => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+describe('toYearMonth', () => {
+  test('reads ISO dates, month names, MM/YYYY and bare years', () => {
+    assert.equal(toYearMonth('2020-03-15'), '2020-03');
+    assert.equal(toYearMonth('2020-03'), '2020-03');
+    assert.equal(toYearMonth('Sept. 2019'), '2019-09');
+    assert.equal(toYearMonth('3/2018'), '2018-03');
+    assert.equal(toYearMonth('2015'), '2015');
+  });
+
+  test('returns null for empty and unrecognized values', () => {
+    assert.equal(toYearMonth(''), null);
+    assert.equal(toYearMonth(null), null);
+    assert.equal(toYearMonth('13/2018'), null);
+    assert.equal(toYearMonth('Present'), null);
+  });
+});
+
+describe('mapJsonResume', () => {
+  test('maps basics, work, education and skill keywords', () => {
+    const { parsed, summary } = mapJsonResume({
+      basics: {
+        name: 'Casey Candidate',
+        email: 'casey@example.com',
+        phone: '+1 555 0100',
+        summary: 'Backend engineer.',
+        location: { city: 'Austin', region: 'TX', countryCode: 'US' },
+        profiles: [{ network: 'GitHub', url: 'https://github.com/casey' }],
+      },
+      work: [
+        { name: 'Acme', position: 'Senior Engineer', startDate: '2021-04-01', highlights: ['- Led the API rewrite'] },
+        { name: 'Globex', position: 'Engineer', startDate: '2018-01', endDate: '2021-03' },
+      ],
+      education: [{ institution: 'State University', studyType: 'BSc', area: 'Computer Science', endDate: '2017' }],
+      skills: [{ name: 'Backend', keywords: ['Python', 'PostgreSQL'] }, { name: 'Docker' }],
+    });
+
+    assert.equal(parsed.name, 'Casey Candidate');
+    assert.deepEqual(parsed.emails, ['casey@example.com']);
+    assert.equal(parsed.location, 'Austin, TX, US');
+    assert.deepEqual(parsed.links, ['https://github.com/casey']);
+    assert.equal(parsed.current_title, 'Senior Engineer');
+    assert.deepEqual(parsed.experience[0], {
+      company: 'Acme',
+      title: 'Senior Engineer',
+      start_date: '2021-04',
+      end_date: null,
+      location: null,
+      bullets: ['Led the API rewrite'],
+    });
+    assert.equal(parsed.education[0].field, 'Computer Science');
+    assert.equal(parsed.skills.length, 3);
+    assert.ok(!parsed.skills.some(skill => /^backend$/i.test(skill)));
+    assert.equal(summary, 'Backend engineer.');
+  });
+
+  test('rejects documents that are not JSON Resume', () => {
+    assert.throws(() => mapJsonResume({ name: 'Casey' }), { code: 'VALIDATION_ERROR' });
+    assert.throws(() => mapJsonResume([]), { code: 'VALIDATION_ERROR' });
+  });
+});
+
+describe('mapLinkedInExport', () => {
+  test('maps the profile, positions and primary email of an export', async () => {
+    const archive = await buildArchive({
+      'Basic_LinkedInDataExport/Profile.csv': 'First Name,Last Name,Headline,Summary,Geo Location\nCasey,Candidate,Engineer at Acme | Speaker,Backend engineer.,"Austin, Texas"\n',
+      'Basic_LinkedInDataExport/Positions.csv': 'Company Name,Title,Description,Location,Started On,Finished On\nAcme,Senior Engineer,"Led the API rewrite\nMentored two engineers",Austin,Apr 2021,\nGlobex,Engineer,,,Jan 2018,Mar 2021\n',
+      'Basic_LinkedInDataExport/Email Addresses.csv': 'Email Address,Confirmed,Primary\nold@example.com,Yes,No\ncasey@example.com,Yes,Yes\n',
+      'Basic_LinkedInDataExport/Skills.csv': 'Name\nPython\nPostgreSQL\n',
+    });
+
+    const { parsed, summary } = await mapLinkedInExport(archive);
+
+    assert.equal(parsed.name, 'Casey Candidate');
+    assert.equal(parsed.location, 'Austin, Texas');
+    assert.deepEqual(parsed.emails, ['casey@example.com', 'old@example.com']);
+    assert.equal(parsed.current_title, 'Senior Engineer');
+    assert.deepEqual(parsed.experience.map(job => [job.company, job.start_date, job.end_date]), [
+      ['Acme', '2021-04', null],
+      ['Globex', '2018-01', '2021-03'],
+    ]);
+    assert.deepEqual(parsed.experience[0].bullets, ['Led the API rewrite', 'Mentored two engineers']);
+    assert.equal(parsed.skills.length, 2);
+    assert.equal(summary, 'Backend engineer.');
+  });
+
+  test('rejects archives without the LinkedIn profile or positions files', async () => {
+    const archive = await buildArchive({ 'notes.csv': 'Name\nCasey\n' });
+
+    await assert.rejects(mapLinkedInExport(archive), { code: 'VALIDATION_ERROR', message: /not a LinkedIn data export/ });
+  });
+
+  test('stops inflating an entry past the size limit whatever its header claims', async () => {
+    const archive = await buildArchive({
+      'Positions.csv': `Company Name,Title\n${'Acme,Engineer\n'.repeat(200000)}`,
+    });
+    // Claim a 14 byte file in the local and central directory headers
+    archive.writeUInt32LE(14, 22);
+    archive.writeUInt32LE(14, archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+
+    await assert.rejects(mapLinkedInExport(archive), { code: 'VALIDATION_ERROR', message: /larger than 2MB/ });
+  });
+});
@@ -6,7 +6,7 @@
  * Consolidates:
  *   - extractionService.js (text extraction)
  *   - hybridParserService.js (regex + NER + LLM parsing)
- *   - llmParsingService.js (Watson X.ai integration)
+ *   - llmParsingService.js (LLM integration)
  * 
  * Single entry point for: Upload → Extract → Parse → Generate Embedding
  */
@@ -17,7 +17,6 @@ dotenv.config();
 import pdf from 'pdf-parse';
 import mammoth from 'mammoth';
 import fs from 'fs/promises';
-import axios from 'axios';
 import {
   extractEmails,
   extractPhones,
@@ -29,12 +28,15 @@ import {
   extractCurrentTitle,
   extractSkillKeywords,
 } from '../utils/regexExtractor.js';
+import { segmentResume, getSectionText } from '../utils/sectionSegmenter.js';
+import { createProvenance, fieldConfidences, fieldMethods, overallConfidence } from '../utils/fieldProvenance.js';
 import { calculateYearsOfExperience, getExperienceLevel } from '../utils/experienceCalculator.js';
 import { canonicalizeSkill, canonicalizeSkills, isKnownSkill } from '../data/skillsCanonical.js';
 import { normalizeSkill } from '../utils/skillNormalizer.js';
 import { logger } from '../utils/logger.js';
 import { analyzeSoftSkillsFromResume } from './softSkillsService.js';
 import { extractSkillsWithNER, extractJobSkills } from './aiRouter.js';
+import { generateJSON, generateText } from './llm/index.js';
 
 // Increase NER timeout to 60 seconds
 const NER_TIMEOUT_MS = 60000;
@@ -127,6 +129,16 @@ const isLikelyValidSkill = (rawSkill, contextStopwords) => {
   return hasTechKeyword;
 };
 
+// Provenance needles: where a normalized value appears in the resume text
+const YEARS_PHRASE = /\d+(?:\.\d+)?\+?\s*(?:[-–]\s*\d+\s*)?(?:years?|yrs?)/i;
+
+// "+15551234567" as written in the resume, e.g. "+1 (555) 123-4567"
+const phoneNeedle = (phone) => new RegExp(
+  `${phone.startsWith('+') ? '\\+' : ''}${phone.replace(/\D/g, '').split('').join('[\\s\\-().]*')}`
+);
+
+const skillKey = (skill) => canonicalizeSkill(normalizeSkill(skill) || skill);
+
 const cleanExtractedSkills = (skills, resultContext) => {
   if (!Array.isArray(skills) || skills.length === 0) return [];
   const contextStopwords = buildContextStopwords(resultContext);
@@ -155,29 +167,45 @@ export async function extractText(file) {
     let pages = 0;
     let extractionConfidence = 1.0;
     let ocrNeeded = false;
+    let layout = null;
     
     // PDF files
     if (mimetype === 'application/pdf') {
       try {
-        const buffer = await fs.readFile(path);
-        // Try basic pdf-parse first for speed
+        // Imported lazily: the extraction service loads OCR and image libraries
+        const { extractFromPDF, extractFromPDFWithLayout } = await import('./extractionService.js');
+        // Multi-column and table layouts come out interleaved from plain
+        // extraction, so they are read in layout order
         try {
-          const data = await pdf(buffer, {
-            max: 0,
-            version: 'v2.0.550'
-          });
-          
-          raw_text = data.text;
-          pages = data.numpages;
-        } catch (pdfError) {
-          // If basic parsing fails, try more robust methods
-          logger.warn(`Basic PDF parsing failed: ${pdfError.message}, trying advanced methods...`);
-          
-          // Import and use the advanced extraction service
-          const { extractFromPDF } = await import('./extractionService.js');
-          const result = await extractFromPDF(path);
-          raw_text = result.text;
-          pages = result.pages;
+          const result = await extractFromPDFWithLayout(path);
+          if (result.complex && result.text.length >= 100) {
+            raw_text = result.text;
+            pages = result.pages;
+            layout = result.layout;
+          }
+        } catch (layoutError) {
+          logger.warn(`Layout-aware PDF extraction failed: ${layoutError.message}`);
+        }
+        
+        // Simple documents: basic pdf-parse first for speed
+        if (!layout) {
+          try {
+            const buffer = await fs.readFile(path);
+            const data = await pdf(buffer, {
+              max: 0,
+              version: 'v2.0.550'
+            });
+            
+            raw_text = data.text;
+            pages = data.numpages;
+          } catch (pdfError) {
+            // If basic parsing fails, try more robust methods
+            logger.warn(`Basic PDF parsing failed: ${pdfError.message}, trying advanced methods...`);
+            
+            const result = await extractFromPDF(path, { layout: false });
+            raw_text = result.text;
+            pages = result.pages;
+          }
         }
         
         // Check if OCR needed (less than 100 chars per page)
@@ -230,6 +258,7 @@ export async function extractText(file) {
       extractedChars,
       extractionConfidence,
       ocrNeeded,
+      layout,
       message
     };
     
@@ -245,82 +274,15 @@ export async function extractText(file) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════
-// SECTION 2: WATSON X.AI INTEGRATION (LLM Parsing)
+// SECTION 2: LLM PARSING
 // ═══════════════════════════════════════════════════════════════════════
 
-// Watson credentials from .env (Updated to use new credentials)
-const IBM_API_KEY = process.env.WATSONX_API_KEY || process.env.IBM_API_KEY;
-const IBM_PROJECT_ID = process.env.WATSONX_PROJECT_ID || process.env.IBM_PROJECT_ID;
-const IBM_URL = process.env.WATSONX_URL || process.env.IBM_URL || 'https://us-south.ml.cloud.ibm.com/ml/v1/text/generation?version=2023-05-29';
-const IBM_MODEL_ID = process.env.WATSONX_MODEL_ID || process.env.IBM_MODEL_ID || 'ibm/granite-3-8b-instruct';
-
-// Log Watson configuration on module load
-if (IBM_API_KEY && IBM_PROJECT_ID) {
-  logger.info(`Watson X.ai configured: API Key (${IBM_API_KEY.substring(0, 10)}...), Project ID: ${IBM_PROJECT_ID}`);
-} else {
-  logger.warn('Watson X.ai NOT configured - missing WATSONX_API_KEY or WATSONX_PROJECT_ID');
-}
-
-// IAM token cache
-let cachedToken = null;
-let tokenExpiry = null;
-
-/**
- * Get IBM IAM access token (cached for 1 hour)
- */
-async function getIAMToken() {
-  // Check cache
-  if (cachedToken && tokenExpiry && Date.now() < tokenExpiry) {
-    return cachedToken;
-  }
-  
-  try {
-    const response = await axios.post(
-      'https://iam.cloud.ibm.com/identity/token',
-      new URLSearchParams({
-        grant_type: 'urn:ibm:params:oauth:grant-type:apikey',
-        apikey: IBM_API_KEY
-      }),
-      {
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
-      }
-    );
-    
-    cachedToken = response.data.access_token;
-    tokenExpiry = Date.now() + (50 * 60 * 1000); // 50 minutes
-    
-    logger.info('IAM token obtained successfully');
-    return cachedToken;
-    
-  } catch (error) {
-    logger.error('IAM token request failed:');
-    logger.error('Status:', error.response?.status);
-    logger.error('Status Text:', error.response?.statusText);
-    logger.error('Error Data:', JSON.stringify(error.response?.data, null, 2));
-    logger.error('Error Message:', error.message);
-    logger.error('API Key (first 10 chars):', IBM_API_KEY?.substring(0, 10) + '...');
-    throw new Error(`IAM token failed: ${error.response?.data?.errorMessage || error.response?.status || error.message}`);
-  }
-}
-
 /**
- * Call Watson X.ai for structured resume parsing
+ * Ask the LLM for structured resume parsing
+ * `source` is the provider that answered.
  */
 async function parseResumeWithWatson(rawText) {
-  // Check if Watson credentials are configured
-  if (!IBM_API_KEY || !IBM_PROJECT_ID) {
-    logger.warn('Watson credentials not configured, skipping Watson parsing');
-    return {
-      success: false,
-      error: 'Watson credentials not configured',
-      confidence: 0,
-      source: 'watson'
-    };
-  }
-  
   try {
-    const token = await getIAMToken();
-    
     const prompt = `Extract structured information from this resume. Return ONLY a valid JSON object with these fields:
 {
   "name": "full name",
@@ -339,70 +301,52 @@ Resume Text:
 ${rawText.substring(0, 4000)}
 
 JSON:`;
-    
-    const response = await axios.post(
-      IBM_URL,
-      {
-        input: prompt,
-        parameters: {
-          decoding_method: 'greedy',
-          max_new_tokens: 1500,
-          min_new_tokens: 100,
-          temperature: 0.3,
-          top_p: 0.85,
-          repetition_penalty: 1.1
-        },
-        model_id: IBM_MODEL_ID,
-        project_id: IBM_PROJECT_ID
+
+    const { data: parsed, provider } = await generateJSON(prompt, {
+      task: 'resume_missing_fields',
+      maxTokens: 1500,
+      temperature: 0.3,
+      topP: 0.85,
+      providerOptions: {
+        watson: { decoding_method: 'greedy', min_new_tokens: 100, repetition_penalty: 1.1 },
       },
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        }
-      }
-    );
-    
-    const generatedText = response.data.results[0].generated_text.trim();
-    
-    // Extract JSON from response
-    const jsonMatch = generatedText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('No JSON found in Watson response');
-    }
-    
-    const parsed = JSON.parse(jsonMatch[0]);
-    
+    });
+
     return {
       success: true,
       data: parsed,
       confidence: 0.75,
-      source: 'watson'
+      source: provider
     };
-    
+
   } catch (error) {
-    logger.error('Watson parsing failed:', error.message);
+    logger.error('LLM resume parsing failed:', error.message);
     return {
       success: false,
       error: error.message,
       confidence: 0,
-      source: 'watson'
+      source: null
     };
   }
 }
 
 // ═══════════════════════════════════════════════════════════════════════
-// SECTION 3: HYBRID PARSING (Regex → Watson LLM Fallback)
+// SECTION 3: HYBRID PARSING (Regex → LLM Fallback)
 // ═══════════════════════════════════════════════════════════════════════
 
 /**
- * Main parsing function: Fast regex extraction with Watson fallback for missing fields
+ * Main parsing function: Fast regex extraction with LLM fallback for missing fields
  * 
  * Strategy:
- * 1. Regex extraction (FAST, 95% accurate for structured fields)
- * 2. Watson LLM only for missing/low-confidence fields
- * 3. Canonical skill normalization
+ * 1. Section segmentation, so each extractor reads only its own section
+ * 2. Regex extraction (FAST, 95% accurate for structured fields)
+ * 3. LLM only for missing/low-confidence fields
+ * 4. Canonical skill normalization
+ *
+ * The result carries `sections` (offsets into rawText) for Resume.sections.
+ * parsed_resume.provenance records the extractor, confidence and source span
+ * of every field (utils/fieldProvenance.js); the confidences in the metadata
+ * are computed from it.
  */
 export async function parseResume(rawText, options = {}) {
   const startTime = Date.now();
@@ -410,9 +354,6 @@ export async function parseResume(rawText, options = {}) {
   
   logger.info('Starting hybrid resume parsing...');
   
-  const confidenceScores = {};
-  const extractionMethods = {};
-  
   const result = {
     name: null,
     emails: [],
@@ -425,8 +366,14 @@ export async function parseResume(rawText, options = {}) {
     experience: [],
     projects: [],
     links: [],
+    provenance: [],
   };
   
+  // Each extractor reads only its own sections (whole text when the resume has none of them)
+  const sections = segmentResume(rawText);
+  const textFor = (...types) => getSectionText(rawText, sections, ...types) ?? rawText;
+  const provenance = createProvenance(rawText, sections);
+  
   // ─────────────────────────────────────────────────────────────────────
   // PHASE 1: REGEX EXTRACTION (Fast & Accurate)
   // ─────────────────────────────────────────────────────────────────────
@@ -435,65 +382,80 @@ export async function parseResume(rawText, options = {}) {
   const emailsResult = extractEmails(rawText);
   if (emailsResult.confidence > 0) {
     result.emails = emailsResult.emails;
-    confidenceScores.emails = emailsResult.confidence;
-    extractionMethods.emails = 'regex';
+    result.emails.forEach((email, idx) => provenance.record(`emails.${idx}`, {
+      extractor: 'regex', confidence: emailsResult.confidence, needle: email, sectionTypes: ['header'],
+    }));
   }
   
   const phonesResult = extractPhones(rawText);
   if (phonesResult.confidence > 0) {
     result.phones = phonesResult.phones;
-    confidenceScores.phones = phonesResult.confidence;
-    extractionMethods.phones = 'regex';
+    result.phones.forEach((phone, idx) => provenance.record(`phones.${idx}`, {
+      extractor: 'regex', confidence: phonesResult.confidence, needle: phoneNeedle(phone), sectionTypes: ['header'],
+    }));
   }
   
   const urlsResult = extractURLs(rawText);
   if (urlsResult.confidence > 0) {
     result.links = urlsResult.urls;
-    confidenceScores.links = urlsResult.confidence;
-    extractionMethods.links = 'regex';
+    result.links.forEach((url, idx) => provenance.record(`links.${idx}`, {
+      extractor: 'regex', confidence: urlsResult.confidence, needle: url.replace(/^https?:\/\//, ''), sectionTypes: ['header'],
+    }));
   }
   
   // Extract name (confidence: 0.80-0.95)
-  const nameResult = extractName(rawText);
+  const nameResult = extractName(textFor('header'));
   if (nameResult.confidence >= minConfidence) {
     result.name = nameResult.name;
-    confidenceScores.name = nameResult.confidence;
-    extractionMethods.name = 'regex';
+    provenance.record('name', {
+      extractor: 'regex', confidence: nameResult.confidence, needle: nameResult.name, sectionTypes: ['header'],
+    });
   }
   
   // Extract location (confidence: 0.88)
-  const locationResult = extractLocation(rawText);
+  const locationResult = extractLocation(textFor('header'));
   if (locationResult.confidence >= minConfidence) {
     result.location = locationResult.location;
-    confidenceScores.location = locationResult.confidence;
-    extractionMethods.location = 'regex';
+    provenance.record('location', {
+      extractor: 'regex', confidence: locationResult.confidence, needle: locationResult.location, sectionTypes: ['header'],
+    });
   }
   
   // Extract current title (confidence: 0.75)
-  const titleResult = extractCurrentTitle(rawText);
+  const titleResult = extractCurrentTitle(textFor('header', 'summary', 'experience'));
   if (titleResult.confidence >= minConfidence) {
     result.current_title = titleResult.title;
-    confidenceScores.current_title = titleResult.confidence;
-    extractionMethods.current_title = 'regex';
+    provenance.record('current_title', {
+      extractor: 'regex', confidence: titleResult.confidence, needle: titleResult.title,
+      sectionTypes: ['header', 'summary', 'experience'],
+    });
   }
   
-  // Extract skills (confidence: 0.70)
-  const skillsRegex = extractSkillKeywords(rawText);
+  // Extract skills (confidence: 0.70) - project tech stacks are not skills claims
+  // skillSources keeps the extractor and original wording of each skill for its provenance
+  const skillsText = textFor('skills');
+  const skillSources = new Map();
+  const skillsRegex = extractSkillKeywords(skillsText);
   if (skillsRegex.confidence > 0) {
     result.skills = canonicalizeSkills(skillsRegex.skills);
-    confidenceScores.skills = skillsRegex.confidence;
-    extractionMethods.skills = 'regex';
+    skillsRegex.skills.forEach(skill => skillSources.set(skillKey(skill), {
+      extractor: 'regex', confidence: skillsRegex.confidence, needle: skill,
+    }));
   }
   
   // Enhanced skill extraction using Python NER
   try {
     logger.info('Running Python NER skill extraction...');
-    const nerResult = await extractSkillsWithNER(rawText);
+    const nerResult = await extractSkillsWithNER(skillsText);
     if (nerResult.success && nerResult.skills && nerResult.skills.length > 0) {
       const aiSkills = nerResult.skills.map(s => s.skill.toLowerCase());
       result.skills = [...new Set([...result.skills, ...aiSkills])];
-      extractionMethods.skills = 'regex+ner';
-      confidenceScores.skills = Math.max(confidenceScores.skills || 0, 0.85);
+      nerResult.skills.forEach(s => {
+        const key = skillKey(s.skill);
+        if (!skillSources.has(key)) {
+          skillSources.set(key, { extractor: 'ner', confidence: s.confidence, provider: nerResult.model, needle: s.skill });
+        }
+      });
       logger.info(`NER extracted ${nerResult.skills.length} additional skills`);
     } else {
       logger.info('NER returned no additional skills, using regex skills only');
@@ -504,28 +466,34 @@ export async function parseResume(rawText, options = {}) {
   }
 
   result.skills = cleanExtractedSkills(result.skills, result);
+  result.skills.forEach((skill, idx) => {
+    const source = skillSources.get(skillKey(skill)) || { extractor: 'regex', confidence: skillsRegex.confidence, needle: skill };
+    provenance.record(`skills.${idx}`, { ...source, sectionTypes: ['skills'] });
+  });
   
   // Extract experience years
-  const expResult = extractYearsExperience(rawText);
+  const expResult = extractYearsExperience(textFor('header', 'summary', 'experience'));
   if (expResult.confidence > 0) {
     result.years_experience = expResult.years;
-    confidenceScores.years_experience = expResult.confidence;
-    extractionMethods.years_experience = 'regex';
+    provenance.record('years_experience', {
+      extractor: 'regex', confidence: expResult.confidence, needle: YEARS_PHRASE,
+      sectionTypes: ['header', 'summary', 'experience'],
+    });
   }
   
   // Extract education keywords
-  const educationKeywords = extractEducationKeywords(rawText);
+  const educationKeywords = extractEducationKeywords(textFor('education'));
   if (educationKeywords.matches && educationKeywords.matches.length > 0) {
-    result.education = educationKeywords.matches
-      .filter(m => m.type === 'degree')
-      .map(match => ({
-        degree: match.text,
-        field: null,
-        institution: null,
-        year: null
-      }));
-    confidenceScores.education = educationKeywords.confidence;
-    extractionMethods.education = 'regex';
+    const degrees = educationKeywords.matches.filter(m => m.type === 'degree');
+    result.education = degrees.map(match => ({
+      degree: match.text,
+      field: null,
+      institution: null,
+      year: null
+    }));
+    degrees.forEach((match, idx) => provenance.record(`education.${idx}`, {
+      extractor: 'regex', confidence: educationKeywords.confidence, needle: match.text, sectionTypes: ['education'],
+    }));
   }
   
   // ─────────────────────────────────────────────────────────────────────
@@ -536,15 +504,15 @@ export async function parseResume(rawText, options = {}) {
   const missingFields = [];
   
   // Check what's missing
-  if (!result.name || confidenceScores.name < 0.70) missingFields.push('name');
+  if (!result.name || provenance.confidenceOf('name') < 0.70) missingFields.push('name');
   if (!result.current_title) missingFields.push('current_title');
   if (result.skills.length === 0) missingFields.push('skills');
   if (result.experience.length === 0) missingFields.push('experience');
   if (result.projects.length === 0) missingFields.push('projects');
   
-  // Use Watson only if critical fields missing and useLLM enabled
+  // Use the LLM only if critical fields missing and useLLM enabled
   if (useLLM && missingFields.length > 0) {
-    logger.info(`Calling Watson for missing fields: ${missingFields.join(', ')}`);
+    logger.info(`Calling the LLM for missing fields: ${missingFields.join(', ')}`);
     
     try {
       const llmResult = await parseResumeWithWatson(rawText);
@@ -552,49 +520,50 @@ export async function parseResume(rawText, options = {}) {
       if (llmResult.success) {
         llmUsed = true;
         const llmData = llmResult.data;
+        const fromLLM = (needle, sectionTypes) => ({
+          extractor: 'llm', confidence: llmResult.confidence, provider: llmResult.source, needle, sectionTypes,
+        });
+        const recordList = (field, items, needleOf, sectionTypes) => {
+          provenance.clear(field);
+          items.forEach((item, idx) => provenance.record(`${field}.${idx}`, fromLLM(needleOf(item), sectionTypes)));
+        };
         
-        // Fill missing fields from Watson
+        // Fill missing fields from the LLM answer
         if (!result.name && llmData.name) {
           result.name = llmData.name;
-          confidenceScores.name = llmResult.confidence;
-          extractionMethods.name = 'watson';
+          provenance.record('name', fromLLM(llmData.name, ['header']));
         }
         
         if (!result.current_title && llmData.current_title) {
           result.current_title = llmData.current_title;
-          confidenceScores.current_title = llmResult.confidence;
-          extractionMethods.current_title = 'watson';
+          provenance.record('current_title', fromLLM(llmData.current_title, ['header', 'summary', 'experience']));
         }
         
         if (result.skills.length === 0 && llmData.skills) {
           result.skills = canonicalizeSkills(llmData.skills);
-          confidenceScores.skills = llmResult.confidence;
-          extractionMethods.skills = 'watson';
+          recordList('skills', result.skills, skill => skill, ['skills']);
         }
         
         if (llmData.experience && llmData.experience.length > 0) {
           result.experience = llmData.experience;
-          confidenceScores.experience = llmResult.confidence;
-          extractionMethods.experience = 'watson';
+          recordList('experience', result.experience, entry => entry?.company || entry?.title, ['experience']);
         }
         
         if (llmData.projects && llmData.projects.length > 0) {
           result.projects = llmData.projects;
-          confidenceScores.projects = llmResult.confidence;
-          extractionMethods.projects = 'watson';
+          recordList('projects', result.projects, project => project?.name, ['projects']);
         }
         
         if (llmData.education && llmData.education.length > 0) {
           result.education = llmData.education;
-          confidenceScores.education = llmResult.confidence;
-          extractionMethods.education = 'watson';
+          recordList('education', result.education, entry => entry?.institution || entry?.degree, ['education']);
         }
       } else {
-        logger.warn(`Watson parsing failed: ${llmResult.error}`);
+        logger.warn(`LLM parsing failed: ${llmResult.error}`);
       }
-    } catch (watsonError) {
-      logger.error(`Watson error (continuing without it): ${watsonError.message}`);
-      // Continue without Watson - regex results are still valid
+    } catch (llmError) {
+      logger.error(`LLM error (continuing without it): ${llmError.message}`);
+      // Continue without the LLM - regex results are still valid
     }
   }
   
@@ -602,30 +571,13 @@ export async function parseResume(rawText, options = {}) {
   // PHASE 3: VALIDATION & METADATA
   // ─────────────────────────────────────────────────────────────────────
   
-  // Calculate overall confidence (weighted average)
-  const fieldWeights = {
-    name: 0.15,
-    emails: 0.10,
-    skills: 0.25,
-    experience: 0.20,
-    current_title: 0.15,
-    education: 0.15
-  };
-  
-  let overallConfidence = 0;
-  let totalWeight = 0;
+  result.provenance = provenance.entries;
   
-  for (const [field, weight] of Object.entries(fieldWeights)) {
-    if (confidenceScores[field]) {
-      overallConfidence += confidenceScores[field] * weight;
-      totalWeight += weight;
-    }
-  }
-  
-  overallConfidence = totalWeight > 0 ? overallConfidence / totalWeight : 0;
+  // Overall confidence: weighted average of the per-field provenance confidences
+  const documentConfidence = overallConfidence(provenance.entries);
   
   // Check if manual review needed
-  const requiresManualReview = overallConfidence < 0.65 || 
+  const requiresManualReview = documentConfidence < 0.65 || 
     !result.name || 
     result.skills.length === 0;
   
@@ -644,17 +596,18 @@ export async function parseResume(rawText, options = {}) {
   
   const processingTimeMs = Date.now() - startTime;
   
-  logger.info(`Resume parsed in ${processingTimeMs}ms (Watson: ${llmUsed})`);
+  logger.info(`Resume parsed in ${processingTimeMs}ms (LLM: ${llmUsed})`);
   
   return {
     success: true,
     parsed_resume: result,
+    sections,
     metadata: {
       version: '3.0-unified',
       parsed_at: new Date().toISOString(),
-      overall_confidence: parseFloat(overallConfidence.toFixed(2)),
-      field_confidences: confidenceScores,
-      extraction_methods: extractionMethods,
+      overall_confidence: parseFloat(documentConfidence.toFixed(2)),
+      field_confidences: fieldConfidences(provenance.entries),
+      extraction_methods: fieldMethods(provenance.entries),
       processing_time_ms: processingTimeMs,
       llm_used: llmUsed,
       missing_fields: missingFields,
@@ -679,16 +632,14 @@ export async function deepParse(rawText) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════
-// SECTION 4: WATSON UTILITY FUNCTIONS
+// SECTION 4: LLM UTILITY FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════════
 
 /**
- * Call Watson to predict best job role (used in rolePredictionService)
+ * Ask the LLM for the best job roles (used in intelligentJobMatchingService)
  */
 export async function predictRoleWithWatson(skills, experience, currentTitle) {
   try {
-    const token = await getIAMToken();
-    
     const prompt = `Given these candidate details:
 Skills: ${skills.join(', ')}
 Experience: ${experience} years
@@ -698,46 +649,25 @@ Predict the top 3 best-fit job roles. Return ONLY a JSON array:
 ["Primary Role", "Alternative Role 1", "Alternative Role 2"]
 
 JSON:`;
-    
-    const response = await axios.post(
-      IBM_URL,
-      {
-        input: prompt,
-        parameters: {
-          decoding_method: 'greedy',
-          max_new_tokens: 200,
-          temperature: 0.3,
-          top_p: 0.85
-        },
-        model_id: IBM_MODEL_ID,
-        project_id: IBM_PROJECT_ID
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        }
-      }
-    );
-    
-    const generatedText = response.data.results[0].generated_text.trim();
-    const jsonMatch = generatedText.match(/\[[\s\S]*\]/);
-    
-    if (!jsonMatch) {
-      throw new Error('No JSON array found in Watson response');
-    }
-    
-    const roles = JSON.parse(jsonMatch[0]);
-    
+
+    const { data: roles, provider } = await generateJSON(prompt, {
+      task: 'role_prediction',
+      shape: 'array',
+      maxTokens: 200,
+      temperature: 0.3,
+      topP: 0.85,
+      providerOptions: { watson: { decoding_method: 'greedy' } },
+    });
+
     return {
       success: true,
       roles: roles,
-      confidence: 0.75
+      confidence: 0.75,
+      provider
     };
-    
+
   } catch (error) {
-    logger.error('Watson role prediction failed:', error.message);
+    logger.error('LLM role prediction failed:', error.message);
     return {
       success: false,
       error: error.message,
@@ -747,12 +677,10 @@ JSON:`;
 }
 
 /**
- * Generate AI summary for job (used in jobMatchingService)
+ * Generate AI summary for job (used in intelligentJobMatchingService)
  */
 export async function generateJobSummary(job, candidateSkills, missingSkills) {
   try {
-    const token = await getIAMToken();
-    
     const prompt = `Summarize this job match in 2-3 sentences:
 
 Job: ${job.title} at ${job.company}
@@ -766,37 +694,23 @@ Missing Skills: ${missingSkills.join(', ')}
 Focus on: why this is a good match, what skills need improvement.
 
 Summary:`;
-    
-    const response = await axios.post(
-      IBM_URL,
-      {
-        input: prompt,
-        parameters: {
-          decoding_method: 'greedy',
-          max_new_tokens: 150,
-          temperature: 0.5,
-          top_p: 0.85
-        },
-        model_id: IBM_MODEL_ID,
-        project_id: IBM_PROJECT_ID
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    const summary = response.data.results[0].generated_text.trim();
-    
+
+    const { text: summary, provider } = await generateText(prompt, {
+      task: 'job_summary',
+      maxTokens: 150,
+      temperature: 0.5,
+      topP: 0.85,
+      providerOptions: { watson: { decoding_method: 'greedy' } },
+    });
+
     return {
       success: true,
-      summary: summary
+      summary: summary,
+      provider
     };
-    
+
   } catch (error) {
-    logger.error('Watson job summary failed:', error.message);
+    logger.error('LLM job summary failed:', error.message);
     return {
       success: false,
       summary: null
@@ -804,4 +718,4 @@ Summary:`;
   }
 }
 
-export { getIAMToken, parseResumeWithWatson };
+export { parseResumeWithWatson };
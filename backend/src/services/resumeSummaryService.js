@@ -1,6 +1,6 @@
 /**
  * ═══════════════════════════════════════════════════════════════════════
- * RESUME SUMMARY & ANALYSIS SERVICE (Watson-Powered)
+ * RESUME SUMMARY & ANALYSIS SERVICE (LLM-Powered)
  * ═══════════════════════════════════════════════════════════════════════
  * 
  * Generates comprehensive resume insights including:
@@ -13,42 +13,7 @@
 import { logger } from '../utils/logger.js'
 import { salaryBoostSkills } from '../data/salaryBoostSkills.js'
 import { getRoleByName } from '../data/roleSkillDatabase.js'
-
-const WATSON_API_KEY = process.env.WATSONX_API_KEY || process.env.IBM_API_KEY
-const WATSON_PROJECT_ID = process.env.WATSONX_PROJECT_ID || process.env.IBM_PROJECT_ID
-const IAM_TOKEN_URL = 'https://iam.cloud.ibm.com/identity/token'
-const WATSON_API_URL = process.env.WATSONX_URL || 'https://us-south.ml.cloud.ibm.com/ml/v1/text/generation?version=2023-05-29'
-
-let cachedToken = null
-let tokenExpiry = 0
-
-async function getIAMToken() {
-  if (!WATSON_API_KEY) {
-    throw new Error('Watson API key not configured')
-  }
-
-  if (cachedToken && Date.now() < tokenExpiry - 300000) {
-    return cachedToken
-  }
-
-  const response = await fetch(IAM_TOKEN_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: `grant_type=urn:ibm:params:oauth:grant-type:apikey&apikey=${WATSON_API_KEY}`
-  })
-
-  const data = await response.json()
-
-  if (!response.ok) {
-    throw new Error(data.errorMessage || `IAM token request failed: ${response.status}`)
-  }
-
-  cachedToken = data.access_token
-  tokenExpiry = Date.now() + data.expires_in * 1000
-  return cachedToken
-}
+import { generateJSON } from './llm/index.js'
 
 function buildSummaryPrompt(resume, predictedRole, skillGaps) {
   const skills = resume.parsed_resume?.skills || []
@@ -105,46 +70,14 @@ Rules:
 }
 
 export async function generateResumeSummaryWithWatson(resume, predictedRole, skillGaps) {
-  if (!WATSON_API_KEY || !WATSON_PROJECT_ID) {
-    logger.warn('Watson credentials missing; returning fallback summary')
-    return generateFallbackSummary(resume, predictedRole, skillGaps)
-  }
-
   try {
-    const token = await getIAMToken()
     const prompt = buildSummaryPrompt(resume, predictedRole, skillGaps)
-
-    const response = await fetch(WATSON_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-        Authorization: `Bearer ${token}`
-      },
-      body: JSON.stringify({
-        model_id: 'ibm/granite-3-8b-instruct',
-        input: prompt,
-        parameters: {
-          max_new_tokens: 1500,
-          temperature: 0.3,
-          top_p: 0.9
-        },
-        project_id: WATSON_PROJECT_ID
-      })
+    const { data: parsed, provider } = await generateJSON(prompt, {
+      task: 'resume_insights',
+      maxTokens: 1500,
+      temperature: 0.3
     })
 
-    if (!response.ok) {
-      const text = await response.text()
-      throw new Error(`Watson summary error (${response.status}): ${text}`)
-    }
-
-    const data = await response.json()
-    const raw = data.results?.[0]?.generated_text?.trim() || '{}'
-    const start = raw.indexOf('{')
-    const end = raw.lastIndexOf('}')
-    const payload = start >= 0 && end > start ? raw.slice(start, end + 1) : '{}'
-    const parsed = JSON.parse(payload)
-
     return {
       success: true,
       summary: parsed.summary || 'Your resume shows solid experience in your field.',
@@ -153,10 +86,11 @@ export async function generateResumeSummaryWithWatson(resume, predictedRole, ski
       careerImpactSkills: parsed.careerImpactSkills || [],
       quickWins: parsed.quickWins || [],
       roadmapItems: parsed.roadmapItems || [],
-      watsonGenerated: true
+      aiGenerated: true,
+      provider
     }
   } catch (error) {
-    logger.error('Watson summary generation failed:', error)
+    logger.error('Resume summary generation failed:', error)
     return generateFallbackSummary(resume, predictedRole, skillGaps)
   }
 }
@@ -199,6 +133,6 @@ function generateFallbackSummary(resume, predictedRole, skillGaps) {
       'Connect with professionals in your target role'
     ],
     roadmapItems,
-    watsonGenerated: false
+    aiGenerated: false
   }
 }
@@ -1,7 +1,7 @@
 /**
  * Role Prediction Service - Hybrid Approach
  * 1. Backend logic first: Match resume skills against role database (70/30 weighted)
- * 2. Watson fallback ONLY when:
+ * 2. LLM tiebreaker ONLY when:
  *    - Top 2 roles differ by <10% score
  *    - Ambiguous skills (similarity 0.5-0.7)
  *    - Need tiebreaker confidence boost
@@ -10,57 +10,13 @@
 import { normalizeSkillsArray, matchSkillsFuzzy, isAmbiguousMatch } from '../utils/skillNormalizer.js';
 import { getAllRoles, calculateRoleMatch, findBestMatchingRoles } from '../data/roleSkillDatabase.js';
 import { logger } from '../utils/logger.js';
-
-// Watson X.ai Configuration (Updated credentials)
-const WATSON_API_KEY = process.env.WATSONX_API_KEY || process.env.IBM_API_KEY;
-const WATSON_PROJECT_ID = process.env.IBM_PROJECT_ID;
-const IAM_TOKEN_URL = 'https://iam.cloud.ibm.com/identity/token';
-const WATSON_API_URL = 'https://us-south.ml.cloud.ibm.com/ml/v1/text/generation?version=2023-05-29';
-
-// Cache IAM token (valid for 1 hour)
-let cachedToken = null;
-let tokenExpiry = null;
-
-/**
- * Get IBM IAM token for Watson API authentication
- */
-async function getIAMToken() {
-  // Return cached token if still valid (with 5-minute buffer)
-  if (cachedToken && tokenExpiry && Date.now() < tokenExpiry - 300000) {
-    return cachedToken;
-  }
-
-  try {
-    const response = await fetch(IAM_TOKEN_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: `grant_type=urn:ibm:params:oauth:grant-type:apikey&apikey=${WATSON_API_KEY}`,
-    });
-
-    if (!response.ok) {
-      throw new Error(`IAM token request failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    cachedToken = data.access_token;
-    tokenExpiry = Date.now() + (data.expires_in * 1000); // Convert seconds to milliseconds
-    
-    logger.info('IAM token refreshed successfully');
-    return cachedToken;
-  } catch (error) {
-    logger.error('Failed to get IAM token:', error);
-    throw error;
-  }
-}
+import { generateJSON } from './llm/index.js';
 
 /**
- * Call Watson X.ai for role tiebreaker decision
+ * Ask the LLM to pick the best role among the top backend matches
+ * Returns null when no provider answers, which keeps the backend decision.
  */
-async function callWatsonForRoleTiebreaker(resumeData, topRoles) {
-  const token = await getIAMToken();
-  
+async function callLLMForRoleTiebreaker(resumeData, topRoles) {
   const prompt = `You are an expert career counselor. Analyze this resume and choose the BEST matching role from the candidates provided.
 
 Resume Summary:
@@ -79,45 +35,16 @@ Return ONLY a JSON object with this exact format:
 }`;
 
   try {
-    const response = await fetch(WATSON_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${token}`,
-      },
-      body: JSON.stringify({
-        model_id: 'ibm/granite-3-8b-instruct',
-        input: prompt,
-        parameters: {
-          max_new_tokens: 300,
-          temperature: 0.3,
-          top_p: 0.9,
-        },
-        project_id: WATSON_PROJECT_ID,
-      }),
+    const { data, provider } = await generateJSON(prompt, {
+      task: 'role_tiebreaker',
+      maxTokens: 300,
+      temperature: 0.3,
     });
+    logger.info(`Role tiebreaker answered by ${provider}`);
 
-    if (!response.ok) {
-      throw new Error(`Watson API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const rawText = data.results[0].generated_text.trim();
-    
-    // Clean up response (sometimes Watson adds text before JSON)
-    let jsonText = rawText;
-    const jsonStart = rawText.indexOf('{');
-    if (jsonStart > 0) {
-      jsonText = rawText.slice(jsonStart);
-    }
-    
-    const result = JSON.parse(jsonText);
-    logger.info('Watson tiebreaker called successfully');
-    
-    return result;
+    return { ...data, provider };
   } catch (error) {
-    logger.error('Watson API call failed:', error);
+    logger.error('Role tiebreaker LLM call failed:', error);
     // Return null to fall back to backend decision
     return null;
   }
@@ -165,6 +92,7 @@ function calculateExperience(parsedResume) {
 export async function predictBestRole(parsedResume) {
   const startTime = Date.now();
   let watsonUsed = false;
+  let llmProvider = null;
   
   try {
     // Step 1: Extract and normalize skills
@@ -202,8 +130,8 @@ export async function predictBestRole(parsedResume) {
     const secondRole = roleMatches[1];
     const thirdRole = roleMatches[2];
     
-    // Step 3: ALWAYS use Watson X.ai for intelligent role selection
-    logger.info('Calling Watson X.ai for AI-powered role prediction');
+    // Step 3: ALWAYS ask the LLM for intelligent role selection
+    logger.info('Calling the LLM for AI-powered role prediction');
     
     let finalRole = topRole.name;
     let confidence = topRole.matchScore / 100;
@@ -211,7 +139,7 @@ export async function predictBestRole(parsedResume) {
     let watsonResult = null;
     
     try {
-      watsonResult = await callWatsonForRoleTiebreaker(
+      watsonResult = await callLLMForRoleTiebreaker(
         {
           skills: normalizedSkills,
           experience: experienceYears,
@@ -225,11 +153,12 @@ export async function predictBestRole(parsedResume) {
         finalRole = watsonResult.bestRole;
         confidence = watsonResult.confidence;
         reasoning = watsonResult.reasoning;
-        logger.info(`Watson selected: ${finalRole} (confidence: ${confidence})`);
+        llmProvider = watsonResult.provider;
+        logger.info(`LLM selected: ${finalRole} (confidence: ${confidence})`);
       }
     } catch (error) {
-      logger.warn('Watson call failed, using backend prediction:', error.message);
-      // Fallback to backend prediction if Watson fails
+      logger.warn('LLM call failed, using backend prediction:', error.message);
+      // Fallback to backend prediction if no provider answers
     }
     
     // Step 5: Prepare response
@@ -258,12 +187,13 @@ export async function predictBestRole(parsedResume) {
       },
       metadata: {
         watsonUsed: watsonUsed,
+        llmProvider: llmProvider,
         processingTime: Date.now() - startTime,
         timestamp: new Date().toISOString(),
       },
     };
     
-    logger.info(`Role prediction complete: ${finalRole} (${confidence.toFixed(2)} confidence, Watson: ${watsonUsed})`);
+    logger.info(`Role prediction complete: ${finalRole} (${confidence.toFixed(2)} confidence, LLM: ${llmProvider || 'none'})`);
     return result;
     
   } catch (error) {
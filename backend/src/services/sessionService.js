@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import { NotFoundError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Session Service
+ * Per-device sessions backing refresh-token rotation (see tokenService.js)
+ */
+
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a refresh token for storage
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Build a short device label from a user agent ("Chrome on macOS")
+ */
+export const describeDevice = (userAgent = '') => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browsers = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /(Chrome|CriOS)\//],
+    ['Firefox', /(Firefox|FxiOS)\//],
+    ['Safari', /Version\/.*Safari\//],
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent.slice(0, 60);
+};
+
+/**
+ * Build (unsaved) session for a new sign-in
+ * The caller signs the refresh token with the session id, sets tokenHash and saves
+ */
+export const buildSession = (userId, req, { mfa = false } = {}) => {
+  const userAgent = req?.get?.('user-agent') || '';
+
+  return new Session({
+    userId,
+    userAgent,
+    device: describeDevice(userAgent),
+    ipAddress: req?.ip || '',
+    authTime: new Date(),
+    mfa,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+};
+
+/**
+ * Check whether a session id refers to a live session
+ */
+export const isSessionActive = async (sessionId) => {
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+  return Boolean(session && session.isActive());
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ */
+export const listSessions = async (userId, currentSessionId = null) => {
+  const sessions = await Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return sessions.map(session => ({
+    id: session._id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    mfa: session.mfa,
+    current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString(),
+  }));
+};
+
+/**
+ * Revoke a single session belonging to a user
+ */
+export const revokeSession = async (userId, sessionId, reason = 'user_revoked') => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+
+  if (!session) {
+    throw new NotFoundError('Session');
+  }
+
+  logger.info(`Session ${sessionId} revoked for user ${userId} (${reason})`);
+  return session;
+};
+
+/**
+ * Revoke all of a user's sessions, optionally keeping one (e.g. the current device)
+ * @returns {Promise<number>} number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, { exceptSessionId = null, reason = 'signout_all' } = {}) => {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+
+  logger.info(`Revoked ${result.modifiedCount} session(s) for user ${userId} (${reason})`);
+  return result.modifiedCount;
+};
+
+export default {
+  hashToken,
+  describeDevice,
+  buildSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { AppError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { buildSession, hashToken, REFRESH_TOKEN_TTL_MS } from './sessionService.js';
+
+/**
+ * Token Service
+ * Issues the access/refresh token pair shared by password, OTP and social login
+ *
+ * Every sign-in creates a per-device session. Refresh tokens are single-use:
+ * each refresh rotates the token, and presenting a token that was already
+ * rotated (outside a short grace window for concurrent requests) is treated
+ * as theft and revokes the whole session.
+ *
+ * Claims on both tokens:
+ * - sid: session id
+ * - authTime: when the user signed in (epoch seconds), for org session timeouts
+ * - mfa: true when sign-in completed a second factor
+ */
+
+// Concurrent refreshes from one client (e.g. parallel 401s) may reuse the previous token briefly
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const sessionClaims = (session) => ({
+  sid: session._id.toString(),
+  authTime: Math.floor(session.authTime.getTime() / 1000),
+  mfa: session.mfa
+});
+
+/**
+ * Generate an access token (JWT_EXPIRES_IN, default 7 days)
+ */
+export const generateAccessToken = (userId, claims = {}) => {
+  return jwt.sign(
+    { userId, ...claims },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+  );
+};
+
+/**
+ * Generate a refresh token (30 days); jti makes every rotation unique
+ */
+export const generateRefreshToken = (userId, claims = {}) => {
+  return jwt.sign(
+    { userId, ...claims, type: 'refresh' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: Math.floor(REFRESH_TOKEN_TTL_MS / 1000),
+      jwtid: crypto.randomBytes(16).toString('hex')
+    }
+  );
+};
+
+/**
+ * Start a session for a user and issue its token pair
+ * @param {object} user - User document (saved by this call)
+ * @param {object} req - Express request (device details)
+ * @param {object} [options]
+ * @param {boolean} [options.mfa] - Sign-in completed a second factor
+ * @returns {Promise<{token: string, refreshToken: string, sessionId: string}>}
+ */
+export const issueAuthTokens = async (user, req, { mfa = false } = {}) => {
+  const session = buildSession(user._id, req, { mfa });
+  const claims = sessionClaims(session);
+
+  const token = generateAccessToken(user._id, claims);
+  const refreshToken = generateRefreshToken(user._id, claims);
+
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+  await user.save();
+
+  return { token, refreshToken, sessionId: claims.sid };
+};
+
+const invalidRefresh = (message = 'Invalid or expired refresh token') => {
+  return new AppError(message, 401, 'REFRESH_INVALID');
+};
+
+/**
+ * Handle a refresh token that is no longer the session's current one: allow
+ * the previous token within the grace window, otherwise revoke the session
+ */
+const handleStaleRefreshToken = async (session, presentedHash, decoded, claims, req) => {
+  const withinGrace = presentedHash === session.previousTokenHash &&
+    session.rotatedAt &&
+    Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_MS;
+
+  if (withinGrace) {
+    return { token: generateAccessToken(decoded.userId, claims), refreshToken: null };
+  }
+
+  // A rotated token came back: someone else holds this token family
+  await Session.updateOne(
+    { _id: session._id },
+    { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+  );
+
+  logger.warn(`Refresh token reuse detected for user ${decoded.userId}, session ${session._id} revoked`, {
+    ip: req?.ip,
+    userAgent: req?.get?.('user-agent'),
+    sessionIp: session.ipAddress,
+  });
+
+  throw new AppError('Session has been signed out for your security. Please sign in again.', 401, 'REFRESH_REUSED');
+};
+
+/**
+ * Rotate a refresh token
+ * @returns {Promise<{token: string, refreshToken: string|null}>} refreshToken is
+ *   null when a concurrent request already rotated it (client keeps that one)
+ * @throws {AppError} REFRESH_INVALID or REFRESH_REUSED
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw invalidRefresh();
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.sid) {
+    throw invalidRefresh('Invalid token type');
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || session.userId.toString() !== decoded.userId) {
+    throw invalidRefresh('Session has expired or was signed out');
+  }
+
+  const user = await User.findById(decoded.userId).select('isActive');
+  if (!user || user.isActive === false) {
+    throw invalidRefresh();
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const claims = sessionClaims(session);
+
+  if (presentedHash !== session.tokenHash) {
+    return handleStaleRefreshToken(session, presentedHash, decoded, claims, req);
+  }
+
+  const nextRefreshToken = generateRefreshToken(decoded.userId, claims);
+  const now = new Date();
+
+  // Conditional on the presented hash so only one of two concurrent refreshes
+  // can rotate; the loser is handled like any other already-rotated token
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        previousTokenHash: presentedHash,
+        tokenHash: hashToken(nextRefreshToken),
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        ...(req?.ip && { ipAddress: req.ip })
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    const current = await Session.findById(session._id);
+    if (!current || !current.isActive()) {
+      throw invalidRefresh('Session has expired or was signed out');
+    }
+    return handleStaleRefreshToken(current, presentedHash, decoded, claims, req);
+  }
+
+  return {
+    token: generateAccessToken(decoded.userId, claims),
+    refreshToken: nextRefreshToken
+  };
+};
+
+export default {
+  generateAccessToken,
+  generateRefreshToken,
+  issueAuthTokens,
+  rotateRefreshToken
+};
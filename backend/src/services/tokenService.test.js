@@ -0,0 +1,89 @@
+import { test, describe, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { buildSession, hashToken } from './sessionService.js';
+import { generateRefreshToken, rotateRefreshToken } from './tokenService.js';
+
+const userId = new mongoose.Types.ObjectId();
+const req = { ip: '203.0.113.7', get: () => 'node-test' };
+
+// A session whose current refresh token is the one returned
+const startSession = () => {
+  const session = buildSession(userId, req);
+  const refreshToken = generateRefreshToken(userId.toString(), {
+    sid: session._id.toString(),
+    authTime: Math.floor(session.authTime.getTime() / 1000),
+    mfa: false,
+  });
+  session.tokenHash = hashToken(refreshToken);
+  return { session, refreshToken };
+};
+
+before(() => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('rotateRefreshToken', () => {
+  test('swaps the token only while the presented one is still current', async () => {
+    const { session, refreshToken } = startSession();
+    mock.method(User, 'findById', () => ({ select: async () => ({ isActive: true }) }));
+    mock.method(Session, 'findById', async () => session);
+    mock.method(Session, 'findOneAndUpdate', async () => session);
+
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    const [filter, update] = Session.findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: session._id, tokenHash: hashToken(refreshToken), revokedAt: null });
+    assert.equal(update.$set.previousTokenHash, hashToken(refreshToken));
+    assert.equal(update.$set.tokenHash, hashToken(result.refreshToken));
+    assert.ok(result.token);
+  });
+
+  test('gives the loser of a concurrent rotation an access token only', async () => {
+    const { session, refreshToken } = startSession();
+    const rotatedSession = new Session({
+      ...session.toObject(),
+      previousTokenHash: session.tokenHash,
+      tokenHash: 'rotated-by-the-other-request',
+      rotatedAt: new Date(),
+    });
+    let reads = 0;
+    mock.method(User, 'findById', () => ({ select: async () => ({ isActive: true }) }));
+    mock.method(Session, 'findById', async () => (reads++ === 0 ? session : rotatedSession));
+    mock.method(Session, 'findOneAndUpdate', async () => null);
+    mock.method(Session, 'updateOne', async () => ({}));
+
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    assert.ok(result.token);
+    assert.equal(result.refreshToken, null);
+    assert.equal(Session.updateOne.mock.callCount(), 0);
+  });
+
+  test('revokes the session when a concurrent rotation is outside the grace window', async () => {
+    const { session, refreshToken } = startSession();
+    const rotatedSession = new Session({
+      ...session.toObject(),
+      previousTokenHash: 'some-other-token',
+      tokenHash: 'rotated-by-the-other-request',
+      rotatedAt: new Date(),
+    });
+    let reads = 0;
+    mock.method(User, 'findById', () => ({ select: async () => ({ isActive: true }) }));
+    mock.method(Session, 'findById', async () => (reads++ === 0 ? session : rotatedSession));
+    mock.method(Session, 'findOneAndUpdate', async () => null);
+    mock.method(Session, 'updateOne', async () => ({}));
+
+    await assert.rejects(rotateRefreshToken(refreshToken, req), { code: 'REFRESH_REUSED', statusCode: 401 });
+
+    const [filter, update] = Session.updateOne.mock.calls[0].arguments;
+    assert.equal(filter._id, session._id);
+    assert.equal(update.$set.revokedReason, 'reuse_detected');
+  });
+});
@@ -0,0 +1,406 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { AppError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { send2FAOTP, verify2FAOTP } from './otpService.js';
+
+/**
+ * Two-Factor Service
+ * Second factor for login: emailed codes (otpService) or an authenticator
+ * app (RFC 6238 TOTP), plus one-time recovery codes for either method.
+ *
+ * TOTP secrets are stored AES-256-GCM encrypted; recovery codes are stored
+ * as HMACs. A TOTP code is accepted once (the last used time step is
+ * recorded) and recovery codes are consumed atomically.
+ */
+
+const TOTP_ISSUER = 'CareerBoost AI';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Accept the previous and next step to allow for clock drift
+const TOTP_WINDOW = 1;
+const TOTP_SECRET_BYTES = 20;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TWO_FACTOR_FIELDS = '+twoFactor.totpSecret +twoFactor.pendingTotpSecret +twoFactor.totpLastUsedStep +twoFactor.recoveryCodes';
+
+// ---- Secret storage ----
+
+const getEncryptionKey = () => {
+  const secret = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || 'totp-dev-secret';
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// ---- RFC 6238 TOTP ----
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+// HOTP (RFC 4226) value for a time step
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Find the time step a code belongs to within the drift window
+ * @returns {number|null}
+ */
+const matchTotpStep = (secret, code) => {
+  const current = getTimeStep();
+  const submitted = Buffer.from(code);
+
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const expected = Buffer.from(generateTotp(secret, current + offset));
+    if (expected.length === submitted.length && crypto.timingSafeEqual(expected, submitted)) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+const buildOtpauthUri = (secret, email) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// ---- Recovery codes ----
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (userId, code) => {
+  const secret = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET || 'otp-dev-secret';
+  return crypto.createHmac('sha256', secret).update(`recovery:${userId}:${normalizeRecoveryCode(code)}`).digest('hex');
+};
+
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+// Recovery codes are 10 characters; authenticator and email codes are 6 digits
+const isRecoveryCodeFormat = (code) => normalizeRecoveryCode(code).length === 10;
+
+const loadTwoFactorUser = async (userId) => {
+  const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+  if (!user) {
+    throw new AppError('User not found', 404, 'NOT_FOUND');
+  }
+  return user;
+};
+
+const usesTotp = (user) => user.preferences?.twoFactorMethod === 'totp' && Boolean(user.twoFactor?.totpEnabledAt);
+
+const invalidCode = (message = 'Invalid authentication code.') => {
+  return new AppError(message, 400, 'OTP_INVALID');
+};
+
+/**
+ * Consume a recovery code
+ * @returns {Promise<boolean>} whether a matching unused code was found
+ */
+const consumeRecoveryCode = async (userId, code) => {
+  const result = await User.updateOne(
+    { _id: userId, 'twoFactor.recoveryCodes': { $elemMatch: { codeHash: hashRecoveryCode(userId, code), usedAt: null } } },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Accept a TOTP code once: record its time step so it cannot be replayed
+ */
+const consumeTotpCode = async (user, code) => {
+  const step = matchTotpStep(decryptSecret(user.twoFactor.totpSecret), code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.totpLastUsedStep': null },
+        { 'twoFactor.totpLastUsedStep': { $lt: step } }
+      ]
+    },
+    { $set: { 'twoFactor.totpLastUsedStep': step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// ---- Public API ----
+
+/**
+ * 2FA settings for the settings page
+ * @param {string[]} requiredBy - slugs of organizations that require MFA
+ */
+export const getTwoFactorStatus = async (userId, requiredBy = []) => {
+  const user = await loadTwoFactorUser(userId);
+  const recoveryCodes = user.twoFactor?.recoveryCodes || [];
+
+  return {
+    enabled: Boolean(user.preferences?.twoFactorEnabled),
+    method: usesTotp(user) ? 'totp' : 'email',
+    totpEnrolled: Boolean(user.twoFactor?.totpEnabledAt),
+    totpEnabledAt: user.twoFactor?.totpEnabledAt || null,
+    recoveryCodesRemaining: recoveryCodes.filter(code => !code.usedAt).length,
+    requiredByOrganizations: requiredBy
+  };
+};
+
+/**
+ * Start authenticator app enrollment: create a secret to scan or type in
+ * The secret only becomes active once confirmed with a code (confirmTotpEnrollment).
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+export const beginTotpEnrollment = async (userId) => {
+  const user = await loadTwoFactorUser(userId);
+
+  const secret = base32Encode(crypto.randomBytes(TOTP_SECRET_BYTES));
+  user.twoFactor.pendingTotpSecret = encryptSecret(secret);
+  await user.save();
+
+  logger.info(`TOTP enrollment started for: ${user.email}`);
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, user.email)
+  };
+};
+
+/**
+ * Confirm enrollment with a code from the app; switches 2FA to TOTP and
+ * issues a new set of recovery codes
+ * @returns {Promise<{user: object, recoveryCodes: string[]}>} recoveryCodes are plaintext, returned only here
+ */
+export const confirmTotpEnrollment = async (userId, code) => {
+  const user = await loadTwoFactorUser(userId);
+
+  if (!user.twoFactor?.pendingTotpSecret) {
+    throw new AppError('Start authenticator setup first', 400, 'TOTP_NOT_STARTED');
+  }
+
+  const step = matchTotpStep(decryptSecret(user.twoFactor.pendingTotpSecret), String(code || '').trim());
+  if (step === null) {
+    throw invalidCode('Invalid code. Check that your device clock is correct and try again.');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  user.twoFactor.totpSecret = user.twoFactor.pendingTotpSecret;
+  user.twoFactor.pendingTotpSecret = null;
+  user.twoFactor.totpEnabledAt = new Date();
+  user.twoFactor.totpLastUsedStep = step;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => ({ codeHash: hashRecoveryCode(user._id, recoveryCode) }));
+  user.preferences.twoFactorEnabled = true;
+  user.preferences.twoFactorMethod = 'totp';
+  await user.save();
+
+  logger.info(`TOTP 2FA enabled for: ${user.email}`);
+
+  return { user, recoveryCodes };
+};
+
+/**
+ * Replace all recovery codes
+ * @returns {Promise<string[]>} plaintext codes, returned only here
+ */
+export const regenerateRecoveryCodes = async (userId) => {
+  const user = await loadTwoFactorUser(userId);
+
+  if (!user.preferences?.twoFactorEnabled) {
+    throw new AppError('Enable two-factor authentication first', 400, 'TWO_FACTOR_DISABLED');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => ({ codeHash: hashRecoveryCode(user._id, recoveryCode) }));
+  await user.save();
+
+  logger.info(`Recovery codes regenerated for: ${user.email}`);
+
+  return recoveryCodes;
+};
+
+/**
+ * Choose how login codes are delivered
+ * @param {'email'|'totp'} method
+ */
+export const setTwoFactorMethod = async (userId, method) => {
+  if (!['email', 'totp'].includes(method)) {
+    throw new AppError('method must be email or totp', 400, 'VALIDATION_ERROR');
+  }
+
+  const user = await loadTwoFactorUser(userId);
+
+  if (method === 'totp' && !user.twoFactor?.totpEnabledAt) {
+    throw new AppError('Set up an authenticator app first', 400, 'TOTP_NOT_ENROLLED');
+  }
+
+  user.preferences.twoFactorMethod = method;
+  user.preferences.twoFactorEnabled = true;
+  await user.save();
+
+  logger.info(`2FA method set to ${method} for: ${user.email}`);
+
+  return user;
+};
+
+/**
+ * Remove the authenticator app and recovery codes
+ * 2FA stays on with emailed codes when keepEmail is set (e.g. required by an organization).
+ */
+export const removeTotp = async (userId, { keepEmail = false } = {}) => {
+  const user = await loadTwoFactorUser(userId);
+
+  user.twoFactor.totpSecret = null;
+  user.twoFactor.pendingTotpSecret = null;
+  user.twoFactor.totpEnabledAt = null;
+  user.twoFactor.totpLastUsedStep = null;
+  user.twoFactor.recoveryCodes = [];
+  user.preferences.twoFactorMethod = 'email';
+  user.preferences.twoFactorEnabled = keepEmail ? user.preferences.twoFactorEnabled : false;
+  await user.save();
+
+  logger.info(`TOTP 2FA removed for: ${user.email}`);
+
+  return user;
+};
+
+/**
+ * Issue a login challenge: emails a code unless the user has an authenticator app
+ * @returns {Promise<{method: 'email'|'totp', message: string}>}
+ */
+export const startTwoFactorChallenge = async (user) => {
+  if (usesTotp(user)) {
+    return { method: 'totp', message: 'Enter the code from your authenticator app' };
+  }
+
+  try {
+    await send2FAOTP(user.email, user.name);
+  } catch (otpError) {
+    // A code sent within the cooldown window is still valid
+    if (otpError.code !== 'OTP_COOLDOWN') {
+      throw otpError;
+    }
+  }
+
+  return { method: 'email', message: 'Login code sent to your email' };
+};
+
+/**
+ * Verify a login code: authenticator or emailed code depending on the
+ * user's method, or a recovery code for either
+ * @returns {Promise<{method: 'email'|'totp'|'recovery', recoveryCodesRemaining?: number}>}
+ * @throws {AppError} OTP_INVALID (and otpService errors for emailed codes)
+ */
+export const verifyTwoFactorCode = async (user, code) => {
+  const submitted = String(code || '').trim();
+  const twoFactorUser = await loadTwoFactorUser(user._id);
+
+  if (isRecoveryCodeFormat(submitted)) {
+    const unused = twoFactorUser.twoFactor.recoveryCodes.filter(recoveryCode => !recoveryCode.usedAt).length;
+    if (!(await consumeRecoveryCode(twoFactorUser._id, submitted))) {
+      throw invalidCode('Invalid or already used recovery code.');
+    }
+
+    const remaining = Math.max(unused - 1, 0);
+    logger.warn(`Recovery code used by ${user.email} (${remaining} remaining)`);
+    return { method: 'recovery', recoveryCodesRemaining: remaining };
+  }
+
+  if (usesTotp(twoFactorUser)) {
+    if (!(await consumeTotpCode(twoFactorUser, submitted))) {
+      throw invalidCode('Invalid or expired authenticator code.');
+    }
+    return { method: 'totp' };
+  }
+
+  await verify2FAOTP(user.email, submitted);
+  return { method: 'email' };
+};
+
+export default {
+  getTwoFactorStatus,
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  regenerateRecoveryCodes,
+  setTwoFactorMethod,
+  removeTotp,
+  startTwoFactorChallenge,
+  verifyTwoFactorCode
+};
@@ -0,0 +1,157 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import User from '../models/User.js';
+import {
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  regenerateRecoveryCodes,
+  verifyTwoFactorCode,
+} from './twoFactorService.js';
+
+// RFC 6238 appendix B: SHA-1 secret "12345678901234567890" and its codes
+// (the last six of the eight published digits)
+const RFC_SECRET = Buffer.from('12345678901234567890');
+const RFC_SECRET_BASE32 = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_CODES = [
+  { time: 59, code: '287082' },
+  { time: 1111111109, code: '081804' },
+  { time: 1234567890, code: '005924' },
+  { time: 2000000000, code: '279037' },
+];
+
+let user;
+
+const setClock = (seconds) => {
+  mock.timers.reset();
+  mock.timers.enable({ apis: ['Date'], now: seconds * 1000 });
+};
+
+// In-memory stand-in for the two atomic updates the service makes
+const applyUpdate = async (filter, update) => {
+  const set = update.$set;
+  if ('twoFactor.totpLastUsedStep' in set) {
+    const last = user.twoFactor.totpLastUsedStep;
+    if (last !== null && last >= set['twoFactor.totpLastUsedStep']) {
+      return { modifiedCount: 0 };
+    }
+    user.twoFactor.totpLastUsedStep = set['twoFactor.totpLastUsedStep'];
+    return { modifiedCount: 1 };
+  }
+
+  const { codeHash } = filter['twoFactor.recoveryCodes'].$elemMatch;
+  const recoveryCode = user.twoFactor.recoveryCodes.find(entry => entry.codeHash === codeHash && !entry.usedAt);
+  if (!recoveryCode) {
+    return { modifiedCount: 0 };
+  }
+  recoveryCode.usedAt = set['twoFactor.recoveryCodes.$.usedAt'];
+  return { modifiedCount: 1 };
+};
+
+const enrollWithRfcSecret = async () => {
+  const randomBytes = crypto.randomBytes;
+  mock.method(crypto, 'randomBytes', (size) => (size === RFC_SECRET.length ? Buffer.from(RFC_SECRET) : randomBytes(size)));
+  const enrollment = await beginTotpEnrollment(user._id);
+  crypto.randomBytes.mock.restore();
+
+  setClock(RFC_CODES[0].time);
+  const { recoveryCodes } = await confirmTotpEnrollment(user._id, RFC_CODES[0].code);
+  return { enrollment, recoveryCodes };
+};
+
+beforeEach(() => {
+  user = new User({ name: 'Two Factor', email: 'totp@example.com' });
+  mock.method(user, 'save', async () => user);
+  mock.method(User, 'findById', () => ({ select: async () => user }));
+  mock.method(User, 'updateOne', applyUpdate);
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+describe('authenticator enrollment', () => {
+  test('issues a base32 secret and an otpauth URI', async () => {
+    const { enrollment } = await enrollWithRfcSecret();
+
+    assert.equal(enrollment.secret, RFC_SECRET_BASE32);
+    assert.match(enrollment.otpauthUri, /^otpauth:\/\/totp\/CareerBoost%20AI%3Atotp%40example\.com\?secret=GEZDGNBV/);
+    assert.match(enrollment.otpauthUri, /digits=6&period=30/);
+  });
+
+  test('stores the secret encrypted and switches the user to TOTP', async () => {
+    const { recoveryCodes } = await enrollWithRfcSecret();
+
+    assert.ok(user.twoFactor.totpSecret);
+    assert.ok(!user.twoFactor.totpSecret.includes(RFC_SECRET_BASE32));
+    assert.equal(user.twoFactor.pendingTotpSecret, null);
+    assert.equal(user.preferences.twoFactorMethod, 'totp');
+    assert.equal(user.preferences.twoFactorEnabled, true);
+
+    assert.equal(recoveryCodes.length, 10);
+    assert.ok(recoveryCodes.every(code => /^[a-f0-9]{5}-[a-f0-9]{5}$/.test(code)));
+    assert.ok(user.twoFactor.recoveryCodes.every(entry => !recoveryCodes.includes(entry.codeHash)));
+  });
+
+  test('rejects a wrong confirmation code', async () => {
+    await beginTotpEnrollment(user._id);
+    await assert.rejects(confirmTotpEnrollment(user._id, '000000'), { code: 'OTP_INVALID' });
+    assert.equal(user.twoFactor.totpEnabledAt, null);
+  });
+});
+
+describe('authenticator codes', () => {
+  test('accepts the RFC 6238 reference codes', async () => {
+    await enrollWithRfcSecret();
+
+    for (const { time, code } of RFC_CODES.slice(1)) {
+      setClock(time);
+      assert.deepEqual(await verifyTwoFactorCode(user, code), { method: 'totp' });
+    }
+  });
+
+  test('allows one step of clock drift and no more', async () => {
+    await enrollWithRfcSecret();
+
+    setClock(1111111109 + 30);
+    assert.deepEqual(await verifyTwoFactorCode(user, '081804'), { method: 'totp' });
+
+    setClock(1234567890 + 90);
+    await assert.rejects(verifyTwoFactorCode(user, '005924'), { code: 'OTP_INVALID' });
+  });
+
+  test('does not accept a code twice', async () => {
+    await enrollWithRfcSecret();
+    setClock(1111111109);
+
+    await verifyTwoFactorCode(user, '081804');
+    await assert.rejects(verifyTwoFactorCode(user, '081804'), { code: 'OTP_INVALID' });
+  });
+
+  test('does not accept the enrollment code again at login', async () => {
+    await enrollWithRfcSecret();
+
+    await assert.rejects(verifyTwoFactorCode(user, RFC_CODES[0].code), { code: 'OTP_INVALID' });
+  });
+});
+
+describe('recovery codes', () => {
+  test('are accepted once each, in any formatting', async () => {
+    const { recoveryCodes } = await enrollWithRfcSecret();
+
+    const result = await verifyTwoFactorCode(user, recoveryCodes[0].toUpperCase().replace('-', ' '));
+    assert.deepEqual(result, { method: 'recovery', recoveryCodesRemaining: 9 });
+
+    await assert.rejects(verifyTwoFactorCode(user, recoveryCodes[0]), { code: 'OTP_INVALID' });
+  });
+
+  test('stop working once regenerated', async () => {
+    const { recoveryCodes } = await enrollWithRfcSecret();
+
+    const replacements = await regenerateRecoveryCodes(user._id);
+
+    await assert.rejects(verifyTwoFactorCode(user, recoveryCodes[1]), { code: 'OTP_INVALID' });
+    assert.equal((await verifyTwoFactorCode(user, replacements[1])).method, 'recovery');
+  });
+});
@@ -1,41 +1,6 @@
 import { logger } from '../utils/logger.js'
 import { canonicalizeSkills } from '../data/skillsCanonical.js'
-
-const WATSON_API_KEY = process.env.WATSONX_API_KEY || process.env.IBM_API_KEY
-const WATSON_PROJECT_ID = process.env.WATSONX_PROJECT_ID || process.env.IBM_PROJECT_ID
-const IAM_TOKEN_URL = 'https://iam.cloud.ibm.com/identity/token'
-const WATSON_API_URL = process.env.WATSONX_URL || 'https://us-south.ml.cloud.ibm.com/ml/v1/text/generation?version=2023-05-29'
-
-let cachedToken = null
-let tokenExpiry = 0
-
-async function getIAMToken() {
-  if (!WATSON_API_KEY) {
-    throw new Error('Watson API key not configured')
-  }
-
-  if (cachedToken && Date.now() < tokenExpiry - 300000) {
-    return cachedToken
-  }
-
-  const response = await fetch(IAM_TOKEN_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: `grant_type=urn:ibm:params:oauth:grant-type:apikey&apikey=${WATSON_API_KEY}`
-  })
-
-  const data = await response.json()
-
-  if (!response.ok) {
-    throw new Error(data.errorMessage || `IAM token request failed: ${response.status}`)
-  }
-
-  cachedToken = data.access_token
-  tokenExpiry = Date.now() + data.expires_in * 1000
-  return cachedToken
-}
+import { generateJSON, resetTokenCaches } from './llm/index.js'
 
 function normalizeSkillList(skills = []) {
   const canonical = canonicalizeSkills(skills)
@@ -78,48 +43,14 @@ Responsibilities:
 }
 
 export async function extractJobSkillsWithWatson(jobPayload) {
-  if (!WATSON_API_KEY || !WATSON_PROJECT_ID) {
-    logger.warn('Watson credentials missing. Cannot enrich job skills.')
-    return { success: false, required: [], preferred: [], summary: null }
-  }
-
   try {
-    const token = await getIAMToken()
     const prompt = buildJobPrompt(jobPayload)
-
-    const response = await fetch(WATSON_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-        Authorization: `Bearer ${token}`
-      },
-      body: JSON.stringify({
-        model_id: 'ibm/granite-3-8b-instruct',
-        input: prompt,
-        parameters: {
-          max_new_tokens: 800,
-          temperature: 0.25,
-          top_p: 0.9
-        },
-        project_id: WATSON_PROJECT_ID
-      })
+    const { data: parsed, provider } = await generateJSON(prompt, {
+      task: 'job_skills',
+      maxTokens: 800,
+      temperature: 0.25
     })
 
-    if (!response.ok) {
-      const text = await response.text()
-      throw new Error(`Watson job skill extraction failed (${response.status}): ${text}`)
-    }
-
-    const data = await response.json()
-    const raw = data.results?.[0]?.generated_text?.trim() || ''
-    const start = raw.indexOf('{')
-    const end = raw.lastIndexOf('}')
-    if (start === -1 || end === -1) {
-      throw new Error('Watson response did not contain JSON payload')
-    }
-
-    const parsed = JSON.parse(raw.slice(start, end + 1))
     const required = normalizeSkillList(parsed.requiredSkills || parsed.skills || [])
     const preferred = normalizeSkillList(parsed.preferredSkills || [])
 
@@ -127,15 +58,15 @@ export async function extractJobSkillsWithWatson(jobPayload) {
       success: required.length > 0 || preferred.length > 0,
       required,
       preferred,
-      summary: parsed.summary || null
+      summary: parsed.summary || null,
+      provider
     }
   } catch (error) {
-    logger.warn('Watson job skill extraction error:', error.message)
+    logger.warn('LLM job skill extraction error:', error.message)
     return { success: false, required: [], preferred: [], summary: null, error: error.message }
   }
 }
 
 export function resetWatsonJobSkillCache() {
-  cachedToken = null
-  tokenExpiry = 0
+  resetTokenCaches()
 }
@@ -1,53 +1,12 @@
 import { logger } from '../utils/logger.js'
-
-const WATSON_API_KEY = process.env.WATSONX_API_KEY || process.env.IBM_API_KEY
-const WATSON_PROJECT_ID = process.env.WATSONX_PROJECT_ID || process.env.IBM_PROJECT_ID
-const IAM_TOKEN_URL = 'https://iam.cloud.ibm.com/identity/token'
-const WATSON_API_URL = process.env.WATSONX_URL || 'https://us-south.ml.cloud.ibm.com/ml/v1/text/generation?version=2023-05-29'
-
-let cachedToken = null
-let tokenExpiry = 0
-
-async function getIAMToken() {
-  if (!WATSON_API_KEY) {
-    throw new Error('Watson API key not configured')
-  }
-
-  if (cachedToken && Date.now() < tokenExpiry - 300000) {
-    return cachedToken
-  }
-
-  const response = await fetch(IAM_TOKEN_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: `grant_type=urn:ibm:params:oauth:grant-type:apikey&apikey=${WATSON_API_KEY}`
-  })
-
-  const data = await response.json()
-
-  if (!response.ok) {
-    throw new Error(data.errorMessage || `IAM token request failed: ${response.status}`)
-  }
-
-  cachedToken = data.access_token
-  tokenExpiry = Date.now() + data.expires_in * 1000
-  return cachedToken
-}
+import { generateJSON } from './llm/index.js'
 
 /**
- * Generate comprehensive resume summary with Watson AI
+ * Generate comprehensive resume summary with the LLM
+ * `source` is the provider that answered, or 'fallback'
  */
 export async function generateResumeSummaryWithWatson(resume, predictedRole, skillGaps) {
-  if (!WATSON_API_KEY || !WATSON_PROJECT_ID) {
-    logger.warn('Watson not configured, using fallback summary')
-    return generateFallbackSummary(resume, predictedRole, skillGaps)
-  }
-
   try {
-    const token = await getIAMToken()
-    
     const prompt = `You are an expert career advisor and resume consultant. Analyze this resume and provide a comprehensive summary.
 
 RESUME DATA:
@@ -83,44 +42,19 @@ Provide a JSON response with:
 
 Be specific, actionable, and encouraging. Focus on practical career growth.`
 
-    const response = await fetch(WATSON_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-        Authorization: `Bearer ${token}`
-      },
-      body: JSON.stringify({
-        model_id: 'ibm/granite-3-8b-instruct',
-        input: prompt,
-        parameters: {
-          max_new_tokens: 1200,
-          temperature: 0.7,
-          top_p: 0.9
-        },
-        project_id: WATSON_PROJECT_ID
-      })
+    const { data: parsed, provider } = await generateJSON(prompt, {
+      task: 'resume_summary',
+      maxTokens: 1200,
+      temperature: 0.7
     })
 
-    if (!response.ok) {
-      throw new Error(`Watson API error: ${response.status}`)
-    }
-
-    const data = await response.json()
-    const raw = data.results?.[0]?.generated_text?.trim() || '{}'
-    
-    const start = raw.indexOf('{')
-    const end = raw.lastIndexOf('}')
-    const payload = start >= 0 && end > start ? raw.slice(start, end + 1) : '{}'
-    const parsed = JSON.parse(payload)
-
     return {
       success: true,
       summary: parsed,
-      source: 'watson'
+      source: provider
     }
   } catch (error) {
-    logger.error('Watson resume summary generation failed:', error.message)
+    logger.error('Resume summary generation failed:', error.message)
     return generateFallbackSummary(resume, predictedRole, skillGaps)
   }
 }
@@ -0,0 +1,55 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 writer for report and export downloads
+ */
+
+// Cells starting with these are evaluated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a single CSV cell
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {object[]} rows - Records to write
+ * @param {Array<{key: string, label: string, value?: function}>} columns - Column definitions;
+ *   `value(row)` overrides reading `row[key]`
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const header = columns.map(column => escapeCsvValue(column.label || column.key)).join(',');
+  const lines = rows.map(row => columns
+    .map(column => escapeCsvValue(column.value ? column.value(row) : row[column.key]))
+    .join(','));
+
+  return [header, ...lines].join('\r\n');
+}
+
+/**
+ * Send a CSV document as a file download
+ */
+export function sendCsv(res, filename, csv) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(csv);
+}
+
+export default {
+  escapeCsvValue,
+  toCsv,
+  sendCsv,
+};
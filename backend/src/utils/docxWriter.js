@@ -0,0 +1,204 @@
+/**
+ * DOCX Writer
+ * Minimal WordprocessingML package: styled paragraphs and runs, a bullet
+ * list definition and document properties; no images, tables or fields
+ */
+
+import JSZip from 'jszip';
+import { escapeXml } from './xml.js';
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const RELATIONSHIP_TYPES = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Sizes in twentieths of a point
+export const DOCX_PAGE_SIZES = {
+  a4: { width: 11906, height: 16838 },
+  letter: { width: 12240, height: 15840 },
+};
+
+export const BULLET_LIST_ID = 1;
+
+const twips = (points) => Math.round(points * 20);
+const halfPoints = (points) => Math.round(points * 2);
+const hexColor = (color) => color.replace('#', '').toUpperCase();
+
+/**
+ * A run of text
+ * @param {string} text
+ * @param {{ bold?: boolean, italic?: boolean, color?: string, size?: number }} [format] - size in points
+ */
+export function docxRun(text, { bold = false, italic = false, color = null, size = null } = {}) {
+  const properties = [
+    bold && '<w:b/>',
+    italic && '<w:i/>',
+    color && `<w:color w:val="${hexColor(color)}"/>`,
+    size && `<w:sz w:val="${halfPoints(size)}"/><w:szCs w:val="${halfPoints(size)}"/>`,
+  ].filter(Boolean).join('');
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+/**
+ * A tab character, used with a right-aligned tab stop
+ */
+export function docxTab() {
+  return '<w:r><w:tab/></w:r>';
+}
+
+/**
+ * A paragraph; properties are written in the order the schema requires
+ * @param {string[]} runs
+ * @param {Object} [options]
+ * @param {string} [options.style] - Style id (Title, Heading1)
+ * @param {boolean} [options.keepNext] - Keep on the same page as the next paragraph
+ * @param {boolean} [options.bullet] - Item of the bullet list
+ * @param {number} [options.rightTab] - Right-aligned tab stop, points from the left margin
+ * @param {number} [options.spaceBefore] - Points
+ * @param {number} [options.spaceAfter] - Points
+ * @param {number} [options.hangingIndent] - Points
+ * @param {'left'|'center'} [options.align]
+ */
+export function docxParagraph(runs, options = {}) {
+  const properties = [
+    options.style && `<w:pStyle w:val="${options.style}"/>`,
+    options.keepNext && '<w:keepNext/>',
+    options.bullet && `<w:numPr><w:ilvl w:val="0"/><w:numId w:val="${BULLET_LIST_ID}"/></w:numPr>`,
+    options.rightTab && `<w:tabs><w:tab w:val="right" w:pos="${twips(options.rightTab)}"/></w:tabs>`,
+    (options.spaceBefore || options.spaceAfter) &&
+      `<w:spacing w:before="${twips(options.spaceBefore || 0)}" w:after="${twips(options.spaceAfter || 0)}"/>`,
+    options.hangingIndent && `<w:ind w:left="${twips(options.hangingIndent)}" w:hanging="${twips(options.hangingIndent)}"/>`,
+    options.align === 'center' && '<w:jc w:val="center"/>',
+  ].filter(Boolean).join('');
+  return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${runs.join('')}</w:p>`;
+}
+
+const stylesXml = ({ font, size, color, lineHeight, title, heading }) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${WORD_NAMESPACE}">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr>
+      <w:rFonts w:ascii="${escapeXml(font)}" w:hAnsi="${escapeXml(font)}" w:cs="${escapeXml(font)}" w:eastAsia="${escapeXml(font)}"/>
+      <w:color w:val="${hexColor(color)}"/>
+      <w:sz w:val="${halfPoints(size)}"/><w:szCs w:val="${halfPoints(size)}"/>
+    </w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr>
+      <w:spacing w:before="0" w:after="0" w:line="${Math.round(240 * lineHeight)}" w:lineRule="auto"/>
+    </w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal">
+    <w:name w:val="Normal"/>
+    <w:qFormat/>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Title">
+    <w:name w:val="Title"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr><w:keepNext/><w:spacing w:after="${twips(2)}"/>${title.align === 'center' ? '<w:jc w:val="center"/>' : ''}</w:pPr>
+    <w:rPr><w:b/><w:color w:val="${hexColor(title.color)}"/><w:sz w:val="${halfPoints(title.size)}"/><w:szCs w:val="${halfPoints(title.size)}"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1">
+    <w:name w:val="heading 1"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr>
+      <w:keepNext/>
+      ${heading.rule ? `<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="${hexColor(heading.ruleColor)}"/></w:pBdr>` : ''}
+      <w:spacing w:before="${twips(heading.spaceBefore)}" w:after="${twips(heading.spaceAfter)}"/>
+      <w:outlineLvl w:val="0"/>
+    </w:pPr>
+    <w:rPr><w:b/>${heading.uppercase ? '<w:caps/>' : ''}<w:color w:val="${hexColor(heading.color)}"/><w:sz w:val="${halfPoints(heading.size)}"/><w:szCs w:val="${halfPoints(heading.size)}"/></w:rPr>
+  </w:style>
+</w:styles>`;
+
+const numberingXml = () => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${WORD_NAMESPACE}">
+  <w:abstractNum w:abstractNumId="0">
+    <w:multiLevelType w:val="singleLevel"/>
+    <w:lvl w:ilvl="0">
+      <w:start w:val="1"/>
+      <w:numFmt w:val="bullet"/>
+      <w:lvlText w:val="&#8226;"/>
+      <w:lvlJc w:val="left"/>
+      <w:pPr><w:ind w:left="360" w:hanging="240"/></w:pPr>
+    </w:lvl>
+  </w:abstractNum>
+  <w:num w:numId="${BULLET_LIST_ID}"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+
+const contentTypesXml = () => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const packageRelsXml = () => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${RELATIONSHIP_TYPES}/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const documentRelsXml = () => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${RELATIONSHIP_TYPES}/styles" Target="styles.xml"/>
+  <Relationship Id="rId2" Type="${RELATIONSHIP_TYPES}/numbering" Target="numbering.xml"/>
+</Relationships>`;
+
+const coreXml = ({ title, author }) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  ${title ? `<dc:title>${escapeXml(title)}</dc:title>` : ''}
+  ${author ? `<dc:creator>${escapeXml(author)}</dc:creator>` : ''}
+  <dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`;
+
+const documentXml = (paragraphs, pageSize, margin) => {
+  const { width, height } = DOCX_PAGE_SIZES[pageSize];
+  const pageMargin = twips(margin);
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${WORD_NAMESPACE}">
+  <w:body>
+    ${paragraphs.join('\n    ')}
+    <w:sectPr>
+      <w:pgSz w:w="${width}" w:h="${height}"/>
+      <w:pgMar w:top="${pageMargin}" w:right="${pageMargin}" w:bottom="${pageMargin}" w:left="${pageMargin}" w:header="0" w:footer="0" w:gutter="0"/>
+    </w:sectPr>
+  </w:body>
+</w:document>`;
+};
+
+/**
+ * Write a DOCX package
+ * @param {Object} options
+ * @param {string[]} options.paragraphs - docxParagraph() output, in order
+ * @param {Object} options.styles - { font, size, color, lineHeight,
+ *   title: { size, color, align }, heading: { size, color, uppercase, rule,
+ *   ruleColor, spaceBefore, spaceAfter } }; sizes in points
+ * @param {'a4'|'letter'} [options.pageSize]
+ * @param {number} [options.margin] - Page margin in points
+ * @param {{ title?: string, author?: string }} [options.info]
+ * @returns {Promise<Buffer>}
+ */
+export async function writeDocx({ paragraphs, styles, pageSize = 'a4', margin = 54, info = {} }) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', contentTypesXml());
+  zip.file('_rels/.rels', packageRelsXml());
+  zip.file('docProps/core.xml', coreXml(info));
+  zip.file('word/_rels/document.xml.rels', documentRelsXml());
+  zip.file('word/document.xml', documentXml(paragraphs, pageSize, margin));
+  zip.file('word/styles.xml', stylesXml(styles));
+  zip.file('word/numbering.xml', numberingXml());
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+export default {
+  DOCX_PAGE_SIZES,
+  BULLET_LIST_ID,
+  docxRun,
+  docxTab,
+  docxParagraph,
+  writeDocx,
+};
@@ -0,0 +1,38 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { docxParagraph, docxRun, writeDocx } from './docxWriter.js';
+
+const STYLES = {
+  font: 'Arial',
+  size: 10,
+  color: '#111111',
+  lineHeight: 1.3,
+  title: { size: 22, color: '#1d4ed8', align: 'left' },
+  heading: { size: 13, color: '#1d4ed8', uppercase: true, rule: true, ruleColor: '#93c5fd', spaceBefore: 12, spaceAfter: 4 },
+};
+
+describe('writeDocx', () => {
+  test('packages the paragraphs, styles and properties as a Word document', async () => {
+    const buffer = await writeDocx({
+      paragraphs: [
+        docxParagraph([docxRun('José Ñúñez अजय')], { style: 'Title' }),
+        docxParagraph([docxRun('R&D <lead>', { bold: true })], { bullet: true }),
+      ],
+      styles: STYLES,
+      info: { title: 'José Ñúñez अजय - Resume', author: 'José Ñúñez अजय' },
+    });
+    const zip = await JSZip.loadAsync(buffer);
+
+    assert.deepEqual(
+      Object.keys(zip.files).filter(name => !zip.files[name].dir).sort(),
+      ['[Content_Types].xml', '_rels/.rels', 'docProps/core.xml', 'word/_rels/document.xml.rels', 'word/document.xml', 'word/numbering.xml', 'word/styles.xml']
+    );
+
+    const document = await zip.file('word/document.xml').async('string');
+    assert.match(document, /<w:pStyle w:val="Title"\/><\/w:pPr><w:r><w:t xml:space="preserve">José Ñúñez अजय<\/w:t>/);
+    assert.match(document, /<w:numId w:val="1"\/>.*<w:b\/>.*R&amp;D &lt;lead&gt;/);
+    assert.match(await zip.file('docProps/core.xml').async('string'), /<dc:creator>José Ñúñez अजय<\/dc:creator>/);
+    assert.match(await zip.file('word/styles.xml').async('string'), /<w:caps\/>/);
+  });
+});
@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import { AppError } from './errorHandler.js';
+import { logger } from './logger.js';
+
+/**
+ * Field Encryption
+ * AES-256-GCM encryption of single document fields plus HMAC blind indexes,
+ * used by models/plugins/encryptedFields.js
+ *
+ * Keys are derived (HKDF-SHA256) from the master key in FIELD_ENCRYPTION_KEY,
+ * so no external KMS is needed. The key is required unless NODE_ENV is
+ * development or test, where it falls back to one derived from JWT_SECRET. Every ciphertext records the key version it
+ * was written with ("enc:v<version>:<iv>:<tag>:<data>"). To rotate the key,
+ * list the current one in FIELD_ENCRYPTION_PREVIOUS_KEYS ("1:<key>,2:<key>"),
+ * set the new key with a higher FIELD_ENCRYPTION_KEY_VERSION and run
+ * scripts/encrypt-pii-fields.js to re-encrypt older documents.
+ *
+ * Blind indexes are keyed by FIELD_BLIND_INDEX_KEY, or by a key derived from
+ * the current master key when unset; in that case rotation changes them too
+ * and lookups only find documents the migration script has re-indexed.
+ */
+
+const CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+const CIPHERTEXT_PATTERN = /^enc:v(\d+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]*)$/;
+
+let keyring = null;
+
+const deriveKey = (masterKey, info) => {
+  return Buffer.from(crypto.hkdfSync('sha256', masterKey, Buffer.alloc(0), info, KEY_BYTES));
+};
+
+const parsePreviousKeys = (value = '') => {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const separator = entry.indexOf(':');
+    const version = Number(entry.slice(0, separator));
+    if (separator < 1 || !Number.isInteger(version) || version < 1) {
+      throw new AppError('FIELD_ENCRYPTION_PREVIOUS_KEYS entries must look like "<version>:<key>"', 500, 'FIELD_KEY_CONFIG');
+    }
+    return { version, masterKey: entry.slice(separator + 1) };
+  });
+};
+
+// Keys are read on first use so that dotenv has been loaded by then
+const getKeyring = () => {
+  if (keyring) {
+    return keyring;
+  }
+
+  let masterKey = process.env.FIELD_ENCRYPTION_KEY;
+  if (!masterKey) {
+    const environment = process.env.NODE_ENV || 'development';
+    if (!['development', 'test'].includes(environment)) {
+      throw new AppError(`FIELD_ENCRYPTION_KEY must be set when NODE_ENV is ${environment}`, 500, 'FIELD_KEY_CONFIG');
+    }
+    logger.warn(`FIELD_ENCRYPTION_KEY is not set; deriving a ${environment} key from JWT_SECRET`);
+    masterKey = process.env.JWT_SECRET || 'field-encryption-dev-secret';
+  }
+
+  const currentVersion = Number(process.env.FIELD_ENCRYPTION_KEY_VERSION || 1);
+  if (!Number.isInteger(currentVersion) || currentVersion < 1) {
+    throw new AppError('FIELD_ENCRYPTION_KEY_VERSION must be a positive integer', 500, 'FIELD_KEY_CONFIG');
+  }
+
+  const keys = new Map();
+  parsePreviousKeys(process.env.FIELD_ENCRYPTION_PREVIOUS_KEYS).forEach(({ version, masterKey: previousKey }) => {
+    keys.set(version, deriveKey(previousKey, `field-encryption:v${version}`));
+  });
+  keys.set(currentVersion, deriveKey(masterKey, `field-encryption:v${currentVersion}`));
+
+  keyring = {
+    currentVersion,
+    keys,
+    blindIndexKey: process.env.FIELD_BLIND_INDEX_KEY
+      ? deriveKey(process.env.FIELD_BLIND_INDEX_KEY, 'blind-index')
+      : deriveKey(masterKey, 'blind-index'),
+  };
+  return keyring;
+};
+
+export const getCurrentKeyVersion = () => getKeyring().currentVersion;
+
+export const isEncrypted = (value) => typeof value === 'string' && CIPHERTEXT_PATTERN.test(value);
+
+/**
+ * Key version a stored value was encrypted with (null for plaintext)
+ */
+export const getKeyVersion = (value) => {
+  const match = typeof value === 'string' ? CIPHERTEXT_PATTERN.exec(value) : null;
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Encrypt a string with the current key
+ * Empty values, non-strings and values that are already encrypted are
+ * returned unchanged.
+ */
+export const encryptValue = (value) => {
+  if (typeof value !== 'string' || value === '' || isEncrypted(value)) {
+    return value;
+  }
+
+  const { currentVersion, keys } = getKeyring();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, keys.get(currentVersion), iv);
+  const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return `enc:v${currentVersion}:${[iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':')}`;
+};
+
+/**
+ * Decrypt a stored value; plaintext (not yet migrated) is returned unchanged
+ */
+export const decryptValue = (value) => {
+  const match = typeof value === 'string' ? CIPHERTEXT_PATTERN.exec(value) : null;
+  if (!match) {
+    return value;
+  }
+
+  const version = Number(match[1]);
+  const key = getKeyring().keys.get(version);
+  if (!key) {
+    throw new AppError(`No field encryption key configured for version ${version}`, 500, 'FIELD_KEY_MISSING');
+  }
+
+  try {
+    const [iv, tag, encrypted] = match.slice(2).map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new AppError(`Could not decrypt field encrypted with key version ${version}`, 500, 'FIELD_DECRYPTION_FAILED');
+  }
+};
+
+export const normalizeEmail = (value) => String(value).trim().toLowerCase();
+
+export const normalizePhone = (value) => String(value).replace(/\D/g, '');
+
+const NORMALIZERS = {
+  email: normalizeEmail,
+  phone: normalizePhone,
+  text: (value) => String(value).trim(),
+};
+
+/**
+ * Deterministic HMAC of a normalized value, for equality lookups on encrypted fields
+ * @returns {string|null} hex digest, or null when nothing is left after normalizing
+ */
+export const blindIndex = (value, normalize = 'text') => {
+  if (typeof value !== 'string' || isEncrypted(value)) {
+    return null;
+  }
+
+  const normalized = (NORMALIZERS[normalize] || NORMALIZERS.text)(value);
+  if (!normalized) {
+    return null;
+  }
+
+  return crypto.createHmac('sha256', getKeyring().blindIndexKey).update(normalized).digest('hex');
+};
+
+export default {
+  getCurrentKeyVersion,
+  isEncrypted,
+  getKeyVersion,
+  encryptValue,
+  decryptValue,
+  normalizeEmail,
+  normalizePhone,
+  blindIndex,
+};
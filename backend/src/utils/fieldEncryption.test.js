@@ -0,0 +1,116 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  blindIndex,
+  decryptValue,
+  encryptValue,
+  getCurrentKeyVersion,
+  getKeyVersion,
+  isEncrypted,
+} from './fieldEncryption.js';
+
+// Read on first use, so this runs before the keyring is built
+process.env.FIELD_ENCRYPTION_KEY = 'current-master-key';
+process.env.FIELD_ENCRYPTION_KEY_VERSION = '2';
+process.env.FIELD_ENCRYPTION_PREVIOUS_KEYS = '1:previous-master-key';
+process.env.FIELD_BLIND_INDEX_KEY = 'blind-index-key';
+
+const deriveKey = (masterKey, info) => Buffer.from(crypto.hkdfSync('sha256', masterKey, Buffer.alloc(0), info, 32));
+
+// A value as an earlier deployment would have written it with key version 1
+const encryptWithPreviousKey = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey('previous-master-key', 'field-encryption:v1'), iv);
+  const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return `enc:v1:${[iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':')}`;
+};
+
+describe('encryptValue and decryptValue', () => {
+  test('round-trip with the current key version and a fresh IV each time', () => {
+    const first = encryptValue('casey@example.com');
+    const second = encryptValue('casey@example.com');
+
+    assert.equal(getCurrentKeyVersion(), 2);
+    assert.match(first, /^enc:v2:/);
+    assert.equal(getKeyVersion(first), 2);
+    assert.notEqual(first, second);
+    assert.equal(decryptValue(first), 'casey@example.com');
+    assert.equal(decryptValue(second), 'casey@example.com');
+  });
+
+  test('leave empty values, non-strings and ciphertext unchanged', () => {
+    const encrypted = encryptValue('x');
+    assert.equal(encryptValue(''), '');
+    assert.equal(encryptValue(null), null);
+    assert.equal(encryptValue(42), 42);
+    assert.equal(encryptValue(encrypted), encrypted);
+    assert.equal(isEncrypted('casey@example.com'), false);
+  });
+
+  test('return plaintext that was never migrated as it is', () => {
+    assert.equal(decryptValue('casey@example.com'), 'casey@example.com');
+    assert.equal(getKeyVersion('casey@example.com'), null);
+  });
+
+  test('decrypt values written with a previous key version', () => {
+    const legacy = encryptWithPreviousKey('+1 555 0100');
+    assert.equal(getKeyVersion(legacy), 1);
+    assert.equal(decryptValue(legacy), '+1 555 0100');
+  });
+
+  test('reject tampered ciphertext and unknown key versions', () => {
+    const [prefix, version, iv, tag, data] = encryptValue('casey@example.com').split(':');
+    const flipped = Buffer.from(data, 'base64');
+    flipped[0] ^= 1;
+
+    assert.throws(
+      () => decryptValue([prefix, version, iv, tag, flipped.toString('base64')].join(':')),
+      { code: 'FIELD_DECRYPTION_FAILED', statusCode: 500 }
+    );
+    assert.throws(() => decryptValue(`enc:v7:${iv}:${tag}:${data}`), { code: 'FIELD_KEY_MISSING' });
+  });
+});
+
+describe('blindIndex', () => {
+  test('is an HMAC under the blind index key, independent of the encryption key', () => {
+    const expected = crypto
+      .createHmac('sha256', deriveKey('blind-index-key', 'blind-index'))
+      .update('casey@example.com')
+      .digest('hex');
+    assert.equal(blindIndex('casey@example.com', 'email'), expected);
+  });
+
+  test('matches differently formatted emails and phone numbers', () => {
+    assert.equal(blindIndex('  Casey@Example.COM ', 'email'), blindIndex('casey@example.com', 'email'));
+    assert.equal(blindIndex('+1 (555) 010-0100', 'phone'), blindIndex('15550100100', 'phone'));
+    assert.notEqual(blindIndex('Casey@Example.com'), blindIndex('casey@example.com'));
+  });
+
+  test('is null for empty and encrypted values', () => {
+    assert.equal(blindIndex('   '), null);
+    assert.equal(blindIndex('---', 'phone'), null);
+    assert.equal(blindIndex(encryptValue('casey@example.com'), 'email'), null);
+    assert.equal(blindIndex(undefined), null);
+  });
+});
+
+describe('key configuration', () => {
+  test('requires FIELD_ENCRYPTION_KEY outside development and test', async () => {
+    // A separate module instance, so its keyring is built with this environment
+    const fresh = await import('./fieldEncryption.js?without-key');
+    const { FIELD_ENCRYPTION_KEY, NODE_ENV } = process.env;
+    delete process.env.FIELD_ENCRYPTION_KEY;
+    process.env.NODE_ENV = 'production';
+    try {
+      assert.throws(() => fresh.encryptValue('casey@example.com'), { code: 'FIELD_KEY_CONFIG', message: /FIELD_ENCRYPTION_KEY must be set/ });
+    } finally {
+      process.env.FIELD_ENCRYPTION_KEY = FIELD_ENCRYPTION_KEY;
+      if (NODE_ENV === undefined) {
+        delete process.env.NODE_ENV;
+      } else {
+        process.env.NODE_ENV = NODE_ENV;
+      }
+    }
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Parsed Field Provenance
+ * Records, for every parsed resume field, which extractor produced it, how
+ * confident it was and where the value sits in the resume text
+ *
+ * Fields are addressed by path: "name", "emails.0", "skills.3",
+ * "experience.1". Spans are character offsets into the text that was parsed
+ * (Resume.raw_text), so provenance never copies candidate data out of the
+ * encrypted text.
+ */
+
+// 'user' marks values typed in by the candidate; they have no span.
+// 'import' marks values read from structured data (services/resumeImportService.js)
+export const FIELD_EXTRACTORS = ['regex', 'ner', 'llm', 'user', 'import'];
+
+// Weight of each field in the document's overall confidence
+export const FIELD_WEIGHTS = {
+  name: 0.15,
+  emails: 0.10,
+  skills: 0.25,
+  experience: 0.20,
+  current_title: 0.15,
+  education: 0.15,
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * First occurrence of a value in the text, preferring the given sections
+ * @param {string|RegExp} needle - a string is matched case-insensitively on word boundaries
+ * @returns {{start: number, end: number}|null}
+ */
+export function locateSpan(text, sections, needle, sectionTypes = []) {
+  if (!text || !needle) return null;
+
+  let pattern = needle;
+  if (typeof needle === 'string') {
+    const trimmed = needle.trim();
+    if (trimmed.length < 2) return null;
+    // \b only applies next to word characters ("c++", ".net")
+    const before = /^\w/.test(trimmed) ? '\\b' : '';
+    const after = /\w$/.test(trimmed) ? '\\b' : '';
+    pattern = new RegExp(`${before}${escapeRegExp(trimmed).replace(/\s+/g, '\\s+')}${after}`, 'i');
+  }
+
+  const ranges = (sections || [])
+    .filter(section => sectionTypes.includes(section.type))
+    .map(section => [section.contentStart, section.end]);
+  ranges.push([0, text.length]);
+
+  for (const [from, to] of ranges) {
+    const match = pattern.exec(text.slice(from, to));
+    if (match) {
+      return { start: from + match.index, end: from + match.index + match[0].length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Provenance collector for one parse
+ * record() replaces any earlier entry of the same field, so a later extractor
+ * that overrides a value also overrides its provenance.
+ */
+export function createProvenance(text, sections) {
+  const entries = [];
+
+  const clear = (field) => {
+    for (let idx = entries.length - 1; idx >= 0; idx--) {
+      if (entries[idx].field === field || entries[idx].field.startsWith(`${field}.`)) {
+        entries.splice(idx, 1);
+      }
+    }
+  };
+
+  /**
+   * @param {string} field - field path
+   * @param {object} source
+   * @param {string} source.extractor - one of FIELD_EXTRACTORS
+   * @param {number} source.confidence - 0-1
+   * @param {string} [source.provider] - LLM provider or NER model that answered, or the import format
+   * @param {string|RegExp} [source.needle] - text to locate in the resume
+   * @param {string[]} [source.sectionTypes] - sections to look in first
+   */
+  const record = (field, { extractor, confidence, provider = null, needle = null, sectionTypes = [] }) => {
+    clear(field);
+    const span = locateSpan(text, sections, needle, sectionTypes);
+    entries.push({
+      field,
+      extractor,
+      provider,
+      confidence: Math.round(Math.min(Math.max(confidence || 0, 0), 1) * 100) / 100,
+      start: span ? span.start : null,
+      end: span ? span.end : null,
+    });
+  };
+
+  const confidenceOf = (field) => fieldConfidences(entries)[field] ?? 0;
+
+  return { entries, record, clear, confidenceOf };
+}
+
+const topLevelField = (path) => path.split('.')[0];
+
+/**
+ * Mean confidence per top-level field ("skills.0" and "skills.1" count as "skills")
+ * @returns {Object<string, number>}
+ */
+export function fieldConfidences(entries) {
+  const totals = {};
+  (entries || []).forEach(entry => {
+    const field = topLevelField(entry.field);
+    totals[field] = totals[field] || { sum: 0, count: 0 };
+    totals[field].sum += entry.confidence || 0;
+    totals[field].count += 1;
+  });
+
+  return Object.fromEntries(Object.entries(totals)
+    .map(([field, { sum, count }]) => [field, Math.round((sum / count) * 100) / 100]));
+}
+
+/**
+ * How each top-level field was extracted, e.g. { skills: 'regex+ner', experience: 'watson' }
+ * LLM entries are named after their provider.
+ */
+export function fieldMethods(entries) {
+  const methods = {};
+  (entries || []).forEach(entry => {
+    const field = topLevelField(entry.field);
+    const method = entry.extractor === 'llm' && entry.provider ? entry.provider : entry.extractor;
+    methods[field] = methods[field] || [];
+    if (!methods[field].includes(method)) {
+      methods[field].push(method);
+    }
+  });
+
+  return Object.fromEntries(Object.entries(methods).map(([field, list]) => [field, list.join('+')]));
+}
+
+/**
+ * Weighted mean of the field confidences, 0-1
+ * Fields that were not extracted do not count.
+ * @param {Object<string, number>} [weights] - weight per top-level field
+ */
+export function overallConfidence(entries, weights = FIELD_WEIGHTS) {
+  const confidences = fieldConfidences(entries);
+  let total = 0;
+  let totalWeight = 0;
+
+  for (const [field, weight] of Object.entries(weights)) {
+    if (confidences[field]) {
+      total += confidences[field] * weight;
+      totalWeight += weight;
+    }
+  }
+
+  return totalWeight > 0 ? total / totalWeight : 0;
+}
+
+export default {
+  FIELD_EXTRACTORS,
+  FIELD_WEIGHTS,
+  locateSpan,
+  createProvenance,
+  fieldConfidences,
+  fieldMethods,
+  overallConfidence,
+};
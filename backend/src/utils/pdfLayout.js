@@ -0,0 +1,414 @@
+/**
+ * PDF Layout Analysis
+ * Rebuilds reading order from the positioned text items pdfjs returns for a
+ * page, so two-column templates, sidebars and tables are not interleaved
+ * line by line.
+ *
+ * Items are grouped into lines, lines into segments (runs of text separated
+ * by a wide horizontal gap), and a vertical strip that almost no segment
+ * crosses is taken as a column gutter. Lines crossing every gutter (a name
+ * banner, a full-width summary) split the page into bands; each band is read
+ * column by column. Runs of lines whose segments start at the same x
+ * positions are read row by row as tables.
+ *
+ * Coordinates are PDF points from the top-left corner of the page.
+ */
+
+import { normalizeText } from './textProcessor.js';
+
+export const BLOCK_TYPES = ['text', 'column', 'sidebar', 'table'];
+
+// Share of the page's segments allowed to cross a gutter (headers, rules)
+const MAX_GUTTER_CROSSING = 0.1;
+// Narrowest empty strip taken as a gutter, in points
+const MIN_GUTTER_WIDTH = 8;
+// Lines each side of a gutter needs before it counts as a column
+const MIN_COLUMN_LINES = 4;
+// Typical distance between a column's lines, in line heights
+const MAX_LINE_PITCH = 2.5;
+// A column narrower than this share of the text width is a sidebar
+const SIDEBAR_RATIO = 0.35;
+// Consecutive aligned rows needed for a table
+const MIN_TABLE_ROWS = 3;
+// Share of a column band's lines with text in every column for it to be a table
+const TABLE_ROW_FILL = 0.8;
+// Typical cell width, as a share of the space up to the next column, below
+// which a two-column band reads as a table rather than wrapped text
+const TABLE_CELL_FILL = 0.6;
+// Tolerance when matching table cell edges, in points
+const CELL_ALIGN_TOLERANCE = 4;
+// Vertical gap, in line heights, that starts a new block
+const BLOCK_GAP = 3;
+// Top and bottom share of the page searched for running headers/footers
+const MARGIN_BAND = 0.08;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Positioned pdfjs text items in top-left coordinates
+ * Vertical and empty items are dropped.
+ */
+function toBoxes(items, pageHeight) {
+  return (items || [])
+    .filter(item => item.str && item.str.trim() && Array.isArray(item.transform))
+    .filter(item => Math.abs(item.transform[1]) <= Math.abs(item.transform[0]))
+    .map(item => {
+      const [, , c, d, x, baseline] = item.transform;
+      const height = item.height || Math.hypot(c, d) || 10;
+      const bottom = pageHeight - baseline;
+      return {
+        str: item.str,
+        x,
+        right: x + (item.width || 0),
+        top: bottom - height,
+        bottom,
+        height,
+      };
+    });
+}
+
+/**
+ * Group boxes sharing a baseline into lines, each split into segments
+ * wherever the gap between neighbouring boxes is wider than a few spaces
+ */
+function buildLines(boxes) {
+  const sorted = [...boxes].sort((a, b) => a.bottom - b.bottom || a.x - b.x);
+  const rows = [];
+
+  sorted.forEach(box => {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.bottom - box.bottom) <= Math.min(row.height, box.height) * 0.5) {
+      row.boxes.push(box);
+      row.height = Math.max(row.height, box.height);
+    } else {
+      rows.push({ bottom: box.bottom, height: box.height, boxes: [box] });
+    }
+  });
+
+  return rows.map(row => {
+    const boxesInRow = row.boxes.sort((a, b) => a.x - b.x);
+    const splitGap = Math.max(row.height * 1.5, 10);
+    const segments = [];
+
+    boxesInRow.forEach(box => {
+      const segment = segments[segments.length - 1];
+      const gap = segment ? box.x - segment.right : Infinity;
+      if (segment && gap <= splitGap) {
+        const needsSpace = gap > row.height * 0.15 && !/\s$/.test(segment.str) && !/^\s/.test(box.str);
+        segment.str += (needsSpace ? ' ' : '') + box.str;
+        segment.right = Math.max(segment.right, box.right);
+        segment.top = Math.min(segment.top, box.top);
+        segment.bottom = Math.max(segment.bottom, box.bottom);
+      } else {
+        segments.push({ ...box });
+      }
+    });
+
+    return {
+      top: Math.min(...segments.map(segment => segment.top)),
+      bottom: Math.max(...segments.map(segment => segment.bottom)),
+      height: row.height,
+      segments: segments
+        .map(segment => ({ ...segment, str: normalizeText(segment.str) }))
+        .filter(segment => segment.str),
+    };
+  }).filter(line => line.segments.length > 0);
+}
+
+const crosses = (segment, gutter) => segment.x < gutter.start && segment.right > gutter.end;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Whether the lines on one side of a strip read as a column: enough of them,
+ * mostly one after another. Right-aligned dates next to job titles are
+ * several lines apart and stay part of the line they sit on.
+ */
+function isColumn(lines) {
+  if (lines.length < MIN_COLUMN_LINES) return false;
+  const pitches = lines.slice(1).map((line, idx) => line.top - lines[idx].top);
+  return median(pitches) <= median(lines.map(line => line.height)) * MAX_LINE_PITCH;
+}
+
+/**
+ * Vertical strips that split the page into columns, left to right
+ * Found greedily: the widest strip few segments cross, with enough lines
+ * on both sides, then the same search within each side.
+ */
+function findGutters(lines, left, right) {
+  const segments = lines.flatMap(line => line.segments)
+    .filter(segment => segment.x >= left - 1 && segment.right <= right + 1);
+  if (segments.length < MIN_COLUMN_LINES * 2) return [];
+
+  const from = Math.floor(left);
+  const width = Math.ceil(right) - from;
+  if (width <= MIN_GUTTER_WIDTH * 2) return [];
+
+  // Segments covering each point of the page width
+  const coverage = new Array(width).fill(0);
+  segments.forEach(segment => {
+    const start = Math.max(0, Math.floor(segment.x) - from);
+    const end = Math.min(width, Math.ceil(segment.right) - from);
+    for (let idx = start; idx < end; idx++) coverage[idx] += 1;
+  });
+
+  const maxCrossing = Math.max(1, Math.floor(segments.length * MAX_GUTTER_CROSSING));
+  let best = null;
+  let runStart = null;
+
+  for (let idx = 0; idx <= width; idx++) {
+    const open = idx < width && coverage[idx] <= maxCrossing;
+    if (open && runStart === null) runStart = idx;
+    if (!open && runStart !== null) {
+      const gutter = { start: from + runStart, end: from + idx };
+      const runWidth = gutter.end - gutter.start;
+      // Strips touching the text edges are margins, not gutters
+      if (runStart > 0 && idx < width && runWidth >= MIN_GUTTER_WIDTH && (!best || runWidth > best.end - best.start)) {
+        const leftLines = lines.filter(line => line.segments.some(s => s.right <= gutter.start && s.x >= left - 1));
+        const rightLines = lines.filter(line => line.segments.some(s => s.x >= gutter.end && s.right <= right + 1));
+        const crossing = segments.filter(segment => crosses(segment, gutter)).length;
+        if (isColumn(leftLines) && isColumn(rightLines) && crossing <= maxCrossing) {
+          best = gutter;
+        }
+      }
+      runStart = null;
+    }
+  }
+
+  if (!best) return [];
+  return [
+    ...findGutters(lines, left, best.start),
+    best,
+    ...findGutters(lines, best.end, right),
+  ];
+}
+
+/**
+ * Split consecutive lines into table runs and plain text runs
+ * Rows belong to a table when they have at least two segments and their
+ * segments start where the previous row's did.
+ */
+function splitTables(lines) {
+  const aligned = (a, b) => {
+    if (a.segments.length < 2 || b.segments.length < 2) return false;
+    const matches = b.segments.filter(segment => a.segments
+      .some(other => Math.abs(other.x - segment.x) <= CELL_ALIGN_TOLERANCE)).length;
+    return matches >= 2;
+  };
+
+  const runs = [];
+  let idx = 0;
+  while (idx < lines.length) {
+    let end = idx + 1;
+    while (end < lines.length && aligned(lines[end - 1], lines[end])) end++;
+
+    if (end - idx >= MIN_TABLE_ROWS) {
+      runs.push({ type: 'table', lines: lines.slice(idx, end) });
+      idx = end;
+    } else {
+      const last = runs[runs.length - 1];
+      if (last && last.type === 'text') {
+        last.lines.push(lines[idx]);
+      } else {
+        runs.push({ type: 'text', lines: [lines[idx]] });
+      }
+      idx++;
+    }
+  }
+  return runs;
+}
+
+// Split a run where the space between two lines could hold several more
+function splitAtGaps(run) {
+  const runs = [{ ...run, lines: [run.lines[0]] }];
+  run.lines.slice(1).forEach((line, idx) => {
+    if (line.top - run.lines[idx].bottom > line.height * BLOCK_GAP) {
+      runs.push({ ...run, lines: [line] });
+    } else {
+      runs[runs.length - 1].lines.push(line);
+    }
+  });
+  return runs;
+}
+
+/**
+ * Text of a run of lines; a blank line marks a vertical gap wider than
+ * a line, so paragraphs and sections stay apart
+ */
+function runText(run) {
+  const separator = run.type === 'table' ? ' | ' : ' ';
+  return run.lines.map((line, idx) => {
+    const previous = run.lines[idx - 1];
+    const gap = previous ? line.top - previous.bottom : 0;
+    const text = line.segments.map(segment => segment.str).join(separator);
+    return (previous && gap > line.height ? '\n' : '') + text;
+  }).join('\n');
+}
+
+function runBox(run) {
+  const segments = run.lines.flatMap(line => line.segments);
+  const x = Math.min(...segments.map(segment => segment.x));
+  const y = Math.min(...run.lines.map(line => line.top));
+  return {
+    x: round(x),
+    y: round(y),
+    width: round(Math.max(...segments.map(segment => segment.right)) - x),
+    height: round(Math.max(...run.lines.map(line => line.bottom)) - y),
+  };
+}
+
+/**
+ * Blocks of one page in reading order
+ * @param {Array} items - TextContent.items from pdfjs page.getTextContent()
+ * @param {{width: number, height: number}} viewport - page size in points
+ * @returns {{columns: number, tables: number, blocks: Array<{type: string, column: number|null, x: number, y: number, width: number, height: number, text: string}>}}
+ */
+export function analyzePageLayout(items, viewport) {
+  const lines = buildLines(toBoxes(items, viewport.height));
+  if (lines.length === 0) return { columns: 0, tables: 0, blocks: [] };
+
+  const left = Math.min(...lines.flatMap(line => line.segments.map(segment => segment.x)));
+  const right = Math.max(...lines.flatMap(line => line.segments.map(segment => segment.right)));
+  const gutters = findGutters(lines, left, right);
+  const edges = [left, ...gutters.flatMap(gutter => [gutter.start, gutter.end]), right];
+  const columnBounds = Array.from({ length: gutters.length + 1 }, (_, idx) => ({
+    start: edges[idx * 2],
+    end: edges[idx * 2 + 1],
+  }));
+
+  // A segment belongs to the column it starts in; it may run into the gutter
+  const columnOf = (segment) => gutters.filter(gutter => segment.x >= gutter.end - 1).length;
+
+  // Bands: runs of full-width lines, and runs of lines that stay inside the columns
+  const bands = [];
+  lines.forEach(line => {
+    const spanning = gutters.length > 0 && line.segments.some(segment => gutters.some(gutter => crosses(segment, gutter)));
+    const band = bands[bands.length - 1];
+    if (band && band.spanning === spanning) {
+      band.lines.push(line);
+    } else {
+      bands.push({ spanning, lines: [line] });
+    }
+  });
+
+  const textWidth = right - left;
+  const blocks = [];
+  const addRuns = (bandLines, column) => {
+    const bounds = column === null ? null : columnBounds[column];
+    const narrow = bounds && gutters.length > 0 && (bounds.end - bounds.start) < textWidth * SIDEBAR_RATIO;
+    splitTables(bandLines).flatMap(splitAtGaps).forEach(run => {
+      let type = run.type;
+      if (type === 'text' && column !== null) type = narrow ? 'sidebar' : 'column';
+      blocks.push({ type, column, ...runBox(run), text: runText(run) });
+    });
+  };
+
+  let columnBands = 0;
+  bands.forEach(band => {
+    if (band.spanning || gutters.length === 0) {
+      addRuns(band.lines, null);
+      return;
+    }
+    // Cells in every column on nearly every line: a table the gutters came
+    // from, read row by row. A sidebar next to a main column lines up the
+    // same way when both share a line pitch, so two columns only make a
+    // table when neither is filled with wrapped text.
+    const filledRows = band.lines.filter(line => columnBounds.every((_, column) => line.segments
+      .some(segment => columnOf(segment) === column))).length;
+    const narrowCells = columnBounds.every((bounds, column) => {
+      // The last column may run to the right margin, taken as wide as the left
+      const span = (column < gutters.length ? gutters[column].end : Math.max(right, viewport.width - left)) - bounds.start;
+      const widths = band.lines.flatMap(line => line.segments
+        .filter(segment => columnOf(segment) === column)
+        .map(segment => segment.right - segment.x));
+      return widths.length > 0 && median(widths) < span * TABLE_CELL_FILL;
+    });
+    if (band.lines.length >= MIN_TABLE_ROWS && filledRows >= band.lines.length * TABLE_ROW_FILL
+      && (columnBounds.length > 2 || narrowCells)) {
+      const run = { type: 'table', lines: band.lines };
+      blocks.push({ type: 'table', column: null, ...runBox(run), text: runText(run) });
+      return;
+    }
+    columnBands++;
+    columnBounds.forEach((bounds, column) => {
+      const columnLines = band.lines
+        .map(line => ({
+          ...line,
+          segments: line.segments.filter(segment => columnOf(segment) === column),
+        }))
+        .filter(line => line.segments.length > 0);
+      if (columnLines.length > 0) addRuns(columnLines, column);
+    });
+  });
+
+  return {
+    columns: columnBands > 0 ? gutters.length + 1 : 1,
+    tables: blocks.filter(block => block.type === 'table').length,
+    blocks,
+  };
+}
+
+// Running header/footer key: page numbers and dates differ between pages
+const marginKey = (text) => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+
+/**
+ * Join analyzed pages into one text with each block's offsets in it
+ * Lines repeated in the top or bottom margin of several pages (running
+ * headers, "Page 2 of 3") are dropped.
+ * @param {Array<{page: number, width: number, height: number, layout: object}>} pages
+ * @returns {{text: string, pages: Array, blocks: Array}}
+ */
+export function assembleLayoutText(pages) {
+  const marginCounts = {};
+  const inMargin = (block, height) => block.y + block.height <= height * MARGIN_BAND
+    || block.y >= height * (1 - MARGIN_BAND);
+
+  if (pages.length > 1) {
+    pages.forEach(({ height, layout }) => {
+      new Set(layout.blocks.filter(block => inMargin(block, height)).map(block => marginKey(block.text)))
+        .forEach(key => { marginCounts[key] = (marginCounts[key] || 0) + 1; });
+    });
+  }
+
+  let text = '';
+  const blocks = [];
+  pages.forEach(({ page, height, layout }) => {
+    layout.blocks
+      .filter(block => !(inMargin(block, height) && marginCounts[marginKey(block.text)] > 1))
+      .forEach(({ text: blockText, ...block }) => {
+        if (text) text += '\n\n';
+        blocks.push({ ...block, page, start: text.length, end: text.length + blockText.length });
+        text += blockText;
+      });
+  });
+
+  return {
+    text,
+    pages: pages.map(({ page, width, height, layout }) => ({
+      page,
+      width: round(width),
+      height: round(height),
+      columns: layout.columns,
+      tables: layout.tables,
+    })),
+    blocks,
+  };
+}
+
+/**
+ * Whether flattening would scramble the document: some page has more
+ * than one column or a table
+ */
+export function needsLayoutOrder(pages) {
+  return (pages || []).some(page => page.columns > 1 || page.tables > 0);
+}
+
+export default {
+  BLOCK_TYPES,
+  analyzePageLayout,
+  assembleLayoutText,
+  needsLayoutOrder,
+};
@@ -0,0 +1,75 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePageLayout } from './pdfLayout.js';
+
+const VIEWPORT = { width: 612, height: 792 };
+const PITCH = 14;
+
+// A pdfjs text item at x, with its top edge `top` points below the top of the page
+const item = (str, x, top, width) => ({
+  str,
+  transform: [10, 0, 0, 10, x, VIEWPORT.height - top - 10],
+  width,
+  height: 10,
+});
+
+const rows = (count, build) => Array.from({ length: count }, (_, row) => build(row, 100 + row * PITCH)).flat();
+
+const blockSummary = (layout) => layout.blocks.map(block => `${block.type}:${block.column}`);
+
+describe('analyzePageLayout', () => {
+  test('reads a two-column page column by column', () => {
+    const items = rows(10, (row, top) => [
+      item(`Left line ${row} of wrapped body text`, 40, top, 240),
+      item(`Right line ${row} of wrapped body text`, 320, top, 240),
+    ]);
+
+    const layout = analyzePageLayout(items, VIEWPORT);
+
+    assert.equal(layout.columns, 2);
+    assert.equal(layout.tables, 0);
+    assert.deepEqual(blockSummary(layout), ['column:0', 'column:1']);
+    assert.match(layout.blocks[0].text, /^Left line 0 .*\nLeft line 1 /);
+  });
+
+  test('reads a sidebar and a main column with the same line pitch as columns', () => {
+    const sidebarWidths = [60, 90, 120, 70, 100, 80, 110, 60, 90, 75];
+    const items = rows(10, (row, top) => [
+      item(`Skill ${row}`, 40, top, sidebarWidths[row]),
+      item(`Main column line ${row} describing a role in full sentences`, 220, top, 350),
+    ]);
+
+    const layout = analyzePageLayout(items, VIEWPORT);
+
+    assert.equal(layout.tables, 0);
+    assert.deepEqual(blockSummary(layout), ['sidebar:0', 'column:1']);
+    assert.equal(layout.blocks[0].text, sidebarWidths.map((_, row) => `Skill ${row}`).join('\n'));
+  });
+
+  test('reads a table with more than two columns row by row', () => {
+    const items = rows(5, (row, top) => [
+      item(`Language ${row}`, 40, top, 70),
+      item('Expert', 250, top, 40),
+      item(`${row + 2} years`, 450, top, 45),
+    ]);
+
+    const layout = analyzePageLayout(items, VIEWPORT);
+
+    assert.equal(layout.tables, 1);
+    assert.deepEqual(blockSummary(layout), ['table:null']);
+    assert.match(layout.blocks[0].text, /^Language 0 \| Expert \| 2 years\nLanguage 1 \| Expert \| 3 years/);
+  });
+
+  test('reads a two-column table of short cells row by row', () => {
+    const valueWidths = [60, 120, 90, 75, 110];
+    const items = rows(5, (row, top) => [
+      item(`Label ${row}`, 40, top, 60),
+      item(`Value ${row}`, 250, top, valueWidths[row]),
+    ]);
+
+    const layout = analyzePageLayout(items, VIEWPORT);
+
+    assert.equal(layout.tables, 1);
+    assert.match(layout.blocks[0].text, /^Label 0 \| Value 0\nLabel 1 \| Value 1/);
+  });
+});
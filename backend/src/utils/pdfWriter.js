@@ -0,0 +1,295 @@
+/**
+ * PDF Writer
+ * Minimal PDF 1.4 writer for generated documents: text and rules on pages,
+ * set in the standard Type 1 fonts (Helvetica, Times) that every reader
+ * ships, so no fonts are embedded and the text stays extractable for
+ * applicant tracking systems
+ *
+ * Those fonts only cover WinAnsiEncoding (Western European scripts), so
+ * writePdf refuses text with other characters instead of printing "?".
+ */
+
+import zlib from 'zlib';
+import { AppError } from './errorHandler.js';
+
+export const PAGE_SIZES = {
+  a4: { width: 595.28, height: 841.89 },
+  letter: { width: 612, height: 792 },
+};
+
+const FONT_FAMILIES = {
+  helvetica: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' },
+  times: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' },
+};
+
+const FONT_RESOURCES = { regular: 'F1', bold: 'F2', italic: 'F3' };
+
+// Advance widths (1/1000 em) of WinAnsi 32-126 from the Helvetica AFMs.
+// Times is narrower, so measuring it with these widths wraps lines early
+// rather than letting them run into the margin.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Widths of the WinAnsi punctuation used in resumes; other codes above 126
+// (accented letters) are measured as an average letter
+const EXTENDED_WIDTHS = { 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000, 0xb7: 278 };
+const DEFAULT_WIDTH = 556;
+
+// Code points WinAnsiEncoding places in 0x80-0x9F; Latin-1 (0xA0-0xFF)
+// maps to itself
+const WIN_ANSI_CODES = new Map([
+  [0x20ac, 0x80], [0x201a, 0x82], [0x0192, 0x83], [0x201e, 0x84], [0x2026, 0x85],
+  [0x2020, 0x86], [0x2021, 0x87], [0x02c6, 0x88], [0x2030, 0x89], [0x0160, 0x8a],
+  [0x2039, 0x8b], [0x0152, 0x8c], [0x017d, 0x8e], [0x2018, 0x91], [0x2019, 0x92],
+  [0x201c, 0x93], [0x201d, 0x94], [0x2022, 0x95], [0x2013, 0x96], [0x2014, 0x97],
+  [0x02dc, 0x98], [0x2122, 0x99], [0x0161, 0x9a], [0x203a, 0x9b], [0x0153, 0x9c],
+  [0x017e, 0x9e], [0x0178, 0x9f],
+]);
+
+// WinAnsi code of a code point, null when the standard fonts cannot show it
+const winAnsiCode = (point) => {
+  if (point === 0x09) return 0x20;
+  if (point >= 0x20 && point <= 0x7e) return point;
+  if (point >= 0xa0 && point <= 0xff) return point;
+  return WIN_ANSI_CODES.get(point) ?? null;
+};
+
+/**
+ * Text as WinAnsi byte codes; characters the standard fonts cannot show
+ * become "?" (see findUnsupportedCharacters) and other control characters
+ * are dropped
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function encodeWinAnsi(text) {
+  const codes = [];
+  for (const char of String(text ?? '').normalize('NFC')) {
+    const point = char.codePointAt(0);
+    const code = winAnsiCode(point);
+    if (code !== null) codes.push(code);
+    else if (point >= 0x20) codes.push(0x3f);
+  }
+  return codes;
+}
+
+/**
+ * Characters of the text the standard fonts cannot show, each listed once
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function findUnsupportedCharacters(text) {
+  const unsupported = new Set();
+  for (const char of String(text ?? '').normalize('NFC')) {
+    const point = char.codePointAt(0);
+    if (point >= 0x20 && winAnsiCode(point) === null) unsupported.add(char);
+  }
+  return [...unsupported];
+}
+
+/**
+ * Width of a line of text in points
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {'regular'|'bold'|'italic'} [weight]
+ */
+export function measureText(text, size, weight = 'regular') {
+  const widths = weight === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  const units = encodeWinAnsi(text).reduce((sum, code) => (
+    sum + (code <= 0x7e ? widths[code - 32] : EXTENDED_WIDTHS[code] || DEFAULT_WIDTH)
+  ), 0);
+  return (units * size) / 1000;
+}
+
+/**
+ * Break text into lines no wider than maxWidth; words longer than a line
+ * are split
+ * @returns {string[]}
+ */
+export function wrapText(text, maxWidth, size, weight = 'regular') {
+  const lines = [];
+  let current = '';
+
+  for (const word of String(text ?? '').split(/\s+/).filter(Boolean)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (measureText(candidate, size, weight) <= maxWidth) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) lines.push(current);
+    current = word;
+    while (measureText(current, size, weight) > maxWidth && current.length > 1) {
+      let cut = current.length - 1;
+      while (cut > 1 && measureText(current.slice(0, cut), size, weight) > maxWidth) cut -= 1;
+      lines.push(current.slice(0, cut));
+      current = current.slice(cut);
+    }
+  }
+
+  if (current) lines.push(current);
+  return lines;
+}
+
+const pdfString = (text) => {
+  const escaped = encodeWinAnsi(text).map((code) => {
+    if (code === 0x28 || code === 0x29 || code === 0x5c) return `\\${String.fromCharCode(code)}`;
+    if (code < 0x20 || code > 0x7e) return `\\${code.toString(8).padStart(3, '0')}`;
+    return String.fromCharCode(code);
+  });
+  return `(${escaped.join('')})`;
+};
+
+const pdfNumber = (value) => Number(value.toFixed(2)).toString();
+
+const pdfColor = (hex = '#000000') => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => pdfNumber(channel / 255)).join(' ');
+};
+
+const pdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+const contentStream = (operations) => operations.map((operation) => {
+  if (operation.type === 'line') {
+    return [
+      `${pdfColor(operation.color)} RG`,
+      `${pdfNumber(operation.width || 0.5)} w`,
+      `${pdfNumber(operation.x1)} ${pdfNumber(operation.y1)} m`,
+      `${pdfNumber(operation.x2)} ${pdfNumber(operation.y2)} l S`,
+    ].join('\n');
+  }
+
+  return [
+    'BT',
+    `/${FONT_RESOURCES[operation.weight || 'regular']} ${pdfNumber(operation.size)} Tf`,
+    `${pdfColor(operation.color)} rg`,
+    `${pdfNumber(operation.x)} ${pdfNumber(operation.y)} Td`,
+    `${pdfString(operation.text)} Tj`,
+    'ET',
+  ].join('\n');
+}).join('\n');
+
+/**
+ * Write a PDF
+ * @param {Object} options
+ * @param {Array<Array<Object>>} options.pages - Drawing operations per page:
+ *   { type: 'text', x, y, text, size, weight, color } or
+ *   { type: 'line', x1, y1, x2, y2, width, color }; y is measured from the
+ *   bottom of the page, colors are "#rrggbb"
+ * @param {'helvetica'|'times'} [options.fontFamily]
+ * @param {'a4'|'letter'} [options.pageSize]
+ * @param {{ title?: string, author?: string }} [options.info]
+ * @returns {Buffer}
+ * @throws {AppError} PDF_UNSUPPORTED_CHARACTERS when some text cannot be
+ *   set in the standard fonts
+ */
+export function writePdf({ pages, fontFamily = 'helvetica', pageSize = 'a4', info = {} }) {
+  const texts = pages.flat().filter(operation => operation.type === 'text').map(operation => operation.text);
+  const unsupported = findUnsupportedCharacters([...texts, info.title, info.author].filter(Boolean).join(' '));
+  if (unsupported.length > 0) {
+    throw new AppError(
+      `The PDF fonts cannot show some characters (${unsupported.slice(0, 10).join(' ')}). Download the resume as DOCX instead.`,
+      422,
+      'PDF_UNSUPPORTED_CHARACTERS',
+      { characters: unsupported }
+    );
+  }
+
+  const { width, height } = PAGE_SIZES[pageSize];
+  const fonts = FONT_FAMILIES[fontFamily];
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontIds = Object.fromEntries(Object.entries(fonts).map(([weight, baseFont]) => [
+    weight,
+    addObject(Buffer.from(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`, 'latin1')),
+  ]));
+  const fontResources = Object.entries(FONT_RESOURCES)
+    .map(([weight, resource]) => `/${resource} ${fontIds[weight]} 0 R`)
+    .join(' ');
+
+  const pageIds = (pages.length ? pages : [[]]).map((operations) => {
+    const stream = zlib.deflateSync(Buffer.from(contentStream(operations), 'latin1'));
+    const contentId = addObject(Buffer.concat([
+      Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+      stream,
+      Buffer.from('\nendstream', 'latin1'),
+    ]));
+    return addObject(Buffer.from(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${pdfNumber(width)} ${pdfNumber(height)}] ` +
+      `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`,
+      'latin1'
+    ));
+  });
+
+  objects[catalogId - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`, 'latin1');
+  objects[pagesId - 1] = Buffer.from(
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+    'latin1'
+  );
+
+  const infoEntries = [
+    info.title && `/Title ${pdfString(info.title)}`,
+    info.author && `/Author ${pdfString(info.author)}`,
+    `/Producer ${pdfString('ResumeGraph')}`,
+    `/CreationDate (${pdfDate(new Date())})`,
+  ].filter(Boolean);
+  const infoId = addObject(Buffer.from(`<< ${infoEntries.join(' ')} >>`, 'latin1'));
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+  objects.forEach((body, index) => {
+    const object = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+      body,
+      Buffer.from('\nendobj\n', 'latin1'),
+    ]);
+    offsets.push(length);
+    chunks.push(object);
+    length += object.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+  ].join('\n');
+  chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+  return Buffer.concat(chunks);
+}
+
+export default {
+  PAGE_SIZES,
+  encodeWinAnsi,
+  findUnsupportedCharacters,
+  measureText,
+  wrapText,
+  writePdf,
+};
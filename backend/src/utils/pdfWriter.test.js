@@ -0,0 +1,79 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { encodeWinAnsi, findUnsupportedCharacters, measureText, wrapText, writePdf } from './pdfWriter.js';
+
+const page = (...texts) => texts.map((text, index) => ({ type: 'text', x: 50, y: 780 - index * 14, text, size: 10 }));
+
+// Inflated content streams of a written PDF, in order
+const contentStreams = (buffer) => {
+  const streams = [];
+  let from = 0;
+  for (;;) {
+    const start = buffer.indexOf('stream\n', from);
+    if (start === -1) return streams;
+    const end = buffer.indexOf('\nendstream', start);
+    streams.push(zlib.inflateSync(buffer.subarray(start + 7, end)).toString('latin1'));
+    from = end + '\nendstream'.length;
+  }
+};
+
+describe('encodeWinAnsi', () => {
+  test('maps Latin-1 letters and typographic punctuation to WinAnsi codes', () => {
+    assert.deepEqual(encodeWinAnsi('Né'), [0x4e, 0xe9]);
+    assert.deepEqual(encodeWinAnsi('“A” – €'), [0x93, 0x41, 0x94, 0x20, 0x96, 0x20, 0x80]);
+    assert.deepEqual(encodeWinAnsi('a\tb'), [0x61, 0x20, 0x62]);
+  });
+});
+
+describe('findUnsupportedCharacters', () => {
+  test('lists each character outside WinAnsi once', () => {
+    assert.deepEqual(findUnsupportedCharacters('José Ñúñez'), []);
+    assert.deepEqual(findUnsupportedCharacters('अजय अजय ₹ 李'), ['अ', 'ज', 'य', '₹', '李']);
+  });
+});
+
+describe('wrapText', () => {
+  test('keeps every line within the width and splits overlong words', () => {
+    const lines = wrapText(`Built APIs ${'x'.repeat(80)} for search`, 120, 10);
+
+    assert.ok(lines.length > 2);
+    lines.forEach(line => assert.ok(measureText(line, 10) <= 120, line));
+    assert.equal(lines.join('').replace(/\s/g, ''), `BuiltAPIs${'x'.repeat(80)}forsearch`);
+  });
+});
+
+describe('writePdf', () => {
+  test('writes a PDF whose cross-reference table points at its objects', () => {
+    const buffer = writePdf({ pages: [page('Casey Candidate'), page('Page two')], info: { title: 'Resume' } });
+    const text = buffer.toString('latin1');
+
+    assert.ok(text.startsWith('%PDF-1.4\n'));
+    assert.ok(text.trimEnd().endsWith('%%EOF'));
+    assert.match(text, /\/Count 2/);
+
+    const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+    assert.ok(text.startsWith('xref', startxref));
+    const offsets = [...text.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+    offsets.forEach((offset, index) => assert.ok(text.startsWith(`${index + 1} 0 obj`, offset), `object ${index + 1}`));
+  });
+
+  test('sets Latin-1 text in WinAnsi and escapes PDF string delimiters', () => {
+    const [stream] = contentStreams(writePdf({ pages: [page('José Ñúñez (PM)')] }));
+
+    assert.match(stream, /\(Jos\\351 \\321\\372\\361ez \\\(PM\\\)\) Tj/);
+  });
+
+  test('refuses text the standard fonts cannot show instead of printing "?"', () => {
+    assert.throws(
+      () => writePdf({ pages: [page('José Ñúñez अजय', 'Expected salary ₹20L')] }),
+      (error) => {
+        assert.equal(error.code, 'PDF_UNSUPPORTED_CHARACTERS');
+        assert.equal(error.statusCode, 422);
+        assert.deepEqual(error.details.characters, ['अ', 'ज', 'य', '₹']);
+        return true;
+      }
+    );
+    assert.throws(() => writePdf({ pages: [page('Resume')], info: { author: '李雷' } }), { code: 'PDF_UNSUPPORTED_CHARACTERS' });
+  });
+});
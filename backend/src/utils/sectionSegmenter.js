@@ -0,0 +1,196 @@
+/**
+ * Resume Section Segmentation
+ * Splits resume text into sections by detecting headings, so each extractor
+ * only reads the part of the resume it is meant for
+ *
+ * Offsets are character positions in the exact text that was segmented
+ * (Resume.raw_text), so sections can be stored without copying the text.
+ */
+
+export const SECTION_TYPES = [
+  'header',
+  'summary',
+  'experience',
+  'education',
+  'projects',
+  'skills',
+  'certifications',
+  'awards',
+  'publications',
+];
+
+// Heading variants per section, compared after normalizeHeading()
+const HEADING_VARIANTS = {
+  summary: [
+    'summary', 'professional summary', 'career summary', 'executive summary', 'profile',
+    'professional profile', 'profile summary', 'about', 'about me', 'objective',
+    'career objective', 'professional objective', 'personal statement', 'overview',
+  ],
+  experience: [
+    'experience', 'work experience', 'professional experience', 'relevant experience',
+    'employment', 'employment history', 'work history', 'career history',
+    'professional background', 'internships', 'internship', 'internship experience',
+    'experience and internships', 'industry experience',
+  ],
+  education: [
+    'education', 'academic background', 'academics', 'academic qualifications',
+    'educational qualifications', 'educational background', 'qualifications',
+    'education and training', 'academic details', 'scholastic profile',
+  ],
+  projects: [
+    'projects', 'personal projects', 'academic projects', 'key projects', 'side projects',
+    'selected projects', 'project experience', 'technical projects', 'notable projects',
+  ],
+  skills: [
+    'skills', 'technical skills', 'key skills', 'core skills', 'core competencies',
+    'competencies', 'skills and tools', 'tools and technologies', 'technologies',
+    'tech stack', 'technical proficiencies', 'areas of expertise', 'skills summary',
+    'skill set', 'skillset', 'technical expertise',
+  ],
+  certifications: [
+    'certifications', 'certificates', 'certification', 'licenses and certifications',
+    'professional certifications', 'courses and certifications', 'certifications and courses',
+    'certifications and training', 'courses', 'training',
+  ],
+  awards: [
+    'awards', 'honors', 'honours', 'achievements', 'accomplishments', 'awards and honors',
+    'awards and honours', 'awards and achievements', 'honors and awards', 'recognition',
+  ],
+  publications: [
+    'publications', 'research', 'papers', 'research publications', 'conference papers',
+    'research and publications',
+  ],
+};
+
+const HEADING_LOOKUP = new Map(
+  Object.entries(HEADING_VARIANTS).flatMap(([type, variants]) => variants.map(variant => [variant, type]))
+);
+
+const MAX_HEADING_LENGTH = 45;
+
+// Sections made of entries whose detail lines look like inline headings
+// ("Tech Stack: React, Node" under a project, "Research: ..." under a job)
+const ENTRY_SECTIONS = new Set(['experience', 'projects', 'education']);
+
+/**
+ * Lowercase a candidate heading and strip decoration: bullets, numbering,
+ * rules, "&", trailing colons and letter spacing ("E X P E R I E N C E")
+ */
+const normalizeHeading = (line) => {
+  let heading = line
+    .trim()
+    .replace(/^(?:[#*•\-–—=_|>]+|\d{1,2}[.)])\s*/, '')
+    .replace(/[\s:#*•\-–—=_|]+$/, '');
+
+  const tokens = heading.split(/\s+/);
+  if (tokens.length > 3 && tokens.every(token => token.length === 1)) {
+    heading = tokens.join('');
+  }
+
+  return heading
+    .toLowerCase()
+    .replace(/\s*&\s*/g, ' and ')
+    .replace(/\s*\/\s*/g, ' and ')
+    .replace(/\s+/g, ' ');
+};
+
+/**
+ * Recognize a line as a section heading
+ * "Skills: React, Node" is a heading with inline content; contentOffset is
+ * where that content starts within the line.
+ * @param {string} line
+ * @param {object} [options]
+ * @param {boolean} [options.allowInline=true] - whether "Heading: content" lines count
+ * @returns {{type: string, heading: string, contentOffset: number, confidence: number}|null}
+ */
+export function detectSectionHeading(line, { allowInline = true } = {}) {
+  if (!line) return null;
+
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+
+  const inline = /^([^:]{2,40}):\s*(\S.*)$/.exec(trimmed);
+  if (inline && !allowInline) return null;
+  const candidate = inline ? inline[1] : trimmed;
+  if (candidate.length > MAX_HEADING_LENGTH) return null;
+
+  const type = HEADING_LOOKUP.get(normalizeHeading(candidate));
+  if (!type) return null;
+
+  const letters = candidate.replace(/[^a-z]/gi, '');
+  const isAllCaps = letters.length > 1 && letters === letters.toUpperCase();
+  const confidence = isAllCaps || /:\s*$/.test(trimmed) ? 0.95 : inline ? 0.8 : 0.85;
+
+  return {
+    type,
+    heading: candidate.replace(/[\s:]+$/, ''),
+    contentOffset: inline ? line.indexOf(inline[2]) : line.length,
+    confidence,
+  };
+}
+
+/**
+ * Split resume text into sections
+ * Text before the first heading is the 'header' section (name, contact
+ * details). Without any recognizable heading the whole text is the header.
+ * Inside experience, projects and education only standalone headings start
+ * a new section; "Label: value" lines there belong to the entry.
+ * @param {string} text
+ * @returns {Array<{type: string, heading: string|null, start: number, contentStart: number, end: number, confidence: number}>}
+ */
+export function segmentResume(text) {
+  if (!text) return [];
+
+  const headings = [];
+  const linePattern = /[^\n]*(?:\n|$)/g;
+  let match;
+
+  while ((match = linePattern.exec(text)) !== null && match[0].length > 0) {
+    const line = match[0].replace(/\r?\n$/, '');
+    const current = headings[headings.length - 1];
+    const detected = detectSectionHeading(line, { allowInline: !ENTRY_SECTIONS.has(current?.type) });
+    if (detected) {
+      headings.push({ ...detected, start: match.index, contentStart: match.index + detected.contentOffset });
+    }
+  }
+
+  const sections = [];
+  const firstStart = headings.length > 0 ? headings[0].start : text.length;
+  if (text.slice(0, firstStart).trim()) {
+    sections.push({ type: 'header', heading: null, start: 0, contentStart: 0, end: firstStart, confidence: 1 });
+  }
+
+  headings.forEach((heading, idx) => {
+    sections.push({
+      type: heading.type,
+      heading: heading.heading,
+      start: heading.start,
+      contentStart: heading.contentStart,
+      end: idx + 1 < headings.length ? headings[idx + 1].start : text.length,
+      confidence: heading.confidence,
+    });
+  });
+
+  return sections;
+}
+
+/**
+ * Text of all sections of the given types, in document order
+ * @returns {string|null} null when the resume has none of these sections,
+ *   so callers can fall back to the whole text
+ */
+export function getSectionText(text, sections, ...types) {
+  const parts = (sections || [])
+    .filter(section => types.includes(section.type))
+    .map(section => text.slice(section.contentStart, section.end).trim())
+    .filter(Boolean);
+
+  return parts.length > 0 ? parts.join('\n\n') : null;
+}
+
+export default {
+  SECTION_TYPES,
+  detectSectionHeading,
+  segmentResume,
+  getSectionText,
+};
@@ -0,0 +1,78 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectSectionHeading, getSectionText, segmentResume } from './sectionSegmenter.js';
+
+const types = (text) => segmentResume(text).map(section => section.type);
+
+describe('detectSectionHeading', () => {
+  test('recognizes decorated and letter-spaced headings', () => {
+    assert.equal(detectSectionHeading('WORK EXPERIENCE').type, 'experience');
+    assert.equal(detectSectionHeading('## Projects:').type, 'projects');
+    assert.equal(detectSectionHeading('E D U C A T I O N').type, 'education');
+    assert.equal(detectSectionHeading('Awards & Honors').type, 'awards');
+    assert.equal(detectSectionHeading('Led the projects team'), null);
+  });
+
+  test('reads inline content after a heading unless inline headings are off', () => {
+    const line = 'Skills: React, Node';
+    assert.deepEqual(detectSectionHeading(line), { type: 'skills', heading: 'Skills', contentOffset: 8, confidence: 0.8 });
+    assert.equal(detectSectionHeading(line, { allowInline: false }), null);
+    assert.equal(detectSectionHeading('SKILLS', { allowInline: false }).type, 'skills');
+  });
+});
+
+describe('segmentResume', () => {
+  test('splits on headings and keeps the text before the first one as the header', () => {
+    const text = 'Jane Doe\njane@example.com\n\nSUMMARY\nEngineer.\n\nSkills: React, Node\n\nEDUCATION\nBSc, State University';
+    const sections = segmentResume(text);
+
+    assert.deepEqual(sections.map(section => section.type), ['header', 'summary', 'skills', 'education']);
+    assert.equal(getSectionText(text, sections, 'skills'), 'React, Node');
+    assert.equal(sections[sections.length - 1].end, text.length);
+  });
+
+  test('keeps a project "Tech Stack:" line in the project', () => {
+    const text = [
+      'PROJECTS',
+      'Resume Parser',
+      'Tech Stack: React, Node',
+      '- Parsed 10k resumes',
+      'SKILLS',
+      'Python, SQL',
+    ].join('\n');
+    const sections = segmentResume(text);
+
+    assert.deepEqual(sections.map(section => section.type), ['projects', 'skills']);
+    assert.match(getSectionText(text, sections, 'projects'), /Tech Stack: React, Node\n- Parsed 10k resumes/);
+    assert.equal(getSectionText(text, sections, 'skills'), 'Python, SQL');
+  });
+
+  test('keeps an experience "Research:" line in the job', () => {
+    const text = [
+      'EXPERIENCE',
+      'Data Scientist, Acme (2020 - Present)',
+      'Research: causal inference for pricing',
+      'Technologies: Python, Spark',
+      'PUBLICATIONS',
+      'Pricing at scale, KDD 2022',
+    ].join('\n');
+    const sections = segmentResume(text);
+
+    assert.deepEqual(sections.map(section => section.type), ['experience', 'publications']);
+    assert.match(getSectionText(text, sections, 'experience'), /Research: causal inference/);
+    assert.equal(getSectionText(text, sections, 'publications'), 'Pricing at scale, KDD 2022');
+  });
+
+  test('keeps an education "Courses:" line in the degree', () => {
+    assert.deepEqual(types('EDUCATION\nBSc Computer Science\nCourses: Algorithms, Databases'), ['education']);
+  });
+
+  test('still opens a section for an inline heading after a non-entry section', () => {
+    assert.deepEqual(types('SUMMARY\nBackend engineer.\nSkills: Go, Postgres'), ['summary', 'skills']);
+  });
+
+  test('returns the whole text as the header without headings', () => {
+    assert.deepEqual(types('Jane Doe\nBackend engineer'), ['header']);
+    assert.deepEqual(segmentResume(''), []);
+  });
+});
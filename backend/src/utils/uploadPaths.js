@@ -0,0 +1,45 @@
+/**
+ * Upload Path Utilities
+ * Resolve stored file paths (absolute multer paths or /uploads/... URLs)
+ * and refuse anything outside the upload directories
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const BACKEND_ROOT = path.join(__dirname, '../..');
+
+export const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || './uploads');
+
+export const UPLOAD_ROOTS = [
+  UPLOAD_DIR,
+  path.join(BACKEND_ROOT, 'uploads'),
+];
+
+/**
+ * Absolute path of an uploaded file, or null when the stored path is
+ * missing or points outside the upload directories
+ * @param {string} storedPath
+ * @returns {string|null}
+ */
+export function resolveUploadPath(storedPath) {
+  if (!storedPath || typeof storedPath !== 'string') {
+    return null;
+  }
+
+  // Public URLs (/uploads/...) are relative to the backend root
+  const resolved = storedPath.startsWith('/uploads/')
+    ? path.join(BACKEND_ROOT, storedPath)
+    : path.resolve(storedPath);
+
+  return UPLOAD_ROOTS.some(root => resolved.startsWith(`${root}${path.sep}`)) ? resolved : null;
+}
+
+export default {
+  UPLOAD_DIR,
+  UPLOAD_ROOTS,
+  resolveUploadPath,
+};
@@ -0,0 +1,22 @@
+/**
+ * XML Utilities
+ * Escaping for the XML documents we generate (Europass exports, DOCX parts)
+ */
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+const XML_ENTITIES = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' };
+
+/**
+ * Escape text for an XML element or attribute value
+ */
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/[<>&"']/g, char => XML_ENTITIES[char]);
+}
+
+export default {
+  escapeXml,
+};
@@ -8,6 +8,8 @@ import RegisterPage from './pages/RegisterPage'
 import VerifyEmailPage from './pages/VerifyEmailPage'
 import ForgotPasswordPage from './pages/ForgotPasswordPage'
 import ResetPasswordPage from './pages/ResetPasswordPage'
+import OAuthCallbackPage from './pages/OAuthCallbackPage'
+import InviteAcceptPage from './pages/InviteAcceptPage'
 import UploadPage from './pages/UploadPage'
 import DashboardPage from './pages/DashboardPage'
 import JobRoleDetailsPage from './pages/JobRoleDetailsPage'
@@ -32,6 +34,8 @@ import InterviewsPage from './pages/InterviewsPage'
 import OffersPage from './pages/OffersPage'
 import ResumeViewPage from './pages/ResumeViewPage'
 import DataExportPage from './pages/DataExportPage'
+import ResumeBuilderPage from './pages/ResumeBuilderPage'
+import PrivacyCenterPage from './pages/PrivacyCenterPage'
 
 function App() {
   return (
@@ -70,6 +74,8 @@ function App() {
               <Route path="/verify-email" element={<VerifyEmailPage />} />
               <Route path="/forgot-password" element={<ForgotPasswordPage />} />
               <Route path="/reset-password" element={<ResetPasswordPage />} />
+              <Route path="/oauth/callback" element={<OAuthCallbackPage />} />
+              <Route path="/invite/:token" element={<InviteAcceptPage />} />
               <Route 
                 path="/onboarding" 
                 element={(
@@ -143,6 +149,22 @@ function App() {
                   </ProtectedRoute>
                 )}
               />
+              <Route 
+                path="/resume-builder" 
+                element={(
+                  <ProtectedRoute allowedRoles={['user']}>
+                    <ResumeBuilderPage />
+                  </ProtectedRoute>
+                )}
+              />
+              <Route 
+                path="/privacy" 
+                element={(
+                  <ProtectedRoute allowedRoles={['user']}>
+                    <PrivacyCenterPage />
+                  </ProtectedRoute>
+                )}
+              />
               <Route 
                 path="/profile" 
                 element={(
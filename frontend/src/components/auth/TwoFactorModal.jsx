@@ -1,25 +1,42 @@
 import React, { useState, useEffect } from 'react';
-import { Modal } from '../ui/Modal';
+import Modal from '../ui/Modal';
 import OTPInput from './OTPInput';
 import LoadingSpinner from '../ui/LoadingSpinner';
 
 /**
  * 2FA Verification Modal
  * Displays OTP input for two-factor authentication
+ * method: 'email' (code was emailed) or 'totp' (code from an authenticator app);
+ * either can be replaced by a one-time recovery code
  */
-const TwoFactorModal = ({ isOpen, onClose, email, onVerify, loading = false }) => {
+const TwoFactorModal = ({ isOpen, onClose, email, method = 'email', onVerify, onResend, errorMessage = '', loading = false }) => {
   const [otp, setOtp] = useState('');
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const [error, setError] = useState('');
 
   // Reset state when modal opens
   useEffect(() => {
     if (isOpen) {
       setOtp('');
+      setRecoveryCode('');
+      setUseRecoveryCode(false);
       setError('');
     }
   }, [isOpen]);
 
   const handleVerify = async () => {
+    if (useRecoveryCode) {
+      if (recoveryCode.replace(/[^a-z0-9]/gi, '').length !== 10) {
+        setError('Recovery codes look like abcde-12345');
+        return;
+      }
+
+      setError('');
+      await onVerify(recoveryCode.trim());
+      return;
+    }
+
     if (otp.length !== 6) {
       setError('Please enter the 6-digit code');
       return;
@@ -31,13 +48,20 @@ const TwoFactorModal = ({ isOpen, onClose, email, onVerify, loading = false }) =
 
   // Auto-submit when 6 digits entered
   useEffect(() => {
-    if (otp.length === 6 && !loading) {
+    if (!useRecoveryCode && otp.length === 6 && !loading) {
       handleVerify();
     }
   }, [otp]);
 
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setOtp('');
+    setRecoveryCode('');
+    setError('');
+  };
+
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Two-Factor Authentication">
+    <Modal isOpen={isOpen} onClose={onClose} title="Two-Factor Authentication" size="sm">
       <div className="space-y-6">
         {/* Info */}
         <div className="text-center">
@@ -46,25 +70,50 @@ const TwoFactorModal = ({ isOpen, onClose, email, onVerify, loading = false }) =
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
             </svg>
           </div>
-          <p className="text-gray-600 mb-2">
-            We've sent a 6-digit code to
-          </p>
-          <p className="text-purple-600 font-semibold">
-            {email}
-          </p>
+          {useRecoveryCode ? (
+            <p className="text-gray-600 mb-2">
+              Enter one of the recovery codes you saved when setting up two-factor authentication
+            </p>
+          ) : method === 'totp' ? (
+            <p className="text-gray-600 mb-2">
+              Enter the 6-digit code from your authenticator app
+            </p>
+          ) : (
+            <>
+              <p className="text-gray-600 mb-2">
+                We've sent a 6-digit code to
+              </p>
+              <p className="text-purple-600 font-semibold">
+                {email}
+              </p>
+            </>
+          )}
         </div>
 
         {/* OTP Input */}
         <div>
-          <OTPInput
-            value={otp}
-            onChange={setOtp}
-            disabled={loading}
-            error={!!error}
-          />
-          {error && (
+          {useRecoveryCode ? (
+            <input
+              type="text"
+              value={recoveryCode}
+              onChange={(e) => setRecoveryCode(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleVerify()}
+              disabled={loading}
+              placeholder="abcde-12345"
+              autoComplete="off"
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg text-center font-mono tracking-widest focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          ) : (
+            <OTPInput
+              value={otp}
+              onChange={setOtp}
+              disabled={loading}
+              error={!!(error || errorMessage)}
+            />
+          )}
+          {(error || errorMessage) && (
             <p className="mt-2 text-sm text-red-600 text-center">
-              {error}
+              {error || errorMessage}
             </p>
           )}
         </div>
@@ -80,7 +129,7 @@ const TwoFactorModal = ({ isOpen, onClose, email, onVerify, loading = false }) =
           </button>
           <button
             onClick={handleVerify}
-            disabled={loading || otp.length !== 6}
+            disabled={loading || (!useRecoveryCode && otp.length !== 6)}
             className="flex-1 py-3 px-4 bg-gradient-to-r from-purple-600 to-blue-600 text-white font-semibold rounded-lg shadow-md hover:shadow-lg transform hover:scale-[1.02] transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
           >
             {loading ? (
@@ -96,7 +145,30 @@ const TwoFactorModal = ({ isOpen, onClose, email, onVerify, loading = false }) =
 
         {/* Help Text */}
         <p className="text-xs text-center text-gray-500">
-          💡 Code expires in 10 minutes
+          {method === 'email' && !useRecoveryCode && '💡 Code expires in 10 minutes'}
+          {onResend && method === 'email' && !useRecoveryCode && (
+            <>
+              {' · '}
+              <button
+                type="button"
+                onClick={onResend}
+                disabled={loading}
+                className="text-purple-600 font-semibold hover:underline disabled:opacity-50"
+              >
+                Resend code
+              </button>
+            </>
+          )}
+        </p>
+        <p className="text-xs text-center">
+          <button
+            type="button"
+            onClick={toggleRecoveryCode}
+            disabled={loading}
+            className="text-purple-600 font-semibold hover:underline disabled:opacity-50"
+          >
+            {useRecoveryCode ? 'Use a login code instead' : 'Use a recovery code'}
+          </button>
         </p>
       </div>
     </Modal>
@@ -0,0 +1,128 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { FileSearch } from 'lucide-react'
+
+const FIELD_LABELS = {
+  name: 'Name',
+  emails: 'Email',
+  phones: 'Phone',
+  links: 'Link',
+  location: 'Location',
+  current_title: 'Current Title',
+  years_experience: 'Years of Experience',
+  skills: 'Skill',
+  experience: 'Experience',
+  education: 'Education',
+  projects: 'Project',
+}
+
+const EXTRACTOR_STYLES = {
+  regex: 'bg-sky-500/10 text-sky-400 border-sky-500/30',
+  ner: 'bg-violet-500/10 text-violet-400 border-violet-500/30',
+  llm: 'bg-amber-500/10 text-amber-400 border-amber-500/30',
+  user: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/30',
+  import: 'bg-teal-500/10 text-teal-400 border-teal-500/30',
+}
+
+// Display value of a provenance path such as "skills.3" or "experience.0"
+const valueAt = (parsedResume, path) => {
+  const value = path.split('.').reduce((current, key) => current?.[key], parsedResume)
+  if (value && typeof value === 'object') {
+    return [value.title, value.company, value.degree, value.institution, value.name].filter(Boolean).join(' · ')
+  }
+  return value === undefined || value === null ? '' : String(value)
+}
+
+const confidenceColor = (confidence) => {
+  if (confidence >= 0.85) return 'text-emerald-400'
+  if (confidence >= 0.65) return 'text-amber-400'
+  return 'text-red-400'
+}
+
+/**
+ * Parsed fields with the extractor and confidence behind each one;
+ * selecting a field highlights where it was found in the resume text
+ */
+const FieldSourcesPanel = ({ parsedResume, rawText }) => {
+  const [selected, setSelected] = useState(null)
+  const highlightRef = useRef(null)
+
+  const entries = useMemo(
+    () => (parsedResume?.provenance || []).map(entry => ({ ...entry, value: valueAt(parsedResume, entry.field) })),
+    [parsedResume]
+  )
+
+  useEffect(() => {
+    highlightRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+  }, [selected])
+
+  if (entries.length === 0) {
+    return null
+  }
+
+  const hasSpan = selected && rawText && Number.isInteger(selected.start) && Number.isInteger(selected.end)
+
+  return (
+    <div className="card-base rounded-[24px] p-6 mt-6">
+      <div className="flex items-center gap-2 mb-4">
+        <FileSearch className="w-5 h-5 text-[var(--rg-accent)]" />
+        <h3 className="text-lg font-semibold text-[var(--rg-text-primary)]">Where Each Field Came From</h3>
+      </div>
+
+      <div className={`grid gap-6 ${rawText ? 'lg:grid-cols-2' : ''}`}>
+        <ul className="space-y-2 max-h-[480px] overflow-y-auto pr-2">
+          {entries.map(entry => (
+            <li key={entry.field}>
+              <button
+                type="button"
+                onClick={() => setSelected(entry)}
+                className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                  selected?.field === entry.field
+                    ? 'border-[var(--rg-accent)] bg-[var(--rg-bg-muted)]'
+                    : 'border-[var(--rg-border)] hover:bg-[var(--rg-bg-muted)]'
+                }`}
+              >
+                <div className="flex items-center justify-between gap-3">
+                  <span className="text-xs uppercase tracking-wide text-[var(--rg-text-secondary)]">
+                    {FIELD_LABELS[entry.field.split('.')[0]] || entry.field}
+                  </span>
+                  <div className="flex items-center gap-2">
+                    <span className={`px-2 py-0.5 text-xs rounded-full border ${EXTRACTOR_STYLES[entry.extractor] || EXTRACTOR_STYLES.regex}`}>
+                      {entry.extractor === 'llm' && entry.provider ? `llm · ${entry.provider}` : entry.extractor}
+                    </span>
+                    <span className={`text-xs font-semibold ${confidenceColor(entry.confidence)}`}>
+                      {Math.round((entry.confidence || 0) * 100)}%
+                    </span>
+                  </div>
+                </div>
+                <div className="text-sm text-[var(--rg-text-primary)] mt-1 truncate">{entry.value || '—'}</div>
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        {rawText && (
+          <div className="p-4 bg-[var(--rg-bg-muted)] rounded-lg border border-[var(--rg-border)] max-h-[480px] overflow-y-auto">
+            {selected && !hasSpan && (
+              <p className="text-xs text-[var(--rg-text-secondary)] mb-3">
+                This value was not found verbatim in the resume text.
+              </p>
+            )}
+            <pre className="whitespace-pre-wrap font-sans text-sm text-[var(--rg-text-secondary)]">
+              {hasSpan ? (
+                <>
+                  {rawText.slice(0, selected.start)}
+                  <mark ref={highlightRef} className="bg-sky-500/30 text-[var(--rg-text-primary)] rounded px-0.5">
+                    {rawText.slice(selected.start, selected.end)}
+                  </mark>
+                  {rawText.slice(selected.end)}
+                </>
+              ) : rawText}
+            </pre>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default FieldSourcesPanel
@@ -0,0 +1,272 @@
+import { useState } from 'react'
+import { Pencil, Plus, Trash2, X, Loader2 } from 'lucide-react'
+import toast from 'react-hot-toast'
+import api from '../../services/api'
+
+const SCALAR_FIELDS = [
+  { key: 'name', label: 'Full Name' },
+  { key: 'current_title', label: 'Current Title' },
+  { key: 'location', label: 'Location' },
+]
+
+const LIST_FIELDS = [
+  { key: 'emails', label: 'Emails' },
+  { key: 'phones', label: 'Phones' },
+  { key: 'links', label: 'Links' },
+]
+
+const ENTRY_FIELDS = {
+  experience: [
+    { key: 'company', label: 'Company' },
+    { key: 'title', label: 'Title' },
+    { key: 'start_date', label: 'Start (YYYY-MM)' },
+    { key: 'end_date', label: 'End (YYYY-MM, empty if current)' },
+    { key: 'location', label: 'Location' },
+  ],
+  education: [
+    { key: 'institution', label: 'Institution' },
+    { key: 'degree', label: 'Degree' },
+    { key: 'field', label: 'Field of Study' },
+    { key: 'start_date', label: 'Start (YYYY-MM)' },
+    { key: 'end_date', label: 'End (YYYY-MM)' },
+    { key: 'gpa', label: 'GPA' },
+  ],
+}
+
+const inputClass = 'w-full px-3 py-2 rounded-lg border border-[var(--rg-border)] bg-transparent text-sm text-[var(--rg-text-primary)]'
+
+const toDraft = (parsedResume = {}) => ({
+  name: parsedResume.name || '',
+  current_title: parsedResume.current_title || '',
+  location: parsedResume.location || '',
+  emails: (parsedResume.emails || []).join('\n'),
+  phones: (parsedResume.phones || []).join('\n'),
+  links: (parsedResume.links || []).join('\n'),
+  skills: [...(parsedResume.skills || [])],
+  experience: (parsedResume.experience || []).map(entry => ({
+    ...Object.fromEntries(ENTRY_FIELDS.experience.map(({ key }) => [key, entry[key] || ''])),
+    bullets: (entry.bullets || []).join('\n'),
+  })),
+  education: (parsedResume.education || []).map(entry => (
+    Object.fromEntries(ENTRY_FIELDS.education.map(({ key }) => [key, entry[key] || '']))
+  )),
+})
+
+const splitLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean)
+
+// Request body for the fields that differ from what was loaded
+const changedFields = (draft, original) => {
+  const values = {
+    ...Object.fromEntries(SCALAR_FIELDS.map(({ key }) => [key, draft[key].trim() || null])),
+    ...Object.fromEntries(LIST_FIELDS.map(({ key }) => [key, splitLines(draft[key])])),
+    skills: draft.skills,
+    experience: draft.experience.map(entry => ({ ...entry, bullets: splitLines(entry.bullets) })),
+    education: draft.education,
+  }
+  const before = toDraft(original)
+  return Object.fromEntries(Object.entries(values).filter(([key]) => JSON.stringify(draft[key]) !== JSON.stringify(before[key])))
+}
+
+/**
+ * Lets the candidate fix parsed contact details, skills, experience and
+ * education; saved corrections also improve the parser's skill dictionary
+ */
+const ParsedResumeEditor = ({ resumeId, parsedResume, onSaved }) => {
+  const [open, setOpen] = useState(false)
+  const [draft, setDraft] = useState(() => toDraft(parsedResume))
+  const [newSkill, setNewSkill] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const start = () => {
+    setDraft(toDraft(parsedResume))
+    setOpen(true)
+  }
+
+  const setField = (key, value) => setDraft(current => ({ ...current, [key]: value }))
+
+  const setEntry = (section, index, key, value) => {
+    setDraft(current => ({
+      ...current,
+      [section]: current[section].map((entry, idx) => (idx === index ? { ...entry, [key]: value } : entry)),
+    }))
+  }
+
+  const addEntry = (section) => {
+    const blank = Object.fromEntries(ENTRY_FIELDS[section].map(({ key }) => [key, '']))
+    setField(section, [...draft[section], section === 'experience' ? { ...blank, bullets: '' } : blank])
+  }
+
+  const addSkill = (event) => {
+    event.preventDefault()
+    const skill = newSkill.trim()
+    if (skill && !draft.skills.some(existing => existing.toLowerCase() === skill.toLowerCase())) {
+      setField('skills', [...draft.skills, skill])
+    }
+    setNewSkill('')
+  }
+
+  const handleSave = async () => {
+    const updates = changedFields(draft, parsedResume)
+    if (Object.keys(updates).length === 0) {
+      setOpen(false)
+      return
+    }
+
+    try {
+      setSaving(true)
+      const response = await api.patch(`/resume/${resumeId}/parsed`, updates)
+      onSaved?.(response.data)
+      toast.success('Corrections saved')
+      setOpen(false)
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save corrections')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!open) {
+    return (
+      <div className="flex justify-end mt-6">
+        <button type="button" onClick={start} className="btn-secondary">
+          <Pencil className="w-4 h-4" />
+          Fix parsed details
+        </button>
+      </div>
+    )
+  }
+
+  const renderEntries = (section, title) => (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-[var(--rg-text-primary)]">{title}</h4>
+        <button type="button" onClick={() => addEntry(section)} className="pill-muted text-xs">
+          <Plus className="w-3 h-3" />
+          Add
+        </button>
+      </div>
+      <div className="space-y-4">
+        {draft[section].map((entry, index) => (
+          <div key={index} className="p-4 rounded-lg border border-[var(--rg-border)] bg-[var(--rg-bg-muted)]">
+            <div className="grid sm:grid-cols-2 gap-3">
+              {ENTRY_FIELDS[section].map(({ key, label }) => (
+                <label key={key} className="text-xs text-[var(--rg-text-secondary)]">
+                  {label}
+                  <input
+                    type="text"
+                    value={entry[key]}
+                    onChange={(e) => setEntry(section, index, key, e.target.value)}
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+              ))}
+            </div>
+            {section === 'experience' && (
+              <label className="block text-xs text-[var(--rg-text-secondary)] mt-3">
+                Highlights (one per line)
+                <textarea
+                  rows={3}
+                  value={entry.bullets}
+                  onChange={(e) => setEntry(section, index, 'bullets', e.target.value)}
+                  className={`${inputClass} mt-1`}
+                />
+              </label>
+            )}
+            <button
+              type="button"
+              onClick={() => setField(section, draft[section].filter((_, idx) => idx !== index))}
+              className="mt-3 inline-flex items-center gap-1 text-xs text-red-400 hover:text-red-300"
+            >
+              <Trash2 className="w-3 h-3" />
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="card-base rounded-[24px] p-6 mt-6 space-y-8">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Pencil className="w-5 h-5 text-[var(--rg-accent)]" />
+          <h3 className="text-lg font-semibold text-[var(--rg-text-primary)]">Fix Parsed Details</h3>
+        </div>
+        <button type="button" onClick={() => setOpen(false)} className="text-[var(--rg-text-secondary)] hover:text-[var(--rg-text-primary)]">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="grid sm:grid-cols-3 gap-4">
+        {SCALAR_FIELDS.map(({ key, label }) => (
+          <label key={key} className="text-xs text-[var(--rg-text-secondary)]">
+            {label}
+            <input
+              type="text"
+              value={draft[key]}
+              onChange={(e) => setField(key, e.target.value)}
+              className={`${inputClass} mt-1`}
+            />
+          </label>
+        ))}
+        {LIST_FIELDS.map(({ key, label }) => (
+          <label key={key} className="text-xs text-[var(--rg-text-secondary)]">
+            {label} (one per line)
+            <textarea
+              rows={2}
+              value={draft[key]}
+              onChange={(e) => setField(key, e.target.value)}
+              className={`${inputClass} mt-1`}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div>
+        <h4 className="font-semibold text-[var(--rg-text-primary)] mb-3">Skills</h4>
+        <div className="flex flex-wrap gap-2 mb-3">
+          {draft.skills.map(skill => (
+            <span key={skill} className="pill-muted text-xs">
+              {skill}
+              <button
+                type="button"
+                aria-label={`Remove ${skill}`}
+                onClick={() => setField('skills', draft.skills.filter(existing => existing !== skill))}
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+        <form onSubmit={addSkill} className="flex gap-2">
+          <input
+            type="text"
+            value={newSkill}
+            onChange={(e) => setNewSkill(e.target.value)}
+            placeholder="Add a skill the parser missed"
+            className={inputClass}
+          />
+          <button type="submit" className="btn-secondary">
+            <Plus className="w-4 h-4" />
+          </button>
+        </form>
+      </div>
+
+      {renderEntries('experience', 'Experience')}
+      {renderEntries('education', 'Education')}
+
+      <div className="flex justify-end gap-3">
+        <button type="button" onClick={() => setOpen(false)} className="btn-secondary" disabled={saving}>
+          Cancel
+        </button>
+        <button type="button" onClick={handleSave} className="btn-primary" disabled={saving}>
+          {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+          Save corrections
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ParsedResumeEditor
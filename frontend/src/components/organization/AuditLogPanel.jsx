@@ -0,0 +1,277 @@
+import { useState, useEffect } from 'react'
+import { ScrollText, Download, ChevronLeft, ChevronRight } from 'lucide-react'
+import api from '../../services/api'
+import toast from 'react-hot-toast'
+
+const ACTION_OPTIONS = [
+  'CANDIDATE_VIEW',
+  'CANDIDATE_UNMASK',
+  'CANDIDATE_SEARCH',
+  'BULK_EXPORT',
+  'APPLICATION_UPDATE',
+  'BULK_STATUS_UPDATE',
+  'BULK_REJECT',
+  'LEGAL_HOLD_UPDATE',
+  'INTERVIEW_SCHEDULE',
+  'INTERVIEW_UPDATE',
+  'INTERVIEW_CANCEL',
+  'OFFER_CREATE',
+  'JOB_CREATE',
+  'JOB_UPDATE',
+  'JOB_DELETE',
+  'MEMBER_ADD',
+  'MEMBER_REMOVE',
+  'ROLE_CHANGE',
+  'MEMBER_INVITE',
+  'SETTINGS_UPDATE',
+  'DATA_RETENTION_PURGE',
+  'API_KEY_GENERATE',
+  'API_KEY_REVOKE'
+]
+
+const EMPTY_FILTERS = { action: '', userId: '', candidateId: '', status: '', from: '', to: '' }
+
+const formatAction = (action) => action.toLowerCase().replace(/_/g, ' ')
+
+/**
+ * Organization audit log viewer (requires the view_audit_logs permission)
+ * Filter by action, actor, candidate, outcome and date range, or download
+ * the filtered log as CSV.
+ */
+export default function AuditLogPanel({ organization, members = [] }) {
+  const [logs, setLogs] = useState([])
+  const [pagination, setPagination] = useState({ total: 0, page: 1, pages: 1 })
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [loading, setLoading] = useState(false)
+  const [exporting, setExporting] = useState(false)
+
+  const buildParams = (extra = {}) => {
+    const params = { ...extra }
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params[key] = value
+    })
+    if (params.to) params.to = `${params.to}T23:59:59.999`
+    return params
+  }
+
+  const fetchLogs = async (page = 1) => {
+    setLoading(true)
+    try {
+      const res = await api.get(`/organizations/${organization.slug}/audit-logs`, {
+        params: buildParams({ page, limit: 25 })
+      })
+      setLogs(res.data.logs || [])
+      setPagination(res.data.pagination || { total: 0, page: 1, pages: 1 })
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load audit log')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchLogs(1)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [organization.slug])
+
+  const handleFilterChange = (key, value) => {
+    setFilters({ ...filters, [key]: value })
+  }
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault()
+    fetchLogs(1)
+  }
+
+  const handleExport = async () => {
+    setExporting(true)
+    try {
+      const res = await api.get(`/organizations/${organization.slug}/audit-logs`, {
+        params: buildParams({ format: 'csv' }),
+        responseType: 'blob'
+      })
+      const url = URL.createObjectURL(res.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${organization.slug}-audit-log.csv`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      toast.error('Failed to export audit log')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow mt-8">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <div className="flex items-center space-x-2">
+            <ScrollText className="w-5 h-5 text-blue-600" />
+            <h2 className="text-xl font-semibold text-gray-900">Audit Log ({pagination.total})</h2>
+          </div>
+          <p className="mt-1 text-sm text-gray-600">
+            Who viewed, searched, changed or exported candidate and organization data.
+          </p>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={exporting}
+          className="flex items-center space-x-1 px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-60"
+        >
+          <Download className="w-4 h-4" />
+          <span>{exporting ? 'Exporting...' : 'Export CSV'}</span>
+        </button>
+      </div>
+
+      <form onSubmit={handleApplyFilters} className="px-6 py-4 border-b border-gray-200 grid grid-cols-1 md:grid-cols-6 gap-3">
+        <select
+          value={filters.action}
+          onChange={(e) => handleFilterChange('action', e.target.value)}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg"
+        >
+          <option value="">All actions</option>
+          {ACTION_OPTIONS.map((action) => (
+            <option key={action} value={action}>{formatAction(action)}</option>
+          ))}
+        </select>
+        <select
+          value={filters.userId}
+          onChange={(e) => handleFilterChange('userId', e.target.value)}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg"
+        >
+          <option value="">Any member</option>
+          {members.map((member) => {
+            const user = member.userId || member
+            const userId = user._id || user
+            return (
+              <option key={userId} value={userId}>{user.name || user.email || userId}</option>
+            )
+          })}
+        </select>
+        <input
+          type="text"
+          value={filters.candidateId}
+          onChange={(e) => handleFilterChange('candidateId', e.target.value.trim())}
+          placeholder="Candidate user ID"
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg"
+        />
+        <select
+          value={filters.status}
+          onChange={(e) => handleFilterChange('status', e.target.value)}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg"
+        >
+          <option value="">Any outcome</option>
+          <option value="success">Success</option>
+          <option value="failure">Failure</option>
+        </select>
+        <div className="flex space-x-2 md:col-span-2">
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => handleFilterChange('from', e.target.value)}
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg"
+          />
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => handleFilterChange('to', e.target.value)}
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg"
+          />
+        </div>
+        <div className="md:col-span-6 flex justify-end space-x-2">
+          <button
+            type="button"
+            onClick={() => setFilters(EMPTY_FILTERS)}
+            className="px-3 py-2 text-sm text-gray-600 hover:text-gray-900"
+          >
+            Clear
+          </button>
+          <button type="submit" className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+            Apply filters
+          </button>
+        </div>
+      </form>
+
+      {loading ? (
+        <div className="p-8 text-center text-sm text-gray-500">Loading audit log...</div>
+      ) : logs.length === 0 ? (
+        <div className="p-8 text-center text-sm text-gray-500">No audit entries match these filters.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                {['When', 'Who', 'Action', 'Resource', 'Outcome', 'IP address'].map((heading) => (
+                  <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {logs.map((log) => (
+                <tr key={log._id} className="hover:bg-gray-50 text-sm">
+                  <td className="px-6 py-3 whitespace-nowrap text-gray-600">{new Date(log.timestamp).toLocaleString()}</td>
+                  <td className="px-6 py-3 whitespace-nowrap">
+                    <div className="font-medium text-gray-900">{log.userId?.name || log.userEmail}</div>
+                    {log.metadata?.apiKeyPrefix && (
+                      <div className="text-xs text-gray-500">API key {log.metadata.apiKeyPrefix}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap capitalize text-gray-900">
+                    {formatAction(log.action)}
+                    {log.resultsCount > 0 && <span className="text-xs text-gray-500"> ({log.resultsCount} results)</span>}
+                  </td>
+                  <td className="px-6 py-3 text-gray-600">
+                    <div>{log.resourceType || '-'}</div>
+                    <div className="text-xs text-gray-500 font-mono">{log.resourceId || log.metadata?.resourceKey}</div>
+                    {log.metadata?.candidateId && (
+                      <div className="text-xs text-gray-500">Candidate {log.metadata.candidateId}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap">
+                    <span
+                      title={log.errorMessage || undefined}
+                      className={`px-2 py-1 rounded-full text-xs font-medium ${
+                        log.status === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                      }`}
+                    >
+                      {log.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-gray-600 font-mono text-xs">{log.ipAddress}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination.pages > 1 && (
+        <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+          <span>Page {pagination.page} of {pagination.pages}</span>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => fetchLogs(pagination.page - 1)}
+              disabled={pagination.page <= 1 || loading}
+              className="p-2 border border-gray-300 rounded-lg disabled:opacity-50"
+              aria-label="Previous page"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => fetchLogs(pagination.page + 1)}
+              disabled={pagination.page >= pagination.pages || loading}
+              className="p-2 border border-gray-300 rounded-lg disabled:opacity-50"
+              aria-label="Next page"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
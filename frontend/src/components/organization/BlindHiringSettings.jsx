@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react'
+import { EyeOff } from 'lucide-react'
+import api from '../../services/api'
+import toast from 'react-hot-toast'
+
+const UNMASK_STAGES = [
+  { value: 'screening', label: 'Screening' },
+  { value: 'shortlisted', label: 'Shortlisted' },
+  { value: 'interview_scheduled', label: 'Interview scheduled' },
+  { value: 'interview_completed', label: 'Interview completed' },
+  { value: 'offer_extended', label: 'Offer extended' },
+  { value: 'offer_accepted', label: 'Offer accepted' }
+]
+
+/**
+ * Blind hiring setting (requires the manage_settings permission)
+ * While enabled, recruiters see pseudonyms instead of names, photos, contact
+ * details, schools and graduation years until an application reaches the
+ * chosen stage.
+ */
+export default function BlindHiringSettings({ organization, onUpdated }) {
+  const current = organization.settings?.blindHiring || {}
+  const [enabled, setEnabled] = useState(Boolean(current.enabled))
+  const [unmaskAtStage, setUnmaskAtStage] = useState(current.unmaskAtStage || 'interview_scheduled')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    setEnabled(Boolean(current.enabled))
+    setUnmaskAtStage(current.unmaskAtStage || 'interview_scheduled')
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [organization.slug, current.enabled, current.unmaskAtStage])
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const res = await api.put(`/organizations/${organization.slug}`, {
+        settings: { blindHiring: { enabled, unmaskAtStage } }
+      })
+      onUpdated?.(res.data.organization)
+      toast.success(enabled ? 'Blind hiring enabled' : 'Blind hiring disabled')
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0] || err.response?.data?.message || 'Failed to update blind hiring')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <div className="flex items-center space-x-2 mb-1">
+        <EyeOff className="w-5 h-5 text-purple-600" />
+        <h2 className="text-xl font-semibold text-gray-900">Blind Hiring</h2>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Screeners see a pseudonym instead of the candidate&apos;s name, photo, email, phone, schools and graduation
+        years. Identities are revealed automatically, and recorded in the audit log, once an application reaches the
+        stage you choose.
+      </p>
+      <form onSubmit={handleSave} className="flex flex-col md:flex-row md:items-center gap-4">
+        <label className="flex items-center space-x-2 text-sm text-gray-900">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => setEnabled(e.target.checked)}
+            className="h-4 w-4 text-purple-600 border-gray-300 rounded"
+          />
+          <span>Mask candidate identities</span>
+        </label>
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <span>Reveal at</span>
+          <select
+            value={unmaskAtStage}
+            onChange={(e) => setUnmaskAtStage(e.target.value)}
+            disabled={!enabled}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-60"
+          >
+            {UNMASK_STAGES.map((stage) => (
+              <option key={stage.value} value={stage.value}>{stage.label}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="submit"
+          disabled={saving}
+          className="md:ml-auto px-4 py-2 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-60"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,225 @@
+import { useState, useEffect } from 'react'
+import { Archive, Play, Eye } from 'lucide-react'
+import api from '../../services/api'
+import toast from 'react-hot-toast'
+
+const PERIODS = [
+  { key: 'recruiterNotesDays', label: 'Recruiter notes & interview feedback' },
+  { key: 'communicationsDays', label: 'Communications' },
+  { key: 'candidatePiiDays', label: 'Candidate personal data (anonymize)' },
+  { key: 'applicationDays', label: 'Whole application (delete)' }
+]
+
+const COUNT_LABELS = {
+  applicationsDeleted: 'Deleted',
+  applicationsAnonymized: 'Anonymized',
+  recruiterNotesCleared: 'Notes cleared',
+  communicationsCleared: 'Communications cleared',
+  legalHoldSkipped: 'Kept (legal hold)'
+}
+
+const toForm = (policy = {}) => ({
+  enabled: Boolean(policy.enabled),
+  ...Object.fromEntries(PERIODS.map(({ key }) => [key, policy[key] ?? '']))
+})
+
+const formatCounts = (counts = {}) =>
+  Object.entries(COUNT_LABELS)
+    .filter(([key]) => counts[key])
+    .map(([key, label]) => `${label}: ${counts[key]}`)
+    .join(' · ') || 'Nothing to purge'
+
+/**
+ * Data retention policy (requires the manage_settings permission)
+ * Periods count days after an application was rejected, withdrawn or had its
+ * offer declined; leave a period empty to keep that data indefinitely.
+ */
+export default function DataRetentionSettings({ organization }) {
+  const [form, setForm] = useState(toForm())
+  const [reports, setReports] = useState([])
+  const [lastPurgedAt, setLastPurgedAt] = useState(null)
+  const [preview, setPreview] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState('')
+
+  const fetchRetention = async () => {
+    try {
+      const res = await api.get(`/organizations/${organization.slug}/retention`)
+      setForm(toForm(res.data.policy))
+      setReports(res.data.reports || [])
+      setLastPurgedAt(res.data.lastPurgedAt)
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load data retention settings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchRetention()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [organization.slug])
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setBusy('save')
+    try {
+      const dataRetention = { enabled: form.enabled }
+      PERIODS.forEach(({ key }) => {
+        dataRetention[key] = form[key] === '' ? null : Number(form[key])
+      })
+      await api.put(`/organizations/${organization.slug}`, { settings: { dataRetention } })
+      setPreview(null)
+      toast.success('Retention policy saved')
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0] || err.response?.data?.message || 'Failed to save retention policy')
+    } finally {
+      setBusy('')
+    }
+  }
+
+  const handlePreview = async () => {
+    setBusy('preview')
+    try {
+      const res = await api.post(`/organizations/${organization.slug}/retention/preview`)
+      setPreview(res.data.report)
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to preview retention purge')
+    } finally {
+      setBusy('')
+    }
+  }
+
+  const handleRun = async () => {
+    if (!window.confirm('Purge closed applications past their retention periods now? This cannot be undone.')) return
+    setBusy('run')
+    try {
+      const res = await api.post(`/organizations/${organization.slug}/retention/run`)
+      toast.success(formatCounts(res.data.report?.counts))
+      setPreview(null)
+      fetchRetention()
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to run retention purge')
+    } finally {
+      setBusy('')
+    }
+  }
+
+  if (loading) {
+    return null
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <div className="flex items-center space-x-2 mb-1">
+        <Archive className="w-5 h-5 text-purple-600" />
+        <h2 className="text-xl font-semibold text-gray-900">Data Retention</h2>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        How many days after an application is rejected, withdrawn or has its offer declined each kind of data is kept.
+        Leave a period empty to keep that data. Applications under a legal hold are never purged. The policy runs
+        nightly{lastPurgedAt ? `; last run ${new Date(lastPurgedAt).toLocaleString()}` : ''}.
+      </p>
+
+      <form onSubmit={handleSave}>
+        <label className="flex items-center space-x-2 text-sm text-gray-900 mb-4">
+          <input
+            type="checkbox"
+            checked={form.enabled}
+            onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+            className="h-4 w-4 text-purple-600 border-gray-300 rounded"
+          />
+          <span>Enforce this retention policy</span>
+        </label>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          {PERIODS.map(({ key, label }) => (
+            <label key={key} className="block text-sm text-gray-700">
+              <span className="block mb-1">{label}</span>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="number"
+                  min="1"
+                  max="3650"
+                  value={form[key]}
+                  onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+                  placeholder="Keep"
+                  className="w-32 px-3 py-2 border border-gray-300 rounded-lg"
+                />
+                <span className="text-gray-500">days</span>
+              </div>
+            </label>
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="submit"
+            disabled={Boolean(busy)}
+            className="px-4 py-2 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-60"
+          >
+            {busy === 'save' ? 'Saving...' : 'Save'}
+          </button>
+          <button
+            type="button"
+            onClick={handlePreview}
+            disabled={Boolean(busy)}
+            className="inline-flex items-center px-4 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-60"
+          >
+            <Eye className="w-4 h-4 mr-1" />
+            {busy === 'preview' ? 'Checking...' : 'Preview'}
+          </button>
+          <button
+            type="button"
+            onClick={handleRun}
+            disabled={Boolean(busy) || !form.enabled}
+            className="inline-flex items-center px-4 py-2 text-sm border border-red-300 text-red-700 rounded-lg hover:bg-red-50 disabled:opacity-60"
+          >
+            <Play className="w-4 h-4 mr-1" />
+            {busy === 'run' ? 'Purging...' : 'Run now'}
+          </button>
+        </div>
+      </form>
+
+      {preview && (
+        <p className="mt-4 text-sm text-gray-700 bg-gray-50 rounded-lg px-3 py-2">
+          A run now would affect: {formatCounts(preview.counts)}
+        </p>
+      )}
+
+      {reports.length > 0 && (
+        <div className="mt-6">
+          <h3 className="text-sm font-semibold text-gray-900 mb-2">Purge reports</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Run</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Trigger</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Result</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {reports.map((report) => (
+                  <tr key={report._id}>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-700">
+                      {new Date(report.completedAt || report.createdAt).toLocaleString()}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-700">
+                      {report.trigger === 'manual' ? `Manual (${report.triggeredBy?.name || 'member'})` : 'Scheduled'}
+                    </td>
+                    <td className="px-3 py-2 text-gray-700">
+                      {report.status === 'failed' ? (
+                        <span className="text-red-600">Failed: {report.error}</span>
+                      ) : (
+                        formatCounts(report.counts)
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
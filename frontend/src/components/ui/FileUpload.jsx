@@ -5,7 +5,7 @@ import Button from './Button'
 
 const FileUpload = ({ 
   onFileSelect, 
-  accept = '.pdf,.doc,.docx,image/png,image/jpeg,image/jpg', 
+  accept = '.pdf,.doc,.docx,image/png,image/jpeg,image/jpg,.json,.zip', 
   maxSize = 10,
   mode = 'light'
 }) => {
@@ -26,8 +26,11 @@ const FileUpload = ({
       'image/jpeg',
       'image/jpg'
     ]
-    if (!validTypes.includes(file.type)) {
-      setError('Please upload a PDF, DOC, DOCX, PNG, or JPG file')
+    // JSON Resume files and LinkedIn export ZIPs are imported, not parsed;
+    // browsers report their MIME types inconsistently
+    const isImport = /\.(json|zip)$/i.test(file.name)
+    if (!validTypes.includes(file.type) && !isImport) {
+      setError('Please upload a PDF, DOC, DOCX, PNG, or JPG file, a JSON Resume, or a LinkedIn data export ZIP')
       return false
     }
 
@@ -130,9 +133,12 @@ const FileUpload = ({
               </h3>
               
               <p className={`mb-1 ${isDark ? 'text-slate-300' : 'text-gray-600'}`}>or click to browse</p>
-              <p className={`text-sm mb-6 ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>
+              <p className={`text-sm mb-1 ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>
                 PDF, DOC, DOCX, PNG, JPG (Max {maxSize}MB)
               </p>
+              <p className={`text-xs mb-6 ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>
+                Or import a JSON Resume (.json) or your LinkedIn data export (.zip)
+              </p>
               
               <Button type="button" onClick={() => document.getElementById('file-upload').click()}>
                 <Upload className="w-4 h-4 mr-2" />
@@ -1,5 +1,5 @@
 import { Link, useLocation, useNavigate } from 'react-router-dom'
-import { Menu, X, Upload, LogIn, LogOut, Moon, SunMedium, ChevronDown, Sparkles, Briefcase, CalendarClock, Handshake, UserCircle, FileText } from 'lucide-react'
+import { Menu, X, Upload, LogIn, LogOut, Moon, SunMedium, ChevronDown, Sparkles, Briefcase, CalendarClock, Handshake, UserCircle, FileText, LayoutTemplate } from 'lucide-react'
 import { useEffect, useRef, useState } from 'react'
 import Button from './Button'
 import { useAuth } from '../../hooks/useAuth'
@@ -53,6 +53,7 @@ const Navbar = () => {
     { to: '/interviews', label: 'Interviews', icon: <CalendarClock className="w-4 h-4" /> },
     { to: `/resume/${user?.resumeId || 'view'}`, label: 'My Resume', icon: <FileText className="w-4 h-4" />, dynamic: true },
     { to: '/offers', label: 'Offers', icon: <Handshake className="w-4 h-4" /> },
+    { to: '/resume-builder', label: 'Resume Builder', icon: <LayoutTemplate className="w-4 h-4" /> },
     { to: '/data-export', label: 'Export Data', icon: <FileText className="w-4 h-4" /> },
     { to: '/profile', label: 'Profile', icon: <UserCircle className="w-4 h-4" /> }
   ]
@@ -2,6 +2,7 @@ import { useState, useEffect, createContext, useContext } from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import axios from 'axios';
 import { RESUME_CACHE_EVENT, RESUME_CACHE_STORAGE_KEY } from './useResumeContext';
+import { refreshAccessToken } from '../services/api';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000/api';
 
@@ -72,29 +73,43 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const register = async (name, email, password, role = 'user') => {
+  // Store credentials returned by register/login/verify-email
+  const setSession = (user, token, refreshToken) => {
+    setUser(user);
+    setToken(token);
+    setIsAuthenticated(true);
+
+    localStorage.setItem('auth_token', token);
+    localStorage.setItem('refresh_token', refreshToken);
+    localStorage.setItem('user', JSON.stringify(user));
+
+    axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+  };
+
+  // inviteToken: organization invitation to accept once signed in
+  const register = async (name, email, password, role = 'user', inviteToken = null) => {
     try {
       const response = await axios.post(`${API_URL}/auth/register`, {
         name,
         email,
         password,
-        role
+        role,
+        ...(inviteToken && { inviteToken })
       });
 
       if (response.data.success) {
-        const { user, token, refreshToken } = response.data;
-        
-        setUser(user);
-        setToken(token);
-        setIsAuthenticated(true);
-        
-        localStorage.setItem('auth_token', token);
-        localStorage.setItem('refresh_token', refreshToken);
-        localStorage.setItem('user', JSON.stringify(user));
+        const { user, token, refreshToken, requiresVerification, joinedOrganization, invitationError } = response.data;
         
-        axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+        setSession(user, token, refreshToken);
         
-        return { success: true, user };
+        return {
+          success: true,
+          user,
+          requiresVerification,
+          joinedOrganization,
+          invitationError,
+          passwordPolicyViolations: response.data.passwordPolicyViolations || []
+        };
       }
 
       return { success: false, message: response.data.message };
@@ -107,35 +122,39 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const login = async (email, password) => {
+  const login = async (email, password, otp = null, inviteToken = null) => {
     try {
       console.log('🔐 Attempting login...');
       const response = await axios.post(`${API_URL}/auth/login`, {
         email,
-        password
+        password,
+        ...(otp && { otp }),
+        ...(inviteToken && { inviteToken })
       });
 
+      // 2FA challenge: caller must prompt for the emailed code and call login again
+      if (response.data.requires2FA) {
+        return { success: false, requires2FA: true, method: response.data.method || 'email', message: response.data.message };
+      }
+
       if (response.data.success) {
         const { user, token, refreshToken } = response.data;
         
         console.log('✅ Login successful, storing credentials...');
-        console.log('Token length:', token?.length);
         
-        setUser(user);
-        setToken(token);
-        setIsAuthenticated(true);
-        
-        localStorage.setItem('auth_token', token);
-        localStorage.setItem('refresh_token', refreshToken);
-        localStorage.setItem('user', JSON.stringify(user));
-        
-        // Set on axios defaults as backup
-        axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+        setSession(user, token, refreshToken);
         
         console.log('✅ Credentials stored, token set in axios');
-        console.log('Stored token:', localStorage.getItem('auth_token')?.substring(0, 20) + '...');
         
-        return { success: true, user };
+        return {
+          success: true,
+          user,
+          passwordUpdateRequired: Boolean(response.data.passwordUpdateRequired),
+          passwordPolicyViolations: response.data.passwordPolicyViolations || [],
+          recoveryCodesRemaining: response.data.recoveryCodesRemaining,
+          joinedOrganization: response.data.joinedOrganization,
+          invitationError: response.data.invitationError
+        };
       }
 
       return { success: false, message: response.data.message };
@@ -176,33 +195,21 @@ export const AuthProvider = ({ children }) => {
   };
 
   const refreshToken = async () => {
-    const storedRefreshToken = localStorage.getItem('refresh_token');
-    
-    if (!storedRefreshToken) {
+    if (!localStorage.getItem('refresh_token')) {
       logout();
       return false;
     }
 
-    try {
-      const response = await axios.post(`${API_URL}/auth/refresh`, {
-        refreshToken: storedRefreshToken
-      });
+    const newToken = await refreshAccessToken();
 
-      if (response.data.success) {
-        const newToken = response.data.token;
-        setToken(newToken);
-        localStorage.setItem('auth_token', newToken);
-        axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
-        return true;
-      }
-
-      logout();
-      return false;
-    } catch (error) {
-      console.error('Token refresh failed:', error);
-      logout();
-      return false;
+    if (newToken) {
+      setToken(newToken);
+      axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+      return true;
     }
+
+    logout();
+    return false;
   };
 
   const updateUser = (updatedUser) => {
@@ -217,6 +224,7 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     register,
     login,
+    setSession,
     logout,
     checkAuth,
     refreshToken,
@@ -271,33 +279,24 @@ axios.interceptors.response.use(
   async (error) => {
     const originalRequest = error.config;
 
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    // The refresh call goes through this axios instance too; never retry it
+    if (error.response?.status === 401 && !originalRequest._retry && !originalRequest.url?.includes('/auth/refresh')) {
       originalRequest._retry = true;
 
-      const refreshToken = localStorage.getItem('refresh_token');
-      
-      if (refreshToken) {
-        try {
-          const response = await axios.post(`${API_URL}/auth/refresh`, {
-            refreshToken
-          });
-
-          if (response.data.success) {
-            const newToken = response.data.token;
-            localStorage.setItem('auth_token', newToken);
-            axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
-            originalRequest.headers['Authorization'] = `Bearer ${newToken}`;
-            return axios(originalRequest);
-          }
-        } catch (refreshError) {
-          console.error('Token refresh failed:', refreshError);
-          // Logout and redirect
-          localStorage.removeItem('auth_token');
-          localStorage.removeItem('refresh_token');
-          localStorage.removeItem('user');
-          window.location.href = '/login';
-          return Promise.reject(refreshError);
+      if (localStorage.getItem('refresh_token')) {
+        const newToken = await refreshAccessToken();
+
+        if (newToken) {
+          axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+          originalRequest.headers['Authorization'] = `Bearer ${newToken}`;
+          return axios(originalRequest);
         }
+
+        // Logout and redirect
+        localStorage.removeItem('auth_token');
+        localStorage.removeItem('refresh_token');
+        localStorage.removeItem('user');
+        window.location.href = '/login';
       }
     }
 
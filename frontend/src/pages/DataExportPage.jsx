@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
-import { Download, FileText, Clock, CheckCircle, History, RotateCcw } from 'lucide-react'
+import { Download, FileText, Clock, CheckCircle, History, RotateCcw, Archive, Loader2, AlertCircle } from 'lucide-react'
 import Navbar from '../components/ui/Navbar'
 import Footer from '../components/ui/Footer'
 import Card from '../components/ui/Card'
@@ -9,11 +9,34 @@ import toast from 'react-hot-toast'
 import api from '../services/api'
 import { useResumeContext } from '../hooks/useResumeContext'
 
+const ARCHIVE_POLL_INTERVAL = 2000
+
+const ARCHIVE_STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  processing: 'bg-blue-100 text-blue-700',
+  completed: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  expired: 'bg-gray-100 text-gray-500'
+}
+
+const isArchivePending = (archive) => ['queued', 'processing'].includes(archive.status)
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '-'
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
 const DataExportPage = () => {
   const { resumeId } = useResumeContext()
   const [loading, setLoading] = useState(false)
   const [versions, setVersions] = useState([])
   const [versionsLoading, setVersionsLoading] = useState(false)
+  const [archives, setArchives] = useState([])
+  const [requestingArchive, setRequestingArchive] = useState(false)
+  const [downloadingId, setDownloadingId] = useState(null)
+
+  const activeArchive = archives.find(isArchivePending)
 
   useEffect(() => {
     if (resumeId) {
@@ -21,6 +44,80 @@ const DataExportPage = () => {
     }
   }, [resumeId])
 
+  useEffect(() => {
+    fetchArchives()
+  }, [])
+
+  // Poll the export being generated until it completes or fails
+  useEffect(() => {
+    if (!activeArchive) return undefined
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get(`/export/archives/${activeArchive.id}`)
+        const updated = response.data.export
+        setArchives((current) => current.map((archive) => (archive.id === updated.id ? updated : archive)))
+        if (updated.status === 'completed') {
+          toast.success('Your data export is ready to download')
+        } else if (updated.status === 'failed') {
+          toast.error(updated.error || 'Data export failed')
+        }
+      } catch (error) {
+        console.error('Failed to check export progress:', error)
+      }
+    }, ARCHIVE_POLL_INTERVAL)
+
+    return () => clearTimeout(timer)
+  }, [activeArchive])
+
+  const fetchArchives = async () => {
+    try {
+      const response = await api.get('/export/archives')
+      if (response.data.success) {
+        setArchives(response.data.exports || [])
+      }
+    } catch (error) {
+      console.error('Failed to fetch exports:', error)
+    }
+  }
+
+  const handleRequestArchive = async () => {
+    try {
+      setRequestingArchive(true)
+      const response = await api.post('/export/archives')
+      if (response.data.success) {
+        setArchives((current) => [response.data.export, ...current])
+        toast.success(response.data.message)
+      }
+    } catch (error) {
+      console.error('Export request failed:', error)
+      toast.error(error.response?.data?.message || 'Failed to start data export')
+    } finally {
+      setRequestingArchive(false)
+    }
+  }
+
+  const handleDownloadArchive = async (archive) => {
+    try {
+      setDownloadingId(archive.id)
+      const response = await api.get(`/export/archives/${archive.id}/download`, { responseType: 'blob' })
+      const url = window.URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = archive.fileName || 'data-export.zip'
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+      window.URL.revokeObjectURL(url)
+      fetchArchives()
+    } catch (error) {
+      console.error('Download failed:', error)
+      toast.error(error.response?.status === 410 ? 'This export has expired' : 'Failed to download export')
+    } finally {
+      setDownloadingId(null)
+    }
+  }
+
   const fetchVersions = async () => {
     try {
       setVersionsLoading(true)
@@ -105,29 +202,113 @@ const DataExportPage = () => {
                     <h2 className="text-xl font-bold text-gray-900">Export Your Data</h2>
                   </div>
                   <p className="text-gray-600 mb-4">
-                    Download all your data including resumes, applications, interviews, and profile information in JSON format. 
-                    Perfect for backup or transferring to another platform.
+                    Download a ZIP archive of all your data, with every dataset in both JSON and CSV.
+                    We prepare it in the background and notify you when it is ready; the download link expires after 7 days.
                   </p>
                   <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4">
                     <p className="text-sm text-blue-900 font-medium mb-1">📦 What's Included:</p>
                     <ul className="text-sm text-blue-800 space-y-1">
-                      <li>✓ All uploaded resumes and parsed data</li>
+                      <li>✓ Original resume files, including every stored version</li>
+                      <li>✓ Parsed resume data</li>
                       <li>✓ Job application history with status</li>
-                      <li>✓ Interview schedules and feedback</li>
-                      <li>✓ Profile information and settings</li>
-                      <li>✓ Skill verifications and badges</li>
+                      <li>✓ Quiz and interview practice history</li>
+                      <li>✓ Saved jobs and notifications</li>
+                      <li>✓ Profile information, skill verifications and badges</li>
+                      <li>✓ Your recruiter-visibility consent history</li>
                     </ul>
                   </div>
-                  <Button 
-                    onClick={handleExportData}
-                    disabled={loading}
-                    className="w-full sm:w-auto"
-                  >
-                    <Download className="w-4 h-4 mr-2" />
-                    {loading ? 'Exporting...' : 'Export All Data (JSON)'}
-                  </Button>
+
+                  {activeArchive && (
+                    <div className="mb-4">
+                      <div className="flex items-center justify-between text-sm text-gray-700 mb-1">
+                        <span className="flex items-center gap-2">
+                          <Loader2 className="w-4 h-4 animate-spin text-blue-600" />
+                          {activeArchive.stage}
+                        </span>
+                        <span>{activeArchive.progress}%</span>
+                      </div>
+                      <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div
+                          className="bg-blue-600 h-2 rounded-full transition-all"
+                          style={{ width: `${activeArchive.progress}%` }}
+                        />
+                      </div>
+                    </div>
+                  )}
+
+                  <div className="flex flex-col sm:flex-row gap-3">
+                    <Button
+                      onClick={handleRequestArchive}
+                      disabled={requestingArchive || Boolean(activeArchive)}
+                      className="w-full sm:w-auto"
+                    >
+                      <Archive className="w-4 h-4 mr-2" />
+                      {activeArchive ? 'Preparing Archive...' : requestingArchive ? 'Requesting...' : 'Request Data Archive (ZIP)'}
+                    </Button>
+                    <Button
+                      variant="outline"
+                      onClick={handleExportData}
+                      disabled={loading}
+                      className="w-full sm:w-auto"
+                    >
+                      <Download className="w-4 h-4 mr-2" />
+                      {loading ? 'Exporting...' : 'Quick Export (JSON)'}
+                    </Button>
+                  </div>
                 </div>
               </div>
+
+              {archives.length > 0 && (
+                <div className="mt-6 border-t border-gray-200 pt-4">
+                  <h3 className="font-semibold text-gray-900 mb-3">Past Exports</h3>
+                  <div className="space-y-2">
+                    {archives.map((archive) => (
+                      <div
+                        key={archive.id}
+                        className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-3 rounded-lg border border-gray-200"
+                      >
+                        <div className="text-sm">
+                          <div className="flex items-center gap-2">
+                            <span className="font-medium text-gray-900">
+                              {new Date(archive.requestedAt).toLocaleString()}
+                            </span>
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${ARCHIVE_STATUS_STYLES[archive.status]}`}>
+                              {archive.status}
+                            </span>
+                          </div>
+                          <div className="text-gray-500 mt-1">
+                            {archive.status === 'completed' && (
+                              <>
+                                {formatBytes(archive.sizeBytes)} · expires {new Date(archive.expiresAt).toLocaleDateString()}
+                                {archive.downloadCount > 0 && ` · downloaded ${archive.downloadCount}×`}
+                              </>
+                            )}
+                            {archive.status === 'failed' && (
+                              <span className="flex items-center gap-1 text-red-600">
+                                <AlertCircle className="w-4 h-4" />
+                                {archive.error}
+                              </span>
+                            )}
+                            {archive.status === 'expired' && 'Download link expired'}
+                            {isArchivePending(archive) && `${archive.stage} (${archive.progress}%)`}
+                          </div>
+                        </div>
+                        {archive.status === 'completed' && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleDownloadArchive(archive)}
+                            disabled={downloadingId === archive.id}
+                          >
+                            <Download className="w-4 h-4 mr-1" />
+                            {downloadingId === archive.id ? 'Downloading...' : 'Download'}
+                          </Button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </Card>
 
             {/* Resume Versions Card */}
@@ -30,7 +30,7 @@ const ForgotPasswordPage = () => {
         navigate(`/reset-password?email=${encodeURIComponent(email)}`);
       }, 1500);
     } catch (err) {
-      toast.error(err.message || 'Failed to send reset code');
+      toast.error(err.response?.data?.message || err.message || 'Failed to send reset code');
     } finally {
       setLoading(false);
     }
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { Building2 } from 'lucide-react';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import api from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+
+/**
+ * Invite Accept Page
+ * Landing route for organization invitation emails (/invite/:token).
+ * Signed-in users accept directly; everyone else signs in or registers
+ * with the invite token, which accepts it as part of that flow.
+ */
+const InviteAcceptPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { user, isAuthenticated, loading: authLoading } = useAuth();
+
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [accepting, setAccepting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api
+      .get(`/organizations/invitations/${token}`)
+      .then((response) => setInvitation(response.data.invitation))
+      .catch((err) => setError(err.response?.data?.message || 'This invitation is invalid or has expired'))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleAccept = async () => {
+    setAccepting(true);
+    setError('');
+
+    try {
+      const response = await api.post(`/organizations/invitations/${token}/accept`);
+      toast.success(response.data.message || 'Invitation accepted');
+      navigate(['recruiter', 'admin'].includes(user?.role) ? '/organization' : '/dashboard', { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to accept invitation');
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  const encodedToken = encodeURIComponent(token);
+  const emailMismatch = isAuthenticated && invitation && user?.email?.toLowerCase() !== invitation.email;
+
+  if (loading || authLoading) {
+    return (
+      <div className="page-shell min-h-screen flex items-center justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="page-shell min-h-screen flex items-center justify-center px-4 py-12">
+      <div className="max-w-md w-full">
+        <div className="card-base rounded-2xl p-8 text-center">
+          {!invitation ? (
+            <>
+              <h1 className="text-2xl font-bold text-[var(--rg-text-primary)] mb-2">
+                Invitation unavailable
+              </h1>
+              <p className="text-[var(--rg-text-secondary)] mb-6">{error}</p>
+              <Link to="/" className="inline-block w-full py-3 px-4 btn-primary rounded-lg text-white">
+                Go to homepage
+              </Link>
+            </>
+          ) : (
+            <>
+              <div className="mx-auto mb-4 flex h-14 w-14 items-center justify-center rounded-full bg-blue-100">
+                <Building2 className="h-7 w-7 text-blue-600" />
+              </div>
+              <h1 className="text-2xl font-bold text-[var(--rg-text-primary)] mb-2">
+                Join {invitation.organization.name}
+              </h1>
+              <p className="text-[var(--rg-text-secondary)] mb-6">
+                {invitation.invitedBy ? `${invitation.invitedBy} invited` : 'You have been invited'}{' '}
+                <strong>{invitation.email}</strong> to join as a <span className="capitalize">{invitation.role}</span>.
+                The invitation expires on {new Date(invitation.expiresAt).toLocaleDateString()}.
+              </p>
+
+              {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+              {isAuthenticated ? (
+                emailMismatch ? (
+                  <p className="text-sm text-[var(--rg-text-secondary)]">
+                    You are signed in as {user.email}. Sign out and sign in as {invitation.email} to accept this invitation.
+                  </p>
+                ) : (
+                  <button
+                    onClick={handleAccept}
+                    disabled={accepting}
+                    className="w-full py-3 px-4 btn-primary rounded-lg text-white disabled:opacity-60"
+                  >
+                    {accepting ? 'Joining...' : 'Accept invitation'}
+                  </button>
+                )
+              ) : (
+                <div className="space-y-3">
+                  <Link
+                    to={invitation.accountExists
+                      ? `/login?invite=${encodedToken}`
+                      : `/register?invite=${encodedToken}&email=${encodeURIComponent(invitation.email)}`}
+                    className="inline-block w-full py-3 px-4 btn-primary rounded-lg text-white"
+                  >
+                    {invitation.accountExists ? 'Sign in to accept' : 'Create an account to accept'}
+                  </Link>
+                  <Link
+                    to={invitation.accountExists
+                      ? `/register?invite=${encodedToken}&email=${encodeURIComponent(invitation.email)}`
+                      : `/login?invite=${encodedToken}`}
+                    className="block text-sm text-[var(--rg-text-secondary)] hover:underline"
+                  >
+                    {invitation.accountExists ? 'Need a new account instead?' : 'Already have an account? Sign in'}
+                  </Link>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InviteAcceptPage;
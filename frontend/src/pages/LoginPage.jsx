@@ -1,10 +1,13 @@
 import { useState, useEffect } from 'react'
 import { useNavigate, useLocation, Link } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
+import toast from 'react-hot-toast'
 import { Mail, Lock, ArrowRight, AlertCircle, ShieldCheck, Sparkles, Zap, CheckCircle2 } from 'lucide-react'
 import Button from '../components/ui/Button'
 import Card from '../components/ui/Card'
+import TwoFactorModal from '../components/auth/TwoFactorModal'
 import { useAuth } from '../hooks/useAuth'
+import { authService } from '../services/auth.service'
 
 const LOGIN_BASE_COPY = {
   title: 'Welcome back, chief architect',
@@ -68,6 +71,21 @@ const LoginPage = () => {
   const [resendSuccess, setResendSuccess] = useState(false)
   const [heroCopy, setHeroCopy] = useState(LOGIN_BASE_COPY)
   const [chadPulse, setChadPulse] = useState(false)
+  const [twoFactorOpen, setTwoFactorOpen] = useState(false)
+  const [twoFactorLoading, setTwoFactorLoading] = useState(false)
+  const [twoFactorError, setTwoFactorError] = useState('')
+  const [twoFactorMethod, setTwoFactorMethod] = useState('email')
+  const [oauthProviders, setOauthProviders] = useState([])
+  // Organization invitation to accept on sign-in (from /invite/:token)
+  const inviteToken = new URLSearchParams(location.search).get('invite')
+
+  // Only show social sign-in buttons for providers configured on the backend
+  useEffect(() => {
+    authService
+      .getOAuthProviders()
+      .then((data) => setOauthProviders((data.providers || []).filter((provider) => provider.enabled)))
+      .catch(() => setOauthProviders([]))
+  }, [])
 
   const getPathFromState = (fallback) => {
     const fromState = location.state?.from
@@ -151,6 +169,67 @@ const LoginPage = () => {
     }
   }
 
+  // Organization password policy: the portal stays locked until the password is updated
+  const warnPasswordPolicy = (result) => {
+    if (!result.passwordUpdateRequired) return
+    const orgNames = result.passwordPolicyViolations.map((violation) => violation.organization).join(', ')
+    toast.error(`Your password does not meet the password policy of ${orgNames}. Reset it via Forgot password to access the recruiter portal.`, { duration: 8000 })
+  }
+
+  const reportInvitation = (result) => {
+    if (result.joinedOrganization) {
+      toast.success(`You joined ${result.joinedOrganization.organization.name}`)
+    } else if (result.invitationError) {
+      toast.error(result.invitationError.message, { duration: 8000 })
+    }
+  }
+
+  const warnRecoveryCodes = (result) => {
+    if (result.recoveryCodesRemaining === undefined) return
+    toast(`Recovery code used. ${result.recoveryCodesRemaining} left — generate new ones in Settings if you are running low.`, { duration: 8000 })
+  }
+
+  const redirectAfterLogin = (loggedInUser) => {
+    if (['recruiter', 'admin'].includes(loggedInUser?.role)) {
+      navigate(getRecruiterDestination(), { replace: true })
+    } else {
+      navigate(getCandidateDestination(), { replace: true })
+    }
+  }
+
+  const handleTwoFactorVerify = async (otp) => {
+    setTwoFactorError('')
+    setTwoFactorLoading(true)
+    const result = await login(formData.email, formData.password, otp, inviteToken)
+    setTwoFactorLoading(false)
+
+    if (result.success) {
+      setTwoFactorOpen(false)
+      warnPasswordPolicy(result)
+      warnRecoveryCodes(result)
+      reportInvitation(result)
+      redirectAfterLogin(result.user)
+    } else {
+      setTwoFactorError(result.message || 'Invalid login code')
+    }
+  }
+
+  const handleTwoFactorResend = async () => {
+    setTwoFactorError('')
+    setTwoFactorLoading(true)
+    const result = await login(formData.email, formData.password)
+    setTwoFactorLoading(false)
+
+    if (!result.requires2FA) {
+      setTwoFactorError(result.message || 'Failed to resend login code')
+    }
+  }
+
+  const handleTwoFactorClose = () => {
+    setTwoFactorOpen(false)
+    resetHeroCopy()
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     setError('')
@@ -164,14 +243,17 @@ const LoginPage = () => {
     setIsLoading(true)
 
     try {
-      const result = await login(formData.email, formData.password)
+      const result = await login(formData.email, formData.password, null, inviteToken)
       
       if (result.success) {
-        if (['recruiter', 'admin'].includes(result.user?.role)) {
-          navigate(getRecruiterDestination(), { replace: true })
-        } else {
-          navigate(getCandidateDestination(), { replace: true })
-        }
+        warnPasswordPolicy(result)
+        reportInvitation(result)
+        redirectAfterLogin(result.user)
+      } else if (result.requires2FA) {
+        setTwoFactorError('')
+        setTwoFactorMethod(result.method)
+        setTwoFactorOpen(true)
+        setIsLoading(false)
       } else {
         setError(result.message || 'Invalid email or password')
         // Check if the error is about email verification
@@ -403,6 +485,27 @@ const LoginPage = () => {
               </Button>
             </form>
 
+            {oauthProviders.length > 0 && (
+              <div className="mt-6 space-y-3">
+                <div className="flex items-center gap-3 text-[11px] uppercase tracking-[0.3em] text-slate-400">
+                  <span className="h-px flex-1 bg-slate-200" />
+                  Or continue with
+                  <span className="h-px flex-1 bg-slate-200" />
+                </div>
+                <div className="grid gap-3 sm:grid-cols-3">
+                  {oauthProviders.map(({ provider, label }) => (
+                    <a
+                      key={provider}
+                      href={authService.getOAuthStartUrl(provider)}
+                      className="rounded-2xl border border-slate-200 bg-white px-4 py-3 text-center text-sm font-semibold text-slate-900 visited:text-slate-900 hover:border-slate-900"
+                    >
+                      {label}
+                    </a>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div className="mt-8 grid gap-4 rounded-2xl bg-slate-50/70 p-4 text-sm text-slate-600 sm:grid-cols-2">
               {FORM_ASSURANCES.map(({ label, detail }) => (
                 <div key={label}>
@@ -414,13 +517,24 @@ const LoginPage = () => {
 
             <div className="mt-6 flex items-center justify-between text-sm text-slate-500">
               <span>Need to onboard someone new?</span>
-              <Link to="/register" className="font-semibold text-slate-900 visited:text-slate-900">
+              <Link to={inviteToken ? `/register?invite=${encodeURIComponent(inviteToken)}` : '/register'} className="font-semibold text-slate-900 visited:text-slate-900">
                 Create access
               </Link>
             </div>
           </Card>
         </motion.div>
       </motion.div>
+
+      <TwoFactorModal
+        isOpen={twoFactorOpen}
+        onClose={handleTwoFactorClose}
+        email={formData.email}
+        method={twoFactorMethod}
+        onVerify={handleTwoFactorVerify}
+        onResend={handleTwoFactorResend}
+        errorMessage={twoFactorError}
+        loading={twoFactorLoading}
+      />
     </div>
   )
 }
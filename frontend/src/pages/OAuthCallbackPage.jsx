@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import TwoFactorModal from '../components/auth/TwoFactorModal';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { authService } from '../services/auth.service';
+import { useAuth } from '../hooks/useAuth';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000/api';
+
+/**
+ * OAuth Callback Page
+ * Landing route for social sign-in and account linking redirects.
+ * The backend passes tokens (or an error) in the URL fragment.
+ */
+const OAuthCallbackPage = () => {
+  const navigate = useNavigate();
+  const { setSession } = useAuth();
+  const handled = useRef(false);
+
+  const [error, setError] = useState('');
+  const [challenge, setChallenge] = useState(null);
+  const [twoFactorLoading, setTwoFactorLoading] = useState(false);
+  const [twoFactorError, setTwoFactorError] = useState('');
+
+  const finishLogin = (user, token, refreshToken) => {
+    setSession(user, token, refreshToken);
+    toast.success(`Welcome, ${user.name}!`);
+    navigate(['recruiter', 'admin'].includes(user.role) ? '/recruiter' : '/dashboard', { replace: true });
+  };
+
+  useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    // Drop tokens from the address bar and history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    const mode = params.get('mode');
+
+    if (params.get('error')) {
+      if (mode === 'link') {
+        toast.error(params.get('error'));
+        navigate('/settings', { replace: true });
+      } else {
+        setError(params.get('error'));
+      }
+      return;
+    }
+
+    if (mode === 'link') {
+      toast.success('Account connected');
+      navigate('/settings', { replace: true });
+      return;
+    }
+
+    if (params.get('requires2FA')) {
+      setChallenge({ token: params.get('challenge'), email: params.get('email'), method: params.get('method') || 'email' });
+      return;
+    }
+
+    const token = params.get('token');
+    const refreshToken = params.get('refreshToken');
+
+    if (!token) {
+      setError('Sign-in could not be completed. Please try again.');
+      return;
+    }
+
+    axios
+      .get(`${API_URL}/auth/me`, { headers: { Authorization: `Bearer ${token}` } })
+      .then((response) => finishLogin(response.data.user, token, refreshToken))
+      .catch(() => setError('Sign-in could not be completed. Please try again.'));
+  }, []);
+
+  const handleTwoFactorVerify = async (otp) => {
+    setTwoFactorError('');
+    setTwoFactorLoading(true);
+
+    try {
+      const response = await authService.verifyOAuth2FA(challenge.token, otp);
+      setChallenge(null);
+      finishLogin(response.user, response.token, response.refreshToken);
+    } catch (err) {
+      setTwoFactorError(err.response?.data?.message || 'Invalid login code');
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
+  const handleTwoFactorResend = async () => {
+    setTwoFactorError('');
+
+    try {
+      await authService.verifyOAuth2FA(challenge.token);
+      toast.success('Login code sent!');
+    } catch (err) {
+      setTwoFactorError(err.response?.data?.message || 'Failed to resend login code');
+    }
+  };
+
+  const handleTwoFactorClose = () => {
+    setChallenge(null);
+    navigate('/login', { replace: true });
+  };
+
+  return (
+    <div className="page-shell min-h-screen flex items-center justify-center px-4 py-12">
+      <div className="max-w-md w-full">
+        <div className="card-base rounded-2xl p-8 text-center">
+          {error ? (
+            <>
+              <h1 className="text-2xl font-bold text-[var(--rg-text-primary)] mb-2">
+                Sign-in failed
+              </h1>
+              <p className="text-[var(--rg-text-secondary)] mb-6">{error}</p>
+              <Link to="/login" className="inline-block w-full py-3 px-4 btn-primary rounded-lg text-white">
+                Back to login
+              </Link>
+            </>
+          ) : (
+            <div className="flex flex-col items-center gap-4">
+              <LoadingSpinner />
+              <p className="text-[var(--rg-text-secondary)]">Completing sign-in...</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <TwoFactorModal
+        isOpen={!!challenge}
+        onClose={handleTwoFactorClose}
+        email={challenge?.email}
+        method={challenge?.method}
+        onVerify={handleTwoFactorVerify}
+        onResend={handleTwoFactorResend}
+        errorMessage={twoFactorError}
+        loading={twoFactorLoading}
+      />
+    </div>
+  );
+};
+
+export default OAuthCallbackPage;
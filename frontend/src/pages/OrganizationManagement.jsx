@@ -1,6 +1,9 @@
 import { useState, useEffect } from 'react'
-import { Building2, Users, Settings, Plus, Edit2, Trash2, Shield, Crown, X } from 'lucide-react'
+import { Building2, Users, Settings, Plus, Edit2, Trash2, Shield, Crown, X, KeyRound, Mail, RotateCw } from 'lucide-react'
 import api from '../services/api'
+import AuditLogPanel from '../components/organization/AuditLogPanel'
+import BlindHiringSettings from '../components/organization/BlindHiringSettings'
+import DataRetentionSettings from '../components/organization/DataRetentionSettings'
 import toast from 'react-hot-toast'
 
 export default function OrganizationManagement() {
@@ -13,6 +16,11 @@ export default function OrganizationManagement() {
   const [successMessage, setSuccessMessage] = useState('')
   const [showCreateModal, setShowCreateModal] = useState(false)
   const [createLoading, setCreateLoading] = useState(false)
+  const [permissionCatalog, setPermissionCatalog] = useState({ permissions: [], roles: [] })
+  const [myPermissions, setMyPermissions] = useState([])
+  const [savingPermissions, setSavingPermissions] = useState(null)
+  const [invitations, setInvitations] = useState([])
+  const [invitationAction, setInvitationAction] = useState(null)
   const [createFormData, setCreateFormData] = useState({
     name: '',
     description: '',
@@ -23,8 +31,21 @@ export default function OrganizationManagement() {
 
   useEffect(() => {
     fetchOrganizationData()
+    fetchPermissionCatalog()
   }, [])
 
+  const fetchPermissionCatalog = async () => {
+    try {
+      const res = await api.get('/organizations/permissions')
+      setPermissionCatalog({
+        permissions: res.data.permissions || [],
+        roles: res.data.roles || []
+      })
+    } catch (err) {
+      console.error('Failed to load permission catalog:', err)
+    }
+  }
+
   const fetchOrganizationData = async () => {
     try {
       setLoading(true)
@@ -44,7 +65,12 @@ export default function OrganizationManagement() {
       const org = orgs[0]
       setOrganization(org)
       setMembers(org.members || [])
+      setMyPermissions(org.myPermissions || [])
       setError('')
+
+      if ((org.myPermissions || []).includes('manage_members')) {
+        fetchInvitations(org.slug)
+      }
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to load organization data')
     } finally {
@@ -52,25 +78,65 @@ export default function OrganizationManagement() {
     }
   }
 
+  const fetchInvitations = async (slug) => {
+    try {
+      const res = await api.get(`/organizations/${slug}/invitations`)
+      setInvitations(res.data.invitations || [])
+    } catch (err) {
+      console.error('Failed to load invitations:', err)
+    }
+  }
+
   const handleInviteMember = async (e) => {
     e.preventDefault()
     if (!organization) return
     
     try {
-      await api.post(`/organizations/${organization.slug}/members`, {
+      const res = await api.post(`/organizations/${organization.slug}/invitations`, {
         email: inviteEmail,
         role: inviteRole
       })
-      setSuccessMessage(`Invitation sent to ${inviteEmail}`)
+      setSuccessMessage(res.data.message || `Invitation sent to ${inviteEmail}`)
       setInviteEmail('')
       setInviteRole('member')
-      fetchOrganizationData() // Refresh data
+      setInvitations([res.data.invitation, ...invitations])
       setTimeout(() => setSuccessMessage(''), 3000)
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to send invitation')
     }
   }
 
+  const handleResendInvitation = async (invitationId) => {
+    if (!organization) return
+
+    setInvitationAction(invitationId)
+    try {
+      const res = await api.post(`/organizations/${organization.slug}/invitations/${invitationId}/resend`)
+      setInvitations(invitations.map(i => i.id === invitationId ? res.data.invitation : i))
+      toast.success(res.data.message || 'Invitation resent')
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to resend invitation')
+    } finally {
+      setInvitationAction(null)
+    }
+  }
+
+  const handleRevokeInvitation = async (invitationId) => {
+    if (!confirm('Revoke this invitation? The link will stop working.')) return
+    if (!organization) return
+
+    setInvitationAction(invitationId)
+    try {
+      await api.delete(`/organizations/${organization.slug}/invitations/${invitationId}`)
+      setInvitations(invitations.filter(i => i.id !== invitationId))
+      toast.success('Invitation revoked')
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to revoke invitation')
+    } finally {
+      setInvitationAction(null)
+    }
+  }
+
   const handleCreateOrganization = async (e) => {
     e.preventDefault()
     
@@ -121,12 +187,15 @@ export default function OrganizationManagement() {
     if (!organization) return
     
     try {
-      await api.put(`/organizations/${organization.slug}/members/${memberId}`, { 
-        role: newRole,
-        permissions: [] // Can be customized based on role
+      // Permissions reset to the new role's defaults
+      const res = await api.put(`/organizations/${organization.slug}/members/${memberId}`, {
+        role: newRole
       })
+      const updated = res.data.organization?.members?.find(m => (m.userId?._id || m.userId) === memberId)
       setMembers(members.map(m => 
-        (m.userId?._id === memberId || m.userId === memberId) ? { ...m, role: newRole } : m
+        (m.userId?._id === memberId || m.userId === memberId)
+          ? { ...m, role: newRole, permissions: updated?.permissions || m.permissions }
+          : m
       ))
       setSuccessMessage('Role updated successfully')
       setTimeout(() => setSuccessMessage(''), 3000)
@@ -135,6 +204,33 @@ export default function OrganizationManagement() {
     }
   }
 
+  const canManageMembers = myPermissions.includes('manage_members')
+
+  const hasAllPermissions = (role) => role === 'owner' || role === 'admin'
+
+  const formatPermission = (key) => key.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+
+  const handleTogglePermission = async (member, memberId, permission) => {
+    if (!organization) return
+
+    const current = member.permissions || []
+    const permissions = current.includes(permission)
+      ? current.filter(p => p !== permission)
+      : [...current, permission]
+
+    setSavingPermissions(memberId)
+    try {
+      await api.put(`/organizations/${organization.slug}/members/${memberId}`, { permissions })
+      setMembers(members.map(m =>
+        (m.userId?._id === memberId || m.userId === memberId) ? { ...m, permissions } : m
+      ))
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update permissions')
+    } finally {
+      setSavingPermissions(null)
+    }
+  }
+
   const getRoleIcon = (role) => {
     switch (role) {
       case 'owner':
@@ -235,6 +331,19 @@ export default function OrganizationManagement() {
           </div>
         )}
 
+        {/* Blind Hiring */}
+        {organization && myPermissions.includes('manage_settings') && (
+          <BlindHiringSettings
+            organization={organization}
+            onUpdated={(updated) => setOrganization({ ...organization, settings: updated.settings })}
+          />
+        )}
+
+        {/* Data Retention */}
+        {organization && myPermissions.includes('manage_settings') && (
+          <DataRetentionSettings organization={organization} />
+        )}
+
         {/* Invite Member */}
         <div className="bg-white rounded-lg shadow p-6 mb-8">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">Invite Team Member</h2>
@@ -280,6 +389,53 @@ export default function OrganizationManagement() {
           </form>
         </div>
 
+        {/* Pending Invitations */}
+        {invitations.length > 0 && (
+          <div className="bg-white rounded-lg shadow mb-8">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <div className="flex items-center space-x-2">
+                <Mail className="w-5 h-5 text-blue-600" />
+                <h2 className="text-xl font-semibold text-gray-900">Pending Invitations ({invitations.length})</h2>
+              </div>
+              <p className="mt-1 text-sm text-gray-600">
+                Invitees join with the role shown once they accept. Resending issues a new link and the old one stops working.
+              </p>
+            </div>
+            <ul className="divide-y divide-gray-200">
+              {invitations.map((invitation) => (
+                <li key={invitation.id} className="px-6 py-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                  <div>
+                    <div className="text-sm font-medium text-gray-900">{invitation.email}</div>
+                    <div className="text-xs text-gray-500">
+                      <span className="capitalize">{invitation.role}</span>
+                      {invitation.invitedBy?.name && <> · invited by {invitation.invitedBy.name}</>}
+                      {' '}· expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-3 text-sm font-medium">
+                    <button
+                      onClick={() => handleResendInvitation(invitation.id)}
+                      disabled={invitationAction === invitation.id}
+                      className="text-blue-600 hover:text-blue-900 flex items-center space-x-1 disabled:opacity-50"
+                    >
+                      <RotateCw className="w-4 h-4" />
+                      <span>Resend</span>
+                    </button>
+                    <button
+                      onClick={() => handleRevokeInvitation(invitation.id)}
+                      disabled={invitationAction === invitation.id}
+                      className="text-red-600 hover:text-red-900 flex items-center space-x-1 disabled:opacity-50"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                      <span>Revoke</span>
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Members List */}
         <div className="bg-white rounded-lg shadow">
           <div className="px-6 py-4 border-b border-gray-200">
@@ -387,6 +543,77 @@ export default function OrganizationManagement() {
             </div>
           )}
         </div>
+
+        {/* Permission Matrix */}
+        {members.length > 0 && permissionCatalog.permissions.length > 0 && (
+          <div className="bg-white rounded-lg shadow mt-8">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <div className="flex items-center space-x-2">
+                <KeyRound className="w-5 h-5 text-blue-600" />
+                <h2 className="text-xl font-semibold text-gray-900">Permissions</h2>
+              </div>
+              <p className="mt-1 text-sm text-gray-600">
+                Owners and admins have every permission. {canManageMembers
+                  ? 'Click a cell to grant or remove a permission.'
+                  : 'Ask an admin to change your access.'}
+              </p>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Member
+                    </th>
+                    {permissionCatalog.permissions.map(({ key, description }) => (
+                      <th
+                        key={key}
+                        title={description}
+                        className="px-3 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider"
+                      >
+                        {formatPermission(key)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {members.map((member) => {
+                    const user = member.userId || member
+                    const userId = user._id || user
+                    const allPermissions = hasAllPermissions(member.role)
+                    const editable = canManageMembers && !allPermissions && savingPermissions !== userId
+
+                    return (
+                      <tr key={member._id || userId} className="hover:bg-gray-50">
+                        <td className="px-6 py-3 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900">{user.name || user.email || 'Unknown User'}</div>
+                          <div className="text-xs text-gray-500 capitalize">{member.role || 'member'}</div>
+                        </td>
+                        {permissionCatalog.permissions.map(({ key }) => (
+                          <td key={key} className="px-3 py-3 text-center">
+                            <input
+                              type="checkbox"
+                              aria-label={`${formatPermission(key)} for ${user.name || user.email || 'member'}`}
+                              checked={allPermissions || (member.permissions || []).includes(key)}
+                              disabled={!editable}
+                              onChange={() => handleTogglePermission(member, userId, key)}
+                              className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 disabled:opacity-60"
+                            />
+                          </td>
+                        ))}
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Audit Log */}
+        {organization && myPermissions.includes('view_audit_logs') && (
+          <AuditLogPanel organization={organization} members={members} />
+        )}
       </div>
 
       {/* Create Organization Modal */}
@@ -0,0 +1,301 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { Eye, Ban, History, Search, Building2, Loader2 } from 'lucide-react'
+import Navbar from '../components/ui/Navbar'
+import Footer from '../components/ui/Footer'
+import Card from '../components/ui/Card'
+import Button from '../components/ui/Button'
+import toast from 'react-hot-toast'
+import api from '../services/api'
+
+const CONSENT_LABELS = {
+  visibility_granted: 'Made your resume visible to recruiters',
+  visibility_revoked: 'Hid your resume from recruiters',
+  organization_blocked: 'Blocked',
+  organization_unblocked: 'Unblocked'
+}
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-')
+
+const PrivacyCenterPage = () => {
+  const [blockedOrganizations, setBlockedOrganizations] = useState([])
+  const [consents, setConsents] = useState([])
+  const [views, setViews] = useState([])
+  const [viewsPagination, setViewsPagination] = useState({ page: 1, pages: 1, total: 0 })
+  const [search, setSearch] = useState('')
+  const [searchResults, setSearchResults] = useState([])
+  const [searching, setSearching] = useState(false)
+  const [updatingId, setUpdatingId] = useState(null)
+
+  useEffect(() => {
+    fetchPrivacy()
+    fetchViews(1)
+  }, [])
+
+  // Look organizations up as the user types
+  useEffect(() => {
+    if (search.trim().length < 2) {
+      setSearchResults([])
+      return undefined
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        setSearching(true)
+        const response = await api.get('/user/privacy/organizations', { params: { search: search.trim() } })
+        setSearchResults(response.data.organizations || [])
+      } catch (error) {
+        console.error('Organization search failed:', error)
+      } finally {
+        setSearching(false)
+      }
+    }, 300)
+
+    return () => clearTimeout(timer)
+  }, [search])
+
+  const fetchPrivacy = async () => {
+    try {
+      const response = await api.get('/user/privacy')
+      if (response.data.success) {
+        setBlockedOrganizations(response.data.blockedOrganizations || [])
+        setConsents(response.data.consents || [])
+      }
+    } catch (error) {
+      console.error('Failed to load privacy settings:', error)
+      toast.error('Failed to load privacy settings')
+    }
+  }
+
+  const fetchViews = async (page) => {
+    try {
+      const response = await api.get('/user/profile-views', { params: { page } })
+      if (response.data.success) {
+        setViews(response.data.views || [])
+        setViewsPagination(response.data.pagination)
+      }
+    } catch (error) {
+      console.error('Failed to load profile views:', error)
+    }
+  }
+
+  const isBlocked = (organizationId) =>
+    blockedOrganizations.some((entry) => entry.organizationId === organizationId)
+
+  const handleBlock = async (organization) => {
+    if (!window.confirm(`Block ${organization.name}? Its recruiters will no longer find you or be able to open your resume.`)) return
+    try {
+      setUpdatingId(organization._id)
+      const response = await api.post('/user/privacy/blocked-organizations', { organizationId: organization._id })
+      setBlockedOrganizations(response.data.blockedOrganizations || [])
+      setSearch('')
+      toast.success(`${organization.name} blocked`)
+      fetchPrivacy()
+      fetchViews(viewsPagination.page)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to block organization')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const handleUnblock = async (entry) => {
+    try {
+      setUpdatingId(entry.organizationId)
+      const response = await api.delete(`/user/privacy/blocked-organizations/${entry.organizationId}`)
+      setBlockedOrganizations(response.data.blockedOrganizations || [])
+      toast.success(`${entry.name} unblocked`)
+      fetchPrivacy()
+      fetchViews(viewsPagination.page)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unblock organization')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+
+      <div className="pt-24 pb-20 px-4">
+        <div className="max-w-4xl mx-auto">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <h1 className="text-4xl font-bold text-gray-900 mb-2">Privacy Center</h1>
+            <p className="text-gray-600 mb-8">See who looked at your profile and choose which companies can find you</p>
+
+            {/* Blocked Companies */}
+            <Card className="mb-6">
+              <div className="flex items-center gap-3 mb-3">
+                <Ban className="w-6 h-6 text-red-600" />
+                <h2 className="text-xl font-bold text-gray-900">Blocked Companies</h2>
+              </div>
+              <p className="text-gray-600 mb-4">
+                Recruiters from a blocked company (for example your current employer) won't see you in candidate search
+                or suggestions and can't open your resume, even while your resume is visible to recruiters. Companies you
+                applied to still see those applications.
+              </p>
+
+              <div className="relative mb-4">
+                <Search className="w-4 h-4 text-gray-400 absolute left-3 top-3" />
+                <input
+                  type="text"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  placeholder="Search companies to block"
+                  className="w-full pl-9 pr-9 py-2 border border-gray-300 rounded-lg"
+                />
+                {searching && <Loader2 className="w-4 h-4 text-gray-400 animate-spin absolute right-3 top-3" />}
+              </div>
+
+              {searchResults.length > 0 && (
+                <ul className="mb-4 border border-gray-200 rounded-lg divide-y divide-gray-100">
+                  {searchResults.map((organization) => (
+                    <li key={organization._id} className="flex items-center justify-between px-4 py-2">
+                      <span className="flex items-center gap-2 text-gray-900">
+                        <Building2 className="w-4 h-4 text-gray-400" />
+                        {organization.name}
+                      </span>
+                      {isBlocked(organization._id) ? (
+                        <span className="text-xs text-gray-500">Blocked</span>
+                      ) : (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => handleBlock(organization)}
+                          disabled={updatingId === organization._id}
+                        >
+                          Block
+                        </Button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {blockedOrganizations.length === 0 ? (
+                <p className="text-sm text-gray-500">You haven't blocked any companies.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {blockedOrganizations.map((entry) => (
+                    <li key={entry.organizationId} className="flex items-center justify-between py-3">
+                      <div>
+                        <p className="font-medium text-gray-900">{entry.name}</p>
+                        <p className="text-xs text-gray-500">Blocked {formatDate(entry.blockedAt)}</p>
+                      </div>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => handleUnblock(entry)}
+                        disabled={updatingId === entry.organizationId}
+                      >
+                        Unblock
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Card>
+
+            {/* Profile Views */}
+            <Card className="mb-6">
+              <div className="flex items-center gap-3 mb-3">
+                <Eye className="w-6 h-6 text-blue-600" />
+                <h2 className="text-xl font-bold text-gray-900">Who Viewed Your Profile</h2>
+              </div>
+              <p className="text-gray-600 mb-4">
+                Every time a recruiter opens your resume or one of your applications. We show the company, not the person.
+              </p>
+
+              {views.length === 0 ? (
+                <p className="text-sm text-gray-500">No recruiter has viewed your profile yet.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {views.map((view) => (
+                    <li key={view.id} className="flex items-center justify-between py-3">
+                      <div>
+                        <p className="font-medium text-gray-900">{view.organization?.name || 'An independent recruiter'}</p>
+                        <p className="text-xs text-gray-500">
+                          Viewed your {view.context === 'application' ? 'application' : 'resume'} · {formatDate(view.viewedAt)}
+                        </p>
+                      </div>
+                      {view.organization && (view.organization.blocked || isBlocked(view.organization._id) ? (
+                        <span className="text-xs text-gray-500">Blocked</span>
+                      ) : (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => handleBlock(view.organization)}
+                          disabled={updatingId === view.organization._id}
+                        >
+                          Block
+                        </Button>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {viewsPagination.pages > 1 && (
+                <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+                  <span>Page {viewsPagination.page} of {viewsPagination.pages}</span>
+                  <div className="flex gap-2">
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      disabled={viewsPagination.page <= 1}
+                      onClick={() => fetchViews(viewsPagination.page - 1)}
+                    >
+                      Previous
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      disabled={viewsPagination.page >= viewsPagination.pages}
+                      onClick={() => fetchViews(viewsPagination.page + 1)}
+                    >
+                      Next
+                    </Button>
+                  </div>
+                </div>
+              )}
+            </Card>
+
+            {/* Consent History */}
+            <Card>
+              <div className="flex items-center gap-3 mb-3">
+                <History className="w-6 h-6 text-gray-700" />
+                <h2 className="text-xl font-bold text-gray-900">Consent History</h2>
+              </div>
+              <p className="text-gray-600 mb-4">A record of every visibility decision you made.</p>
+
+              {consents.length === 0 ? (
+                <p className="text-sm text-gray-500">No decisions recorded yet.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {consents.map((record) => (
+                    <li key={record._id} className="py-2 text-sm flex items-center justify-between">
+                      <span className="text-gray-900">
+                        {CONSENT_LABELS[record.action] || record.action}
+                        {record.organizationName ? ` ${record.organizationName}` : ''}
+                      </span>
+                      <span className="text-xs text-gray-500">{formatDate(record.createdAt)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Card>
+          </motion.div>
+        </div>
+      </div>
+
+      <Footer />
+    </div>
+  )
+}
+
+export default PrivacyCenterPage
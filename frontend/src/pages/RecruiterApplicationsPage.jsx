@@ -17,8 +17,10 @@ import {
   LineChart,
   Sparkles,
   ArrowUpRight,
-  BarChart3
+  BarChart3,
+  Scale
 } from 'lucide-react'
+import toast from 'react-hot-toast'
 import api from '../services/api'
 import { useAuth } from '../hooks/useAuth'
 import RecruiterNav from '../components/ui/RecruiterNav'
@@ -290,6 +292,31 @@ export default function RecruiterApplicationsPage() {
     setSearchInput('')
   }
 
+  const canManageLegalHolds = organization?.myPermissions?.includes('manage_settings')
+
+  // Held applications are exempt from the organization's retention purges
+  const handleLegalHold = async (application) => {
+    const id = application._id || application.applicationId
+    const active = !application.legalHold?.active
+    let reason = null
+    if (active) {
+      reason = window.prompt('Reason for the legal hold (e.g. case or request reference)')
+      if (!reason?.trim()) return
+    } else if (!window.confirm('Release the legal hold? The application will be purged by the retention policy when due.')) {
+      return
+    }
+
+    try {
+      const { data } = await api.put(`/recruiter/${orgSlug}/applications/${id}/legal-hold`, { active, reason })
+      setApplications((prev) =>
+        prev.map((item) => ((item._id || item.applicationId) === id ? { ...item, legalHold: data.data?.legalHold } : item))
+      )
+      toast.success(active ? 'Legal hold placed' : 'Legal hold released')
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update legal hold')
+    }
+  }
+
   const totalPages = pagination.pages || 1
   const canGoPrev = page > 1
   const canGoNext = page < totalPages
@@ -298,7 +325,7 @@ export default function RecruiterApplicationsPage() {
     application.userId?.name || application.resumeId?.parsed_resume?.name || 'Unnamed Candidate'
 
   const getCandidateEmail = (application) =>
-    application.userId?.email || application.resumeId?.parsed_resume?.emails?.[0] || 'No email'
+    application.identityMasked ? 'Hidden (blind review)' : application.userId?.email || application.resumeId?.parsed_resume?.emails?.[0] || 'No email'
 
   const getCandidatePhone = (application) =>
     application.userId?.phone || application.resumeId?.parsed_resume?.phones?.[0] || '—'
@@ -683,6 +710,20 @@ export default function RecruiterApplicationsPage() {
                                   <ClipboardList className="w-4 h-4" />
                                   Pipeline
                                 </button>
+                                {canManageLegalHolds && (
+                                  <button
+                                    onClick={() => handleLegalHold(application)}
+                                    title={application.legalHold?.active ? `On hold: ${application.legalHold.reason || ''}` : 'Exempt from retention purges'}
+                                    className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-lg border ${
+                                      application.legalHold?.active
+                                        ? 'border-amber-300 bg-amber-50 text-amber-800 hover:bg-amber-100'
+                                        : 'border-slate-200 text-slate-700 hover:bg-slate-50'
+                                    }`}
+                                  >
+                                    <Scale className="w-4 h-4" />
+                                    {application.legalHold?.active ? 'Release hold' : 'Legal hold'}
+                                  </button>
+                                )}
                               </div>
                             </td>
                           </tr>
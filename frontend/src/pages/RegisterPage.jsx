@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
-import { useNavigate, Link } from 'react-router-dom'
+import { useNavigate, useSearchParams, Link } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
+import toast from 'react-hot-toast'
 import { Mail, Lock, User, ArrowRight, AlertCircle, Sparkles, Rocket, Layers, CheckCircle2 } from 'lucide-react'
 import Button from '../components/ui/Button'
 import Card from '../components/ui/Card'
@@ -55,13 +56,16 @@ const REGISTER_TESTIMONIAL = {
 
 const RegisterPage = () => {
   const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
   const { register, isAuthenticated, loading, user } = useAuth()
+  // Organization invitation to accept on sign-up (from /invite/:token)
+  const inviteToken = searchParams.get('invite')
   const [formData, setFormData] = useState({
     name: '',
-    email: '',
+    email: searchParams.get('email') || '',
     password: '',
     confirmPassword: '',
-    role: 'user'
+    role: inviteToken ? 'recruiter' : 'user'
   })
   const [error, setError] = useState('')
   const [isLoading, setIsLoading] = useState(false)
@@ -122,9 +126,19 @@ const RegisterPage = () => {
     setIsLoading(true)
 
     try {
-      const result = await register(formData.name, formData.email, formData.password, formData.role)
+      const result = await register(formData.name, formData.email, formData.password, formData.role, inviteToken)
       
       if (result.success) {
+        if (result.joinedOrganization) {
+          toast.success(`You joined ${result.joinedOrganization.organization.name}`)
+        } else if (result.invitationError) {
+          toast.error(result.invitationError.message, { duration: 8000 })
+        }
+        if (result.passwordPolicyViolations.length > 0) {
+          const orgNames = result.passwordPolicyViolations.map((violation) => violation.organization).join(', ')
+          toast.error(`Your password does not meet the password policy of ${orgNames}. Reset it via Forgot password to access the recruiter portal.`, { duration: 8000 })
+        }
+
         // Check if email verification is required
         if (result.requiresVerification) {
           // Navigate to email verification page
@@ -416,7 +430,7 @@ const RegisterPage = () => {
 
             <div className="mt-6 flex items-center justify-between text-sm text-slate-500">
               <span>Already part of the network?</span>
-              <Link to="/login" className="font-semibold text-slate-900 visited:text-slate-900">
+              <Link to={inviteToken ? `/login?invite=${encodeURIComponent(inviteToken)}` : '/login'} className="font-semibold text-slate-900 visited:text-slate-900">
                 Sign in
               </Link>
             </div>
@@ -17,6 +17,8 @@ const ResetPasswordPage = () => {
   const [error, setError] = useState('');
   const [showPasswords, setShowPasswords] = useState(false);
   const [passwordStrength, setPasswordStrength] = useState(0);
+  const [resending, setResending] = useState(false);
+  const [cooldown, setCooldown] = useState(60);
 
   // Redirect if no email
   useEffect(() => {
@@ -25,6 +27,29 @@ const ResetPasswordPage = () => {
     }
   }, [email, navigate]);
 
+  // Resend cooldown timer
+  useEffect(() => {
+    if (cooldown > 0) {
+      const timer = setTimeout(() => setCooldown(cooldown - 1), 1000);
+      return () => clearTimeout(timer);
+    }
+  }, [cooldown]);
+
+  const handleResend = async () => {
+    if (cooldown > 0) return;
+
+    setResending(true);
+    try {
+      await authService.forgotPassword(email);
+      toast.success('Reset code sent!');
+      setCooldown(60);
+    } catch (err) {
+      toast.error(err.response?.data?.message || err.message || 'Failed to resend code');
+    } finally {
+      setResending(false);
+    }
+  };
+
   // Calculate password strength
   useEffect(() => {
     if (!newPassword) {
@@ -78,8 +103,9 @@ const ResetPasswordPage = () => {
         navigate('/login');
       }, 1500);
     } catch (err) {
-      setError(err.message || 'Password reset failed');
-      toast.error(err.message || 'Password reset failed');
+      const message = err.response?.data?.message || err.message || 'Password reset failed';
+      setError(message);
+      toast.error(message);
     } finally {
       setLoading(false);
     }
@@ -132,6 +158,16 @@ const ResetPasswordPage = () => {
                 disabled={loading}
                 error={!!error && error.includes('code')}
               />
+              <div className="mt-2 text-right">
+                <button
+                  type="button"
+                  onClick={handleResend}
+                  disabled={resending || cooldown > 0}
+                  className="text-sm text-[var(--rg-accent)] font-semibold hover:brightness-110 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {resending ? 'Sending...' : cooldown > 0 ? `Resend in ${cooldown}s` : 'Resend Code'}
+                </button>
+              </div>
             </div>
 
             {/* New Password */}
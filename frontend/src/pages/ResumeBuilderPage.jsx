@@ -0,0 +1,290 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { LayoutTemplate, ListOrdered, ArrowUp, ArrowDown, Download, Save, Loader2, AlertCircle } from 'lucide-react'
+import Navbar from '../components/ui/Navbar'
+import Footer from '../components/ui/Footer'
+import Card from '../components/ui/Card'
+import Button from '../components/ui/Button'
+import toast from 'react-hot-toast'
+import { resumeAPI } from '../services/api'
+import { useResumeContext } from '../hooks/useResumeContext'
+import { downloadBlob, readBlobErrorData } from '../utils/apiHelpers'
+
+const PREVIEW_DELAY = 400
+
+const FORMAT_LABELS = {
+  pdf: 'PDF',
+  docx: 'Word (DOCX)'
+}
+
+const FILE_EXTENSIONS = {
+  pdf: 'pdf',
+  docx: 'docx'
+}
+
+const ResumeBuilderPage = () => {
+  const { resumeId } = useResumeContext()
+  const [templates, setTemplates] = useState([])
+  const [template, setTemplate] = useState(null)
+  const [sections, setSections] = useState([])
+  const [format, setFormat] = useState('pdf')
+  const [previewUrl, setPreviewUrl] = useState(null)
+  const [previewLoading, setPreviewLoading] = useState(false)
+  const [downloading, setDownloading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [upgradeRequired, setUpgradeRequired] = useState(false)
+
+  const selectedSections = sections.filter(section => section.enabled).map(section => section.id)
+
+  useEffect(() => {
+    fetchTemplates()
+  }, [])
+
+  // Re-render the PDF preview shortly after the last change
+  useEffect(() => {
+    if (!resumeId || !template || selectedSections.length === 0 || upgradeRequired) return undefined
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        setPreviewLoading(true)
+        const blob = await resumeAPI.buildResume(resumeId, { format: 'pdf', template, sections: selectedSections })
+        if (cancelled) return
+        setPreviewUrl(URL.createObjectURL(blob))
+      } catch (error) {
+        if (!cancelled) await handleBuildError(error, 'Failed to render preview')
+      } finally {
+        if (!cancelled) setPreviewLoading(false)
+      }
+    }, PREVIEW_DELAY)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [resumeId, template, selectedSections.join(','), upgradeRequired])
+
+  // Release the previous preview once it is replaced
+  useEffect(() => () => {
+    if (previewUrl) URL.revokeObjectURL(previewUrl)
+  }, [previewUrl])
+
+  const fetchTemplates = async () => {
+    try {
+      const data = await resumeAPI.getBuilderTemplates()
+      setTemplates(data.templates || [])
+      setTemplate(data.defaultTemplate)
+      setSections((data.sections || []).map(section => ({ ...section, enabled: true })))
+    } catch (error) {
+      console.error('Failed to load resume templates:', error)
+      toast.error('Failed to load resume templates')
+    }
+  }
+
+  const handleBuildError = async (error, fallbackMessage) => {
+    const data = await readBlobErrorData(error)
+    if (data?.upgradeRequired) {
+      setUpgradeRequired(true)
+      return
+    }
+    console.error(fallbackMessage, error)
+    toast.error(data?.message || fallbackMessage)
+  }
+
+  const moveSection = (index, offset) => {
+    setSections((current) => {
+      const target = index + offset
+      if (target < 0 || target >= current.length) return current
+      const next = [...current]
+      const [moved] = next.splice(index, 1)
+      next.splice(target, 0, moved)
+      return next
+    })
+  }
+
+  const toggleSection = (id) => {
+    setSections((current) => current.map(section => (
+      section.id === id ? { ...section, enabled: !section.enabled } : section
+    )))
+  }
+
+  const handleDownload = async () => {
+    try {
+      setDownloading(true)
+      const blob = await resumeAPI.buildResume(resumeId, { format, template, sections: selectedSections })
+      downloadBlob(blob, `resume-${template}.${FILE_EXTENSIONS[format]}`)
+    } catch (error) {
+      await handleBuildError(error, 'Failed to build resume')
+    } finally {
+      setDownloading(false)
+    }
+  }
+
+  const handleSaveVersion = async () => {
+    try {
+      setSaving(true)
+      const data = await resumeAPI.saveBuiltResume(resumeId, { format, template, sections: selectedSections })
+      toast.success(`Saved as version ${data.version} of your resume`)
+    } catch (error) {
+      await handleBuildError(error, 'Failed to save resume version')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const canBuild = Boolean(resumeId && template && selectedSections.length && !upgradeRequired)
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+
+      <div className="pt-24 pb-20 px-4">
+        <div className="max-w-6xl mx-auto">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <h1 className="text-4xl font-bold text-gray-900 mb-2">Resume Builder</h1>
+            <p className="text-gray-600 mb-8">
+              Turn your parsed resume, profile and verified skills into an ATS-friendly PDF or Word document
+            </p>
+
+            {!resumeId && (
+              <Card className="mb-6">
+                <p className="text-gray-600">
+                  Upload or import a resume first. <Link to="/upload" className="text-blue-600 font-medium">Upload resume</Link>
+                </p>
+              </Card>
+            )}
+
+            {upgradeRequired && (
+              <Card className="mb-6">
+                <div className="flex items-start gap-3">
+                  <AlertCircle className="w-6 h-6 text-amber-600 flex-shrink-0" />
+                  <div>
+                    <h2 className="text-lg font-bold text-gray-900">The resume builder is part of the Pro plan</h2>
+                    <p className="text-gray-600 mt-1">
+                      Upgrade to generate resumes from your profile. <Link to="/pricing" className="text-blue-600 font-medium">See plans</Link>
+                    </p>
+                  </div>
+                </div>
+              </Card>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-[320px_1fr] gap-6">
+              <div className="space-y-6">
+                <Card>
+                  <div className="flex items-center gap-3 mb-4">
+                    <LayoutTemplate className="w-6 h-6 text-blue-600" />
+                    <h2 className="text-xl font-bold text-gray-900">Template</h2>
+                  </div>
+                  <div className="space-y-2">
+                    {templates.map(item => (
+                      <button
+                        key={item.id}
+                        onClick={() => setTemplate(item.id)}
+                        className={`w-full text-left rounded-lg border p-3 transition-colors ${
+                          template === item.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:border-gray-300'
+                        }`}
+                      >
+                        <p className="font-medium text-gray-900">{item.name}</p>
+                        <p className="text-sm text-gray-600">{item.description}</p>
+                      </button>
+                    ))}
+                  </div>
+                </Card>
+
+                <Card>
+                  <div className="flex items-center gap-3 mb-4">
+                    <ListOrdered className="w-6 h-6 text-blue-600" />
+                    <h2 className="text-xl font-bold text-gray-900">Sections</h2>
+                  </div>
+                  <ul className="space-y-2">
+                    {sections.map((section, index) => (
+                      <li key={section.id} className="flex items-center gap-2 rounded-lg border border-gray-200 px-3 py-2">
+                        <input
+                          type="checkbox"
+                          checked={section.enabled}
+                          onChange={() => toggleSection(section.id)}
+                          aria-label={`Include ${section.title}`}
+                        />
+                        <span className={`flex-1 text-sm ${section.enabled ? 'text-gray-900' : 'text-gray-400'}`}>
+                          {section.title}
+                        </span>
+                        <button
+                          onClick={() => moveSection(index, -1)}
+                          disabled={index === 0}
+                          className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                          aria-label={`Move ${section.title} up`}
+                        >
+                          <ArrowUp className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => moveSection(index, 1)}
+                          disabled={index === sections.length - 1}
+                          className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                          aria-label={`Move ${section.title} down`}
+                        >
+                          <ArrowDown className="w-4 h-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                  <p className="text-xs text-gray-500 mt-3">Sections without data are left out.</p>
+                </Card>
+
+                <Card>
+                  <label className="block text-sm font-medium text-gray-700 mb-2" htmlFor="builder-format">Format</label>
+                  <select
+                    id="builder-format"
+                    value={format}
+                    onChange={(event) => setFormat(event.target.value)}
+                    className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm mb-4"
+                  >
+                    {Object.entries(FORMAT_LABELS).map(([id, label]) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                  </select>
+                  <div className="flex flex-col gap-3">
+                    <Button onClick={handleDownload} disabled={!canBuild || downloading}>
+                      {downloading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+                      Download {FORMAT_LABELS[format]}
+                    </Button>
+                    <Button variant="outline" onClick={handleSaveVersion} disabled={!canBuild || saving}>
+                      {saving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+                      Save as New Resume Version
+                    </Button>
+                  </div>
+                </Card>
+              </div>
+
+              <Card padding="p-0" className="overflow-hidden relative min-h-[600px]">
+                {previewLoading && (
+                  <div className="absolute top-3 right-3 flex items-center gap-2 rounded-full bg-white/90 px-3 py-1 text-sm text-gray-600 shadow">
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                    Updating preview
+                  </div>
+                )}
+                {previewUrl ? (
+                  <iframe src={previewUrl} title="Resume preview" className="w-full h-[900px] bg-white" />
+                ) : (
+                  <div className="flex h-[600px] items-center justify-center text-gray-500">
+                    {canBuild && 'Rendering preview...'}
+                    {resumeId && !upgradeRequired && selectedSections.length === 0 && 'Choose at least one section to see a preview'}
+                  </div>
+                )}
+              </Card>
+            </div>
+          </motion.div>
+        </div>
+      </div>
+
+      <Footer />
+    </div>
+  )
+}
+
+export default ResumeBuilderPage
@@ -1,10 +1,19 @@
 import { useEffect, useState } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
-import { ArrowLeft, Loader2 } from 'lucide-react'
+import { ArrowLeft, Download, Loader2 } from 'lucide-react'
 import toast from 'react-hot-toast'
-import api from '../services/api'
+import api, { resumeAPI } from '../services/api'
 import ResumeSummaryView from '../components/dashboard/ResumeSummaryView'
+import FieldSourcesPanel from '../components/dashboard/FieldSourcesPanel'
+import ParsedResumeEditor from '../components/dashboard/ParsedResumeEditor'
 import { useAuth } from '../hooks/useAuth'
+import { downloadBlob, readBlobErrorData } from '../utils/apiHelpers'
+
+const EXPORT_FORMATS = [
+  { id: 'jsonresume', label: 'JSON Resume', extension: 'json' },
+  { id: 'europass', label: 'Europass', extension: 'xml' },
+  { id: 'hropen', label: 'HR-Open', extension: 'json' },
+]
 
 export default function ResumeViewPage() {
   const { resumeId } = useParams()
@@ -14,6 +23,7 @@ export default function ResumeViewPage() {
   const [resume, setResume] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
+  const [exportingFormat, setExportingFormat] = useState(null)
 
   useEffect(() => {
     if (resumeId) {
@@ -37,7 +47,9 @@ export default function ResumeViewPage() {
           metadata: response.data.metadata,
           parsed_data: response.data.parsed_data,
           job_analysis: response.data.job_analysis,
-          profile: response.data.profile
+          profile: response.data.profile,
+          raw_text: response.data.raw_text || null,
+          isOwner: Boolean(response.data.is_owner)
         })
       } else {
         throw new Error('Resume data not found')
@@ -52,6 +64,20 @@ export default function ResumeViewPage() {
     }
   }
 
+  const handleExport = async (format) => {
+    try {
+      setExportingFormat(format.id)
+      const blob = await resumeAPI.exportResume(resumeId, format.id)
+      downloadBlob(blob, `resume-${resumeId}-${format.id}.${format.extension}`)
+    } catch (err) {
+      console.error('Resume export failed:', err)
+      const data = await readBlobErrorData(err)
+      toast.error(data?.message || `Failed to export ${format.label}`)
+    } finally {
+      setExportingFormat(null)
+    }
+  }
+
   const handleBack = () => {
     // Navigate back based on user role
     if (user?.role === 'recruiter' || user?.role === 'admin') {
@@ -119,6 +145,24 @@ export default function ResumeViewPage() {
                 }
               </p>
             </div>
+            {resume && (
+              <div className="ml-auto flex flex-wrap items-center gap-2">
+                {EXPORT_FORMATS.map(format => (
+                  <button
+                    key={format.id}
+                    onClick={() => handleExport(format)}
+                    disabled={Boolean(exportingFormat)}
+                    title={`Download as ${format.label}`}
+                    className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border border-white/20 text-sm text-white/80 hover:text-white hover:bg-white/5 transition-colors disabled:opacity-50"
+                  >
+                    {exportingFormat === format.id
+                      ? <Loader2 className="w-4 h-4 animate-spin" />
+                      : <Download className="w-4 h-4" />}
+                    {format.label}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -132,6 +176,19 @@ export default function ResumeViewPage() {
               skills={resume.profile?.customSkills || resume.parsed_resume?.skills || []}
             />
           )}
+          {resume?.isOwner && (
+            <ParsedResumeEditor
+              resumeId={resume.resumeId}
+              parsedResume={resume.parsed_resume}
+              onSaved={({ parsed_resume, metadata }) => setResume(current => ({ ...current, parsed_resume, metadata }))}
+            />
+          )}
+          {resume && (
+            <FieldSourcesPanel
+              parsedResume={resume.parsed_resume}
+              rawText={resume.raw_text}
+            />
+          )}
         </div>
       </div>
     </div>
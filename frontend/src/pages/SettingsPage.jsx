@@ -1,12 +1,14 @@
 import { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
-import { User, Mail, Lock, Bell, Shield, Trash2, Eye, Briefcase } from 'lucide-react'
+import { useNavigate } from 'react-router-dom'
+import { User, Mail, Lock, Bell, Shield, Trash2, Eye, Briefcase, KeyRound, Link2, MonitorSmartphone } from 'lucide-react'
 import Navbar from '../components/ui/Navbar'
 import Footer from '../components/ui/Footer'
 import Card from '../components/ui/Card'
 import Button from '../components/ui/Button'
 import toast from 'react-hot-toast'
 import api from '../services/api'
+import { authService } from '../services/auth.service'
 import { useResumeContext } from '../hooks/useResumeContext'
 import { useAuth } from '../hooks/useAuth'
 
@@ -35,6 +37,87 @@ const SettingsPage = () => {
   const [passwordForm, setPasswordForm] = useState({ current: '', next: '', confirm: '' })
   const [passwordLoading, setPasswordLoading] = useState(false)
   const [deleting, setDeleting] = useState(false)
+  const [deletion, setDeletion] = useState(null)
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
+  const [deleteConfirmation, setDeleteConfirmation] = useState('')
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(false)
+  const [twoFactorSaving, setTwoFactorSaving] = useState(false)
+  const [twoFactor, setTwoFactor] = useState(null)
+  const [twoFactorPassword, setTwoFactorPassword] = useState('')
+  // Action waiting for password confirmation: 'disable' | 'removeTotp' | 'recoveryCodes'
+  const [passwordAction, setPasswordAction] = useState(null)
+  const [totpSetup, setTotpSetup] = useState(null)
+  const [totpCode, setTotpCode] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState([])
+  const [sendingVerification, setSendingVerification] = useState(false)
+  const [oauthProviders, setOauthProviders] = useState([])
+  const [connectedAccounts, setConnectedAccounts] = useState({ providers: [], hasPassword: true, loading: true })
+  const [oauthBusy, setOauthBusy] = useState(null)
+  const [prefilling, setPrefilling] = useState(false)
+  const [sessions, setSessions] = useState({ items: [], loading: true })
+  const [revokingSession, setRevokingSession] = useState(null)
+  const [signingOutAll, setSigningOutAll] = useState(false)
+  const navigate = useNavigate()
+
+  // Fetch social sign-in providers + accounts connected to this user
+  useEffect(() => {
+    const fetchConnectedAccounts = async () => {
+      try {
+        const [providersRes, connectedRes] = await Promise.all([
+          authService.getOAuthProviders(),
+          authService.getConnectedAccounts(),
+        ])
+        setOauthProviders(providersRes.providers || [])
+        setConnectedAccounts({
+          providers: connectedRes.providers || [],
+          hasPassword: connectedRes.hasPassword !== false,
+          loading: false,
+        })
+      } catch (error) {
+        console.error('Failed to fetch connected accounts:', error)
+        setConnectedAccounts((prev) => ({ ...prev, loading: false }))
+      }
+    }
+
+    fetchConnectedAccounts()
+  }, [])
+
+  // Fetch signed-in devices
+  const fetchSessions = async () => {
+    try {
+      const res = await authService.getSessions()
+      setSessions({ items: res.sessions || [], loading: false })
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error)
+      setSessions((prev) => ({ ...prev, loading: false }))
+    }
+  }
+
+  useEffect(() => {
+    fetchSessions()
+  }, [])
+
+  // Fetch scheduled account deletion
+  useEffect(() => {
+    api.get('/user/account/deletion')
+      .then((res) => setDeletion(res.data.deletion))
+      .catch((error) => console.error('Failed to fetch account deletion status:', error))
+  }, [])
+
+  // Fetch 2FA method and authenticator enrollment
+  const fetchTwoFactorStatus = async () => {
+    try {
+      const res = await authService.getTwoFactorStatus()
+      setTwoFactor(res.twoFactor)
+      setTwoFactorEnabled(!!res.twoFactor?.enabled)
+    } catch (error) {
+      console.error('Failed to fetch 2FA settings:', error)
+    }
+  }
+
+  useEffect(() => {
+    fetchTwoFactorStatus()
+  }, [])
 
   // Fetch profile + privacy settings
   useEffect(() => {
@@ -46,6 +129,7 @@ const SettingsPage = () => {
           setName(profileRes.data.user.name || '')
           setEmail(profileRes.data.user.email || '')
           const prefs = profileRes.data.user.preferences || {}
+          setTwoFactorEnabled(!!prefs.twoFactorEnabled)
           setNotifications((prev) => ({
             ...prev,
             email: prefs.emailNotifications ?? prev.email,
@@ -170,18 +254,227 @@ const SettingsPage = () => {
     }
   }
 
-  const handleDeleteAccount = async () => {
-    if (!window.confirm('Delete your account and all resumes? This cannot be undone.')) return
-    setDeleting(true)
+  const handleSendVerification = async () => {
+    setSendingVerification(true)
     try {
-      const res = await api.delete('/user/account')
-      if (res.data?.success) {
-        toast.success('Account deleted')
-        await logout()
-        window.location.href = '/'
+      await authService.sendVerification()
+      toast.success('Verification code sent')
+      navigate(`/verify-email?email=${encodeURIComponent(email)}`)
+    } catch (error) {
+      console.error('Send verification failed:', error)
+      toast.error(error.response?.data?.message || 'Could not send verification code')
+    } finally {
+      setSendingVerification(false)
+    }
+  }
+
+  const handleConnectProvider = async (provider) => {
+    setOauthBusy(provider)
+    try {
+      const { linkToken } = await authService.getOAuthLinkToken(provider)
+      window.location.assign(authService.getOAuthStartUrl(provider, linkToken))
+    } catch (error) {
+      console.error('Connect provider failed:', error)
+      toast.error(error.response?.data?.message || 'Could not start connection')
+      setOauthBusy(null)
+    }
+  }
+
+  const handleDisconnectProvider = async (provider) => {
+    setOauthBusy(provider)
+    try {
+      const res = await authService.disconnectProvider(provider)
+      setConnectedAccounts({ providers: res.providers || [], hasPassword: res.hasPassword !== false, loading: false })
+      toast.success(res.message || 'Account disconnected')
+    } catch (error) {
+      console.error('Disconnect provider failed:', error)
+      toast.error(error.response?.data?.message || 'Could not disconnect account')
+    } finally {
+      setOauthBusy(null)
+    }
+  }
+
+  const handlePrefillSocialLinks = async () => {
+    setPrefilling(true)
+    try {
+      const res = await authService.prefillResumeSocialLinks(parsedResume?.resumeId || null)
+      if (res.filled?.length) {
+        toast.success(`Added ${res.filled.join(' and ')} to your resume links`)
       } else {
-        toast.error(res.data?.message || 'Delete failed')
+        toast(res.message || 'Your resume links are already filled in')
       }
+    } catch (error) {
+      console.error('Prefill social links failed:', error)
+      toast.error(error.response?.data?.message || 'Could not update resume links')
+    } finally {
+      setPrefilling(false)
+    }
+  }
+
+  const handleEnable2FA = async () => {
+    setTwoFactorSaving(true)
+    try {
+      const res = await authService.enable2FA()
+      if (res?.success) {
+        setTwoFactorEnabled(true)
+        if (res.user) updateUser(res.user)
+        toast.success('Two-factor authentication enabled')
+        await fetchTwoFactorStatus()
+      }
+    } catch (error) {
+      console.error('Enable 2FA failed:', error)
+      toast.error(error.response?.data?.message || 'Could not enable two-factor authentication')
+    } finally {
+      setTwoFactorSaving(false)
+    }
+  }
+
+  const togglePasswordAction = (action) => {
+    setPasswordAction(passwordAction === action ? null : action)
+    setTwoFactorPassword('')
+  }
+
+  const handleConfirmPasswordAction = async () => {
+    if (!twoFactorPassword) {
+      toast.error('Enter your current password to continue')
+      return
+    }
+    setTwoFactorSaving(true)
+    try {
+      if (passwordAction === 'disable') {
+        const res = await authService.disable2FA(twoFactorPassword)
+        if (res.user) updateUser(res.user)
+        setRecoveryCodes([])
+        toast.success('Two-factor authentication disabled')
+      } else if (passwordAction === 'removeTotp') {
+        const res = await authService.removeTotp(twoFactorPassword)
+        if (res.user) updateUser(res.user)
+        setRecoveryCodes([])
+        toast.success(res.message || 'Authenticator app removed')
+      } else if (passwordAction === 'recoveryCodes') {
+        const res = await authService.regenerateRecoveryCodes(twoFactorPassword)
+        setRecoveryCodes(res.recoveryCodes || [])
+        toast.success('New recovery codes generated')
+      }
+      setPasswordAction(null)
+      setTwoFactorPassword('')
+      await fetchTwoFactorStatus()
+    } catch (error) {
+      console.error('2FA update failed:', error)
+      toast.error(error.response?.data?.message || 'Could not update two-factor authentication')
+    } finally {
+      setTwoFactorSaving(false)
+    }
+  }
+
+  const handleSelectMethod = async (method) => {
+    if (method === twoFactor?.method && twoFactorEnabled) return
+
+    // Authenticator apps need a one-time setup before they can be selected
+    if (method === 'totp' && !twoFactor?.totpEnrolled) {
+      setTwoFactorSaving(true)
+      try {
+        const res = await authService.setupTotp()
+        setTotpSetup({ secret: res.secret, otpauthUri: res.otpauthUri })
+        setTotpCode('')
+      } catch (error) {
+        console.error('Authenticator setup failed:', error)
+        toast.error(error.response?.data?.message || 'Could not start authenticator setup')
+      } finally {
+        setTwoFactorSaving(false)
+      }
+      return
+    }
+
+    setTwoFactorSaving(true)
+    try {
+      const res = await authService.setTwoFactorMethod(method)
+      if (res.user) updateUser(res.user)
+      toast.success(res.message || 'Two-factor method updated')
+      await fetchTwoFactorStatus()
+    } catch (error) {
+      console.error('Set 2FA method failed:', error)
+      toast.error(error.response?.data?.message || 'Could not change two-factor method')
+    } finally {
+      setTwoFactorSaving(false)
+    }
+  }
+
+  const handleConfirmTotp = async () => {
+    if (totpCode.trim().length !== 6) {
+      toast.error('Enter the 6-digit code from your authenticator app')
+      return
+    }
+    setTwoFactorSaving(true)
+    try {
+      const res = await authService.confirmTotp(totpCode.trim())
+      if (res.user) updateUser(res.user)
+      setRecoveryCodes(res.recoveryCodes || [])
+      setTotpSetup(null)
+      setTotpCode('')
+      toast.success('Authenticator app enabled')
+      await fetchTwoFactorStatus()
+    } catch (error) {
+      console.error('Confirm authenticator failed:', error)
+      toast.error(error.response?.data?.message || 'Invalid code')
+    } finally {
+      setTwoFactorSaving(false)
+    }
+  }
+
+  const handleCopyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'))
+      toast.success('Recovery codes copied')
+    } catch (error) {
+      toast.error('Could not copy recovery codes')
+    }
+  }
+
+  const handleRevokeSession = async (sessionId) => {
+    setRevokingSession(sessionId)
+    try {
+      await authService.revokeSession(sessionId)
+      setSessions((prev) => ({ ...prev, items: prev.items.filter((session) => session.id !== sessionId) }))
+      toast.success('Device signed out')
+    } catch (error) {
+      console.error('Revoke session failed:', error)
+      toast.error(error.response?.data?.message || 'Could not sign out that device')
+    } finally {
+      setRevokingSession(null)
+    }
+  }
+
+  const handleSignOutEverywhere = async () => {
+    if (!window.confirm('Sign out of Resume Genie on every device, including this one?')) return
+    setSigningOutAll(true)
+    try {
+      // Sign out the other devices first, then this one through the normal logout
+      await authService.logoutAll(true)
+      toast.success('Signed out everywhere')
+      await logout()
+      navigate('/login')
+    } catch (error) {
+      console.error('Sign out everywhere failed:', error)
+      toast.error(error.response?.data?.message || 'Could not sign out other devices')
+      setSigningOutAll(false)
+    }
+  }
+
+  const handleDeleteAccount = async () => {
+    if (!deleteConfirmation) {
+      toast.error(connectedAccounts.hasPassword ? 'Enter your password to confirm' : 'Type DELETE to confirm')
+      return
+    }
+    setDeleting(true)
+    try {
+      const res = await api.delete('/user/account', {
+        data: connectedAccounts.hasPassword ? { password: deleteConfirmation } : { confirm: deleteConfirmation },
+      })
+      setDeletion(res.data.deletion)
+      setShowDeleteConfirm(false)
+      setDeleteConfirmation('')
+      toast.success(res.data.message || 'Account scheduled for deletion')
     } catch (error) {
       console.error('Delete account failed:', error)
       toast.error(error.response?.data?.message || 'Could not delete account')
@@ -190,6 +483,20 @@ const SettingsPage = () => {
     }
   }
 
+  const handleCancelDeletion = async () => {
+    setDeleting(true)
+    try {
+      const res = await api.post('/user/account/deletion/cancel')
+      setDeletion(res.data.deletion)
+      toast.success('Account deletion cancelled')
+    } catch (error) {
+      console.error('Cancel deletion failed:', error)
+      toast.error(error.response?.data?.message || 'Could not cancel account deletion')
+    } finally {
+      setDeleting(false)
+    }
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       <Navbar />
@@ -391,6 +698,14 @@ const SettingsPage = () => {
                     </p>
                   </div>
                 )}
+                <div className="mt-4 flex items-center justify-between p-4 bg-white rounded-lg border border-gray-200">
+                  <p className="text-sm text-gray-600">
+                    Block specific companies, see which recruiters viewed your profile and review your consent history.
+                  </p>
+                  <Button size="sm" variant="outline" onClick={() => navigate('/privacy')} className="ml-4 whitespace-nowrap">
+                    Privacy Center
+                  </Button>
+                </div>
               </Card>
             </motion.div>
 
@@ -438,7 +753,288 @@ const SettingsPage = () => {
                   <Button variant="outline" onClick={handlePasswordChange} disabled={passwordLoading}>
                     {passwordLoading ? 'Updating…' : (<span className="inline-flex items-center"><Lock className="w-4 h-4 mr-2" /> Update Password</span>)}
                   </Button>
+
+                  {profile?.user && !profile.user.isEmailVerified && (
+                    <div className="flex items-center justify-between rounded-lg border border-amber-200 bg-amber-50 px-4 py-3">
+                      <div className="flex items-start gap-2">
+                        <Mail className="w-5 h-5 text-amber-700 mt-0.5" />
+                        <div>
+                          <p className="text-sm font-semibold text-amber-900">Email not verified</p>
+                          <p className="text-xs text-amber-800">Verify your email to change your password, export data, enable 2FA or delete your account.</p>
+                        </div>
+                      </div>
+                      <Button variant="outline" onClick={handleSendVerification} disabled={sendingVerification}>
+                        {sendingVerification ? 'Sending…' : 'Verify Email'}
+                      </Button>
+                    </div>
+                  )}
+
+                  <div className="rounded-lg border border-gray-200 px-4 py-3">
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-start gap-2">
+                        <KeyRound className="w-5 h-5 text-primary-500 mt-0.5" />
+                        <div>
+                          <p className="text-sm font-semibold text-gray-900">Two-Factor Authentication</p>
+                          <p className="text-xs text-gray-600">
+                            {!twoFactorEnabled
+                              ? 'Require a code from your email or an authenticator app in addition to your password.'
+                              : twoFactor?.method === 'totp'
+                                ? 'Each sign-in asks for a code from your authenticator app.'
+                                : 'A login code is emailed to you each time you sign in.'}
+                          </p>
+                        </div>
+                      </div>
+                      {twoFactorEnabled ? (
+                        <Button
+                          variant="outline"
+                          onClick={() => togglePasswordAction('disable')}
+                          disabled={twoFactorSaving || twoFactor?.requiredByOrganizations?.length > 0}
+                        >
+                          Disable
+                        </Button>
+                      ) : (
+                        <Button variant="outline" onClick={handleEnable2FA} disabled={twoFactorSaving || profileLoading}>
+                          {twoFactorSaving ? 'Enabling…' : 'Enable'}
+                        </Button>
+                      )}
+                    </div>
+
+                    {twoFactor?.requiredByOrganizations?.length > 0 && (
+                      <p className="mt-2 text-xs text-amber-800">
+                        Required by {twoFactor.requiredByOrganizations.join(', ')}. Without 2FA enabled you still get emailed login codes.
+                      </p>
+                    )}
+
+                    <div className="mt-4">
+                      <p className="text-xs font-medium text-gray-700 mb-2">Login codes from</p>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        {[
+                          { method: 'email', label: 'Email', description: `Sent to ${email || 'your email'}` },
+                          { method: 'totp', label: 'Authenticator app', description: 'Google Authenticator, 1Password, Authy…' },
+                        ].map((option) => {
+                          const selected = twoFactorEnabled && twoFactor?.method === option.method
+                          return (
+                            <button
+                              key={option.method}
+                              type="button"
+                              onClick={() => handleSelectMethod(option.method)}
+                              disabled={twoFactorSaving}
+                              className={`rounded-lg border px-3 py-2 text-left transition-colors disabled:opacity-60 ${
+                                selected ? 'border-primary-500 bg-primary-50' : 'border-gray-200 hover:border-gray-300'
+                              }`}
+                            >
+                              <p className="text-sm font-semibold text-gray-900">{option.label}</p>
+                              <p className="text-xs text-gray-600">{option.description}</p>
+                            </button>
+                          )
+                        })}
+                      </div>
+                    </div>
+
+                    {totpSetup && (
+                      <div className="mt-4 space-y-3 rounded-lg bg-gray-50 px-4 py-3">
+                        <p className="text-sm text-gray-700">
+                          Add this account to your authenticator app. On a phone you can{' '}
+                          <a href={totpSetup.otpauthUri} className="text-primary-600 font-medium hover:underline">open it directly</a>;
+                          otherwise enter the setup key manually.
+                        </p>
+                        <p className="font-mono text-sm break-all text-gray-900 select-all">{totpSetup.secret.match(/.{1,4}/g).join(' ')}</p>
+                        <div className="flex flex-col md:flex-row gap-3">
+                          <input
+                            type="text"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            maxLength={6}
+                            value={totpCode}
+                            onChange={(e) => setTotpCode(e.target.value.replace(/\D/g, ''))}
+                            placeholder="6-digit code"
+                            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+                          />
+                          <Button onClick={handleConfirmTotp} disabled={twoFactorSaving}>
+                            {twoFactorSaving ? 'Verifying…' : 'Confirm'}
+                          </Button>
+                          <Button variant="outline" onClick={() => setTotpSetup(null)} disabled={twoFactorSaving}>
+                            Cancel
+                          </Button>
+                        </div>
+                      </div>
+                    )}
+
+                    {twoFactor?.totpEnrolled && (
+                      <div className="mt-4 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                        <p className="text-xs text-gray-600">
+                          {twoFactor.recoveryCodesRemaining} recovery code{twoFactor.recoveryCodesRemaining === 1 ? '' : 's'} left.
+                          Use one to sign in if you lose your device.
+                        </p>
+                        <div className="flex gap-2">
+                          <Button variant="outline" onClick={() => togglePasswordAction('recoveryCodes')} disabled={twoFactorSaving}>
+                            New recovery codes
+                          </Button>
+                          <Button variant="outline" onClick={() => togglePasswordAction('removeTotp')} disabled={twoFactorSaving}>
+                            Remove app
+                          </Button>
+                        </div>
+                      </div>
+                    )}
+
+                    {recoveryCodes.length > 0 && (
+                      <div className="mt-4 rounded-lg border border-amber-200 bg-amber-50 px-4 py-3">
+                        <p className="text-sm font-semibold text-amber-900">Save your recovery codes</p>
+                        <p className="text-xs text-amber-800 mb-3">Each code works once. They will not be shown again.</p>
+                        <div className="grid grid-cols-2 gap-x-6 gap-y-1 font-mono text-sm text-gray-900 mb-3">
+                          {recoveryCodes.map((code) => <span key={code}>{code}</span>)}
+                        </div>
+                        <div className="flex gap-2">
+                          <Button variant="outline" onClick={handleCopyRecoveryCodes}>Copy</Button>
+                          <Button variant="outline" onClick={() => setRecoveryCodes([])}>Done</Button>
+                        </div>
+                      </div>
+                    )}
+
+                    {passwordAction && (
+                      <div className="mt-3 flex flex-col md:flex-row gap-3">
+                        <input
+                          type="password"
+                          value={twoFactorPassword}
+                          onChange={(e) => setTwoFactorPassword(e.target.value)}
+                          placeholder="Current password"
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                        <Button
+                          variant={passwordAction === 'recoveryCodes' ? 'outline' : 'danger'}
+                          onClick={handleConfirmPasswordAction}
+                          disabled={twoFactorSaving}
+                        >
+                          {twoFactorSaving
+                            ? 'Saving…'
+                            : {
+                                disable: 'Confirm Disable',
+                                removeTotp: 'Remove Authenticator',
+                                recoveryCodes: 'Generate Codes',
+                              }[passwordAction]}
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </Card>
+            </motion.div>
+
+            {/* Connected Accounts */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.6, delay: 0.35 }}
+            >
+              <Card>
+                <div className="flex items-center gap-3 mb-6">
+                  <Link2 className="w-6 h-6 text-primary-500" />
+                  <h2 className="text-xl font-bold text-gray-900">Connected Accounts</h2>
+                </div>
+                {connectedAccounts.loading ? (
+                  <p className="text-sm text-gray-600">Loading connected accounts…</p>
+                ) : (
+                  <div className="space-y-3">
+                    {oauthProviders.map(({ provider, label, enabled }) => {
+                      const connected = connectedAccounts.providers.find((account) => account.provider === provider)
+                      const isLastLogin = connected && !connectedAccounts.hasPassword && connectedAccounts.providers.length === 1
+
+                      return (
+                        <div key={provider} className="flex items-center justify-between rounded-lg border border-gray-200 px-4 py-3">
+                          <div>
+                            <p className="text-sm font-semibold text-gray-900">{label}</p>
+                            <p className="text-xs text-gray-600">
+                              {connected
+                                ? `Connected as ${connected.profile?.email || connected.profile?.displayName || label}`
+                                : enabled
+                                  ? `Sign in with ${label} and import your profile link`
+                                  : `${label} sign-in is not available`}
+                            </p>
+                          </div>
+                          {connected ? (
+                            <Button
+                              variant="outline"
+                              onClick={() => handleDisconnectProvider(provider)}
+                              disabled={oauthBusy === provider || isLastLogin}
+                              title={isLastLogin ? 'Set a password before disconnecting your only sign-in method' : undefined}
+                            >
+                              {oauthBusy === provider ? 'Disconnecting…' : 'Disconnect'}
+                            </Button>
+                          ) : (
+                            <Button
+                              variant="outline"
+                              onClick={() => handleConnectProvider(provider)}
+                              disabled={!enabled || oauthBusy === provider}
+                            >
+                              {oauthBusy === provider ? 'Connecting…' : 'Connect'}
+                            </Button>
+                          )}
+                        </div>
+                      )
+                    })}
+
+                    {connectedAccounts.providers.some((account) => account.profile?.profileUrl) && (
+                      <div className="flex items-center justify-between rounded-lg border border-blue-200 bg-blue-50 px-4 py-3">
+                        <p className="text-sm text-blue-900">Fill empty LinkedIn / GitHub links on your resume from connected accounts.</p>
+                        <Button variant="outline" onClick={handlePrefillSocialLinks} disabled={prefilling}>
+                          {prefilling ? 'Updating…' : 'Prefill Resume Links'}
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </Card>
+            </motion.div>
+
+            {/* Sessions */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.6, delay: 0.38 }}
+            >
+              <Card>
+                <div className="flex items-center justify-between gap-3 mb-6">
+                  <div className="flex items-center gap-3">
+                    <MonitorSmartphone className="w-6 h-6 text-primary-500" />
+                    <h2 className="text-xl font-bold text-gray-900">Sessions</h2>
+                  </div>
+                  <Button variant="outline" onClick={handleSignOutEverywhere} disabled={signingOutAll}>
+                    {signingOutAll ? 'Signing out…' : 'Sign out everywhere'}
+                  </Button>
                 </div>
+                {sessions.loading ? (
+                  <p className="text-sm text-gray-600">Loading sessions…</p>
+                ) : sessions.items.length === 0 ? (
+                  <p className="text-sm text-gray-600">No active sessions found.</p>
+                ) : (
+                  <div className="space-y-3">
+                    {sessions.items.map((session) => (
+                      <div key={session.id} className="flex items-center justify-between rounded-lg border border-gray-200 px-4 py-3">
+                        <div>
+                          <p className="text-sm font-semibold text-gray-900">
+                            {session.device}
+                            {session.current && (
+                              <span className="ml-2 rounded-full bg-green-100 px-2 py-0.5 text-xs font-medium text-green-700">This device</span>
+                            )}
+                          </p>
+                          <p className="text-xs text-gray-600">
+                            {session.ipAddress || 'Unknown IP'} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                            {' · '}Signed in {new Date(session.createdAt).toLocaleDateString()}
+                          </p>
+                        </div>
+                        {!session.current && (
+                          <Button
+                            variant="outline"
+                            onClick={() => handleRevokeSession(session.id)}
+                            disabled={revokingSession === session.id}
+                          >
+                            {revokingSession === session.id ? 'Signing out…' : 'Sign out'}
+                          </Button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
               </Card>
             </motion.div>
 
@@ -453,12 +1049,47 @@ const SettingsPage = () => {
                   <Trash2 className="w-6 h-6 text-red-600" />
                   <h2 className="text-xl font-bold text-gray-900">Danger Zone</h2>
                 </div>
-                <p className="text-gray-600 mb-4">
-                  Once you delete your account, there is no going back. Please be certain.
-                </p>
-                <Button variant="danger" onClick={handleDeleteAccount} disabled={deleting}>
-                  {deleting ? 'Deleting…' : 'Delete Account'}
-                </Button>
+                {deletion?.scheduled ? (
+                  <>
+                    <p className="text-gray-600 mb-4">
+                      Your account and all of its data will be permanently deleted on{' '}
+                      <strong>{new Date(deletion.scheduledFor).toLocaleString()}</strong>. Applications you sent to
+                      employers will be anonymized. You can cancel until then.
+                    </p>
+                    <Button variant="outline" onClick={handleCancelDeletion} disabled={deleting}>
+                      {deleting ? 'Cancelling…' : 'Cancel Deletion'}
+                    </Button>
+                  </>
+                ) : (
+                  <>
+                    <p className="text-gray-600 mb-4">
+                      Deleting your account erases your profile, resumes, quizzes, interview practice, saved jobs and
+                      notifications after a {deletion?.gracePeriodDays || 14}-day grace period, during which you can
+                      still cancel. Applications you sent to employers are anonymized.
+                    </p>
+                    {showDeleteConfirm ? (
+                      <div className="flex flex-col md:flex-row gap-3">
+                        <input
+                          type={connectedAccounts.hasPassword ? 'password' : 'text'}
+                          value={deleteConfirmation}
+                          onChange={(e) => setDeleteConfirmation(e.target.value)}
+                          placeholder={connectedAccounts.hasPassword ? 'Current password' : 'Type DELETE to confirm'}
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                        <Button variant="danger" onClick={handleDeleteAccount} disabled={deleting}>
+                          {deleting ? 'Scheduling…' : 'Schedule Deletion'}
+                        </Button>
+                        <Button variant="outline" onClick={() => setShowDeleteConfirm(false)} disabled={deleting}>
+                          Cancel
+                        </Button>
+                      </div>
+                    ) : (
+                      <Button variant="danger" onClick={() => setShowDeleteConfirm(true)}>
+                        Delete Account
+                      </Button>
+                    )}
+                  </>
+                )}
               </Card>
             </motion.div>
           </div>
@@ -11,6 +11,9 @@ import { useResumeContext } from '../hooks/useResumeContext'
 import { useAuth } from '../hooks/useAuth'
 import { resumeAPI } from '../services/api'
 
+// JSON Resume files and LinkedIn data export archives go through /resume/import
+const isImportFile = (file) => /\.(json|zip)$/i.test(file?.name || '')
+
 const UploadPage = () => {
   const navigate = useNavigate()
   const { isAuthenticated, loading } = useAuth()
@@ -62,16 +65,30 @@ const UploadPage = () => {
     let resumeId = null
 
     try {
-      console.log('📤 Uploading resume...')
-      const uploadResponse = await resumeAPI.uploadResume(file)
-      console.log('✅ Upload response:', uploadResponse)
-
-      resumeId = uploadResponse.resumeId
-      setResumeId(resumeId)
-
-      console.log('🔍 Parsing resume...')
-      const parseResponse = await resumeAPI.parseResume(resumeId, 'deep')
-      console.log('✅ Parse response:', parseResponse)
+      let uploadResponse
+      let parseResponse
+
+      if (isImportFile(file)) {
+        // JSON Resume / LinkedIn export: already structured, no parse step
+        console.log('📥 Importing structured resume data...')
+        uploadResponse = await resumeAPI.importResume(file)
+        parseResponse = uploadResponse
+        console.log('✅ Import response:', uploadResponse)
+
+        resumeId = uploadResponse.resumeId
+        setResumeId(resumeId)
+      } else {
+        console.log('📤 Uploading resume...')
+        uploadResponse = await resumeAPI.uploadResume(file)
+        console.log('✅ Upload response:', uploadResponse)
+
+        resumeId = uploadResponse.resumeId
+        setResumeId(resumeId)
+
+        console.log('🔍 Parsing resume...')
+        parseResponse = await resumeAPI.parseResume(resumeId, 'deep')
+        console.log('✅ Parse response:', parseResponse)
+      }
 
       console.log('🎯 Analyzing role...')
       const roleResponse = await resumeAPI.analyzeRole(resumeId)
@@ -3,11 +3,13 @@ import { useNavigate, useSearchParams } from 'react-router-dom';
 import OTPInput from '../components/auth/OTPInput';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 import { authService } from '../services/auth.service';
+import { useAuth } from '../hooks/useAuth';
 import { toast } from 'react-hot-toast';
 
 const VerifyEmailPage = () => {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
+  const { setSession } = useAuth();
   const email = searchParams.get('email');
 
   const [otp, setOtp] = useState('');
@@ -45,17 +47,21 @@ const VerifyEmailPage = () => {
     try {
       const response = await authService.verifyEmail(email, otp);
       
-      if (response.token) {
-        localStorage.setItem('token', response.token);
-        localStorage.setItem('refreshToken', response.refreshToken);
+      if (!response.token) {
+        // Accounts with two-factor sign-in still have to log in
+        toast.success(response.message || 'Email verified. Please sign in.');
+        navigate('/login');
+        return;
       }
 
+      setSession(response.user, response.token, response.refreshToken);
       toast.success('Email verified successfully! 🎉');
-      navigate('/dashboard');
+      navigate(['recruiter', 'admin'].includes(response.user?.role) ? '/recruiter' : '/dashboard');
     } catch (err) {
-      setError(err.message || 'Verification failed');
+      const message = err.response?.data?.message || err.message || 'Verification failed';
+      setError(message);
       setOtp(''); // Clear OTP on error
-      toast.error(err.message || 'Verification failed');
+      toast.error(message);
     } finally {
       setLoading(false);
     }
@@ -72,8 +78,9 @@ const VerifyEmailPage = () => {
       toast.success('Verification code sent!');
       setCooldown(60); // 60 second cooldown
     } catch (err) {
-      setError(err.message || 'Failed to resend code');
-      toast.error(err.message || 'Failed to resend code');
+      const message = err.response?.data?.message || err.message || 'Failed to resend code';
+      setError(message);
+      toast.error(message);
     } finally {
       setResending(false);
     }
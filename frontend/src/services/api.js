@@ -17,23 +17,39 @@ const clearAuthState = () => {
   localStorage.removeItem('user')
 }
 
-const refreshAccessToken = async () => {
+let refreshInFlight = null
+
+// Refresh tokens are single-use (rotated on every refresh), so concurrent 401s share one request
+export const refreshAccessToken = () => {
+  if (refreshInFlight) {
+    return refreshInFlight
+  }
+
   const refreshToken = localStorage.getItem('refresh_token')
   if (!refreshToken) {
-    return null
+    return Promise.resolve(null)
   }
 
-  try {
-    const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
-    if (response.data?.success && response.data?.token) {
-      localStorage.setItem('auth_token', response.data.token)
-      return response.data.token
+  refreshInFlight = (async () => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      if (response.data?.success && response.data?.token) {
+        localStorage.setItem('auth_token', response.data.token)
+        if (response.data.refreshToken) {
+          localStorage.setItem('refresh_token', response.data.refreshToken)
+        }
+        return response.data.token
+      }
+    } catch (error) {
+      console.error('❌ Token refresh failed:', error)
+    } finally {
+      refreshInFlight = null
     }
-  } catch (error) {
-    console.error('❌ Token refresh failed:', error)
-  }
 
-  return null
+    return null
+  })()
+
+  return refreshInFlight
 }
 
 // Request interceptor
@@ -51,12 +67,21 @@ api.interceptors.request.use(
   }
 )
 
+// Organization security policies that can only be satisfied by signing in again
+const REAUTH_ERROR_CODES = ['ORG_SESSION_EXPIRED', 'ORG_MFA_REQUIRED']
+
 // Simple 401 handler - just redirect to login without token refresh complexity
 api.interceptors.response.use(
   (response) => response,
   async (error) => {
     const originalRequest = error.config || {}
 
+    if (REAUTH_ERROR_CODES.includes(error.response?.data?.code)) {
+      clearAuthState()
+      window.location.href = '/login'
+      return Promise.reject(error)
+    }
+
     if (error.response?.status === 401 && !originalRequest._retry && !originalRequest.url?.includes('/auth/refresh')) {
       originalRequest._retry = true
 
@@ -90,12 +115,49 @@ export const resumeAPI = {
     return response.data
   },
 
+  // Import a JSON Resume file or LinkedIn data export ZIP (already parsed)
+  importResume: async (file) => {
+    const formData = new FormData()
+    formData.append('file', file)
+    const response = await api.post('/resume/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    })
+    return response.data
+  },
+
   // Parse resume (Phase 2)
   parseResume: async (resumeId, mode = 'deep') => {
     const response = await api.post(`/resume/${resumeId}/parse`, { mode })
     return response.data
   },
 
+  // Resume builder: templates and sections on offer
+  getBuilderTemplates: async () => {
+    const response = await api.get('/resume/builder/templates')
+    return response.data
+  },
+
+  // Render the resume with a builder template ({ format, template, sections })
+  buildResume: async (resumeId, options) => {
+    const response = await api.post(`/resume/${resumeId}/builder`, options, { responseType: 'blob' })
+    return response.data
+  },
+
+  // Store a built resume as a new version of the resume
+  saveBuiltResume: async (resumeId, options) => {
+    const response = await api.post(`/resume/${resumeId}/builder`, { ...options, saveAsVersion: true })
+    return response.data
+  },
+
+  // Download the resume as JSON Resume, Europass XML or HR-Open JSON
+  exportResume: async (resumeId, format) => {
+    const response = await api.get(`/export/resume/${resumeId}`, {
+      params: { format },
+      responseType: 'blob',
+    })
+    return response.data
+  },
+
   // Analyze role (Phase 2)
   analyzeRole: async (resumeId) => {
     console.log('🔍 API Call: analyzeRole', { resumeId, url: `/resume/${resumeId}/analyze-role` })
@@ -1,5 +1,7 @@
 import api from './api';
 
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000/api';
+
 /**
  * Authentication Service
  * Handles all auth-related API calls including OTP verification
@@ -63,10 +65,122 @@ export const authService = {
   },
 
   /**
-   * Disable 2FA
+   * Disable 2FA (requires current password)
+   */
+  async disable2FA(password) {
+    const response = await api.post('/auth/disable-2fa', { password });
+    return response.data;
+  },
+
+  /**
+   * Get 2FA settings (method, authenticator enrollment, recovery codes left)
+   */
+  async getTwoFactorStatus() {
+    const response = await api.get('/auth/2fa');
+    return response.data;
+  },
+
+  /**
+   * Start authenticator app setup (returns secret and otpauth URI)
    */
-  async disable2FA() {
-    const response = await api.post('/auth/disable-2fa');
+  async setupTotp() {
+    const response = await api.post('/auth/2fa/totp/setup');
+    return response.data;
+  },
+
+  /**
+   * Confirm authenticator app setup with a code (returns recovery codes)
+   */
+  async confirmTotp(code) {
+    const response = await api.post('/auth/2fa/totp/confirm', { code });
+    return response.data;
+  },
+
+  /**
+   * Remove the authenticator app (requires current password)
+   */
+  async removeTotp(password) {
+    const response = await api.delete('/auth/2fa/totp', { data: { password } });
+    return response.data;
+  },
+
+  /**
+   * Choose how login codes are delivered ('email' or 'totp')
+   */
+  async setTwoFactorMethod(method) {
+    const response = await api.put('/auth/2fa/method', { method });
+    return response.data;
+  },
+
+  /**
+   * Replace recovery codes (requires current password)
+   */
+  async regenerateRecoveryCodes(password) {
+    const response = await api.post('/auth/2fa/recovery-codes', { password });
+    return response.data;
+  },
+
+  /**
+   * Send verification OTP to the logged-in user
+   */
+  async sendVerification() {
+    const response = await api.post('/auth/send-verification');
+    return response.data;
+  },
+
+  /**
+   * List social sign-in providers and whether they are enabled
+   */
+  async getOAuthProviders() {
+    const response = await api.get('/auth/oauth/providers');
+    return response.data;
+  },
+
+  /**
+   * Browser URL that starts social sign-in (or linking, with a link token)
+   */
+  getOAuthStartUrl(provider, linkToken = null) {
+    const url = `${API_BASE_URL}/auth/${provider}`;
+    return linkToken ? `${url}?link=${encodeURIComponent(linkToken)}` : url;
+  },
+
+  /**
+   * Get a short-lived token to link a provider to the current account
+   */
+  async getOAuthLinkToken(provider) {
+    const response = await api.post(`/auth/oauth/${provider}/link-token`);
+    return response.data;
+  },
+
+  /**
+   * Complete social sign-in for a 2FA account (omit otp to resend the code)
+   */
+  async verifyOAuth2FA(challenge, otp = null) {
+    const response = await api.post('/auth/oauth/verify-2fa', { challenge, otp });
+    return response.data;
+  },
+
+  /**
+   * List providers connected to the current account
+   */
+  async getConnectedAccounts() {
+    const response = await api.get('/auth/oauth/connected');
+    return response.data;
+  },
+
+  /**
+   * Disconnect a provider from the current account
+   */
+  async disconnectProvider(provider) {
+    const response = await api.delete(`/auth/oauth/${provider}`);
+    return response.data;
+  },
+
+  /**
+   * Fill empty resume social links from connected accounts
+   */
+  async prefillResumeSocialLinks(resumeId = null) {
+    const response = await api.post('/auth/oauth/prefill-resume', { resumeId });
     return response.data;
   },
 
@@ -96,6 +210,30 @@ export const authService = {
     return response.data;
   },
 
+  /**
+   * List signed-in devices (sessions) for the current user
+   */
+  async getSessions() {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  /**
+   * Sign out one device
+   */
+  async revokeSession(sessionId) {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  /**
+   * Sign out everywhere (optionally keeping this device signed in)
+   */
+  async logoutAll(keepCurrent = false) {
+    const response = await api.post('/auth/logout-all', { keepCurrent });
+    return response.data;
+  },
+
   /**
    * Verify token validity
    */
@@ -86,6 +86,34 @@ export const formatApiError = (error) => {
   };
 };
 
+/**
+ * Error body of a request made with responseType 'blob', parsed as JSON
+ */
+export const readBlobErrorData = async (error) => {
+  const data = error.response?.data;
+  if (!(data instanceof Blob)) return data || null;
+
+  try {
+    return JSON.parse(await data.text());
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Save a downloaded file (a blob API response) in the browser
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
 /**
  * Check if token needs refresh (within 5 minutes of expiry)
  */
@@ -219,6 +247,8 @@ export const ensureValidToken = async () => {
 export default {
   withRetry,
   formatApiError,
+  readBlobErrorData,
+  downloadBlob,
   shouldRefreshToken,
   refreshAuthToken,
   setupTokenRefreshInterceptor,